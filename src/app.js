@@ -48,16 +48,28 @@ const voice = require('./routes/voice');
 const tokens = require('./routes/tokens');
 const culturalExchange = require('./routes/culturalExchange');
 const languageLearning = require('./routes/languageLearning');
+const notifications = require('./routes/notifications');
+const glossaries = require('./routes/glossaries');
+const translationMemory = require('./routes/translationMemory');
+const translationReviews = require('./routes/translationReviews');
+const notificationService = require('./services/notificationService');
+const chatExportService = require('./services/chatExportService');
+const chatArchiveService = require('./services/chatArchiveService');
+const voiceStreamingService = require('./services/voiceStreamingService');
+const siweService = require('./services/siweService');
+const messageTransportService = require('./services/messageTransportService');
 
 // 条件导入区块链相关模块
 let blockchain = null;
 let SocketService = null;
+let EnhancedChatService = null;
 
 try {
     // 只在非测试环境加载区块链服务
     if (process.env.NODE_ENV !== 'test') {
         blockchain = require('./routes/blockchain');
         SocketService = require('./services/socketService');
+        EnhancedChatService = require('./services/enhancedChatService');
     }
 } catch (error) {
     console.warn('区块链服务不可用，跳过加载:', error.message);
@@ -82,6 +94,11 @@ let socketService = null;
 if (process.env.NODE_ENV !== 'test' && SocketService) {
     try {
         socketService = new SocketService(server);
+        notificationService.attachSocket(socketService.io, userId => `user_${userId}`);
+        // 实时语音翻译使用独立的 /voice 命名空间
+        voiceStreamingService.attach(socketService.io);
+        // 定时消息复用聊天的发送流程（内容过滤、自动翻译），通过Socket.IO服务广播
+        EnhancedChatService.createMessagePipeline(socketService.io).startScheduledMessages();
     } catch (error) {
         console.warn('Socket服务初始化失败:', error.message);
     }
@@ -133,7 +150,11 @@ app.get('/', (req, res) => {
       communities: '/api/v1/communities',
       messages: '/api/v1/messages',
       culturalExchange: '/api/v1/cultural-exchanges',
-      languageLearning: '/api/v1/language-learning'
+      languageLearning: '/api/v1/language-learning',
+      notifications: '/api/v1/notifications',
+      glossaries: '/api/v1/glossaries',
+      translationMemory: '/api/v1/translation-memory',
+      translationReviews: '/api/v1/translation-reviews'
     }
   });
 });
@@ -156,6 +177,10 @@ app.use('/api/v1/voice', voice);
 app.use('/api/v1/tokens', tokens);
 app.use('/api/v1/cultural-exchanges', culturalExchange);
 app.use('/api/v1/language-learning', languageLearning);
+app.use('/api/v1/notifications', notifications);
+app.use('/api/v1/glossaries', glossaries);
+app.use('/api/v1/translation-memory', translationMemory);
+app.use('/api/v1/translation-reviews', translationReviews);
 
 // 条件挂载区块链路由
 if (blockchain) {
@@ -185,6 +210,25 @@ app.use(errorHandler);
 // 启动服务器（非测试环境）
 if (process.env.NODE_ENV !== 'test') {
     const PORT = process.env.PORT || 5000;
+
+    // 钱包登录的域名绑定依赖 SIWE_DOMAIN，生产环境的邮件和短信传输必须显式配置，缺失时拒绝启动
+    try {
+        siweService.assertConfigured();
+        messageTransportService.assertConfigured();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    // 离线通知的邮件汇总
+    notificationService.startDigestSchedule();
+
+    // 后台生成较大的聊天记录导出文件
+    chatExportService.start();
+
+    // 后台将归档聊天室的历史消息移入冷数据集合
+    chatArchiveService.start();
+
     server.listen(PORT, '0.0.0.0', () => {
         console.log(`🚀 CultureBridge服务器运行在端口 ${PORT}`);
         console.log(`📱 Socket.IO服务${socketService ? '已启动' : '未启动'}`);
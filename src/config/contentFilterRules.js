@@ -0,0 +1,101 @@
+// 内容过滤规则集配置
+// 每条规则包含 id、type（检测器类型）、options 和默认处理方式 action：
+//   block       拒绝发布
+//   mask        用*替换命中的内容后发布
+//   flag        正常发布，同时进入审核队列
+//   shadow_hide 仅发布者自己可见
+// 聊天室可通过 settings.contentFilter 选择启用的规则集并覆盖单条规则的处理方式，
+// 但 REQUIRED_RULE_SETS 中的规则始终生效，且处理方式不能低于默认值
+// 设置 CONTENT_FILTER_WORDLIST_FILE 后会从该JSON文件（{ "语言": ["词", ...] }）追加敏感词
+
+const CONTENT_FILTER_ACTIONS = ['block', 'mask', 'flag', 'shadow_hide'];
+
+const CONTENT_FILTER_RULE_SETS = {
+    // 多语言辱骂词表
+    profanity: [
+        {
+            id: 'profanity.words',
+            type: 'wordList',
+            action: 'mask',
+            options: {
+                words: {
+                    en: ['fuck', 'shit', 'bitch', 'asshole', 'cunt', 'motherfucker'],
+                    zh: ['傻逼', '煞笔', '操你妈', '他妈的', '狗日的', '贱人'],
+                    ja: ['死ね', 'くたばれ', 'きちがい'],
+                    ko: ['씨발', '병신', '개새끼'],
+                    es: ['puta', 'mierda', 'cabrón'],
+                    fr: ['putain', 'connard', 'salope'],
+                    de: ['scheiße', 'arschloch', 'fotze']
+                }
+            }
+        }
+    ],
+
+    // 链接与刷屏
+    spam: [
+        {
+            id: 'spam.links',
+            type: 'links',
+            action: 'flag',
+            options: {
+                maxLinks: 2,
+                blockedDomains: ['bit.ly', 'tinyurl.com', 't.cn']
+            }
+        },
+        {
+            id: 'spam.shouting',
+            type: 'heuristics',
+            action: 'flag',
+            options: {
+                minLength: 20,
+                maxUppercaseRatio: 0.8,
+                maxRepeatedChars: 10
+            }
+        },
+        {
+            id: 'spam.repeated',
+            type: 'repeat',
+            action: 'block',
+            options: {
+                windowMs: 60 * 1000,
+                maxRepeats: 3
+            }
+        }
+    ],
+
+    // 诈骗话术（代币翻倍、索要私钥等）
+    scam: [
+        {
+            id: 'scam.giveaway',
+            type: 'regex',
+            action: 'shadow_hide',
+            options: {
+                patterns: [
+                    '(send|transfer|转账|发送).{0,30}(usdt|bnb|eth|btc|cbt).{0,40}(double|x2|2x|翻倍|返还)',
+                    '(airdrop|空投).{0,30}(connect|连接).{0,20}(wallet|钱包)'
+                ]
+            }
+        },
+        {
+            id: 'scam.credentials',
+            type: 'regex',
+            action: 'flag',
+            options: {
+                patterns: ['seed phrase', 'private key', 'recovery phrase', '助记词', '私钥']
+            }
+        }
+    ]
+};
+
+// 未单独配置时启用的规则集
+const DEFAULT_RULE_SETS = ['profanity', 'spam', 'scam'];
+
+// 聊天室无法关闭的最低过滤级别
+const REQUIRED_RULE_SETS = ['scam'];
+
+module.exports = {
+    CONTENT_FILTER_ACTIONS,
+    CONTENT_FILTER_RULE_SETS,
+    DEFAULT_RULE_SETS,
+    REQUIRED_RULE_SETS
+};
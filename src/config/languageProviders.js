@@ -0,0 +1,77 @@
+// 语音识别（stt）、文本翻译（translate）、语音合成（tts）服务提供方配置
+// 每项能力标注支持的语言（基础语言代码，'*' 表示不限）、单价、预期延迟（毫秒）和质量评分（0-1）
+// 单价单位：stt 为美元/小时音频，translate 和 tts 为美元/百万字符；延迟会按实际调用统计修正
+// languageQuality 可按语言覆盖质量评分；requires 中的环境变量全部设置后该能力才启用
+// LANGUAGE_PROVIDERS 可限制启用的提供方（逗号分隔），LANGUAGE_PROVIDER_STRATEGY 选择路由策略（cost | latency | quality）
+// local 不调用外部接口，结果确定，只在没有配置其他提供方时使用（fallback），也用于离线测试
+
+const LANGUAGE_PROVIDERS = {
+    azure: {
+        name: 'Azure Cognitive Services',
+        capabilities: {
+            stt: { languages: '*', cost: 1.0, latency: 1500, quality: 0.9, requires: ['AZURE_SPEECH_KEY'] },
+            translate: { languages: '*', cost: 10, latency: 300, quality: 0.9, requires: ['AZURE_TRANSLATOR_KEY'] },
+            tts: { languages: '*', cost: 16, latency: 800, quality: 0.92, requires: ['AZURE_SPEECH_KEY'] }
+        }
+    },
+    google: {
+        name: 'Google Cloud（API Key）',
+        capabilities: {
+            stt: { languages: '*', cost: 1.44, latency: 1800, quality: 0.88, requires: ['GOOGLE_SPEECH_API_KEY'] },
+            translate: { languages: '*', cost: 20, latency: 250, quality: 0.88, requires: ['GOOGLE_TRANSLATE_API_KEY'] },
+            tts: { languages: '*', cost: 16, latency: 900, quality: 0.9, requires: ['GOOGLE_SPEECH_API_KEY'] }
+        }
+    },
+    // 与 google 相同的服务，使用服务账号密钥文件通过官方SDK调用
+    googleCloud: {
+        name: 'Google Cloud（服务账号）',
+        capabilities: {
+            stt: { languages: '*', cost: 1.44, latency: 1800, quality: 0.88, requires: ['GOOGLE_CLOUD_KEY_FILE', 'GOOGLE_CLOUD_PROJECT_ID'] },
+            translate: { languages: '*', cost: 20, latency: 250, quality: 0.88, requires: ['GOOGLE_CLOUD_KEY_FILE', 'GOOGLE_CLOUD_PROJECT_ID'] },
+            tts: { languages: '*', cost: 16, latency: 900, quality: 0.9, requires: ['GOOGLE_CLOUD_KEY_FILE', 'GOOGLE_CLOUD_PROJECT_ID'] }
+        }
+    },
+    baidu: {
+        name: '百度翻译',
+        capabilities: {
+            translate: {
+                languages: ['zh', 'en', 'ja', 'ko', 'fr', 'de', 'es', 'it', 'pt', 'ru', 'ar', 'hi', 'th', 'vi'],
+                cost: 7,
+                latency: 400,
+                quality: 0.8,
+                languageQuality: { zh: 0.9 },
+                requires: ['BAIDU_TRANSLATE_APP_ID', 'BAIDU_TRANSLATE_SECRET_KEY']
+            }
+        }
+    },
+    local: {
+        name: '本地模拟',
+        fallback: true,
+        capabilities: {
+            stt: { languages: '*', cost: 0, latency: 1, quality: 0.1 },
+            translate: { languages: '*', cost: 0, latency: 1, quality: 0.1 },
+            tts: { languages: '*', cost: 0, latency: 1, quality: 0.1 }
+        }
+    }
+};
+
+// 基础语言代码对应的默认地区代码，供需要完整地区代码的接口使用
+const DEFAULT_LOCALES = {
+    zh: 'zh-CN',
+    en: 'en-US',
+    ja: 'ja-JP',
+    ko: 'ko-KR',
+    fr: 'fr-FR',
+    de: 'de-DE',
+    es: 'es-ES',
+    it: 'it-IT',
+    pt: 'pt-BR',
+    ru: 'ru-RU',
+    ar: 'ar-XA',
+    hi: 'hi-IN',
+    th: 'th-TH',
+    vi: 'vi-VN'
+};
+
+module.exports = LANGUAGE_PROVIDERS;
+module.exports.DEFAULT_LOCALES = DEFAULT_LOCALES;
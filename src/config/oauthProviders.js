@@ -0,0 +1,42 @@
+// OAuth2 / OIDC 第三方登录提供方配置
+// 每个提供方在设置 OAUTH_<NAME>_CLIENT_ID 和 OAUTH_<NAME>_CLIENT_SECRET 后启用
+// 各端点可通过 OAUTH_<NAME>_AUTHORIZATION_URL / _TOKEN_URL / _USERINFO_URL 覆盖（便于对接本地模拟服务器）
+// 设置 OAUTH_<NAME>_ISSUER 后将通过 /.well-known/openid-configuration 自动发现端点
+
+const OAUTH_PROVIDERS = {
+    google: {
+        name: 'Google',
+        authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+        scope: 'openid email profile',
+        pkce: true
+    },
+    github: {
+        name: 'GitHub',
+        authorizationUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        emailsUrl: 'https://api.github.com/user/emails',
+        scope: 'read:user user:email',
+        pkce: false,
+        profileMapper: 'github'
+    },
+    wechat: {
+        name: '微信',
+        authorizationUrl: 'https://open.weixin.qq.com/connect/qrconnect',
+        tokenUrl: 'https://api.weixin.qq.com/sns/oauth2/access_token',
+        userInfoUrl: 'https://api.weixin.qq.com/sns/userinfo',
+        scope: 'snsapi_login',
+        pkce: false,
+        profileMapper: 'wechat'
+    },
+    // 通用OIDC提供方：必须设置 OAUTH_OIDC_ISSUER，名称可通过 OAUTH_OIDC_NAME 覆盖
+    oidc: {
+        name: 'OpenID Connect',
+        scope: 'openid email profile',
+        pkce: true
+    }
+};
+
+module.exports = OAUTH_PROVIDERS;
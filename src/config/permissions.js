@@ -0,0 +1,99 @@
+// 权限与角色配置（RBAC）
+
+// 命名权限
+const PERMISSIONS = {
+    ADMIN_ACCESS: 'admin.access', // 访问管理后台统计和用户列表
+    USERS_MANAGE: 'users.manage', // 修改用户状态
+    ROLES_MANAGE: 'roles.manage', // 授予和撤销角色
+    SECURITY_AUDIT: 'security.audit', // 查看全站安全事件
+    SYSTEM_MONITOR: 'system.monitor', // 查看系统健康状态
+    CHAT_MODERATE: 'chat.moderate', // 删除他人消息、管理聊天室
+    REWARDS_DISTRIBUTE: 'rewards.distribute', // 手动分发CBT奖励
+    TOKENS_TRANSFER: 'tokens.transfer', // 从平台账户向用户转账
+    CONTRACTS_DEPLOY: 'contracts.deploy', // 部署智能合约、查看部署状态
+    EXCHANGE_FEATURE: 'exchange.feature', // 推荐（置顶）文化交流活动
+    TRANSLATION_MEMORY_MANAGE: 'translation.memory' // 导入导出翻译记忆库
+};
+
+// 角色及其包含的权限
+const ROLES = {
+    user: {
+        name: '普通用户',
+        permissions: []
+    },
+    moderator: {
+        name: '版主',
+        permissions: [
+            PERMISSIONS.ADMIN_ACCESS,
+            PERMISSIONS.CHAT_MODERATE,
+            PERMISSIONS.EXCHANGE_FEATURE
+        ]
+    },
+    rewards_manager: {
+        name: '奖励管理员',
+        permissions: [
+            PERMISSIONS.ADMIN_ACCESS,
+            PERMISSIONS.REWARDS_DISTRIBUTE
+        ]
+    },
+    contract_operator: {
+        name: '合约运维',
+        permissions: [
+            PERMISSIONS.SYSTEM_MONITOR,
+            PERMISSIONS.CONTRACTS_DEPLOY,
+            PERMISSIONS.TOKENS_TRANSFER
+        ]
+    },
+    admin: {
+        name: '管理员',
+        permissions: Object.values(PERMISSIONS)
+    }
+};
+
+// API密钥权限范围（第三方集成，服务端到服务端调用）
+const API_KEY_SCOPES = {
+    TRANSLATION: 'translation', // 文本与语音翻译
+    LEARNING_READ: 'learning:read', // 读取学习会话与进度
+    LEARNING_WRITE: 'learning:write', // 创建和提交学习会话
+    EXCHANGES_READ: 'exchanges:read', // 读取文化交流内容
+    EXCHANGES_WRITE: 'exchanges:write' // 发布、参与和评论文化交流
+};
+
+/**
+ * 获取用户拥有的全部角色（主角色 + 授予的附加角色）
+ */
+const getUserRoles = (user) => {
+    if (!user) return [];
+
+    const roles = new Set(user.roles || []);
+    if (user.role) roles.add(user.role);
+
+    return [...roles].filter(role => ROLES[role]);
+};
+
+/**
+ * 获取用户拥有的全部权限
+ */
+const getUserPermissions = (user) => {
+    const permissions = new Set();
+
+    getUserRoles(user).forEach(role => {
+        ROLES[role].permissions.forEach(permission => permissions.add(permission));
+    });
+
+    return [...permissions];
+};
+
+/**
+ * 检查用户是否拥有指定权限
+ */
+const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    API_KEY_SCOPES,
+    getUserRoles,
+    getUserPermissions,
+    hasPermission
+};
@@ -30,6 +30,8 @@ const redisConfig = {
     
     // 连接配置
     socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT, 10) || 6379,
         keepAlive: true,
         reconnectOnError: (err) => {
             const targetError = 'READONLY';
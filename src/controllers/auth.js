@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const sessionService = require('../services/sessionService');
 
 // @desc    注册用户
 // @route   POST /api/v1/auth/register
@@ -15,7 +16,7 @@ exports.register = asyncHandler(async (req, res, next) => {
     password
   });
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    用户登录
@@ -43,13 +44,17 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('无效的凭据', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    用户登出
 // @route   GET /api/v1/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
+  if (req.authSession) {
+    await sessionService.revokeSession(req.authSession._id, 'LOGOUT', req.user._id);
+  }
+
   res.cookie('token', 'none', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true
@@ -107,18 +112,19 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // 修改密码后注销其他设备，当前设备使用新会话
+  await sessionService.revokeAllSessions(user._id, 'PASSWORD_CHANGED');
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
-// 生成token并发送响应
-const sendTokenResponse = (user, statusCode, res) => {
-  // 创建token
-  const token = user.getSignedJwtToken();
+// 创建设备会话，生成绑定会话的访问令牌并发送响应
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await sessionService.createSession(user, req);
+  const token = user.getSignedJwtToken(session._id);
 
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
+    expires: session.expiresAt,
     httpOnly: true
   };
 
@@ -126,11 +132,15 @@ const sendTokenResponse = (user, statusCode, res) => {
     options.secure = true;
   }
 
+  // 刷新令牌通过 /api/v2/auth/refresh-token 轮换
   res
     .status(statusCode)
     .cookie('token', token, options)
+    .cookie('refreshToken', refreshToken, { ...options, path: '/api/v2/auth' })
     .json({
       success: true,
-      token
+      token,
+      refreshToken,
+      sessionId: session._id
     });
 };
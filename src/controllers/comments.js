@@ -2,6 +2,26 @@ const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const contentFilterService = require('../services/contentFilterService');
+
+// 内容过滤：命中block时返回false，否则打码并写入审核字段
+const applyContentFilter = (req) => {
+  const result = contentFilterService.evaluateFields(
+    { content: req.body.content },
+    { userId: req.user.id, scope: 'comments' }
+  );
+
+  delete req.body.moderation;
+  if (result.action === 'block') {
+    return false;
+  }
+
+  Object.assign(req.body, result.values);
+  if (result.matches.length > 0) {
+    req.body.moderation = contentFilterService.toModeration(result);
+  }
+  return true;
+};
 
 // @desc    获取所有评论
 // @route   GET /api/v1/comments
@@ -9,7 +29,10 @@ const asyncHandler = require('../middleware/async');
 // @access  Public
 exports.getComments = asyncHandler(async (req, res, next) => {
   if (req.params.postId) {
-    const comments = await Comment.find({ post: req.params.postId }).populate({
+    const comments = await Comment.find({
+      post: req.params.postId,
+      ...contentFilterService.visibilityFilter(req.user && req.user.id)
+    }).populate({
       path: 'user',
       select: 'username'
     });
@@ -38,7 +61,8 @@ exports.getComment = asyncHandler(async (req, res, next) => {
       select: 'title'
     });
 
-  if (!comment) {
+  // 被内容过滤隐藏的内容只对发布者本人可见
+  if (!comment || !contentFilterService.isVisibleTo(comment, req.user && req.user.id)) {
     return next(
       new ErrorResponse(`未找到ID为${req.params.id}的评论`, 404)
     );
@@ -65,6 +89,10 @@ exports.createComment = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!applyContentFilter(req)) {
+    return next(new ErrorResponse('评论包含不允许发布的内容', 400));
+  }
+
   const comment = await Comment.create(req.body);
 
   res.status(201).json({
@@ -92,6 +120,10 @@ exports.updateComment = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!applyContentFilter(req)) {
+    return next(new ErrorResponse('评论包含不允许发布的内容', 400));
+  }
+
   comment = await Comment.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -2,12 +2,39 @@ const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const EnhancedBlockchainService = require('../services/enhancedBlockchainService');
+const EncryptionService = require('../services/encryptionService');
+const securityLogService = require('../services/securityLogService');
+const sessionService = require('../services/sessionService');
+const siweService = require('../services/siweService');
+const verificationService = require('../services/verificationService');
+const messageTransportService = require('../services/messageTransportService');
+const apiKeyService = require('../services/apiKeyService');
+const oauthService = require('../services/oauthService');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 
+const { SECURITY_EVENT_TYPES } = securityLogService;
+
+/**
+ * 钱包登录限流使用的地址：获取随机数时取查询参数，登录时取请求体或签名消息中的地址
+ */
+const getWalletAddressKey = (req) => {
+    let address = req.query.address || (req.body && req.body.walletAddress);
+    if (!address && req.body && req.body.message) {
+        try {
+            address = siweService.parseMessage(req.body.message).address;
+        } catch (error) {
+            address = '';
+        }
+    }
+    return String(address || '').toLowerCase();
+};
+
 class EnhancedAuthController {
     constructor() {
         this.blockchainService = new EnhancedBlockchainService();
+        this.encryptionService = new EncryptionService();
         
         // 登录限制器
         this.loginLimiter = rateLimit({
@@ -21,6 +48,19 @@ class EnhancedAuthController {
             legacyHeaders: false,
         });
         
+        // 钱包登录限制器：按IP和钱包地址计数，获取随机数和提交签名共用
+        this.walletLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15分钟
+            max: 10, // 每次登录需要先获取随机数再提交签名
+            keyGenerator: req => `${req.ip}:${getWalletAddressKey(req)}`,
+            message: {
+                success: false,
+                error: '钱包登录尝试次数过多，请15分钟后再试'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+        });
+        
         // 注册限制器
         this.registerLimiter = rateLimit({
             windowMs: 60 * 60 * 1000, // 1小时
@@ -30,6 +70,30 @@ class EnhancedAuthController {
                 error: '注册尝试次数过多，请1小时后再试'
             }
         });
+        
+        // 密码重置限制器
+        this.passwordResetLimiter = rateLimit({
+            windowMs: 60 * 60 * 1000, // 1小时
+            max: 5, // 最多5次请求
+            message: {
+                success: false,
+                error: '密码重置请求次数过多，请1小时后再试'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+        });
+        
+        // 验证码发送限制器
+        this.verificationLimiter = rateLimit({
+            windowMs: 60 * 60 * 1000, // 1小时
+            max: 5, // 最多发送5次
+            message: {
+                success: false,
+                error: '验证码发送次数过多，请1小时后再试'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+        });
     }
 
     /**
@@ -75,154 +139,1033 @@ class EnhancedAuthController {
             learningLanguages: learningLanguages || []
         };
 
-        // 如果需要创建钱包
-        if (createWallet) {
-            try {
-                const wallet = this.blockchainService.generateWallet();
-                userData.walletAddress = wallet.address;
-                userData.privateKey = this.encryptPrivateKey(wallet.privateKey);
-            } catch (error) {
-                console.warn('创建钱包失败，用户可稍后创建:', error);
-            }
+        // 如果需要创建钱包
+        if (createWallet) {
+            try {
+                const wallet = this.blockchainService.generateWallet();
+                userData.walletAddress = wallet.address;
+                userData.privateKey = this.encryptPrivateKey(wallet.privateKey);
+            } catch (error) {
+                console.warn('创建钱包失败，用户可稍后创建:', error);
+            }
+        }
+
+        // 创建用户
+        const user = await User.create(userData);
+
+        // 发送邮箱验证链接（验证后发放注册奖励）
+        try {
+            await verificationService.sendEmailVerification(user);
+        } catch (error) {
+            console.warn('发送邮箱验证邮件失败:', error);
+        }
+
+        // 生成响应（不包含敏感信息）
+        const userResponse = await User.findById(user._id).select('-privateKey');
+        
+        await this.sendTokenResponse(userResponse, 201, req, res, {
+            message: '注册成功，请查收邮箱验证邮件',
+            walletCreated: !!user.walletAddress
+        });
+    });
+
+    /**
+     * @desc    用户登录
+     * @route   POST /api/v1/auth/login
+     * @access  Public
+     */
+    login = asyncHandler(async (req, res, next) => {
+        const { email, password, rememberMe = false } = req.body;
+
+        // 验证邮箱和密码
+        if (!email || !password) {
+            return next(new ErrorResponse('请提供邮箱和密码', 400));
+        }
+
+        // 检查用户（包含密码字段）
+        const user = await User.findOne({ email }).select('+password');
+
+        if (!user) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                req,
+                success: false,
+                details: { method: 'password', email, reason: 'USER_NOT_FOUND' }
+            });
+            return next(new ErrorResponse('邮箱或密码错误', 401));
+        }
+
+        // 检查密码
+        const isMatch = await user.matchPassword(password);
+
+        if (!isMatch) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                user,
+                req,
+                success: false,
+                details: { method: 'password', reason: 'INVALID_PASSWORD' }
+            });
+            return next(new ErrorResponse('邮箱或密码错误', 401));
+        }
+
+        // 已启用两步验证：先返回挑战令牌，验证码通过后再签发正式令牌
+        if (user.security && user.security.twoFactorEnabled) {
+            return this.sendTwoFactorChallenge(user, res, 'password', rememberMe);
+        }
+
+        // 更新最后登录时间
+        user.lastLoginAt = new Date();
+        user.loginCount = (user.loginCount || 0) + 1;
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN, {
+            user,
+            req,
+            details: { method: 'password' }
+        });
+
+        // 发放每日登录奖励
+        try {
+            await this.distributeDailyLoginReward(user);
+        } catch (error) {
+            console.warn('发放每日登录奖励失败:', error);
+        }
+
+        // 生成响应
+        const userResponse = await User.findById(user._id).select('-privateKey');
+        
+        await this.sendTokenResponse(userResponse, 200, req, res, {
+            message: '登录成功',
+            isFirstLogin: user.loginCount === 1
+        }, rememberMe);
+    });
+
+    /**
+     * @desc    获取钱包登录消息（EIP-4361，一次性且会过期）
+     * @route   GET /api/v2/auth/wallet-nonce?address=0x...
+     * @access  Public
+     */
+    getWalletNonce = asyncHandler(async (req, res, next) => {
+        const { address } = req.query;
+
+        if (!address || !this.blockchainService.isValidAddress(address)) {
+            return next(new ErrorResponse('请提供有效的钱包地址', 400));
+        }
+
+        const nonceData = await siweService.issueNonce(address);
+
+        res.status(200).json({
+            success: true,
+            data: nonceData
+        });
+    });
+
+    /**
+     * @desc    钱包登录
+     * @route   POST /api/v1/auth/wallet-login
+     * @access  Public
+     */
+    walletLogin = asyncHandler(async (req, res, next) => {
+        const { signature, message } = req.body;
+
+        if (!signature || !message) {
+            return next(new ErrorResponse('请提供签名和登录消息', 400));
+        }
+
+        if (req.body.walletAddress && !this.blockchainService.isValidAddress(req.body.walletAddress)) {
+            return next(new ErrorResponse('无效的钱包地址', 400));
+        }
+
+        // 校验EIP-4361消息各字段、签名并消耗一次性随机数
+        const verification = await siweService.verify({
+            message,
+            signature,
+            address: req.body.walletAddress
+        });
+        
+        if (!verification.valid) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                req,
+                success: false,
+                details: { method: 'wallet', walletAddress: req.body.walletAddress, reason: verification.error }
+            });
+            return next(new ErrorResponse(`签名验证失败: ${verification.error}`, 401));
+        }
+
+        const walletAddress = verification.address;
+
+        // 查找或创建用户
+        let user = await User.findOne({ walletAddress });
+        
+        if (!user) {
+            // 创建新用户
+            user = await User.create({
+                username: `user_${walletAddress.slice(-8)}`,
+                email: `${walletAddress.toLowerCase()}@wallet.local`,
+                password: crypto.randomBytes(32).toString('hex'), // 随机密码
+                walletAddress,
+                isWalletUser: true,
+                security: { passwordSet: false }
+            });
+        }
+
+        if (user.security && user.security.twoFactorEnabled) {
+            return this.sendTwoFactorChallenge(user, res, 'wallet');
+        }
+
+        // 更新登录信息
+        user.lastLoginAt = new Date();
+        user.loginCount = (user.loginCount || 0) + 1;
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN, {
+            user,
+            req,
+            details: { method: 'wallet', walletAddress }
+        });
+
+        const userResponse = await User.findById(user._id).select('-privateKey');
+        
+        await this.sendTokenResponse(userResponse, 200, req, res, {
+            message: '钱包登录成功',
+            isNewUser: user.loginCount === 1
+        });
+    });
+
+    /**
+     * @desc    获取已启用的第三方登录提供方
+     * @route   GET /api/v2/auth/oauth/providers
+     * @access  Public
+     */
+    getOAuthProviders = asyncHandler(async (req, res, next) => {
+        res.status(200).json({
+            success: true,
+            data: oauthService.getEnabledProviders()
+        });
+    });
+
+    /**
+     * @desc    获取第三方登录授权链接
+     * @route   GET /api/v2/auth/oauth/:provider?rememberMe=true
+     * @access  Public
+     */
+    startOAuthLogin = asyncHandler(async (req, res, next) => {
+        const { provider } = req.params;
+
+        if (!oauthService.getProviderConfig(provider)) {
+            return next(new ErrorResponse('不支持该第三方登录方式', 404));
+        }
+
+        const authorization = await oauthService.createAuthorization(provider, {
+            mode: 'login',
+            rememberMe: req.query.rememberMe === 'true'
+        });
+
+        this.sendOAuthAuthorization(res, authorization);
+    });
+
+    /**
+     * @desc    第三方登录回调（前端回调页面提交code和state，并携带发起授权时设置的 oauthBinding cookie）
+     * @route   POST /api/v2/auth/oauth/:provider/callback
+     * @access  Public（绑定流程需要发起绑定的用户登录）
+     */
+    oauthCallback = asyncHandler(async (req, res, next) => {
+        const { provider } = req.params;
+        const { code, state } = req.body;
+
+        if (!oauthService.getProviderConfig(provider)) {
+            return next(new ErrorResponse('不支持该第三方登录方式', 404));
+        }
+
+        if (!code || !state) {
+            return next(new ErrorResponse('请提供授权码和state', 400));
+        }
+
+        const result = await oauthService.handleCallback(provider, {
+            code,
+            state,
+            binding: this.readCookie(req, 'oauthBinding'),
+            userId: req.user && req.user.id
+        });
+        res.clearCookie('oauthBinding', this.getOAuthBindingCookieOptions());
+
+        if (result.status !== 'ok') {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                req,
+                success: false,
+                details: { method: `oauth:${provider}`, reason: result.status.toUpperCase() }
+            });
+            return result.status === 'invalid_state'
+                ? next(new ErrorResponse('授权请求无效或已过期，请重新登录', 400))
+                : next(new ErrorResponse('第三方授权失败，请稍后重试', 502));
+        }
+
+        const { profile, stateRecord } = result;
+
+        // 绑定流程：授权发起时已登录的用户
+        if (stateRecord.mode === 'link') {
+            const user = await User.findById(stateRecord.user);
+            if (!user) {
+                return next(new ErrorResponse('用户不存在', 404));
+            }
+
+            const linkStatus = await oauthService.linkIdentity(user, provider, profile);
+
+            if (linkStatus === 'linked_to_other') {
+                return next(new ErrorResponse('该第三方账号已绑定其他用户', 409));
+            }
+            if (linkStatus === 'provider_already_linked') {
+                return next(new ErrorResponse('您已绑定该平台的其他账号，请先解绑', 409));
+            }
+
+            if (linkStatus === 'linked') {
+                await securityLogService.record(SECURITY_EVENT_TYPES.OAUTH_LINKED, {
+                    user,
+                    req,
+                    details: { provider }
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: linkStatus === 'linked' ? '第三方账号绑定成功' : '该第三方账号已绑定',
+                data: { provider, linked: true }
+            });
+        }
+
+        const { status, user } = await oauthService.resolveUser(provider, profile);
+
+        if (status === 'email_conflict') {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                req,
+                success: false,
+                details: { method: `oauth:${provider}`, reason: 'EMAIL_CONFLICT' }
+            });
+            return next(new ErrorResponse('该邮箱已注册，请使用原方式登录后在账户设置中绑定', 409));
+        }
+
+        if (status === 'linked') {
+            await securityLogService.record(SECURITY_EVENT_TYPES.OAUTH_LINKED, {
+                user,
+                req,
+                details: { provider, automatic: true }
+            });
+        }
+
+        if (user.security && user.security.twoFactorEnabled) {
+            return this.sendTwoFactorChallenge(user, res, `oauth:${provider}`, stateRecord.rememberMe);
+        }
+
+        user.lastLoginAt = new Date();
+        user.loginCount = (user.loginCount || 0) + 1;
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN, {
+            user,
+            req,
+            details: { method: `oauth:${provider}` }
+        });
+
+        const userResponse = await User.findById(user._id).select('-privateKey');
+
+        await this.sendTokenResponse(userResponse, status === 'created' ? 201 : 200, req, res, {
+            message: '第三方登录成功',
+            isNewUser: status === 'created'
+        }, stateRecord.rememberMe);
+    });
+
+    /**
+     * @desc    获取绑定第三方账号的授权链接
+     * @route   POST /api/v2/auth/oauth/:provider/link
+     * @access  Private
+     */
+    linkOAuthProvider = asyncHandler(async (req, res, next) => {
+        const { provider } = req.params;
+
+        if (!oauthService.getProviderConfig(provider)) {
+            return next(new ErrorResponse('不支持该第三方登录方式', 404));
+        }
+
+        const authorization = await oauthService.createAuthorization(provider, {
+            mode: 'link',
+            userId: req.user.id
+        });
+
+        this.sendOAuthAuthorization(res, authorization);
+    });
+
+    /**
+     * @desc    解除第三方账号绑定
+     * @route   DELETE /api/v2/auth/oauth/:provider
+     * @access  Private
+     */
+    unlinkOAuthProvider = asyncHandler(async (req, res, next) => {
+        const { provider } = req.params;
+        const status = await oauthService.unlinkIdentity(req.user.id, provider);
+
+        if (status === 'not_linked') {
+            return next(new ErrorResponse('未绑定该第三方账号', 404));
+        }
+        if (status === 'last_login_method') {
+            return next(new ErrorResponse('这是您唯一的登录方式，请先设置密码或绑定钱包', 400));
+        }
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.OAUTH_UNLINKED, {
+            user: req.user,
+            req,
+            details: { provider }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: '第三方账号已解绑'
+        });
+    });
+
+    /**
+     * @desc    用户登出
+     * @route   POST /api/v1/auth/logout
+     * @access  Private
+     */
+    logout = asyncHandler(async (req, res, next) => {
+        if (req.authSession) {
+            await sessionService.revokeSession(req.authSession._id, 'LOGOUT', req.user.id);
+        }
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.LOGOUT, {
+            user: req.user,
+            req,
+            details: { sessionId: req.authSession ? req.authSession._id : undefined }
+        });
+
+        // 清除cookie
+        const expiredOptions = this.getTokenCookieOptions(new Date(Date.now() + 10 * 1000));
+        res.cookie('token', 'none', expiredOptions);
+        res.cookie('refreshToken', 'none', { ...expiredOptions, path: '/api/v2/auth' });
+
+        res.status(200).json({
+            success: true,
+            message: '登出成功'
+        });
+    });
+
+    /**
+     * @desc    轮换刷新令牌
+     * @route   POST /api/v2/auth/refresh-token
+     * @access  Public（需提供刷新令牌）
+     */
+    refreshToken = asyncHandler(async (req, res, next) => {
+        const presentedToken = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+        if (!presentedToken) {
+            return next(new ErrorResponse('请提供刷新令牌', 400));
+        }
+
+        const { status, session, refreshToken } = await sessionService.rotateRefreshToken(presentedToken, req);
+
+        if (status === 'reused') {
+            await securityLogService.record(SECURITY_EVENT_TYPES.REFRESH_TOKEN_REUSED, {
+                user: session.user,
+                req,
+                success: false,
+                details: { sessionId: session._id }
+            });
+            return next(new ErrorResponse('刷新令牌已失效，该设备会话已被注销，请重新登录', 401));
+        }
+
+        if (status !== 'rotated') {
+            return next(new ErrorResponse('刷新令牌无效或已过期', 401));
+        }
+
+        const user = await User.findById(session.user);
+
+        if (!user || user.status === 'disabled') {
+            await sessionService.revokeSession(session._id, 'ADMIN');
+            return next(new ErrorResponse('账户不可用', 401));
+        }
+
+        const token = user.getSignedJwtToken(session._id);
+        const options = this.getTokenCookieOptions(session.expiresAt);
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.TOKEN_REFRESHED, {
+            user,
+            req,
+            details: { sessionId: session._id }
+        });
+
+        res
+            .status(200)
+            .cookie('token', token, options)
+            .cookie('refreshToken', refreshToken, { ...options, path: '/api/v2/auth' })
+            .json({
+                success: true,
+                token,
+                refreshToken,
+                sessionId: session._id,
+                message: '令牌刷新成功'
+            });
+    });
+
+    /**
+     * @desc    获取当前用户的登录设备会话
+     * @route   GET /api/v2/auth/sessions
+     * @access  Private
+     */
+    getSessions = asyncHandler(async (req, res, next) => {
+        const sessions = await sessionService.listActiveSessions(req.user.id);
+        const currentSessionId = req.authSession ? String(req.authSession._id) : null;
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                expiresAt: session.expiresAt,
+                current: String(session._id) === currentSessionId
+            }))
+        });
+    });
+
+    /**
+     * @desc    注销指定设备会话（远程登出）
+     * @route   DELETE /api/v2/auth/sessions/:id
+     * @access  Private
+     */
+    revokeSession = asyncHandler(async (req, res, next) => {
+        if (!/^[a-f0-9]{24}$/.test(req.params.id)) {
+            return next(new ErrorResponse('会话不存在', 404));
+        }
+
+        const revoked = await sessionService.revokeSession(req.params.id, 'REMOTE_LOGOUT', req.user.id);
+
+        if (!revoked) {
+            return next(new ErrorResponse('会话不存在或已失效', 404));
+        }
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.SESSION_REVOKED, {
+            user: req.user,
+            req,
+            details: { sessionId: req.params.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: '该设备已登出'
+        });
+    });
+
+    /**
+     * @desc    注销除当前设备外的所有会话
+     * @route   DELETE /api/v2/auth/sessions
+     * @access  Private
+     */
+    revokeOtherSessions = asyncHandler(async (req, res, next) => {
+        const revokedCount = await sessionService.revokeAllSessions(req.user.id, 'REMOTE_LOGOUT', {
+            exceptSessionId: req.authSession ? req.authSession._id : undefined
+        });
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.SESSION_REVOKED, {
+            user: req.user,
+            req,
+            details: { scope: 'others', revokedCount }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { revokedCount },
+            message: '其他设备已全部登出'
+        });
+    });
+
+    /**
+     * @desc    两步验证登录（第二步）
+     * @route   POST /api/v2/auth/verify-2fa
+     * @access  Public
+     */
+    verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+        const { twoFactorToken, code } = req.body;
+
+        if (!twoFactorToken || !code) {
+            return next(new ErrorResponse('请提供两步验证令牌和验证码', 400));
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+        } catch (error) {
+            return next(new ErrorResponse('两步验证令牌无效或已过期', 401));
+        }
+
+        if (decoded.purpose !== '2fa_login') {
+            return next(new ErrorResponse('两步验证令牌无效或已过期', 401));
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+security.twoFactorSecret +security.twoFactorRecoveryCodes');
+
+        if (!user || !user.security.twoFactorEnabled) {
+            return next(new ErrorResponse('两步验证令牌无效或已过期', 401));
+        }
+
+        const method = await this.verifyTwoFactorCode(user, code);
+        if (!method) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+                user,
+                req,
+                success: false,
+                details: { method: decoded.loginMethod, reason: 'INVALID_2FA_CODE' }
+            });
+            return next(new ErrorResponse('验证码错误', 401));
+        }
+
+        user.lastLoginAt = new Date();
+        user.loginCount = (user.loginCount || 0) + 1;
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.LOGIN, {
+            user,
+            req,
+            details: { method: decoded.loginMethod, twoFactorMethod: method }
+        });
+
+        if (decoded.loginMethod === 'password') {
+            try {
+                await this.distributeDailyLoginReward(user);
+            } catch (error) {
+                console.warn('发放每日登录奖励失败:', error);
+            }
+        }
+
+        const userResponse = await User.findById(user._id).select('-privateKey');
+
+        await this.sendTokenResponse(userResponse, 200, req, res, {
+            message: '登录成功',
+            twoFactorMethod: method,
+            recoveryCodesRemaining: user.security.twoFactorRecoveryCodes.length
+        }, !!decoded.rememberMe);
+    });
+
+    /**
+     * @desc    开始启用两步验证（生成密钥）
+     * @route   POST /api/v2/auth/enable-2fa
+     * @access  Private
+     */
+    enableTwoFactor = asyncHandler(async (req, res, next) => {
+        const user = await User.findById(req.user.id).select('+security.twoFactorPendingSecret');
+
+        if (user.security.twoFactorEnabled) {
+            return next(new ErrorResponse('两步验证已启用', 400));
+        }
+
+        const secret = this.encryptionService.generateTOTPSecret();
+        user.security.twoFactorPendingSecret = secret;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: this.encryptionService.generateTOTPUri(secret, user.email || user.username)
+            },
+            message: '请使用认证器应用扫描二维码，并提交验证码完成启用'
+        });
+    });
+
+    /**
+     * @desc    确认启用两步验证
+     * @route   POST /api/v2/auth/confirm-2fa
+     * @access  Private
+     */
+    confirmTwoFactor = asyncHandler(async (req, res, next) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ErrorResponse('请提供验证码', 400));
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+security.twoFactorPendingSecret +security.twoFactorSecret +security.twoFactorRecoveryCodes');
+
+        if (user.security.twoFactorEnabled) {
+            return next(new ErrorResponse('两步验证已启用', 400));
+        }
+
+        if (!user.security.twoFactorPendingSecret) {
+            return next(new ErrorResponse('请先调用启用两步验证接口', 400));
+        }
+
+        if (!await this.acceptTOTP(user, code, user.security.twoFactorPendingSecret)) {
+            return next(new ErrorResponse('验证码错误', 401));
+        }
+
+        const recoveryCodes = this.encryptionService.generateRecoveryCodes();
+
+        user.security.twoFactorSecret = user.security.twoFactorPendingSecret;
+        user.security.twoFactorPendingSecret = undefined;
+        user.security.twoFactorRecoveryCodes = recoveryCodes.map(c => this.encryptionService.hashToken(c));
+        user.security.twoFactorEnabled = true;
+        user.security.twoFactorEnabledAt = new Date();
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED, { user, req });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                recoveryCodes
+            },
+            message: '两步验证已启用，请妥善保存恢复码，恢复码仅显示一次'
+        });
+    });
+
+    /**
+     * @desc    关闭两步验证
+     * @route   POST /api/v2/auth/disable-2fa
+     * @access  Private
+     */
+    disableTwoFactor = asyncHandler(async (req, res, next) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ErrorResponse('请提供验证码或恢复码', 400));
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+security.twoFactorSecret +security.twoFactorRecoveryCodes');
+
+        if (!user.security.twoFactorEnabled) {
+            return next(new ErrorResponse('两步验证未启用', 400));
+        }
+
+        if (!await this.verifyTwoFactorCode(user, code)) {
+            return next(new ErrorResponse('验证码错误', 401));
+        }
+
+        user.security.twoFactorEnabled = false;
+        user.security.twoFactorSecret = undefined;
+        user.security.twoFactorRecoveryCodes = [];
+        user.security.twoFactorEnabledAt = undefined;
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED, { user, req });
+
+        res.status(200).json({
+            success: true,
+            message: '两步验证已关闭'
+        });
+    });
+
+    /**
+     * @desc    重新生成两步验证恢复码
+     * @route   POST /api/v2/auth/2fa/recovery-codes
+     * @access  Private
+     */
+    regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ErrorResponse('请提供验证码', 400));
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+security.twoFactorSecret +security.twoFactorRecoveryCodes');
+
+        if (!user.security.twoFactorEnabled) {
+            return next(new ErrorResponse('两步验证未启用', 400));
+        }
+
+        // 只接受认证器验证码，避免用恢复码换取新的恢复码
+        if (!await this.acceptTOTP(user, code, user.security.twoFactorSecret)) {
+            return next(new ErrorResponse('验证码错误', 401));
+        }
+
+        const recoveryCodes = this.encryptionService.generateRecoveryCodes();
+        user.security.twoFactorRecoveryCodes = recoveryCodes.map(c => this.encryptionService.hashToken(c));
+        await user.save();
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.TWO_FACTOR_RECOVERY_CODES_REGENERATED, { user, req });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                recoveryCodes
+            },
+            message: '恢复码已重新生成，旧恢复码已失效'
+        });
+    });
+
+    /**
+     * @desc    发送邮箱验证链接
+     * @route   POST /api/v2/auth/verify-email/send
+     * @access  Private
+     */
+    sendEmailVerification = asyncHandler(async (req, res, next) => {
+        const user = await User.findById(req.user.id);
+        const result = await verificationService.sendEmailVerification(user);
+
+        if (result.status === 'already_verified') {
+            return next(new ErrorResponse('邮箱已验证', 400));
+        }
+        if (result.status === 'cooldown') {
+            res.set('Retry-After', String(result.retryAfter));
+            return next(new ErrorResponse(`请在 ${result.retryAfter} 秒后重新发送`, 429));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                expires: result.expires
+            },
+            message: '验证邮件已发送'
+        });
+    });
+
+    /**
+     * @desc    验证邮箱
+     * @route   POST /api/v2/auth/verify-email
+     * @access  Public
+     */
+    verifyEmail = asyncHandler(async (req, res, next) => {
+        const token = req.body.token || req.query.token;
+
+        if (!token) {
+            return next(new ErrorResponse('请提供验证Token', 400));
+        }
+
+        const user = await verificationService.verifyEmail(token);
+
+        if (!user) {
+            return next(new ErrorResponse('验证链接无效或已过期', 400));
+        }
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.EMAIL_VERIFIED, {
+            user,
+            req,
+            details: { email: user.email }
+        });
+        await this.distributeRegistrationReward(user);
+
+        res.status(200).json({
+            success: true,
+            message: '邮箱验证成功'
+        });
+    });
+
+    /**
+     * @desc    发送手机验证码
+     * @route   POST /api/v2/auth/verify-phone/send
+     * @access  Private
+     */
+    sendPhoneVerification = asyncHandler(async (req, res, next) => {
+        const phoneNumber = verificationService.normalizePhoneNumber(req.body.phoneNumber);
+
+        if (!phoneNumber) {
+            return next(new ErrorResponse('请提供有效的手机号（国际格式，如 +8613800000000）', 400));
+        }
+
+        const existingUser = await User.findOne({
+            _id: { $ne: req.user.id },
+            'verification.phone.number': phoneNumber,
+            'verification.phone.verified': true
+        });
+        if (existingUser) {
+            return next(new ErrorResponse('该手机号已被其他用户验证', 400));
+        }
+
+        const user = await User.findById(req.user.id);
+        const result = await verificationService.sendPhoneVerification(user, phoneNumber);
+
+        if (result.status === 'already_verified') {
+            return next(new ErrorResponse('手机号已验证', 400));
+        }
+        if (result.status === 'cooldown') {
+            res.set('Retry-After', String(result.retryAfter));
+            return next(new ErrorResponse(`请在 ${result.retryAfter} 秒后重新发送`, 429));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                expires: result.expires
+            },
+            message: '验证码已发送'
+        });
+    });
+
+    /**
+     * @desc    验证手机号
+     * @route   POST /api/v2/auth/verify-phone
+     * @access  Private
+     */
+    verifyPhone = asyncHandler(async (req, res, next) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ErrorResponse('请提供验证码', 400));
         }
 
-        // 创建用户
-        const user = await User.create(userData);
+        const user = await User.findById(req.user.id).select('+verification.phone.token');
+        const result = await verificationService.verifyPhone(user, code);
 
-        // 发放注册奖励
-        if (user.walletAddress) {
-            try {
-                await this.distributeRegistrationReward(user);
-            } catch (error) {
-                console.warn('发放注册奖励失败:', error);
-            }
+        if (result !== 'verified') {
+            await securityLogService.record(SECURITY_EVENT_TYPES.PHONE_VERIFIED, {
+                user,
+                req,
+                success: false,
+                details: { reason: result.toUpperCase() }
+            });
+
+            const messages = {
+                not_requested: ['请先获取验证码', 400],
+                expired: ['验证码已过期，请重新获取', 400],
+                too_many_attempts: ['验证码错误次数过多，请重新获取', 429],
+                invalid: ['验证码错误', 400]
+            };
+            const [message, status] = messages[result];
+            return next(new ErrorResponse(message, status));
         }
 
-        // 生成响应（不包含敏感信息）
-        const userResponse = await User.findById(user._id).select('-privateKey');
-        
-        this.sendTokenResponse(userResponse, 201, res, {
-            message: '注册成功',
-            walletCreated: !!user.walletAddress
+        await securityLogService.record(SECURITY_EVENT_TYPES.PHONE_VERIFIED, {
+            user,
+            req,
+            details: { phoneNumber: user.verification.phone.number }
+        });
+        await this.distributeRegistrationReward(user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                phoneNumber: user.verification.phone.number
+            },
+            message: '手机号验证成功'
         });
     });
 
     /**
-     * @desc    用户登录
-     * @route   POST /api/v1/auth/login
-     * @access  Public
+     * @desc    获取API密钥列表
+     * @route   GET /api/v2/auth/api-keys
+     * @access  Private
      */
-    login = asyncHandler(async (req, res, next) => {
-        const { email, password, rememberMe = false } = req.body;
+    getApiKeys = asyncHandler(async (req, res, next) => {
+        const apiKeys = await apiKeyService.listKeys(req.user.id);
 
-        // 验证邮箱和密码
-        if (!email || !password) {
-            return next(new ErrorResponse('请提供邮箱和密码', 400));
-        }
+        res.status(200).json({
+            success: true,
+            count: apiKeys.length,
+            data: apiKeys
+        });
+    });
 
-        // 检查用户（包含密码字段）
-        const user = await User.findOne({ email }).select('+password');
+    /**
+     * @desc    创建API密钥（完整密钥只返回一次）
+     * @route   POST /api/v2/auth/api-keys
+     * @access  Private
+     */
+    createApiKey = asyncHandler(async (req, res, next) => {
+        const { name, organization, scopes, rateLimit, expiresInDays } = req.body;
 
-        if (!user) {
-            return next(new ErrorResponse('邮箱或密码错误', 401));
+        if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+            return next(new ErrorResponse('请提供密钥名称和权限范围', 400));
         }
 
-        // 检查密码
-        const isMatch = await user.matchPassword(password);
+        if (rateLimit !== undefined) {
+            return next(new ErrorResponse('限流配置只能由管理员修改', 403));
+        }
 
-        if (!isMatch) {
-            return next(new ErrorResponse('邮箱或密码错误', 401));
+        const invalidScopes = apiKeyService.getInvalidScopes(scopes);
+        if (invalidScopes.length > 0) {
+            return next(new ErrorResponse(`无效的权限范围: ${invalidScopes.join(', ')}`, 400));
         }
 
-        // 更新最后登录时间
-        user.lastLoginAt = new Date();
-        user.loginCount = (user.loginCount || 0) + 1;
-        await user.save();
+        const result = await apiKeyService.createKey(req.user.id, {
+            name,
+            organization,
+            scopes,
+            expiresInDays: parseInt(expiresInDays) || undefined
+        });
 
-        // 发放每日登录奖励
-        try {
-            await this.distributeDailyLoginReward(user);
-        } catch (error) {
-            console.warn('发放每日登录奖励失败:', error);
+        if (result.status === 'limit_reached') {
+            return next(new ErrorResponse(`最多只能创建 ${apiKeyService.maxKeysPerUser} 个API密钥`, 400));
         }
 
-        // 生成响应
-        const userResponse = await User.findById(user._id).select('-privateKey');
-        
-        this.sendTokenResponse(userResponse, 200, res, {
-            message: '登录成功',
-            isFirstLogin: user.loginCount === 1
-        }, rememberMe);
+        await securityLogService.record(SECURITY_EVENT_TYPES.API_KEY_CREATED, {
+            user: req.user.id,
+            req,
+            details: { apiKeyId: result.apiKey._id, prefix: result.apiKey.prefix, scopes: result.apiKey.scopes }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                apiKey: result.apiKey,
+                key: result.key
+            },
+            message: '请妥善保存API密钥，此后将无法再次查看'
+        });
     });
 
     /**
-     * @desc    钱包登录
-     * @route   POST /api/v1/auth/wallet-login
-     * @access  Public
+     * @desc    更新API密钥（名称、机构、权限范围）
+     * @route   PATCH /api/v2/auth/api-keys/:id
+     * @access  Private
      */
-    walletLogin = asyncHandler(async (req, res, next) => {
-        const { walletAddress, signature, message } = req.body;
+    updateApiKey = asyncHandler(async (req, res, next) => {
+        const { name, organization, scopes, rateLimit } = req.body;
 
-        if (!walletAddress || !signature || !message) {
-            return next(new ErrorResponse('请提供钱包地址、签名和消息', 400));
+        if (rateLimit !== undefined) {
+            return next(new ErrorResponse('限流配置只能由管理员修改', 403));
         }
 
-        // 验证钱包地址格式
-        if (!this.blockchainService.isValidAddress(walletAddress)) {
-            return next(new ErrorResponse('无效的钱包地址', 400));
+        if (scopes !== undefined) {
+            if (!Array.isArray(scopes) || scopes.length === 0) {
+                return next(new ErrorResponse('请至少选择一个权限范围', 400));
+            }
+            const invalidScopes = apiKeyService.getInvalidScopes(scopes);
+            if (invalidScopes.length > 0) {
+                return next(new ErrorResponse(`无效的权限范围: ${invalidScopes.join(', ')}`, 400));
+            }
         }
 
-        // 验证签名（这里需要实现签名验证逻辑）
-        const isValidSignature = await this.verifyWalletSignature(walletAddress, signature, message);
-        
-        if (!isValidSignature) {
-            return next(new ErrorResponse('签名验证失败', 401));
-        }
+        const apiKey = await apiKeyService.updateKey(req.params.id, req.user.id, {
+            name,
+            organization,
+            scopes
+        });
 
-        // 查找或创建用户
-        let user = await User.findOne({ walletAddress });
-        
-        if (!user) {
-            // 创建新用户
-            user = await User.create({
-                username: `user_${walletAddress.slice(-8)}`,
-                email: `${walletAddress.toLowerCase()}@wallet.local`,
-                password: crypto.randomBytes(32).toString('hex'), // 随机密码
-                walletAddress,
-                isWalletUser: true
-            });
+        if (!apiKey) {
+            return next(new ErrorResponse('API密钥不存在或已吊销', 404));
         }
 
-        // 更新登录信息
-        user.lastLoginAt = new Date();
-        user.loginCount = (user.loginCount || 0) + 1;
-        await user.save();
-
-        const userResponse = await User.findById(user._id).select('-privateKey');
-        
-        this.sendTokenResponse(userResponse, 200, res, {
-            message: '钱包登录成功',
-            isNewUser: user.loginCount === 1
+        res.status(200).json({
+            success: true,
+            data: apiKey
         });
     });
 
     /**
-     * @desc    用户登出
-     * @route   POST /api/v1/auth/logout
+     * @desc    吊销API密钥
+     * @route   DELETE /api/v2/auth/api-keys/:id
      * @access  Private
      */
-    logout = asyncHandler(async (req, res, next) => {
-        // 清除cookie
-        res.cookie('token', 'none', {
-            expires: new Date(Date.now() + 10 * 1000),
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict'
+    revokeApiKey = asyncHandler(async (req, res, next) => {
+        const apiKey = await apiKeyService.revokeKey(req.params.id, req.user.id);
+
+        if (!apiKey) {
+            return next(new ErrorResponse('API密钥不存在或已吊销', 404));
+        }
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.API_KEY_REVOKED, {
+            user: req.user.id,
+            req,
+            details: { apiKeyId: apiKey._id, prefix: apiKey.prefix }
         });
 
         res.status(200).json({
             success: true,
-            message: '登出成功'
+            message: 'API密钥已吊销'
         });
     });
 
@@ -301,6 +1244,15 @@ class EnhancedAuthController {
             }
         }
 
+        // 更换邮箱后需要重新验证
+        if (fieldsToUpdate.email) {
+            const currentUser = await User.findById(req.user.id).select('email');
+            if (currentUser && currentUser.email !== fieldsToUpdate.email) {
+                fieldsToUpdate['verification.email.verified'] = false;
+                fieldsToUpdate['verification.email.verifiedAt'] = undefined;
+            }
+        }
+
         const user = await User.findByIdAndUpdate(
             req.user.id, 
             fieldsToUpdate, 
@@ -333,6 +1285,12 @@ class EnhancedAuthController {
 
         // 检查当前密码
         if (!(await user.matchPassword(currentPassword))) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_CHANGED, {
+                user,
+                req,
+                success: false,
+                details: { reason: 'INVALID_CURRENT_PASSWORD' }
+            });
             return next(new ErrorResponse('当前密码不正确', 401));
         }
 
@@ -344,11 +1302,98 @@ class EnhancedAuthController {
         user.password = newPassword;
         await user.save();
 
-        this.sendTokenResponse(user, 200, res, {
+        await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_CHANGED, { user, req });
+
+        // 修改密码后注销所有设备，并为当前设备创建新会话
+        await sessionService.revokeAllSessions(user._id, 'PASSWORD_CHANGED');
+
+        await this.sendTokenResponse(user, 200, req, res, {
             message: '密码更新成功'
         });
     });
 
+    /**
+     * @desc    忘记密码（发送重置链接）
+     * @route   POST /api/v2/auth/forgot-password
+     * @access  Public
+     */
+    forgotPassword = asyncHandler(async (req, res, next) => {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return next(new ErrorResponse('请提供邮箱', 400));
+        }
+
+        // 无论账户是否存在都返回相同响应，避免泄露注册信息
+        const response = {
+            success: true,
+            message: '如果该邮箱已注册，重置链接将发送至该邮箱'
+        };
+
+        const user = await User.findOne({ email: email.trim() });
+
+        // 先返回响应，签发令牌和发送邮件在后台完成，避免通过响应时间判断账户是否存在
+        res.status(200).json(response);
+
+        if (user && user.status !== 'disabled') {
+            this.sendPasswordReset(user, req)
+                .catch(error => console.error('发送密码重置邮件失败:', error));
+        }
+    });
+
+    /**
+     * @desc    重置密码
+     * @route   PUT /api/v2/auth/reset-password/:token
+     * @access  Public
+     */
+    resetPassword = asyncHandler(async (req, res, next) => {
+        const { password } = req.body;
+
+        if (!password || password.length < 8) {
+            return next(new ErrorResponse('新密码至少需要8个字符', 400));
+        }
+
+        const resetPasswordToken = this.encryptionService.hashToken(req.params.token);
+
+        // 原子地消耗重置Token，保证只能使用一次
+        const consumed = await User.findOneAndUpdate(
+            {
+                'security.passwordResetToken': resetPasswordToken,
+                'security.passwordResetExpires': { $gt: Date.now() }
+            },
+            {
+                $unset: {
+                    'security.passwordResetToken': 1,
+                    'security.passwordResetExpires': 1
+                }
+            }
+        );
+
+        if (!consumed) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_RESET, {
+                req,
+                success: false,
+                details: { reason: 'INVALID_OR_EXPIRED_TOKEN' }
+            });
+            return next(new ErrorResponse('重置链接无效或已过期', 400));
+        }
+
+        const user = await User.findById(consumed._id).select('+password');
+        user.password = password;
+        user.security.loginAttempts = 0;
+        user.security.lockUntil = undefined;
+        user.security.passwordSet = true;
+        await user.save();
+
+        await sessionService.revokeAllSessions(user._id, 'PASSWORD_RESET');
+        await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_RESET, { user, req });
+
+        res.status(200).json({
+            success: true,
+            message: '密码重置成功，请使用新密码登录'
+        });
+    });
+
     /**
      * @desc    创建或绑定钱包
      * @route   POST /api/v1/auth/create-wallet
@@ -368,8 +1413,15 @@ class EnhancedAuthController {
             user.privateKey = this.encryptPrivateKey(wallet.privateKey);
             await user.save();
 
-            // 发放钱包创建奖励
+            await securityLogService.record(SECURITY_EVENT_TYPES.WALLET_CREATED, {
+                user,
+                req,
+                details: { walletAddress: wallet.address }
+            });
+
+            // 发放钱包创建奖励；已验证但尚未领取注册奖励的用户同时补发
             await this.distributeWalletCreationReward(user);
+            await this.distributeRegistrationReward(user);
 
             res.status(200).json({
                 success: true,
@@ -390,7 +1442,8 @@ class EnhancedAuthController {
      * @access  Private
      */
     bindWallet = asyncHandler(async (req, res, next) => {
-        const { walletAddress, signature, message } = req.body;
+        const { signature, message } = req.body;
+        let { walletAddress } = req.body;
 
         if (!walletAddress || !signature || !message) {
             return next(new ErrorResponse('请提供钱包地址、签名和消息', 400));
@@ -413,15 +1466,30 @@ class EnhancedAuthController {
             return next(new ErrorResponse('该钱包已被其他用户绑定', 400));
         }
 
-        // 验证签名
-        const isValidSignature = await this.verifyWalletSignature(walletAddress, signature, message);
-        if (!isValidSignature) {
-            return next(new ErrorResponse('钱包签名验证失败', 401));
+        // 验证EIP-4361签名消息
+        const verification = await siweService.verify({ message, signature, address: walletAddress });
+        if (!verification.valid) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.WALLET_BOUND, {
+                user,
+                req,
+                success: false,
+                details: { walletAddress, reason: verification.error }
+            });
+            return next(new ErrorResponse(`钱包签名验证失败: ${verification.error}`, 401));
         }
+        walletAddress = verification.address;
 
         user.walletAddress = walletAddress;
         await user.save();
 
+        await securityLogService.record(SECURITY_EVENT_TYPES.WALLET_BOUND, {
+            user,
+            req,
+            details: { walletAddress }
+        });
+
+        await this.distributeRegistrationReward(user);
+
         res.status(200).json({
             success: true,
             data: {
@@ -433,14 +1501,22 @@ class EnhancedAuthController {
 
     /**
      * 发放注册奖励
+     * 仅在邮箱或手机号验证后发放，且每个用户只发放一次
      */
     async distributeRegistrationReward(user) {
-        if (!user.walletAddress) return;
+        if (!user.walletAddress || !user.isContactVerified) return;
 
-        try {
-            const adminPrivateKey = process.env.ADMIN_PRIVATE_KEY;
-            if (!adminPrivateKey) return;
+        const adminPrivateKey = process.env.ADMIN_PRIVATE_KEY;
+        if (!adminPrivateKey) return;
+
+        // 先原子地占用奖励资格，防止并发请求重复发放
+        const claimed = await User.findOneAndUpdate(
+            { _id: user._id, 'tokenStats.registrationRewardClaimed': { $exists: false } },
+            { 'tokenStats.registrationRewardClaimed': new Date() }
+        );
+        if (!claimed) return;
 
+        try {
             await this.blockchainService.distributeReward(
                 user.walletAddress,
                 10, // 10 CBT注册奖励
@@ -452,6 +1528,11 @@ class EnhancedAuthController {
             console.log(`✅ 注册奖励已发放给用户: ${user.username}`);
         } catch (error) {
             console.error('发放注册奖励失败:', error);
+            // 释放奖励资格，以便下次重试
+            await User.updateOne(
+                { _id: user._id },
+                { $unset: { 'tokenStats.registrationRewardClaimed': 1 } }
+            );
         }
     }
 
@@ -512,19 +1593,106 @@ class EnhancedAuthController {
     }
 
     /**
-     * 验证钱包签名
+     * 校验两步验证码（TOTP或一次性恢复码）
+     * 返回使用的验证方式，失败返回null；恢复码校验成功后会被消耗
      */
-    async verifyWalletSignature(walletAddress, signature, message) {
-        try {
-            // 这里需要实现实际的签名验证逻辑
-            // 使用ethers.js验证签名
-            const { ethers } = require('ethers');
-            const recoveredAddress = ethers.verifyMessage(message, signature);
-            return recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
-        } catch (error) {
-            console.error('签名验证失败:', error);
+    async verifyTwoFactorCode(user, code) {
+        const normalized = String(code).trim();
+
+        if (/^\d{6}$/.test(normalized)) {
+            return await this.acceptTOTP(user, normalized, user.security.twoFactorSecret) ? 'totp' : null;
+        }
+
+        // 条件更新中移除恢复码，并发提交同一恢复码时只有一个请求成功
+        const hashed = this.encryptionService.hashToken(normalized.toLowerCase());
+        const result = await User.updateOne({
+            _id: user._id,
+            'security.twoFactorRecoveryCodes': hashed
+        }, {
+            $pull: { 'security.twoFactorRecoveryCodes': hashed }
+        });
+
+        if (result.modifiedCount !== 1) {
+            return null;
+        }
+
+        // 同步内存中的文档，但不标记修改，避免之后 save() 用旧列表覆盖其他请求的移除
+        user.security.twoFactorRecoveryCodes = (user.security.twoFactorRecoveryCodes || []).filter(item => item !== hashed);
+        user.unmarkModified('security.twoFactorRecoveryCodes');
+        return 'recovery';
+    }
+
+    /**
+     * 校验TOTP验证码，每个时间步的验证码只接受一次
+     * 按上次使用的时间步做条件更新，并发提交同一验证码时只有一个请求成功
+     */
+    async acceptTOTP(user, code, secret) {
+        const step = this.encryptionService.matchTOTPStep(code, secret);
+        if (step === null) {
+            return false;
+        }
+
+        const result = await User.updateOne({
+            _id: user._id,
+            $or: [
+                { 'security.twoFactorLastStep': null },
+                { 'security.twoFactorLastStep': { $lt: step } }
+            ]
+        }, {
+            $set: { 'security.twoFactorLastStep': step }
+        });
+
+        if (result.modifiedCount === 0) {
             return false;
         }
+
+        user.security.twoFactorLastStep = step;
+        return true;
+    }
+
+    /**
+     * 签发密码重置令牌并发送重置邮件
+     */
+    async sendPasswordReset(user, req) {
+        const resetToken = user.getResetPasswordToken();
+        await user.save({ validateBeforeSave: false });
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED, { user, req });
+
+        const baseUrl = process.env.PASSWORD_RESET_URL ||
+            `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password`;
+
+        await messageTransportService.sendEmail(
+            user.email,
+            'CultureBridge 密码重置 / Reset your password',
+            `您好 ${user.username}，请在10分钟内点击以下链接重置密码：\n${baseUrl}/${resetToken}\n如果这不是您本人的操作，请忽略此邮件。`,
+            { type: 'password_reset', userId: String(user._id) }
+        );
+    }
+
+    /**
+     * 发送两步验证挑战响应
+     */
+    sendTwoFactorChallenge(user, res, loginMethod, rememberMe = false) {
+        const twoFactorToken = jwt.sign(
+            {
+                id: user._id,
+                purpose: '2fa_login',
+                loginMethod,
+                rememberMe
+            },
+            process.env.JWT_SECRET,
+            {
+                expiresIn: '5m'
+            }
+        );
+
+        res.status(200).json({
+            success: true,
+            requiresTwoFactor: true,
+            twoFactorToken,
+            message: '请输入两步验证码'
+        });
     }
 
     /**
@@ -560,27 +1728,80 @@ class EnhancedAuthController {
     }
 
     /**
-     * 生成token并发送响应
+     * 令牌Cookie选项
      */
-    sendTokenResponse(user, statusCode, res, additionalData = {}, rememberMe = false) {
-        // 创建token
-        const token = user.getSignedJwtToken();
-
-        // Cookie选项
-        const cookieExpire = rememberMe ? 30 : 1; // 记住我：30天，否则1天
-        const options = {
-            expires: new Date(Date.now() + cookieExpire * 24 * 60 * 60 * 1000),
+    getTokenCookieOptions(expires) {
+        return {
+            expires,
             httpOnly: true,
             secure: process.env.NODE_ENV === 'production',
             sameSite: 'strict'
         };
+    }
+
+    getOAuthBindingCookieOptions(maxAge) {
+        return {
+            ...(maxAge ? { maxAge } : {}),
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            path: '/api/v2/auth/oauth'
+        };
+    }
+
+    /**
+     * 返回授权链接；state 的绑定值只写入 httpOnly cookie，不出现在响应体中
+     */
+    sendOAuthAuthorization(res, { binding, expiresIn, ...authorization }) {
+        res
+            .status(200)
+            .cookie('oauthBinding', binding, this.getOAuthBindingCookieOptions(expiresIn))
+            .json({
+                success: true,
+                data: authorization
+            });
+    }
+
+    /**
+     * 读取请求中的cookie（未使用cookie解析中间件）
+     */
+    readCookie(req, name) {
+        if (req.cookies && req.cookies[name]) return req.cookies[name];
+
+        const header = req.headers && req.headers.cookie;
+        if (!header) return undefined;
+
+        for (const part of header.split(';')) {
+            const index = part.indexOf('=');
+            if (index > 0 && part.slice(0, index).trim() === name) {
+                try {
+                    return decodeURIComponent(part.slice(index + 1).trim());
+                } catch (error) {
+                    return undefined;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 创建设备会话，生成访问令牌和刷新令牌并发送响应
+     */
+    async sendTokenResponse(user, statusCode, req, res, additionalData = {}, rememberMe = false) {
+        // 记住我：会话30天，否则1天
+        const { session, refreshToken } = await sessionService.createSession(user, req, { rememberMe });
+        const token = user.getSignedJwtToken(session._id);
+        const options = this.getTokenCookieOptions(session.expiresAt);
 
         res
             .status(statusCode)
             .cookie('token', token, options)
+            .cookie('refreshToken', refreshToken, { ...options, path: '/api/v2/auth' })
             .json({
                 success: true,
                 token,
+                refreshToken,
+                sessionId: session._id,
                 data: user,
                 ...additionalData
             });
@@ -2,6 +2,18 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const e2eKeyService = require('../services/e2eKeyService');
+const notificationService = require('../services/notificationService');
+
+// 记入收件人的通知信箱，离线时通过Web Push或邮件汇总提醒（加密私信不含内容预览）
+const notifyReceiver = (req, message) => notificationService.notify({
+  user: message.receiver,
+  type: 'DIRECT_MESSAGE',
+  actor: req.user.id,
+  title: `${req.user.username || '有人'} 给您发来私信`,
+  body: message.encrypted ? '[加密消息]' : (typeof message.content === 'string' ? message.content.slice(0, 200) : ''),
+  data: { messageId: message._id, from: req.user.id, encrypted: Boolean(message.encrypted) }
+});
 
 // @desc    获取用户的所有消息
 // @route   GET /api/v1/messages
@@ -77,9 +89,7 @@ exports.getConversation = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/messages
 // @access  Private
 exports.sendMessage = asyncHandler(async (req, res, next) => {
-  req.body.sender = req.user.id;
-
-  const { receiver, content } = req.body;
+  const { receiver, content, encryption } = req.body;
 
   // 检查接收者是否存在
   const user = await User.findById(receiver);
@@ -89,7 +99,34 @@ exports.sendMessage = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const message = await Message.create(req.body);
+  if (!encryption) {
+    const message = await Message.create({ sender: req.user.id, receiver, content });
+    await notifyReceiver(req, message);
+
+    return res.status(201).json({
+      success: true,
+      data: message
+    });
+  }
+
+  // 端到端加密消息：只保存各设备的密文
+  const result = await e2eKeyService.validateEncryption(req.user.id, receiver, encryption);
+  switch (result.status) {
+    case 'invalid_payload':
+      return next(new ErrorResponse('加密消息格式无效', 400));
+    case 'no_devices':
+      return next(new ErrorResponse('对方尚未启用端到端加密', 400));
+    case 'stale_devices':
+      return next(new ErrorResponse('对方的设备列表已变化，请重新获取密钥后再发送', 409));
+  }
+
+  const message = await Message.create({
+    sender: req.user.id,
+    receiver,
+    encrypted: true,
+    encryption: result.encryption
+  });
+  await notifyReceiver(req, message);
 
   res.status(201).json({
     success: true,
@@ -119,7 +156,7 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
     );
   }
 
-  await message.remove();
+  await message.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -157,3 +194,89 @@ exports.markAsRead = asyncHandler(async (req, res, next) => {
     data: message
   });
 });
+
+// @desc    获取当前用户已登记的加密设备
+// @route   GET /api/v1/messages/keys/devices
+// @access  Private
+exports.getDevices = asyncHandler(async (req, res, next) => {
+  const devices = await e2eKeyService.listDevices(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: devices.length,
+    data: devices
+  });
+});
+
+// @desc    上传或替换设备的公钥包
+// @route   PUT /api/v1/messages/keys/devices/:deviceId
+// @access  Private
+exports.registerDevice = asyncHandler(async (req, res, next) => {
+  const result = await e2eKeyService.registerDevice(req.user.id, req.params.deviceId, req.body);
+
+  if (result.status === 'invalid_bundle') {
+    return next(new ErrorResponse('公钥包格式无效', 400));
+  }
+  if (result.status === 'device_limit') {
+    return next(new ErrorResponse(`最多只能登记${e2eKeyService.maxDevicesPerUser}台设备`, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      deviceId: result.device.deviceId,
+      fingerprint: e2eKeyService.getFingerprint(result.device.identityKey),
+      remainingPreKeys: result.device.oneTimePreKeys.length
+    }
+  });
+});
+
+// @desc    补充一次性预共享公钥
+// @route   POST /api/v1/messages/keys/devices/:deviceId/prekeys
+// @access  Private
+exports.addPreKeys = asyncHandler(async (req, res, next) => {
+  const result = await e2eKeyService.addPreKeys(req.user.id, req.params.deviceId, req.body.preKeys);
+
+  if (result.status === 'invalid_bundle') {
+    return next(new ErrorResponse('公钥格式无效', 400));
+  }
+  if (result.status === 'not_found') {
+    return next(new ErrorResponse('设备未登记', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { remainingPreKeys: result.remaining }
+  });
+});
+
+// @desc    移除设备的公钥
+// @route   DELETE /api/v1/messages/keys/devices/:deviceId
+// @access  Private
+exports.removeDevice = asyncHandler(async (req, res, next) => {
+  if (!await e2eKeyService.removeDevice(req.user.id, req.params.deviceId)) {
+    return next(new ErrorResponse('设备未登记', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    获取用户所有设备的公钥包，用于建立加密会话
+// @route   GET /api/v1/messages/keys/:userId
+// @access  Private
+exports.getPreKeyBundles = asyncHandler(async (req, res, next) => {
+  const bundles = await e2eKeyService.getPreKeyBundles(req.params.userId);
+
+  if (bundles.length === 0) {
+    return next(new ErrorResponse('对方尚未启用端到端加密', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: bundles.length,
+    data: bundles
+  });
+});
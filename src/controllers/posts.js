@@ -2,6 +2,26 @@ const Post = require('../models/Post');
 const Topic = require('../models/Topic');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const contentFilterService = require('../services/contentFilterService');
+
+// 内容过滤：命中block时返回false，否则打码并写入审核字段
+const applyContentFilter = (req) => {
+  const result = contentFilterService.evaluateFields(
+    { title: req.body.title, content: req.body.content },
+    { userId: req.user.id, scope: 'posts' }
+  );
+
+  delete req.body.moderation;
+  if (result.action === 'block') {
+    return false;
+  }
+
+  Object.assign(req.body, result.values);
+  if (result.matches.length > 0) {
+    req.body.moderation = contentFilterService.toModeration(result);
+  }
+  return true;
+};
 
 // @desc    获取所有帖子
 // @route   GET /api/v1/posts
@@ -9,7 +29,10 @@ const asyncHandler = require('../middleware/async');
 // @access  Public
 exports.getPosts = asyncHandler(async (req, res, next) => {
   if (req.params.topicId) {
-    const posts = await Post.find({ topic: req.params.topicId }).populate({
+    const posts = await Post.find({
+      topic: req.params.topicId,
+      ...contentFilterService.visibilityFilter(req.user && req.user.id)
+    }).populate({
       path: 'user',
       select: 'username'
     });
@@ -38,7 +61,8 @@ exports.getPost = asyncHandler(async (req, res, next) => {
       select: 'title category'
     });
 
-  if (!post) {
+  // 被内容过滤隐藏的内容只对发布者本人可见
+  if (!post || !contentFilterService.isVisibleTo(post, req.user && req.user.id)) {
     return next(
       new ErrorResponse(`未找到ID为${req.params.id}的帖子`, 404)
     );
@@ -65,6 +89,10 @@ exports.createPost = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!applyContentFilter(req)) {
+    return next(new ErrorResponse('帖子包含不允许发布的内容', 400));
+  }
+
   const post = await Post.create(req.body);
 
   res.status(201).json({
@@ -92,6 +120,10 @@ exports.updatePost = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!applyContentFilter(req)) {
+    return next(new ErrorResponse('帖子包含不允许发布的内容', 400));
+  }
+
   post = await Post.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -54,6 +54,15 @@ const EnhancedSocketService = require("./services/enhancedSocketService");
 const EnhancedBlockchainService = require("./services/enhancedBlockchainService");
 const EnhancedTranslationService = require("./services/enhancedTranslationService");
 const EnhancedVoiceTranslationService = require("./services/enhancedVoiceTranslationService");
+const EnhancedChatService = require("./services/enhancedChatService");
+const chatSchedulerService = require("./services/chatSchedulerService");
+const chatExportService = require("./services/chatExportService");
+const chatArchiveService = require("./services/chatArchiveService");
+const voiceStreamingService = require("./services/voiceStreamingService");
+const accountDataService = require("./services/accountDataService");
+const siweService = require("./services/siweService");
+const notificationService = require("./services/notificationService");
+const messageTransportService = require("./services/messageTransportService");
 
 // 连接数据库（测试环境跳过）
 if (process.env.NODE_ENV !== "test") {
@@ -74,6 +83,12 @@ let voiceTranslationService = null;
 
 if (process.env.NODE_ENV !== "test") {
   try {
+    // 钱包登录的域名绑定依赖 SIWE_DOMAIN，缺失时拒绝启动
+    siweService.assertConfigured();
+
+    // 生产环境必须显式配置邮件和短信传输，避免验证码和重置链接打印到日志
+    messageTransportService.assertConfigured();
+
     // 初始化区块链服务
     blockchainService = new EnhancedBlockchainService();
     console.log("✅ 增强版区块链服务已初始化");
@@ -90,6 +105,29 @@ if (process.env.NODE_ENV !== "test") {
     socketService = new EnhancedSocketService(server);
     console.log("✅ 增强版Socket.IO服务已初始化");
 
+    // 实时语音翻译使用独立的 /voice 命名空间（会话通过 POST /api/voice/realtime 创建）
+    voiceStreamingService.attach(socketService.io);
+
+    // 定时消息复用聊天的发送流程（内容过滤、自动翻译），通过Socket.IO服务广播
+    EnhancedChatService.createMessagePipeline(socketService.io, socketService.presence).startScheduledMessages();
+    console.log("✅ 定时消息任务已启动");
+
+    // 后台生成较大的聊天记录导出文件
+    chatExportService.start();
+    console.log("✅ 聊天记录导出任务已启动");
+
+    // 后台将归档聊天室的历史消息移入冷数据集合
+    chatArchiveService.start();
+    console.log("✅ 聊天室归档任务已启动");
+
+    // 启动账户删除定时任务
+    accountDataService.startDeletionScheduler();
+    console.log("✅ 账户删除定时任务已启动");
+
+    // 离线通知的邮件汇总
+    notificationService.startDigestSchedule();
+    console.log("✅ 通知邮件汇总任务已启动");
+
   } catch (error) {
     console.error("❌ 服务初始化失败:", error);
     process.exit(1);
@@ -145,6 +183,11 @@ process.on("SIGTERM", async () => {
     if (blockchainService) await blockchainService.close();
     if (translationService) await translationService.close();
     if (voiceTranslationService) await voiceTranslationService.close();
+    accountDataService.stopDeletionScheduler();
+    notificationService.stopDigestSchedule();
+    chatSchedulerService.stop();
+    chatExportService.stop();
+    chatArchiveService.stop();
     mongoose.connection.close(false, () => {
       console.log("✅ MongoDB连接已关闭");
       process.exit(0);
@@ -17,6 +17,8 @@ const TranslationService = require('./services/translationService');
 const ChatService = require('./services/chatService');
 const UserService = require('./services/userService');
 const RewardService = require('./services/rewardService');
+const siweService = require('./services/siweService');
+const { PERMISSIONS, hasPermission } = require('./config/permissions');
 
 class CultureBridgeServer {
     constructor() {
@@ -219,6 +221,26 @@ class CultureBridgeServer {
      * 配置认证路由
      */
     configureAuthRoutes() {
+        // 获取钱包登录消息（EIP-4361）
+        this.app.get('/api/auth/wallet-nonce', async (req, res) => {
+            try {
+                const { address } = req.query;
+                if (!address || !this.blockchainService.isValidAddress(address)) {
+                    return res.status(400).json({ error: '无效的钱包地址' });
+                }
+                
+                const nonceData = await siweService.issueNonce(address);
+                
+                res.json({
+                    success: true,
+                    data: nonceData
+                });
+            } catch (error) {
+                console.error('获取登录消息失败:', error);
+                res.status(500).json({ error: '获取登录消息失败' });
+            }
+        });
+        
         // 钱包登录
         this.app.post('/api/auth/wallet-login', [
             body('walletAddress').isEthereumAddress().withMessage('无效的钱包地址'),
@@ -438,9 +460,9 @@ class CultureBridgeServer {
                 
                 const { recipient, amount, reason, category } = req.body;
                 
-                // 验证用户权限（只有管理员可以分发奖励）
+                // 验证用户权限（需要奖励分发权限）
                 const user = await this.userService.getUserById(req.user.userId);
-                if (!user.isAdmin) {
+                if (!user || !hasPermission(user, PERMISSIONS.REWARDS_DISTRIBUTE)) {
                     return res.status(403).json({ error: '权限不足' });
                 }
                 
@@ -89,6 +89,9 @@ class AdvancedRateLimiter {
       case 'global':
         return baseKey + 'global';
       
+      case 'apiKey':
+        return baseKey + 'apikey:' + (req.apiKey ? req.apiKey.id : this.getClientIP(req));
+      
       case 'combined':
         const ip = this.getClientIP(req);
         const user = req.user ? req.user.id : 'anonymous';
@@ -290,6 +293,33 @@ class AdvancedRateLimiter {
     };
   }
 
+  // API密钥限流 - 按每个密钥配置的窗口和次数限制
+  // 相同配置的密钥共享同一个限流器实例，计数仍按密钥隔离
+  createApiKeyLimiter() {
+    return (req, res, next) => {
+      if (!req.apiKey) {
+        return next();
+      }
+
+      const { windowMs, max } = req.apiKey.rateLimit;
+      const cacheKey = `apikey:${windowMs}:${max}`;
+
+      if (!this.limiters.has(cacheKey)) {
+        this.limiters.set(cacheKey, this.createBasicLimiter({
+          windowMs,
+          max,
+          keyType: 'apiKey',
+          message: {
+            error: 'API密钥请求过于频繁，请稍后再试',
+            retryAfter: '请在 {{retryAfter}} 秒后重试'
+          }
+        }));
+      }
+
+      this.limiters.get(cacheKey)(req, res, next);
+    };
+  }
+
   // 智能限流 - 根据系统负载调整
   createSmartLimiter(baseConfig = {}) {
     return async (req, res, next) => {
@@ -411,6 +441,9 @@ module.exports = {
   // 预设限流器
   ...advancedRateLimiter.getPresetLimiters(),
   
+  // API密钥限流器
+  apiKeyLimiter: advancedRateLimiter.createApiKeyLimiter(),
+  
   // 便捷方法
   createDynamicLimiter: (config) => advancedRateLimiter.createDynamicLimiter(config),
   createSmartLimiter: (config) => advancedRateLimiter.createSmartLimiter(config),
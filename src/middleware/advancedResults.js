@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const contentFilterService = require('../services/contentFilterService');
 
 /**
  * 高级查询结果中间件
@@ -52,6 +53,12 @@ const advancedResults = (model, populate) => async (req, res, next) => {
         }
     }
 
+    // 被内容过滤隐藏的内容只在发布者本人的列表中出现
+    if (model.schema.path('moderation.shadowHidden')) {
+        const userId = req.user && model.schema.path('user') ? req.user.id : null;
+        parsedQuery.$and = [...(parsedQuery.$and || []), contentFilterService.visibilityFilter(userId)];
+    }
+
     // 查找资源
     query = model.find(parsedQuery);
 
@@ -8,6 +8,7 @@ const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { cacheManager } = require('../config/redis');
+const securityLogService = require('../services/securityLogService');
 
 /**
  * 高级安全中间件集合
@@ -459,6 +460,15 @@ class SecurityMiddleware {
         
         console.warn(`🔒 安全事件 / Security Event [${eventType}]:`, details);
         
+        // 持久化到安全事件存储
+        await securityLogService.record(eventType, {
+            user: details && details.userId,
+            severity: event.severity,
+            category: 'system',
+            success: false,
+            details
+        });
+        
         try {
             // 保存到Redis用于实时监控
             await cacheManager.lpush('security_events', event);
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const { ROLES, getUserRoles, hasPermission } = require('../config/permissions');
 
 /**
  * 身份验证中间件
@@ -25,6 +28,14 @@ const auth = async (req, res, next) => {
         // 验证token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
         
+        // 两步验证挑战、语音流等专用令牌（带 purpose）和未绑定会话的令牌不能作为登录凭证
+        if (decoded.purpose || !decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                error: '无效的token'
+            });
+        }
+        
         // 从数据库获取用户信息（测试环境跳过数据库查询）
         if (process.env.NODE_ENV === 'test') {
             req.user = { id: decoded.id, username: 'testuser' };
@@ -48,6 +59,26 @@ const auth = async (req, res, next) => {
             });
         }
         
+        // 修改或重置密码前签发的令牌失效
+        if (user.changedPasswordAfter(decoded.iat)) {
+            return res.status(401).json({
+                success: false,
+                error: '密码已修改，请重新登录'
+            });
+        }
+        
+        // 会话被吊销或过期后令牌立即失效
+        const session = await sessionService.validateSession(decoded.sid, user._id);
+        
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                error: '会话已失效，请重新登录'
+            });
+        }
+        
+        req.authSession = session;
+        
         // 将用户信息添加到请求对象
         req.user = user;
         next();
@@ -97,6 +128,11 @@ const optionalAuth = async (req, res, next) => {
         // 验证token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
         
+        // 专用令牌和未绑定会话的令牌不作为登录凭证，按未登录处理
+        if (decoded.purpose || !decoded.sid) {
+            return next();
+        }
+        
         // 测试环境跳过数据库查询
         if (process.env.NODE_ENV === 'test') {
             req.user = { id: decoded.id, username: 'testuser' };
@@ -106,8 +142,13 @@ const optionalAuth = async (req, res, next) => {
         // 从数据库获取用户信息
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && user.status !== 'disabled') {
-            req.user = user;
+        if (user && user.status !== 'disabled' && !user.changedPasswordAfter(decoded.iat)) {
+            const session = await sessionService.validateSession(decoded.sid, user._id);
+            
+            if (session) {
+                req.user = user;
+                req.authSession = session;
+            }
         }
         
         next();
@@ -120,10 +161,83 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * 管理员权限验证中间件
- * Admin authorization middleware
+ * 校验 X-API-Key 及其权限范围，通过后设置 req.user 和 req.apiKey
+ */
+const verifyApiKey = async (key, scopes, req, res, next) => {
+    try {
+        const apiKey = await apiKeyService.authenticate(key, req);
+        
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'API密钥无效、已过期或已吊销'
+            });
+        }
+        
+        if (apiKey.owner.status === 'disabled') {
+            return res.status(401).json({
+                success: false,
+                error: '账户已被禁用'
+            });
+        }
+        
+        const missing = scopes.filter(scope => !apiKey.scopes.includes(scope));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: `API密钥缺少权限范围: ${missing.join(', ')}`
+            });
+        }
+        
+        req.user = apiKey.owner;
+        req.apiKey = apiKey;
+        next();
+        
+    } catch (error) {
+        console.error('API密钥验证失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '服务器错误'
+        });
+    }
+};
+
+/**
+ * API密钥或JWT身份验证中间件
+ * 请求携带 X-API-Key 时按API密钥验证并检查权限范围，否则回退到JWT验证
+ * @example router.post('/translate', authOrApiKey('translation'), apiKeyLimiter, handler)
+ */
+const authOrApiKey = (...scopes) => (req, res, next) => {
+    const key = req.header('X-API-Key');
+    
+    if (!key) {
+        return auth(req, res, next);
+    }
+    
+    return verifyApiKey(key, scopes, req, res, next);
+};
+
+/**
+ * 可选的API密钥身份验证中间件（公开接口使用）
+ * 携带 X-API-Key 时按API密钥验证，配合 apiKeyLimiter 使用密钥自己的配额；否则按可选JWT验证处理
+ * @example router.post('/translate', optionalApiKey('translation'), apiKeyLimiter, handler)
+ */
+const optionalApiKey = (...scopes) => (req, res, next) => {
+    const key = req.header('X-API-Key');
+    
+    if (!key) {
+        return optionalAuth(req, res, next);
+    }
+    
+    return verifyApiKey(key, scopes, req, res, next);
+};
+
+/**
+ * 权限验证中间件（需拥有全部指定权限）
+ * Permission authorization middleware
+ * @example router.post('/deploy', protect, requirePermission('contracts.deploy'), handler)
  */
-const adminAuth = (req, res, next) => {
+const requirePermission = (...permissions) => (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({
             success: false,
@@ -131,10 +245,12 @@ const adminAuth = (req, res, next) => {
         });
     }
     
-    if (req.user.role !== 'admin') {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    
+    if (missing.length > 0) {
         return res.status(403).json({
             success: false,
-            error: '需要管理员权限'
+            error: `权限不足，需要权限: ${missing.join(', ')}`
         });
     }
     
@@ -142,10 +258,10 @@ const adminAuth = (req, res, next) => {
 };
 
 /**
- * 版主权限验证中间件
- * Moderator authorization middleware
+ * 角色验证中间件（拥有任一指定角色即可）
+ * Role authorization middleware
  */
-const moderatorAuth = (req, res, next) => {
+const authorize = (...roles) => (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({
             success: false,
@@ -153,16 +269,30 @@ const moderatorAuth = (req, res, next) => {
         });
     }
     
-    if (!['admin', 'moderator'].includes(req.user.role)) {
+    const userRoles = getUserRoles(req.user);
+    
+    if (!roles.some(role => userRoles.includes(role))) {
         return res.status(403).json({
             success: false,
-            error: '需要版主或管理员权限'
+            error: `需要以下角色之一: ${roles.map(role => ROLES[role] ? ROLES[role].name : role).join(', ')}`
         });
     }
     
     next();
 };
 
+/**
+ * 管理员权限验证中间件
+ * Admin authorization middleware
+ */
+const adminAuth = authorize('admin');
+
+/**
+ * 版主权限验证中间件
+ * Moderator authorization middleware
+ */
+const moderatorAuth = authorize('admin', 'moderator');
+
 /**
  * 钱包地址验证中间件
  * Wallet address verification middleware
@@ -194,7 +324,13 @@ const walletAuth = async (req, res, next) => {
 
 module.exports = {
     auth,
+    protect: auth, // 路由中使用的别名
+
     optionalAuth,
+    authOrApiKey,
+    optionalApiKey,
+    requirePermission,
+    authorize,
     adminAuth,
     moderatorAuth,
     walletAuth
@@ -26,6 +26,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Multer上传错误
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? '文件大小超出限制' : `文件上传失败: ${err.message}`;
+    error = new ErrorResponse(message, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || '服务器错误'
@@ -0,0 +1,78 @@
+/**
+ * API密钥模型
+ * Personal / Partner API Key Model
+ */
+
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const ApiKeySchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, '请提供API密钥名称'],
+        trim: true,
+        maxlength: [100, 'API密钥名称不能超过100个字符']
+    },
+    // 合作机构名称（如合作学校），个人密钥为空
+    organization: {
+        type: String,
+        trim: true,
+        maxlength: [200, '机构名称不能超过200个字符']
+    },
+    // 公开的密钥前缀，用于查找和在列表中识别密钥
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: Object.values(API_KEY_SCOPES)
+        }],
+        validate: [scopes => scopes.length > 0, '请至少选择一个权限范围']
+    },
+    rateLimit: {
+        windowMs: {
+            type: Number,
+            default: 60 * 1000,
+            min: 1000
+        },
+        max: {
+            type: Number,
+            default: 60,
+            min: 1,
+            max: 10000
+        }
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: Date,
+    revokedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+ApiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+ApiKeySchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,15 @@
+/**
+ * 归档聊天消息模型（冷数据集合，结构与ChatMessage相同）
+ * Archived Chat Message Model
+ */
+
+const mongoose = require('mongoose');
+const ChatMessage = require('./ChatMessage');
+
+const ArchivedChatMessageSchema = ChatMessage.schema.clone();
+
+// 归档消息只按聊天室和时间读取，不需要在线集合的其他索引
+ArchivedChatMessageSchema.clearIndexes();
+ArchivedChatMessageSchema.index({ chatRoom: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ArchivedChatMessage', ArchivedChatMessageSchema, 'chatmessages_archive');
@@ -0,0 +1,56 @@
+/**
+ * 登录会话模型（每个设备一条，对应一个刷新令牌家族）
+ * Auth Session Model
+ */
+
+const mongoose = require('mongoose');
+
+const AuthSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 当前有效刷新令牌的哈希
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // 已轮换掉的刷新令牌哈希，再次出现即视为令牌被盗用
+    rotatedTokenHashes: {
+        type: [String],
+        select: false,
+        default: []
+    },
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastRotatedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['LOGOUT', 'REMOTE_LOGOUT', 'TOKEN_REUSE', 'PASSWORD_CHANGED', 'PASSWORD_RESET', 'ACCOUNT_DELETED', 'ADMIN']
+    }
+}, {
+    timestamps: true
+});
+
+// 虚拟字段：会话是否有效
+AuthSessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// 索引
+AuthSessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// 过期30天后自动清理
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
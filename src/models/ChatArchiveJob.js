@@ -0,0 +1,44 @@
+/**
+ * 聊天室归档任务模型（在后台将早于截止时间的消息移入冷数据集合）
+ * Chat Archive Job Model
+ */
+
+const mongoose = require('mongoose');
+
+const ChatArchiveJobSchema = new mongoose.Schema({
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 早于该时间的消息移入冷数据集合（创建任务时按 olderThanDays 计算）
+    cutoff: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'],
+        default: 'QUEUED'
+    },
+    // 执行中的任务在锁过期前不会被其他实例领取
+    lockedUntil: Date,
+    movedCount: {
+        type: Number,
+        default: 0
+    },
+    error: String,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+ChatArchiveJobSchema.index({ status: 1, createdAt: 1 });
+ChatArchiveJobSchema.index({ chatRoom: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatArchiveJob', ChatArchiveJobSchema);
@@ -0,0 +1,71 @@
+/**
+ * 聊天附件模型（文件与图片上传）
+ * Chat Attachment Model
+ */
+
+const mongoose = require('mongoose');
+
+const ChatAttachmentSchema = new mongoose.Schema({
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    uploader: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 分享后关联的消息，每个附件只能分享一次
+    message: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatMessage'
+    },
+    // 存储后端名称及对象键
+    storage: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        select: false
+    },
+    thumbnailKey: {
+        type: String,
+        select: false
+    },
+    originalName: {
+        type: String,
+        required: true,
+        maxlength: 255
+    },
+    // 根据文件内容识别的MIME类型（不信任客户端声明）
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // 文件内容的SHA-256哈希
+    hash: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number
+}, {
+    timestamps: true
+});
+
+ChatAttachmentSchema.index({ chatRoom: 1, createdAt: -1 });
+ChatAttachmentSchema.index({ uploader: 1, createdAt: -1 });
+ChatAttachmentSchema.index({ hash: 1 });
+
+ChatAttachmentSchema.virtual('isImage').get(function() {
+    return this.mimeType.startsWith('image/');
+});
+
+module.exports = mongoose.model('ChatAttachment', ChatAttachmentSchema);
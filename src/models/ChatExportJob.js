@@ -0,0 +1,63 @@
+/**
+ * 聊天记录导出任务模型（消息较多时在后台生成，完成后通过签名链接下载）
+ * Chat Export Job Model
+ */
+
+const mongoose = require('mongoose');
+
+const ChatExportJobSchema = new mongoose.Schema({
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['json', 'csv', 'txt', 'html'],
+        required: true
+    },
+    options: {
+        includeTranslations: {
+            type: Boolean,
+            default: false
+        },
+        includeVoiceTranscripts: {
+            type: Boolean,
+            default: false
+        },
+        from: Date,
+        to: Date
+    },
+    status: {
+        type: String,
+        enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'],
+        default: 'QUEUED'
+    },
+    // 执行中的任务在锁过期前不会被其他实例领取
+    lockedUntil: Date,
+    // 存储后端名称及对象键
+    storage: String,
+    key: {
+        type: String,
+        select: false
+    },
+    size: Number,
+    messageCount: Number,
+    error: String,
+    completedAt: Date,
+    // 导出文件的保留期限，过期后删除文件和任务
+    expiresAt: Date
+}, {
+    timestamps: true
+});
+
+ChatExportJobSchema.index({ status: 1, createdAt: 1 });
+ChatExportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+ChatExportJobSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ChatExportJob', ChatExportJobSchema);
@@ -30,6 +30,10 @@ const chatMessageSchema = new mongoose.Schema({
         fileName: String, // 文件名
         fileSize: Number, // 文件大小
         fileType: String, // 文件类型
+        attachment: { // 服务端上传的附件（文件/图片通过签名链接下载）
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ChatAttachment'
+        },
         location: {
             latitude: Number,
             longitude: Number,
@@ -51,12 +55,48 @@ const chatMessageSchema = new mongoose.Schema({
             type: Number,
             min: 0,
             max: 1
+        },
+        // 翻译时应用的术语表条目
+        glossary: [{
+            _id: false,
+            glossary: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Glossary'
+            },
+            source: String,
+            target: String
+        }],
+        // 已采纳社区校对修改时对应的校对记录
+        review: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TranslationReview'
         }
     }],
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'ChatMessage'
     },
+    // 话题回复所属的根消息（话题回复不出现在聊天室主时间线中）
+    threadRoot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatMessage'
+    },
+    // 作为话题根消息时的回复统计
+    threadStats: {
+        replyCount: {
+            type: Number,
+            default: 0
+        },
+        lastReplyAt: Date,
+        lastReplyBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        participants: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    },
     mentions: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
@@ -149,7 +189,22 @@ const chatMessageSchema = new mongoose.Schema({
             type: String,
             enum: ['APPROVED', 'HIDDEN', 'DELETED', 'EDITED']
         },
-        moderationReason: String
+        moderationReason: String,
+        // 内容过滤命中shadow_hide规则：仅发送者可见
+        shadowHidden: {
+            type: Boolean,
+            default: false
+        },
+        // 内容过滤命中的规则
+        autoFlags: [{
+            rule: String,
+            action: String,
+            source: String, // text 或 translation:<语言>
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }]
     },
     rewards: {
         cbtEarned: {
@@ -178,12 +233,20 @@ chatMessageSchema.index({ type: 1 });
 chatMessageSchema.index({ status: 1 });
 chatMessageSchema.index({ 'mentions.user': 1 });
 chatMessageSchema.index({ replyTo: 1 });
+chatMessageSchema.index({ threadRoot: 1, createdAt: 1 });
 chatMessageSchema.index({ createdAt: -1 });
 
-// 文本搜索索引
+// 文本搜索索引（包含译文，用任意语言都能搜到消息）
+// translations.language 是语言代码而非MongoDB文本索引语言，因此关闭按文档语言分词
+// 已有部署需先删除旧索引 content.text_text_content.originalText_text
 chatMessageSchema.index({
     'content.text': 'text',
-    'content.originalText': 'text'
+    'content.originalText': 'text',
+    'translations.text': 'text'
+}, {
+    name: 'message_text_search',
+    default_language: 'none',
+    language_override: 'textSearchLanguage'
 });
 
 // TTL索引 - 根据聊天室设置自动删除消息
@@ -261,17 +324,20 @@ chatMessageSchema.methods.editContent = function(newContent) {
     return true;
 };
 
-chatMessageSchema.methods.addTranslation = function(language, translatedText, confidence = 1) {
+chatMessageSchema.methods.addTranslation = function(language, translatedText, confidence = 1, glossary = []) {
     const existingTranslation = this.translations.find(t => t.language === language);
     
     if (existingTranslation) {
         existingTranslation.text = translatedText;
         existingTranslation.confidence = confidence;
+        existingTranslation.glossary = glossary;
+        existingTranslation.review = undefined;
     } else {
         this.translations.push({
             language: language,
             text: translatedText,
-            confidence: confidence
+            confidence: confidence,
+            glossary: glossary
         });
     }
     
@@ -315,6 +381,8 @@ chatMessageSchema.methods.reportMessage = function(reporterId, reason, descripti
 };
 
 chatMessageSchema.methods.moderateMessage = function(moderatorId, action, reason) {
+    const previousAction = this.moderation.moderationAction;
+    
     this.moderation.isModerated = true;
     this.moderation.moderatedBy = moderatorId;
     this.moderation.moderationAction = action;
@@ -324,6 +392,32 @@ chatMessageSchema.methods.moderateMessage = function(moderatorId, action, reason
         this.status = 'DELETED';
     } else if (action === 'HIDDEN') {
         this.status = 'DELETED'; // 对用户隐藏
+    } else if (action === 'APPROVED' && previousAction === 'HIDDEN') {
+        // 恢复被隐藏的消息
+        this.status = this.editHistory.length > 0 ? 'EDITED' : 'SENT';
+    }
+    
+    return true;
+};
+
+// 记录内容过滤结果：flag进入审核队列，shadow_hide仅发送者可见
+chatMessageSchema.methods.applyContentFilter = function(result) {
+    const flags = result.matches.filter(match => match.action !== 'mask');
+    if (flags.length === 0) {
+        return false;
+    }
+    
+    flags.forEach(match => this.moderation.autoFlags.push({
+        rule: match.rule,
+        action: match.action,
+        source: match.source
+    }));
+    
+    if (flags.some(match => match.action === 'shadow_hide')) {
+        this.moderation.shadowHidden = true;
+    }
+    if (flags.some(match => match.action === 'flag')) {
+        this.moderation.isReported = true;
     }
     
     return true;
@@ -420,8 +514,20 @@ chatMessageSchema.methods.calculateReward = function() {
 };
 
 // 静态方法
-chatMessageSchema.statics.getRecentMessages = function(chatRoomId, limit = 50, before = null) {
-    const query = { chatRoom: chatRoomId, status: { $ne: 'DELETED' } };
+// 被内容过滤隐藏的消息只对发送者可见
+chatMessageSchema.statics.visibleTo = function(viewerId) {
+    return viewerId
+        ? { $or: [{ 'moderation.shadowHidden': { $ne: true } }, { sender: viewerId }] }
+        : { 'moderation.shadowHidden': { $ne: true } };
+};
+
+chatMessageSchema.statics.getRecentMessages = function(chatRoomId, limit = 50, before = null, viewerId = null) {
+    const query = {
+        chatRoom: chatRoomId,
+        threadRoot: null,
+        status: { $ne: 'DELETED' },
+        ...this.visibleTo(viewerId)
+    };
     
     if (before) {
         query.createdAt = { $lt: before };
@@ -434,6 +540,41 @@ chatMessageSchema.statics.getRecentMessages = function(chatRoomId, limit = 50, b
         .limit(limit);
 };
 
+// 聊天室的置顶消息（按置顶顺序），已删除或被隐藏的消息不再显示
+chatMessageSchema.statics.getPinnedMessages = async function(chatRoom) {
+    if (chatRoom.pinnedMessages.length === 0) {
+        return [];
+    }
+    
+    const messages = await this.find({
+        _id: { $in: chatRoom.pinnedMessages.map(pin => pin.message) },
+        status: { $ne: 'DELETED' },
+        ...this.visibleTo()
+    }).populate('sender', 'username avatar');
+    
+    const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+    return chatRoom.pinnedMessages
+        .filter(pin => messagesById.has(pin.message.toString()))
+        .map(pin => ({
+            message: messagesById.get(pin.message.toString()),
+            pinnedBy: pin.pinnedBy,
+            pinnedAt: pin.pinnedAt
+        }));
+};
+
+chatMessageSchema.statics.getThreadReplies = function(threadRootId, limit = 50, after = null, viewerId = null) {
+    const query = { threadRoot: threadRootId, status: { $ne: 'DELETED' }, ...this.visibleTo(viewerId) };
+    
+    if (after) {
+        query.createdAt = { $gt: after };
+    }
+    
+    return this.find(query)
+        .populate('sender', 'username avatar')
+        .sort({ createdAt: 1 })
+        .limit(limit);
+};
+
 chatMessageSchema.statics.searchMessages = function(chatRoomId, searchText, limit = 20) {
     return this.find({
         chatRoom: chatRoomId,
@@ -26,6 +26,11 @@ const chatRoomSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // 所属社区（可选），社区术语表对聊天室内的自动翻译生效
+    community: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community'
+    },
     moderators: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
@@ -77,6 +82,8 @@ const chatRoomSchema = new mongoose.Schema({
             enum: ['ACTIVE', 'MUTED', 'BANNED'],
             default: 'ACTIVE'
         },
+        muteUntil: Date, // 禁言截止时间
+        banUntil: Date, // 封禁截止时间，为空表示永久封禁
         messageCount: {
             type: Number,
             default: 0
@@ -120,8 +127,51 @@ const chatRoomSchema = new mongoose.Schema({
         messageRetention: {
             type: Number,
             default: 30 // 天数
+        },
+        // 内容过滤策略（规则集见 config/contentFilterRules.js）
+        contentFilter: {
+            enabled: {
+                type: Boolean,
+                default: true
+            },
+            ruleSets: [String], // 为空时使用默认规则集
+            actions: { // 按规则ID覆盖处理方式
+                type: Map,
+                of: {
+                    type: String,
+                    enum: ['block', 'mask', 'flag', 'shadow_hide']
+                }
+            }
         }
     },
+    // 置顶消息，最新置顶的排在前面
+    pinnedMessages: [{
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ChatMessage'
+        },
+        pinnedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        pinnedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // 公告，用户加入聊天室时展示
+    announcement: {
+        text: {
+            type: String,
+            maxlength: 1000
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedAt: Date,
+        expiresAt: Date // 为空表示一直有效
+    },
     languages: [{
         primary: {
             type: String,
@@ -181,6 +231,18 @@ const chatRoomSchema = new mongoose.Schema({
         enum: ['ACTIVE', 'INACTIVE', 'ARCHIVED', 'SUSPENDED'],
         default: 'ACTIVE'
     },
+    // 归档信息，归档后聊天室只读，旧消息移入冷数据集合
+    archive: {
+        archivedAt: Date,
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        archivedMessages: {
+            type: Number,
+            default: 0
+        }
+    },
     tags: [String],
     avatar: {
         type: String,
@@ -341,24 +403,82 @@ chatRoomSchema.methods.unmuteParticipant = function(userId) {
     return false;
 };
 
-chatRoomSchema.methods.banParticipant = function(userId) {
+chatRoomSchema.methods.banParticipant = function(userId, duration = null) { // 默认永久封禁
     const participant = this.participants.find(p => p.user.toString() === userId.toString());
     if (participant) {
         participant.status = 'BANNED';
+        participant.muteUntil = undefined;
+        participant.banUntil = duration ? new Date(Date.now() + duration) : undefined;
+        return true;
+    }
+    return false;
+};
+
+chatRoomSchema.methods.unbanParticipant = function(userId) {
+    const participant = this.participants.find(p => p.user.toString() === userId.toString());
+    if (participant && participant.status === 'BANNED') {
+        participant.status = 'ACTIVE';
+        participant.banUntil = undefined;
         return true;
     }
     return false;
 };
 
+chatRoomSchema.methods.isUserBanned = function(userId) {
+    const participant = this.participants.find(p => p.user.toString() === userId.toString());
+    
+    if (!participant || participant.status !== 'BANNED') {
+        return false;
+    }
+    
+    // 封禁已过期，自动解除
+    if (participant.banUntil && participant.banUntil <= new Date()) {
+        participant.status = 'ACTIVE';
+        participant.banUntil = undefined;
+        return false;
+    }
+    
+    return true;
+};
+
+// 聊天室创建者、管理员或具有对应权限的版主可以管理该聊天室
+chatRoomSchema.methods.canModerate = function(userId, permission = 'canDeleteMessages') {
+    if (this.creator && this.creator.toString() === userId.toString()) {
+        return true;
+    }
+    
+    const participant = this.participants.find(p => p.user.toString() === userId.toString());
+    if (participant && participant.role === 'ADMIN') {
+        return true;
+    }
+    
+    const moderator = this.moderators.find(m => m.user.toString() === userId.toString());
+    return Boolean(moderator && moderator.permissions[permission]);
+};
+
+chatRoomSchema.methods.isArchived = function() {
+    return this.status === 'ARCHIVED';
+};
+
+// 当前仍在聊天室中且未被封禁的参与者（话题关注、通知推送以此为准）
+chatRoomSchema.methods.isActiveParticipant = function(userId) {
+    const isParticipant = this.participants.some(p => p.user.toString() === userId.toString());
+    return isParticipant && !this.isUserBanned(userId);
+};
+
 chatRoomSchema.methods.canUserPost = function(userId) {
+    if (this.isArchived()) {
+        return false; // 已归档，只读
+    }
+    
     const participant = this.participants.find(p => p.user.toString() === userId.toString());
     
     if (!participant) {
         return false; // 不是参与者
     }
     
-    if (participant.status === 'BANNED') {
-        return false; // 被禁言
+    if (this.isUserBanned(userId)) {
+        return false; // 被封禁
     }
     
     if (participant.status === 'MUTED') {
@@ -375,6 +495,67 @@ chatRoomSchema.methods.canUserPost = function(userId) {
     return true;
 };
 
+// 每个聊天室最多置顶的消息数
+const MAX_PINNED_MESSAGES = 20;
+
+chatRoomSchema.methods.pinMessage = function(messageId, userId) {
+    if (this.pinnedMessages.some(pin => pin.message.toString() === messageId.toString())) {
+        return 'already_pinned';
+    }
+    
+    if (this.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        return 'limit_reached';
+    }
+    
+    this.pinnedMessages.unshift({
+        message: messageId,
+        pinnedBy: userId,
+        pinnedAt: new Date()
+    });
+    return 'pinned';
+};
+
+chatRoomSchema.methods.unpinMessage = function(messageId) {
+    const index = this.pinnedMessages.findIndex(pin => pin.message.toString() === messageId.toString());
+    if (index > -1) {
+        this.pinnedMessages.splice(index, 1);
+        return true;
+    }
+    return false;
+};
+
+chatRoomSchema.methods.setAnnouncement = function(text, userId, expiresAt = null) {
+    this.announcement = {
+        text: text,
+        createdBy: userId,
+        updatedAt: new Date(),
+        expiresAt: expiresAt || undefined
+    };
+};
+
+chatRoomSchema.methods.clearAnnouncement = function() {
+    if (!this.announcement || !this.announcement.text) {
+        return false;
+    }
+    this.announcement = undefined;
+    return true;
+};
+
+// 当前有效的公告，没有或已过期时返回null
+chatRoomSchema.methods.getActiveAnnouncement = function() {
+    const announcement = this.announcement;
+    
+    if (!announcement || !announcement.text) {
+        return null;
+    }
+    
+    if (announcement.expiresAt && announcement.expiresAt <= new Date()) {
+        return null;
+    }
+    
+    return announcement;
+};
+
 chatRoomSchema.methods.updateMessageStats = function(messageLength) {
     this.statistics.totalMessages += 1;
     
@@ -417,4 +598,5 @@ chatRoomSchema.methods.calculateRewardDistribution = function() {
 };
 
 module.exports = mongoose.model('ChatRoom', chatRoomSchema);
+module.exports.MAX_PINNED_MESSAGES = MAX_PINNED_MESSAGES;
 
@@ -20,6 +20,22 @@ const CommentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // 内容过滤结果（flagged待审核，shadowHidden仅作者可见）
+  moderation: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    shadowHidden: {
+      type: Boolean,
+      default: false
+    },
+    flags: [{
+      rule: String,
+      action: String,
+      source: String
+    }]
+  },
   createdAt: {
     type: Date,
     default: Date.now
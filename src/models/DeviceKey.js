@@ -0,0 +1,67 @@
+/**
+ * 端到端加密设备公钥模型（每个用户每台设备一条，服务器只保存公钥）
+ * Device Key Model
+ */
+
+const mongoose = require('mongoose');
+
+const DeviceKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 客户端生成的设备标识
+    deviceId: {
+        type: String,
+        required: true,
+        maxlength: 64
+    },
+    registrationId: Number,
+    // 长期身份公钥（base64）
+    identityKey: {
+        type: String,
+        required: true
+    },
+    // 定期轮换的签名预共享公钥，signature 为身份密钥对其的签名
+    signedPreKey: {
+        keyId: {
+            type: Number,
+            required: true
+        },
+        publicKey: {
+            type: String,
+            required: true
+        },
+        signature: {
+            type: String,
+            required: true
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    // 一次性预共享公钥，每次获取密钥包时取出一个，用完后退回签名预共享公钥
+    oneTimePreKeys: [{
+        _id: false,
+        keyId: {
+            type: Number,
+            required: true
+        },
+        publicKey: {
+            type: String,
+            required: true
+        }
+    }],
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+DeviceKeySchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeviceKey', DeviceKeySchema);
@@ -0,0 +1,84 @@
+/**
+ * 翻译术语表模型（个人、聊天室或社区级，每个术语表对应一个语言方向）
+ * Glossary Model
+ */
+
+const mongoose = require('mongoose');
+
+const GLOSSARY_SCOPES = ['personal', 'room', 'community'];
+
+const GlossarySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 500
+    },
+    scope: {
+        type: String,
+        enum: GLOSSARY_SCOPES,
+        required: true
+    },
+    // 创建者；个人术语表只有创建者本人可以查看和使用
+    owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom'
+    },
+    community: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Community'
+    },
+    // 语言代码，只写基础语言（如 zh）时匹配该语言的所有地区
+    sourceLanguage: {
+        type: String,
+        required: true
+    },
+    targetLanguage: {
+        type: String,
+        required: true
+    },
+    entries: [{
+        source: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 200
+        },
+        target: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 200
+        },
+        caseSensitive: {
+            type: Boolean,
+            default: false
+        },
+        note: {
+            type: String,
+            maxlength: 500
+        }
+    }],
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+GlossarySchema.index({ owner: 1, scope: 1 });
+GlossarySchema.index({ chatRoom: 1 }, { partialFilterExpression: { chatRoom: { $exists: true } } });
+GlossarySchema.index({ community: 1 }, { partialFilterExpression: { community: { $exists: true } } });
+
+module.exports = mongoose.model('Glossary', GlossarySchema);
+module.exports.GLOSSARY_SCOPES = GLOSSARY_SCOPES;
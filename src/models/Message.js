@@ -11,11 +11,34 @@ const MessageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // 端到端加密的消息不保存明文，内容在 encryption.envelopes 中
   content: {
     type: String,
-    required: [true, '请提供消息内容'],
+    required: [function() { return !this.encrypted; }, '请提供消息内容'],
     maxlength: [1000, '消息不能超过1000个字符']
   },
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  encryption: {
+    protocol: String,
+    senderDevice: String,
+    // 每台接收设备一份密文（包括发送者的其他设备）
+    envelopes: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      deviceId: String,
+      type: {
+        type: String,
+        enum: ['prekey', 'message']
+      },
+      ciphertext: String
+    }]
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -0,0 +1,60 @@
+/**
+ * 审核申诉模型（对被隐藏/删除的消息或禁言、封禁提出申诉）
+ * Moderation Appeal Model
+ */
+
+const mongoose = require('mongoose');
+
+const ModerationAppealSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['MESSAGE', 'MUTE', 'BAN'],
+        required: true
+    },
+    // type为MESSAGE时申诉的消息
+    message: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatMessage'
+    },
+    reason: {
+        type: String,
+        required: [true, '请填写申诉理由'],
+        maxlength: 1000
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'ACCEPTED', 'REJECTED'],
+        default: 'PENDING'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    reviewNote: {
+        type: String,
+        maxlength: 500
+    },
+    reviewedAt: Date
+}, {
+    timestamps: true
+});
+
+ModerationAppealSchema.index({ status: 1, createdAt: 1 });
+ModerationAppealSchema.index({ chatRoom: 1, status: 1 });
+// 同一处理只能有一个待审核的申诉
+ModerationAppealSchema.index(
+    { user: 1, chatRoom: 1, type: 1, message: 1 },
+    { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+module.exports = mongoose.model('ModerationAppeal', ModerationAppealSchema);
@@ -0,0 +1,92 @@
+/**
+ * 聊天审核操作记录（只追加）
+ * Chat Moderation Log Model (append-only)
+ */
+
+const mongoose = require('mongoose');
+
+const MODERATION_LOG_ACTIONS = [
+    'MESSAGE_APPROVED',
+    'MESSAGE_HIDDEN',
+    'MESSAGE_DELETED',
+    'MESSAGE_AUTO_HIDDEN',
+    'USER_MUTED',
+    'USER_UNMUTED',
+    'USER_BANNED',
+    'USER_UNBANNED',
+    'APPEAL_ACCEPTED',
+    'APPEAL_REJECTED'
+];
+
+const ModerationLogSchema = new mongoose.Schema({
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    // 为空表示系统自动操作（如举报数达到阈值自动隐藏）
+    moderator: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    action: {
+        type: String,
+        enum: MODERATION_LOG_ACTIONS,
+        required: true
+    },
+    targetUser: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    targetMessage: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatMessage'
+    },
+    appeal: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ModerationAppeal'
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    // 禁言/封禁的截止时间，为空表示永久
+    expiresAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    versionKey: false
+});
+
+ModerationLogSchema.index({ chatRoom: 1, createdAt: -1 });
+ModerationLogSchema.index({ moderator: 1, createdAt: -1 });
+ModerationLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+// 只允许追加
+ModerationLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('审核记录不可修改'));
+    }
+    next();
+});
+
+const rejectMutation = function(next) {
+    next(new Error('审核记录不可修改或删除'));
+};
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(op => ModerationLogSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
+module.exports.MODERATION_LOG_ACTIONS = MODERATION_LOG_ACTIONS;
@@ -0,0 +1,70 @@
+/**
+ * 通知模型（站内信箱与各通道投递状态）
+ * Notification Model
+ */
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+    'MENTION',
+    'REPLY',
+    'DIRECT_MESSAGE',
+    'EXCHANGE_INVITE',
+    'REWARD',
+    'MODERATION',
+    'SECURITY' // 账户安全提醒，不受通知偏好影响
+];
+
+const NotificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    // 触发通知的用户（系统通知为空）
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 200
+    },
+    body: {
+        type: String,
+        maxlength: 1000
+    },
+    // 客户端跳转所需的关联ID，如 chatRoom、message、exchange
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date,
+    // 各通道的投递时间，未投递为空
+    deliveries: {
+        socket: Date,
+        push: Date,
+        email: Date
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+// 邮件汇总查询待投递通知
+NotificationSchema.index({ read: 1, 'deliveries.email': 1, createdAt: 1 });
+// 已读通知保留90天
+NotificationSchema.index({ readAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,57 @@
+/**
+ * 第三方登录授权状态模型（防CSRF的一次性state与PKCE校验码）
+ * OAuth Authorization State Model
+ */
+
+const mongoose = require('mongoose');
+
+const OAuthStateSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // login：登录或注册；link：为已登录用户绑定第三方账号
+    mode: {
+        type: String,
+        enum: ['login', 'link'],
+        default: 'login'
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    codeVerifier: {
+        type: String,
+        select: false
+    },
+    // 发起授权的浏览器持有的绑定值（httpOnly cookie）的哈希，回调时必须一致
+    bindingHash: {
+        type: String,
+        required: true
+    },
+    redirectUri: {
+        type: String,
+        required: true
+    },
+    rememberMe: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, {
+    timestamps: true
+});
+
+// 过期后自动删除
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', OAuthStateSchema);
@@ -0,0 +1,37 @@
+/**
+ * Web Push 订阅模型（浏览器 PushSubscription）
+ * Push Subscription Model
+ */
+
+const mongoose = require('mongoose');
+
+const PushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: true
+        },
+        auth: {
+            type: String,
+            required: true
+        }
+    },
+    userAgent: String,
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+PushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -0,0 +1,71 @@
+/**
+ * 定时聊天消息模型（一次性或按日、按周重复发送）
+ * Scheduled Chat Message Model
+ */
+
+const mongoose = require('mongoose');
+
+const ScheduledChatMessageSchema = new mongoose.Schema({
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    // 以该用户的身份发送
+    sender: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    content: {
+        text: {
+            type: String,
+            required: true,
+            maxlength: 4000
+        }
+    },
+    recurrence: {
+        type: String,
+        enum: ['NONE', 'DAILY', 'WEEKLY'],
+        default: 'NONE'
+    },
+    // 本次计划发送时间，重复周期以此推算
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+    // 下次执行时间，失败重试时后移
+    nextRunAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: Date, // 重复发送的截止时间
+    status: {
+        type: String,
+        enum: ['SCHEDULED', 'COMPLETED', 'CANCELLED', 'FAILED'],
+        default: 'SCHEDULED'
+    },
+    // 执行中的任务在锁过期前不会被其他实例领取，实例中途退出时过期后重新执行
+    lockedUntil: Date,
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    failureCount: {
+        type: Number,
+        default: 0
+    },
+    lastRunAt: Date,
+    lastMessage: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatMessage'
+    },
+    lastError: String
+}, {
+    timestamps: true
+});
+
+ScheduledChatMessageSchema.index({ status: 1, nextRunAt: 1 });
+ScheduledChatMessageSchema.index({ chatRoom: 1, status: 1 });
+
+module.exports = mongoose.model('ScheduledChatMessage', ScheduledChatMessageSchema);
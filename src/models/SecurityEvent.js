@@ -0,0 +1,76 @@
+/**
+ * 安全事件模型（只追加）
+ * Security Event Model (append-only)
+ */
+
+const mongoose = require('mongoose');
+
+const SecurityEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    type: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    category: {
+        type: String,
+        enum: ['account', 'system'],
+        default: 'account'
+    },
+    severity: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical'],
+        default: 'low'
+    },
+    success: {
+        type: Boolean,
+        default: true
+    },
+    ip: String,
+    userAgent: String,
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    versionKey: false
+});
+
+// 索引
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+SecurityEventSchema.index({ type: 1, createdAt: -1 });
+SecurityEventSchema.index({ category: 1, severity: 1, createdAt: -1 });
+
+// 只允许追加：禁止修改已保存的事件
+SecurityEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('安全事件不可修改'));
+    }
+    next();
+});
+
+const rejectMutation = function(next) {
+    next(new Error('安全事件不可修改或删除'));
+};
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(op => SecurityEventSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('SecurityEvent', SecurityEventSchema);
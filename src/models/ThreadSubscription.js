@@ -0,0 +1,42 @@
+/**
+ * 聊天话题订阅模型（关注状态与未读回复数）
+ * Chat Thread Subscription Model
+ */
+
+const mongoose = require('mongoose');
+
+const ThreadSubscriptionSchema = new mongoose.Schema({
+    // 话题根消息
+    thread: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatMessage',
+        required: true
+    },
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 是否接收该话题的新回复通知
+    following: {
+        type: Boolean,
+        default: true
+    },
+    unreadCount: {
+        type: Number,
+        default: 0
+    },
+    lastReadAt: Date
+}, {
+    timestamps: true
+});
+
+ThreadSubscriptionSchema.index({ thread: 1, user: 1 }, { unique: true });
+ThreadSubscriptionSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ThreadSubscription', ThreadSubscriptionSchema);
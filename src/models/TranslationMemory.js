@@ -0,0 +1,64 @@
+/**
+ * 翻译记忆片段模型（按语言方向保存原文和译文，同一原文每种来源各保留一条）
+ * Translation Memory Model
+ */
+
+const mongoose = require('mongoose');
+
+// 来源：machine 为机器翻译结果，human 为人工校对的译文，import 为从TMX导入的译文
+const TRANSLATION_MEMORY_ORIGINS = ['machine', 'human', 'import'];
+
+const TranslationMemorySchema = new mongoose.Schema({
+    // 语言代码按 translationMemoryService.normalizeLanguage 归一化（如 en-US 与 en 视为同一语言）
+    sourceLanguage: {
+        type: String,
+        required: true
+    },
+    targetLanguage: {
+        type: String,
+        required: true
+    },
+    sourceText: {
+        type: String,
+        required: true,
+        maxlength: 5000
+    },
+    targetText: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    // 归一化原文（合并空白）的SHA-256，用于完全匹配
+    sourceHash: {
+        type: String,
+        required: true
+    },
+    // 原文字符数，模糊匹配时按长度预筛选
+    sourceLength: {
+        type: Number,
+        required: true
+    },
+    origin: {
+        type: String,
+        enum: TRANSLATION_MEMORY_ORIGINS,
+        default: 'machine'
+    },
+    provider: String,
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+TranslationMemorySchema.index({ sourceLanguage: 1, targetLanguage: 1, sourceHash: 1, origin: 1 }, { unique: true });
+TranslationMemorySchema.index({ sourceLanguage: 1, targetLanguage: 1, origin: 1, sourceLength: 1 });
+
+module.exports = mongoose.model('TranslationMemory', TranslationMemorySchema);
+module.exports.TRANSLATION_MEMORY_ORIGINS = TRANSLATION_MEMORY_ORIGINS;
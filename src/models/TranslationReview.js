@@ -0,0 +1,152 @@
+/**
+ * 翻译校对模型（机器译文的修改建议与社区投票）
+ * Translation Review Model
+ */
+
+const mongoose = require('mongoose');
+
+// 可提交校对的内容：聊天消息译文、帖子译文、语音翻译的转写译文
+const TRANSLATION_REVIEW_TARGETS = ['chat_message', 'post', 'voice_translation'];
+
+// open 等待修改和投票，approved 某条修改已获社区通过、等待版主确认，
+// accepted 版主确认采纳，closed 由提交者或版主关闭
+const TRANSLATION_REVIEW_STATUSES = ['open', 'approved', 'accepted', 'closed'];
+
+// 采纳后的奖励结果：granted 已发放，withheld 因重复、超出每日次数或互相投票未发放，failed 发放失败
+const TRANSLATION_REVIEW_REWARD_STATUSES = ['granted', 'withheld', 'failed'];
+
+const EditSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    author: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    votes: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        value: {
+            type: Number,
+            enum: [1, -1]
+        }
+    }],
+    // 赞成票减反对票
+    score: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'accepted', 'rejected'],
+        default: 'pending'
+    }
+}, {
+    timestamps: true
+});
+
+const TranslationReviewSchema = new mongoose.Schema({
+    target: {
+        kind: {
+            type: String,
+            enum: TRANSLATION_REVIEW_TARGETS,
+            required: true
+        },
+        id: {
+            type: mongoose.Schema.ObjectId,
+            required: true
+        },
+        // 帖子区分标题和正文，其他内容为 text
+        field: {
+            type: String,
+            default: 'text'
+        }
+    },
+    // 聊天消息和聊天室内的语音翻译只对聊天室成员可见
+    chatRoom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ChatRoom'
+    },
+    public: {
+        type: Boolean,
+        default: false
+    },
+    sourceLanguage: {
+        type: String,
+        required: true
+    },
+    targetLanguage: {
+        type: String,
+        required: true
+    },
+    // 提交时的原文和机器译文快照，采纳的修改按快照写入翻译记忆
+    sourceText: {
+        type: String,
+        required: true,
+        maxlength: 5000
+    },
+    machineText: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    submittedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    status: {
+        type: String,
+        enum: TRANSLATION_REVIEW_STATUSES,
+        default: 'open'
+    },
+    edits: [EditSchema],
+    // 社区通过（approved）或版主确认采纳（accepted）的修改
+    acceptedEdit: mongoose.Schema.ObjectId,
+    confirmedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    reward: {
+        user: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        status: {
+            type: String,
+            enum: TRANSLATION_REVIEW_REWARD_STATUSES
+        },
+        reason: String,
+        at: Date
+    },
+    resolvedAt: Date
+}, {
+    timestamps: true,
+    // 并发投票时后保存的一方报 VersionError，避免重复采纳
+    optimisticConcurrency: true
+});
+
+// 同一译文同时只有一个进行中的校对
+TranslationReviewSchema.index(
+    { 'target.kind': 1, 'target.id': 1, 'target.field': 1, targetLanguage: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+TranslationReviewSchema.index({ status: 1, sourceLanguage: 1, targetLanguage: 1, createdAt: -1 });
+TranslationReviewSchema.index({ submittedBy: 1, createdAt: -1 });
+TranslationReviewSchema.index({ 'edits.author': 1, createdAt: -1 });
+TranslationReviewSchema.index({ 'reward.user': 1, 'reward.at': -1 });
+
+module.exports = mongoose.model('TranslationReview', TranslationReviewSchema);
+module.exports.TRANSLATION_REVIEW_TARGETS = TRANSLATION_REVIEW_TARGETS;
+module.exports.TRANSLATION_REVIEW_STATUSES = TRANSLATION_REVIEW_STATUSES;
+module.exports.TRANSLATION_REVIEW_REWARD_STATUSES = TRANSLATION_REVIEW_REWARD_STATUSES;
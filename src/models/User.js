@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLES } = require('../config/permissions');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -27,9 +28,14 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: Object.keys(ROLES),
     default: 'user'
   },
+  // 额外授予的角色（权限为所有角色权限的并集）
+  roles: [{
+    type: String,
+    enum: Object.keys(ROLES)
+  }],
   status: {
     type: String,
     enum: ['active', 'disabled', 'pending'],
@@ -44,6 +50,24 @@ const UserSchema = new mongoose.Schema({
     match: [/^0x[a-fA-F0-9]{40}$/, '请提供有效的钱包地址']
   },
   
+  // 已绑定的第三方登录账号
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    displayName: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // 用户资料信息
   profile: {
     firstName: {
@@ -142,6 +166,9 @@ const UserSchema = new mongoose.Schema({
     },
     dailyRewardClaimed: {
       type: Date
+    },
+    registrationRewardClaimed: {
+      type: Date
     }
   },
   
@@ -230,6 +257,28 @@ const UserSchema = new mongoose.Schema({
       messages: {
         type: Boolean,
         default: true
+      },
+      mentions: {
+        type: Boolean,
+        default: true
+      },
+      replies: {
+        type: Boolean,
+        default: true
+      },
+      exchanges: {
+        type: Boolean,
+        default: true
+      },
+      moderation: {
+        type: Boolean,
+        default: true
+      },
+      // 离线期间未读通知的邮件汇总频率
+      emailDigest: {
+        type: String,
+        enum: ['off', 'hourly', 'daily'],
+        default: 'daily'
       }
     },
     privacy: {
@@ -256,8 +305,13 @@ const UserSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      token: String,
-      expires: Date
+      token: {
+        type: String,
+        select: false
+      },
+      expires: Date,
+      sentAt: Date,
+      verifiedAt: Date
     },
     phone: {
       verified: {
@@ -265,8 +319,18 @@ const UserSchema = new mongoose.Schema({
         default: false
       },
       number: String,
-      token: String,
-      expires: Date
+      pendingNumber: String,
+      token: {
+        type: String,
+        select: false
+      },
+      expires: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      sentAt: Date,
+      verifiedAt: Date
     },
     identity: {
       verified: {
@@ -288,16 +352,56 @@ const UserSchema = new mongoose.Schema({
       type: String,
       select: false
     },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false
+    },
+    twoFactorEnabledAt: Date,
+    // 最近一次通过验证的TOTP时间步，同一时间步的验证码不能再次使用
+    twoFactorLastStep: {
+      type: Number,
+      select: false
+    },
     loginAttempts: {
       type: Number,
       default: 0
     },
     lockUntil: Date,
-    passwordResetToken: String,
+    passwordResetToken: {
+      type: String,
+      select: false
+    },
     passwordResetExpires: Date,
     lastPasswordChange: {
       type: Date,
       default: Date.now
+    },
+    // 注册后修改或重置密码的时间，早于该时间签发的访问令牌失效
+    passwordChangedAt: Date,
+    // 通过第三方或钱包注册的用户使用随机密码，设置密码前不能用密码登录
+    passwordSet: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // 账户删除（宽限期结束后匿名化）
+  deletion: {
+    status: {
+      type: String,
+      enum: ['none', 'scheduled', 'completed'],
+      default: 'none'
+    },
+    requestedAt: Date,
+    scheduledFor: Date,
+    completedAt: Date,
+    reason: {
+      type: String,
+      maxlength: [500, '删除原因不能超过500个字符']
     }
   },
   
@@ -333,6 +437,13 @@ UserSchema.virtual('isLocked').get(function() {
   return !!(this.security.lockUntil && this.security.lockUntil > Date.now());
 });
 
+// 虚拟字段：邮箱或手机号已验证
+UserSchema.virtual('isContactVerified').get(function() {
+  const verification = this.verification || {};
+  return !!((verification.email && verification.email.verified) ||
+    (verification.phone && verification.phone.verified));
+});
+
 // 索引
 UserSchema.index({ email: 1 });
 UserSchema.index({ username: 1 });
@@ -340,12 +451,17 @@ UserSchema.index({ walletAddress: 1 });
 UserSchema.index({ 'tokenStats.level': 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ lastActiveAt: -1 });
+UserSchema.index({ 'deletion.status': 1, 'deletion.scheduledFor': 1 });
+UserSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
 
 // 密码加密中间件
 UserSchema.pre('save', async function(next) {
   // 只有密码被修改时才加密
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   // 加密密码
@@ -354,6 +470,9 @@ UserSchema.pre('save', async function(next) {
   
   // 更新密码修改时间
   this.security.lastPasswordChange = new Date();
+  if (!this.isNew) {
+    this.security.passwordChangedAt = this.security.lastPasswordChange;
+  }
   
   next();
 });
@@ -369,18 +488,34 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// 检查令牌签发（iat，秒）之后是否修改过密码
+UserSchema.methods.changedPasswordAfter = function(issuedAt) {
+  const changedAt = this.security && this.security.passwordChangedAt;
+  if (!changedAt || !issuedAt) {
+    return false;
+  }
+  
+  return Math.floor(changedAt.getTime() / 1000) > issuedAt;
+};
+
 // 生成JWT Token
-UserSchema.methods.getSignedJwtToken = function() {
+// 访问令牌必须绑定会话（sessionService.createSession），随会话吊销和过期失效
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  if (!sessionId) {
+    throw new Error('访问令牌必须绑定会话');
+  }
+  
   return jwt.sign(
-    { 
+    {
       id: this._id,
       username: this.username,
       role: this.role,
-      walletAddress: this.walletAddress
+      walletAddress: this.walletAddress,
+      sid: String(sessionId)
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '30d'
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
     }
   );
 };
@@ -402,6 +537,22 @@ UserSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// 生成邮箱验证Token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = require('crypto').randomBytes(32).toString('hex');
+  
+  this.verification.email.token = require('crypto')
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  
+  // 设置过期时间（24小时）
+  this.verification.email.expires = Date.now() + 24 * 60 * 60 * 1000;
+  this.verification.email.sentAt = Date.now();
+  
+  return verificationToken;
+};
+
 // 增加登录尝试次数
 UserSchema.methods.incLoginAttempts = function() {
   // 如果之前有锁定且已过期，重置尝试次数
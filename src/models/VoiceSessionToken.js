@@ -0,0 +1,35 @@
+/**
+ * 实时语音翻译会话令牌模型（令牌只能用于建立一次连接）
+ * Voice Session Token Model
+ */
+
+const mongoose = require('mongoose');
+
+const VoiceSessionTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    session: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, {
+    timestamps: true
+});
+
+// 过期后自动删除
+VoiceSessionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VoiceSessionToken', VoiceSessionTokenSchema);
@@ -50,6 +50,11 @@ const VoiceTranslationSchema = new mongoose.Schema({
       type: String,
       enum: ['libre', 'mymemory', 'azure', 'google', 'deepl'],
       default: 'libre'
+    },
+    // 已采纳社区校对修改时对应的校对记录
+    review: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'TranslationReview'
     }
   }],
   confidence: {
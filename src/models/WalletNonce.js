@@ -0,0 +1,51 @@
+/**
+ * 钱包登录一次性随机数模型（EIP-4361）
+ * Wallet Login Nonce Model
+ */
+
+const mongoose = require('mongoose');
+
+const WalletNonceSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    address: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    domain: {
+        type: String,
+        required: true
+    },
+    uri: {
+        type: String,
+        required: true
+    },
+    chainId: {
+        type: Number,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, {
+    timestamps: true
+});
+
+// 过期后自动删除
+WalletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WalletNonce', WalletNonceSchema);
@@ -1,32 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { check, validationResult } = require('express-validator');
-
-// 管理员中间件
-const adminAuth = async (req, res, next) => {
-    try {
-        // 检查用户是否为管理员
-        if (!req.user || !req.user.isAdmin) {
-            return res.status(403).json({
-                success: false,
-                error: '需要管理员权限'
-            });
-        }
-        next();
-    } catch (error) {
-        console.error('管理员权限检查失败:', error);
-        res.status(500).json({
-            success: false,
-            error: '权限检查失败'
-        });
-    }
-};
+const { PERMISSIONS, ROLES, getUserRoles, getUserPermissions } = require('../config/permissions');
 
 // @route   GET /api/admin/stats
 // @desc    获取系统统计信息
 // @access  Private/Admin
-router.get('/stats', protect, adminAuth, async (req, res) => {
+router.get('/stats', protect, requirePermission(PERMISSIONS.ADMIN_ACCESS), async (req, res) => {
     try {
         const User = require('../models/User');
         const Post = require('../models/Post');
@@ -68,7 +50,7 @@ router.get('/stats', protect, adminAuth, async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    获取用户列表
 // @access  Private/Admin
-router.get('/users', protect, adminAuth, async (req, res) => {
+router.get('/users', protect, requirePermission(PERMISSIONS.ADMIN_ACCESS), async (req, res) => {
     try {
         const User = require('../models/User');
         
@@ -109,7 +91,7 @@ router.get('/users', protect, adminAuth, async (req, res) => {
 // @access  Private/Admin
 router.put('/users/:id/status', [
     protect,
-    adminAuth,
+    requirePermission(PERMISSIONS.USERS_MANAGE),
     check('status', '状态是必需的').notEmpty(),
     check('status', '无效的状态值').isIn(['active', 'suspended', 'banned'])
 ], async (req, res) => {
@@ -152,13 +134,275 @@ router.put('/users/:id/status', [
     }
 });
 
+// @route   GET /api/admin/roles
+// @desc    获取角色及其权限定义
+// @access  Private/Admin
+router.get('/roles', protect, requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            permissions: Object.values(PERMISSIONS),
+            roles: Object.entries(ROLES).map(([key, role]) => ({
+                key,
+                name: role.name,
+                permissions: role.permissions
+            }))
+        }
+    });
+});
+
+// @route   POST /api/admin/users/:id/roles
+// @desc    授予用户角色
+// @access  Private/Admin
+router.post('/users/:id/roles', [
+    protect,
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    check('role', '无效的角色').isIn(Object.keys(ROLES))
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const User = require('../models/User');
+        const securityLogService = require('../services/securityLogService');
+        const { role } = req.body;
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $addToSet: { roles: role } },
+            { new: true }
+        ).select('-password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: '用户不存在'
+            });
+        }
+
+        await securityLogService.record(securityLogService.SECURITY_EVENT_TYPES.ROLE_GRANTED, {
+            user,
+            req,
+            details: { role, grantedBy: req.user.id }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                roles: getUserRoles(user),
+                permissions: getUserPermissions(user)
+            }
+        });
+
+    } catch (error) {
+        console.error('授予角色失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '授予角色失败'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/users/:id/roles/:role
+// @desc    撤销用户角色
+// @access  Private/Admin
+router.delete('/users/:id/roles/:role', protect, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    try {
+        const User = require('../models/User');
+        const securityLogService = require('../services/securityLogService');
+        const { role } = req.params;
+
+        if (!ROLES[role] || role === 'user') {
+            return res.status(400).json({
+                success: false,
+                error: '无效的角色'
+            });
+        }
+
+        // 防止管理员撤销自己的管理员角色导致无人可管理
+        if (role === 'admin' && req.params.id === String(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                error: '不能撤销自己的管理员角色'
+            });
+        }
+
+        const user = await User.findById(req.params.id).select('-password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: '用户不存在'
+            });
+        }
+
+        if (!getUserRoles(user).includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: '用户没有该角色'
+            });
+        }
+
+        user.roles = (user.roles || []).filter(r => r !== role);
+        if (user.role === role) {
+            user.role = 'user';
+        }
+        await user.save({ validateBeforeSave: false });
+
+        await securityLogService.record(securityLogService.SECURITY_EVENT_TYPES.ROLE_REVOKED, {
+            user,
+            req,
+            details: { role, revokedBy: req.user.id }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                roles: getUserRoles(user),
+                permissions: getUserPermissions(user)
+            }
+        });
+
+    } catch (error) {
+        console.error('撤销角色失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '撤销角色失败'
+        });
+    }
+});
+
+// @route   PUT /api/admin/cultural-exchanges/:id/feature
+// @desc    推荐或取消推荐文化交流活动
+// @access  Private/Moderator
+router.put('/cultural-exchanges/:id/feature', protect, requirePermission(PERMISSIONS.EXCHANGE_FEATURE), async (req, res) => {
+    try {
+        const CulturalExchange = require('../models/CulturalExchange');
+        const featured = req.body.featured !== false;
+
+        const exchange = await CulturalExchange.findByIdAndUpdate(
+            req.params.id,
+            { status: featured ? 'FEATURED' : 'ACTIVE' },
+            { new: true }
+        );
+
+        if (!exchange) {
+            return res.status(404).json({
+                success: false,
+                error: '文化交流活动不存在'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: exchange
+        });
+
+    } catch (error) {
+        console.error('更新推荐状态失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '更新推荐状态失败'
+        });
+    }
+});
+
+// @route   GET /api/admin/security-events
+// @desc    跨用户查询安全事件（支持 user、type、from、to、severity、category 筛选）
+// @access  Private/Admin
+router.get('/security-events', protect, requirePermission(PERMISSIONS.SECURITY_AUDIT), async (req, res) => {
+    try {
+        const securityLogService = require('../services/securityLogService');
+
+        const filter = securityLogService.buildFilter(req.query);
+        if (req.query.user !== undefined) {
+            // 只接受单个ObjectId字符串，避免 user[$ne]= 之类的查询对象进入过滤条件
+            if (typeof req.query.user !== 'string' || !mongoose.isValidObjectId(req.query.user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '无效的用户ID'
+                });
+            }
+            filter.user = req.query.user;
+        }
+
+        const { events, pagination } = await securityLogService.getEvents(filter, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: events,
+            pagination
+        });
+
+    } catch (error) {
+        console.error('获取安全事件失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '获取安全事件失败'
+        });
+    }
+});
+
+// @route   PUT /api/admin/api-keys/:id/rate-limit
+// @desc    设置API密钥的限流配置（密钥所有者不能自行修改）
+// @access  Private/Admin
+router.put('/api-keys/:id/rate-limit', protect, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+    try {
+        const apiKeyService = require('../services/apiKeyService');
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的API密钥ID'
+            });
+        }
+
+        const result = await apiKeyService.setRateLimit(req.params.id, {
+            windowMs: req.body.windowMs,
+            max: req.body.max
+        });
+
+        if (result.status === 'invalid_rate_limit') {
+            return res.status(400).json({
+                success: false,
+                error: `时间窗口至少 ${apiKeyService.minRateLimitWindowMs} 毫秒，请求数应在 1-${apiKeyService.maxRateLimitRequests} 之间`
+            });
+        }
+
+        if (result.status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'API密钥不存在或已吊销'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.apiKey
+        });
+
+    } catch (error) {
+        console.error('更新API密钥限流配置失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '更新API密钥限流配置失败'
+        });
+    }
+});
+
 // @route   GET /api/admin/system/health
 // @desc    获取系统健康状态
 // @access  Private/Admin
-router.get('/system/health', protect, adminAuth, async (req, res) => {
+router.get('/system/health', protect, requirePermission(PERMISSIONS.SYSTEM_MONITOR), async (req, res) => {
     try {
-        const mongoose = require('mongoose');
-        
         const health = {
             status: 'healthy',
             timestamp: new Date(),
@@ -4,7 +4,8 @@ const CBTTokenService = require('../services/cbtTokenService');
 const UserWallet = require('../models/UserWallet');
 const TokenTransaction = require('../models/TokenTransaction');
 const DailyReward = require('../models/DailyReward');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { ethers } = require('ethers');
 
 // 初始化CBT代币服务
@@ -320,18 +321,10 @@ router.get('/stats', protect, async (req, res) => {
 /**
  * @desc    管理员分发奖励
  * @route   POST /api/v2/cbt/admin/distribute-reward
- * @access  Private (Admin only)
+ * @access  Private (rewards.distribute)
  */
-router.post('/admin/distribute-reward', protect, async (req, res) => {
+router.post('/admin/distribute-reward', protect, requirePermission(PERMISSIONS.REWARDS_DISTRIBUTE), async (req, res) => {
     try {
-        // 检查管理员权限
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: '权限不足'
-            });
-        }
-        
         const { userId, rewardType, customAmount, customDescription } = req.body;
         
         if (!userId || !rewardType) {
@@ -373,18 +366,10 @@ router.post('/admin/distribute-reward', protect, async (req, res) => {
 /**
  * @desc    管理员批量分发奖励
  * @route   POST /api/v2/cbt/admin/batch-distribute-rewards
- * @access  Private (Admin only)
+ * @access  Private (rewards.distribute)
  */
-router.post('/admin/batch-distribute-rewards', protect, async (req, res) => {
+router.post('/admin/batch-distribute-rewards', protect, requirePermission(PERMISSIONS.REWARDS_DISTRIBUTE), async (req, res) => {
     try {
-        // 检查管理员权限
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: '权限不足'
-            });
-        }
-        
         const { rewardList } = req.body;
         
         if (!rewardList || !Array.isArray(rewardList) || rewardList.length === 0) {
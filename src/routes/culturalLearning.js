@@ -1,10 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const CulturalLearningService = require('../services/culturalLearningService');
 const CulturalExchange = require('../models/CulturalExchange');
 const LanguageLearningSession = require('../models/LanguageLearningSession');
 const UserLearningProgress = require('../models/UserLearningProgress');
-const { protect } = require('../middleware/auth');
+const { authOrApiKey } = require('../middleware/auth');
+const { apiKeyLimiter } = require('../middleware/advancedRateLimit');
+const { API_KEY_SCOPES } = require('../config/permissions');
 
 // 初始化文化学习服务
 const culturalLearningService = new CulturalLearningService();
@@ -12,9 +15,9 @@ const culturalLearningService = new CulturalLearningService();
 /**
  * @desc    创建学习会话
  * @route   POST /api/v2/cultural-learning/sessions
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:write)
  */
-router.post('/sessions', protect, async (req, res) => {
+router.post('/sessions', authOrApiKey(API_KEY_SCOPES.LEARNING_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const { sessionType, targetLanguage, nativeLanguage, level, customContent } = req.body;
         
@@ -59,9 +62,9 @@ router.post('/sessions', protect, async (req, res) => {
 /**
  * @desc    获取用户学习会话列表
  * @route   GET /api/v2/cultural-learning/sessions
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:read)
  */
-router.get('/sessions', protect, async (req, res) => {
+router.get('/sessions', authOrApiKey(API_KEY_SCOPES.LEARNING_READ), apiKeyLimiter, async (req, res) => {
     try {
         const { page = 1, limit = 10, status, sessionType, targetLanguage } = req.query;
         
@@ -103,9 +106,9 @@ router.get('/sessions', protect, async (req, res) => {
 /**
  * @desc    获取学习会话详情
  * @route   GET /api/v2/cultural-learning/sessions/:id
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:read)
  */
-router.get('/sessions/:id', protect, async (req, res) => {
+router.get('/sessions/:id', authOrApiKey(API_KEY_SCOPES.LEARNING_READ), apiKeyLimiter, async (req, res) => {
     try {
         const session = await LanguageLearningSession.findById(req.params.id);
         
@@ -140,9 +143,9 @@ router.get('/sessions/:id', protect, async (req, res) => {
 /**
  * @desc    提交练习答案
  * @route   POST /api/v2/cultural-learning/sessions/:id/exercises/:exerciseIndex
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:write)
  */
-router.post('/sessions/:id/exercises/:exerciseIndex', protect, async (req, res) => {
+router.post('/sessions/:id/exercises/:exerciseIndex', authOrApiKey(API_KEY_SCOPES.LEARNING_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const { userAnswer, timeSpent } = req.body;
         const { id, exerciseIndex } = req.params;
@@ -187,9 +190,9 @@ router.post('/sessions/:id/exercises/:exerciseIndex', protect, async (req, res)
 /**
  * @desc    完成学习会话
  * @route   POST /api/v2/cultural-learning/sessions/:id/complete
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:write)
  */
-router.post('/sessions/:id/complete', protect, async (req, res) => {
+router.post('/sessions/:id/complete', authOrApiKey(API_KEY_SCOPES.LEARNING_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const result = await culturalLearningService.completeSession(req.params.id, req.user.id);
         
@@ -221,9 +224,9 @@ router.post('/sessions/:id/complete', protect, async (req, res) => {
 /**
  * @desc    获取用户学习进度
  * @route   GET /api/v2/cultural-learning/progress
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:read)
  */
-router.get('/progress', protect, async (req, res) => {
+router.get('/progress', authOrApiKey(API_KEY_SCOPES.LEARNING_READ), apiKeyLimiter, async (req, res) => {
     try {
         const result = await culturalLearningService.getUserLearningStats(req.user.id);
         
@@ -251,9 +254,9 @@ router.get('/progress', protect, async (req, res) => {
 /**
  * @desc    获取推荐学习内容
  * @route   GET /api/v2/cultural-learning/recommendations
- * @access  Private
+ * @access  Private (JWT 或 API密钥: learning:read)
  */
-router.get('/recommendations', protect, async (req, res) => {
+router.get('/recommendations', authOrApiKey(API_KEY_SCOPES.LEARNING_READ), apiKeyLimiter, async (req, res) => {
     try {
         const { targetLanguage } = req.query;
         
@@ -290,9 +293,9 @@ router.get('/recommendations', protect, async (req, res) => {
 /**
  * @desc    创建文化交流
  * @route   POST /api/v2/cultural-learning/exchanges
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:write)
  */
-router.post('/exchanges', protect, async (req, res) => {
+router.post('/exchanges', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const exchangeData = req.body;
         
@@ -331,9 +334,9 @@ router.post('/exchanges', protect, async (req, res) => {
 /**
  * @desc    获取文化交流列表
  * @route   GET /api/v2/cultural-learning/exchanges
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:read)
  */
-router.get('/exchanges', protect, async (req, res) => {
+router.get('/exchanges', authOrApiKey(API_KEY_SCOPES.EXCHANGES_READ), apiKeyLimiter, async (req, res) => {
     try {
         const { 
             page = 1, 
@@ -392,9 +395,9 @@ router.get('/exchanges', protect, async (req, res) => {
 /**
  * @desc    获取文化交流详情
  * @route   GET /api/v2/cultural-learning/exchanges/:id
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:read)
  */
-router.get('/exchanges/:id', protect, async (req, res) => {
+router.get('/exchanges/:id', authOrApiKey(API_KEY_SCOPES.EXCHANGES_READ), apiKeyLimiter, async (req, res) => {
     try {
         const exchange = await CulturalExchange.findById(req.params.id)
             .populate('creator', 'username avatar')
@@ -430,9 +433,9 @@ router.get('/exchanges/:id', protect, async (req, res) => {
 /**
  * @desc    参与文化交流
  * @route   POST /api/v2/cultural-learning/exchanges/:id/join
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:write)
  */
-router.post('/exchanges/:id/join', protect, async (req, res) => {
+router.post('/exchanges/:id/join', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const result = await culturalLearningService.joinCulturalExchange(req.params.id, req.user.id);
         
@@ -457,12 +460,54 @@ router.post('/exchanges/:id/join', protect, async (req, res) => {
     }
 });
 
+/**
+ * @desc    邀请用户参与文化交流
+ * @route   POST /api/v2/cultural-learning/exchanges/:id/invitations
+ * @access  Private (JWT 或 API密钥: exchanges:write)
+ */
+router.post('/exchanges/:id/invitations', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
+    try {
+        const { users } = req.body;
+        
+        if (!Array.isArray(users) || users.length === 0 || users.length > 20 ||
+            !users.every(userId => mongoose.isValidObjectId(userId))) {
+            return res.status(400).json({
+                success: false,
+                error: '请提供1-20个有效的用户ID'
+            });
+        }
+        
+        const result = await culturalLearningService.inviteToCulturalExchange(req.params.id, req.user.id, users);
+        
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            data: {
+                invited: result.invited
+            }
+        });
+        
+    } catch (error) {
+        console.error('邀请参与文化交流失败:', error);
+        res.status(500).json({
+            success: false,
+            error: '服务器内部错误'
+        });
+    }
+});
+
 /**
  * @desc    点赞文化交流
  * @route   POST /api/v2/cultural-learning/exchanges/:id/like
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:write)
  */
-router.post('/exchanges/:id/like', protect, async (req, res) => {
+router.post('/exchanges/:id/like', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const exchange = await CulturalExchange.findById(req.params.id);
         
@@ -496,9 +541,9 @@ router.post('/exchanges/:id/like', protect, async (req, res) => {
 /**
  * @desc    取消点赞文化交流
  * @route   DELETE /api/v2/cultural-learning/exchanges/:id/like
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:write)
  */
-router.delete('/exchanges/:id/like', protect, async (req, res) => {
+router.delete('/exchanges/:id/like', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const exchange = await CulturalExchange.findById(req.params.id);
         
@@ -532,9 +577,9 @@ router.delete('/exchanges/:id/like', protect, async (req, res) => {
 /**
  * @desc    添加评论
  * @route   POST /api/v2/cultural-learning/exchanges/:id/comments
- * @access  Private
+ * @access  Private (JWT 或 API密钥: exchanges:write)
  */
-router.post('/exchanges/:id/comments', protect, async (req, res) => {
+router.post('/exchanges/:id/comments', authOrApiKey(API_KEY_SCOPES.EXCHANGES_WRITE), apiKeyLimiter, async (req, res) => {
     try {
         const { content, language } = req.body;
         
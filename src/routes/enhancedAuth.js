@@ -1,8 +1,17 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const zlib = require('zlib');
+const { protect, optionalAuth } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const EnhancedAuthController = require('../controllers/enhancedAuth');
+const securityLogService = require('../services/securityLogService');
+const sessionService = require('../services/sessionService');
+const accountDataService = require('../services/accountDataService');
+const apiKeyService = require('../services/apiKeyService');
+const oauthService = require('../services/oauthService');
+const { PERMISSIONS, getUserRoles, getUserPermissions, hasPermission } = require('../config/permissions');
+
+const { SECURITY_EVENT_TYPES } = securityLogService;
 
 const router = express.Router();
 
@@ -11,14 +20,42 @@ const {
     register,
     login,
     walletLogin,
+    getWalletNonce,
+    getOAuthProviders,
+    startOAuthLogin,
+    oauthCallback,
+    linkOAuthProvider,
+    unlinkOAuthProvider,
     logout,
     getMe,
     updateDetails,
     updatePassword,
     createWallet,
     bindWallet,
+    refreshToken,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getApiKeys,
+    createApiKey,
+    updateApiKey,
+    revokeApiKey,
+    verifyTwoFactorLogin,
+    enableTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    sendEmailVerification,
+    verifyEmail,
+    sendPhoneVerification,
+    verifyPhone,
+    forgotPassword,
+    resetPassword,
     loginLimiter,
-    registerLimiter
+    walletLimiter,
+    registerLimiter,
+    passwordResetLimiter,
+    verificationLimiter
 } = EnhancedAuthController;
 
 /**
@@ -36,11 +73,60 @@ router.post('/register', registerLimiter, register);
 router.post('/login', loginLimiter, login);
 
 /**
- * @desc    钱包登录
+ * @desc    获取钱包登录消息（Sign-In with Ethereum）
+ * @route   GET /api/v2/auth/wallet-nonce
+ * @access  Public
+ */
+router.get('/wallet-nonce', walletLimiter, getWalletNonce);
+
+/**
+ * @desc    钱包登录（提交已签名的EIP-4361消息）
  * @route   POST /api/v2/auth/wallet-login
  * @access  Public
  */
-router.post('/wallet-login', walletLogin);
+router.post('/wallet-login', loginLimiter, walletLimiter, walletLogin);
+
+/**
+ * @desc    获取已启用的第三方登录提供方
+ * @route   GET /api/v2/auth/oauth/providers
+ * @access  Public
+ */
+router.get('/oauth/providers', getOAuthProviders);
+
+/**
+ * @desc    获取第三方登录授权链接
+ * @route   GET /api/v2/auth/oauth/:provider
+ * @access  Public
+ */
+router.get('/oauth/:provider', startOAuthLogin);
+
+/**
+ * @desc    第三方登录回调
+ * @route   POST /api/v2/auth/oauth/:provider/callback
+ * @access  Public
+ */
+router.post('/oauth/:provider/callback', loginLimiter, optionalAuth, oauthCallback);
+
+/**
+ * @desc    绑定第三方账号
+ * @route   POST /api/v2/auth/oauth/:provider/link
+ * @access  Private
+ */
+router.post('/oauth/:provider/link', protect, linkOAuthProvider);
+
+/**
+ * @desc    解除第三方账号绑定
+ * @route   DELETE /api/v2/auth/oauth/:provider
+ * @access  Private
+ */
+router.delete('/oauth/:provider', protect, unlinkOAuthProvider);
+
+/**
+ * @desc    两步验证登录（提交验证码或恢复码）
+ * @route   POST /api/v2/auth/verify-2fa
+ * @access  Public
+ */
+router.post('/verify-2fa', loginLimiter, verifyTwoFactorLogin);
 
 /**
  * @desc    用户登出
@@ -70,6 +156,20 @@ router.put('/update-details', protect, updateDetails);
  */
 router.put('/update-password', protect, updatePassword);
 
+/**
+ * @desc    忘记密码（发送重置链接）
+ * @route   POST /api/v2/auth/forgot-password
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+
+/**
+ * @desc    重置密码
+ * @route   PUT /api/v2/auth/reset-password/:token
+ * @access  Public
+ */
+router.put('/reset-password/:token', passwordResetLimiter, resetPassword);
+
 /**
  * @desc    创建钱包
  * @route   POST /api/v2/auth/create-wallet
@@ -85,33 +185,32 @@ router.post('/create-wallet', protect, createWallet);
 router.post('/bind-wallet', protect, bindWallet);
 
 /**
- * @desc    刷新令牌
+ * @desc    刷新令牌（轮换刷新令牌，旧令牌重复使用将注销该设备会话）
  * @route   POST /api/v2/auth/refresh-token
+ * @access  Public
+ */
+router.post('/refresh-token', refreshToken);
+
+/**
+ * @desc    获取登录设备会话列表
+ * @route   GET /api/v2/auth/sessions
  * @access  Private
  */
-router.post('/refresh-token', protect, asyncHandler(async (req, res, next) => {
-    const user = req.user;
-    
-    // 生成新的令牌
-    const token = user.getSignedJwtToken();
-    
-    // Cookie选项
-    const options = {
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24小时
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict'
-    };
-    
-    res
-        .status(200)
-        .cookie('token', token, options)
-        .json({
-            success: true,
-            token,
-            message: '令牌刷新成功'
-        });
-}));
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @desc    登出除当前设备外的所有设备
+ * @route   DELETE /api/v2/auth/sessions
+ * @access  Private
+ */
+router.delete('/sessions', protect, revokeOtherSessions);
+
+/**
+ * @desc    登出指定设备
+ * @route   DELETE /api/v2/auth/sessions/:id
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, revokeSession);
 
 /**
  * @desc    验证令牌
@@ -147,9 +246,11 @@ router.get('/permissions', protect, asyncHandler(async (req, res, next) => {
         canTransferTokens: !!user.walletAddress,
         canCreateChatRoom: true,
         canJoinEvents: true,
-        isAdmin: user.role === 'admin',
-        isModerator: ['admin', 'moderator'].includes(user.role),
-        isPremium: user.isPremium || false
+        isAdmin: getUserRoles(user).includes('admin'),
+        isModerator: hasPermission(user, PERMISSIONS.CHAT_MODERATE),
+        isPremium: user.isPremium || false,
+        roles: getUserRoles(user),
+        grants: getUserPermissions(user)
     };
     
     res.status(200).json({
@@ -318,25 +419,47 @@ router.delete('/delete-account', protect, asyncHandler(async (req, res, next) =>
         // 验证密码
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await securityLogService.record(SECURITY_EVENT_TYPES.ACCOUNT_DELETED, {
+                user,
+                req,
+                success: false,
+                details: { reason: 'INVALID_PASSWORD' }
+            });
             return next(new ErrorResponse('密码不正确', 401));
         }
         
-        // 软删除用户（保留数据但标记为已删除）
-        user.isDeleted = true;
-        user.deletedAt = new Date();
-        user.email = `deleted_${user._id}@deleted.local`;
-        user.username = `deleted_${user._id}`;
-        await user.save();
+        if (user.deletion && user.deletion.status === 'scheduled') {
+            return next(new ErrorResponse('账户已在删除流程中', 400));
+        }
+        
+        // 进入宽限期，到期后由定时任务完成匿名化和清理
+        const deletion = await accountDataService.scheduleDeletion(user, req.body.reason);
+        
+        await securityLogService.record(SECURITY_EVENT_TYPES.ACCOUNT_DELETION_SCHEDULED, {
+            user,
+            req,
+            details: { scheduledFor: deletion.scheduledFor }
+        });
+        await sessionService.revokeAllSessions(user._id, 'ACCOUNT_DELETED');
+        await apiKeyService.revokeAllKeys(user._id);
         
         // 清除cookie
         res.cookie('token', 'none', {
             expires: new Date(Date.now() + 10 * 1000),
             httpOnly: true
         });
+        res.cookie('refreshToken', 'none', {
+            expires: new Date(Date.now() + 10 * 1000),
+            httpOnly: true,
+            path: '/api/v2/auth'
+        });
         
         res.status(200).json({
             success: true,
-            message: '账户已删除'
+            message: `账户将于 ${accountDataService.gracePeriodDays} 天后永久删除，宽限期内登录后可取消删除`,
+            data: {
+                scheduledFor: deletion.scheduledFor
+            }
         });
         
     } catch (error) {
@@ -346,60 +469,176 @@ router.delete('/delete-account', protect, asyncHandler(async (req, res, next) =>
 }));
 
 /**
- * @desc    获取安全日志
- * @route   GET /api/v2/auth/security-log
+ * @desc    取消账户删除（宽限期内）
+ * @route   POST /api/v2/auth/delete-account/cancel
  * @access  Private
  */
-router.get('/security-log', protect, asyncHandler(async (req, res, next) => {
+router.post('/delete-account/cancel', protect, asyncHandler(async (req, res, next) => {
+    const User = require('../models/User');
+    const user = await User.findById(req.user.id);
+    
+    if (!user || !user.deletion || user.deletion.status !== 'scheduled') {
+        return next(new ErrorResponse('账户没有待执行的删除请求', 400));
+    }
+    
+    await accountDataService.cancelDeletion(user);
+    await securityLogService.record(SECURITY_EVENT_TYPES.ACCOUNT_DELETION_CANCELLED, { user, req });
+    
+    res.status(200).json({
+        success: true,
+        message: '已取消账户删除'
+    });
+}));
+
+/**
+ * @desc    导出个人数据
+ * @route   GET /api/v2/auth/export?gzip=true
+ * @access  Private
+ */
+router.get('/export', protect, asyncHandler(async (req, res, next) => {
     try {
-        // 这里可以实现安全日志功能
-        // 暂时返回模拟数据
-        const securityLog = [
-            {
-                action: 'login',
-                timestamp: new Date(),
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                success: true
-            }
-        ];
+        const data = await accountDataService.collectUserData(req.user.id);
         
-        res.status(200).json({
-            success: true,
-            data: securityLog,
-            message: '安全日志功能开发中'
+        if (!data) {
+            return next(new ErrorResponse('用户不存在', 404));
+        }
+        
+        await securityLogService.record(SECURITY_EVENT_TYPES.DATA_EXPORTED, { user: req.user.id, req });
+        
+        const fileName = `culturebridge-export-${req.user.id}-${Date.now()}.json`;
+        const body = JSON.stringify(data, null, 2);
+        
+        if (req.query.gzip === 'true') {
+            res.set({
+                'Content-Type': 'application/gzip',
+                'Content-Disposition': `attachment; filename="${fileName}.gz"`
+            });
+            return res.status(200).send(zlib.gzipSync(body));
+        }
+        
+        res.set({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
         });
+        res.status(200).send(body);
         
     } catch (error) {
-        console.error('获取安全日志失败:', error);
-        return next(new ErrorResponse('获取安全日志失败', 500));
+        console.error('导出个人数据失败:', error);
+        return next(new ErrorResponse('导出个人数据失败', 500));
     }
 }));
 
 /**
- * @desc    启用两步验证
- * @route   POST /api/v2/auth/enable-2fa
+ * @desc    获取安全日志（支持按事件类型和日期筛选）
+ * @route   GET /api/v2/auth/security-log?type=LOGIN,LOGIN_FAILED&from=&to=&page=&limit=
  * @access  Private
  */
-router.post('/enable-2fa', protect, asyncHandler(async (req, res, next) => {
+router.get('/security-log', protect, asyncHandler(async (req, res, next) => {
     try {
-        // 这里可以实现两步验证功能
-        // 暂时返回占位符响应
+        const filter = securityLogService.buildFilter(req.query);
+        filter.user = req.user.id;
+        
+        const { events, pagination } = await securityLogService.getEvents(filter, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        
         res.status(200).json({
             success: true,
-            data: {
-                qrCode: 'data:image/png;base64,placeholder',
-                secret: 'placeholder_secret'
-            },
-            message: '两步验证功能开发中'
+            data: events,
+            pagination
         });
         
     } catch (error) {
-        console.error('启用两步验证失败:', error);
-        return next(new ErrorResponse('启用两步验证失败', 500));
+        console.error('获取安全日志失败:', error);
+        return next(new ErrorResponse('获取安全日志失败', 500));
     }
 }));
 
+/**
+ * @desc    启用两步验证（生成密钥和otpauth链接）
+ * @route   POST /api/v2/auth/enable-2fa
+ * @access  Private
+ */
+router.post('/enable-2fa', protect, enableTwoFactor);
+
+/**
+ * @desc    确认启用两步验证（返回恢复码）
+ * @route   POST /api/v2/auth/confirm-2fa
+ * @access  Private
+ */
+router.post('/confirm-2fa', protect, confirmTwoFactor);
+
+/**
+ * @desc    关闭两步验证
+ * @route   POST /api/v2/auth/disable-2fa
+ * @access  Private
+ */
+router.post('/disable-2fa', protect, disableTwoFactor);
+
+/**
+ * @desc    重新生成两步验证恢复码
+ * @route   POST /api/v2/auth/2fa/recovery-codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+/**
+ * @desc    发送邮箱验证链接
+ * @route   POST /api/v2/auth/verify-email/send
+ * @access  Private
+ */
+router.post('/verify-email/send', protect, verificationLimiter, sendEmailVerification);
+
+/**
+ * @desc    验证邮箱
+ * @route   POST /api/v2/auth/verify-email
+ * @access  Public
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @desc    发送手机验证码
+ * @route   POST /api/v2/auth/verify-phone/send
+ * @access  Private
+ */
+router.post('/verify-phone/send', protect, verificationLimiter, sendPhoneVerification);
+
+/**
+ * @desc    验证手机号
+ * @route   POST /api/v2/auth/verify-phone
+ * @access  Private
+ */
+router.post('/verify-phone', protect, verifyPhone);
+
+/**
+ * @desc    获取API密钥列表
+ * @route   GET /api/v2/auth/api-keys
+ * @access  Private
+ */
+router.get('/api-keys', protect, getApiKeys);
+
+/**
+ * @desc    创建API密钥
+ * @route   POST /api/v2/auth/api-keys
+ * @access  Private
+ */
+router.post('/api-keys', protect, createApiKey);
+
+/**
+ * @desc    更新API密钥
+ * @route   PATCH /api/v2/auth/api-keys/:id
+ * @access  Private
+ */
+router.patch('/api-keys/:id', protect, updateApiKey);
+
+/**
+ * @desc    吊销API密钥
+ * @route   DELETE /api/v2/auth/api-keys/:id
+ * @access  Private
+ */
+router.delete('/api-keys/:id', protect, revokeApiKey);
+
 /**
  * @desc    认证服务健康检查
  * @route   GET /api/v2/auth/health
@@ -419,9 +658,16 @@ router.get('/health', asyncHandler(async (req, res, next) => {
                 registration: true,
                 login: true,
                 walletLogin: true,
+                oauthLogin: oauthService.getEnabledProviders().length > 0,
                 tokenRefresh: true,
+                deviceSessions: true,
                 passwordUpdate: true,
-                walletCreation: true
+                passwordReset: true,
+                walletCreation: true,
+                twoFactorAuth: true,
+                contactVerification: true,
+                apiKeys: true,
+                securityLog: true
             },
             timestamp: new Date().toISOString()
         };
@@ -1,5 +1,6 @@
 const express = require('express');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const EnhancedBlockchainService = require('../services/enhancedBlockchainService');
@@ -168,9 +169,9 @@ router.post('/transfer', protect, asyncHandler(async (req, res, next) => {
 /**
  * @desc    向用户转账（管理员功能）
  * @route   POST /api/v2/blockchain/transfer-to-user
- * @access  Private (Admin)
+ * @access  Private (tokens.transfer)
  */
-router.post('/transfer-to-user', protect, authorize('admin'), asyncHandler(async (req, res, next) => {
+router.post('/transfer-to-user', protect, requirePermission(PERMISSIONS.TOKENS_TRANSFER), asyncHandler(async (req, res, next) => {
     const { userId, amount, purpose, category = 'ADMIN_TRANSFER' } = req.body;
     
     if (!userId || !amount || !purpose) {
@@ -226,9 +227,9 @@ router.post('/transfer-to-user', protect, authorize('admin'), asyncHandler(async
 /**
  * @desc    分发奖励
  * @route   POST /api/v2/blockchain/distribute-reward
- * @access  Private (Admin)
+ * @access  Private (rewards.distribute)
  */
-router.post('/distribute-reward', protect, authorize('admin'), asyncHandler(async (req, res, next) => {
+router.post('/distribute-reward', protect, requirePermission(PERMISSIONS.REWARDS_DISTRIBUTE), asyncHandler(async (req, res, next) => {
     const { userIds, amount, purpose, category = 'REWARD' } = req.body;
     
     if (!userIds || !Array.isArray(userIds) || !amount || !purpose) {
@@ -491,9 +492,9 @@ router.get('/stats', asyncHandler(async (req, res, next) => {
 /**
  * @desc    部署合约（管理员功能）
  * @route   POST /api/v2/blockchain/deploy-contracts
- * @access  Private (Admin)
+ * @access  Private (contracts.deploy)
  */
-router.post('/deploy-contracts', protect, authorize('admin'), asyncHandler(async (req, res, next) => {
+router.post('/deploy-contracts', protect, requirePermission(PERMISSIONS.CONTRACTS_DEPLOY), asyncHandler(async (req, res, next) => {
     try {
         const deploymentResults = await deploymentService.deployAllContracts();
         
@@ -512,9 +513,9 @@ router.post('/deploy-contracts', protect, authorize('admin'), asyncHandler(async
 /**
  * @desc    获取部署状态
  * @route   GET /api/v2/blockchain/deployment-status
- * @access  Private (Admin)
+ * @access  Private (contracts.deploy)
  */
-router.get('/deployment-status', protect, authorize('admin'), asyncHandler(async (req, res, next) => {
+router.get('/deployment-status', protect, requirePermission(PERMISSIONS.CONTRACTS_DEPLOY), asyncHandler(async (req, res, next) => {
     try {
         const [deploymentSummary, networkStatus] = await Promise.all([
             deploymentService.getDeploymentSummary(),
@@ -1,24 +1,63 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { protect, requirePermission } = require('../middleware/auth');
 const ChatRoom = require('../models/ChatRoom');
 const ChatMessage = require('../models/ChatMessage');
+const Community = require('../models/Community');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const chatThreadService = require('../services/chatThreadService');
+const chatAttachmentService = require('../services/chatAttachmentService');
+const chatSearchService = require('../services/chatSearchService');
+const chatModerationService = require('../services/chatModerationService');
+const ModerationAppeal = require('../models/ModerationAppeal');
+const contentFilterService = require('../services/contentFilterService');
+const { CONTENT_FILTER_ACTIONS, REQUIRED_RULE_SETS } = require('../config/contentFilterRules');
+const ChatAttachment = require('../models/ChatAttachment');
+const ScheduledChatMessage = require('../models/ScheduledChatMessage');
+const chatSchedulerService = require('../services/chatSchedulerService');
+const ChatExportJob = require('../models/ChatExportJob');
+const ChatArchiveJob = require('../models/ChatArchiveJob');
+const chatExportService = require('../services/chatExportService');
+const chatArchiveService = require('../services/chatArchiveService');
+const glossaryService = require('../services/glossaryService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
 const router = express.Router();
 
+// 附件先读入内存，由chatAttachmentService识别类型后写入存储后端
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: chatAttachmentService.maxFileSize,
+        files: 1
+    }
+});
+
 /**
  * @desc    创建聊天室
  * @route   POST /api/v1/chat/rooms
  * @access  Private
  */
 router.post('/rooms', protect, asyncHandler(async (req, res, next) => {
-    const { name, description, type = 'public', language = 'zh', culturalTheme, maxMembers = 100 } = req.body;
+    const { name, description, type = 'public', language = 'zh', culturalTheme, maxMembers = 100, community } = req.body;
     
     if (!name) {
         return next(new ErrorResponse('聊天室名称不能为空', 400));
     }
     
+    // 关联社区后，社区术语表对聊天室内的自动翻译生效
+    if (community) {
+        const found = mongoose.isValidObjectId(community) ? await Community.findById(community) : null;
+        if (!found) {
+            return next(new ErrorResponse('社区不存在', 404));
+        }
+        if (!glossaryService.isCommunityMember(found, req.user.id)) {
+            return next(new ErrorResponse('只有社区成员可以创建社区聊天室', 403));
+        }
+    }
+    
     const chatRoom = await ChatRoom.create({
         name,
         description,
@@ -26,6 +65,7 @@ router.post('/rooms', protect, asyncHandler(async (req, res, next) => {
         language,
         culturalTheme,
         maxMembers,
+        community,
         creator: req.user.id,
         members: [{
             user: req.user.id,
@@ -237,7 +277,8 @@ router.get('/rooms/:id/messages', protect, asyncHandler(async (req, res, next) =
         return next(new ErrorResponse('权限不足', 403));
     }
     
-    const query = { chatRoom: req.params.id };
+    // 话题回复通过话题接口获取，不出现在主时间线中
+    const query = { chatRoom: req.params.id, threadRoot: null, ...ChatMessage.visibleTo(req.user.id) };
     
     // 时间范围查询
     if (before) {
@@ -322,6 +363,1075 @@ router.post('/rooms/:id/messages', protect, asyncHandler(async (req, res, next)
     });
 }));
 
+/**
+ * 查找聊天室中的话题根消息并检查查看权限
+ * 返回 { room, root }，失败时交给错误处理并返回null
+ */
+const findThread = async (req, next) => {
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        next(new ErrorResponse('聊天室不存在', 404));
+        return null;
+    }
+    
+    if (room.settings.isPrivate && !room.isActiveParticipant(req.user.id)) {
+        next(new ErrorResponse('权限不足', 403));
+        return null;
+    }
+    
+    const root = await chatThreadService.resolveRoot(req.params.messageId);
+    if (!root || root.chatRoom.toString() !== req.params.id) {
+        next(new ErrorResponse('话题不存在', 404));
+        return null;
+    }
+    
+    return { room, root };
+};
+
+/**
+ * @desc    获取消息的话题回复（同时标记为已读）
+ * @route   GET /api/v1/chat/rooms/:id/messages/:messageId/thread
+ * @access  Private
+ */
+router.get('/rooms/:id/messages/:messageId/thread', protect, asyncHandler(async (req, res, next) => {
+    const thread = await findThread(req, next);
+    if (!thread) return;
+    const { root } = thread;
+    
+    const { limit = 50, after } = req.query;
+    
+    const [{ replies, hasMore }, subscription] = await Promise.all([
+        chatThreadService.getReplies(root._id, { limit, after, viewer: req.user.id }),
+        chatThreadService.getSubscription(root._id, req.user.id)
+    ]);
+    
+    await root.populate('sender', 'username avatar');
+    
+    if (subscription && subscription.unreadCount > 0) {
+        await chatThreadService.markRead(root._id, req.user.id);
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: {
+            root,
+            replies,
+            hasMore,
+            following: subscription ? subscription.following : false,
+            unreadCount: subscription ? subscription.unreadCount : 0
+        }
+    });
+}));
+
+/**
+ * @desc    关注话题
+ * @route   POST /api/v1/chat/rooms/:id/messages/:messageId/thread/follow
+ * @access  Private
+ */
+router.post('/rooms/:id/messages/:messageId/thread/follow', protect, asyncHandler(async (req, res, next) => {
+    const thread = await findThread(req, next);
+    if (!thread) return;
+    const { room, root } = thread;
+    
+    // 公开聊天室的话题可以浏览，但只有参与者可以关注
+    if (!room.isActiveParticipant(req.user.id)) {
+        return next(new ErrorResponse('请先加入聊天室', 403));
+    }
+    
+    await chatThreadService.setFollowing(root, req.user.id, true);
+    
+    res.status(200).json({
+        success: true,
+        message: '已关注话题'
+    });
+}));
+
+/**
+ * @desc    取消关注话题
+ * @route   DELETE /api/v1/chat/rooms/:id/messages/:messageId/thread/follow
+ * @access  Private
+ */
+router.delete('/rooms/:id/messages/:messageId/thread/follow', protect, asyncHandler(async (req, res, next) => {
+    const thread = await findThread(req, next);
+    if (!thread) return;
+    const { root } = thread;
+    
+    await chatThreadService.setFollowing(root, req.user.id, false);
+    
+    res.status(200).json({
+        success: true,
+        message: '已取消关注话题'
+    });
+}));
+
+/**
+ * @desc    获取我参与或关注的话题（含未读回复数）
+ * @route   GET /api/v1/chat/threads
+ * @access  Private
+ */
+router.get('/threads', protect, asyncHandler(async (req, res, next) => {
+    const { unread, limit = 20 } = req.query;
+    
+    const subscriptions = await chatThreadService.listSubscriptions(req.user.id, {
+        unreadOnly: unread === 'true',
+        limit
+    });
+    
+    // 已离开或被封禁的聊天室中的话题不再展示
+    const threads = subscriptions
+        .filter(subscription => subscription.thread && subscription.chatRoom &&
+            subscription.chatRoom.isActiveParticipant(req.user.id))
+        .map(subscription => ({
+            thread: subscription.thread,
+            chatRoom: { _id: subscription.chatRoom._id, name: subscription.chatRoom.name },
+            following: subscription.following,
+            unreadCount: subscription.unreadCount,
+            lastReadAt: subscription.lastReadAt
+        }));
+    
+    res.status(200).json({
+        success: true,
+        count: threads.length,
+        totalUnread: threads.reduce((sum, thread) => sum + thread.unreadCount, 0),
+        data: threads
+    });
+}));
+
+/**
+ * 返回搜索结果，参数无效时交给错误处理
+ */
+const sendSearchResult = (result, res, next) => {
+    switch (result.status) {
+        case 'query_required':
+            return next(new ErrorResponse('搜索内容不能为空', 400));
+        case 'invalid_filter':
+            return next(new ErrorResponse('无效的搜索筛选条件', 400));
+        case 'invalid_cursor':
+            return next(new ErrorResponse('无效的分页游标', 400));
+    }
+    
+    res.status(200).json({
+        success: true,
+        count: result.results.length,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor,
+        data: result.results
+    });
+};
+
+/**
+ * @desc    在我参与的聊天室中搜索消息（匹配原文与译文）
+ * @route   GET /api/v1/chat/search?q=&room=&sender=&type=&from=&to=&hasAttachment=&cursor=&limit=
+ * @access  Private
+ */
+router.get('/search', protect, asyncHandler(async (req, res, next) => {
+    const { q, room, sender, type, from, to, hasAttachment, cursor, limit } = req.query;
+    
+    const result = await chatSearchService.searchForUser(req.user.id, {
+        q, room, sender, type, from, to, hasAttachment, cursor, limit
+    });
+    
+    sendSearchResult(result, res, next);
+}));
+
+/**
+ * @desc    版主跨聊天室搜索消息（可包含已删除消息）
+ * @route   GET /api/v1/chat/admin/search?q=&room=&sender=&type=&from=&to=&hasAttachment=&includeDeleted=&cursor=&limit=
+ * @access  Private/Moderator
+ */
+router.get('/admin/search', protect, requirePermission(PERMISSIONS.CHAT_MODERATE), asyncHandler(async (req, res, next) => {
+    const { q, room, sender, type, from, to, hasAttachment, includeDeleted, cursor, limit } = req.query;
+    
+    const result = await chatSearchService.searchAll({
+        q, room, sender, type, from, to, hasAttachment, includeDeleted, cursor, limit
+    });
+    
+    sendSearchResult(result, res, next);
+}));
+
+/**
+ * @desc    上传聊天附件（之后通过file_share事件分享到聊天室）
+ * @route   POST /api/v1/chat/rooms/:id/attachments
+ * @access  Private
+ */
+router.post('/rooms/:id/attachments', protect, attachmentUpload.single('file'), asyncHandler(async (req, res, next) => {
+    if (!req.file) {
+        return next(new ErrorResponse('请选择要上传的文件', 400));
+    }
+    
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        return next(new ErrorResponse('聊天室不存在', 404));
+    }
+    
+    if (!room.canUserPost(req.user.id)) {
+        return next(new ErrorResponse('您无法在该聊天室发送文件', 403));
+    }
+    
+    const { status, attachment } = await chatAttachmentService.upload(room, req.user.id, req.file);
+    
+    switch (status) {
+        case 'file_sharing_disabled':
+            return next(new ErrorResponse('该聊天室已禁止文件分享', 403));
+        case 'too_large':
+            return next(new ErrorResponse('文件大小超出限制', 413));
+        case 'unsupported_type':
+            return next(new ErrorResponse('不支持的文件类型', 415));
+        case 'invalid_image':
+            return next(new ErrorResponse('图片文件已损坏或无法识别', 422));
+    }
+    
+    res.status(201).json({
+        success: true,
+        data: {
+            attachment,
+            ...chatAttachmentService.getDownloadLinks(attachment, req.user.id)
+        }
+    });
+}));
+
+/**
+ * 查找附件并检查当前用户是否为所属聊天室成员
+ */
+const findAttachmentForUser = async (attachmentId, userId) => {
+    const attachment = await ChatAttachment.findById(attachmentId);
+    if (!attachment) return null;
+    
+    // 被封禁的成员不能再下载聊天室中的附件
+    const room = await ChatRoom.findById(attachment.chatRoom).select('participants');
+    
+    return room && room.isActiveParticipant(userId) ? attachment : null;
+};
+
+/**
+ * @desc    获取附件信息及签名下载链接
+ * @route   GET /api/v1/chat/attachments/:id
+ * @access  Private
+ */
+router.get('/attachments/:id', protect, asyncHandler(async (req, res, next) => {
+    const attachment = await findAttachmentForUser(req.params.id, req.user.id);
+    if (!attachment) {
+        return next(new ErrorResponse('附件不存在', 404));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: {
+            attachment,
+            ...chatAttachmentService.getDownloadLinks(attachment, req.user.id)
+        }
+    });
+}));
+
+/**
+ * @desc    通过签名链接下载附件
+ * @route   GET /api/v1/chat/attachments/:id/download?token=
+ * @access  Public（需要有效的签名令牌）
+ */
+router.get('/attachments/:id/download', asyncHandler(async (req, res, next) => {
+    const payload = chatAttachmentService.verifyDownloadToken(req.params.id, req.query.token);
+    if (!payload) {
+        return next(new ErrorResponse('下载链接无效或已过期', 403));
+    }
+    
+    // 签发链接后被移出聊天室的用户不能继续下载
+    const attachment = await findAttachmentForUser(req.params.id, payload.user);
+    if (!attachment) {
+        return next(new ErrorResponse('附件不存在', 404));
+    }
+    
+    const file = await chatAttachmentService.openStream(attachment._id, payload.variant);
+    if (!file) {
+        return next(new ErrorResponse('附件不存在', 404));
+    }
+    
+    const fileName = encodeURIComponent(attachment.originalName);
+    const disposition = file.contentType.startsWith('image/') ? 'inline' : 'attachment';
+    
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${fileName}`,
+        'Cache-Control': 'private, max-age=300',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    
+    file.stream.on('error', (error) => {
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            next(error);
+        }
+    });
+    file.stream.pipe(res);
+}));
+
+/**
+ * 获取当前用户可管理的聊天室范围，无权管理时返回undefined
+ */
+const getModerationScope = async (req, next) => {
+    const rooms = await chatModerationService.getModeratedRooms(req.user, req.query.room);
+    if (rooms && rooms.length === 0) {
+        next(new ErrorResponse('权限不足', 403));
+        return undefined;
+    }
+    return { rooms };
+};
+
+/**
+ * @desc    获取待审核的被举报消息
+ * @route   GET /api/v1/chat/moderation/queue?room=&page=&limit=
+ * @access  Private/Moderator
+ */
+router.get('/moderation/queue', protect, asyncHandler(async (req, res, next) => {
+    const scope = await getModerationScope(req, next);
+    if (!scope) return;
+    
+    const { page = 1, limit = 20 } = req.query;
+    const { messages, total } = await chatModerationService.getQueue({ ...scope, page, limit });
+    
+    res.status(200).json({
+        success: true,
+        count: messages.length,
+        total,
+        data: messages
+    });
+}));
+
+/**
+ * @desc    处理被举报的消息
+ * @route   PUT /api/v1/chat/moderation/messages/:id
+ * @access  Private/Moderator
+ */
+router.put('/moderation/messages/:id', protect, asyncHandler(async (req, res, next) => {
+    const { action, reason } = req.body;
+    
+    if (!Object.keys(chatModerationService.MESSAGE_ACTIONS).includes(action)) {
+        return next(new ErrorResponse('无效的处理方式', 400));
+    }
+    
+    const message = await ChatMessage.findById(req.params.id);
+    if (!message) {
+        return next(new ErrorResponse('消息不存在', 404));
+    }
+    
+    const room = await ChatRoom.findById(message.chatRoom);
+    if (!room || !chatModerationService.canModerate(req.user, room, 'canDeleteMessages')) {
+        return next(new ErrorResponse('权限不足', 403));
+    }
+    
+    if (!await chatModerationService.outranks(req.user, room, message.sender)) {
+        return next(new ErrorResponse('不能处理同级或更高级别的管理者', 403));
+    }
+    
+    await chatModerationService.moderateMessage(message, req.user.id, action, reason);
+    
+    res.status(200).json({
+        success: true,
+        data: message
+    });
+}));
+
+/**
+ * 查找聊天室并检查当前用户是否可以对目标成员执行禁言/封禁
+ */
+const findModeratedRoom = async (req, next) => {
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        next(new ErrorResponse('聊天室不存在', 404));
+        return null;
+    }
+    
+    if (!chatModerationService.canModerate(req.user, room, 'canMute')) {
+        next(new ErrorResponse('权限不足', 403));
+        return null;
+    }
+    
+    if (req.params.userId === req.user.id || room.creator.toString() === req.params.userId) {
+        next(new ErrorResponse('不能对该用户执行此操作', 400));
+        return null;
+    }
+    
+    if (!await chatModerationService.outranks(req.user, room, req.params.userId)) {
+        next(new ErrorResponse('不能处理同级或更高级别的管理者', 403));
+        return null;
+    }
+    
+    return room;
+};
+
+/**
+ * 禁言/封禁时长（分钟）转换为毫秒，未填写时返回undefined
+ */
+const parseDuration = (duration) => {
+    if (duration === undefined || duration === null || duration === '') return undefined;
+    const minutes = Number(duration);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : NaN;
+};
+
+/**
+ * @desc    在聊天室中禁言成员（duration单位为分钟，默认60）
+ * @route   POST /api/v1/chat/rooms/:id/participants/:userId/mute
+ * @access  Private/Moderator
+ */
+router.post('/rooms/:id/participants/:userId/mute', protect, asyncHandler(async (req, res, next) => {
+    const duration = parseDuration(req.body.duration);
+    if (Number.isNaN(duration)) {
+        return next(new ErrorResponse('无效的禁言时长', 400));
+    }
+    
+    const room = await findModeratedRoom(req, next);
+    if (!room) return;
+    
+    const status = await chatModerationService.muteUser(room, req.params.userId, req.user.id, {
+        duration,
+        reason: req.body.reason
+    });
+    if (status === 'not_participant') {
+        return next(new ErrorResponse('该用户不是聊天室成员', 404));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: room.participants.find(p => p.user.toString() === req.params.userId)
+    });
+}));
+
+/**
+ * @desc    解除禁言
+ * @route   DELETE /api/v1/chat/rooms/:id/participants/:userId/mute
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/participants/:userId/mute', protect, asyncHandler(async (req, res, next) => {
+    const room = await findModeratedRoom(req, next);
+    if (!room) return;
+    
+    const status = await chatModerationService.unmuteUser(room, req.params.userId, req.user.id, {
+        reason: req.body.reason
+    });
+    if (status === 'not_muted') {
+        return next(new ErrorResponse('该用户未被禁言', 400));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    在聊天室中封禁成员（duration单位为分钟，不填为永久封禁）
+ * @route   POST /api/v1/chat/rooms/:id/participants/:userId/ban
+ * @access  Private/Moderator
+ */
+router.post('/rooms/:id/participants/:userId/ban', protect, asyncHandler(async (req, res, next) => {
+    const duration = parseDuration(req.body.duration);
+    if (Number.isNaN(duration)) {
+        return next(new ErrorResponse('无效的封禁时长', 400));
+    }
+    
+    const room = await findModeratedRoom(req, next);
+    if (!room) return;
+    
+    const status = await chatModerationService.banUser(room, req.params.userId, req.user.id, {
+        duration,
+        reason: req.body.reason
+    });
+    if (status === 'not_participant') {
+        return next(new ErrorResponse('该用户不是聊天室成员', 404));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: room.participants.find(p => p.user.toString() === req.params.userId)
+    });
+}));
+
+/**
+ * @desc    解除封禁
+ * @route   DELETE /api/v1/chat/rooms/:id/participants/:userId/ban
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/participants/:userId/ban', protect, asyncHandler(async (req, res, next) => {
+    const room = await findModeratedRoom(req, next);
+    if (!room) return;
+    
+    const status = await chatModerationService.unbanUser(room, req.params.userId, req.user.id, {
+        reason: req.body.reason
+    });
+    if (status === 'not_banned') {
+        return next(new ErrorResponse('该用户未被封禁', 400));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    对消息处理、禁言或封禁提出申诉
+ * @route   POST /api/v1/chat/moderation/appeals
+ * @access  Private
+ */
+router.post('/moderation/appeals', protect, asyncHandler(async (req, res, next) => {
+    const { type, chatRoom, message, reason } = req.body;
+    
+    if (!['MESSAGE', 'MUTE', 'BAN'].includes(type)) {
+        return next(new ErrorResponse('无效的申诉类型', 400));
+    }
+    if (!reason) {
+        return next(new ErrorResponse('请填写申诉理由', 400));
+    }
+    
+    const result = await chatModerationService.submitAppeal(req.user.id, { type, chatRoom, message, reason });
+    
+    switch (result.status) {
+        case 'not_found':
+            return next(new ErrorResponse(type === 'MESSAGE' ? '消息不存在' : '聊天室不存在', 404));
+        case 'not_moderated':
+            return next(new ErrorResponse('没有可申诉的处理', 400));
+        case 'already_pending':
+            return next(new ErrorResponse('已有待处理的申诉', 409));
+    }
+    
+    res.status(201).json({
+        success: true,
+        data: result.appeal
+    });
+}));
+
+/**
+ * @desc    获取申诉列表
+ * @route   GET /api/v1/chat/moderation/appeals?room=&status=&page=&limit=
+ * @access  Private/Moderator
+ */
+router.get('/moderation/appeals', protect, asyncHandler(async (req, res, next) => {
+    const scope = await getModerationScope(req, next);
+    if (!scope) return;
+    
+    const { status = 'PENDING', page = 1, limit = 20 } = req.query;
+    const { appeals, total } = await chatModerationService.listAppeals({ ...scope, status, page, limit });
+    
+    res.status(200).json({
+        success: true,
+        count: appeals.length,
+        total,
+        data: appeals
+    });
+}));
+
+/**
+ * @desc    处理申诉（接受时撤销原处理）
+ * @route   PUT /api/v1/chat/moderation/appeals/:id
+ * @access  Private/Moderator
+ */
+router.put('/moderation/appeals/:id', protect, asyncHandler(async (req, res, next) => {
+    const { decision, note } = req.body;
+    
+    if (!['accept', 'reject'].includes(decision)) {
+        return next(new ErrorResponse('无效的处理结果', 400));
+    }
+    
+    const appeal = await ModerationAppeal.findById(req.params.id);
+    if (!appeal) {
+        return next(new ErrorResponse('申诉不存在', 404));
+    }
+    
+    const room = await ChatRoom.findById(appeal.chatRoom);
+    const permission = appeal.type === 'MESSAGE' ? 'canDeleteMessages' : 'canMute';
+    if (!room || !chatModerationService.canModerate(req.user, room, permission)) {
+        return next(new ErrorResponse('权限不足', 403));
+    }
+    
+    if (appeal.user.toString() === req.user.id) {
+        return next(new ErrorResponse('不能处理自己的申诉', 403));
+    }
+    
+    const status = await chatModerationService.reviewAppeal(appeal, req.user.id, {
+        accept: decision === 'accept',
+        note
+    });
+    if (status === 'already_reviewed') {
+        return next(new ErrorResponse('该申诉已处理', 409));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: appeal
+    });
+}));
+
+/**
+ * @desc    获取审核操作记录
+ * @route   GET /api/v1/chat/moderation/audit?room=&moderator=&targetUser=&action=&page=&limit=
+ * @access  Private/Moderator
+ */
+router.get('/moderation/audit', protect, asyncHandler(async (req, res, next) => {
+    const scope = await getModerationScope(req, next);
+    if (!scope) return;
+    
+    const { moderator, targetUser, action, page = 1, limit = 50 } = req.query;
+    const { entries, total } = await chatModerationService.getAuditLog({
+        ...scope, moderator, targetUser, action, page, limit
+    });
+    
+    res.status(200).json({
+        success: true,
+        count: entries.length,
+        total,
+        data: entries
+    });
+}));
+
+/**
+ * @desc    获取可用的内容过滤规则集
+ * @route   GET /api/v1/chat/content-filter/rules
+ * @access  Private
+ */
+router.get('/content-filter/rules', protect, asyncHandler(async (req, res, next) => {
+    const ruleSets = [...contentFilterService.ruleSets].map(([name, rules]) => ({
+        name,
+        required: REQUIRED_RULE_SETS.includes(name),
+        rules: rules.map(({ id, type, action }) => ({ id, type, action }))
+    }));
+    
+    res.status(200).json({
+        success: true,
+        data: {
+            actions: CONTENT_FILTER_ACTIONS,
+            ruleSets
+        }
+    });
+}));
+
+/**
+ * @desc    设置聊天室的内容过滤策略
+ * @route   PUT /api/v1/chat/rooms/:id/content-filter
+ * @access  Private/Moderator
+ */
+router.put('/rooms/:id/content-filter', protect, asyncHandler(async (req, res, next) => {
+    const { enabled, ruleSets, actions } = req.body;
+    
+    if (ruleSets !== undefined &&
+        (!Array.isArray(ruleSets) || !ruleSets.every(name => contentFilterService.ruleSets.has(name)))) {
+        return next(new ErrorResponse('无效的规则集', 400));
+    }
+    if (actions !== undefined &&
+        (typeof actions !== 'object' || !Object.values(actions).every(action => CONTENT_FILTER_ACTIONS.includes(action)))) {
+        return next(new ErrorResponse('无效的处理方式', 400));
+    }
+    
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        return next(new ErrorResponse('聊天室不存在', 404));
+    }
+    
+    if (!chatModerationService.canModerate(req.user, room, 'canManageUsers')) {
+        return next(new ErrorResponse('权限不足', 403));
+    }
+    
+    if (enabled !== undefined) room.settings.contentFilter.enabled = Boolean(enabled);
+    if (ruleSets !== undefined) room.settings.contentFilter.ruleSets = ruleSets;
+    if (actions !== undefined) room.settings.contentFilter.actions = actions;
+    await room.save();
+    
+    res.status(200).json({
+        success: true,
+        data: room.settings.contentFilter
+    });
+}));
+
+/**
+ * 查找聊天室并检查当前用户是否有对应的管理权限
+ */
+const findManagedRoom = async (req, next, permission) => {
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        next(new ErrorResponse('聊天室不存在', 404));
+        return null;
+    }
+    
+    if (!chatModerationService.canModerate(req.user, room, permission)) {
+        next(new ErrorResponse('权限不足', 403));
+        return null;
+    }
+    
+    return room;
+};
+
+/**
+ * @desc    获取聊天室的公告和置顶消息
+ * @route   GET /api/v1/chat/rooms/:id/pins
+ * @access  Private
+ */
+router.get('/rooms/:id/pins', protect, asyncHandler(async (req, res, next) => {
+    const room = await ChatRoom.findById(req.params.id);
+    if (!room) {
+        return next(new ErrorResponse('聊天室不存在', 404));
+    }
+    
+    if (room.settings.isPrivate && !room.isActiveParticipant(req.user.id)) {
+        return next(new ErrorResponse('权限不足', 403));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: {
+            announcement: room.getActiveAnnouncement(),
+            pinnedMessages: await ChatMessage.getPinnedMessages(room)
+        }
+    });
+}));
+
+/**
+ * @desc    置顶消息
+ * @route   POST /api/v1/chat/rooms/:id/pins
+ * @access  Private/Moderator
+ */
+router.post('/rooms/:id/pins', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next);
+    if (!room) return;
+    
+    const message = await ChatMessage.findById(req.body.messageId);
+    if (!message || message.chatRoom.toString() !== room._id.toString() ||
+        message.status === 'DELETED' || message.moderation.shadowHidden) {
+        return next(new ErrorResponse('消息不存在', 404));
+    }
+    
+    const status = room.pinMessage(message._id, req.user.id);
+    if (status === 'limit_reached') {
+        return next(new ErrorResponse(`最多只能置顶${ChatRoom.MAX_PINNED_MESSAGES}条消息`, 400));
+    }
+    if (status === 'already_pinned') {
+        return next(new ErrorResponse('消息已置顶', 409));
+    }
+    await room.save();
+    
+    res.status(201).json({
+        success: true,
+        data: room.pinnedMessages[0]
+    });
+}));
+
+/**
+ * @desc    取消置顶消息
+ * @route   DELETE /api/v1/chat/rooms/:id/pins/:messageId
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/pins/:messageId', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next);
+    if (!room) return;
+    
+    if (!room.unpinMessage(req.params.messageId)) {
+        return next(new ErrorResponse('消息未置顶', 404));
+    }
+    await room.save();
+    
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    设置聊天室公告（用户加入时展示，expiresAt为空时一直有效）
+ * @route   PUT /api/v1/chat/rooms/:id/announcement
+ * @access  Private/Moderator
+ */
+router.put('/rooms/:id/announcement', protect, asyncHandler(async (req, res, next) => {
+    const { text, expiresAt } = req.body;
+    
+    if (typeof text !== 'string' || !text.trim() || text.length > 1000) {
+        return next(new ErrorResponse('公告内容不能为空且不超过1000字', 400));
+    }
+    
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && (Number.isNaN(expires.getTime()) || expires <= new Date())) {
+        return next(new ErrorResponse('无效的过期时间', 400));
+    }
+    
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    room.setAnnouncement(text.trim(), req.user.id, expires);
+    await room.save();
+    
+    res.status(200).json({
+        success: true,
+        data: room.announcement
+    });
+}));
+
+/**
+ * @desc    删除聊天室公告
+ * @route   DELETE /api/v1/chat/rooms/:id/announcement
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/announcement', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    if (!room.clearAnnouncement()) {
+        return next(new ErrorResponse('聊天室没有公告', 404));
+    }
+    await room.save();
+    
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    获取聊天室的定时消息
+ * @route   GET /api/v1/chat/rooms/:id/scheduled-messages?status=SCHEDULED
+ * @access  Private/Moderator
+ */
+router.get('/rooms/:id/scheduled-messages', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    const jobs = await chatSchedulerService.list(room._id, { status: req.query.status });
+    
+    res.status(200).json({
+        success: true,
+        count: jobs.length,
+        data: jobs
+    });
+}));
+
+/**
+ * @desc    创建定时消息（recurrence: NONE | DAILY | WEEKLY）
+ * @route   POST /api/v1/chat/rooms/:id/scheduled-messages
+ * @access  Private/Moderator
+ */
+router.post('/rooms/:id/scheduled-messages', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    if (!room.participants.some(p => p.user.toString() === req.user.id)) {
+        return next(new ErrorResponse('请先加入聊天室', 400));
+    }
+    
+    const { text, runAt, recurrence, endsAt } = req.body;
+    const result = await chatSchedulerService.schedule(room, req.user.id, { text, runAt, recurrence, endsAt });
+    
+    switch (result.status) {
+        case 'text_required':
+            return next(new ErrorResponse('消息内容不能为空', 400));
+        case 'invalid_time':
+            return next(new ErrorResponse('发送时间必须晚于当前时间，截止时间不能早于发送时间', 400));
+        case 'invalid_recurrence':
+            return next(new ErrorResponse('无效的重复周期', 400));
+        case 'limit_reached':
+            return next(new ErrorResponse('定时消息数量已达上限', 400));
+    }
+    
+    res.status(201).json({
+        success: true,
+        data: result.job
+    });
+}));
+
+/**
+ * @desc    取消定时消息
+ * @route   DELETE /api/v1/chat/rooms/:id/scheduled-messages/:jobId
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/scheduled-messages/:jobId', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    const job = await ScheduledChatMessage.findOne({ _id: req.params.jobId, chatRoom: room._id });
+    if (!job) {
+        return next(new ErrorResponse('定时消息不存在', 404));
+    }
+    
+    if (await chatSchedulerService.cancel(job) === 'not_scheduled') {
+        return next(new ErrorResponse('定时消息已发送或已取消', 400));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: job
+    });
+}));
+
+/**
+ * 解析可选的日期查询参数，格式无效时返回null
+ */
+const parseOptionalDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 已完成的导出任务附带签名下载链接
+ */
+const withDownloadUrl = (job, userId) => ({
+    ...job.toObject(),
+    downloadUrl: job.status === 'COMPLETED' ? chatExportService.createDownloadUrl(job, userId) : undefined
+});
+
+/**
+ * @desc    导出聊天记录（format: json | csv | txt | html），消息较多或async=true时转为后台任务
+ * @route   GET /api/v1/chat/rooms/:id/export?format=&translations=&voice=&from=&to=&async=
+ * @access  Private/Moderator
+ */
+router.get('/rooms/:id/export', protect, asyncHandler(async (req, res, next) => {
+    const { format = 'json', translations, voice, async: background } = req.query;
+    
+    if (!chatExportService.getFormat(format)) {
+        return next(new ErrorResponse(`不支持的导出格式，可选: ${chatExportService.EXPORT_FORMATS.join(', ')}`, 400));
+    }
+    
+    const from = parseOptionalDate(req.query.from);
+    const to = parseOptionalDate(req.query.to);
+    if (from === null || to === null || (from && to && from > to)) {
+        return next(new ErrorResponse('无效的时间范围', 400));
+    }
+    
+    const room = await findManagedRoom(req, next);
+    if (!room) return;
+    
+    const result = await chatExportService.exportRoom(room, req.user.id, format, {
+        includeTranslations: translations === 'true',
+        includeVoiceTranscripts: voice === 'true',
+        from,
+        to
+    }, { background: background === 'true' });
+    
+    if (result.status === 'queued') {
+        return res.status(202).json({
+            success: true,
+            data: withDownloadUrl(result.job, req.user.id)
+        });
+    }
+    
+    res.set({
+        'Content-Type': result.file.contentType,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(result.file.fileName)}`,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(result.file.content);
+}));
+
+/**
+ * @desc    查询聊天记录导出任务，完成后返回签名下载链接
+ * @route   GET /api/v1/chat/exports/:jobId
+ * @access  Private
+ */
+router.get('/exports/:jobId', protect, asyncHandler(async (req, res, next) => {
+    const job = await ChatExportJob.findOne({ _id: req.params.jobId, requestedBy: req.user.id });
+    if (!job) {
+        return next(new ErrorResponse('导出任务不存在', 404));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: withDownloadUrl(job, req.user.id)
+    });
+}));
+
+/**
+ * @desc    通过签名链接下载导出的聊天记录
+ * @route   GET /api/v1/chat/exports/:jobId/download?token=
+ * @access  Public（需要有效的签名令牌）
+ */
+router.get('/exports/:jobId/download', asyncHandler(async (req, res, next) => {
+    const payload = chatExportService.verifyDownloadToken(req.params.jobId, req.query.token);
+    if (!payload) {
+        return next(new ErrorResponse('下载链接无效或已过期', 403));
+    }
+    
+    const file = await chatExportService.openStream(req.params.jobId);
+    if (!file || file.job.requestedBy.toString() !== payload.user) {
+        return next(new ErrorResponse('导出文件不存在或已过期', 404));
+    }
+    
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+        'Cache-Control': 'private, max-age=300',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    
+    file.stream.on('error', (error) => {
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            next(error);
+        }
+    });
+    file.stream.pipe(res);
+}));
+
+/**
+ * @desc    归档聊天室（立即只读），早于olderThanDays天的消息由后台任务移入冷数据集合，默认取消息保留天数
+ * @route   POST /api/v1/chat/rooms/:id/archive
+ * @access  Private/Moderator
+ */
+router.post('/rooms/:id/archive', protect, asyncHandler(async (req, res, next) => {
+    const { olderThanDays } = req.body;
+    if (olderThanDays !== undefined && (!Number.isInteger(olderThanDays) || olderThanDays < 0)) {
+        return next(new ErrorResponse('olderThanDays必须是非负整数', 400));
+    }
+    
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    const result = await chatArchiveService.archiveRoom(room, req.user.id, { olderThanDays });
+    if (result.status === 'already_archived') {
+        return next(new ErrorResponse('聊天室已归档', 409));
+    }
+    
+    res.status(202).json({
+        success: true,
+        data: {
+            archive: room.archive,
+            job: result.job
+        }
+    });
+}));
+
+/**
+ * @desc    查询聊天室归档任务的进度
+ * @route   GET /api/v1/chat/archive-jobs/:jobId
+ * @access  Private
+ */
+router.get('/archive-jobs/:jobId', protect, asyncHandler(async (req, res, next) => {
+    const job = await ChatArchiveJob.findOne({ _id: req.params.jobId, requestedBy: req.user.id });
+    if (!job) {
+        return next(new ErrorResponse('归档任务不存在', 404));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: job
+    });
+}));
+
+/**
+ * @desc    取消归档，恢复发言（已归档的消息仍保留在冷数据集合中，可通过导出查看）
+ * @route   DELETE /api/v1/chat/rooms/:id/archive
+ * @access  Private/Moderator
+ */
+router.delete('/rooms/:id/archive', protect, asyncHandler(async (req, res, next) => {
+    const room = await findManagedRoom(req, next, 'canManageUsers');
+    if (!room) return;
+    
+    if (await chatArchiveService.unarchiveRoom(room) === 'not_archived') {
+        return next(new ErrorResponse('聊天室未归档', 400));
+    }
+    
+    res.status(200).json({
+        success: true,
+        data: room
+    });
+}));
+
 /**
  * @desc    删除聊天消息
  * @route   DELETE /api/v1/chat/messages/:id
@@ -334,8 +1444,8 @@ router.delete('/messages/:id', protect, asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('消息不存在', 404));
     }
     
-    // 检查权限（只有发送者或管理员可以删除）
-    if (message.sender.toString() !== req.user.id && req.user.role !== 'admin') {
+    // 检查权限（只有发送者或拥有聊天管理权限的用户可以删除）
+    if (message.sender.toString() !== req.user.id && !hasPermission(req.user, PERMISSIONS.CHAT_MODERATE)) {
         return next(new ErrorResponse('权限不足', 403));
     }
     
@@ -361,9 +1471,10 @@ router.put('/rooms/:id', protect, asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('聊天室不存在', 404));
     }
     
-    // 检查权限（只有创建者或管理员可以修改）
+    // 检查权限（只有创建者、聊天室管理员或拥有聊天管理权限的用户可以修改）
     const member = room.members.find(m => m.user.toString() === req.user.id);
-    if (!member || (member.role !== 'admin' && room.creator.toString() !== req.user.id)) {
+    const isRoomManager = member && (member.role === 'admin' || room.creator.toString() === req.user.id);
+    if (!isRoomManager && !hasPermission(req.user, PERMISSIONS.CHAT_MODERATE)) {
         return next(new ErrorResponse('权限不足', 403));
     }
     
@@ -392,8 +1503,8 @@ router.delete('/rooms/:id', protect, asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('聊天室不存在', 404));
     }
     
-    // 检查权限（只有创建者可以删除）
-    if (room.creator.toString() !== req.user.id && req.user.role !== 'admin') {
+    // 检查权限（只有创建者或拥有聊天管理权限的用户可以删除）
+    if (room.creator.toString() !== req.user.id && !hasPermission(req.user, PERMISSIONS.CHAT_MODERATE)) {
         return next(new ErrorResponse('权限不足', 403));
     }
     
@@ -459,37 +459,6 @@ router.get('/config', protect, asyncHandler(async (req, res, next) => {
     });
 }));
 
-/**
- * @desc    实时语音翻译（WebSocket支持）
- * @route   POST /api/v2/voice/realtime
- * @access  Private
- */
-router.post('/realtime', protect, asyncHandler(async (req, res, next) => {
-    const { sessionId, audioChunk, isLast = false } = req.body;
-    
-    if (!sessionId || !audioChunk) {
-        return next(new ErrorResponse('请提供会话ID和音频数据', 400));
-    }
-    
-    try {
-        // 这里可以实现实时语音翻译的逻辑
-        // 暂时返回占位符响应
-        res.status(200).json({
-            success: true,
-            data: {
-                sessionId,
-                isProcessing: !isLast,
-                partialResult: isLast ? '实时翻译结果' : null
-            },
-            message: '实时语音翻译功能开发中'
-        });
-        
-    } catch (error) {
-        console.error('实时语音翻译失败:', error);
-        return next(new ErrorResponse('实时语音翻译失败', 500));
-    }
-}));
-
 /**
  * 发放语音翻译奖励
  */
@@ -0,0 +1,227 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const glossaryService = require('../services/glossaryService');
+
+const router = express.Router();
+
+router.use(protect);
+
+// 导入时可直接上传CSV或TBX文件内容（Content-Type: text/csv、application/x-tbx+xml 等）
+const rawFile = express.text({
+    type: ['text/*', 'application/xml', 'application/x-tbx+xml'],
+    limit: glossaryService.maxImportSize
+});
+
+/**
+ * 服务返回的失败状态转为错误响应，成功时返回 false
+ */
+const rejectStatus = (result, next) => {
+    switch (result.status) {
+        case 'not_found':
+            next(new ErrorResponse('术语表不存在', 404));
+            return true;
+        case 'forbidden':
+            next(new ErrorResponse('权限不足', 403));
+            return true;
+        case 'invalid_glossary':
+            next(new ErrorResponse('请提供术语表名称和有效的范围（personal | room | community）', 400));
+            return true;
+        case 'invalid_language':
+            next(new ErrorResponse('无效的语言代码，源语言和目标语言不能相同', 400));
+            return true;
+        case 'too_many_entries':
+            next(new ErrorResponse(`每个术语表最多${glossaryService.maxEntries}条术语`, 400));
+            return true;
+        case 'limit_reached':
+            next(new ErrorResponse('术语表数量已达上限', 400));
+            return true;
+        case 'invalid_format':
+            next(new ErrorResponse(`不支持的格式，可选: ${glossaryService.GLOSSARY_FORMATS.join(', ')}`, 400));
+            return true;
+        case 'invalid_file':
+            next(new ErrorResponse('无法解析术语文件', 400));
+            return true;
+        case 'too_large':
+            next(new ErrorResponse('术语文件过大', 400));
+            return true;
+        default:
+            return false;
+    }
+};
+
+/**
+ * @desc    获取个人术语表，指定chatRoom或community时获取聊天室或社区的术语表
+ * @route   GET /api/v1/glossaries?chatRoom=&community=
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+    const result = await glossaryService.list(req.user, {
+        chatRoom: req.query.chatRoom,
+        community: req.query.community
+    });
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        count: result.glossaries.length,
+        data: result.glossaries
+    });
+}));
+
+/**
+ * @desc    创建术语表（scope: personal | room | community；聊天室和社区术语表需要管理权限）
+ * @route   POST /api/v1/glossaries
+ * @access  Private
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+    const result = await glossaryService.create(req.user, req.body);
+    if (rejectStatus(result, next)) return;
+
+    res.status(201).json({
+        success: true,
+        data: result.glossary
+    });
+}));
+
+/**
+ * @desc    获取术语表及全部条目
+ * @route   GET /api/v1/glossaries/:id
+ * @access  Private
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+    const result = await glossaryService.findForUser(req.user, req.params.id);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: result.glossary
+    });
+}));
+
+/**
+ * @desc    修改术语表（name、description、enabled，entries 存在时整体替换条目）
+ * @route   PUT /api/v1/glossaries/:id
+ * @access  Private
+ */
+router.put('/:id', asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id, true);
+    if (rejectStatus(found, next)) return;
+
+    const { name, description, enabled, entries } = req.body;
+    const result = await glossaryService.update(found.glossary, { name, description, enabled, entries });
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: result.glossary
+    });
+}));
+
+/**
+ * @desc    删除术语表
+ * @route   DELETE /api/v1/glossaries/:id
+ * @access  Private
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id, true);
+    if (rejectStatus(found, next)) return;
+
+    await found.glossary.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    添加或更新条目（原文已存在时更新译法）
+ * @route   POST /api/v1/glossaries/:id/entries
+ * @access  Private
+ */
+router.post('/:id/entries', asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id, true);
+    if (rejectStatus(found, next)) return;
+
+    const entries = Array.isArray(req.body.entries) ? req.body.entries : [req.body];
+    const result = await glossaryService.mergeEntries(found.glossary, entries);
+    if (rejectStatus(result, next)) return;
+
+    const { added, updated, skipped } = result;
+    res.status(200).json({
+        success: true,
+        data: { added, updated, skipped, entries: found.glossary.entries }
+    });
+}));
+
+/**
+ * @desc    删除条目
+ * @route   DELETE /api/v1/glossaries/:id/entries/:entryId
+ * @access  Private
+ */
+router.delete('/:id/entries/:entryId', asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id, true);
+    if (rejectStatus(found, next)) return;
+
+    const result = await glossaryService.removeEntry(found.glossary, req.params.entryId);
+    if (result.status === 'not_found') {
+        return next(new ErrorResponse('条目不存在', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    导入CSV或TBX（请求体为文件内容，或JSON { content, format }），replace=true 时替换原有条目
+ * @route   POST /api/v1/glossaries/:id/import?format=csv|tbx&replace=
+ * @access  Private
+ */
+router.post('/:id/import', rawFile, asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id, true);
+    if (rejectStatus(found, next)) return;
+
+    const raw = typeof req.body === 'string';
+    const content = raw ? req.body : req.body.content;
+    const format = req.query.format || (!raw && req.body.format) ||
+        (/xml|tbx/.test(req.get('Content-Type') || '') ? 'tbx' : 'csv');
+    const replace = req.query.replace === 'true' || (!raw && req.body.replace === true);
+
+    const result = await glossaryService.importEntries(found.glossary, content, format, { replace });
+    if (rejectStatus(result, next)) return;
+
+    const { added, updated, skipped } = result;
+    res.status(200).json({
+        success: true,
+        data: { added, updated, skipped, entryCount: found.glossary.entries.length }
+    });
+}));
+
+/**
+ * @desc    导出为CSV或TBX
+ * @route   GET /api/v1/glossaries/:id/export?format=csv|tbx
+ * @access  Private
+ */
+router.get('/:id/export', asyncHandler(async (req, res, next) => {
+    const found = await glossaryService.findForUser(req.user, req.params.id);
+    if (rejectStatus(found, next)) return;
+
+    const file = glossaryService.exportGlossary(found.glossary, req.query.format || 'csv');
+    if (!file) {
+        return rejectStatus({ status: 'invalid_format' }, next);
+    }
+
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(file.content);
+}));
+
+module.exports = router;
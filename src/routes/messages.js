@@ -1,9 +1,63 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+    getMessages,
+    getConversation,
+    sendMessage,
+    deleteMessage,
+    markAsRead,
+    getDevices,
+    registerDevice,
+    addPreKeys,
+    removeDevice,
+    getPreKeyBundles
+} = require('../controllers/messages');
+const { protect } = require('../middleware/auth');
+
 const router = express.Router();
 
-router.get('/', (req, res) => {
-    res.json({ success: true, message: 'Messages API' });
+// 获取公钥包会消耗对方的一次性公钥，按请求者以及请求者和目标用户的组合限流
+// 目标用户的限额按请求者分开计算，避免单个用户耗尽额度后其他人无法与其建立会话
+const preKeyRequesterLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 60,
+    keyGenerator: req => `requester:${req.user.id}`,
+    message: {
+        success: false,
+        error: '获取公钥包过于频繁，请稍后再试'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
 });
 
-module.exports = router;
+const preKeyTargetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 10,
+    keyGenerator: req => `target:${req.user.id}:${req.params.userId}`,
+    message: {
+        success: false,
+        error: '该用户的公钥包请求过于频繁，请稍后再试'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+router.use(protect);
 
+router.route('/')
+    .get(getMessages)
+    .post(sendMessage);
+
+// 端到端加密公钥目录
+router.get('/keys/devices', getDevices);
+router.route('/keys/devices/:deviceId')
+    .put(registerDevice)
+    .delete(removeDevice);
+router.post('/keys/devices/:deviceId/prekeys', addPreKeys);
+router.get('/keys/:userId', preKeyRequesterLimiter, preKeyTargetLimiter, getPreKeyBundles);
+
+router.get('/:userId', getConversation);
+router.delete('/:id', deleteMessage);
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const User = require('../models/User');
+const { NOTIFICATION_TYPES } = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * 批量操作的通知ID，无效时返回null
+ */
+const parseIds = (ids) => {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 100) {
+        return null;
+    }
+    return ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+};
+
+/**
+ * @desc    获取通知列表
+ * @route   GET /api/v1/notifications?unread=true&type=&page=&limit=
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+        return next(new ErrorResponse('无效的通知类型', 400));
+    }
+
+    const { notifications, total, unreadCount } = await notificationService.list(req.user.id, {
+        unread: unread === 'true',
+        type,
+        page,
+        limit
+    });
+
+    res.status(200).json({
+        success: true,
+        count: notifications.length,
+        total,
+        unreadCount,
+        data: notifications
+    });
+}));
+
+/**
+ * @desc    获取未读通知数
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private
+ */
+router.get('/unread-count', asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            unreadCount: await notificationService.getUnreadCount(req.user.id)
+        }
+    });
+}));
+
+/**
+ * @desc    批量标记为已读
+ * @route   PUT /api/v1/notifications/read
+ * @access  Private
+ */
+router.put('/read', asyncHandler(async (req, res, next) => {
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+        return next(new ErrorResponse('请提供1-100个有效的通知ID', 400));
+    }
+
+    const modified = await notificationService.markRead(req.user.id, ids, true);
+
+    res.status(200).json({
+        success: true,
+        data: { modified }
+    });
+}));
+
+/**
+ * @desc    批量标记为未读
+ * @route   PUT /api/v1/notifications/unread
+ * @access  Private
+ */
+router.put('/unread', asyncHandler(async (req, res, next) => {
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+        return next(new ErrorResponse('请提供1-100个有效的通知ID', 400));
+    }
+
+    const modified = await notificationService.markRead(req.user.id, ids, false);
+
+    res.status(200).json({
+        success: true,
+        data: { modified }
+    });
+}));
+
+/**
+ * @desc    全部标记为已读（可限定通知类型）
+ * @route   PUT /api/v1/notifications/read-all
+ * @access  Private
+ */
+router.put('/read-all', asyncHandler(async (req, res, next) => {
+    const { type } = req.body;
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+        return next(new ErrorResponse('无效的通知类型', 400));
+    }
+
+    const modified = await notificationService.markAllRead(req.user.id, { type });
+
+    res.status(200).json({
+        success: true,
+        data: { modified }
+    });
+}));
+
+/**
+ * @desc    获取通知偏好
+ * @route   GET /api/v1/notifications/preferences
+ * @access  Private
+ */
+router.get('/preferences', asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select('settings.notifications');
+
+    res.status(200).json({
+        success: true,
+        data: notificationService.getPreferencesOf(user)
+    });
+}));
+
+/**
+ * @desc    更新通知偏好
+ * @route   PUT /api/v1/notifications/preferences
+ * @access  Private
+ */
+router.put('/preferences', asyncHandler(async (req, res, next) => {
+    const result = await notificationService.updatePreferences(req.user.id, req.body);
+
+    if (result.status === 'invalid_preference') {
+        return next(new ErrorResponse(`无效的通知偏好: ${result.field}`, 400));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: result.preferences
+    });
+}));
+
+/**
+ * @desc    获取Web Push的VAPID公钥
+ * @route   GET /api/v1/notifications/push/vapid-public-key
+ * @access  Private
+ */
+router.get('/push/vapid-public-key', asyncHandler(async (req, res, next) => {
+    const publicKey = notificationService.getVapidPublicKey();
+    if (!publicKey) {
+        return next(new ErrorResponse('未启用Web Push', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: { publicKey }
+    });
+}));
+
+/**
+ * @desc    保存浏览器的Push订阅
+ * @route   POST /api/v1/notifications/push/subscriptions
+ * @access  Private
+ */
+router.post('/push/subscriptions', asyncHandler(async (req, res, next) => {
+    const result = await notificationService.subscribePush(req.user.id, req.body, req.get('user-agent'));
+
+    switch (result.status) {
+        case 'push_disabled':
+            return next(new ErrorResponse('未启用Web Push', 404));
+        case 'invalid_subscription':
+            return next(new ErrorResponse('无效的Push订阅', 400));
+    }
+
+    res.status(201).json({
+        success: true,
+        data: result.subscription
+    });
+}));
+
+/**
+ * @desc    取消Push订阅
+ * @route   DELETE /api/v1/notifications/push/subscriptions
+ * @access  Private
+ */
+router.delete('/push/subscriptions', asyncHandler(async (req, res, next) => {
+    if (!req.body.endpoint) {
+        return next(new ErrorResponse('请提供订阅的endpoint', 400));
+    }
+
+    if (!await notificationService.unsubscribePush(req.user.id, req.body.endpoint)) {
+        return next(new ErrorResponse('订阅不存在', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+/**
+ * @desc    删除通知
+ * @route   DELETE /api/v1/notifications/:id
+ * @access  Private
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+    if (!await notificationService.remove(req.user.id, req.params.id)) {
+        return next(new ErrorResponse('通知不存在', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {}
+    });
+}));
+
+module.exports = router;
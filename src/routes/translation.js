@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { authOrApiKey, optionalApiKey } = require('../middleware/auth');
+const { apiKeyLimiter } = require('../middleware/advancedRateLimit');
+const { API_KEY_SCOPES } = require('../config/permissions');
 
 /**
  * @route   GET /api/translation/languages
@@ -38,9 +41,9 @@ router.get('/languages', async (req, res) => {
 /**
  * @route   POST /api/translation/translate
  * @desc    翻译文本
- * @access  Public
+ * @access  Public（可携带API密钥: translation，按密钥配额限流）
  */
-router.post('/translate', async (req, res) => {
+router.post('/translate', optionalApiKey(API_KEY_SCOPES.TRANSLATION), apiKeyLimiter, async (req, res) => {
     try {
         const { text, fromLang, toLang } = req.body;
         
@@ -99,9 +102,9 @@ router.post('/translate', async (req, res) => {
 /**
  * @route   POST /api/translation/voice
  * @desc    语音翻译
- * @access  Public
+ * @access  Public（可携带API密钥: translation，按密钥配额限流）
  */
-router.post('/voice', async (req, res) => {
+router.post('/voice', optionalApiKey(API_KEY_SCOPES.TRANSLATION), apiKeyLimiter, async (req, res) => {
     try {
         const { audioData, fromLang, toLang } = req.body;
         
@@ -140,9 +143,9 @@ router.post('/voice', async (req, res) => {
 /**
  * @route   GET /api/translation/history
  * @desc    获取翻译历史
- * @access  Private
+ * @access  Private (JWT 或 API密钥: translation)
  */
-router.get('/history', async (req, res) => {
+router.get('/history', authOrApiKey(API_KEY_SCOPES.TRANSLATION), apiKeyLimiter, async (req, res) => {
     try {
         // 模拟翻译历史
         const mockHistory = [
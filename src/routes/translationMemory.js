@@ -0,0 +1,114 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { PERMISSIONS } = require('../config/permissions');
+const { TRANSLATION_MEMORY_ORIGINS } = require('../models/TranslationMemory');
+const translationMemoryService = require('../services/translationMemoryService');
+
+const router = express.Router();
+
+router.use(protect);
+
+// 导入时可直接上传TMX文件内容（Content-Type: application/x-tmx+xml、application/xml 或 text/xml）
+const rawFile = express.text({
+    type: ['text/*', 'application/xml', 'application/x-tmx+xml'],
+    limit: translationMemoryService.maxImportSize
+});
+
+/**
+ * @desc    查询翻译记忆（完全匹配和模糊匹配的人工译文）
+ * @route   GET /api/v1/translation-memory/lookup?text=&sourceLanguage=&targetLanguage=
+ * @access  Private
+ */
+router.get('/lookup', asyncHandler(async (req, res, next) => {
+    const { text, sourceLanguage, targetLanguage } = req.query;
+
+    if (!text || !sourceLanguage || !targetLanguage || sourceLanguage === 'auto') {
+        return next(new ErrorResponse('请提供原文、源语言和目标语言', 400));
+    }
+    if (text.length > 5000) {
+        return next(new ErrorResponse('文本长度不能超过5000字符', 400));
+    }
+
+    const result = await translationMemoryService.lookup(text, sourceLanguage, targetLanguage);
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+}));
+
+/**
+ * @desc    翻译记忆命中统计
+ * @route   GET /api/v1/translation-memory/stats
+ * @access  Private
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+    const stats = await translationMemoryService.getStats(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        data: stats
+    });
+}));
+
+/**
+ * @desc    导入TMX（请求体为文件内容，或JSON { content }）
+ * @route   POST /api/v1/translation-memory/import?sourceLanguage=&targetLanguage=
+ * @access  Private/Admin
+ */
+router.post('/import', requirePermission(PERMISSIONS.TRANSLATION_MEMORY_MANAGE), rawFile, asyncHandler(async (req, res, next) => {
+    const content = typeof req.body === 'string' ? req.body : req.body.content;
+    const { sourceLanguage, targetLanguage } = req.query;
+
+    const result = await translationMemoryService.importTmx(content, {
+        sourceLanguage,
+        targetLanguage,
+        userId: req.user.id
+    });
+
+    switch (result.status) {
+        case 'invalid_file':
+            return next(new ErrorResponse('无法解析TMX文件', 400));
+        case 'invalid_language':
+            return next(new ErrorResponse('TMX文件未指定源语言，请通过sourceLanguage参数指定', 400));
+        case 'too_large':
+            return next(new ErrorResponse('TMX文件过大', 400));
+    }
+
+    const { added, updated, skipped } = result;
+    res.status(200).json({
+        success: true,
+        data: { added, updated, skipped }
+    });
+}));
+
+/**
+ * @desc    导出为TMX（origin 逗号分隔，默认只导出人工校对和导入的片段）
+ * @route   GET /api/v1/translation-memory/export?sourceLanguage=&targetLanguage=&origin=
+ * @access  Private/Admin
+ */
+router.get('/export', requirePermission(PERMISSIONS.TRANSLATION_MEMORY_MANAGE), asyncHandler(async (req, res, next) => {
+    const { sourceLanguage, targetLanguage } = req.query;
+    const origins = req.query.origin ? req.query.origin.split(',').map(origin => origin.trim()) : undefined;
+
+    if (!sourceLanguage || sourceLanguage === 'auto') {
+        return next(new ErrorResponse('请指定源语言', 400));
+    }
+    if (origins && !origins.every(origin => TRANSLATION_MEMORY_ORIGINS.includes(origin))) {
+        return next(new ErrorResponse(`无效的来源，可选: ${TRANSLATION_MEMORY_ORIGINS.join(', ')}`, 400));
+    }
+
+    const file = await translationMemoryService.exportTmx({ sourceLanguage, targetLanguage, origins });
+
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(file.content);
+}));
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const translationReviewService = require('../services/translationReviewService');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * 服务返回的失败状态转为错误响应，成功时返回 false
+ */
+const rejectStatus = (result, next) => {
+    switch (result.status) {
+        case 'not_found':
+            next(new ErrorResponse('内容或校对不存在', 404));
+            return true;
+        case 'forbidden':
+            next(new ErrorResponse('权限不足', 403));
+            return true;
+        case 'invalid_target':
+            next(new ErrorResponse(`请提供有效的内容类型（${translationReviewService.TRANSLATION_REVIEW_TARGETS.join(' | ')}）和内容ID`, 400));
+            return true;
+        case 'invalid_status':
+            next(new ErrorResponse('无效的校对状态', 400));
+            return true;
+        case 'no_translation':
+            next(new ErrorResponse('该内容没有目标语言的机器译文', 400));
+            return true;
+        case 'invalid_language':
+            next(new ErrorResponse('无效的语言代码，源语言和目标语言不能相同', 400));
+            return true;
+        case 'untrusted':
+            next(new ErrorResponse(`需要验证邮箱或手机，或注册满 ${translationReviewService.minAccountAgeDays} 天后才能参与校对`, 403));
+            return true;
+        case 'not_bilingual':
+            next(new ErrorResponse('需要在个人资料中将原文和译文语言设为母语或流利才能参与校对', 403));
+            return true;
+        case 'invalid_edit':
+            next(new ErrorResponse('请提供修改后的译文', 400));
+            return true;
+        case 'unchanged':
+            next(new ErrorResponse('修改后的译文与机器译文相同', 400));
+            return true;
+        case 'duplicate':
+            next(new ErrorResponse('已有相同的修改建议，请直接投票', 400));
+            return true;
+        case 'limit_reached':
+            next(new ErrorResponse('该校对的修改建议数量已达上限', 400));
+            return true;
+        case 'invalid_vote':
+            next(new ErrorResponse('投票值必须为 1 或 -1', 400));
+            return true;
+        case 'own_edit':
+            next(new ErrorResponse('不能为自己的修改投票', 400));
+            return true;
+        case 'closed':
+        case 'not_open':
+            next(new ErrorResponse('校对已结束', 400));
+            return true;
+        case 'not_approved':
+            next(new ErrorResponse('该校对没有等待确认的修改', 400));
+            return true;
+        case 'conflict':
+            next(new ErrorResponse('校对已被其他用户更新，请重试', 409));
+            return true;
+        default:
+            return false;
+    }
+};
+
+/**
+ * @desc    待校对队列（用户掌握的语言之间），mine=true 时为自己提交或修改过的校对
+ * @route   GET /api/v1/translation-reviews?status=&sourceLanguage=&targetLanguage=&mine=true&page=&limit=
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+    const { status, sourceLanguage, targetLanguage, mine, page = 1, limit = 20 } = req.query;
+
+    const result = await translationReviewService.list(req.user, {
+        status,
+        sourceLanguage,
+        targetLanguage,
+        mine: mine === 'true',
+        page,
+        limit
+    });
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        count: result.reviews.length,
+        total: result.total,
+        data: result.reviews
+    });
+}));
+
+/**
+ * @desc    提交机器译文校对（type: chat_message | post | voice_translation）
+ * @route   POST /api/v1/translation-reviews
+ * @access  Private
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+    const { type, id, field, sourceLanguage, targetLanguage, machineText, reason, text, rating } = req.body;
+
+    const result = await translationReviewService.submit(req.user, {
+        type,
+        id,
+        field,
+        sourceLanguage,
+        targetLanguage,
+        machineText,
+        reason,
+        text,
+        rating
+    });
+    if (rejectStatus(result, next)) return;
+
+    // 该译文已有进行中的校对时返回已有的校对
+    res.status(result.status === 'created' ? 201 : 200).json({
+        success: true,
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+/**
+ * @desc    获取校对及修改建议
+ * @route   GET /api/v1/translation-reviews/:id
+ * @access  Private
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+    const result = await translationReviewService.findForUser(req.user, req.params.id);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+/**
+ * @desc    关闭校对（提交者或版主），等待确认的校对由版主否决
+ * @route   DELETE /api/v1/translation-reviews/:id
+ * @access  Private
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+    const found = await translationReviewService.findForUser(req.user, req.params.id);
+    if (rejectStatus(found, next)) return;
+
+    const result = await translationReviewService.close(req.user, found.review);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+/**
+ * @desc    提出修改（每人一条待投票的修改，重新提交时替换并清空投票）
+ * @route   POST /api/v1/translation-reviews/:id/edits
+ * @access  Private
+ */
+router.post('/:id/edits', asyncHandler(async (req, res, next) => {
+    const found = await translationReviewService.findForUser(req.user, req.params.id);
+    if (rejectStatus(found, next)) return;
+
+    const result = await translationReviewService.proposeEdit(req.user, found.review, req.body.text);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+/**
+ * @desc    为修改投票（value: 1 | -1），达到阈值时社区通过、等待版主确认
+ * @route   POST /api/v1/translation-reviews/:id/edits/:editId/vote
+ * @access  Private
+ */
+router.post('/:id/edits/:editId/vote', asyncHandler(async (req, res, next) => {
+    const found = await translationReviewService.findForUser(req.user, req.params.id);
+    if (rejectStatus(found, next)) return;
+
+    const result = await translationReviewService.vote(req.user, found.review, req.params.editId, req.body.value);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        approved: result.status === 'approved',
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+/**
+ * @desc    确认采纳社区通过的修改：写回译文、写入翻译记忆并奖励修改者
+ * @route   POST /api/v1/translation-reviews/:id/confirm
+ * @access  Private (chat.moderate | translation.memory)
+ */
+router.post('/:id/confirm', asyncHandler(async (req, res, next) => {
+    const found = await translationReviewService.findForUser(req.user, req.params.id);
+    if (rejectStatus(found, next)) return;
+
+    const result = await translationReviewService.confirm(req.user, found.review);
+    if (rejectStatus(result, next)) return;
+
+    res.status(200).json({
+        success: true,
+        data: translationReviewService.formatReview(result.review, req.user._id)
+    });
+}));
+
+module.exports = router;
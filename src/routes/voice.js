@@ -1,9 +1,40 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const voiceStreamingService = require('../services/voiceStreamingService');
+
 const router = express.Router();
 
 router.get('/', (req, res) => {
     res.json({ success: true, message: 'Voice API' });
 });
 
-module.exports = router;
+/**
+ * @desc    创建实时语音翻译会话，客户端用返回的令牌连接 Socket.IO 的 /voice 命名空间推送音频
+ * @route   POST /api/v1/voice/realtime
+ * @access  Private
+ */
+router.post('/realtime', protect, asyncHandler(async (req, res, next) => {
+    const { sourceLanguage, targetLanguages, targetLanguage, synthesize = true } = req.body;
+
+    const result = await voiceStreamingService.createSessionToken(req.user.id, {
+        sourceLanguage,
+        targetLanguages: targetLanguages || targetLanguage,
+        synthesize: synthesize !== false
+    });
 
+    if (result.status === 'invalid_language') {
+        return next(new ErrorResponse(`请提供有效的源语言和目标语言（最多${voiceStreamingService.maxTargetLanguages}种）`, 400));
+    }
+    if (result.status === 'too_many_sessions') {
+        return next(new ErrorResponse('同时进行的实时翻译会话过多', 429));
+    }
+
+    res.status(201).json({
+        success: true,
+        data: result.session
+    });
+}));
+
+module.exports = router;
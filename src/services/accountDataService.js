@@ -0,0 +1,354 @@
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const ChatMessage = require('../models/ChatMessage');
+const ArchivedChatMessage = require('../models/ArchivedChatMessage');
+const VoiceTranslation = require('../models/VoiceTranslation');
+const TokenTransaction = require('../models/TokenTransaction');
+const UserWallet = require('../models/UserWallet');
+const LanguageLearningSession = require('../models/LanguageLearningSession');
+const UserLearningProgress = require('../models/UserLearningProgress');
+const LanguageLearningProgress = require('../models/LanguageLearningProgress');
+const DailyReward = require('../models/DailyReward');
+const SecurityEvent = require('../models/SecurityEvent');
+const AuthSession = require('../models/AuthSession');
+const ApiKey = require('../models/ApiKey');
+const ThreadSubscription = require('../models/ThreadSubscription');
+const DeviceKey = require('../models/DeviceKey');
+const ChatAttachment = require('../models/ChatAttachment');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const securityLogService = require('./securityLogService');
+const sessionService = require('./sessionService');
+const apiKeyService = require('./apiKeyService');
+const chatAttachmentService = require('./chatAttachmentService');
+
+const { SECURITY_EVENT_TYPES } = securityLogService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMOVED_TEXT = '[已删除]';
+
+// 聊天消息（含已移入归档集合的消息）的匿名化更新
+const ANONYMIZE_CHAT_MESSAGE = {
+    $set: { 'content.text': REMOVED_TEXT, translations: [], mentions: [] },
+    $unset: {
+        'content.originalText': 1,
+        'content.voiceUrl': 1,
+        'content.imageUrl': 1,
+        'content.fileUrl': 1,
+        'content.fileName': 1,
+        'content.location': 1,
+        'content.attachment': 1
+    }
+};
+
+/**
+ * 账户数据服务：个人数据导出与分阶段删除
+ * Account Data Service (export & staged deletion)
+ */
+class AccountDataService {
+    constructor() {
+        this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+        this.projectRoot = path.join(__dirname, '../..');
+        // 只允许清理这些目录下的文件
+        this.purgeableDirs = ['uploads', 'temp'].map(dir => path.join(this.projectRoot, dir));
+        this.schedulerTimer = null;
+    }
+
+    /**
+     * 收集与用户相关的全部数据
+     */
+    async collectUserData(userId) {
+        const user = await User.findById(userId).select('-privateKey').lean();
+
+        if (!user) {
+            return null;
+        }
+
+        const [
+            profile,
+            posts,
+            comments,
+            directMessages,
+            chatMessages,
+            archivedChatMessages,
+            chatAttachments,
+            voiceTranslations,
+            tokenTransactions,
+            wallets,
+            learningSessions,
+            learningProgress,
+            languageProgress,
+            dailyRewards,
+            securityEvents,
+            sessions,
+            apiKeys,
+            threadSubscriptions,
+            e2eDevices,
+            notifications,
+            pushSubscriptions
+        ] = await Promise.all([
+            Profile.findOne({ user: userId }).lean(),
+            Post.find({ user: userId }).lean(),
+            Comment.find({ user: userId }).lean(),
+            Message.find({ $or: [{ sender: userId }, { receiver: userId }] }).lean(),
+            ChatMessage.find({ sender: userId }).lean(),
+            ArchivedChatMessage.find({ sender: userId }).lean(),
+            ChatAttachment.find({ uploader: userId }).lean(),
+            VoiceTranslation.find({ user: userId }).lean(),
+            TokenTransaction.find({ $or: [{ user: userId }, { fromUser: userId }, { toUser: userId }] }).lean(),
+            UserWallet.find({ userId }).select('-verificationSignature').lean(),
+            LanguageLearningSession.find({ userId }).lean(),
+            UserLearningProgress.find({ userId }).lean(),
+            LanguageLearningProgress.find({ user: userId }).lean(),
+            DailyReward.find({ userId }).lean(),
+            SecurityEvent.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+            AuthSession.find({ user: userId }).lean(),
+            ApiKey.find({ owner: userId }).lean(),
+            ThreadSubscription.find({ user: userId }).lean(),
+            // 端到端加密设备只导出公钥，不包含待取用的一次性预共享公钥
+            DeviceKey.find({ user: userId }).select('-oneTimePreKeys').lean(),
+            Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+            // 推送订阅的加密密钥不导出
+            PushSubscription.find({ user: userId }).select('-keys').lean()
+        ]);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            format: 'culturebridge-personal-data-v1',
+            user,
+            profile,
+            posts,
+            comments,
+            directMessages,
+            chatMessages,
+            archivedChatMessages,
+            chatAttachments,
+            threadSubscriptions,
+            voiceTranslations,
+            tokenTransactions,
+            wallets,
+            learning: {
+                sessions: learningSessions,
+                progress: learningProgress,
+                languageProgress
+            },
+            dailyRewards,
+            securityEvents,
+            sessions,
+            apiKeys,
+            e2eDevices,
+            notifications,
+            pushSubscriptions
+        };
+    }
+
+    /**
+     * 安排账户删除（进入宽限期）
+     */
+    async scheduleDeletion(user, reason) {
+        const now = new Date();
+
+        user.deletion = {
+            status: 'scheduled',
+            requestedAt: now,
+            scheduledFor: new Date(now.getTime() + this.gracePeriodDays * DAY_MS),
+            reason
+        };
+        await user.save();
+
+        return user.deletion;
+    }
+
+    /**
+     * 在宽限期内取消删除
+     */
+    async cancelDeletion(user) {
+        user.deletion = { status: 'none' };
+        await user.save();
+    }
+
+    /**
+     * 执行最终删除：匿名化内容、清理音频文件、解除链上记录与个人的关联
+     */
+    async finalizeDeletion(userId) {
+        const user = await User.findById(userId);
+
+        if (!user || !user.deletion || user.deletion.status !== 'scheduled') {
+            return null;
+        }
+
+        const voiceTranslations = await VoiceTranslation.find({ user: userId }).lean();
+        const voiceFilter = { sender: userId, 'content.voiceUrl': { $exists: true } };
+        const voiceMessages = [
+            ...await ChatMessage.find(voiceFilter).select('content.voiceUrl').lean(),
+            ...await ArchivedChatMessage.find(voiceFilter).select('content.voiceUrl').lean()
+        ];
+
+        const audioUrls = [];
+        voiceTranslations.forEach(vt => {
+            if (vt.originalAudioUrl) audioUrls.push(vt.originalAudioUrl);
+            if (vt.originalAudio && vt.originalAudio.url) audioUrls.push(vt.originalAudio.url);
+            (vt.translations || []).forEach(t => t.audioUrl && audioUrls.push(t.audioUrl));
+        });
+        voiceMessages.forEach(msg => audioUrls.push(msg.content.voiceUrl));
+
+        const purgedFiles = await this.purgeFiles(audioUrls);
+        // 聊天附件保存在存储后端（本地或S3），连同缩略图一起删除
+        const removedAttachments = await chatAttachmentService.removeUserAttachments(userId);
+
+        const [chatResult, archivedChatResult, voiceResult, postResult, commentResult, messageResult] = await Promise.all([
+            ChatMessage.updateMany({ sender: userId }, ANONYMIZE_CHAT_MESSAGE),
+            ArchivedChatMessage.updateMany({ sender: userId }, ANONYMIZE_CHAT_MESSAGE),
+            VoiceTranslation.updateMany({ user: userId }, {
+                $set: { originalText: REMOVED_TEXT, translations: [] },
+                $unset: { originalAudioUrl: 1, 'qualityScore.userFeedback': 1 }
+            }),
+            Post.updateMany({ user: userId }, { $set: { title: REMOVED_TEXT, content: REMOVED_TEXT, images: [] } }),
+            Comment.updateMany({ user: userId }, { $set: { content: REMOVED_TEXT } }),
+            Message.updateMany({ sender: userId }, { $set: { content: REMOVED_TEXT } })
+        ]);
+
+        // 链上交易记录保留（交易哈希不可撤销），仅清除可识别个人的描述信息
+        await TokenTransaction.updateMany(
+            { $or: [{ user: userId }, { fromUser: userId }, { toUser: userId }] },
+            { $set: { metadata: { anonymized: true } } }
+        );
+
+        await Promise.all([
+            UserWallet.deleteMany({ userId }),
+            Profile.deleteMany({ user: userId }),
+            LanguageLearningSession.deleteMany({ userId }),
+            UserLearningProgress.deleteMany({ userId }),
+            LanguageLearningProgress.deleteMany({ user: userId }),
+            ThreadSubscription.deleteMany({ user: userId }),
+            // 删除设备公钥，其他用户无法再获取密钥包向该账户发送密文
+            DeviceKey.deleteMany({ user: userId }),
+            // 通知正文包含私信预览，推送地址注销后不再向该账户的设备推送
+            Notification.deleteMany({ user: userId }),
+            PushSubscription.deleteMany({ user: userId }),
+            // 该用户触发的、留在他人信箱中的通知不再保留其内容预览
+            Notification.updateMany({ actor: userId }, { $set: { body: REMOVED_TEXT }, $unset: { actor: 1 } }),
+            sessionService.revokeAllSessions(userId, 'ACCOUNT_DELETED'),
+            apiKeyService.revokeAllKeys(userId)
+        ]);
+
+        // 保留匿名化的用户记录，使历史内容和链上交易不再指向真实个人
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                username: `deleted_${userId}`,
+                email: `deleted_${userId}@deleted.local`,
+                status: 'disabled',
+                profile: {},
+                languages: { native: [], learning: [] },
+                social: { followers: [], following: [], friends: [] },
+                verification: {},
+                'deletion.status': 'completed',
+                'deletion.completedAt': new Date()
+            },
+            $unset: {
+                walletAddress: 1,
+                privateKey: 1,
+                'security.twoFactorSecret': 1,
+                'security.twoFactorPendingSecret': 1,
+                'security.twoFactorRecoveryCodes': 1,
+                'deletion.reason': 1
+            }
+        });
+
+        const summary = {
+            chatMessages: chatResult.modifiedCount,
+            archivedChatMessages: archivedChatResult.modifiedCount,
+            voiceTranslations: voiceResult.modifiedCount,
+            posts: postResult.modifiedCount,
+            comments: commentResult.modifiedCount,
+            directMessages: messageResult.modifiedCount,
+            purgedFiles,
+            removedAttachments
+        };
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.ACCOUNT_DELETED, {
+            user: userId,
+            details: { stage: 'finalized', ...summary }
+        });
+
+        return summary;
+    }
+
+    /**
+     * 删除上传目录和临时目录中的文件
+     * 仅处理 /uploads/... 形式的本地URL，且不允许越出允许的目录
+     */
+    async purgeFiles(urls) {
+        let purged = 0;
+
+        for (const url of new Set(urls.filter(Boolean))) {
+            if (/^[a-z]+:\/\//i.test(url)) continue;
+
+            const filePath = path.resolve(this.projectRoot, `.${url.startsWith('/') ? '' : '/'}${url}`);
+            const allowed = this.purgeableDirs.some(dir => filePath.startsWith(dir + path.sep));
+            if (!allowed) continue;
+
+            try {
+                await fs.unlink(filePath);
+                purged++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`清理文件失败 ${filePath}:`, error);
+                }
+            }
+        }
+
+        return purged;
+    }
+
+    /**
+     * 处理宽限期已到的删除请求
+     */
+    async processDueDeletions() {
+        const dueUsers = await User.find({
+            'deletion.status': 'scheduled',
+            'deletion.scheduledFor': { $lte: new Date() }
+        }).select('_id');
+
+        let processed = 0;
+        for (const { _id } of dueUsers) {
+            try {
+                if (await this.finalizeDeletion(_id)) processed++;
+            } catch (error) {
+                console.error(`执行账户删除失败 ${_id}:`, error);
+            }
+        }
+
+        return processed;
+    }
+
+    /**
+     * 启动定时删除任务
+     */
+    startDeletionScheduler(intervalMs = 60 * 60 * 1000) {
+        if (this.schedulerTimer) return;
+
+        this.schedulerTimer = setInterval(() => {
+            this.processDueDeletions()
+                .then(count => count > 0 && console.log(`🗑️ 已完成 ${count} 个账户的删除`))
+                .catch(error => console.error('账户删除任务失败:', error));
+        }, intervalMs);
+    }
+
+    /**
+     * 停止定时删除任务
+     */
+    stopDeletionScheduler() {
+        if (this.schedulerTimer) {
+            clearInterval(this.schedulerTimer);
+            this.schedulerTimer = null;
+        }
+    }
+}
+
+module.exports = new AccountDataService();
@@ -1,7 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
-const FormData = require('form-data');
 const axios = require('axios');
+const languageProviderRegistry = require('./languageProviderRegistry');
+const { detectScriptLanguage } = require('./languageProviderAdapters');
 
 class AdvancedVoiceTranslationService {
     constructor() {
@@ -27,30 +28,11 @@ class AdvancedVoiceTranslationService {
         this.translationCache = new Map();
         this.speechCache = new Map();
         
-        // 配置API密钥（从环境变量获取）
-        this.azureConfig = {
-            speechKey: process.env.AZURE_SPEECH_KEY,
-            speechRegion: process.env.AZURE_SPEECH_REGION || 'eastus',
-            translatorKey: process.env.AZURE_TRANSLATOR_KEY,
-            translatorRegion: process.env.AZURE_TRANSLATOR_REGION || 'global'
-        };
-        
-        this.googleConfig = {
-            apiKey: process.env.GOOGLE_TRANSLATE_API_KEY,
-            speechApiKey: process.env.GOOGLE_SPEECH_API_KEY
-        };
-        
-        // 备用翻译服务配置
-        this.baiduConfig = {
-            appId: process.env.BAIDU_TRANSLATE_APP_ID,
-            secretKey: process.env.BAIDU_TRANSLATE_SECRET_KEY
-        };
-        
         console.log('✅ 高级语音翻译服务已初始化');
     }
     
     /**
-     * 语音识别 - 将音频转换为文本
+     * 语音识别 - 将音频转换为文本（由 languageProviderRegistry 选择服务提供方）
      */
     async speechToText(audioBuffer, sourceLanguage = 'auto', options = {}) {
         try {
@@ -60,28 +42,30 @@ class AdvancedVoiceTranslationService {
                 channels = 1,
                 enablePunctuation = true,
                 enableWordTimestamps = false,
-                profanityFilter = true
+                profanityFilter = true,
+                strategy
             } = options;
             
-            // 优先使用Azure Speech Services
-            if (this.azureConfig.speechKey) {
-                return await this.azureSpeechToText(audioBuffer, sourceLanguage, {
-                    format,
-                    sampleRate,
-                    channels,
-                    enablePunctuation,
-                    enableWordTimestamps,
-                    profanityFilter
-                });
-            }
-            
-            // 备用Google Speech-to-Text
-            if (this.googleConfig.speechApiKey) {
-                return await this.googleSpeechToText(audioBuffer, sourceLanguage, options);
-            }
+            const result = await languageProviderRegistry.speechToText(audioBuffer, sourceLanguage, {
+                format,
+                sampleRate,
+                channels,
+                enablePunctuation,
+                enableWordTimestamps,
+                profanityFilter,
+                alternativeLanguages: sourceLanguage === 'auto' ? ['en-US', 'zh-CN', 'ja-JP', 'ko-KR'] : [],
+                strategy
+            });
             
-            // 本地语音识别（基础实现）
-            return await this.localSpeechToText(audioBuffer, sourceLanguage, options);
+            return {
+                success: true,
+                text: result.text,
+                confidence: result.confidence,
+                language: result.language,
+                alternatives: result.alternatives,
+                wordTimestamps: enableWordTimestamps ? result.wordTimestamps : [],
+                provider: result.provider
+            };
             
         } catch (error) {
             console.error('语音识别失败:', error.message);
@@ -95,129 +79,6 @@ class AdvancedVoiceTranslationService {
         }
     }
     
-    /**
-     * Azure语音识别
-     */
-    async azureSpeechToText(audioBuffer, sourceLanguage, options) {
-        try {
-            const endpoint = `https://${this.azureConfig.speechRegion}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1`;
-            
-            const params = new URLSearchParams({
-                'language': sourceLanguage === 'auto' ? 'zh-CN' : sourceLanguage,
-                'format': 'detailed',
-                'profanity': options.profanityFilter ? 'masked' : 'raw'
-            });
-            
-            const response = await axios.post(`${endpoint}?${params}`, audioBuffer, {
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.azureConfig.speechKey,
-                    'Content-Type': `audio/${options.format}; codecs=opus`,
-                    'Accept': 'application/json'
-                },
-                timeout: 30000
-            });
-            
-            const result = response.data;
-            
-            if (result.RecognitionStatus === 'Success') {
-                return {
-                    success: true,
-                    text: result.DisplayText,
-                    confidence: result.NBest?.[0]?.Confidence || 0.9,
-                    language: result.NBest?.[0]?.Lexical ? sourceLanguage : 'unknown',
-                    alternatives: result.NBest?.slice(1, 3).map(item => ({
-                        text: item.Display,
-                        confidence: item.Confidence
-                    })) || [],
-                    wordTimestamps: options.enableWordTimestamps ? this.extractWordTimestamps(result) : []
-                };
-            } else {
-                throw new Error(`Azure语音识别失败: ${result.RecognitionStatus}`);
-            }
-            
-        } catch (error) {
-            console.error('Azure语音识别错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * Google语音识别
-     */
-    async googleSpeechToText(audioBuffer, sourceLanguage, options) {
-        try {
-            const endpoint = 'https://speech.googleapis.com/v1/speech:recognize';
-            
-            const requestBody = {
-                config: {
-                    encoding: options.format.toUpperCase(),
-                    sampleRateHertz: options.sampleRate,
-                    audioChannelCount: options.channels,
-                    languageCode: sourceLanguage === 'auto' ? 'zh-CN' : sourceLanguage,
-                    enableAutomaticPunctuation: options.enablePunctuation,
-                    enableWordTimeOffsets: options.enableWordTimestamps,
-                    profanityFilter: options.profanityFilter,
-                    alternativeLanguageCodes: ['en-US', 'zh-CN', 'ja-JP', 'ko-KR']
-                },
-                audio: {
-                    content: audioBuffer.toString('base64')
-                }
-            };
-            
-            const response = await axios.post(`${endpoint}?key=${this.googleConfig.speechApiKey}`, requestBody, {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            });
-            
-            const result = response.data;
-            
-            if (result.results && result.results.length > 0) {
-                const bestResult = result.results[0];
-                const alternative = bestResult.alternatives[0];
-                
-                return {
-                    success: true,
-                    text: alternative.transcript,
-                    confidence: alternative.confidence || 0.9,
-                    language: sourceLanguage,
-                    alternatives: bestResult.alternatives.slice(1, 3).map(alt => ({
-                        text: alt.transcript,
-                        confidence: alt.confidence
-                    })),
-                    wordTimestamps: alternative.words?.map(word => ({
-                        word: word.word,
-                        startTime: parseFloat(word.startTime?.replace('s', '') || '0'),
-                        endTime: parseFloat(word.endTime?.replace('s', '') || '0')
-                    })) || []
-                };
-            } else {
-                throw new Error('Google语音识别未返回结果');
-            }
-            
-        } catch (error) {
-            console.error('Google语音识别错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * 本地语音识别（基础实现）
-     */
-    async localSpeechToText(audioBuffer, sourceLanguage, options) {
-        // 这里可以集成开源的语音识别库，如 DeepSpeech 或 Wav2Vec2
-        // 暂时返回模拟结果
-        return {
-            success: true,
-            text: '[本地语音识别] 检测到语音内容',
-            confidence: 0.7,
-            language: sourceLanguage,
-            alternatives: [],
-            wordTimestamps: []
-        };
-    }
-    
     /**
      * 文本翻译
      */
@@ -233,46 +94,28 @@ class AdvancedVoiceTranslationService {
                 return this.translationCache.get(cacheKey);
             }
             
-            const {
-                preserveFormatting = true,
-                includeAlternatives = true,
-                category = 'general',
-                profanityAction = 'NoAction'
-            } = options;
-            
-            let result;
+            const translation = await languageProviderRegistry.translate(text, sourceLanguage, targetLanguage, {
+                strategy: options.strategy
+            });
             
-            // 优先使用Azure Translator
-            if (this.azureConfig.translatorKey) {
-                result = await this.azureTranslateText(text, targetLanguage, sourceLanguage, {
-                    preserveFormatting,
-                    includeAlternatives,
-                    category,
-                    profanityAction
-                });
-            }
-            // 备用Google Translate
-            else if (this.googleConfig.apiKey) {
-                result = await this.googleTranslateText(text, targetLanguage, sourceLanguage, options);
-            }
-            // 备用百度翻译
-            else if (this.baiduConfig.appId) {
-                result = await this.baiduTranslateText(text, targetLanguage, sourceLanguage, options);
-            }
-            // 本地翻译（基础实现）
-            else {
-                result = await this.localTranslateText(text, targetLanguage, sourceLanguage, options);
-            }
+            const result = {
+                success: true,
+                originalText: text,
+                translatedText: translation.text,
+                sourceLanguage: translation.sourceLanguage,
+                targetLanguage: targetLanguage,
+                confidence: translation.confidence,
+                alternatives: translation.alternatives,
+                provider: translation.provider
+            };
             
             // 缓存结果
-            if (result.success) {
-                this.translationCache.set(cacheKey, result);
-                
-                // 限制缓存大小
-                if (this.translationCache.size > 1000) {
-                    const firstKey = this.translationCache.keys().next().value;
-                    this.translationCache.delete(firstKey);
-                }
+            this.translationCache.set(cacheKey, result);
+            
+            // 限制缓存大小
+            if (this.translationCache.size > 1000) {
+                const firstKey = this.translationCache.keys().next().value;
+                this.translationCache.delete(firstKey);
             }
             
             return result;
@@ -291,177 +134,6 @@ class AdvancedVoiceTranslationService {
         }
     }
     
-    /**
-     * Azure文本翻译
-     */
-    async azureTranslateText(text, targetLanguage, sourceLanguage, options) {
-        try {
-            const endpoint = 'https://api.cognitive.microsofttranslator.com/translate';
-            
-            const params = new URLSearchParams({
-                'api-version': '3.0',
-                'to': targetLanguage
-            });
-            
-            if (sourceLanguage !== 'auto') {
-                params.append('from', sourceLanguage);
-            }
-            
-            if (options.includeAlternatives) {
-                params.append('includeAlignment', 'true');
-                params.append('includeSentenceLength', 'true');
-            }
-            
-            const requestBody = [{
-                text: text
-            }];
-            
-            const response = await axios.post(`${endpoint}?${params}`, requestBody, {
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.azureConfig.translatorKey,
-                    'Ocp-Apim-Subscription-Region': this.azureConfig.translatorRegion,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 15000
-            });
-            
-            const result = response.data[0];
-            
-            if (result.translations && result.translations.length > 0) {
-                const translation = result.translations[0];
-                
-                return {
-                    success: true,
-                    originalText: text,
-                    translatedText: translation.text,
-                    sourceLanguage: result.detectedLanguage?.language || sourceLanguage,
-                    targetLanguage: targetLanguage,
-                    confidence: result.detectedLanguage?.score || 0.9,
-                    alternatives: result.translations.slice(1, 3).map(t => t.text) || [],
-                    alignment: translation.alignment,
-                    sentenceLength: translation.sentLen
-                };
-            } else {
-                throw new Error('Azure翻译未返回结果');
-            }
-            
-        } catch (error) {
-            console.error('Azure翻译错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * Google文本翻译
-     */
-    async googleTranslateText(text, targetLanguage, sourceLanguage, options) {
-        try {
-            const endpoint = 'https://translation.googleapis.com/language/translate/v2';
-            
-            const params = new URLSearchParams({
-                'key': this.googleConfig.apiKey,
-                'q': text,
-                'target': targetLanguage,
-                'format': 'text'
-            });
-            
-            if (sourceLanguage !== 'auto') {
-                params.append('source', sourceLanguage);
-            }
-            
-            const response = await axios.post(endpoint, params, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                timeout: 15000
-            });
-            
-            const result = response.data.data.translations[0];
-            
-            return {
-                success: true,
-                originalText: text,
-                translatedText: result.translatedText,
-                sourceLanguage: result.detectedSourceLanguage || sourceLanguage,
-                targetLanguage: targetLanguage,
-                confidence: 0.9,
-                alternatives: []
-            };
-            
-        } catch (error) {
-            console.error('Google翻译错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * 百度文本翻译
-     */
-    async baiduTranslateText(text, targetLanguage, sourceLanguage, options) {
-        try {
-            const crypto = require('crypto');
-            const endpoint = 'https://fanyi-api.baidu.com/api/trans/vip/translate';
-            
-            const salt = Date.now().toString();
-            const sign = crypto.createHash('md5')
-                .update(this.baiduConfig.appId + text + salt + this.baiduConfig.secretKey)
-                .digest('hex');
-            
-            const params = new URLSearchParams({
-                'q': text,
-                'from': sourceLanguage === 'auto' ? 'auto' : this.mapLanguageCodeToBaidu(sourceLanguage),
-                'to': this.mapLanguageCodeToBaidu(targetLanguage),
-                'appid': this.baiduConfig.appId,
-                'salt': salt,
-                'sign': sign
-            });
-            
-            const response = await axios.post(endpoint, params, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                timeout: 15000
-            });
-            
-            const result = response.data;
-            
-            if (result.trans_result && result.trans_result.length > 0) {
-                return {
-                    success: true,
-                    originalText: text,
-                    translatedText: result.trans_result[0].dst,
-                    sourceLanguage: result.from || sourceLanguage,
-                    targetLanguage: result.to || targetLanguage,
-                    confidence: 0.8,
-                    alternatives: []
-                };
-            } else {
-                throw new Error(`百度翻译错误: ${result.error_msg || '未知错误'}`);
-            }
-            
-        } catch (error) {
-            console.error('百度翻译错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * 本地文本翻译（基础实现）
-     */
-    async localTranslateText(text, targetLanguage, sourceLanguage, options) {
-        // 这里可以集成开源翻译模型，如 MarianMT 或 T5
-        // 暂时返回模拟结果
-        return {
-            success: true,
-            originalText: text,
-            translatedText: `[本地翻译到${targetLanguage}] ${text}`,
-            sourceLanguage: sourceLanguage,
-            targetLanguage: targetLanguage,
-            confidence: 0.7,
-            alternatives: []
-        };
-    }
-    
     /**
      * 文本转语音
      */
@@ -478,45 +150,43 @@ class AdvancedVoiceTranslationService {
             }
             
             const {
-                voice = this.supportedLanguages[targetLanguage]?.voice,
+                voice,
                 speed = 1.0,
                 pitch = 1.0,
                 volume = 1.0,
                 format = 'mp3',
-                quality = 'high'
+                quality = 'high',
+                strategy
             } = options;
             
-            let result;
-            
-            // 优先使用Azure Speech Services
-            if (this.azureConfig.speechKey) {
-                result = await this.azureTextToSpeech(text, targetLanguage, {
-                    voice,
-                    speed,
-                    pitch,
-                    volume,
-                    format,
-                    quality
-                });
-            }
-            // 备用Google Text-to-Speech
-            else if (this.googleConfig.speechApiKey) {
-                result = await this.googleTextToSpeech(text, targetLanguage, options);
-            }
-            // 本地语音合成
-            else {
-                result = await this.localTextToSpeech(text, targetLanguage, options);
-            }
+            const synthesis = await languageProviderRegistry.synthesize(text, targetLanguage, {
+                voice,
+                speed,
+                pitch,
+                volume,
+                format,
+                quality,
+                strategy
+            });
+            
+            const audioUrl = await this.saveAudioFile(synthesis.audio, synthesis.format);
+            const result = {
+                success: true,
+                audioBuffer: synthesis.audio,
+                audioUrl: audioUrl,
+                duration: this.estimateAudioDuration(text, speed),
+                format: synthesis.format,
+                size: synthesis.audio.length,
+                provider: synthesis.provider
+            };
             
             // 缓存结果
-            if (result.success) {
-                this.speechCache.set(cacheKey, result);
-                
-                // 限制缓存大小
-                if (this.speechCache.size > 100) {
-                    const firstKey = this.speechCache.keys().next().value;
-                    this.speechCache.delete(firstKey);
-                }
+            this.speechCache.set(cacheKey, result);
+            
+            // 限制缓存大小
+            if (this.speechCache.size > 100) {
+                const firstKey = this.speechCache.keys().next().value;
+                this.speechCache.delete(firstKey);
             }
             
             return result;
@@ -534,114 +204,6 @@ class AdvancedVoiceTranslationService {
         }
     }
     
-    /**
-     * Azure文本转语音
-     */
-    async azureTextToSpeech(text, targetLanguage, options) {
-        try {
-            const endpoint = `https://${this.azureConfig.speechRegion}.tts.speech.microsoft.com/cognitiveservices/v1`;
-            
-            const ssml = this.generateSSML(text, options.voice, {
-                speed: options.speed,
-                pitch: options.pitch,
-                volume: options.volume
-            });
-            
-            const response = await axios.post(endpoint, ssml, {
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.azureConfig.speechKey,
-                    'Content-Type': 'application/ssml+xml',
-                    'X-Microsoft-OutputFormat': this.getAzureOutputFormat(options.format, options.quality),
-                    'User-Agent': 'CultureBridge'
-                },
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
-            
-            const audioBuffer = Buffer.from(response.data);
-            const audioUrl = await this.saveAudioFile(audioBuffer, options.format);
-            
-            return {
-                success: true,
-                audioBuffer: audioBuffer,
-                audioUrl: audioUrl,
-                duration: this.estimateAudioDuration(text, options.speed),
-                format: options.format,
-                size: audioBuffer.length
-            };
-            
-        } catch (error) {
-            console.error('Azure语音合成错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * Google文本转语音
-     */
-    async googleTextToSpeech(text, targetLanguage, options) {
-        try {
-            const endpoint = 'https://texttospeech.googleapis.com/v1/text:synthesize';
-            
-            const requestBody = {
-                input: { text: text },
-                voice: {
-                    languageCode: targetLanguage,
-                    name: options.voice,
-                    ssmlGender: 'NEUTRAL'
-                },
-                audioConfig: {
-                    audioEncoding: options.format.toUpperCase(),
-                    speakingRate: options.speed,
-                    pitch: options.pitch,
-                    volumeGainDb: (options.volume - 1) * 6
-                }
-            };
-            
-            const response = await axios.post(`${endpoint}?key=${this.googleConfig.speechApiKey}`, requestBody, {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            });
-            
-            const audioBuffer = Buffer.from(response.data.audioContent, 'base64');
-            const audioUrl = await this.saveAudioFile(audioBuffer, options.format);
-            
-            return {
-                success: true,
-                audioBuffer: audioBuffer,
-                audioUrl: audioUrl,
-                duration: this.estimateAudioDuration(text, options.speed),
-                format: options.format,
-                size: audioBuffer.length
-            };
-            
-        } catch (error) {
-            console.error('Google语音合成错误:', error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * 本地文本转语音
-     */
-    async localTextToSpeech(text, targetLanguage, options) {
-        // 这里可以集成开源TTS引擎，如 eSpeak 或 Festival
-        // 暂时返回模拟结果
-        const mockAudioBuffer = Buffer.from('mock audio data');
-        const audioUrl = await this.saveAudioFile(mockAudioBuffer, options.format);
-        
-        return {
-            success: true,
-            audioBuffer: mockAudioBuffer,
-            audioUrl: audioUrl,
-            duration: this.estimateAudioDuration(text, options.speed),
-            format: options.format,
-            size: mockAudioBuffer.length
-        };
-    }
-    
     /**
      * 完整的语音翻译流程
      */
@@ -814,30 +376,6 @@ class AdvancedVoiceTranslationService {
     /**
      * 辅助方法
      */
-    generateSSML(text, voice, options) {
-        const { speed = 1.0, pitch = 1.0, volume = 1.0 } = options;
-        
-        return `
-            <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
-                <voice name="${voice}">
-                    <prosody rate="${speed}" pitch="${pitch > 1 ? '+' : ''}${((pitch - 1) * 50).toFixed(0)}%" volume="${(volume * 100).toFixed(0)}%">
-                        ${text}
-                    </prosody>
-                </voice>
-            </speak>
-        `.trim();
-    }
-    
-    getAzureOutputFormat(format, quality) {
-        const formatMap = {
-            'mp3': quality === 'high' ? 'audio-24khz-48kbitrate-mono-mp3' : 'audio-16khz-32kbitrate-mono-mp3',
-            'wav': quality === 'high' ? 'riff-24khz-16bit-mono-pcm' : 'riff-16khz-16bit-mono-pcm',
-            'ogg': 'ogg-24khz-16bit-mono-opus'
-        };
-        
-        return formatMap[format] || formatMap['mp3'];
-    }
-    
     async saveAudioFile(audioBuffer, format) {
         try {
             const uploadsDir = path.join(process.cwd(), 'uploads', 'audio');
@@ -868,42 +406,6 @@ class AdvancedVoiceTranslationService {
         return Math.max(estimatedMinutes * 60, 1); // 最少1秒
     }
     
-    extractWordTimestamps(azureResult) {
-        // 从Azure结果中提取单词时间戳
-        if (azureResult.NBest && azureResult.NBest[0] && azureResult.NBest[0].Words) {
-            return azureResult.NBest[0].Words.map(word => ({
-                word: word.Word,
-                startTime: word.Offset / 10000000, // 转换为秒
-                endTime: (word.Offset + word.Duration) / 10000000,
-                confidence: word.Confidence
-            }));
-        }
-        return [];
-    }
-    
-    mapLanguageCodeToBaidu(languageCode) {
-        const mapping = {
-            'zh-CN': 'zh',
-            'zh-TW': 'cht',
-            'en-US': 'en',
-            'en-GB': 'en',
-            'ja-JP': 'jp',
-            'ko-KR': 'kor',
-            'fr-FR': 'fra',
-            'de-DE': 'de',
-            'es-ES': 'spa',
-            'it-IT': 'it',
-            'pt-BR': 'pt',
-            'ru-RU': 'ru',
-            'ar-XA': 'ara',
-            'hi-IN': 'hi',
-            'th-TH': 'th',
-            'vi-VN': 'vie'
-        };
-        
-        return mapping[languageCode] || 'auto';
-    }
-    
     /**
      * 获取支持的语言列表
      */
@@ -916,14 +418,14 @@ class AdvancedVoiceTranslationService {
      */
     async detectLanguage(text) {
         try {
-            if (this.azureConfig.translatorKey) {
+            if (process.env.AZURE_TRANSLATOR_KEY) {
                 const endpoint = 'https://api.cognitive.microsofttranslator.com/detect';
                 const params = new URLSearchParams({ 'api-version': '3.0' });
                 
                 const response = await axios.post(`${endpoint}?${params}`, [{ text }], {
                     headers: {
-                        'Ocp-Apim-Subscription-Key': this.azureConfig.translatorKey,
-                        'Ocp-Apim-Subscription-Region': this.azureConfig.translatorRegion,
+                        'Ocp-Apim-Subscription-Key': process.env.AZURE_TRANSLATOR_KEY,
+                        'Ocp-Apim-Subscription-Region': process.env.AZURE_TRANSLATOR_REGION || 'global',
                         'Content-Type': 'application/json'
                     }
                 });
@@ -937,16 +439,9 @@ class AdvancedVoiceTranslationService {
                 };
             }
             
-            // 简单的语言检测逻辑
-            if (/[\u4e00-\u9fa5]/.test(text)) {
-                return { success: true, language: 'zh-CN', confidence: 0.9 };
-            } else if (/[\u3040-\u309f\u30a0-\u30ff]/.test(text)) {
-                return { success: true, language: 'ja-JP', confidence: 0.9 };
-            } else if (/[\uac00-\ud7af]/.test(text)) {
-                return { success: true, language: 'ko-KR', confidence: 0.9 };
-            } else {
-                return { success: true, language: 'en-US', confidence: 0.7 };
-            }
+            // 按文字系统简单检测
+            const language = detectScriptLanguage(text);
+            return { success: true, language, confidence: language === 'en-US' ? 0.7 : 0.9 };
             
         } catch (error) {
             console.error('语言检测失败:', error.message);
@@ -973,9 +468,10 @@ class AdvancedVoiceTranslationService {
      */
     getServiceStatus() {
         return {
-            azureConfigured: !!(this.azureConfig.speechKey && this.azureConfig.translatorKey),
-            googleConfigured: !!(this.googleConfig.apiKey && this.googleConfig.speechApiKey),
-            baiduConfigured: !!(this.baiduConfig.appId && this.baiduConfig.secretKey),
+            speechRecognitionAvailable: languageProviderRegistry.isAvailable('stt'),
+            translationAvailable: languageProviderRegistry.isAvailable('translate'),
+            textToSpeechAvailable: languageProviderRegistry.isAvailable('tts'),
+            providers: languageProviderRegistry.getStatus(),
             cacheSize: {
                 translation: this.translationCache.size,
                 speech: this.speechCache.size
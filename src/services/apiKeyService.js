@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'cbk';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * API密钥服务：签发、校验和吊销第三方集成密钥
+ * API Key Service
+ *
+ * 密钥格式：cbk_<前缀>_<密钥>，只保存完整密钥的哈希
+ */
+class ApiKeyService {
+    constructor() {
+        this.maxKeysPerUser = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+        this.lastUsedThrottleMs = 60 * 1000;
+        this.minRateLimitWindowMs = 1000;
+        this.maxRateLimitRequests = 10000;
+    }
+
+    /**
+     * 哈希API密钥
+     */
+    hashKey(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    /**
+     * 生成新的API密钥
+     */
+    generateKey() {
+        const prefix = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        return { prefix, key: `${KEY_PREFIX}_${prefix}_${secret}` };
+    }
+
+    /**
+     * 从完整密钥中解析前缀
+     */
+    parsePrefix(key) {
+        const match = /^cbk_([a-f0-9]{12})_[A-Za-z0-9_-]{43}$/.exec(String(key || ''));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * 校验权限范围，返回无效的范围列表
+     */
+    getInvalidScopes(scopes) {
+        const validScopes = Object.values(API_KEY_SCOPES);
+        return (scopes || []).filter(scope => !validScopes.includes(scope));
+    }
+
+    /**
+     * 创建API密钥
+     * 完整密钥只在创建时返回一次
+     */
+    async createKey(owner, { name, organization, scopes, expiresInDays } = {}) {
+        const activeCount = await ApiKey.countDocuments({ owner, revokedAt: { $exists: false } });
+        if (activeCount >= this.maxKeysPerUser) {
+            return { status: 'limit_reached' };
+        }
+
+        const { prefix, key } = this.generateKey();
+
+        const apiKey = await ApiKey.create({
+            owner,
+            name,
+            organization,
+            prefix,
+            keyHash: this.hashKey(key),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : undefined
+        });
+
+        return { status: 'created', apiKey, key };
+    }
+
+    /**
+     * 校验API密钥
+     * 有效时返回密钥文档（已填充 owner），否则返回null
+     */
+    async authenticate(key, req) {
+        const prefix = this.parsePrefix(key);
+        if (!prefix) {
+            return null;
+        }
+
+        const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash').populate('owner', '-password');
+        if (!apiKey || !apiKey.isActive || !apiKey.owner) {
+            return null;
+        }
+
+        const expected = Buffer.from(apiKey.keyHash, 'hex');
+        const actual = Buffer.from(this.hashKey(key), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        await this.recordUsage(apiKey, req);
+
+        return apiKey;
+    }
+
+    /**
+     * 记录使用情况（限制最后使用时间的写入频率）
+     */
+    async recordUsage(apiKey, req) {
+        const now = Date.now();
+        const update = { $inc: { usageCount: 1 } };
+
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > this.lastUsedThrottleMs) {
+            update.$set = { lastUsedAt: new Date(now), lastUsedIp: req ? req.ip : undefined };
+        }
+
+        await ApiKey.updateOne({ _id: apiKey._id }, update);
+    }
+
+    /**
+     * 获取用户的API密钥列表
+     */
+    async listKeys(owner) {
+        return ApiKey.find({ owner }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * 更新API密钥的名称、机构或权限范围
+     * 限流配置只能由管理员通过 setRateLimit 修改
+     */
+    async updateKey(keyId, owner, updates) {
+        const apiKey = await ApiKey.findOne({ _id: keyId, owner, revokedAt: { $exists: false } });
+        if (!apiKey) {
+            return null;
+        }
+
+        ['name', 'organization'].forEach(field => {
+            if (updates[field] !== undefined) apiKey[field] = updates[field];
+        });
+        if (updates.scopes !== undefined) {
+            apiKey.scopes = [...new Set(updates.scopes)];
+        }
+
+        await apiKey.save();
+        return apiKey;
+    }
+
+    /**
+     * 设置API密钥的限流配置（管理员操作）
+     */
+    async setRateLimit(keyId, { windowMs, max } = {}) {
+        if (!Number.isInteger(windowMs) || windowMs < this.minRateLimitWindowMs ||
+            !Number.isInteger(max) || max < 1 || max > this.maxRateLimitRequests) {
+            return { status: 'invalid_rate_limit' };
+        }
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: keyId, revokedAt: { $exists: false } },
+            { rateLimit: { windowMs, max } },
+            { new: true, runValidators: true }
+        );
+
+        return apiKey ? { status: 'updated', apiKey } : { status: 'not_found' };
+    }
+
+    /**
+     * 吊销API密钥
+     */
+    async revokeKey(keyId, owner) {
+        return ApiKey.findOneAndUpdate(
+            { _id: keyId, owner, revokedAt: { $exists: false } },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+    }
+
+    /**
+     * 吊销用户的全部API密钥
+     */
+    async revokeAllKeys(owner) {
+        const result = await ApiKey.updateMany(
+            { owner, revokedAt: { $exists: false } },
+            { revokedAt: new Date() }
+        );
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new ApiKeyService();
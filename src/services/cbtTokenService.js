@@ -1,6 +1,7 @@
 const OptimizedBlockchainService = require('./optimizedBlockchainService');
 const { BlockchainEventListener } = require('./blockchainEventListener');
 const User = require('../models/User');
+const notificationService = require('./notificationService');
 
 class CBTTokenService {
     constructor() {
@@ -48,6 +49,9 @@ class CBTTokenService {
             TOTAL_DAILY_REWARD: 50 // 每日总奖励上限
         };
         
+        // 高频小额奖励不单独发送到账通知
+        this.silentRewardTypes = ['CHAT_MESSAGE', 'CHAT_PARTICIPATION', 'VOICE_CALL_MINUTE', 'VIDEO_CALL_MINUTE'];
+        
         // 用户每日奖励记录缓存
         this.dailyRewardCache = new Map();
         
@@ -160,6 +164,16 @@ class CBTTokenService {
                 // 更新用户统计
                 await this.updateUserRewardStats(userId, amount, rewardType);
                 
+                if (!this.silentRewardTypes.includes(rewardType)) {
+                    await notificationService.notify({
+                        user: user._id,
+                        type: 'REWARD',
+                        title: `获得 ${amount} CBT`,
+                        body: description,
+                        data: { rewardType, amount, transactionHash: result.transactionHash }
+                    });
+                }
+                
                 console.log(`✅ 奖励分发成功: ${user.username} 获得 ${amount} CBT`);
             }
             
@@ -0,0 +1,179 @@
+const ChatRoom = require('../models/ChatRoom');
+const ChatMessage = require('../models/ChatMessage');
+const ArchivedChatMessage = require('../models/ArchivedChatMessage');
+const ScheduledChatMessage = require('../models/ScheduledChatMessage');
+const ChatArchiveJob = require('../models/ChatArchiveJob');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 聊天室归档服务
+ * Chat Archive Service
+ *
+ * 归档后聊天室立即只读，早于保留期限的消息由后台任务分批移入冷数据集合（chatmessages_archive），
+ * 导出聊天记录时两个集合合并读取
+ */
+class ChatArchiveService {
+    constructor() {
+        this.batchSize = 500;
+        this.lockDuration = 10 * 60 * 1000;
+        this.pollInterval = 60 * 1000;
+    }
+
+    /**
+     * 归档聊天室并创建移动消息的后台任务，olderThanDays 默认取聊天室的消息保留天数
+     * 返回 { status: 'queued', job } 或 { status: 'already_archived' }
+     */
+    async archiveRoom(chatRoom, userId, { olderThanDays } = {}) {
+        if (chatRoom.isArchived()) {
+            return { status: 'already_archived' };
+        }
+
+        chatRoom.status = 'ARCHIVED';
+        chatRoom.archive = {
+            archivedAt: new Date(),
+            archivedBy: userId,
+            archivedMessages: chatRoom.archive ? chatRoom.archive.archivedMessages : 0
+        };
+        await chatRoom.save();
+
+        // 只读聊天室不再发送定时消息
+        await ScheduledChatMessage.updateMany(
+            { chatRoom: chatRoom._id, status: 'SCHEDULED' },
+            { $set: { status: 'CANCELLED' }, $unset: { lockedUntil: 1 } }
+        );
+
+        const days = olderThanDays ?? chatRoom.settings.messageRetention;
+        const job = await ChatArchiveJob.create({
+            chatRoom: chatRoom._id,
+            requestedBy: userId,
+            cutoff: new Date(Date.now() - days * DAY)
+        });
+
+        setImmediate(() => {
+            this.processQueue().catch(error => {
+                console.error('执行归档任务失败:', error.message);
+            });
+        });
+
+        return { status: 'queued', job };
+    }
+
+    /**
+     * 定期执行排队中的归档任务（包括执行实例退出后锁已过期的任务）
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.processQueue().catch(error => {
+                console.error('执行归档任务失败:', error.message);
+            });
+        }, this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 依次执行排队中的任务，返回执行的任务数
+     */
+    async processQueue() {
+        let processed = 0;
+
+        for (;;) {
+            const now = new Date();
+            const job = await ChatArchiveJob.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'QUEUED' },
+                        { status: 'RUNNING', lockedUntil: { $lte: now } }
+                    ]
+                },
+                { $set: { status: 'RUNNING', lockedUntil: new Date(now.getTime() + this.lockDuration) } },
+                { new: true, sort: { createdAt: 1 } }
+            );
+            if (!job) {
+                return processed;
+            }
+
+            await this.runJob(job);
+            processed++;
+        }
+    }
+
+    /**
+     * 执行归档任务，中断后重新执行时继续移动剩余的消息
+     */
+    async runJob(job) {
+        try {
+            const movedCount = await this.moveMessages(job.chatRoom, job.cutoff);
+            await ChatRoom.updateOne({ _id: job.chatRoom }, { $inc: { 'archive.archivedMessages': movedCount } });
+
+            job.status = 'COMPLETED';
+            job.movedCount += movedCount;
+            job.completedAt = new Date();
+        } catch (error) {
+            console.error('移动归档消息失败:', error.message);
+            job.status = 'FAILED';
+            job.error = error.message;
+        }
+
+        job.lockedUntil = undefined;
+        await job.save();
+    }
+
+    /**
+     * 取消归档，已移入冷数据集合的消息保留在原处
+     * 返回 'unarchived' | 'not_archived'
+     */
+    async unarchiveRoom(chatRoom) {
+        if (!chatRoom.isArchived()) {
+            return 'not_archived';
+        }
+
+        chatRoom.status = 'ACTIVE';
+        chatRoom.archive.archivedAt = undefined;
+        chatRoom.archive.archivedBy = undefined;
+        await chatRoom.save();
+
+        return 'unarchived';
+    }
+
+    /**
+     * 将早于 cutoff 的消息分批移入冷数据集合，返回移动的消息数
+     * 先写入再删除，中途失败时重新执行不会丢失消息
+     */
+    async moveMessages(chatRoomId, cutoff) {
+        let movedCount = 0;
+
+        for (;;) {
+            const messages = await ChatMessage.find({ chatRoom: chatRoomId, createdAt: { $lt: cutoff } })
+                .sort({ createdAt: 1 })
+                .limit(this.batchSize)
+                .lean();
+            if (messages.length === 0) {
+                return movedCount;
+            }
+
+            try {
+                await ArchivedChatMessage.insertMany(messages, { ordered: false });
+            } catch (error) {
+                // 上次中断时已写入的消息会触发主键冲突，可以忽略
+                const duplicatesOnly = error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000);
+                if (!duplicatesOnly) {
+                    throw error;
+                }
+            }
+
+            await ChatMessage.deleteMany({ _id: { $in: messages.map(message => message._id) } });
+            movedCount += messages.length;
+        }
+    }
+}
+
+module.exports = new ChatArchiveService();
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const FileType = require('file-type');
+const sharp = require('sharp');
+const ChatAttachment = require('../models/ChatAttachment');
+const EncryptionService = require('./encryptionService');
+const fileStorageService = require('./fileStorageService');
+
+// 允许上传的文件类型（以文件内容识别的结果为准）
+// SVG、HTML等可执行脚本的类型不在列表中
+const ALLOWED_MIME_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'audio/mpeg',
+    'audio/ogg',
+    'audio/wav',
+    'video/mp4',
+    'video/webm',
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain'
+];
+
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * 聊天附件服务（上传校验、缩略图、签名下载链接）
+ * Chat Attachment Service
+ */
+class ChatAttachmentService {
+    constructor() {
+        this.encryptionService = new EncryptionService();
+        this.maxFileSize = parseInt(process.env.CHAT_UPLOAD_MAX_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+        this.thumbnailSize = 320;
+        this.downloadUrlTTL = parseInt(process.env.CHAT_DOWNLOAD_URL_TTL, 10) || 15 * 60; // 15分钟（秒）
+    }
+
+    /**
+     * 根据文件内容识别MIME类型，不在允许列表中时返回null
+     * 纯文本没有文件头，仅在客户端声明为text/plain且内容为有效UTF-8时接受
+     */
+    async sniffMimeType(buffer, declaredMimeType) {
+        const detected = await FileType.fromBuffer(buffer);
+
+        if (detected) {
+            return ALLOWED_MIME_TYPES.includes(detected.mime) ? detected.mime : null;
+        }
+
+        if (declaredMimeType === 'text/plain' && !buffer.includes(0) &&
+            Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer)) {
+            return 'text/plain';
+        }
+
+        return null;
+    }
+
+    /**
+     * 生成缩略图，图片无法解码时返回null
+     */
+    async createThumbnail(buffer) {
+        try {
+            const image = sharp(buffer, { animated: false }).rotate();
+            const { width, height } = await image.metadata();
+            const thumbnail = await image
+                .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer();
+
+            return { thumbnail, width, height };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 上传聊天附件
+     * 返回 { status: 'uploaded' | 'file_sharing_disabled' | 'too_large' | 'unsupported_type' | 'invalid_image', attachment }
+     */
+    async upload(chatRoom, userId, file) {
+        if (!chatRoom.settings.allowFileSharing) {
+            return { status: 'file_sharing_disabled' };
+        }
+
+        if (!file || !file.buffer || file.buffer.length === 0) {
+            return { status: 'unsupported_type' };
+        }
+
+        if (file.buffer.length > this.maxFileSize) {
+            return { status: 'too_large' };
+        }
+
+        const mimeType = await this.sniffMimeType(file.buffer, file.mimetype);
+        if (!mimeType) {
+            return { status: 'unsupported_type' };
+        }
+
+        let image = null;
+        if (THUMBNAIL_MIME_TYPES.includes(mimeType)) {
+            image = await this.createThumbnail(file.buffer);
+            if (!image) {
+                return { status: 'invalid_image' };
+            }
+        }
+
+        const storageName = fileStorageService.getDefaultBackendName();
+        const storage = fileStorageService.getBackend(storageName);
+        const now = new Date();
+        const id = crypto.randomBytes(16).toString('hex');
+        const prefix = `chat/${chatRoom._id}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+        const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+
+        const key = `${prefix}/${id}${extension}`;
+        const thumbnailKey = image ? `${prefix}/${id}_thumb.webp` : undefined;
+
+        await storage.put(key, file.buffer, { contentType: mimeType });
+        if (image) {
+            await storage.put(thumbnailKey, image.thumbnail, { contentType: 'image/webp' });
+        }
+
+        const attachment = await ChatAttachment.create({
+            chatRoom: chatRoom._id,
+            uploader: userId,
+            storage: storageName,
+            key,
+            thumbnailKey,
+            originalName: (file.originalname || 'file').slice(0, 255),
+            mimeType,
+            size: file.buffer.length,
+            hash: this.encryptionService.calculateFileHash(file.buffer),
+            width: image ? image.width : undefined,
+            height: image ? image.height : undefined
+        });
+
+        return { status: 'uploaded', attachment };
+    }
+
+    /**
+     * 生成签名的限时下载链接（绑定附件、用户与文件版本）
+     */
+    createDownloadUrl(attachment, userId, variant = 'original') {
+        const token = jwt.sign(
+            {
+                purpose: 'chat_attachment',
+                attachment: String(attachment._id),
+                user: String(userId),
+                variant
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.downloadUrlTTL }
+        );
+
+        return `/api/v1/chat/attachments/${attachment._id}/download?token=${token}`;
+    }
+
+    /**
+     * 返回附件的下载链接及缩略图链接
+     */
+    getDownloadLinks(attachment, userId) {
+        return {
+            url: this.createDownloadUrl(attachment, userId),
+            thumbnailUrl: attachment.mimeType && THUMBNAIL_MIME_TYPES.includes(attachment.mimeType)
+                ? this.createDownloadUrl(attachment, userId, 'thumbnail')
+                : undefined,
+            expiresIn: this.downloadUrlTTL
+        };
+    }
+
+    /**
+     * 校验下载令牌，无效或过期时返回null
+     */
+    verifyDownloadToken(attachmentId, token) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET);
+            if (payload.purpose !== 'chat_attachment' || payload.attachment !== String(attachmentId)) {
+                return null;
+            }
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取附件内容（可读流）
+     */
+    async openStream(attachmentId, variant = 'original') {
+        const attachment = await ChatAttachment.findById(attachmentId).select('+key +thumbnailKey');
+        if (!attachment) return null;
+
+        const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.key;
+        if (!key) return null;
+
+        const stream = await fileStorageService.getBackend(attachment.storage).get(key);
+        return {
+            attachment,
+            stream,
+            contentType: variant === 'thumbnail' ? 'image/webp' : attachment.mimeType
+        };
+    }
+
+    /**
+     * 将未分享的附件关联到消息，返回附件或null（不存在、非本人上传或已分享）
+     */
+    async claimForMessage(attachmentId, { chatRoom, uploader, message }) {
+        return ChatAttachment.findOneAndUpdate(
+            { _id: attachmentId, chatRoom, uploader, message: { $exists: false } },
+            { message },
+            { new: true }
+        );
+    }
+
+    /**
+     * 消息发送失败时解除附件与消息的关联
+     */
+    async releaseFromMessage(attachmentId, message) {
+        await ChatAttachment.updateOne({ _id: attachmentId, message }, { $unset: { message: 1 } });
+    }
+
+    /**
+     * 删除用户上传的全部附件（存储中的文件、缩略图和附件记录），返回删除的附件数
+     * 单个文件删除失败时只记录日志，附件记录仍会删除，避免继续通过签名链接下载
+     */
+    async removeUserAttachments(userId) {
+        const attachments = await ChatAttachment.find({ uploader: userId }).select('+key +thumbnailKey');
+
+        for (const attachment of attachments) {
+            const storage = fileStorageService.getBackend(attachment.storage);
+            for (const key of [attachment.key, attachment.thumbnailKey].filter(Boolean)) {
+                try {
+                    await storage.delete(key);
+                } catch (error) {
+                    console.error(`删除附件文件失败 ${attachment.storage}:${key}:`, error.message);
+                }
+            }
+        }
+
+        if (attachments.length > 0) {
+            await ChatAttachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+        }
+        return attachments.length;
+    }
+}
+
+module.exports = new ChatAttachmentService();
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
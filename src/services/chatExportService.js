@@ -0,0 +1,573 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const jwt = require('jsonwebtoken');
+const ChatMessage = require('../models/ChatMessage');
+const ArchivedChatMessage = require('../models/ArchivedChatMessage');
+const ChatExportJob = require('../models/ChatExportJob');
+const VoiceTranslation = require('../models/VoiceTranslation');
+const fileStorageService = require('./fileStorageService');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// 以 = + - @ 开头的单元格会被表格软件当作公式执行
+const escapeCsv = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatTime = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+
+// 转录中出现的全部译文语言，作为表格的列
+const collectLanguages = (transcript) => {
+    const languages = new Set();
+    for (const message of transcript.messages) {
+        for (const translation of message.translations || []) {
+            languages.add(translation.language);
+        }
+    }
+    return [...languages].sort();
+};
+
+const findTranslation = (message, language) =>
+    (message.translations || []).find(translation => translation.language === language);
+
+const describeVoice = (voice) => voice
+    ? [voice.text, ...voice.translations.map(translation => `[${translation.language}] ${translation.text}`)].join('\n')
+    : '';
+
+/**
+ * 各导出格式的渲染器，按 begin(meta) → entry(message, meta, index) → end(meta, count) 分段输出，
+ * 后台任务边读取消息边写入文件，不需要把整个聊天记录放在内存中
+ * meta: { room, exportedAt, options, languages }，languages 为译文语言列
+ */
+const FORMATS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        begin: ({ room, exportedAt, options }) => `${JSON.stringify({ room, exportedAt, options }).slice(0, -1)},"messages":[`,
+        entry: (message, meta, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(message)}`,
+        end: () => '\n]}\n'
+    },
+
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        begin({ options, languages }) {
+            const header = ['time', 'sender', 'type', 'text', ...languages.map(language => `translation:${language}`)];
+            if (options.includeVoiceTranscripts) header.push('voice_transcript');
+            // 带BOM，Excel才能正确识别中文等非ASCII字符
+            return '﻿' + header.join(',') + '\r\n';
+        },
+        entry(message, { options, languages }) {
+            const row = [
+                formatTime(message.sentAt),
+                message.sender,
+                message.type,
+                message.text,
+                ...languages.map(language => findTranslation(message, language)?.text)
+            ];
+            if (options.includeVoiceTranscripts) row.push(describeVoice(message.voiceTranscript));
+            return row.map(escapeCsv).join(',') + '\r\n';
+        },
+        end: () => ''
+    },
+
+    txt: {
+        contentType: 'text/plain; charset=utf-8',
+        extension: 'txt',
+        begin: ({ room, exportedAt }) => `${room.name}\n导出时间: ${formatTime(exportedAt)}\n\n`,
+        entry(message) {
+            const lines = [`[${formatTime(message.sentAt)}] ${message.sender}: ${message.text}`];
+            for (const translation of message.translations || []) {
+                lines.push(`    [${translation.language}] ${translation.text}`);
+            }
+            if (message.voiceTranscript) {
+                lines.push(`    (语音转写 ${message.voiceTranscript.language}) ${message.voiceTranscript.text}`);
+                for (const translation of message.voiceTranscript.translations) {
+                    lines.push(`    (语音翻译 ${translation.language}) ${translation.text}`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        },
+        end: (meta, count) => `\n消息数: ${count}\n`
+    },
+
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+        begin({ room, exportedAt, options, languages }) {
+            const headers = ['时间', '发送者', '原文', ...languages, ...(options.includeVoiceTranscripts ? ['语音转写'] : [])];
+            return [
+                '<!DOCTYPE html>',
+                '<html>',
+                '<head>',
+                '<meta charset="utf-8">',
+                `<title>${escapeHtml(room.name)}</title>`,
+                '<style>body{font-family:sans-serif}table{border-collapse:collapse;width:100%}' +
+                    'th,td{border:1px solid #ddd;padding:4px 8px;vertical-align:top;text-align:left}</style>',
+                '</head>',
+                '<body>',
+                `<h1>${escapeHtml(room.name)}</h1>`,
+                `<p>导出时间: ${escapeHtml(formatTime(exportedAt))}</p>`,
+                '<table>',
+                `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+                '<tbody>',
+                ''
+            ].join('\n');
+        },
+        entry(message, { options, languages }) {
+            const cells = [
+                `<td>${escapeHtml(formatTime(message.sentAt))}</td>`,
+                `<td>${escapeHtml(message.sender)}</td>`,
+                `<td>${escapeHtml(message.text)}</td>`,
+                ...languages.map(language => {
+                    const translation = findTranslation(message, language);
+                    return `<td lang="${escapeHtml(language)}">${escapeHtml(translation?.text)}</td>`;
+                })
+            ];
+            if (options.includeVoiceTranscripts) {
+                cells.push(`<td>${escapeHtml(describeVoice(message.voiceTranscript)).replace(/\n/g, '<br>')}</td>`);
+            }
+            return `<tr>${cells.join('')}</tr>\n`;
+        },
+        end: (meta, count) => ['</tbody>', '</table>', `<p>消息数: ${count}</p>`, '</body>', '</html>', ''].join('\n')
+    }
+};
+
+// 一次性渲染已在内存中的聊天记录（消息较少时的同步导出）
+for (const format of Object.values(FORMATS)) {
+    format.render = (transcript) => {
+        const meta = { ...transcript, options: transcript.options || {}, languages: collectLanguages(transcript) };
+        return [
+            format.begin(meta),
+            ...transcript.messages.map((message, index) => format.entry(message, meta, index)),
+            format.end(meta, transcript.messages.length)
+        ].join('');
+    };
+}
+
+/**
+ * 聊天记录导出服务（JSON / CSV / 纯文本 / HTML，可附带译文和语音转写）
+ * Chat Export Service
+ *
+ * 消息数不超过 CHAT_EXPORT_SYNC_LIMIT 时直接返回文件，否则创建后台任务，
+ * 任务保存在数据库中，实例重启后由其他实例或重启后的实例继续执行
+ */
+class ChatExportService {
+    constructor() {
+        this.syncLimit = parseInt(process.env.CHAT_EXPORT_SYNC_LIMIT, 10) || 2000;
+        this.downloadUrlTTL = parseInt(process.env.CHAT_DOWNLOAD_URL_TTL, 10) || 15 * 60;
+        this.retentionPeriod = 7 * 24 * 60 * 60 * 1000;
+        this.lockDuration = 10 * 60 * 1000;
+        this.pollInterval = 60 * 1000;
+        this.batchSize = 500;
+    }
+
+    getFormat(name) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, name) ? FORMATS[name] : null;
+    }
+
+    /**
+     * 导出的消息范围：已删除和被过滤隐藏的消息不导出
+     */
+    buildFilter(chatRoomId, { from, to } = {}) {
+        const filter = {
+            chatRoom: chatRoomId,
+            status: { $ne: 'DELETED' },
+            ...ChatMessage.visibleTo()
+        };
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+        return filter;
+    }
+
+    async countMessages(chatRoomId, options) {
+        const filter = this.buildFilter(chatRoomId, options);
+        const [archived, live] = await Promise.all([
+            ArchivedChatMessage.countDocuments(filter),
+            ChatMessage.countDocuments(filter)
+        ]);
+        return archived + live;
+    }
+
+    /**
+     * 导出文件头部信息
+     */
+    createMeta(chatRoom, options = {}) {
+        return {
+            room: {
+                id: chatRoom._id,
+                name: chatRoom.name
+            },
+            exportedAt: new Date(),
+            options: {
+                includeTranslations: Boolean(options.includeTranslations),
+                includeVoiceTranscripts: Boolean(options.includeVoiceTranscripts),
+                from: options.from,
+                to: options.to
+            }
+        };
+    }
+
+    /**
+     * 逐条读取导出的消息，归档集合中的旧消息排在前面
+     * 语音转写按批查询，内存中最多保留一批消息
+     */
+    async *iterateEntries(chatRoom, options = {}) {
+        const filter = this.buildFilter(chatRoom._id, options);
+
+        for (const Model of [ArchivedChatMessage, ChatMessage]) {
+            const cursor = Model.find(filter)
+                .populate('sender', 'username')
+                .sort({ createdAt: 1, _id: 1 })
+                .cursor();
+
+            let batch = [];
+            for await (const message of cursor) {
+                batch.push(message);
+                if (batch.length >= this.batchSize) {
+                    yield* await this.toEntries(chatRoom, batch, options);
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                yield* await this.toEntries(chatRoom, batch, options);
+            }
+        }
+    }
+
+    async toEntries(chatRoom, messages, options) {
+        const voiceTranscripts = options.includeVoiceTranscripts
+            ? await this.findVoiceTranscripts(chatRoom._id, messages)
+            : new Map();
+        return messages.map(message => this.toEntry(message, options, voiceTranscripts));
+    }
+
+    /**
+     * 导出范围内出现的译文语言（表格的列需要在写入第一行前确定）
+     */
+    async findLanguages(chatRoomId, options = {}) {
+        if (!options.includeTranslations) {
+            return [];
+        }
+
+        const filter = this.buildFilter(chatRoomId, options);
+        const results = await Promise.all([ArchivedChatMessage, ChatMessage].map(
+            Model => Model.distinct('translations.language', filter)
+        ));
+        return [...new Set(results.flat())].sort();
+    }
+
+    /**
+     * 生成完整的聊天记录（消息较少时的同步导出）
+     */
+    async buildTranscript(chatRoom, options = {}) {
+        const messages = [];
+        for await (const entry of this.iterateEntries(chatRoom, options)) {
+            messages.push(entry);
+        }
+        return { ...this.createMeta(chatRoom, options), messages };
+    }
+
+    /**
+     * 按格式逐段生成导出文件内容，写入的消息数记录在 stats.messageCount
+     */
+    async *generate(chatRoom, format, options = {}, stats = {}) {
+        const { begin, entry, end } = this.getFormat(format);
+        const meta = {
+            ...this.createMeta(chatRoom, options),
+            languages: await this.findLanguages(chatRoom._id, options)
+        };
+
+        stats.messageCount = 0;
+        yield begin(meta);
+        for await (const message of this.iterateEntries(chatRoom, options)) {
+            yield entry(message, meta, stats.messageCount);
+            stats.messageCount++;
+        }
+        yield end(meta, stats.messageCount);
+    }
+
+    /**
+     * 按语音URL查找语音消息对应的转写记录
+     */
+    async findVoiceTranscripts(chatRoomId, messages) {
+        const voiceUrls = messages
+            .filter(message => message.type === 'VOICE' && message.content.voiceUrl)
+            .map(message => message.content.voiceUrl);
+        if (voiceUrls.length === 0) {
+            return new Map();
+        }
+
+        const records = await VoiceTranslation.find({
+            chatRoom: chatRoomId,
+            originalAudioUrl: { $in: voiceUrls }
+        }).select('originalAudioUrl originalText originalLanguage translations.language translations.text');
+
+        return new Map(records.map(record => [record.originalAudioUrl, record]));
+    }
+
+    toEntry(message, options, voiceTranscripts) {
+        const sender = message.sender && message.sender.username ? message.sender.username : String(message.sender);
+        const entry = {
+            id: message._id,
+            sentAt: message.createdAt,
+            sender,
+            type: message.type,
+            text: message.content.text || message.content.fileName || ''
+        };
+
+        if (message.threadRoot) entry.threadRoot = message.threadRoot;
+        if (message.replyTo) entry.replyTo = message.replyTo._id || message.replyTo;
+
+        if (options.includeTranslations) {
+            entry.translations = message.translations.map(({ language, text }) => ({ language, text }));
+        }
+
+        const voice = message.type === 'VOICE' && voiceTranscripts.get(message.content.voiceUrl);
+        if (voice) {
+            entry.voiceTranscript = {
+                language: voice.originalLanguage,
+                text: voice.originalText,
+                translations: voice.translations.map(({ language, text }) => ({ language, text }))
+            };
+        }
+
+        return entry;
+    }
+
+    /**
+     * 生成导出文件内容（同步导出，文件在内存中生成）
+     */
+    async render(chatRoom, format, options) {
+        const transcript = await this.buildTranscript(chatRoom, options);
+        const { contentType, extension, render } = this.getFormat(format);
+
+        return {
+            content: Buffer.from(render(transcript), 'utf8'),
+            contentType,
+            fileName: `${this.getFileBaseName(chatRoom)}.${extension}`,
+            messageCount: transcript.messages.length
+        };
+    }
+
+    getFileBaseName(chatRoom) {
+        const name = chatRoom.name.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 50) || 'chat';
+        return `${name}-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * 导出聊天室：消息较少时直接返回文件，较多或指定background时创建后台任务
+     * 返回 { status: 'ready', file } 或 { status: 'queued', job }
+     */
+    async exportRoom(chatRoom, userId, format, options = {}, { background = false } = {}) {
+        const count = await this.countMessages(chatRoom._id, options);
+
+        if (!background && count <= this.syncLimit) {
+            return { status: 'ready', file: await this.render(chatRoom, format, options) };
+        }
+
+        const job = await ChatExportJob.create({
+            chatRoom: chatRoom._id,
+            requestedBy: userId,
+            format,
+            options: {
+                includeTranslations: Boolean(options.includeTranslations),
+                includeVoiceTranscripts: Boolean(options.includeVoiceTranscripts),
+                from: options.from,
+                to: options.to
+            }
+        });
+
+        setImmediate(() => {
+            this.processQueue().catch(error => {
+                console.error('执行导出任务失败:', error.message);
+            });
+        });
+
+        return { status: 'queued', job };
+    }
+
+    /**
+     * 定期执行排队中的任务并清理过期的导出文件
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.processQueue()
+                .then(() => this.removeExpired())
+                .catch(error => {
+                    console.error('执行导出任务失败:', error.message);
+                });
+        }, this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 依次执行排队中的任务（包括执行实例退出后锁已过期的任务），返回执行的任务数
+     */
+    async processQueue() {
+        let processed = 0;
+
+        for (;;) {
+            const now = new Date();
+            const job = await ChatExportJob.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'QUEUED' },
+                        { status: 'RUNNING', lockedUntil: { $lte: now } }
+                    ]
+                },
+                { $set: { status: 'RUNNING', lockedUntil: new Date(now.getTime() + this.lockDuration) } },
+                { new: true, sort: { createdAt: 1 } }
+            ).populate('chatRoom', 'name');
+            if (!job) {
+                return processed;
+            }
+
+            await this.runJob(job);
+            processed++;
+        }
+    }
+
+    /**
+     * 执行导出任务：边读取消息边写入临时文件，再上传到存储后端
+     */
+    async runJob(job) {
+        const tempPath = path.join(os.tmpdir(), `chat-export-${job._id}-${crypto.randomBytes(8).toString('hex')}`);
+
+        try {
+            if (!job.chatRoom) {
+                throw new Error('聊天室不存在');
+            }
+
+            const { contentType } = this.getFormat(job.format);
+            const stats = {};
+            await pipeline(
+                Readable.from(this.generate(job.chatRoom, job.format, job.options, stats)),
+                fs.createWriteStream(tempPath)
+            );
+            const { size } = await fs.promises.stat(tempPath);
+
+            const storage = fileStorageService.getDefaultBackendName();
+            const key = `chat-exports/${job.chatRoom._id}/${job._id}-${crypto.randomBytes(8).toString('hex')}`;
+            await fileStorageService.getBackend(storage).put(key, fs.createReadStream(tempPath), {
+                contentType,
+                contentLength: size
+            });
+
+            job.status = 'COMPLETED';
+            job.storage = storage;
+            job.key = key;
+            job.size = size;
+            job.messageCount = stats.messageCount;
+            job.completedAt = new Date();
+            job.expiresAt = new Date(Date.now() + this.retentionPeriod);
+        } catch (error) {
+            console.error('生成聊天记录导出失败:', error.message);
+            job.status = 'FAILED';
+            job.error = error.message;
+        } finally {
+            await fs.promises.rm(tempPath, { force: true });
+        }
+
+        job.lockedUntil = undefined;
+        await job.save();
+    }
+
+    /**
+     * 删除过期的导出文件和任务
+     */
+    async removeExpired(now = new Date()) {
+        const jobs = await ChatExportJob.find({ expiresAt: { $lte: now } }).select('+key');
+
+        for (const job of jobs) {
+            try {
+                if (job.key) {
+                    await fileStorageService.getBackend(job.storage).delete(job.key);
+                }
+                await ChatExportJob.deleteOne({ _id: job._id });
+            } catch (error) {
+                console.error('删除过期导出文件失败:', error.message);
+            }
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * 已完成任务的签名下载链接
+     */
+    createDownloadUrl(job, userId) {
+        const token = jwt.sign(
+            {
+                purpose: 'chat_export',
+                job: String(job._id),
+                user: String(userId)
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.downloadUrlTTL }
+        );
+
+        return `/api/v1/chat/exports/${job._id}/download?token=${token}`;
+    }
+
+    /**
+     * 校验下载令牌，无效或过期时返回null
+     */
+    verifyDownloadToken(jobId, token) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET);
+            if (payload.purpose !== 'chat_export' || payload.job !== String(jobId)) {
+                return null;
+            }
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取导出文件（可读流），任务未完成时返回null
+     */
+    async openStream(jobId) {
+        const job = await ChatExportJob.findById(jobId).select('+key').populate('chatRoom', 'name');
+        if (!job || job.status !== 'COMPLETED' || !job.key) {
+            return null;
+        }
+
+        const { contentType, extension } = this.getFormat(job.format);
+        return {
+            job,
+            stream: await fileStorageService.getBackend(job.storage).get(job.key),
+            contentType,
+            fileName: `${job.chatRoom ? this.getFileBaseName(job.chatRoom) : 'chat'}.${extension}`
+        };
+    }
+}
+
+module.exports = new ChatExportService();
+module.exports.EXPORT_FORMATS = Object.keys(FORMATS);
+module.exports.escapeCsv = escapeCsv;
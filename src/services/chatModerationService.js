@@ -0,0 +1,486 @@
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const ModerationAppeal = require('../models/ModerationAppeal');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const notificationService = require('./notificationService');
+
+// 版主对消息可执行的处理
+const MESSAGE_ACTIONS = {
+    APPROVED: 'MESSAGE_APPROVED',
+    HIDDEN: 'MESSAGE_HIDDEN',
+    DELETED: 'MESSAGE_DELETED'
+};
+
+// 审核权限等级，只能对等级低于自己的用户执行禁言、封禁和消息处理
+const MODERATION_RANKS = {
+    MEMBER: 0,
+    ROOM_MODERATOR: 1,
+    ROOM_ADMIN: 2,
+    ROOM_CREATOR: 3,
+    SITE_MODERATOR: 4
+};
+
+// 需要通知被处理用户的审核操作
+const NOTIFICATION_TITLES = {
+    MESSAGE_APPROVED: '您的消息已恢复显示',
+    MESSAGE_HIDDEN: '您的消息已被版主隐藏',
+    MESSAGE_DELETED: '您的消息已被版主删除',
+    MESSAGE_AUTO_HIDDEN: '您的消息因多次被举报已被隐藏',
+    USER_MUTED: '您已在聊天室中被禁言',
+    USER_UNMUTED: '您的禁言已解除',
+    USER_BANNED: '您已在聊天室中被封禁',
+    USER_UNBANNED: '您的封禁已解除',
+    APPEAL_ACCEPTED: '您的申诉已通过',
+    APPEAL_REJECTED: '您的申诉未通过'
+};
+
+/**
+ * 聊天审核服务（举报队列、消息处理、禁言封禁、申诉与审核记录）
+ * Chat Moderation Service
+ */
+class ChatModerationService {
+    constructor() {
+        this.autoHideThreshold = parseInt(process.env.CHAT_AUTO_HIDE_REPORTS, 10) || 3;
+        this.defaultMuteDuration = 60 * 60 * 1000; // 1小时
+        this.maxPageSize = 100;
+        // 已接入的Socket.IO服务，封禁时把用户的连接移出聊天室
+        this.socketServers = new Map();
+    }
+
+    /**
+     * 接入Socket.IO服务，getUserRoom 返回用户个人房间名
+     */
+    attachSocket(io, getUserRoom) {
+        this.socketServers.set(io, getUserRoom);
+    }
+
+    detachSocket(io) {
+        this.socketServers.delete(io);
+    }
+
+    /**
+     * 是否可以管理聊天室：全站版主，或聊天室的创建者、管理员与版主
+     */
+    canModerate(user, chatRoom, permission = 'canDeleteMessages') {
+        return hasPermission(user, PERMISSIONS.CHAT_MODERATE) || chatRoom.canModerate(user._id, permission);
+    }
+
+    /**
+     * 用户在聊天室中的审核权限等级
+     */
+    getModerationRank(user, chatRoom) {
+        if (hasPermission(user, PERMISSIONS.CHAT_MODERATE)) {
+            return MODERATION_RANKS.SITE_MODERATOR;
+        }
+
+        const userId = String(user._id || user.id);
+        if (chatRoom.creator && chatRoom.creator.toString() === userId) {
+            return MODERATION_RANKS.ROOM_CREATOR;
+        }
+        if (chatRoom.participants.some(p => p.user.toString() === userId && p.role === 'ADMIN')) {
+            return MODERATION_RANKS.ROOM_ADMIN;
+        }
+        if (chatRoom.moderators.some(m => m.user.toString() === userId)) {
+            return MODERATION_RANKS.ROOM_MODERATOR;
+        }
+        return MODERATION_RANKS.MEMBER;
+    }
+
+    /**
+     * 管理者的等级是否高于目标用户（聊天室版主不能处理聊天室管理员或全站版主）
+     */
+    async outranks(moderator, chatRoom, targetUserId) {
+        const target = await User.findById(targetUserId).select('role roles');
+
+        return this.getModerationRank(moderator, chatRoom) >
+            this.getModerationRank(target || { _id: targetUserId }, chatRoom);
+    }
+
+    /**
+     * 用户可管理的聊天室ID，全站版主返回null（不限聊天室）
+     * 指定roomId时只返回该聊天室（无权管理时返回空数组）
+     */
+    async getModeratedRooms(user, roomId) {
+        if (hasPermission(user, PERMISSIONS.CHAT_MODERATE)) {
+            return roomId ? [roomId] : null;
+        }
+
+        const rooms = await ChatRoom.find({
+            $or: [
+                { creator: user._id },
+                { 'moderators.user': user._id },
+                { participants: { $elemMatch: { user: user._id, role: 'ADMIN' } } }
+            ]
+        }).distinct('_id');
+
+        return roomId ? rooms.filter(id => id.toString() === String(roomId)) : rooms;
+    }
+
+    /**
+     * 举报消息，举报数达到阈值时自动隐藏
+     * 返回 'reported' | 'auto_hidden' | 'already_reported' | 'own_message'
+     */
+    async reportMessage(message, reporterId, { reason, description } = {}) {
+        if (message.sender.toString() === reporterId.toString()) {
+            return 'own_message';
+        }
+
+        if (message.moderation.reports.some(report => report.reporter.toString() === reporterId.toString())) {
+            return 'already_reported';
+        }
+
+        message.reportMessage(reporterId, reason, description);
+
+        // 版主已处理过的消息不再自动隐藏
+        const shouldHide = !message.moderation.isModerated &&
+            message.moderation.reportCount >= this.autoHideThreshold;
+
+        if (shouldHide) {
+            message.moderateMessage(null, 'HIDDEN', `举报数达到${this.autoHideThreshold}次，自动隐藏`);
+        }
+
+        await message.save();
+
+        if (shouldHide) {
+            await this.log({
+                chatRoom: message.chatRoom,
+                action: 'MESSAGE_AUTO_HIDDEN',
+                targetUser: message.sender,
+                targetMessage: message._id,
+                reason: message.moderation.moderationReason
+            });
+            return 'auto_hidden';
+        }
+
+        return 'reported';
+    }
+
+    /**
+     * 待审核队列：未处理的被举报消息，以及自动隐藏后等待版主确认的消息
+     * 举报数多的排在前面
+     */
+    async getQueue({ rooms, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, this.maxPageSize);
+        const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const filter = {
+            'moderation.isReported': true,
+            $or: [
+                { 'moderation.isModerated': false },
+                { 'moderation.moderationAction': 'HIDDEN', 'moderation.moderatedBy': null }
+            ]
+        };
+        if (rooms) {
+            filter.chatRoom = { $in: rooms };
+        }
+
+        const [messages, total] = await Promise.all([
+            ChatMessage.find(filter)
+                .populate('sender', 'username avatar')
+                .populate('chatRoom', 'name')
+                .populate('moderation.reports.reporter', 'username')
+                .sort({ 'moderation.reportCount': -1, createdAt: 1 })
+                .skip(skip)
+                .limit(pageSize),
+            ChatMessage.countDocuments(filter)
+        ]);
+
+        return { messages, total };
+    }
+
+    /**
+     * 版主处理消息（APPROVED 恢复显示、HIDDEN 隐藏、DELETED 删除）
+     * 通过未被隐藏的消息时不通知发送者
+     */
+    async moderateMessage(message, moderatorId, action, reason, { notify = true } = {}) {
+        const wasHidden = ['HIDDEN', 'DELETED'].includes(message.moderation.moderationAction);
+
+        message.moderateMessage(moderatorId, action, reason);
+        await message.save();
+
+        await this.log({
+            chatRoom: message.chatRoom,
+            moderator: moderatorId,
+            action: MESSAGE_ACTIONS[action],
+            targetUser: message.sender,
+            targetMessage: message._id,
+            reason
+        }, { notify: notify && (action !== 'APPROVED' || wasHidden) });
+
+        return message;
+    }
+
+    /**
+     * 在聊天室中禁言用户，duration为毫秒
+     * 返回 'muted' | 'not_participant'
+     */
+    async muteUser(chatRoom, userId, moderatorId, { duration = this.defaultMuteDuration, reason } = {}) {
+        if (!chatRoom.muteParticipant(userId, duration)) {
+            return 'not_participant';
+        }
+        await chatRoom.save();
+
+        const participant = chatRoom.participants.find(p => p.user.toString() === userId.toString());
+        await this.log({
+            chatRoom: chatRoom._id,
+            moderator: moderatorId,
+            action: 'USER_MUTED',
+            targetUser: userId,
+            reason,
+            expiresAt: participant.muteUntil
+        });
+
+        return 'muted';
+    }
+
+    /**
+     * 解除禁言，返回 'unmuted' | 'not_muted'
+     */
+    async unmuteUser(chatRoom, userId, moderatorId, { reason, notify = true } = {}) {
+        if (!chatRoom.unmuteParticipant(userId)) {
+            return 'not_muted';
+        }
+        await chatRoom.save();
+
+        await this.log({
+            chatRoom: chatRoom._id,
+            moderator: moderatorId,
+            action: 'USER_UNMUTED',
+            targetUser: userId,
+            reason
+        }, { notify });
+
+        return 'unmuted';
+    }
+
+    /**
+     * 在聊天室中封禁用户，不指定duration时为永久封禁
+     * 返回 'banned' | 'not_participant'
+     */
+    async banUser(chatRoom, userId, moderatorId, { duration, reason } = {}) {
+        if (!chatRoom.banParticipant(userId, duration)) {
+            return 'not_participant';
+        }
+        await chatRoom.save();
+
+        // 立即断开该用户在此聊天室中的实时连接，不再接收新消息
+        for (const [io, getUserRoom] of this.socketServers) {
+            io.in(getUserRoom(userId)).socketsLeave(chatRoom._id.toString());
+        }
+
+        const participant = chatRoom.participants.find(p => p.user.toString() === userId.toString());
+        await this.log({
+            chatRoom: chatRoom._id,
+            moderator: moderatorId,
+            action: 'USER_BANNED',
+            targetUser: userId,
+            reason,
+            expiresAt: participant.banUntil
+        });
+
+        return 'banned';
+    }
+
+    /**
+     * 解除封禁，返回 'unbanned' | 'not_banned'
+     */
+    async unbanUser(chatRoom, userId, moderatorId, { reason, notify = true } = {}) {
+        if (!chatRoom.unbanParticipant(userId)) {
+            return 'not_banned';
+        }
+        await chatRoom.save();
+
+        await this.log({
+            chatRoom: chatRoom._id,
+            moderator: moderatorId,
+            action: 'USER_UNBANNED',
+            targetUser: userId,
+            reason
+        }, { notify });
+
+        return 'unbanned';
+    }
+
+    /**
+     * 提交申诉
+     * 返回 { status: 'submitted', appeal }，
+     * 或 { status: 'not_found' | 'not_moderated' | 'already_pending' }
+     */
+    async submitAppeal(userId, { type, chatRoom: chatRoomId, message: messageId, reason }) {
+        if (type === 'MESSAGE') {
+            const message = await ChatMessage.findById(messageId);
+            if (!message || message.sender.toString() !== userId.toString()) {
+                return { status: 'not_found' };
+            }
+            if (!['HIDDEN', 'DELETED'].includes(message.moderation.moderationAction)) {
+                return { status: 'not_moderated' };
+            }
+            chatRoomId = message.chatRoom;
+        } else {
+            const chatRoom = await ChatRoom.findById(chatRoomId);
+            if (!chatRoom) {
+                return { status: 'not_found' };
+            }
+            const participant = chatRoom.participants.find(p => p.user.toString() === userId.toString());
+            const isRestricted = type === 'BAN'
+                ? chatRoom.isUserBanned(userId)
+                : Boolean(participant && participant.status === 'MUTED' && participant.muteUntil > new Date());
+            if (!isRestricted) {
+                return { status: 'not_moderated' };
+            }
+            messageId = undefined;
+        }
+
+        const existing = await ModerationAppeal.findOne({
+            user: userId,
+            chatRoom: chatRoomId,
+            type,
+            message: messageId || null,
+            status: 'PENDING'
+        });
+        if (existing) {
+            return { status: 'already_pending' };
+        }
+
+        const appeal = await ModerationAppeal.create({
+            user: userId,
+            chatRoom: chatRoomId,
+            type,
+            message: messageId,
+            reason
+        });
+
+        return { status: 'submitted', appeal };
+    }
+
+    /**
+     * 申诉列表
+     */
+    async listAppeals({ rooms, status = 'PENDING', page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, this.maxPageSize);
+        const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const filter = { status };
+        if (rooms) {
+            filter.chatRoom = { $in: rooms };
+        }
+
+        const [appeals, total] = await Promise.all([
+            ModerationAppeal.find(filter)
+                .populate('user', 'username avatar')
+                .populate('chatRoom', 'name')
+                .populate('message', 'content sender moderation.moderationAction moderation.moderationReason')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(pageSize),
+            ModerationAppeal.countDocuments(filter)
+        ]);
+
+        return { appeals, total };
+    }
+
+    /**
+     * 处理申诉，接受时撤销原处理（恢复消息、解除禁言或封禁）
+     * 返回 'accepted' | 'rejected' | 'already_reviewed'
+     */
+    async reviewAppeal(appeal, moderatorId, { accept, note }) {
+        if (appeal.status !== 'PENDING') {
+            return 'already_reviewed';
+        }
+
+        if (accept) {
+            const reason = `申诉通过${note ? `：${note}` : ''}`;
+
+            if (appeal.type === 'MESSAGE') {
+                const message = await ChatMessage.findById(appeal.message);
+                if (message) {
+                    await this.moderateMessage(message, moderatorId, 'APPROVED', reason, { notify: false });
+                }
+            } else {
+                const chatRoom = await ChatRoom.findById(appeal.chatRoom);
+                if (chatRoom && appeal.type === 'MUTE') {
+                    await this.unmuteUser(chatRoom, appeal.user, moderatorId, { reason, notify: false });
+                } else if (chatRoom && appeal.type === 'BAN') {
+                    await this.unbanUser(chatRoom, appeal.user, moderatorId, { reason, notify: false });
+                }
+            }
+        }
+
+        appeal.status = accept ? 'ACCEPTED' : 'REJECTED';
+        appeal.reviewedBy = moderatorId;
+        appeal.reviewNote = note;
+        appeal.reviewedAt = new Date();
+        await appeal.save();
+
+        await this.log({
+            chatRoom: appeal.chatRoom,
+            moderator: moderatorId,
+            action: accept ? 'APPEAL_ACCEPTED' : 'APPEAL_REJECTED',
+            targetUser: appeal.user,
+            targetMessage: appeal.message,
+            appeal: appeal._id,
+            reason: note
+        });
+
+        return accept ? 'accepted' : 'rejected';
+    }
+
+    /**
+     * 审核操作记录
+     */
+    async getAuditLog({ rooms, moderator, targetUser, action, page = 1, limit = 50 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 50, this.maxPageSize);
+        const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const filter = {};
+        if (rooms) filter.chatRoom = { $in: rooms };
+        if (moderator) filter.moderator = moderator;
+        if (targetUser) filter.targetUser = targetUser;
+        if (action) filter.action = action;
+
+        const [entries, total] = await Promise.all([
+            ModerationLog.find(filter)
+                .populate('moderator', 'username')
+                .populate('targetUser', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(pageSize),
+            ModerationLog.countDocuments(filter)
+        ]);
+
+        return { entries, total };
+    }
+
+    /**
+     * 记录审核操作并通知被处理的用户，记录失败不影响操作本身
+     * 申诉通过时撤销原处理只通知申诉结果，传入 notify: false
+     */
+    async log(entry, { notify = true } = {}) {
+        try {
+            await ModerationLog.create(entry);
+        } catch (error) {
+            console.error('记录审核操作失败:', error.message);
+        }
+
+        if (notify && entry.targetUser && NOTIFICATION_TITLES[entry.action]) {
+            await notificationService.notify({
+                user: entry.targetUser,
+                type: 'MODERATION',
+                title: NOTIFICATION_TITLES[entry.action],
+                body: entry.reason,
+                data: {
+                    action: entry.action,
+                    chatRoom: entry.chatRoom,
+                    message: entry.targetMessage,
+                    appeal: entry.appeal,
+                    expiresAt: entry.expiresAt
+                }
+            });
+        }
+    }
+}
+
+module.exports = new ChatModerationService();
+module.exports.MESSAGE_ACTIONS = MESSAGE_ACTIONS;
@@ -0,0 +1,413 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { redisClient } = require('../config/redis');
+
+const toScore = (value) => {
+    if (value === '-inf') return -Infinity;
+    if (value === '+inf') return Infinity;
+    return Number(value);
+};
+
+/**
+ * 内存存储：实现在线状态所需的Redis命令子集（与node-redis v4方法签名一致）
+ * 未启用Redis时使用，仅在单个实例内有效
+ */
+const createMemoryStore = () => {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const collection = (key, Type) => {
+        let entry = read(key);
+        if (!entry) {
+            entry = { value: new Type() };
+            entries.set(key, entry);
+        }
+        return entry.value;
+    };
+
+    const removeIfEmpty = (key) => {
+        const entry = read(key);
+        if (entry && entry.value.size === 0) entries.delete(key);
+    };
+
+    return {
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+        async mGet(keys) {
+            return keys.map(key => {
+                const entry = read(key);
+                return entry ? entry.value : null;
+            });
+        },
+        async set(key, value, options = {}) {
+            entries.set(key, { value, expiresAt: options.PX ? Date.now() + options.PX : undefined });
+            return 'OK';
+        },
+        async del(keys) {
+            return [].concat(keys).filter(key => entries.delete(key)).length;
+        },
+        async pExpire(key, ms) {
+            const entry = read(key);
+            if (!entry) return false;
+            entry.expiresAt = Date.now() + ms;
+            return true;
+        },
+        async incr(key) {
+            const entry = read(key);
+            const value = (entry ? Number(entry.value) : 0) + 1;
+            entries.set(key, { value: String(value), expiresAt: entry && entry.expiresAt });
+            return value;
+        },
+        async sAdd(key, member) {
+            const set = collection(key, Set);
+            const added = set.has(member) ? 0 : 1;
+            set.add(member);
+            return added;
+        },
+        async sRem(key, member) {
+            const entry = read(key);
+            const removed = entry && entry.value.delete(member) ? 1 : 0;
+            removeIfEmpty(key);
+            return removed;
+        },
+        async sCard(key) {
+            const entry = read(key);
+            return entry ? entry.value.size : 0;
+        },
+        async sMembers(key) {
+            const entry = read(key);
+            return entry ? Array.from(entry.value) : [];
+        },
+        async zAdd(key, { score, value }) {
+            const zset = collection(key, Map);
+            const added = zset.has(value) ? 0 : 1;
+            zset.set(value, score);
+            return added;
+        },
+        async zRem(key, member) {
+            const entry = read(key);
+            const removed = entry && entry.value.delete(member) ? 1 : 0;
+            removeIfEmpty(key);
+            return removed;
+        },
+        async zCard(key) {
+            const entry = read(key);
+            return entry ? entry.value.size : 0;
+        },
+        async zRangeByScore(key, min, max) {
+            const entry = read(key);
+            if (!entry) return [];
+            return Array.from(entry.value.entries())
+                .filter(([, score]) => score >= toScore(min) && score <= toScore(max))
+                .sort((a, b) => a[1] - b[1])
+                .map(([member]) => member);
+        },
+        async zRemRangeByScore(key, min, max) {
+            const entry = read(key);
+            if (!entry) return 0;
+            let removed = 0;
+            for (const [member, score] of entry.value.entries()) {
+                if (score >= toScore(min) && score <= toScore(max)) {
+                    entry.value.delete(member);
+                    removed++;
+                }
+            }
+            removeIfEmpty(key);
+            return removed;
+        }
+    };
+};
+
+/**
+ * 聊天在线状态服务（在线用户、房间成员、输入状态、发言频率）
+ * Chat Presence Service
+ *
+ * 启用 CHAT_REDIS_ADAPTER 后，Socket.IO事件通过Redis发布订阅在各实例间分发，
+ * 在线状态写入Redis并依赖心跳续期，实例宕机后其用户会在TTL到期后自动下线
+ */
+class ChatPresenceService {
+    constructor({ namespace = 'chat', store } = {}) {
+        this.keyPrefix = `presence:${namespace}:`;
+        this.store = store || createMemoryStore();
+        this.redisEnabled = false;
+        this.pubClient = null;
+        this.subClient = null;
+
+        this.presenceTTL = parseInt(process.env.CHAT_PRESENCE_TTL, 10) || 60 * 1000; // 60秒
+        this.heartbeatInterval = Math.floor(this.presenceTTL / 3);
+        this.typingTTL = 10 * 1000; // 10秒
+    }
+
+    /**
+     * 为Socket.IO服务器挂载Redis适配器，并将在线状态切换到Redis
+     * 未启用或连接失败时继续使用内存存储（仅支持单实例）
+     */
+    async attach(io) {
+        if (process.env.CHAT_REDIS_ADAPTER !== 'true') {
+            return false;
+        }
+
+        try {
+            if (!redisClient.isOpen) {
+                await redisClient.connect();
+            }
+
+            this.pubClient = redisClient.duplicate();
+            this.subClient = this.pubClient.duplicate();
+            this.pubClient.on('error', (err) => console.error('❌ Socket.IO Redis发布连接错误:', err.message));
+            this.subClient.on('error', (err) => console.error('❌ Socket.IO Redis订阅连接错误:', err.message));
+            await Promise.all([this.pubClient.connect(), this.subClient.connect()]);
+
+            io.adapter(createAdapter(this.pubClient, this.subClient, { key: `socket.io:${this.keyPrefix}` }));
+            this.store = redisClient;
+            this.redisEnabled = true;
+
+            console.log('✅ Socket.IO Redis适配器已启用，在线状态已切换到Redis');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Socket.IO Redis适配器启用失败，使用内存存储:', error.message);
+            await this.close();
+            return false;
+        }
+    }
+
+    /**
+     * 不挂载适配器，仅将在线状态切换到Redis（与其他服务共用已挂载适配器的Socket.IO服务器时使用）
+     */
+    async useRedisStore() {
+        if (process.env.CHAT_REDIS_ADAPTER !== 'true') {
+            return false;
+        }
+
+        try {
+            if (!redisClient.isOpen) {
+                await redisClient.connect();
+            }
+            this.store = redisClient;
+            this.redisEnabled = true;
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Redis连接失败，在线状态使用内存存储:', error.message);
+            return false;
+        }
+    }
+
+    key(...parts) {
+        return this.keyPrefix + parts.join(':');
+    }
+
+    expiry(ttl = this.presenceTTL) {
+        return Date.now() + ttl;
+    }
+
+    /**
+     * 清理已过期成员后返回有序集合中的有效成员
+     */
+    async activeMembers(key) {
+        await this.store.zRemRangeByScore(key, '-inf', Date.now());
+        return this.store.zRangeByScore(key, Date.now(), '+inf');
+    }
+
+    /**
+     * 用户连接，返回是否为该用户的首个连接（即刚上线）
+     */
+    async connect(userId, socketId, info = {}) {
+        const id = String(userId);
+        const socketsKey = this.key('sockets', id);
+
+        await this.store.sAdd(socketsKey, socketId);
+        await this.store.pExpire(socketsKey, this.presenceTTL);
+
+        const existing = await this.getUser(id);
+        await this.store.set(this.key('user', id), JSON.stringify({
+            status: 'online',
+            ...existing,
+            ...info,
+            id,
+            connectedAt: (existing && existing.connectedAt) || new Date().toISOString()
+        }), { PX: this.presenceTTL });
+        await this.store.zAdd(this.key('online'), { score: this.expiry(), value: id });
+
+        return !existing;
+    }
+
+    /**
+     * 连接断开，返回该用户是否已没有其他连接（即已下线）
+     */
+    async disconnect(userId, socketId) {
+        const id = String(userId);
+        const socketsKey = this.key('sockets', id);
+
+        await this.store.sRem(socketsKey, socketId);
+        if (await this.store.sCard(socketsKey) > 0) {
+            return false;
+        }
+
+        await this.store.zRem(this.key('online'), id);
+        await this.store.del(this.key('user', id));
+        return true;
+    }
+
+    /**
+     * 心跳续期：刷新用户在线状态及其所在房间的成员有效期
+     */
+    async heartbeat(userId, rooms = []) {
+        const id = String(userId);
+
+        if (!await this.store.pExpire(this.key('user', id), this.presenceTTL)) {
+            return false;
+        }
+        await this.store.pExpire(this.key('sockets', id), this.presenceTTL);
+        await this.store.zAdd(this.key('online'), { score: this.expiry(), value: id });
+
+        for (const roomId of rooms) {
+            await this.store.zAdd(this.key('room', roomId), { score: this.expiry(), value: id });
+        }
+        return true;
+    }
+
+    async getUser(userId) {
+        const value = await this.store.get(this.key('user', String(userId)));
+        return value ? JSON.parse(value) : null;
+    }
+
+    async getUsers(userIds) {
+        if (userIds.length === 0) return [];
+        const values = await this.store.mGet(userIds.map(id => this.key('user', String(id))));
+        return values.filter(Boolean).map(value => JSON.parse(value));
+    }
+
+    /**
+     * 更新在线用户信息（如状态、自定义签名）
+     */
+    async updateUser(userId, updates) {
+        const user = await this.getUser(userId);
+        if (!user) return null;
+
+        const updated = { ...user, ...updates };
+        await this.store.set(this.key('user', String(userId)), JSON.stringify(updated), { PX: this.presenceTTL });
+        return updated;
+    }
+
+    async getOnlineUsers() {
+        return this.getUsers(await this.activeMembers(this.key('online')));
+    }
+
+    async getOnlineUserCount() {
+        await this.store.zRemRangeByScore(this.key('online'), '-inf', Date.now());
+        return this.store.zCard(this.key('online'));
+    }
+
+    async joinRoom(roomId, userId) {
+        await this.store.zAdd(this.key('room', roomId), { score: this.expiry(), value: String(userId) });
+        await this.store.sAdd(this.key('rooms'), roomId);
+    }
+
+    async leaveRoom(roomId, userId) {
+        await this.store.zRem(this.key('room', roomId), String(userId));
+        await this.store.zRem(this.key('typing', roomId), String(userId));
+
+        if (await this.store.zCard(this.key('room', roomId)) === 0) {
+            await this.store.sRem(this.key('rooms'), roomId);
+        }
+    }
+
+    async getRoomMembers(roomId) {
+        return this.activeMembers(this.key('room', roomId));
+    }
+
+    async getRoomMemberCount(roomId) {
+        return (await this.getRoomMembers(roomId)).length;
+    }
+
+    /**
+     * 获取所有有在线成员的房间 [{ roomId, userCount }]
+     */
+    async getRooms() {
+        const rooms = [];
+
+        for (const roomId of await this.store.sMembers(this.key('rooms'))) {
+            const userCount = await this.getRoomMemberCount(roomId);
+            if (userCount === 0) {
+                await this.store.sRem(this.key('rooms'), roomId);
+            } else {
+                rooms.push({ roomId, userCount });
+            }
+        }
+        return rooms;
+    }
+
+    async setTyping(roomId, userId) {
+        await this.store.zAdd(this.key('typing', roomId), { score: this.expiry(this.typingTTL), value: String(userId) });
+    }
+
+    /**
+     * 清除输入状态，返回用户此前是否处于输入中
+     */
+    async clearTyping(roomId, userId) {
+        return await this.store.zRem(this.key('typing', roomId), String(userId)) > 0;
+    }
+
+    async getTypingUsers(roomId) {
+        return this.activeMembers(this.key('typing', roomId));
+    }
+
+    /**
+     * 登记用户的一个会话（如实时语音会话），ttl 到期后自动失效，实例宕机时不会一直占用名额
+     */
+    async addSession(userId, sessionId, ttl) {
+        const key = this.key('sessions', String(userId));
+        await this.store.zAdd(key, { score: this.expiry(ttl), value: sessionId });
+        await this.store.pExpire(key, ttl);
+    }
+
+    async removeSession(userId, sessionId) {
+        await this.store.zRem(this.key('sessions', String(userId)), sessionId);
+    }
+
+    /**
+     * 用户在所有实例上未过期的会话数
+     */
+    async countSessions(userId) {
+        return (await this.activeMembers(this.key('sessions', String(userId)))).length;
+    }
+
+    /**
+     * 固定窗口频率限制，返回本次是否允许
+     */
+    async consumeRateLimit(userId, { windowMs, max }) {
+        const window = Math.floor(Date.now() / windowMs);
+        const key = this.key('ratelimit', String(userId), window);
+
+        const count = await this.store.incr(key);
+        if (count === 1) {
+            await this.store.pExpire(key, windowMs);
+        }
+        return count <= max;
+    }
+
+    /**
+     * 关闭适配器使用的发布订阅连接
+     */
+    async close() {
+        for (const client of [this.pubClient, this.subClient]) {
+            if (client && client.isOpen) {
+                await client.quit().catch(() => {});
+            }
+        }
+        this.pubClient = null;
+        this.subClient = null;
+    }
+}
+
+module.exports = ChatPresenceService;
+module.exports.createMemoryStore = createMemoryStore;
@@ -0,0 +1,213 @@
+const ScheduledChatMessage = require('../models/ScheduledChatMessage');
+
+// 重复发送的间隔
+const RECURRENCE_INTERVALS = {
+    DAILY: 24 * 60 * 60 * 1000,
+    WEEKLY: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 聊天定时消息服务（任务持久化在数据库中，重启后继续执行）
+ * Chat Scheduler Service
+ *
+ * 多个实例同时运行时通过 lockedUntil 原子领取任务，同一任务只会由一个实例发送
+ */
+class ChatSchedulerService {
+    constructor() {
+        this.pollInterval = parseInt(process.env.CHAT_SCHEDULER_INTERVAL, 10) || 30 * 1000;
+        this.lockDuration = 5 * 60 * 1000;
+        this.maxAttempts = 3;
+        this.retryDelay = 60 * 1000;
+        this.batchSize = 20;
+        this.maxScheduledPerRoom = 50;
+    }
+
+    /**
+     * 创建定时消息
+     * 返回 { status: 'scheduled', job }，
+     * 或 { status: 'text_required' | 'invalid_time' | 'invalid_recurrence' | 'limit_reached' }
+     */
+    async schedule(chatRoom, senderId, { text, runAt, recurrence = 'NONE', endsAt } = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return { status: 'text_required' };
+        }
+
+        const nextRunAt = new Date(runAt);
+        const end = endsAt ? new Date(endsAt) : undefined;
+        if (Number.isNaN(nextRunAt.getTime()) || nextRunAt <= new Date() ||
+            (end && (Number.isNaN(end.getTime()) || end < nextRunAt))) {
+            return { status: 'invalid_time' };
+        }
+
+        if (recurrence !== 'NONE' && !RECURRENCE_INTERVALS[recurrence]) {
+            return { status: 'invalid_recurrence' };
+        }
+
+        const pending = await ScheduledChatMessage.countDocuments({ chatRoom: chatRoom._id, status: 'SCHEDULED' });
+        if (pending >= this.maxScheduledPerRoom) {
+            return { status: 'limit_reached' };
+        }
+
+        const job = await ScheduledChatMessage.create({
+            chatRoom: chatRoom._id,
+            sender: senderId,
+            content: { text: text.trim() },
+            recurrence,
+            scheduledAt: nextRunAt,
+            nextRunAt,
+            endsAt: end
+        });
+
+        return { status: 'scheduled', job };
+    }
+
+    async list(roomId, { status = 'SCHEDULED' } = {}) {
+        return ScheduledChatMessage.find({ chatRoom: roomId, status })
+            .populate('sender', 'username avatar')
+            .sort({ nextRunAt: 1 });
+    }
+
+    /**
+     * 取消定时消息，返回 'cancelled' | 'not_scheduled'
+     */
+    async cancel(job) {
+        if (job.status !== 'SCHEDULED') {
+            return 'not_scheduled';
+        }
+        job.status = 'CANCELLED';
+        job.lockedUntil = undefined;
+        await job.save();
+        return 'cancelled';
+    }
+
+    /**
+     * 开始轮询到期任务，send(job) 发送消息并返回创建的消息，失败时抛出异常
+     * 由应用启动时调用（见 EnhancedChatService.startScheduledMessages）
+     */
+    start(send) {
+        if (this.timer) {
+            return;
+        }
+        this.send = send;
+        this.timer = setInterval(() => {
+            this.runDue().catch(error => {
+                console.error('执行定时消息失败:', error.message);
+            });
+        }, this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 领取并执行到期任务，返回执行的任务数
+     */
+    async runDue(now = new Date()) {
+        let processed = 0;
+
+        while (processed < this.batchSize) {
+            const job = await this.claimNext(now);
+            if (!job) {
+                break;
+            }
+
+            try {
+                const message = await this.send(job);
+                await this.complete(job, message, now);
+            } catch (error) {
+                await this.fail(job, error, now);
+            }
+            processed++;
+        }
+
+        return processed;
+    }
+
+    /**
+     * 原子领取一个到期且未被其他实例锁定的任务
+     */
+    async claimNext(now = new Date()) {
+        return ScheduledChatMessage.findOneAndUpdate(
+            {
+                status: 'SCHEDULED',
+                nextRunAt: { $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + this.lockDuration) } },
+            { new: true, sort: { nextRunAt: 1 } }
+        );
+    }
+
+    /**
+     * 发送成功：重复任务排到下一次，一次性任务标记完成
+     */
+    async complete(job, message, now = new Date()) {
+        const nextRunAt = this.getNextRunAt(job, now);
+
+        job.runCount += 1;
+        job.failureCount = 0;
+        job.lastRunAt = now;
+        job.lastMessage = message && message._id;
+        job.lastError = undefined;
+        job.lockedUntil = undefined;
+        if (nextRunAt) {
+            job.scheduledAt = nextRunAt;
+            job.nextRunAt = nextRunAt;
+        } else {
+            job.status = 'COMPLETED';
+        }
+        await job.save();
+    }
+
+    /**
+     * 发送失败：稍后重试，多次失败后重复任务跳过本次，一次性任务标记失败
+     * error.permanent 表示重试也不会成功（如内容被过滤拦截），直接标记失败
+     */
+    async fail(job, error, now = new Date()) {
+        job.failureCount += 1;
+        job.lastError = error.message;
+        job.lockedUntil = undefined;
+
+        if (error.permanent) {
+            job.status = 'FAILED';
+        } else if (job.failureCount < this.maxAttempts) {
+            job.nextRunAt = new Date(now.getTime() + this.retryDelay * Math.pow(2, job.failureCount - 1));
+        } else {
+            const nextRunAt = this.getNextRunAt(job, now);
+            job.failureCount = 0;
+            if (nextRunAt) {
+                job.scheduledAt = nextRunAt;
+                job.nextRunAt = nextRunAt;
+            } else {
+                job.status = 'FAILED';
+            }
+        }
+        await job.save();
+    }
+
+    /**
+     * 重复任务的下一次发送时间（跳过停机期间错过的时间点），没有下一次时返回null
+     */
+    getNextRunAt(job, now = new Date()) {
+        const interval = RECURRENCE_INTERVALS[job.recurrence];
+        if (!interval) {
+            return null;
+        }
+
+        let next = job.scheduledAt.getTime() + interval;
+        if (next <= now.getTime()) {
+            next += Math.ceil((now.getTime() - next + 1) / interval) * interval;
+        }
+
+        if (job.endsAt && next > job.endsAt.getTime()) {
+            return null;
+        }
+        return new Date(next);
+    }
+}
+
+module.exports = new ChatSchedulerService();
+module.exports.RECURRENCE_INTERVALS = RECURRENCE_INTERVALS;
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+
+// 中日韩文字不以空格分词，MongoDB文本索引无法匹配，改用正则匹配
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 聊天消息搜索服务（跨聊天室、匹配原文与译文）
+ * Chat Search Service
+ */
+class ChatSearchService {
+    constructor() {
+        this.defaultLimit = 20;
+        this.maxLimit = 50;
+        this.maxTerms = 10;
+        this.snippetRadius = 40;
+        this.messageTypes = ChatMessage.schema.path('type').enumValues;
+    }
+
+    /**
+     * 在用户参与的聊天室中搜索消息（不包括被封禁的聊天室，封禁到期后恢复）
+     */
+    async searchForUser(userId, options = {}) {
+        let rooms = await ChatRoom.find({
+            participants: {
+                $elemMatch: {
+                    user: userId,
+                    $or: [{ status: { $ne: 'BANNED' } }, { banUntil: { $lte: new Date() } }]
+                }
+            }
+        }).distinct('_id');
+
+        if (options.room) {
+            rooms = rooms.filter(roomId => roomId.toString() === String(options.room));
+        }
+
+        return this.search({
+            ...options,
+            rooms,
+            viewer: userId,
+            includeDeleted: false
+        });
+    }
+
+    /**
+     * 版主跨聊天室搜索（可选包含已删除或已隐藏的消息）
+     */
+    async searchAll(options = {}) {
+        return this.search({
+            ...options,
+            rooms: options.room ? [options.room] : undefined,
+            includeDeleted: options.includeDeleted === true || options.includeDeleted === 'true'
+        });
+    }
+
+    /**
+     * 执行搜索
+     * 返回 { status: 'ok', results, nextCursor, hasMore }，
+     * 参数无效时返回 { status: 'query_required' | 'invalid_filter' | 'invalid_cursor' }
+     */
+    async search(options) {
+        const terms = this.parseTerms(options.q);
+        if (terms.length === 0) {
+            return { status: 'query_required' };
+        }
+
+        const filter = this.buildFilter(terms, options);
+        if (!filter) {
+            return { status: 'invalid_filter' };
+        }
+
+        if (options.cursor) {
+            const cursor = this.decodeCursor(options.cursor);
+            if (!cursor) {
+                return { status: 'invalid_cursor' };
+            }
+            filter.$and.push({
+                $or: [
+                    { createdAt: { $lt: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+                ]
+            });
+        }
+
+        const limit = Math.min(parseInt(options.limit, 10) || this.defaultLimit, this.maxLimit);
+
+        const messages = await ChatMessage.find(filter)
+            .populate('sender', 'username avatar')
+            .populate('chatRoom', 'name')
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1);
+
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+
+        return {
+            status: 'ok',
+            results: page.map(message => ({
+                message,
+                match: this.createSnippet(message, terms)
+            })),
+            hasMore,
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * 拆分搜索词
+     */
+    parseTerms(query) {
+        if (typeof query !== 'string') return [];
+
+        return [...new Set(query.trim().split(/\s+/).filter(Boolean))]
+            .slice(0, this.maxTerms)
+            .map(term => term.slice(0, 50));
+    }
+
+    /**
+     * 构建查询条件，筛选条件无效时返回null
+     */
+    buildFilter(terms, { rooms, viewer, sender, type, from, to, hasAttachment, includeDeleted }) {
+        const filter = { $and: [] };
+
+        if (rooms) {
+            if (!rooms.every(roomId => mongoose.isValidObjectId(roomId))) return null;
+            filter.chatRoom = { $in: rooms };
+        }
+
+        if (!includeDeleted) {
+            filter.status = { $ne: 'DELETED' };
+            filter['moderation.moderationAction'] = { $nin: ['HIDDEN', 'DELETED'] };
+        }
+
+        if (sender) {
+            if (!mongoose.isValidObjectId(sender)) return null;
+            filter.sender = sender;
+        }
+
+        if (type) {
+            const types = String(type).toUpperCase().split(',');
+            if (!types.every(value => this.messageTypes.includes(value))) return null;
+            filter.type = { $in: types };
+        }
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) return null;
+        }
+
+        if (hasAttachment !== undefined) {
+            const withAttachment = hasAttachment === true || hasAttachment === 'true';
+            const attachmentConditions = [
+                { 'content.attachment': { $exists: true } },
+                { 'content.fileUrl': { $exists: true } },
+                { 'content.imageUrl': { $exists: true } }
+            ];
+            filter.$and.push(withAttachment
+                ? { $or: attachmentConditions }
+                : { $nor: attachmentConditions });
+        }
+
+        if (terms.some(term => CJK_PATTERN.test(term))) {
+            // 每个搜索词都需要出现在原文或任一译文中
+            for (const term of terms) {
+                const pattern = new RegExp(escapeRegExp(term), 'i');
+                filter.$and.push({
+                    $or: [
+                        { 'content.text': pattern },
+                        { 'content.originalText': pattern },
+                        { 'translations.text': pattern }
+                    ]
+                });
+            }
+        } else {
+            filter.$text = { $search: terms.join(' ') };
+        }
+
+        // 被内容过滤隐藏的消息只对发送者可见
+        if (viewer) {
+            filter.$and.push(ChatMessage.visibleTo(viewer));
+        }
+
+        return filter;
+    }
+
+    /**
+     * 生成高亮摘要：优先取原文，原文不匹配时取匹配的译文
+     * 返回 { field, language, snippet, highlights }，highlights 为摘要中匹配位置 [start, end]
+     */
+    createSnippet(message, terms) {
+        const candidates = [
+            { field: 'text', text: message.content && message.content.text },
+            { field: 'originalText', text: message.content && message.content.originalText },
+            ...(message.translations || []).map(translation => ({
+                field: 'translation',
+                language: translation.language,
+                text: translation.text
+            }))
+        ].filter(candidate => candidate.text);
+
+        if (candidates.length === 0) return null;
+
+        const lowerTerms = terms.map(term => term.toLowerCase());
+        const findFirst = (text) => {
+            const lowerText = text.toLowerCase();
+            const positions = lowerTerms.map(term => lowerText.indexOf(term)).filter(index => index >= 0);
+            return positions.length > 0 ? Math.min(...positions) : -1;
+        };
+
+        // 文本索引按词干匹配，可能没有逐字命中的位置，此时展示原文开头
+        const matched = candidates.find(candidate => findFirst(candidate.text) >= 0) || candidates[0];
+        const text = matched.text;
+        const firstIndex = Math.max(findFirst(text), 0);
+
+        const start = Math.max(firstIndex - this.snippetRadius, 0);
+        const end = Math.min(firstIndex + this.snippetRadius * 2, text.length);
+        const prefix = start > 0 ? '…' : '';
+        const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+        const highlights = [];
+        const lowerSnippet = snippet.toLowerCase();
+        for (const term of lowerTerms) {
+            let index = lowerSnippet.indexOf(term);
+            while (index >= 0) {
+                highlights.push([index, index + term.length]);
+                index = lowerSnippet.indexOf(term, index + term.length);
+            }
+        }
+        highlights.sort((a, b) => a[0] - b[0]);
+
+        return {
+            field: matched.field,
+            language: matched.language,
+            snippet,
+            highlights
+        };
+    }
+
+    encodeCursor(message) {
+        return Buffer.from(`${message.createdAt.toISOString()}|${message._id}`).toString('base64url');
+    }
+
+    /**
+     * 解析分页游标，无效时返回null
+     */
+    decodeCursor(cursor) {
+        const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+        const date = new Date(createdAt);
+
+        if (isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+            return null;
+        }
+
+        return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+    }
+}
+
+module.exports = new ChatSearchService();
@@ -2,8 +2,8 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const Redis = require('redis');
 const { v4: uuidv4 } = require('uuid');
+const ChatPresenceService = require('./chatPresenceService');
 
 class ChatServer {
   constructor() {
@@ -16,9 +16,10 @@ class ChatServer {
       }
     });
     
-    this.redis = null;
+    // 房间在线成员与用户在线状态（启用Redis适配器后在集群内共享）
+    this.presence = new ChatPresenceService({ namespace: 'chat-server' });
     this.activeRooms = new Map();
-    this.userSessions = new Map();
+    this.userSessions = new Map(); // 仅保存本实例上的socket会话
     this.messageHistory = new Map();
     
     this.setupMiddleware();
@@ -50,18 +51,23 @@ class ChatServer {
     });
 
     // 获取活跃房间列表
-    this.app.get('/api/rooms', (req, res) => {
-      const rooms = Array.from(this.activeRooms.entries()).map(([id, room]) => ({
-        id,
-        name: room.name,
-        description: room.description,
-        language: room.language,
-        userCount: room.users.size,
-        isPrivate: room.isPrivate,
-        createdAt: room.createdAt
-      }));
-      
-      res.json(rooms);
+    this.app.get('/api/rooms', async (req, res) => {
+      try {
+        const rooms = await Promise.all(Array.from(this.activeRooms.entries()).map(async ([id, room]) => ({
+          id,
+          name: room.name,
+          description: room.description,
+          language: room.language,
+          userCount: await this.presence.getRoomMemberCount(id),
+          isPrivate: room.isPrivate,
+          createdAt: room.createdAt
+        })));
+        
+        res.json(rooms);
+      } catch (error) {
+        console.error('获取房间列表失败:', error);
+        res.status(500).json({ error: '获取房间列表失败' });
+      }
     });
 
     // 创建新房间
@@ -79,7 +85,6 @@ class ChatServer {
         description: description || '',
         language,
         isPrivate,
-        users: new Set(),
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       };
@@ -155,81 +160,108 @@ class ChatServer {
         this.handlePrivateMessage(socket, data);
       });
 
+      // 心跳续期在线状态
+      socket.on('heartbeat', () => {
+        this.handleHeartbeat(socket);
+      });
+
       // 用户断开连接
       socket.on('disconnect', () => {
         this.handleDisconnect(socket);
       });
     });
+
+    // 定期为本实例上的会话续期在线状态
+    this.heartbeatTimer = setInterval(() => {
+      for (const socket of this.io.of('/').sockets.values()) {
+        this.handleHeartbeat(socket);
+      }
+    }, this.presence.heartbeatInterval);
+    this.heartbeatTimer.unref();
   }
 
   /**
    * 处理用户加入房间
    */
-  handleJoinRoom(socket, data) {
-    const { roomId, userInfo } = data;
+  async handleJoinRoom(socket, data) {
+    try {
+      const { roomId, userInfo } = data;
     
-    if (!roomId || !userInfo) {
-      socket.emit('error', { message: '房间ID和用户信息是必需的' });
-      return;
-    }
+      if (!roomId || !userInfo) {
+        socket.emit('error', { message: '房间ID和用户信息是必需的' });
+        return;
+      }
 
-    const room = this.activeRooms.get(roomId);
-    if (!room) {
-      socket.emit('error', { message: '房间不存在' });
-      return;
-    }
+      const room = this.activeRooms.get(roomId);
+      if (!room) {
+        socket.emit('error', { message: '房间不存在' });
+        return;
+      }
 
-    // 加入Socket.IO房间
-    socket.join(roomId);
+      // 加入Socket.IO房间
+      socket.join(roomId);
     
-    // 更新用户会话信息
-    this.userSessions.set(socket.id, {
-      userId: userInfo.id,
-      username: userInfo.username,
-      avatar: userInfo.avatar,
-      roomId,
-      joinedAt: new Date().toISOString()
-    });
+      // 更新用户会话信息
+      this.userSessions.set(socket.id, {
+        userId: userInfo.id,
+        username: userInfo.username,
+        avatar: userInfo.avatar,
+        roomId,
+        joinedAt: new Date().toISOString()
+      });
 
-    // 添加用户到房间
-    room.users.add(socket.id);
-    room.lastActivity = new Date().toISOString();
+      // 添加用户到房间
+      socket.join(this.getUserRoom(userInfo.id));
+      await this.presence.connect(userInfo.id, socket.id, {
+        username: userInfo.username,
+        avatar: userInfo.avatar
+      });
+      await this.presence.joinRoom(roomId, userInfo.id);
+      room.lastActivity = new Date().toISOString();
 
-    // 通知房间内其他用户
-    socket.to(roomId).emit('user-joined', {
-      userId: userInfo.id,
-      username: userInfo.username,
-      avatar: userInfo.avatar,
-      timestamp: new Date().toISOString()
-    });
+      // 通知房间内其他用户
+      socket.to(roomId).emit('user-joined', {
+        userId: userInfo.id,
+        username: userInfo.username,
+        avatar: userInfo.avatar,
+        timestamp: new Date().toISOString()
+      });
 
-    // 发送房间信息给新用户
-    socket.emit('room-joined', {
-      roomId,
-      roomInfo: {
-        name: room.name,
-        description: room.description,
-        language: room.language,
-        userCount: room.users.size
-      },
-      users: this.getRoomUsers(roomId)
-    });
+      // 发送房间信息给新用户
+      socket.emit('room-joined', {
+        roomId,
+        roomInfo: {
+          name: room.name,
+          description: room.description,
+          language: room.language,
+          userCount: await this.presence.getRoomMemberCount(roomId)
+        },
+        users: await this.getRoomUsers(roomId)
+      });
 
-    console.log(`用户 ${userInfo.username} 加入房间 ${room.name}`);
+      console.log(`用户 ${userInfo.username} 加入房间 ${room.name}`);
+    } catch (error) {
+      console.error('加入房间失败:', error);
+      socket.emit('error', { message: '加入房间失败' });
+    }
   }
 
   /**
    * 处理用户离开房间
    */
-  handleLeaveRoom(socket, data) {
-    const { roomId } = data;
-    const userSession = this.userSessions.get(socket.id);
+  async handleLeaveRoom(socket, data) {
+    try {
+      const { roomId } = data;
+      const userSession = this.userSessions.get(socket.id);
     
-    if (!userSession || userSession.roomId !== roomId) {
-      return;
-    }
+      if (!userSession || userSession.roomId !== roomId) {
+        return;
+      }
 
-    this.removeUserFromRoom(socket, roomId);
+      await this.removeUserFromRoom(socket, roomId);
+    } catch (error) {
+      console.error('离开房间失败:', error);
+    }
   }
 
   /**
@@ -410,61 +442,94 @@ class ChatServer {
   /**
    * 处理私聊消息
    */
-  handlePrivateMessage(socket, data) {
-    const { targetUserId, message } = data;
-    const userSession = this.userSessions.get(socket.id);
+  async handlePrivateMessage(socket, data) {
+    try {
+      const { targetUserId, message } = data;
+      const userSession = this.userSessions.get(socket.id);
     
-    if (!userSession) {
-      socket.emit('error', { message: '用户会话无效' });
-      return;
-    }
+      if (!userSession) {
+        socket.emit('error', { message: '用户会话无效' });
+        return;
+      }
 
-    // 查找目标用户的socket
-    const targetSocket = Array.from(this.userSessions.entries())
-      .find(([_, session]) => session.userId === targetUserId);
-    
-    if (!targetSocket) {
-      socket.emit('error', { message: '目标用户不在线' });
-      return;
-    }
+      // 检查目标用户是否在线（集群内任一实例）
+      if (!await this.presence.getUser(targetUserId)) {
+        socket.emit('error', { message: '目标用户不在线' });
+        return;
+      }
 
-    const privateMessage = {
-      id: uuidv4(),
-      fromUserId: userSession.userId,
-      fromUsername: userSession.username,
-      toUserId: targetUserId,
-      content: message,
-      timestamp: new Date().toISOString(),
-      type: 'private'
-    };
+      const privateMessage = {
+        id: uuidv4(),
+        fromUserId: userSession.userId,
+        fromUsername: userSession.username,
+        toUserId: targetUserId,
+        content: message,
+        timestamp: new Date().toISOString(),
+        type: 'private'
+      };
 
-    // 发送给目标用户
-    this.io.to(targetSocket[0]).emit('private-message', privateMessage);
+      // 发送给目标用户
+      this.io.to(this.getUserRoom(targetUserId)).emit('private-message', privateMessage);
     
-    // 确认发送给发送者
-    socket.emit('private-message-sent', privateMessage);
+      // 确认发送给发送者
+      socket.emit('private-message-sent', privateMessage);
 
-    console.log(`私聊消息: ${userSession.username} -> ${targetUserId}: ${message}`);
+      console.log(`私聊消息: ${userSession.username} -> ${targetUserId}: ${message}`);
+    } catch (error) {
+      console.error('发送私聊消息失败:', error);
+      socket.emit('error', { message: '发送私聊消息失败' });
+    }
   }
 
   /**
    * 处理用户断开连接
    */
-  handleDisconnect(socket) {
+  async handleDisconnect(socket) {
     const userSession = this.userSessions.get(socket.id);
     
-    if (userSession) {
-      this.removeUserFromRoom(socket, userSession.roomId);
-      this.userSessions.delete(socket.id);
+    if (!userSession) {
+      return;
+    }
+
+    try {
+      await this.removeUserFromRoom(socket, userSession.roomId);
+      await this.presence.disconnect(userSession.userId, socket.id);
       
       console.log(`用户断开连接: ${userSession.username}`);
+    } catch (error) {
+      // 在线状态未能清理时依赖TTL过期
+      console.error('处理断开连接失败:', error);
+    } finally {
+      this.userSessions.delete(socket.id);
+    }
+  }
+
+  /**
+   * 心跳续期在线状态
+   */
+  async handleHeartbeat(socket) {
+    try {
+      const userSession = this.userSessions.get(socket.id);
+    
+      if (userSession) {
+        await this.presence.heartbeat(userSession.userId, [userSession.roomId]);
+      }
+    } catch (error) {
+      console.error('在线状态续期失败:', error);
     }
   }
 
+  /**
+   * 用户专属房间名
+   */
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
   /**
    * 从房间移除用户
    */
-  removeUserFromRoom(socket, roomId) {
+  async removeUserFromRoom(socket, roomId) {
     const room = this.activeRooms.get(roomId);
     const userSession = this.userSessions.get(socket.id);
     
@@ -473,8 +538,8 @@ class ChatServer {
     }
 
     // 从房间移除用户
-    room.users.delete(socket.id);
     socket.leave(roomId);
+    await this.presence.leaveRoom(roomId, userSession.userId);
 
     // 通知房间内其他用户
     socket.to(roomId).emit('user-left', {
@@ -484,7 +549,7 @@ class ChatServer {
     });
 
     // 如果房间为空，删除房间
-    if (room.users.size === 0) {
+    if (await this.presence.getRoomMemberCount(roomId) === 0) {
       this.activeRooms.delete(roomId);
       this.messageHistory.delete(roomId);
       console.log(`房间已删除: ${room.name}`);
@@ -494,19 +559,16 @@ class ChatServer {
   /**
    * 获取房间用户列表
    */
-  getRoomUsers(roomId) {
-    const room = this.activeRooms.get(roomId);
-    if (!room) return [];
-
-    return Array.from(room.users).map(socketId => {
-      const session = this.userSessions.get(socketId);
-      return session ? {
-        userId: session.userId,
-        username: session.username,
-        avatar: session.avatar,
-        joinedAt: session.joinedAt
-      } : null;
-    }).filter(Boolean);
+  async getRoomUsers(roomId) {
+    if (!this.activeRooms.has(roomId)) return [];
+
+    const users = await this.presence.getUsers(await this.presence.getRoomMembers(roomId));
+    return users.map(user => ({
+      userId: user.id,
+      username: user.username,
+      avatar: user.avatar,
+      joinedAt: user.connectedAt
+    }));
   }
 
   /**
@@ -555,20 +617,10 @@ class ChatServer {
   }
 
   /**
-   * 初始化Redis连接（可选）
+   * 初始化Redis适配器（可选，设置 CHAT_REDIS_ADAPTER=true 启用）
    */
   async initializeRedis() {
-    try {
-      this.redis = Redis.createClient({
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379
-      });
-      
-      await this.redis.connect();
-      console.log('Redis连接成功');
-    } catch (error) {
-      console.warn('Redis连接失败，使用内存存储:', error.message);
-    }
+    return this.presence.attach(this.io);
   }
 }
 
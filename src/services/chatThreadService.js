@@ -0,0 +1,162 @@
+const ChatMessage = require('../models/ChatMessage');
+const ThreadSubscription = require('../models/ThreadSubscription');
+
+/**
+ * 聊天话题服务（话题回复、关注与未读跟踪）
+ * Chat Thread Service
+ *
+ * 话题只有一层：回复话题中的任意消息都会归入同一个根消息
+ */
+class ChatThreadService {
+    constructor() {
+        this.maxRepliesPerPage = 100;
+    }
+
+    /**
+     * 查找话题根消息，传入话题回复时返回其根消息；消息不存在或已删除时返回null
+     */
+    async resolveRoot(messageId) {
+        const message = await ChatMessage.findById(messageId);
+        if (!message || message.status === 'DELETED') {
+            return null;
+        }
+
+        if (!message.threadRoot) {
+            return message;
+        }
+
+        const root = await ChatMessage.findById(message.threadRoot);
+        return root && root.status !== 'DELETED' ? root : null;
+    }
+
+    /**
+     * 发表话题回复
+     * 更新根消息的回复统计，回复者自动关注话题，其他订阅者未读数加一
+     * 返回 { reply, root, followers }，followers 为需要通知的关注者ID
+     */
+    async createReply(root, { sender, type = 'TEXT', content, mentions = [], metadata = {} }) {
+        const senderId = String(sender);
+        const now = new Date();
+
+        const reply = await ChatMessage.create({
+            chatRoom: root.chatRoom,
+            sender: senderId,
+            type,
+            content,
+            threadRoot: root._id,
+            mentions,
+            metadata
+        });
+
+        const updatedRoot = await ChatMessage.findByIdAndUpdate(
+            root._id,
+            {
+                $inc: { 'threadStats.replyCount': 1 },
+                $set: {
+                    'threadStats.lastReplyAt': now,
+                    'threadStats.lastReplyBy': senderId
+                },
+                $addToSet: { 'threadStats.participants': senderId }
+            },
+            { new: true }
+        );
+
+        // 根消息作者默认关注自己发起的话题
+        if (String(root.sender) !== senderId) {
+            await ThreadSubscription.updateOne(
+                { thread: root._id, user: root.sender },
+                { $setOnInsert: { chatRoom: root.chatRoom, following: true, lastReadAt: root.createdAt } },
+                { upsert: true }
+            );
+        }
+
+        await ThreadSubscription.updateOne(
+            { thread: root._id, user: senderId },
+            {
+                $set: { unreadCount: 0, lastReadAt: now },
+                $setOnInsert: { chatRoom: root.chatRoom, following: true }
+            },
+            { upsert: true }
+        );
+
+        await ThreadSubscription.updateMany(
+            { thread: root._id, user: { $ne: senderId } },
+            { $inc: { unreadCount: 1 } }
+        );
+
+        const followers = await ThreadSubscription.find({
+            thread: root._id,
+            user: { $ne: senderId },
+            following: true
+        }).distinct('user');
+
+        return {
+            reply,
+            root: updatedRoot,
+            followers: followers.map(String)
+        };
+    }
+
+    /**
+     * 获取话题回复（按时间正序，after 为上一页最后一条回复的时间）
+     */
+    async getReplies(rootId, { limit = 50, after, viewer } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), this.maxRepliesPerPage);
+        const replies = await ChatMessage.getThreadReplies(rootId, pageSize, after ? new Date(after) : null, viewer);
+
+        return {
+            replies,
+            hasMore: replies.length === pageSize
+        };
+    }
+
+    async getSubscription(rootId, userId) {
+        return ThreadSubscription.findOne({ thread: rootId, user: userId });
+    }
+
+    /**
+     * 关注或取消关注话题
+     */
+    async setFollowing(root, userId, following) {
+        return ThreadSubscription.findOneAndUpdate(
+            { thread: root._id, user: userId },
+            {
+                $set: { following },
+                $setOnInsert: { chatRoom: root.chatRoom, lastReadAt: new Date() }
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * 标记话题已读
+     */
+    async markRead(rootId, userId) {
+        await ThreadSubscription.updateOne(
+            { thread: rootId, user: userId },
+            { $set: { unreadCount: 0, lastReadAt: new Date() } }
+        );
+    }
+
+    /**
+     * 获取用户订阅的话题列表
+     */
+    async listSubscriptions(userId, { unreadOnly = false, limit = 20 } = {}) {
+        const query = { user: userId };
+        if (unreadOnly) {
+            query.unreadCount = { $gt: 0 };
+        }
+
+        return ThreadSubscription.find(query)
+            .sort({ updatedAt: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 20, 100))
+            .populate({
+                path: 'thread',
+                select: 'chatRoom sender content.text threadStats createdAt',
+                populate: { path: 'sender', select: 'username avatar' }
+            })
+            .populate('chatRoom', 'name participants');
+    }
+}
+
+module.exports = new ChatThreadService();
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+    CONTENT_FILTER_ACTIONS,
+    CONTENT_FILTER_RULE_SETS,
+    DEFAULT_RULE_SETS,
+    REQUIRED_RULE_SETS
+} = require('../config/contentFilterRules');
+
+// 处理方式的严重程度，多条规则命中时取最严重的
+const ACTION_SEVERITY = {
+    allow: 0,
+    mask: 1,
+    flag: 2,
+    shadow_hide: 3,
+    block: 4
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 允许字符之间夹杂少量空白、零宽字符或标点（如 f.u.c.k、傻 逼）
+const SEPARATOR = '[\\s\\u200B-\\u200D\\uFEFF._*\\-]{0,2}';
+const LATIN_WORD = /^[\p{Script=Latin}\p{N}]+$/u;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const collectSpans = (regex, text) => {
+    const spans = [];
+    for (const match of text.matchAll(regex)) {
+        if (match[0].length > 0) {
+            spans.push([match.index, match.index + match[0].length]);
+        }
+    }
+    return spans;
+};
+
+/**
+ * 敏感词检测：拉丁字母词按整词匹配，中日韩等按子串匹配
+ */
+const wordListDetector = {
+    compile(rule) {
+        const words = Object.values(rule.options.words || {}).flat();
+        if (words.length === 0) return null;
+
+        const alternatives = words.map(word => {
+            const body = [...word].map(escapeRegExp).join(SEPARATOR);
+            return LATIN_WORD.test(word) ? `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])` : body;
+        });
+
+        return new RegExp(alternatives.join('|'), 'giu');
+    },
+
+    match(rule, text, compiled) {
+        if (!compiled) return null;
+        const spans = collectSpans(compiled, text);
+        return spans.length > 0 ? spans : null;
+    }
+};
+
+/**
+ * 正则检测
+ */
+const regexDetector = {
+    compile(rule) {
+        return (rule.options.patterns || []).map(pattern => new RegExp(pattern, 'giu'));
+    },
+
+    match(rule, text, compiled) {
+        const spans = compiled.flatMap(regex => collectSpans(regex, text));
+        return spans.length > 0 ? spans : null;
+    }
+};
+
+/**
+ * 链接检测：链接数量超过上限或包含屏蔽域名
+ */
+const linksDetector = {
+    match(rule, text) {
+        const { maxLinks = Infinity, blockedDomains = [] } = rule.options;
+        const links = [...text.matchAll(URL_PATTERN)];
+
+        const blocked = links.filter(link => {
+            const host = link[0].replace(/^(?:https?:\/\/)?(?:www\.)?/i, '').split(/[/?#:]/)[0].toLowerCase();
+            return blockedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+        });
+
+        const matched = links.length > maxLinks ? links : blocked;
+        return matched.length > 0
+            ? matched.map(link => [link.index, link.index + link[0].length])
+            : null;
+    }
+};
+
+/**
+ * 刷屏特征：大写字母比例过高、同一字符连续重复
+ */
+const heuristicsDetector = {
+    match(rule, text) {
+        const { minLength = 20, maxUppercaseRatio = 1, maxRepeatedChars = Infinity } = rule.options;
+
+        const repeated = Number.isFinite(maxRepeatedChars)
+            ? collectSpans(new RegExp(`(.)\\1{${maxRepeatedChars},}`, 'gu'), text)
+            : [];
+        if (repeated.length > 0) return repeated;
+
+        const letters = text.match(/\p{L}/gu) || [];
+        const uppercase = text.match(/\p{Lu}/gu) || [];
+        if (letters.length >= minLength && uppercase.length / letters.length > maxUppercaseRatio) {
+            return [];
+        }
+
+        return null;
+    }
+};
+
+/**
+ * 重复消息检测：同一用户在同一范围内短时间发送相同内容（只检测原文）
+ */
+const createRepeatDetector = () => {
+    const history = new Map();
+
+    return {
+        originalOnly: true,
+        history,
+
+        match(rule, text, compiled, context) {
+            if (!context.userId) return null;
+
+            const { windowMs = 60000, maxRepeats = 3 } = rule.options;
+            const now = Date.now();
+            const key = `${context.scope || 'global'}:${context.userId}`;
+            const hash = crypto.createHash('sha1')
+                .update(text.trim().toLowerCase().replace(/\s+/g, ' '))
+                .digest('hex');
+
+            const recent = (history.get(key) || []).filter(entry => now - entry.at < windowMs);
+            recent.push({ hash, at: now });
+            history.set(key, recent.slice(-50));
+
+            return recent.filter(entry => entry.hash === hash).length >= maxRepeats ? [] : null;
+        }
+    };
+};
+
+/**
+ * 内容过滤服务
+ * Content Filter Service
+ *
+ * 检测器通过 registerDetector(type, { match, compile?, originalOnly? }) 接入：
+ * match 返回命中位置数组 [[start, end], ...]（可以为空数组），未命中返回null
+ */
+class ContentFilterService {
+    constructor() {
+        this.detectors = new Map();
+        this.ruleSets = new Map();
+        this.compiled = new WeakMap();
+
+        this.registerDetector('wordList', wordListDetector);
+        this.registerDetector('regex', regexDetector);
+        this.registerDetector('links', linksDetector);
+        this.registerDetector('heuristics', heuristicsDetector);
+        this.registerDetector('repeat', createRepeatDetector());
+
+        for (const [name, rules] of Object.entries(CONTENT_FILTER_RULE_SETS)) {
+            this.registerRuleSet(name, rules);
+        }
+
+        if (process.env.CONTENT_FILTER_WORDLIST_FILE) {
+            this.loadWordListFile(process.env.CONTENT_FILTER_WORDLIST_FILE);
+        }
+
+        // 清理过期的重复消息记录
+        this.cleanupTimer = setInterval(() => this.pruneRepeatHistory(), 5 * 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * 注册检测器
+     */
+    registerDetector(type, detector) {
+        if (!detector || typeof detector.match !== 'function') {
+            throw new Error(`内容检测器 ${type} 必须提供 match 方法`);
+        }
+        this.detectors.set(type, detector);
+    }
+
+    /**
+     * 注册（或替换）规则集
+     */
+    registerRuleSet(name, rules) {
+        for (const rule of rules) {
+            if (!this.detectors.has(rule.type)) {
+                throw new Error(`未知的内容检测器类型: ${rule.type}`);
+            }
+            if (!CONTENT_FILTER_ACTIONS.includes(rule.action)) {
+                throw new Error(`无效的内容过滤处理方式: ${rule.action}`);
+            }
+        }
+        this.ruleSets.set(name, rules.map(rule => ({ options: {}, ...rule })));
+    }
+
+    /**
+     * 从JSON文件追加敏感词（{ "语言": ["词", ...] }）
+     */
+    loadWordListFile(filePath) {
+        try {
+            const extraWords = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            this.registerRuleSet('custom', [{
+                id: 'custom.words',
+                type: 'wordList',
+                action: 'mask',
+                options: { words: extraWords }
+            }]);
+            console.log(`✅ 已加载自定义敏感词表: ${filePath}`);
+        } catch (error) {
+            console.error('加载自定义敏感词表失败:', error.message);
+        }
+    }
+
+    /**
+     * 根据策略获取生效的规则，策略中的 actions 可覆盖单条规则的处理方式
+     * 策略：{ enabled, ruleSets, actions: { 规则ID: 处理方式 } }
+     * 必选规则集不受 enabled/ruleSets 影响，覆盖时也只能提高处理方式的严重程度
+     */
+    getRules(policy = {}) {
+        // 未指定规则集时使用默认规则集及自定义词表
+        let ruleSetNames = [];
+        if (policy.enabled !== false) {
+            ruleSetNames = policy.ruleSets && policy.ruleSets.length > 0
+                ? policy.ruleSets
+                : [...DEFAULT_RULE_SETS, 'custom'];
+        }
+        ruleSetNames = [...new Set([...ruleSetNames, ...REQUIRED_RULE_SETS])];
+
+        const overrides = policy.actions instanceof Map
+            ? Object.fromEntries(policy.actions)
+            : (policy.actions || {});
+
+        return ruleSetNames
+            .filter(name => this.ruleSets.has(name))
+            .flatMap(name => this.ruleSets.get(name).map(rule => {
+                let action = CONTENT_FILTER_ACTIONS.includes(overrides[rule.id]) ? overrides[rule.id] : rule.action;
+                if (REQUIRED_RULE_SETS.includes(name) && ACTION_SEVERITY[action] < ACTION_SEVERITY[rule.action]) {
+                    action = rule.action;
+                }
+                return { ...rule, ruleSet: name, action };
+            }));
+    }
+
+    /**
+     * 检查内容
+     * input: { text, translations: [{ language, text }] }，可以只传译文
+     * context: { policy, userId, scope }，scope 用于区分重复消息的统计范围（如聊天室ID）
+     * 返回 { action, text, translations, matches }：
+     *   action 为命中规则中最严重的处理方式（未命中为 'allow'）
+     *   text/translations 为按 mask 规则打码后的内容
+     *   matches 为命中记录 [{ rule, ruleSet, action, source }]
+     */
+    evaluate({ text, translations = [] }, context = {}) {
+        const rules = this.getRules(context.policy);
+        const sources = [];
+
+        if (typeof text === 'string' && text.length > 0) {
+            sources.push({ source: 'text', text, original: true });
+        }
+        translations.forEach((translation, index) => {
+            if (translation && translation.text) {
+                sources.push({ source: `translation:${translation.language}`, text: translation.text, index });
+            }
+        });
+
+        const matches = [];
+        const maskSpans = new Map(sources.map(source => [source.source, []]));
+
+        for (const rule of rules) {
+            const detector = this.detectors.get(rule.type);
+            const compiled = this.getCompiled(rule, detector);
+
+            for (const source of sources) {
+                if (detector.originalOnly && !source.original) continue;
+
+                const spans = detector.match(rule, source.text, compiled, context);
+                if (!spans) continue;
+
+                matches.push({
+                    rule: rule.id,
+                    ruleSet: rule.ruleSet,
+                    action: rule.action,
+                    source: source.source
+                });
+
+                if (rule.action === 'mask') {
+                    maskSpans.get(source.source).push(...spans);
+                }
+            }
+        }
+
+        const action = matches.reduce(
+            (current, match) => (ACTION_SEVERITY[match.action] > ACTION_SEVERITY[current] ? match.action : current),
+            'allow'
+        );
+
+        const masked = new Map(sources.map(source => [
+            source.source,
+            this.mask(source.text, maskSpans.get(source.source))
+        ]));
+
+        return {
+            action,
+            text: masked.has('text') ? masked.get('text') : text,
+            translations: translations.map((translation, index) => {
+                const source = sources.find(item => item.index === index);
+                return source ? { ...translation, text: masked.get(source.source) } : translation;
+            }),
+            matches
+        };
+    }
+
+    /**
+     * 分别检查多个文本字段（如帖子标题和正文）
+     * 返回 { action, values, matches }，values 为打码后的字段值，matches 的 source 为字段名
+     */
+    evaluateFields(values, context = {}) {
+        const result = { action: 'allow', values: {}, matches: [] };
+
+        for (const [field, text] of Object.entries(values)) {
+            if (typeof text !== 'string') continue;
+
+            const fieldResult = this.evaluate({ text }, context);
+            result.values[field] = fieldResult.text;
+            result.matches.push(...fieldResult.matches.map(match => ({ ...match, source: field })));
+            if (ACTION_SEVERITY[fieldResult.action] > ACTION_SEVERITY[result.action]) {
+                result.action = fieldResult.action;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 将过滤结果转换为内容的审核字段 { flagged, shadowHidden, flags }
+     */
+    toModeration(result) {
+        const flags = result.matches
+            .filter(match => match.action !== 'mask')
+            .map(({ rule, action, source }) => ({ rule, action, source }));
+
+        return {
+            flagged: flags.some(flag => flag.action === 'flag'),
+            shadowHidden: flags.some(flag => flag.action === 'shadow_hide'),
+            flags
+        };
+    }
+
+    /**
+     * 列表查询条件：被隐藏的内容只对发布者本人可见
+     */
+    visibilityFilter(userId) {
+        const visible = { 'moderation.shadowHidden': { $ne: true } };
+        return userId ? { $or: [visible, { user: userId }] } : visible;
+    }
+
+    /**
+     * 单条内容是否对该用户可见（user 字段可以已populate）
+     */
+    isVisibleTo(doc, userId) {
+        if (!doc.moderation || !doc.moderation.shadowHidden) return true;
+        if (!userId || !doc.user) return false;
+        return String(doc.user._id || doc.user) === String(userId);
+    }
+
+    /**
+     * 用*替换命中位置
+     */
+    mask(text, spans) {
+        if (!spans || spans.length === 0) return text;
+
+        const characters = [...text];
+        // 命中位置是UTF-16下标，先换算为字符下标
+        const offsets = [];
+        let offset = 0;
+        characters.forEach((character, index) => {
+            offsets[offset] = index;
+            offset += character.length;
+        });
+        offsets[offset] = characters.length;
+
+        for (const [start, end] of spans) {
+            const from = offsets[start];
+            const to = offsets[end];
+            if (from === undefined || to === undefined) continue;
+            for (let i = from; i < to; i++) {
+                if (!/\s/.test(characters[i])) characters[i] = '*';
+            }
+        }
+
+        return characters.join('');
+    }
+
+    getCompiled(rule, detector) {
+        if (typeof detector.compile !== 'function') return null;
+
+        if (!this.compiled.has(rule.options)) {
+            this.compiled.set(rule.options, detector.compile(rule));
+        }
+        return this.compiled.get(rule.options);
+    }
+
+    pruneRepeatHistory() {
+        const { history } = this.detectors.get('repeat') || {};
+        if (!history) return;
+
+        const cutoff = Date.now() - 10 * 60 * 1000;
+        for (const [key, entries] of history) {
+            if (!entries.some(entry => entry.at > cutoff)) {
+                history.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new ContentFilterService();
+module.exports.ACTION_SEVERITY = ACTION_SEVERITY;
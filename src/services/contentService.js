@@ -4,6 +4,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
+const contentFilterService = require('./contentFilterService');
 
 // 内容模型
 const ContentSchema = new mongoose.Schema({
@@ -95,6 +96,16 @@ const ContentSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
       },
+      // 内容过滤结果
+      moderation: {
+        flagged: Boolean,
+        shadowHidden: Boolean,
+        flags: [{
+          rule: String,
+          action: String,
+          source: String
+        }]
+      },
       replies: [{
         userId: String,
         username: String,
@@ -357,8 +368,14 @@ class ContentService {
         bookmarked: userId ? content.interactions.bookmarks.some(bookmark => bookmark.userId === userId) : false
       };
 
+      // 被内容过滤隐藏的评论只对评论者可见
+      const data = content.toObject();
+      data.interactions.comments = data.interactions.comments.filter(comment =>
+        !(comment.moderation && comment.moderation.shadowHidden) || comment.userId === userId
+      );
+
       res.json({
-        ...content.toObject(),
+        ...data,
         userInteractions
       });
     } catch (error) {
@@ -556,14 +573,26 @@ class ContentService {
         return res.status(404).json({ error: '内容不存在' });
       }
 
+      // 内容过滤
+      const filterResult = contentFilterService.evaluate(
+        { text: commentContent },
+        { userId, scope: 'content-comments' }
+      );
+      if (filterResult.action === 'block') {
+        return res.status(400).json({ error: '评论包含不允许发布的内容' });
+      }
+
       const newComment = {
         userId,
         username,
         avatar,
-        content: commentContent,
+        content: filterResult.text,
         timestamp: new Date(),
         replies: []
       };
+      if (filterResult.matches.length > 0) {
+        newComment.moderation = contentFilterService.toModeration(filterResult);
+      }
 
       content.interactions.comments.push(newComment);
       content.stats.comments += 1;
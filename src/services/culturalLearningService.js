@@ -2,6 +2,7 @@ const CulturalExchange = require('../models/CulturalExchange');
 const LanguageLearningSession = require('../models/LanguageLearningSession');
 const UserLearningProgress = require('../models/UserLearningProgress');
 const CBTTokenService = require('./cbtTokenService');
+const notificationService = require('./notificationService');
 
 class CulturalLearningService {
     constructor() {
@@ -537,6 +538,58 @@ class CulturalLearningService {
         }
     }
     
+    /**
+     * 邀请用户参与文化交流，只有参与者可以邀请，已参与的用户会被跳过
+     */
+    async inviteToCulturalExchange(exchangeId, inviterId, userIds) {
+        try {
+            const exchange = await CulturalExchange.findById(exchangeId);
+            if (!exchange) {
+                throw new Error('文化交流不存在');
+            }
+            
+            if (exchange.status !== 'ACTIVE') {
+                throw new Error('文化交流已关闭');
+            }
+            
+            if (!exchange.participants.some(p => p.user.toString() === inviterId.toString())) {
+                throw new Error('只有参与者可以邀请其他用户');
+            }
+            
+            const inviteeIds = [...new Set(userIds.map(String))].filter(userId =>
+                userId !== inviterId.toString() &&
+                !exchange.participants.some(p => p.user.toString() === userId)
+            );
+            
+            let invited = 0;
+            for (const userId of inviteeIds) {
+                const notification = await notificationService.notify({
+                    user: userId,
+                    type: 'EXCHANGE_INVITE',
+                    actor: inviterId,
+                    title: `邀请您参与文化交流「${exchange.title}」`,
+                    body: exchange.description.slice(0, 200),
+                    data: { exchange: exchange._id }
+                });
+                if (notification) {
+                    invited++;
+                }
+            }
+            
+            return {
+                success: true,
+                invited
+            };
+            
+        } catch (error) {
+            console.error('邀请参与文化交流失败:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * 获取用户学习统计
      */
@@ -0,0 +1,280 @@
+const DeviceKey = require('../models/DeviceKey');
+const EncryptionService = require('./encryptionService');
+const notificationService = require('./notificationService');
+
+// 加密私信使用的协议（X3DH密钥协商 + Double Ratchet），加解密均在客户端完成
+const E2E_PROTOCOL = 'x3dh-double-ratchet-v1';
+
+// 密文类型：prekey 为建立会话的首条消息，message 为会话中的后续消息
+const ENVELOPE_TYPES = ['prekey', 'message'];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const isKey = (value, maxLength = 256) =>
+    typeof value === 'string' && value.length <= maxLength && value.length % 4 === 0 && BASE64_PATTERN.test(value);
+
+const isKeyId = (value) => Number.isInteger(value) && value >= 0 && value < 2 ** 24;
+
+const isPreKey = (preKey) => Boolean(preKey) && isKeyId(preKey.keyId) && isKey(preKey.publicKey);
+
+/**
+ * 端到端加密公钥目录服务
+ * E2E Key Service
+ *
+ * 服务器只保存各设备的公钥并转发密文，无法解密私信内容；
+ * 密钥包格式与 Signal 协议一致，签名由客户端在建立会话前校验
+ */
+class E2EKeyService {
+    constructor() {
+        this.encryptionService = new EncryptionService();
+        this.maxDevicesPerUser = 10;
+        this.maxPreKeysPerUpload = 100;
+        this.maxPreKeysPerDevice = 200;
+        this.lowPreKeyThreshold = 10;
+        this.maxCiphertextLength = 64 * 1024;
+    }
+
+    /**
+     * 身份公钥指纹，用于用户之间核对安全码
+     */
+    getFingerprint(identityKey) {
+        return this.encryptionService.calculateFileHash(Buffer.from(identityKey, 'base64'));
+    }
+
+    /**
+     * 上传或替换设备的密钥包
+     * 返回 { status: 'registered', device }，或 { status: 'invalid_bundle' | 'device_limit' }
+     */
+    async registerDevice(userId, deviceId, { identityKey, registrationId, signedPreKey, oneTimePreKeys = [] } = {}) {
+        if (typeof deviceId !== 'string' || !/^[\w-]{1,64}$/.test(deviceId) || !isKey(identityKey) ||
+            !isPreKey(signedPreKey) || !isKey(signedPreKey.signature, 512) ||
+            (registrationId !== undefined && !isKeyId(registrationId)) ||
+            !Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > this.maxPreKeysPerUpload ||
+            !oneTimePreKeys.every(isPreKey)) {
+            return { status: 'invalid_bundle' };
+        }
+
+        let device = await DeviceKey.findOne({ user: userId, deviceId });
+        if (!device) {
+            const count = await DeviceKey.countDocuments({ user: userId });
+            if (count >= this.maxDevicesPerUser) {
+                return { status: 'device_limit' };
+            }
+            device = new DeviceKey({ user: userId, deviceId });
+        }
+
+        // 身份密钥变化说明设备重装，旧的一次性预共享公钥对应的私钥已不存在
+        if (device.identityKey !== identityKey) {
+            device.oneTimePreKeys = [];
+        }
+
+        device.identityKey = identityKey;
+        device.registrationId = registrationId;
+        device.signedPreKey = {
+            keyId: signedPreKey.keyId,
+            publicKey: signedPreKey.publicKey,
+            signature: signedPreKey.signature,
+            uploadedAt: new Date()
+        };
+        this.appendPreKeys(device, oneTimePreKeys);
+        device.lastSeenAt = new Date();
+        await device.save();
+
+        return { status: 'registered', device };
+    }
+
+    /**
+     * 补充一次性预共享公钥
+     * 返回 { status: 'added', remaining }，或 { status: 'not_found' | 'invalid_bundle' }
+     */
+    async addPreKeys(userId, deviceId, preKeys) {
+        if (!Array.isArray(preKeys) || preKeys.length === 0 || preKeys.length > this.maxPreKeysPerUpload ||
+            !preKeys.every(isPreKey)) {
+            return { status: 'invalid_bundle' };
+        }
+
+        const device = await DeviceKey.findOne({ user: userId, deviceId });
+        if (!device) {
+            return { status: 'not_found' };
+        }
+
+        this.appendPreKeys(device, preKeys);
+        device.lastSeenAt = new Date();
+        await device.save();
+
+        return { status: 'added', remaining: device.oneTimePreKeys.length };
+    }
+
+    /**
+     * 追加预共享公钥（跳过重复的keyId），超出上限时丢弃最早上传的
+     */
+    appendPreKeys(device, preKeys) {
+        const existing = new Set(device.oneTimePreKeys.map(preKey => preKey.keyId));
+        for (const { keyId, publicKey } of preKeys) {
+            if (!existing.has(keyId)) {
+                device.oneTimePreKeys.push({ keyId, publicKey });
+                existing.add(keyId);
+            }
+        }
+
+        const overflow = device.oneTimePreKeys.length - this.maxPreKeysPerDevice;
+        if (overflow > 0) {
+            device.oneTimePreKeys.splice(0, overflow);
+        }
+    }
+
+    /**
+     * 当前用户的设备列表，一次性预共享公钥不足时客户端应及时补充
+     */
+    async listDevices(userId) {
+        const devices = await DeviceKey.find({ user: userId }).sort({ createdAt: 1 });
+
+        return devices.map(device => ({
+            deviceId: device.deviceId,
+            fingerprint: this.getFingerprint(device.identityKey),
+            signedPreKeyId: device.signedPreKey.keyId,
+            signedPreKeyUploadedAt: device.signedPreKey.uploadedAt,
+            remainingPreKeys: device.oneTimePreKeys.length,
+            needsPreKeys: device.oneTimePreKeys.length < this.lowPreKeyThreshold,
+            lastSeenAt: device.lastSeenAt
+        }));
+    }
+
+    async removeDevice(userId, deviceId) {
+        const { deletedCount } = await DeviceKey.deleteOne({ user: userId, deviceId });
+        return deletedCount > 0;
+    }
+
+    /**
+     * 获取用户所有设备的密钥包，每个设备原子取出一个一次性预共享公钥（已用完时不含该字段）
+     * 设备剩余的一次性公钥降到阈值以下或用完时提醒用户补充
+     */
+    async getPreKeyBundles(userId) {
+        const devices = await DeviceKey.find({ user: userId }).select('deviceId');
+        const bundles = [];
+        const lowDevices = [];
+
+        for (const { _id } of devices) {
+            const device = await DeviceKey.findOneAndUpdate(
+                { _id },
+                { $pop: { oneTimePreKeys: -1 } },
+                { new: false }
+            );
+            if (!device) continue;
+
+            const [oneTimePreKey] = device.oneTimePreKeys;
+            if (oneTimePreKey) {
+                // 只在刚降到阈值以下和刚用完时各提醒一次
+                const remaining = device.oneTimePreKeys.length - 1;
+                if (remaining === this.lowPreKeyThreshold - 1 || remaining === 0) {
+                    lowDevices.push({ deviceId: device.deviceId, remaining });
+                }
+            }
+            bundles.push({
+                deviceId: device.deviceId,
+                registrationId: device.registrationId,
+                identityKey: device.identityKey,
+                fingerprint: this.getFingerprint(device.identityKey),
+                signedPreKey: {
+                    keyId: device.signedPreKey.keyId,
+                    publicKey: device.signedPreKey.publicKey,
+                    signature: device.signedPreKey.signature
+                },
+                oneTimePreKey: oneTimePreKey
+                    ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+                    : undefined
+            });
+        }
+
+        if (lowDevices.length > 0) {
+            await this.notifyLowPreKeys(userId, lowDevices);
+        }
+
+        return bundles;
+    }
+
+    /**
+     * 通知设备所有者补充一次性公钥（在线设备通过Socket实时收到）
+     */
+    async notifyLowPreKeys(userId, devices) {
+        await notificationService.notify({
+            user: userId,
+            type: 'SECURITY',
+            title: '加密设备的一次性公钥即将用完',
+            body: `请在以下设备上补充公钥：${devices.map(device => device.deviceId).join('、')}`,
+            data: { event: 'e2e_prekeys_low', devices }
+        });
+    }
+
+    /**
+     * 校验加密私信：接收者的每台设备都必须有对应密文，发送者的其他设备可选
+     * 返回 { status: 'ok', encryption }，
+     * 或 { status: 'invalid_payload' | 'no_devices' | 'stale_devices', missingDevices }
+     */
+    async validateEncryption(senderId, receiverId, encryption) {
+        if (!encryption || encryption.protocol !== E2E_PROTOCOL || typeof encryption.senderDevice !== 'string' ||
+            !Array.isArray(encryption.envelopes) || encryption.envelopes.length === 0 ||
+            encryption.envelopes.length > 2 * this.maxDevicesPerUser) {
+            return { status: 'invalid_payload' };
+        }
+
+        for (const envelope of encryption.envelopes) {
+            if (!envelope || typeof envelope.deviceId !== 'string' || !ENVELOPE_TYPES.includes(envelope.type) ||
+                !isKey(envelope.ciphertext, this.maxCiphertextLength)) {
+                return { status: 'invalid_payload' };
+            }
+        }
+
+        const [receiverDevices, senderDevices] = await Promise.all([
+            DeviceKey.find({ user: receiverId }).select('deviceId'),
+            DeviceKey.find({ user: senderId }).select('deviceId')
+        ]);
+        if (receiverDevices.length === 0) {
+            return { status: 'no_devices' };
+        }
+        if (!senderDevices.some(device => device.deviceId === encryption.senderDevice)) {
+            return { status: 'invalid_payload' };
+        }
+
+        const owners = new Map([
+            ...senderDevices.map(device => [`${senderId}:${device.deviceId}`, senderId]),
+            ...receiverDevices.map(device => [`${receiverId}:${device.deviceId}`, receiverId])
+        ]);
+        const envelopes = [];
+        for (const envelope of encryption.envelopes) {
+            const recipient = String(envelope.user || receiverId);
+            const owner = owners.get(`${recipient}:${envelope.deviceId}`);
+            // 密文对应的设备已被移除或不存在，客户端需要重新获取设备列表
+            if (!owner || (recipient === String(senderId) && envelope.deviceId === encryption.senderDevice)) {
+                return { status: 'stale_devices' };
+            }
+            envelopes.push({
+                user: owner,
+                deviceId: envelope.deviceId,
+                type: envelope.type,
+                ciphertext: envelope.ciphertext
+            });
+        }
+
+        const missingDevices = receiverDevices
+            .map(device => device.deviceId)
+            .filter(deviceId => !envelopes.some(envelope =>
+                String(envelope.user) === String(receiverId) && envelope.deviceId === deviceId));
+        if (missingDevices.length > 0) {
+            return { status: 'stale_devices', missingDevices };
+        }
+
+        return {
+            status: 'ok',
+            encryption: {
+                protocol: E2E_PROTOCOL,
+                senderDevice: encryption.senderDevice,
+                envelopes
+            }
+        };
+    }
+}
+
+module.exports = new E2EKeyService();
+module.exports.E2E_PROTOCOL = E2E_PROTOCOL;
+module.exports.ENVELOPE_TYPES = ENVELOPE_TYPES;
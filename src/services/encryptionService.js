@@ -294,17 +294,97 @@ class EncryptionService {
     }
 
     /**
-     * 生成TOTP (基于时间的一次性密码)
-     * Generate Time-based One-Time Password
+     * Base32编码 (RFC 4648)
+     * Base32 Encode
      */
-    generateTOTP(secret, timeStep = 30, digits = 6) {
-        const time = Math.floor(Date.now() / 1000 / timeStep);
-        const timeBuffer = Buffer.alloc(8);
-        timeBuffer.writeUInt32BE(0, 0);
-        timeBuffer.writeUInt32BE(time, 4);
+    base32Encode(buffer) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0;
+        let value = 0;
+        let output = '';
         
-        const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'base32'));
-        hmac.update(timeBuffer);
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        
+        if (bits > 0) {
+            output += alphabet[(value << (5 - bits)) & 31];
+        }
+        
+        return output;
+    }
+
+    /**
+     * Base32解码 (RFC 4648)
+     * Base32 Decode
+     */
+    base32Decode(encoded) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        const cleaned = String(encoded).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        
+        for (const char of cleaned) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) {
+                throw new Error(`无效的Base32字符 / Invalid base32 character: ${char}`);
+            }
+            
+            value = (value << 5) | index;
+            bits += 5;
+            
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * 生成TOTP密钥
+     * Generate TOTP Secret
+     */
+    generateTOTPSecret(length = 20) {
+        return this.base32Encode(crypto.randomBytes(length));
+    }
+
+    /**
+     * 生成TOTP认证器URI (otpauth://)
+     * Generate TOTP Authenticator URI
+     */
+    generateTOTPUri(secret, accountName, issuer = 'CultureBridge', timeStep = 30, digits = 6) {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(digits),
+            period: String(timeStep)
+        });
+        
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * 计算HOTP (RFC 4226)
+     * Calculate HMAC-based One-Time Password
+     */
+    calculateHOTP(secret, counter, digits = 6) {
+        const counterBuffer = Buffer.alloc(8);
+        counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+        
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret));
+        hmac.update(counterBuffer);
         const hash = hmac.digest();
         
         const offset = hash[hash.length - 1] & 0xf;
@@ -313,33 +393,72 @@ class EncryptionService {
         return code.toString().padStart(digits, '0');
     }
 
+    /**
+     * 生成TOTP (基于时间的一次性密码)
+     * Generate Time-based One-Time Password
+     */
+    generateTOTP(secret, timeStep = 30, digits = 6) {
+        const time = Math.floor(Date.now() / 1000 / timeStep);
+        return this.calculateHOTP(secret, time, digits);
+    }
+
     /**
      * 验证TOTP
      * Verify TOTP
      */
     verifyTOTP(token, secret, window = 1, timeStep = 30, digits = 6) {
+        return this.matchTOTPStep(token, secret, window, timeStep, digits) !== null;
+    }
+
+    /**
+     * 验证TOTP并返回匹配的时间步，失败返回null（用于拒绝同一时间步的验证码重放）
+     * Match TOTP time step
+     */
+    matchTOTPStep(token, secret, window = 1, timeStep = 30, digits = 6) {
+        if (!token || !secret) {
+            return null;
+        }
+        
+        const normalizedToken = String(token).replace(/\s/g, '');
+        if (normalizedToken.length !== digits || !/^\d+$/.test(normalizedToken)) {
+            return null;
+        }
+        
         const currentTime = Math.floor(Date.now() / 1000 / timeStep);
         
         for (let i = -window; i <= window; i++) {
-            const time = currentTime + i;
-            const timeBuffer = Buffer.alloc(8);
-            timeBuffer.writeUInt32BE(0, 0);
-            timeBuffer.writeUInt32BE(time, 4);
-            
-            const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'base32'));
-            hmac.update(timeBuffer);
-            const hash = hmac.digest();
+            const expectedToken = this.calculateHOTP(secret, currentTime + i, digits);
             
-            const offset = hash[hash.length - 1] & 0xf;
-            const code = (hash.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
-            const expectedToken = code.toString().padStart(digits, '0');
-            
-            if (crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expectedToken))) {
-                return true;
+            if (crypto.timingSafeEqual(Buffer.from(normalizedToken), Buffer.from(expectedToken))) {
+                return currentTime + i;
             }
         }
         
-        return false;
+        return null;
+    }
+
+    /**
+     * 生成两步验证恢复码
+     * Generate 2FA Recovery Codes
+     */
+    generateRecoveryCodes(count = 10) {
+        const charset = 'abcdefghjkmnpqrstuvwxyz23456789';
+        const codes = [];
+        
+        for (let i = 0; i < count; i++) {
+            const raw = this.generateSecureRandomString(10, charset);
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+        
+        return codes;
+    }
+
+    /**
+     * 哈希令牌 (用于存储一次性令牌)
+     * Hash Token
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
     }
 
     /**
@@ -1,9 +1,24 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const ChatRoom = require('../models/ChatRoom');
 const ChatMessage = require('../models/ChatMessage');
 const User = require('../models/User');
 const CBTTokenService = require('./cbtTokenService');
+const ChatPresenceService = require('./chatPresenceService');
+const chatThreadService = require('./chatThreadService');
+const chatAttachmentService = require('./chatAttachmentService');
+const chatSearchService = require('./chatSearchService');
+const chatModerationService = require('./chatModerationService');
+const contentFilterService = require('./contentFilterService');
+const notificationService = require('./notificationService');
+const chatSchedulerService = require('./chatSchedulerService');
+const glossaryService = require('./glossaryService');
+const languageProviderRegistry = require('./languageProviderRegistry');
+const sessionService = require('./sessionService');
+
+// 内容过滤拦截时的错误提示，定时消息据此判断不再重试
+const CONTENT_BLOCKED_MESSAGE = '消息包含不允许发布的内容';
 
 class EnhancedChatService {
     constructor(server) {
@@ -16,17 +31,33 @@ class EnhancedChatService {
             transports: ['websocket', 'polling']
         });
         
-        this.connectedUsers = new Map(); // userId -> { socketId, userInfo, rooms }
-        this.roomConnections = new Map(); // roomId -> Set of userIds
-        this.typingUsers = new Map(); // roomId -> Set of userIds
+        // 在线用户、房间连接与输入状态（启用Redis适配器后在集群内共享）
+        this.presence = new ChatPresenceService({ namespace: 'chat' });
+        this.presence.attach(this.io);
         this.cbtTokenService = new CBTTokenService();
         
+        // 通知通过用户专属房间推送，离线时转为Web Push或邮件汇总
+        notificationService.attachSocket(this.io, userId => this.getUserRoom(userId));
+        chatModerationService.attachSocket(this.io, userId => this.getUserRoom(userId));
+        
         this.setupSocketHandlers();
         this.setupCleanupTasks();
         
         console.log('✅ 增强聊天服务已初始化');
     }
     
+    /**
+     * 不处理Socket连接、只复用消息发送流程的实例，用于应用启动时运行定时消息
+     * io 为应用已有的Socket.IO服务，消息通过它广播到聊天室
+     */
+    static createMessagePipeline(io, presence = new ChatPresenceService({ namespace: 'chat' })) {
+        const pipeline = Object.create(EnhancedChatService.prototype);
+        pipeline.io = io;
+        pipeline.presence = presence;
+        pipeline.cbtTokenService = new CBTTokenService();
+        return pipeline;
+    }
+    
     /**
      * 设置Socket处理器
      */
@@ -40,13 +71,23 @@ class EnhancedChatService {
                 }
                 
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
+                // 两步验证挑战等专用令牌和未绑定会话的令牌不能用于建立连接
+                if (decoded.purpose || !decoded.sid) {
+                    return next(new Error('Authentication error: Invalid token'));
+                }
                 const user = await User.findById(decoded.id).select('-password');
                 
                 if (!user) {
                     return next(new Error('Authentication error: User not found'));
                 }
                 
+                if (user.changedPasswordAfter(decoded.iat) ||
+                    !await sessionService.validateSession(decoded.sid, user._id)) {
+                    return next(new Error('Authentication error: Session revoked'));
+                }
+                
                 socket.userId = user._id.toString();
+                socket.userRole = user.role;
                 socket.userInfo = {
                     id: user._id,
                     username: user.username,
@@ -69,34 +110,36 @@ class EnhancedChatService {
     /**
      * 处理连接
      */
-    handleConnection(socket) {
+    async handleConnection(socket) {
         const userId = socket.userId;
         const userInfo = socket.userInfo;
         
         console.log(`用户连接: ${userInfo.username} (${userId})`);
         
-        // 记录连接用户
-        this.connectedUsers.set(userId, {
-            socketId: socket.id,
-            userInfo: userInfo,
-            rooms: new Set(),
-            lastActivity: new Date()
-        });
-        
         // 设置事件处理器
         this.setupSocketEvents(socket);
         
+        // 处理断开连接（disconnecting阶段仍可读取socket所在房间）
+        socket.on('disconnecting', () => {
+            this.handleDisconnection(socket);
+        });
+        
+        try {
+            // 加入用户专属房间，用于跨实例的提及通知
+            socket.join(this.getUserRoom(userId));
+            
+            // 记录连接用户
+            await this.presence.connect(userId, socket.id, userInfo);
+        } catch (error) {
+            console.error('记录在线状态失败:', error.message);
+        }
+        
         // 发送连接成功消息
         socket.emit('connected', {
             success: true,
             user: userInfo,
             timestamp: new Date()
         });
-        
-        // 处理断开连接
-        socket.on('disconnect', () => {
-            this.handleDisconnection(socket);
-        });
     }
     
     /**
@@ -117,9 +160,38 @@ class EnhancedChatService {
         
         // 发送消息
         socket.on('send_message', async (data) => {
+            // 文件和图片只能通过file_share分享已上传的附件
+            if (data && ['FILE', 'IMAGE'].includes(data.type)) {
+                socket.emit('error', { message: '请先上传文件再分享' });
+                return;
+            }
             await this.handleSendMessage(socket, data);
         });
         
+        // 话题回复
+        socket.on('thread_reply', async (data) => {
+            await this.handleThreadReply(socket, data);
+        });
+        
+        // 关注/取消关注话题
+        socket.on('follow_thread', async (data) => {
+            await this.handleFollowThread(socket, data);
+        });
+        
+        // 标记话题已读
+        socket.on('mark_thread_read', async (data) => {
+            await this.handleMarkThreadRead(socket, data);
+        });
+        
+        // 置顶/取消置顶消息
+        socket.on('pin_message', async (data) => {
+            await this.handlePinMessage(socket, { ...data, pinned: true });
+        });
+        
+        socket.on('unpin_message', async (data) => {
+            await this.handlePinMessage(socket, { ...data, pinned: false });
+        });
+        
         // 编辑消息
         socket.on('edit_message', async (data) => {
             await this.handleEditMessage(socket, data);
@@ -183,7 +255,7 @@ class EnhancedChatService {
         // 心跳
         socket.on('ping', () => {
             socket.emit('pong');
-            this.updateUserActivity(userId);
+            this.updateUserActivity(socket);
         });
     }
     
@@ -213,20 +285,16 @@ class EnhancedChatService {
                 return;
             }
             
+            if (chatRoom.isUserBanned(userId)) {
+                socket.emit('error', { message: '您已被该聊天室封禁' });
+                return;
+            }
+            
             // 加入Socket房间
             socket.join(roomId);
             
-            // 更新用户连接信息
-            const userConnection = this.connectedUsers.get(userId);
-            if (userConnection) {
-                userConnection.rooms.add(roomId);
-            }
-            
             // 更新房间连接信息
-            if (!this.roomConnections.has(roomId)) {
-                this.roomConnections.set(roomId, new Set());
-            }
-            this.roomConnections.get(roomId).add(userId);
+            await this.presence.joinRoom(roomId, userId);
             
             // 添加用户到聊天室参与者（如果不存在）
             const added = chatRoom.addParticipant(userId);
@@ -244,14 +312,13 @@ class EnhancedChatService {
                 timestamp: new Date()
             });
             
-            // 发送加入成功消息
+            // 发送加入成功消息（附带公告和置顶消息）
             socket.emit('room_joined', {
                 success: true,
                 room: chatRoom,
-                onlineUsers: Array.from(this.roomConnections.get(roomId) || []).map(id => {
-                    const connection = this.connectedUsers.get(id);
-                    return connection ? connection.userInfo : null;
-                }).filter(Boolean),
+                announcement: chatRoom.getActiveAnnouncement(),
+                pinnedMessages: await ChatMessage.getPinnedMessages(chatRoom),
+                onlineUsers: await this.presence.getUsers(await this.presence.getRoomMembers(roomId)),
                 timestamp: new Date()
             });
             
@@ -271,26 +338,14 @@ class EnhancedChatService {
             const { roomId } = data;
             const userId = socket.userId;
             
+            // 停止输入状态
+            await this.handleTypingStop(socket, { roomId });
+            
             // 离开Socket房间
             socket.leave(roomId);
             
-            // 更新用户连接信息
-            const userConnection = this.connectedUsers.get(userId);
-            if (userConnection) {
-                userConnection.rooms.delete(roomId);
-            }
-            
             // 更新房间连接信息
-            const roomConnections = this.roomConnections.get(roomId);
-            if (roomConnections) {
-                roomConnections.delete(userId);
-                if (roomConnections.size === 0) {
-                    this.roomConnections.delete(roomId);
-                }
-            }
-            
-            // 停止输入状态
-            this.handleTypingStop(socket, { roomId });
+            await this.presence.leaveRoom(roomId, userId);
             
             // 通知房间其他用户
             socket.to(roomId).emit('user_left', {
@@ -313,9 +368,9 @@ class EnhancedChatService {
     }
     
     /**
-     * 处理发送消息
+     * 处理发送消息（成功时返回消息）
      */
-    async handleSendMessage(socket, data) {
+    async handleSendMessage(socket, data, { messageId } = {}) {
         try {
             const { roomId, content, type = 'TEXT', replyTo, mentions } = data;
             const userId = socket.userId;
@@ -332,18 +387,32 @@ class EnhancedChatService {
                 return;
             }
             
+            if (chatRoom.isArchived()) {
+                socket.emit('error', { message: '聊天室已归档，只能查看' });
+                return;
+            }
+            
             // 检查用户是否可以发言
             if (!chatRoom.canUserPost(userId)) {
                 socket.emit('error', { message: '您已被禁言或封禁' });
                 return;
             }
             
+            // 内容过滤（原文）
+            const messageContent = this.processMessageContent(content, type);
+            const filterResult = this.filterContent(chatRoom, userId, messageContent);
+            if (filterResult.action === 'block') {
+                socket.emit('error', { message: CONTENT_BLOCKED_MESSAGE });
+                return;
+            }
+            
             // 创建消息
             const message = new ChatMessage({
+                _id: messageId,
                 chatRoom: roomId,
                 sender: userId,
                 type: type,
-                content: this.processMessageContent(content, type),
+                content: messageContent,
                 replyTo: replyTo,
                 mentions: mentions || [],
                 metadata: {
@@ -353,6 +422,7 @@ class EnhancedChatService {
                     ipAddress: socket.handshake.address
                 }
             });
+            message.applyContentFilter(filterResult);
             
             // 保存消息
             await message.save();
@@ -370,11 +440,18 @@ class EnhancedChatService {
             
             // 自动翻译（如果启用）
             if (chatRoom.settings.autoTranslation.enabled) {
-                await this.autoTranslateMessage(message, chatRoom.settings.autoTranslation.targetLanguages);
+                await this.autoTranslateMessage(message, chatRoom.settings.autoTranslation.targetLanguages, chatRoom);
+                
+                // 内容过滤（译文）
+                if (!await this.filterTranslations(socket, chatRoom, message)) {
+                    return;
+                }
             }
             
+            const shadowHidden = message.moderation.shadowHidden;
+            
             // 计算奖励
-            const reward = message.calculateReward();
+            const reward = shadowHidden ? 0 : message.calculateReward();
             if (reward > 0) {
                 await this.cbtTokenService.distributeReward(
                     userId,
@@ -384,25 +461,324 @@ class EnhancedChatService {
                 );
             }
             
-            // 广播消息到房间
-            this.io.to(roomId).emit('new_message', {
+            // 广播消息到房间（被过滤隐藏的消息只发回给发送者）
+            (shadowHidden ? socket : this.io.to(roomId)).emit('new_message', {
                 message: message,
                 timestamp: new Date()
             });
             
             // 处理提及通知
-            if (mentions && mentions.length > 0) {
-                await this.handleMentionNotifications(message, mentions);
+            if (!shadowHidden && mentions && mentions.length > 0) {
+                await this.handleMentionNotifications(message, mentions, chatRoom);
             }
             
             console.log(`消息发送成功: ${socket.userInfo.username} -> ${chatRoom.name}`);
             
+            return message;
+            
         } catch (error) {
             console.error('发送消息失败:', error.message);
             socket.emit('error', { message: '发送消息失败' });
         }
     }
     
+    /**
+     * 处理话题回复
+     */
+    async handleThreadReply(socket, data) {
+        try {
+            const { messageId, content, type = 'TEXT', mentions } = data;
+            const userId = socket.userId;
+            
+            if (!messageId || !content) {
+                socket.emit('error', { message: '话题消息ID和回复内容不能为空' });
+                return;
+            }
+            
+            const root = await chatThreadService.resolveRoot(messageId);
+            if (!root) {
+                socket.emit('error', { message: '话题不存在或已删除' });
+                return;
+            }
+            
+            const roomId = root.chatRoom.toString();
+            const chatRoom = await ChatRoom.findById(roomId);
+            if (!chatRoom) {
+                socket.emit('error', { message: '聊天室不存在' });
+                return;
+            }
+            
+            if (chatRoom.isArchived()) {
+                socket.emit('error', { message: '聊天室已归档，只能查看' });
+                return;
+            }
+            
+            // 检查用户是否可以发言
+            if (!chatRoom.canUserPost(userId)) {
+                socket.emit('error', { message: '您已被禁言或封禁' });
+                return;
+            }
+            
+            const replyContent = this.processMessageContent(content, type);
+            const filterResult = this.filterContent(chatRoom, userId, replyContent);
+            if (filterResult.action === 'block') {
+                socket.emit('error', { message: CONTENT_BLOCKED_MESSAGE });
+                return;
+            }
+            
+            const { reply, root: updatedRoot, followers } = await chatThreadService.createReply(root, {
+                sender: userId,
+                type,
+                content: replyContent,
+                mentions: mentions || [],
+                metadata: {
+                    clientId: data.clientId,
+                    platform: data.platform || 'WEB',
+                    userAgent: socket.handshake.headers['user-agent'],
+                    ipAddress: socket.handshake.address
+                }
+            });
+            
+            if (reply.applyContentFilter(filterResult)) {
+                await reply.save();
+            }
+            await reply.populate('sender', 'username avatar');
+            
+            // 更新聊天室统计
+            chatRoom.updateMessageStats(reply.content.text?.length || 0);
+            chatRoom.updateParticipantActivity(userId);
+            await chatRoom.save();
+            
+            // 被过滤隐藏的回复只发回给发送者
+            if (reply.moderation.shadowHidden) {
+                socket.emit('thread_reply', {
+                    threadId: updatedRoot._id,
+                    message: reply,
+                    timestamp: new Date()
+                });
+                return;
+            }
+            
+            // 计算奖励
+            const reward = reply.calculateReward();
+            if (reward > 0) {
+                await this.cbtTokenService.distributeReward(
+                    userId,
+                    'CHAT_PARTICIPATION',
+                    reward.toString(),
+                    '聊天参与奖励'
+                );
+            }
+            
+            // 广播话题回复及根消息的最新统计
+            this.io.to(roomId).emit('thread_reply', {
+                threadId: updatedRoot._id,
+                message: reply,
+                timestamp: new Date()
+            });
+            this.io.to(roomId).emit('thread_updated', {
+                threadId: updatedRoot._id,
+                threadStats: updatedRoot.threadStats,
+                timestamp: new Date()
+            });
+            
+            // 通知关注该话题的用户（已离开或被封禁的关注者不再接收回复内容）
+            for (const followerId of followers.filter(id => chatRoom.isActiveParticipant(id))) {
+                this.io.to(this.getUserRoom(followerId)).emit('thread_notification', {
+                    threadId: updatedRoot._id,
+                    roomId: roomId,
+                    message: reply,
+                    timestamp: new Date()
+                });
+                await notificationService.notify({
+                    user: followerId,
+                    type: 'REPLY',
+                    actor: userId,
+                    title: `${socket.userInfo.username} 回复了您关注的话题`,
+                    body: this.getNotificationPreview(reply),
+                    data: { chatRoom: roomId, thread: updatedRoot._id, message: reply._id }
+                });
+            }
+            
+            // 处理提及通知
+            if (mentions && mentions.length > 0) {
+                await this.handleMentionNotifications(reply, mentions, chatRoom);
+            }
+            
+        } catch (error) {
+            console.error('发送话题回复失败:', error.message);
+            socket.emit('error', { message: '发送话题回复失败' });
+        }
+    }
+    
+    /**
+     * 开始执行定时消息（在应用启动时调用）
+     * 定时消息与普通消息走同一发送流程（内容过滤、自动翻译、广播）
+     */
+    startScheduledMessages() {
+        chatSchedulerService.start(job => this.sendScheduledMessage(job));
+    }
+    
+    /**
+     * 发送定时消息，失败时抛出异常由调度服务重试
+     * 被内容过滤拦截的消息重试也不会通过，标记为不再重试并删除译文拦截时已保存的消息
+     */
+    async sendScheduledMessage(job) {
+        const sender = await User.findById(job.sender).select('username avatar');
+        if (!sender) {
+            throw new Error('发送者不存在');
+        }
+        
+        const errors = [];
+        const messageId = new mongoose.Types.ObjectId();
+        const message = await this.handleSendMessage(this.createScheduledSender(sender, errors), {
+            roomId: job.chatRoom.toString(),
+            content: { text: job.content.text },
+            type: 'TEXT',
+            clientId: `scheduled:${job._id}`
+        }, { messageId });
+        
+        if (!message) {
+            const error = new Error(errors[0] || '发送定时消息失败');
+            if (errors.includes(CONTENT_BLOCKED_MESSAGE)) {
+                await ChatMessage.deleteOne({ _id: messageId });
+                error.permanent = true;
+            }
+            throw error;
+        }
+        return message;
+    }
+    
+    /**
+     * 定时消息的发送上下文，提供handleSendMessage用到的socket属性，错误信息写入errors
+     */
+    createScheduledSender(user, errors) {
+        return {
+            userId: user._id.toString(),
+            userInfo: {
+                id: user._id,
+                username: user.username,
+                avatar: user.avatar
+            },
+            handshake: {
+                headers: { 'user-agent': 'chat-scheduler' },
+                address: null
+            },
+            emit(event, payload) {
+                if (event === 'error') {
+                    errors.push(payload.message);
+                }
+            }
+        };
+    }
+    
+    /**
+     * 处理置顶/取消置顶消息（聊天室创建者、管理员和版主）
+     */
+    async handlePinMessage(socket, data) {
+        try {
+            const { messageId, pinned } = data;
+            const userId = socket.userId;
+            
+            const message = await ChatMessage.findById(messageId);
+            if (!message || message.status === 'DELETED' || message.moderation.shadowHidden) {
+                socket.emit('error', { message: '消息不存在' });
+                return;
+            }
+            
+            const chatRoom = await ChatRoom.findById(message.chatRoom);
+            const user = await User.findById(userId).select('role roles');
+            if (!chatRoom || !user || !chatModerationService.canModerate(user, chatRoom)) {
+                socket.emit('error', { message: '没有权限置顶消息' });
+                return;
+            }
+            
+            if (pinned) {
+                const status = chatRoom.pinMessage(message._id, userId);
+                if (status === 'limit_reached') {
+                    socket.emit('error', { message: '置顶消息数量已达上限' });
+                    return;
+                }
+                if (status === 'already_pinned') {
+                    return;
+                }
+            } else if (!chatRoom.unpinMessage(message._id)) {
+                return;
+            }
+            await chatRoom.save();
+            
+            this.io.to(chatRoom._id.toString()).emit(pinned ? 'message_pinned' : 'message_unpinned', {
+                messageId: message._id,
+                pinnedBy: socket.userInfo,
+                timestamp: new Date()
+            });
+            
+        } catch (error) {
+            console.error('置顶消息失败:', error.message);
+            socket.emit('error', { message: '置顶消息失败' });
+        }
+    }
+    
+    /**
+     * 处理关注/取消关注话题
+     */
+    async handleFollowThread(socket, data) {
+        try {
+            const { messageId, follow = true } = data;
+            
+            const root = await chatThreadService.resolveRoot(messageId);
+            if (!root) {
+                socket.emit('error', { message: '话题不存在或已删除' });
+                return;
+            }
+            
+            // 只有聊天室的参与者可以关注话题，取消关注不受限制
+            if (follow) {
+                const chatRoom = await ChatRoom.findById(root.chatRoom);
+                if (!chatRoom || !chatRoom.isActiveParticipant(socket.userId)) {
+                    socket.emit('error', { message: '您不是该聊天室的成员' });
+                    return;
+                }
+            }
+            
+            const subscription = await chatThreadService.setFollowing(root, socket.userId, !!follow);
+            
+            socket.emit('thread_follow_updated', {
+                threadId: root._id,
+                following: subscription.following,
+                timestamp: new Date()
+            });
+            
+        } catch (error) {
+            console.error('更新话题关注失败:', error.message);
+            socket.emit('error', { message: '更新话题关注失败' });
+        }
+    }
+    
+    /**
+     * 处理标记话题已读
+     */
+    async handleMarkThreadRead(socket, data) {
+        try {
+            const { messageId } = data;
+            
+            if (!messageId) {
+                return;
+            }
+            
+            // 传入的可能是话题中的回复，订阅记录按根消息保存
+            const root = await chatThreadService.resolveRoot(messageId);
+            if (!root) {
+                return;
+            }
+            
+            await chatThreadService.markRead(root._id, socket.userId);
+            
+        } catch (error) {
+            console.error('标记话题已读失败:', error.message);
+        }
+    }
+    
     /**
      * 处理编辑消息
      */
@@ -429,16 +805,66 @@ class EnhancedChatService {
                 return;
             }
             
-            message.editContent(newContent);
+            if (typeof newContent !== 'string' || !newContent.trim()) {
+                socket.emit('error', { message: '消息内容不能为空' });
+                return;
+            }
+            
+            const chatRoom = await ChatRoom.findById(message.chatRoom);
+            if (!chatRoom) {
+                socket.emit('error', { message: '聊天室不存在' });
+                return;
+            }
+            
+            if (!chatRoom.canUserPost(userId)) {
+                socket.emit('error', { message: '您已被禁言或封禁' });
+                return;
+            }
+            
+            // 编辑后的内容与新消息走同样的过滤流程（原文）
+            const editedContent = { text: newContent };
+            const filterResult = this.filterContent(chatRoom, userId, editedContent);
+            if (filterResult.action === 'block') {
+                socket.emit('error', { message: CONTENT_BLOCKED_MESSAGE });
+                return;
+            }
+            
+            message.editContent(editedContent.text);
+            message.applyContentFilter(filterResult);
+            
+            // 旧译文对应编辑前的原文，清除后重新翻译并检查译文
+            message.translations = [];
             await message.save();
             
-            // 广播编辑事件
-            this.io.to(message.chatRoom.toString()).emit('message_edited', {
+            if (chatRoom.settings.autoTranslation.enabled) {
+                await this.autoTranslateMessage(message, chatRoom.settings.autoTranslation.targetLanguages, chatRoom);
+                
+                if (!await this.filterTranslations(socket, chatRoom, message)) {
+                    // 消息已因译文违规被删除，通知房间移除
+                    this.io.to(message.chatRoom.toString()).emit('message_deleted', {
+                        messageId: messageId,
+                        deletedBy: null,
+                        timestamp: new Date()
+                    });
+                    return;
+                }
+            }
+            
+            // 广播过滤后的内容；被过滤隐藏的消息只发回给发送者，其他成员移除编辑前已收到的消息
+            const roomId = message.chatRoom.toString();
+            const edited = {
                 messageId: messageId,
-                newContent: newContent,
+                newContent: message.content.text,
+                translations: message.translations,
                 editedAt: new Date(),
                 timestamp: new Date()
-            });
+            };
+            if (message.moderation.shadowHidden) {
+                socket.to(roomId).emit('message_deleted', { messageId: messageId, deletedBy: null, timestamp: new Date() });
+                socket.emit('message_edited', edited);
+            } else {
+                this.io.to(roomId).emit('message_edited', edited);
+            }
             
         } catch (error) {
             console.error('编辑消息失败:', error.message);
@@ -460,19 +886,26 @@ class EnhancedChatService {
                 return;
             }
             
-            // 检查权限（发送者或管理员）
             const chatRoom = await ChatRoom.findById(message.chatRoom);
-            const isSender = message.sender.toString() === userId;
-            const isModerator = chatRoom.moderators.some(m => m.user.toString() === userId);
-            const isCreator = chatRoom.creator.toString() === userId;
-            
-            if (!isSender && !isModerator && !isCreator) {
-                socket.emit('error', { message: '无权限删除此消息' });
+            if (!chatRoom) {
+                socket.emit('error', { message: '聊天室不存在' });
                 return;
             }
             
-            message.status = 'DELETED';
-            await message.save();
+            if (message.sender.toString() === userId) {
+                message.status = 'DELETED';
+                await message.save();
+            } else {
+                // 删除他人消息按审核操作处理：需要删除权限且等级高于发送者，并记录审核日志
+                const user = await User.findById(userId).select('role roles');
+                if (!user || !chatModerationService.canModerate(user, chatRoom, 'canDeleteMessages') ||
+                    !await chatModerationService.outranks(user, chatRoom, message.sender)) {
+                    socket.emit('error', { message: '无权限删除此消息' });
+                    return;
+                }
+                
+                await chatModerationService.moderateMessage(message, userId, 'DELETED');
+            }
             
             // 广播删除事件
             this.io.to(message.chatRoom.toString()).emit('message_deleted', {
@@ -577,11 +1010,7 @@ class EnhancedChatService {
             const { roomId } = data;
             const userId = socket.userId;
             
-            if (!this.typingUsers.has(roomId)) {
-                this.typingUsers.set(roomId, new Set());
-            }
-            
-            this.typingUsers.get(roomId).add(userId);
+            await this.presence.setTyping(roomId, userId);
             
             // 通知房间其他用户
             socket.to(roomId).emit('user_typing', {
@@ -590,10 +1019,10 @@ class EnhancedChatService {
                 timestamp: new Date()
             });
             
-            // 设置自动停止输入（10秒后）
+            // 设置自动停止输入（与输入状态的TTL一致）
             setTimeout(() => {
                 this.handleTypingStop(socket, { roomId });
-            }, 10000);
+            }, this.presence.typingTTL);
             
         } catch (error) {
             console.error('处理开始输入失败:', error.message);
@@ -608,13 +1037,9 @@ class EnhancedChatService {
             const { roomId } = data;
             const userId = socket.userId;
             
-            const typingUsers = this.typingUsers.get(roomId);
-            if (typingUsers) {
-                typingUsers.delete(userId);
-                
-                if (typingUsers.size === 0) {
-                    this.typingUsers.delete(roomId);
-                }
+            // 未处于输入状态时不重复通知
+            if (!await this.presence.clearTyping(roomId, userId)) {
+                return;
             }
             
             // 通知房间其他用户
@@ -656,22 +1081,48 @@ class EnhancedChatService {
     }
     
     /**
-     * 处理文件分享
+     * 处理文件分享（附件需先通过 POST /api/v1/chat/rooms/:id/attachments 上传）
      */
     async handleFileShare(socket, data) {
         try {
-            const { roomId, fileUrl, fileName, fileSize, fileType } = data;
+            const { roomId, attachmentId } = data;
             
-            await this.handleSendMessage(socket, {
+            if (!roomId || !attachmentId) {
+                socket.emit('error', { message: '请先上传文件' });
+                return;
+            }
+            
+            // 先占用附件，避免同一附件被重复分享
+            const messageId = new ChatMessage()._id;
+            const attachment = await chatAttachmentService.claimForMessage(attachmentId, {
+                chatRoom: roomId,
+                uploader: socket.userId,
+                message: messageId
+            });
+            
+            if (!attachment) {
+                socket.emit('error', { message: '附件不存在或已分享' });
+                return;
+            }
+            
+            const fileUrl = `/api/v1/chat/attachments/${attachment._id}`;
+            const message = await this.handleSendMessage(socket, {
                 roomId: roomId,
                 content: {
+                    attachment: attachment._id,
+                    imageUrl: attachment.isImage ? fileUrl : undefined,
                     fileUrl: fileUrl,
-                    fileName: fileName,
-                    fileSize: fileSize,
-                    fileType: fileType
+                    fileName: attachment.originalName,
+                    fileSize: attachment.size,
+                    fileType: attachment.mimeType
                 },
-                type: 'FILE'
-            });
+                type: attachment.isImage ? 'IMAGE' : 'FILE'
+            }, { messageId });
+            
+            // 发送失败时释放附件，允许重新分享
+            if (!message) {
+                await chatAttachmentService.releaseFromMessage(attachment._id, messageId);
+            }
             
         } catch (error) {
             console.error('处理文件分享失败:', error.message);
@@ -686,7 +1137,7 @@ class EnhancedChatService {
         try {
             const { roomId, before, limit = 50 } = data;
             
-            const messages = await ChatMessage.getRecentMessages(roomId, limit, before);
+            const messages = await ChatMessage.getRecentMessages(roomId, limit, before, socket.userId);
             
             socket.emit('chat_history', {
                 messages: messages,
@@ -705,12 +1156,26 @@ class EnhancedChatService {
      */
     async handleSearchMessages(socket, data) {
         try {
-            const { roomId, searchText, limit = 20 } = data;
+            const { roomId, searchText, limit = 20, cursor } = data;
+            
+            // 只能搜索自己参与的聊天室
+            const result = await chatSearchService.searchForUser(socket.userId, {
+                q: searchText,
+                room: roomId,
+                limit,
+                cursor
+            });
             
-            const messages = await ChatMessage.searchMessages(roomId, searchText, limit);
+            if (result.status !== 'ok') {
+                socket.emit('error', { message: '搜索条件无效' });
+                return;
+            }
             
             socket.emit('search_results', {
-                messages: messages,
+                messages: result.results.map(item => item.message),
+                results: result.results,
+                nextCursor: result.nextCursor,
+                hasMore: result.hasMore,
                 searchText: searchText,
                 timestamp: new Date()
             });
@@ -735,8 +1200,14 @@ class EnhancedChatService {
                 return;
             }
             
-            message.reportMessage(userId, reason, description);
-            await message.save();
+            const status = await chatModerationService.reportMessage(message, userId, { reason, description });
+            
+            if (status === 'own_message' || status === 'already_reported') {
+                socket.emit('error', {
+                    message: status === 'own_message' ? '不能举报自己的消息' : '您已举报过该消息'
+                });
+                return;
+            }
             
             socket.emit('message_reported', {
                 success: true,
@@ -744,8 +1215,13 @@ class EnhancedChatService {
                 timestamp: new Date()
             });
             
-            // 通知管理员（如果需要）
-            // this.notifyModerators(message.chatRoom, message);
+            // 举报数达到阈值，从聊天室中隐藏
+            if (status === 'auto_hidden') {
+                this.io.to(message.chatRoom.toString()).emit('message_hidden', {
+                    messageId: messageId,
+                    timestamp: new Date()
+                });
+            }
             
         } catch (error) {
             console.error('举报消息失败:', error.message);
@@ -761,14 +1237,14 @@ class EnhancedChatService {
             const { status } = data; // online, away, busy, invisible
             const userId = socket.userId;
             
-            const userConnection = this.connectedUsers.get(userId);
-            if (userConnection) {
-                userConnection.userInfo.status = status;
+            const onlineUser = await this.presence.updateUser(userId, { status });
+            if (onlineUser) {
+                socket.userInfo.status = status;
                 
                 // 广播状态更新到所有相关房间
-                for (const roomId of userConnection.rooms) {
+                for (const roomId of this.getChatRooms(socket)) {
                     socket.to(roomId).emit('user_status_updated', {
-                        user: userConnection.userInfo,
+                        user: onlineUser,
                         timestamp: new Date()
                     });
                 }
@@ -782,43 +1258,81 @@ class EnhancedChatService {
     /**
      * 处理断开连接
      */
-    handleDisconnection(socket) {
+    async handleDisconnection(socket) {
         const userId = socket.userId;
         const userInfo = socket.userInfo;
+        const rooms = this.getChatRooms(socket);
         
         console.log(`用户断开连接: ${userInfo.username} (${userId})`);
         
-        // 清理用户连接信息
-        const userConnection = this.connectedUsers.get(userId);
-        if (userConnection) {
-            // 通知所有相关房间用户离线
-            for (const roomId of userConnection.rooms) {
+        try {
+            // 清理用户连接信息（其他设备仍在线时保留）
+            if (!await this.presence.disconnect(userId, socket.id)) {
+                return;
+            }
+            
+            // 通知所有相关房间用户离线，并清理房间连接和输入状态
+            for (const roomId of rooms) {
                 socket.to(roomId).emit('user_offline', {
                     user: userInfo,
                     timestamp: new Date()
                 });
                 
-                // 清理房间连接信息
-                const roomConnections = this.roomConnections.get(roomId);
-                if (roomConnections) {
-                    roomConnections.delete(userId);
-                    if (roomConnections.size === 0) {
-                        this.roomConnections.delete(roomId);
-                    }
-                }
-                
-                // 清理输入状态
-                const typingUsers = this.typingUsers.get(roomId);
-                if (typingUsers) {
-                    typingUsers.delete(userId);
-                    if (typingUsers.size === 0) {
-                        this.typingUsers.delete(roomId);
-                    }
-                }
+                await this.presence.leaveRoom(roomId, userId);
             }
-            
-            this.connectedUsers.delete(userId);
+        } catch (error) {
+            console.error('清理在线状态失败:', error.message);
+        }
+    }
+    
+    /**
+     * 按聊天室的过滤策略检查消息原文，命中mask规则时直接替换content.text
+     */
+    filterContent(chatRoom, userId, content) {
+        const result = contentFilterService.evaluate(
+            { text: content.text },
+            { policy: chatRoom.settings.contentFilter, userId, scope: chatRoom._id.toString() }
+        );
+        
+        if (typeof content.text === 'string') {
+            content.text = result.text;
         }
+        
+        return result;
+    }
+    
+    /**
+     * 检查自动翻译后的译文（违规内容可能藏在版主不懂的语言中）
+     * 命中block时删除消息并返回false
+     */
+    async filterTranslations(socket, chatRoom, message) {
+        if (message.translations.length === 0) {
+            return true;
+        }
+        
+        const result = contentFilterService.evaluate(
+            { translations: message.translations.map(({ language, text }) => ({ language, text })) },
+            { policy: chatRoom.settings.contentFilter }
+        );
+        if (result.action === 'allow') {
+            return true;
+        }
+        
+        message.applyContentFilter(result);
+        
+        if (result.action === 'block') {
+            message.moderateMessage(null, 'DELETED', '译文包含不允许发布的内容');
+            await message.save();
+            socket.emit('error', { message: CONTENT_BLOCKED_MESSAGE });
+            return false;
+        }
+        
+        result.translations.forEach((translation, index) => {
+            message.translations[index].text = translation.text;
+        });
+        await message.save();
+        
+        return true;
     }
     
     /**
@@ -838,10 +1352,15 @@ class EnhancedChatService {
             };
         } else if (type === 'IMAGE') {
             return {
-                imageUrl: content.imageUrl
+                attachment: content.attachment,
+                imageUrl: content.imageUrl,
+                fileName: content.fileName,
+                fileSize: content.fileSize,
+                fileType: content.fileType
             };
         } else if (type === 'FILE') {
             return {
+                attachment: content.attachment,
                 fileUrl: content.fileUrl,
                 fileName: content.fileName,
                 fileSize: content.fileSize,
@@ -852,15 +1371,40 @@ class EnhancedChatService {
         return content;
     }
     
-    async autoTranslateMessage(message, targetLanguages) {
+    /**
+     * 自动翻译消息，发送者的个人术语表、聊天室和所属社区的术语表均生效
+     */
+    async autoTranslateMessage(message, targetLanguages, chatRoom) {
         try {
-            // 这里应该调用翻译服务
-            // 暂时使用模拟翻译
+            const sourceLanguage = message.content.detectedLanguage || 'auto';
+            
             for (const language of targetLanguages) {
-                if (language !== message.content.detectedLanguage) {
-                    const translatedText = `[翻译到${language}] ${message.content.text}`;
-                    message.addTranslation(language, translatedText, 0.9);
+                if (language === sourceLanguage) {
+                    continue;
                 }
+                
+                const entries = await glossaryService.resolveEntries({
+                    userId: message.sender._id || message.sender,
+                    chatRoomId: chatRoom && chatRoom._id,
+                    communityId: chatRoom && chatRoom.community
+                }, sourceLanguage, language);
+                
+                let confidence = 0.9;
+                const { text, glossary } = await glossaryService.translateWithEntries(
+                    message.content.text,
+                    entries,
+                    async (protectedText) => {
+                        const translation = await languageProviderRegistry.translate(protectedText, sourceLanguage, language);
+                        confidence = translation.confidence || confidence;
+                        return translation.text;
+                    }
+                );
+                
+                message.addTranslation(language, text, confidence, glossary.applied.map(item => ({
+                    glossary: item.glossary,
+                    source: item.source,
+                    target: item.target
+                })));
             }
             
             await message.save();
@@ -869,69 +1413,95 @@ class EnhancedChatService {
         }
     }
     
-    async handleMentionNotifications(message, mentions) {
+    async handleMentionNotifications(message, mentions, chatRoom) {
         try {
-            for (const mention of mentions) {
-                const mentionedUser = this.connectedUsers.get(mention.user.toString());
-                if (mentionedUser) {
-                    this.io.to(mentionedUser.socketId).emit('mentioned', {
+            const sender = message.sender;
+            // 只提醒当前仍在聊天室中的成员，避免把消息内容推送给非成员
+            for (const mention of mentions.filter(mention => chatRoom.isActiveParticipant(mention.user))) {
+                const mentionedUserId = mention.user.toString();
+                if (await this.presence.getUser(mentionedUserId)) {
+                    this.io.to(this.getUserRoom(mentionedUserId)).emit('mentioned', {
                         message: message,
                         mentionedBy: message.sender,
                         timestamp: new Date()
                     });
                 }
+                
+                // 离线用户通过Web Push或邮件汇总收到提醒
+                await notificationService.notify({
+                    user: mentionedUserId,
+                    type: 'MENTION',
+                    actor: sender._id || sender,
+                    title: `${sender.username || '有人'} 在聊天中提到了您`,
+                    body: this.getNotificationPreview(message),
+                    data: {
+                        chatRoom: message.chatRoom,
+                        thread: message.threadRoot,
+                        message: message._id
+                    }
+                });
             }
         } catch (error) {
             console.error('处理提及通知失败:', error.message);
         }
     }
     
-    updateUserActivity(userId) {
-        const userConnection = this.connectedUsers.get(userId);
-        if (userConnection) {
-            userConnection.lastActivity = new Date();
+    /**
+     * 通知中显示的消息摘要
+     */
+    getNotificationPreview(message) {
+        const text = message.content.text || '';
+        return text.length > 100 ? `${text.slice(0, 100)}…` : text;
+    }
+    
+    async updateUserActivity(socket) {
+        try {
+            await this.presence.heartbeat(socket.userId, this.getChatRooms(socket));
+        } catch (error) {
+            console.error('更新在线状态失败:', error.message);
         }
     }
     
+    getUserRoom(userId) {
+        return `user:${userId}`;
+    }
+    
     /**
-     * 设置清理任务
+     * socket所在的聊天室（排除socket自身房间和用户专属房间）
      */
-    setupCleanupTasks() {
-        // 每5分钟清理不活跃的连接
-        setInterval(() => {
-            this.cleanupInactiveConnections();
-        }, 5 * 60 * 1000);
-        
-        // 每小时清理输入状态
-        setInterval(() => {
-            this.cleanupTypingStates();
-        }, 60 * 60 * 1000);
+    getChatRooms(socket) {
+        return Array.from(socket.rooms).filter(roomId =>
+            roomId !== socket.id && roomId !== this.getUserRoom(socket.userId)
+        );
     }
     
-    cleanupInactiveConnections() {
-        const inactiveThreshold = 30 * 60 * 1000; // 30分钟
-        const now = new Date();
-        
-        for (const [userId, connection] of this.connectedUsers.entries()) {
-            if (now - connection.lastActivity > inactiveThreshold) {
-                console.log(`清理不活跃连接: ${connection.userInfo.username}`);
-                this.connectedUsers.delete(userId);
+    /**
+     * 设置清理任务
+     * 断线或实例宕机留下的在线、输入状态依赖TTL过期，这里只需为本实例的连接续期
+     */
+    setupCleanupTasks() {
+        this.heartbeatTimer = setInterval(async () => {
+            for (const socket of this.io.of('/').sockets.values()) {
+                await this.updateUserActivity(socket);
             }
-        }
-    }
-    
-    cleanupTypingStates() {
-        this.typingUsers.clear();
+        }, this.presence.heartbeatInterval);
+        this.heartbeatTimer.unref();
     }
     
     /**
-     * 获取在线用户统计
+     * 获取在线用户统计（集群范围）
      */
-    getOnlineStats() {
+    async getOnlineStats() {
+        const rooms = await this.presence.getRooms();
+        let typingUsers = 0;
+        for (const { roomId } of rooms) {
+            typingUsers += (await this.presence.getTypingUsers(roomId)).length;
+        }
+        
         return {
-            totalConnections: this.connectedUsers.size,
-            activeRooms: this.roomConnections.size,
-            typingUsers: Array.from(this.typingUsers.values()).reduce((sum, set) => sum + set.size, 0)
+            totalConnections: await this.presence.getOnlineUserCount(),
+            activeRooms: rooms.length,
+            typingUsers
         };
     }
     
@@ -960,7 +1530,9 @@ class EnhancedChatService {
             await new Promise(resolve => setTimeout(resolve, 2000));
             
             // 关闭Socket.IO服务器
+            clearInterval(this.heartbeatTimer);
             this.io.close();
+            await this.presence.close();
             
             console.log('✅ 聊天服务已关闭');
         } catch (error) {
@@ -3,6 +3,11 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const EnhancedBlockchainService = require('./enhancedBlockchainService');
 const EnhancedTranslationService = require('./enhancedTranslationService');
+const ChatPresenceService = require('./chatPresenceService');
+const notificationService = require('./notificationService');
+const sessionService = require('./sessionService');
+const e2eKeyService = require('./e2eKeyService');
+const Message = require('../models/Message');
 
 /**
  * 增强版WebSocket服务
@@ -24,10 +29,10 @@ class EnhancedSocketService {
         this.blockchainService = new EnhancedBlockchainService();
         this.translationService = new EnhancedTranslationService();
         
-        // 在线用户管理
-        this.onlineUsers = new Map();
-        this.userRooms = new Map();
-        this.roomUsers = new Map();
+        // 在线用户、房间成员与发言频率（启用Redis适配器后在集群内共享）
+        this.presence = new ChatPresenceService({ namespace: 'socket' });
+        this.presence.attach(this.io);
+        notificationService.attachSocket(this.io, userId => this.getUserRoom(userId));
         
         // 聊天室配置
         this.roomConfig = {
@@ -48,6 +53,10 @@ class EnhancedSocketService {
         // 初始化事件监听
         this.initializeEventHandlers();
         
+        // 定期为本实例上的连接续期在线状态
+        this.heartbeatTimer = setInterval(() => this.refreshPresence(), this.presence.heartbeatInterval);
+        this.heartbeatTimer.unref();
+        
         console.log('🔌 增强版WebSocket服务已启动');
     }
 
@@ -66,6 +75,9 @@ class EnhancedSocketService {
                 
                 // 验证JWT token
                 const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+                if (decoded.purpose || !decoded.sid) {
+                    return next(new Error('认证失败'));
+                }
                 
                 // 获取用户信息
                 const user = await User.findById(decoded.id).select('-password');
@@ -77,6 +89,11 @@ class EnhancedSocketService {
                     return next(new Error('账户已被禁用'));
                 }
                 
+                if (user.changedPasswordAfter(decoded.iat) ||
+                    !await sessionService.validateSession(decoded.sid, user._id)) {
+                    return next(new Error('会话已失效，请重新登录'));
+                }
+                
                 // 将用户信息附加到socket
                 socket.user = user;
                 next();
@@ -96,46 +113,54 @@ class EnhancedSocketService {
     /**
      * 处理用户连接
      */
-    handleConnection(socket) {
+    async handleConnection(socket) {
         const user = socket.user;
         console.log(`👤 用户连接: ${user.username} (${socket.id})`);
-        
-        // 添加到在线用户列表
-        this.onlineUsers.set(user._id.toString(), {
-            socketId: socket.id,
-            user: user,
-            joinedAt: new Date(),
-            lastActivity: new Date()
-        });
-        
-        // 更新用户活动时间
-        user.updateActivity();
-        
-        // 发送欢迎消息
-        socket.emit('welcome', {
-            message: '欢迎来到CultureBridge！',
-            user: {
-                id: user._id,
-                username: user.username,
-                level: user.tokenStats.level,
-                balance: user.tokenStats.currentBalance
-            },
-            onlineCount: this.onlineUsers.size
-        });
-        
-        // 广播用户上线
-        socket.broadcast.emit('user_online', {
-            userId: user._id,
-            username: user.username
-        });
 
         // 注册事件处理器
         this.registerEventHandlers(socket);
         
-        // 断开连接处理
-        socket.on('disconnect', () => {
+        // 断开连接处理（disconnecting阶段仍可读取socket所在房间）
+        socket.on('disconnecting', () => {
             this.handleDisconnection(socket);
         });
+        
+        try {
+            // 加入用户专属房间，用于跨实例私聊和多设备推送
+            socket.join(this.getUserRoom(user._id));
+            
+            // 添加到在线用户列表
+            const cameOnline = await this.presence.connect(user._id, socket.id, {
+                username: user.username,
+                level: user.tokenStats.level,
+                joinedAt: new Date().toISOString()
+            });
+            
+            // 更新用户活动时间
+            user.updateActivity();
+            
+            // 发送欢迎消息
+            socket.emit('welcome', {
+                message: '欢迎来到CultureBridge！',
+                user: {
+                    id: user._id,
+                    username: user.username,
+                    level: user.tokenStats.level,
+                    balance: user.tokenStats.currentBalance
+                },
+                onlineCount: await this.presence.getOnlineUserCount()
+            });
+            
+            // 广播用户上线（其他设备已在线时不重复广播）
+            if (cameOnline) {
+                socket.broadcast.emit('user_online', {
+                    userId: user._id,
+                    username: user.username
+                });
+            }
+        } catch (error) {
+            console.error('记录在线状态失败:', error);
+        }
     }
 
     /**
@@ -169,7 +194,7 @@ class EnhancedSocketService {
         // 心跳检测
         socket.on('ping', () => {
             socket.emit('pong');
-            this.updateUserActivity(socket.user._id);
+            this.updateUserActivity(socket);
         });
         
         // 获取在线用户列表
@@ -191,22 +216,17 @@ class EnhancedSocketService {
                 return socket.emit('error', { message: '房间ID不能为空' });
             }
             
-            // 检查房间是否存在，不存在则创建
-            if (!this.roomUsers.has(roomId)) {
-                this.roomUsers.set(roomId, new Set());
-            }
-            
-            const roomUsers = this.roomUsers.get(roomId);
+            const roomUsers = await this.presence.getRoomMembers(roomId);
             
             // 检查房间人数限制
-            if (roomUsers.size >= this.roomConfig.maxUsers) {
+            if (!roomUsers.includes(user._id.toString()) && roomUsers.length >= this.roomConfig.maxUsers) {
                 return socket.emit('error', { message: '房间人数已满' });
             }
             
             // 加入房间
             socket.join(roomId);
-            roomUsers.add(user._id.toString());
-            this.userRooms.set(user._id.toString(), roomId);
+            await this.presence.joinRoom(roomId, user._id);
+            const members = await this.presence.getRoomMembers(roomId);
             
             // 通知房间内其他用户
             socket.to(roomId).emit('user_joined', {
@@ -220,15 +240,12 @@ class EnhancedSocketService {
             socket.emit('room_joined', {
                 roomId: roomId,
                 roomType: roomType,
-                userCount: roomUsers.size,
-                users: Array.from(roomUsers).map(userId => {
-                    const onlineUser = this.onlineUsers.get(userId);
-                    return onlineUser ? {
-                        id: onlineUser.user._id,
-                        username: onlineUser.user.username,
-                        level: onlineUser.user.tokenStats.level
-                    } : null;
-                }).filter(Boolean)
+                userCount: members.length,
+                users: (await this.presence.getUsers(members)).map(onlineUser => ({
+                    id: onlineUser.id,
+                    username: onlineUser.username,
+                    level: onlineUser.level
+                }))
             });
             
             console.log(`🏠 用户 ${user.username} 加入房间 ${roomId}`);
@@ -242,7 +259,7 @@ class EnhancedSocketService {
     /**
      * 处理离开聊天室
      */
-    handleLeaveRoom(socket, data) {
+    async handleLeaveRoom(socket, data) {
         try {
             const { roomId } = data;
             const user = socket.user;
@@ -253,18 +270,7 @@ class EnhancedSocketService {
             
             // 离开房间
             socket.leave(roomId);
-            
-            const roomUsers = this.roomUsers.get(roomId);
-            if (roomUsers) {
-                roomUsers.delete(user._id.toString());
-                
-                // 如果房间为空，删除房间
-                if (roomUsers.size === 0) {
-                    this.roomUsers.delete(roomId);
-                }
-            }
-            
-            this.userRooms.delete(user._id.toString());
+            await this.presence.leaveRoom(roomId, user._id);
             
             // 通知房间内其他用户
             socket.to(roomId).emit('user_left', {
@@ -301,13 +307,12 @@ class EnhancedSocketService {
             }
             
             // 检查用户是否在房间内
-            const userRoom = this.userRooms.get(user._id.toString());
-            if (userRoom !== roomId) {
+            if (!socket.rooms.has(roomId)) {
                 return socket.emit('error', { message: '您不在该房间内' });
             }
             
             // 检查消息频率限制
-            if (!this.checkMessageRateLimit(user._id)) {
+            if (!await this.checkMessageRateLimit(user._id)) {
                 return socket.emit('error', { message: '发送消息过于频繁' });
             }
             
@@ -370,8 +375,7 @@ class EnhancedSocketService {
             }
             
             // 检查用户是否在房间内
-            const userRoom = this.userRooms.get(user._id.toString());
-            if (userRoom !== roomId) {
+            if (!socket.rooms.has(roomId)) {
                 return socket.emit('error', { message: '您不在该房间内' });
             }
             
@@ -524,19 +528,16 @@ class EnhancedSocketService {
      */
     async handlePrivateMessage(socket, data) {
         try {
-            const { targetUserId, content } = data;
+            const { targetUserId, content, encryption } = data;
             const user = socket.user;
             
             // 验证输入
-            if (!targetUserId || !content) {
+            if (!targetUserId || (!content && !encryption)) {
                 return socket.emit('error', { message: '私聊参数不完整' });
             }
             
-            // 检查目标用户是否在线
-            const targetUser = this.onlineUsers.get(targetUserId);
-            if (!targetUser) {
-                return socket.emit('error', { message: '目标用户不在线' });
-            }
+            // 检查目标用户是否在线（集群内任一实例）
+            const targetUser = await this.presence.getUser(targetUserId);
             
             // 创建私聊消息
             const privateMessage = {
@@ -549,13 +550,58 @@ class EnhancedSocketService {
                 timestamp: new Date()
             };
             
+            // 端到端加密私信：服务器只保存和转发密文，离线设备上线后从消息接口获取
+            if (encryption) {
+                const result = await e2eKeyService.validateEncryption(user._id, targetUserId, encryption);
+                if (result.status !== 'ok') {
+                    return socket.emit('private_message_rejected', {
+                        reason: result.status,
+                        missingDevices: result.missingDevices
+                    });
+                }
+                
+                const message = await Message.create({
+                    sender: user._id,
+                    receiver: targetUserId,
+                    encrypted: true,
+                    encryption: result.encryption
+                });
+                
+                Object.assign(privateMessage, {
+                    id: message._id,
+                    content: undefined,
+                    encrypted: true,
+                    encryption: result.encryption,
+                    timestamp: message.createdAt
+                });
+                
+                // 发送者的其他设备同步这条消息
+                socket.to(this.getUserRoom(user._id)).emit('private_message', privateMessage);
+            }
+            
             // 发送给目标用户
-            this.io.to(targetUser.socketId).emit('private_message', privateMessage);
+            if (targetUser) {
+                this.io.to(this.getUserRoom(targetUserId)).emit('private_message', privateMessage);
+            }
+            
+            // 记入收件人的通知信箱，离线时通过Web Push或邮件汇总提醒（加密私信不含内容预览）
+            const notification = await notificationService.notify({
+                user: targetUserId,
+                type: 'DIRECT_MESSAGE',
+                actor: user._id,
+                title: `${user.username} 给您发来私信`,
+                body: privateMessage.encrypted ? '[加密消息]' : (typeof content === 'string' ? content.slice(0, 200) : ''),
+                data: { messageId: privateMessage.id, from: user._id, encrypted: Boolean(privateMessage.encrypted) }
+            });
+            
+            if (!targetUser && !notification && !privateMessage.encrypted) {
+                return socket.emit('error', { message: '目标用户不在线' });
+            }
             
             // 确认发送给发送者
-            socket.emit('private_message_sent', privateMessage);
+            socket.emit('private_message_sent', { ...privateMessage, delivered: Boolean(targetUser) });
             
-            console.log(`💌 私聊消息: ${user.username} -> ${targetUser.user.username}`);
+            console.log(`💌 私聊消息: ${user.username} -> ${targetUserId}`);
             
         } catch (error) {
             console.error('发送私聊消息失败:', error);
@@ -566,17 +612,12 @@ class EnhancedSocketService {
     /**
      * 处理用户状态更新
      */
-    handleUpdateStatus(socket, data) {
+    async handleUpdateStatus(socket, data) {
         try {
             const { status, customMessage } = data;
             const user = socket.user;
             
-            const onlineUser = this.onlineUsers.get(user._id.toString());
-            if (onlineUser) {
-                onlineUser.status = status;
-                onlineUser.customMessage = customMessage;
-                onlineUser.lastActivity = new Date();
-            }
+            await this.presence.updateUser(user._id, { status, customMessage });
             
             // 广播状态更新
             socket.broadcast.emit('user_status_updated', {
@@ -595,12 +636,12 @@ class EnhancedSocketService {
     /**
      * 处理获取在线用户列表
      */
-    handleGetOnlineUsers(socket) {
+    async handleGetOnlineUsers(socket) {
         try {
-            const onlineUsersList = Array.from(this.onlineUsers.values()).map(onlineUser => ({
-                id: onlineUser.user._id,
-                username: onlineUser.user.username,
-                level: onlineUser.user.tokenStats.level,
+            const onlineUsersList = (await this.presence.getOnlineUsers()).map(onlineUser => ({
+                id: onlineUser.id,
+                username: onlineUser.username,
+                level: onlineUser.level,
                 status: onlineUser.status || 'online',
                 customMessage: onlineUser.customMessage,
                 joinedAt: onlineUser.joinedAt
@@ -620,12 +661,12 @@ class EnhancedSocketService {
     /**
      * 处理获取聊天室列表
      */
-    handleGetRooms(socket) {
+    async handleGetRooms(socket) {
         try {
-            const roomsList = Array.from(this.roomUsers.entries()).map(([roomId, users]) => ({
+            const roomsList = (await this.presence.getRooms()).map(({ roomId, userCount }) => ({
                 id: roomId,
                 name: `房间 ${roomId}`,
-                userCount: users.size,
+                userCount,
                 maxUsers: this.roomConfig.maxUsers,
                 type: 'public'
             }));
@@ -644,61 +685,84 @@ class EnhancedSocketService {
     /**
      * 处理用户断开连接
      */
-    handleDisconnection(socket) {
+    async handleDisconnection(socket) {
         const user = socket.user;
+        const rooms = this.getChatRooms(socket);
         console.log(`👋 用户断开连接: ${user.username} (${socket.id})`);
         
-        // 从在线用户列表移除
-        this.onlineUsers.delete(user._id.toString());
-        
-        // 从聊天室移除
-        const userRoom = this.userRooms.get(user._id.toString());
-        if (userRoom) {
-            const roomUsers = this.roomUsers.get(userRoom);
-            if (roomUsers) {
-                roomUsers.delete(user._id.toString());
-                
-                // 通知房间内其他用户
-                socket.to(userRoom).emit('user_left', {
+        try {
+            // 从在线用户列表移除（其他设备仍在线时保留）
+            const wentOffline = await this.presence.disconnect(user._id, socket.id);
+            if (!wentOffline) {
+                return;
+            }
+            
+            // 从聊天室移除并通知房间内其他用户
+            for (const roomId of rooms) {
+                await this.presence.leaveRoom(roomId, user._id);
+                socket.to(roomId).emit('user_left', {
                     userId: user._id,
                     username: user.username,
                     leftAt: new Date()
                 });
-                
-                // 如果房间为空，删除房间
-                if (roomUsers.size === 0) {
-                    this.roomUsers.delete(userRoom);
-                }
             }
             
-            this.userRooms.delete(user._id.toString());
+            // 广播用户下线
+            socket.broadcast.emit('user_offline', {
+                userId: user._id,
+                username: user.username
+            });
+        } catch (error) {
+            console.error('清理在线状态失败:', error);
         }
-        
-        // 广播用户下线
-        socket.broadcast.emit('user_offline', {
-            userId: user._id,
-            username: user.username
-        });
     }
 
     /**
-     * 检查消息频率限制
+     * 检查消息频率限制（计数在集群内共享）
      */
-    checkMessageRateLimit(userId) {
-        // 简化实现，实际应该使用更复杂的频率限制算法
-        return true;
+    async checkMessageRateLimit(userId) {
+        return this.presence.consumeRateLimit(userId, {
+            windowMs: 60 * 1000,
+            max: this.roomConfig.messageRateLimit
+        });
     }
 
     /**
      * 更新用户活动时间
      */
-    updateUserActivity(userId) {
-        const onlineUser = this.onlineUsers.get(userId.toString());
-        if (onlineUser) {
-            onlineUser.lastActivity = new Date();
+    async updateUserActivity(socket) {
+        try {
+            await this.presence.heartbeat(socket.user._id, this.getChatRooms(socket));
+        } catch (error) {
+            console.error('更新在线状态失败:', error);
+        }
+    }
+
+    /**
+     * 为本实例上的所有连接续期在线状态
+     */
+    async refreshPresence() {
+        for (const socket of this.io.of('/').sockets.values()) {
+            await this.updateUserActivity(socket);
         }
     }
 
+    /**
+     * 用户专属房间名
+     */
+    getUserRoom(userId) {
+        return `user:${userId}`;
+    }
+
+    /**
+     * socket所在的聊天室（排除socket自身房间和用户专属房间）
+     */
+    getChatRooms(socket) {
+        return Array.from(socket.rooms).filter(roomId =>
+            roomId !== socket.id && roomId !== this.getUserRoom(socket.user._id)
+        );
+    }
+
     /**
      * 生成消息ID
      */
@@ -707,17 +771,17 @@ class EnhancedSocketService {
     }
 
     /**
-     * 获取在线用户数量
+     * 获取在线用户数量（集群范围）
      */
-    getOnlineUserCount() {
-        return this.onlineUsers.size;
+    async getOnlineUserCount() {
+        return this.presence.getOnlineUserCount();
     }
 
     /**
-     * 获取房间数量
+     * 获取房间数量（集群范围）
      */
-    getRoomCount() {
-        return this.roomUsers.size;
+    async getRoomCount() {
+        return (await this.presence.getRooms()).length;
     }
 
     /**
@@ -747,7 +811,9 @@ class EnhancedSocketService {
             this.broadcastSystemMessage('服务器即将重启，请稍后重新连接');
             
             // 关闭所有连接
+            clearInterval(this.heartbeatTimer);
             this.io.close();
+            await this.presence.close();
             
             // 关闭相关服务
             if (this.blockchainService) {
@@ -1,4 +1,7 @@
 const EnhancedBlockchainService = require('./enhancedBlockchainService');
+const languageProviderRegistry = require('./languageProviderRegistry');
+const glossaryService = require('./glossaryService');
+const translationMemoryService = require('./translationMemoryService');
 
 /**
  * 增强版AI翻译服务
@@ -48,8 +51,10 @@ class EnhancedTranslationService {
 
     /**
      * 文本翻译
+     * options.chatRoomId / options.communityId 指定聊天室或社区术语表（与用户个人术语表一起生效），
+     * options.glossaryEntries 为已解析的术语条目（批量翻译时复用），options.translationMemory 为 false 时不使用翻译记忆
      */
-    async translateText(text, fromLang, toLang, userId = null) {
+    async translateText(text, fromLang, toLang, userId = null, options = {}) {
         try {
             // 验证输入
             if (!text || text.trim().length === 0) {
@@ -67,11 +72,48 @@ class EnhancedTranslationService {
             // 文本预处理
             const processedText = this.preprocessText(text);
             
-            // 执行翻译（这里使用模拟翻译，实际应该调用真实的翻译API）
-            const translatedText = await this.performTranslation(processedText, fromLang, toLang);
+            const glossaryEntries = options.glossaryEntries ||
+                await glossaryService.resolveEntries({
+                    userId,
+                    chatRoomId: options.chatRoomId,
+                    communityId: options.communityId
+                }, fromLang, toLang);
+            
+            // 翻译记忆完全匹配时直接复用；含术语的文本只复用人工译文，机器译文可能是按其他人的术语表翻译的
+            const useMemory = options.translationMemory !== false;
+            const memory = useMemory
+                ? await translationMemoryService.lookup(processedText, fromLang, toLang)
+                : { exact: null, matches: [] };
+            const reusable = memory.exact && (memory.exact.origin !== 'machine' ||
+                glossaryService.protectTerms(processedText, glossaryEntries).placeholders.length === 0);
+            
+            let translatedText;
+            let glossary;
+            if (reusable) {
+                translatedText = memory.exact.targetText;
+                glossary = { applied: [], missing: [] };
+                await translationMemoryService.markUsed(memory.exact.id);
+            } else {
+                // 执行翻译，术语先替换为占位符，翻译后还原为术语表中的译法
+                ({ text: translatedText, glossary } = await glossaryService.translateWithEntries(
+                    processedText,
+                    glossaryEntries,
+                    protectedText => this.performTranslation(protectedText, fromLang, toLang)
+                ));
+                if (useMemory && glossary.applied.length === 0 && glossary.missing.length === 0) {
+                    await translationMemoryService.store(processedText, translatedText, fromLang, toLang, { userId });
+                }
+            }
             
-            // 计算翻译质量分数
-            const qualityScore = this.calculateQualityScore(processedText, translatedText, fromLang, toLang);
+            const memoryMatch = reusable ? 'exact' : memory.matches.length > 0 ? 'fuzzy' : 'none';
+            if (useMemory) {
+                translationMemoryService.recordResult(userId, memoryMatch);
+            }
+            
+            // 计算翻译质量分数；复用社区校对采纳的人工译文时不再按启发式规则估算
+            const qualityScore = reusable && memory.exact.origin === 'human'
+                ? 1
+                : this.calculateQualityScore(processedText, translatedText, fromLang, toLang);
             
             // 创建翻译记录
             const translationRecord = {
@@ -81,6 +123,12 @@ class EnhancedTranslationService {
                 toLanguage: toLang,
                 qualityScore: qualityScore,
                 userId: userId,
+                glossary: glossary,
+                translationMemory: {
+                    match: memoryMatch,
+                    segment: reusable ? memory.exact : null,
+                    suggestions: memory.matches
+                },
                 timestamp: new Date(),
                 type: 'text'
             };
@@ -109,9 +157,9 @@ class EnhancedTranslationService {
     }
 
     /**
-     * 批量翻译
+     * 批量翻译（术语表只解析一次，options 同 translateText）
      */
-    async batchTranslate(texts, fromLang, toLang, userId = null) {
+    async batchTranslate(texts, fromLang, toLang, userId = null, options = {}) {
         try {
             if (!Array.isArray(texts) || texts.length === 0) {
                 throw new Error('翻译文本列表不能为空');
@@ -123,15 +171,24 @@ class EnhancedTranslationService {
             
             const results = [];
             let totalReward = 0;
+            let memoryHits = 0;
+            const glossaryEntries = await glossaryService.resolveEntries({
+                userId,
+                chatRoomId: options.chatRoomId,
+                communityId: options.communityId
+            }, fromLang, toLang);
             
             for (const text of texts) {
                 try {
-                    const result = await this.translateText(text, fromLang, toLang, userId);
+                    const result = await this.translateText(text, fromLang, toLang, userId, { ...options, glossaryEntries });
                     results.push(result);
                     
                     if (result.data.reward) {
                         totalReward += result.data.reward.amount || 0;
                     }
+                    if (result.data.translationMemory.match === 'exact') {
+                        memoryHits++;
+                    }
                 } catch (error) {
                     results.push({
                         success: false,
@@ -147,6 +204,7 @@ class EnhancedTranslationService {
                     results: results,
                     totalTranslations: texts.length,
                     successCount: results.filter(r => r.success).length,
+                    translationMemoryHits: memoryHits,
                     totalReward: totalReward
                 }
             };
@@ -225,6 +283,7 @@ class EnhancedTranslationService {
     async getTranslationStats(userId) {
         try {
             // 这里应该从数据库获取统计数据
+            const translationMemory = await translationMemoryService.getStats(userId);
             
             return {
                 success: true,
@@ -233,7 +292,8 @@ class EnhancedTranslationService {
                     totalRewards: 0,
                     averageQuality: 0,
                     languagePairs: {},
-                    dailyStats: []
+                    dailyStats: [],
+                    translationMemory: translationMemory
                 }
             };
             
@@ -258,50 +318,11 @@ class EnhancedTranslationService {
     }
 
     /**
-     * 执行翻译（模拟实现）
+     * 执行翻译（由 languageProviderRegistry 选择服务提供方）
      */
     async performTranslation(text, fromLang, toLang) {
-        // 这里应该调用真实的翻译API，如Google Translate、百度翻译等
-        // 现在使用模拟翻译
-        
-        await new Promise(resolve => setTimeout(resolve, 100)); // 模拟API延迟
-        
-        // 简单的模拟翻译逻辑
-        const translations = {
-            'zh-CN': {
-                'en': this.simulateTranslation(text, 'Chinese to English'),
-                'ja': this.simulateTranslation(text, 'Chinese to Japanese'),
-                'ko': this.simulateTranslation(text, 'Chinese to Korean')
-            },
-            'en': {
-                'zh-CN': this.simulateTranslation(text, 'English to Chinese'),
-                'ja': this.simulateTranslation(text, 'English to Japanese'),
-                'ko': this.simulateTranslation(text, 'English to Korean')
-            }
-        };
-        
-        if (translations[fromLang] && translations[fromLang][toLang]) {
-            return translations[fromLang][toLang];
-        }
-        
-        // 默认返回带标记的原文
-        return `[${fromLang}->${toLang}] ${text}`;
-    }
-
-    /**
-     * 模拟翻译
-     */
-    simulateTranslation(text, direction) {
-        const templates = {
-            'Chinese to English': `[EN] ${text}`,
-            'English to Chinese': `[中文] ${text}`,
-            'Chinese to Japanese': `[日本語] ${text}`,
-            'English to Japanese': `[日本語] ${text}`,
-            'Chinese to Korean': `[한국어] ${text}`,
-            'English to Korean': `[한국어] ${text}`
-        };
-        
-        return templates[direction] || `[Translated] ${text}`;
+        const translation = await languageProviderRegistry.translate(text, fromLang, toLang);
+        return translation.text;
     }
 
     /**
@@ -1,6 +1,4 @@
-const speech = require('@google-cloud/speech');
-const textToSpeech = require('@google-cloud/text-to-speech');
-const translate = require('@google-cloud/translate').v2.Translate;
+const languageProviderRegistry = require('./languageProviderRegistry');
 const VoiceTranslation = require('../models/VoiceTranslation');
 const User = require('../models/User');
 const ffmpeg = require('fluent-ffmpeg');
@@ -10,9 +8,6 @@ const crypto = require('crypto');
 
 class EnhancedVoiceTranslationService {
     constructor() {
-        // 初始化Google Cloud服务
-        this.initializeGoogleCloudServices();
-        
         // 支持的语言配置
         this.supportedLanguages = {
             'zh-CN': { name: '中文（简体）', voice: 'cmn-CN-Wavenet-A' },
@@ -45,26 +40,7 @@ class EnhancedVoiceTranslationService {
         this.tempDir = path.join(process.cwd(), 'temp', 'audio');
         this.ensureTempDirectory();
     }
-    /**
-     * 初始化Google Cloud服务
-     */
-    async initializeGoogleCloudServices() {
-        try {
-            const keyFilename = process.env.GOOGLE_CLOUD_KEY_FILE;
-            const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-            
-            if (!keyFilename || !projectId) {
-                console.warn('⚠️ Google Cloud配置不完整，语音功能可能受限');
-                return;
-            }
-            
-            // 暂时跳过Google Cloud初始化，避免阻止应用启动
-            console.log('⚠️ Google Cloud服务暂时跳过初始化');
-            
-        } catch (error) {
-            console.error('❌ Google Cloud服务初始化失败:', error);
-        }
-    }    
+    
     /**
      * 确保临时目录存在
      */
@@ -219,51 +195,19 @@ class EnhancedVoiceTranslationService {
      * 语音转文字（增强版）
      */
     async transcribeAudio(audioBuffer, language = 'auto') {
-        if (!this.speechClient) {
-            throw new Error('语音识别服务未初始化');
-        }
-        
         try {
-            // 配置识别请求
-            const request = {
-                audio: {
-                    content: audioBuffer.toString('base64')
-                },
-                config: {
-                    encoding: 'LINEAR16',
-                    sampleRateHertz: this.audioConfig.sampleRate,
-                    languageCode: language === 'auto' ? 'zh-CN' : language,
-                    alternativeLanguageCodes: language === 'auto' ? ['en-US', 'ja-JP', 'ko-KR'] : [],
-                    enableAutomaticPunctuation: true,
-                    enableWordTimeOffsets: true,
-                    enableWordConfidence: true,
-                    model: 'latest_long'
-                }
-            };
-            
-            // 执行语音识别
-            const [response] = await this.speechClient.recognize(request);
-            
-            if (!response.results || response.results.length === 0) {
-                throw new Error('无法识别语音内容');
-            }
-            
-            const result = response.results[0];
-            const alternative = result.alternatives[0];
-            
-            // 提取词语时间信息
-            const wordTimings = alternative.words ? alternative.words.map(word => ({
-                word: word.word,
-                startTime: word.startTime ? parseFloat(word.startTime.seconds || 0) + (word.startTime.nanos || 0) / 1e9 : 0,
-                endTime: word.endTime ? parseFloat(word.endTime.seconds || 0) + (word.endTime.nanos || 0) / 1e9 : 0,
-                confidence: word.confidence || 0
-            })) : [];
+            const result = await languageProviderRegistry.speechToText(audioBuffer, language, {
+                format: 'wav',
+                sampleRate: this.audioConfig.sampleRate,
+                enableWordTimestamps: true,
+                alternativeLanguages: language === 'auto' ? ['en-US', 'ja-JP', 'ko-KR'] : []
+            });
             
             return {
-                text: alternative.transcript,
-                confidence: alternative.confidence || 0,
-                detectedLanguage: result.languageCode || language,
-                wordTimings
+                text: result.text,
+                confidence: result.confidence,
+                detectedLanguage: result.language,
+                wordTimings: result.wordTimestamps
             };
             
         } catch (error) {
@@ -276,10 +220,6 @@ class EnhancedVoiceTranslationService {
      * 文本翻译（批量）
      */
     async translateText(text, sourceLanguage, targetLanguages) {
-        if (!this.translateClient) {
-            throw new Error('翻译服务未初始化');
-        }
-        
         try {
             const translations = {};
             
@@ -295,14 +235,11 @@ class EnhancedVoiceTranslationService {
                 }
                 
                 try {
-                    const [translation] = await this.translateClient.translate(text, {
-                        from: sourceLanguage,
-                        to: targetLang
-                    });
+                    const translation = await languageProviderRegistry.translate(text, sourceLanguage, targetLang);
                     
                     translations[targetLang] = {
-                        text: translation,
-                        confidence: 0.9, // Google Translate通常有较高的准确性
+                        text: translation.text,
+                        confidence: translation.confidence,
                         isOriginal: false
                     };
                 } catch (error) {
@@ -330,11 +267,6 @@ class EnhancedVoiceTranslationService {
      * 生成音频翻译
      */
     async generateAudioTranslations(translations, targetLanguages) {
-        if (!this.ttsClient) {
-            console.warn('语音合成服务未初始化，跳过音频生成');
-            return {};
-        }
-        
         const audioTranslations = {};
         
         // 并行生成所有语言的音频
@@ -373,42 +305,18 @@ class EnhancedVoiceTranslationService {
      * 语音合成（增强版）
      */
     async synthesizeSpeech(text, language, voiceType = 'neutral') {
-        if (!this.ttsClient) {
-            throw new Error('语音合成服务未初始化');
-        }
-        
         try {
             const languageConfig = this.supportedLanguages[language];
             if (!languageConfig) {
                 throw new Error(`不支持的语言: ${language}`);
             }
             
-            // 选择语音类型
-            let voiceName = languageConfig.voice;
-            if (voiceType === 'male') {
-                voiceName = voiceName.replace('-A', '-B');
-            } else if (voiceType === 'female') {
-                voiceName = voiceName.replace('-B', '-A');
-            }
-            
-            const request = {
-                input: { text },
-                voice: {
-                    languageCode: language,
-                    name: voiceName,
-                    ssmlGender: voiceType === 'male' ? 'MALE' : 'FEMALE'
-                },
-                audioConfig: {
-                    audioEncoding: 'MP3',
-                    speakingRate: 1.0,
-                    pitch: 0.0,
-                    volumeGainDb: 0.0
-                }
-            };
-            
-            const [response] = await this.ttsClient.synthesizeSpeech(request);
+            const result = await languageProviderRegistry.synthesize(text, language, {
+                format: 'mp3',
+                gender: voiceType
+            });
             
-            return response.audioContent;
+            return result.audio;
             
         } catch (error) {
             console.error('语音合成失败:', error);
@@ -552,9 +460,9 @@ class EnhancedVoiceTranslationService {
      */
     async healthCheck() {
         const status = {
-            speechRecognition: !!this.speechClient,
-            textToSpeech: !!this.ttsClient,
-            translation: !!this.translateClient,
+            speechRecognition: languageProviderRegistry.isAvailable('stt'),
+            textToSpeech: languageProviderRegistry.isAvailable('tts'),
+            translation: languageProviderRegistry.isAvailable('translate'),
             tempDirectory: false
         };
         
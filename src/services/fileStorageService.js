@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 本地磁盘存储：文件保存在不对外公开的目录中，只能通过签名下载接口读取
+ */
+const createLocalStorage = (rootDir) => {
+    const resolve = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`非法的存储路径: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        rootDir,
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body, { flag: 'wx' });
+        },
+
+        async get(key) {
+            const filePath = resolve(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+/**
+ * S3兼容对象存储（AWS S3、MinIO、阿里云OSS等）
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    // 仅在启用时加载SDK
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        bucket,
+
+        async put(key, body, { contentType, contentLength } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                ContentLength: contentLength
+            }));
+        },
+
+        async get(key) {
+            const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+};
+
+/**
+ * 文件存储服务
+ * File Storage Service
+ *
+ * 存储后端需提供 put(key, body, { contentType, contentLength })、get(key)（返回可读流）和 delete(key) 方法，
+ * body 为Buffer或可读流，传入流时需同时提供 contentLength，
+ * 可通过 registerBackend 接入其他存储
+ */
+class FileStorageService {
+    constructor() {
+        this.backends = new Map();
+        this.registerBackend('local', createLocalStorage(
+            process.env.FILE_STORAGE_DIR || path.join(__dirname, '../../storage')
+        ));
+
+        if (process.env.S3_BUCKET) {
+            this.registerBackend('s3', createS3Storage({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION || 'us-east-1',
+                endpoint: process.env.S3_ENDPOINT || undefined,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+            }));
+        }
+    }
+
+    /**
+     * 注册存储后端
+     */
+    registerBackend(name, backend) {
+        for (const method of ['put', 'get', 'delete']) {
+            if (!backend || typeof backend[method] !== 'function') {
+                throw new Error(`存储后端 ${name} 必须提供 ${method} 方法`);
+            }
+        }
+        this.backends.set(name, backend);
+    }
+
+    /**
+     * 当前用于写入新文件的后端名称（FILE_STORAGE_BACKEND，默认local）
+     */
+    getDefaultBackendName() {
+        return process.env.FILE_STORAGE_BACKEND || 'local';
+    }
+
+    /**
+     * 获取存储后端，已保存的文件按记录中的后端名称读取
+     */
+    getBackend(name = this.getDefaultBackendName()) {
+        const backend = this.backends.get(name);
+        if (!backend) {
+            throw new Error(`未配置的存储后端: ${name}`);
+        }
+        return backend;
+    }
+}
+
+module.exports = new FileStorageService();
+module.exports.createLocalStorage = createLocalStorage;
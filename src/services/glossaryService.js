@@ -0,0 +1,588 @@
+const mongoose = require('mongoose');
+const Glossary = require('../models/Glossary');
+const ChatRoom = require('../models/ChatRoom');
+const Community = require('../models/Community');
+const chatModerationService = require('./chatModerationService');
+const { escapeCsv } = require('./chatExportService');
+const { baseLanguage } = require('./languageProviderAdapters');
+const { escapeXml, unescapeXml } = require('../utils/xml');
+
+const { GLOSSARY_SCOPES } = Glossary;
+
+const GLOSSARY_FORMATS = ['csv', 'tbx'];
+
+// 优先级：个人 > 聊天室 > 社区，同一术语以优先级高的译法为准
+const SCOPE_PRIORITY = { personal: 0, room: 1, community: 2 };
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+// 占位符只包含翻译服务不会改写的符号和数字，翻译后按序号还原
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+// 这些文字不使用空格分词，术语前后不要求单词边界
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+const needsWordBoundary = (char) => /[\p{L}\p{N}]/u.test(char) && !UNSPACED_SCRIPT.test(char);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 术语表语言是否适用于翻译语言：只写基础语言（如 zh）时匹配该语言的所有地区，'auto' 匹配任意语言
+ */
+const matchesLanguage = (glossaryLanguage, language) => {
+    if (!language || language === 'auto') return true;
+    if (!glossaryLanguage.includes('-') || !language.includes('-')) {
+        return baseLanguage(glossaryLanguage) === baseLanguage(language);
+    }
+    return glossaryLanguage.toLowerCase() === language.toLowerCase();
+};
+
+const termKey = (entry) => (entry.caseSensitive ? entry.source : entry.source.toLowerCase());
+
+/**
+ * 术语的匹配规则：拉丁等以空格分词的文字要求完整单词，大小写默认不敏感，空白可以是任意长度
+ */
+const buildTermPattern = (entry) => {
+    const chars = [...entry.source];
+    let pattern = escapeRegExp(entry.source).replace(/\s+/g, '\\s+');
+    if (needsWordBoundary(chars[0])) pattern = `(?<![\\p{L}\\p{N}])${pattern}`;
+    if (needsWordBoundary(chars[chars.length - 1])) pattern = `${pattern}(?![\\p{L}\\p{N}])`;
+    return new RegExp(pattern, entry.caseSensitive ? 'gu' : 'giu');
+};
+
+/**
+ * 解析CSV（支持引号转义、引号内换行和BOM），返回二维数组
+ */
+const parseCsv = (content) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = content.replace(/^﻿/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * 导入导出格式：CSV 列为 source,target,case_sensitive,note（也可用语言代码作为原文和译文的列名）；
+ * TBX 兼容 TBX-Basic（conceptEntry / langSec）和 TBX 2008（termEntry / langSet）
+ */
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        parse(content, glossary) {
+            const rows = parseCsv(content);
+            if (rows.length === 0) return [];
+
+            const header = rows[0].map(cell => cell.trim().toLowerCase());
+            const findColumn = (names, language) => header.findIndex(name => names.includes(name) ||
+                (LANGUAGE_PATTERN.test(name) && matchesLanguage(language, name)));
+            let columns = {
+                source: findColumn(['source', 'term', '原文'], glossary.sourceLanguage),
+                target: findColumn(['target', 'translation', '译文'], glossary.targetLanguage),
+                caseSensitive: header.indexOf('case_sensitive'),
+                note: header.findIndex(name => ['note', '备注'].includes(name))
+            };
+            // 没有表头时按前两列为原文和译文
+            let dataRows = rows.slice(1);
+            if (columns.source === -1 || columns.target === -1 || columns.source === columns.target) {
+                columns = { source: 0, target: 1, caseSensitive: -1, note: -1 };
+                dataRows = rows;
+            }
+
+            return dataRows.map(cells => ({
+                source: cells[columns.source],
+                target: cells[columns.target],
+                caseSensitive: columns.caseSensitive !== -1 && ['true', '1', 'yes'].includes(String(cells[columns.caseSensitive]).trim().toLowerCase()),
+                note: columns.note !== -1 ? cells[columns.note] : undefined
+            }));
+        },
+        render(glossary) {
+            const rows = glossary.entries.map(entry =>
+                [entry.source, entry.target, entry.caseSensitive ? 'true' : 'false', entry.note].map(escapeCsv).join(','));
+
+            // 带BOM，Excel才能正确识别中文等非ASCII字符
+            return '﻿' + ['source,target,case_sensitive,note', ...rows].join('\r\n') + '\r\n';
+        }
+    },
+
+    tbx: {
+        contentType: 'application/x-tbx+xml; charset=utf-8',
+        extension: 'tbx',
+        parse(content, glossary) {
+            if (!/<(tbx|martif)\b/.test(content)) return null;
+
+            const entries = [];
+            for (const concept of content.matchAll(/<(conceptEntry|termEntry)\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+                const terms = [];
+                for (const section of concept[2].matchAll(/<(langSec|langSet)\b[^>]*\bxml:lang="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g)) {
+                    const term = section[3].match(/<term\b[^>]*>([\s\S]*?)<\/term>/);
+                    if (term) terms.push({ language: section[2], text: unescapeXml(term[1]) });
+                }
+                const note = concept[2].match(/<(note|descrip)\b[^>]*>([\s\S]*?)<\/\1>/);
+                const source = terms.find(term => matchesLanguage(glossary.sourceLanguage, term.language));
+                const target = terms.find(term => term !== source && matchesLanguage(glossary.targetLanguage, term.language));
+
+                entries.push({
+                    source: source && source.text,
+                    target: target && target.text,
+                    note: note ? unescapeXml(note[2]) : undefined
+                });
+            }
+            return entries;
+        },
+        render(glossary) {
+            const concepts = glossary.entries.map((entry, index) => [
+                `      <conceptEntry id="c${index + 1}">`,
+                ...(entry.note ? [`        <note>${escapeXml(entry.note)}</note>`] : []),
+                `        <langSec xml:lang="${escapeXml(glossary.sourceLanguage)}"><termSec><term>${escapeXml(entry.source)}</term></termSec></langSec>`,
+                `        <langSec xml:lang="${escapeXml(glossary.targetLanguage)}"><termSec><term>${escapeXml(entry.target)}</term></termSec></langSec>`,
+                '      </conceptEntry>'
+            ].join('\n'));
+
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<tbx type="TBX-Basic" style="dca" xml:lang="${escapeXml(glossary.sourceLanguage)}" xmlns="urn:iso:std:iso:30042:ed-2">`,
+                '  <tbxHeader>',
+                '    <fileDesc>',
+                `      <titleStmt><title>${escapeXml(glossary.name)}</title></titleStmt>`,
+                '      <sourceDesc><p>CultureBridge</p></sourceDesc>',
+                '    </fileDesc>',
+                '  </tbxHeader>',
+                '  <text>',
+                '    <body>',
+                ...concepts,
+                '    </body>',
+                '  </text>',
+                '</tbx>',
+                ''
+            ].join('\n');
+        }
+    }
+};
+
+/**
+ * 翻译术语表服务（个人、聊天室、社区三级）
+ * Glossary Service
+ *
+ * 翻译前把原文中的术语替换为占位符，翻译后还原为术语表中的译法，
+ * 避免节日、菜名、敬称等文化术语被机器翻译改写，并报告实际应用了哪些条目
+ */
+class GlossaryService {
+    constructor() {
+        this.maxEntries = 2000;
+        this.maxGlossariesPerOwner = 50;
+        this.maxImportSize = 2 * 1024 * 1024;
+    }
+
+    getFormat(name) {
+        return GLOSSARY_FORMATS.includes(name) ? FORMATS[name] : null;
+    }
+
+    isCommunityManager(community, userId) {
+        const id = userId.toString();
+        return community.creator.toString() === id ||
+            (community.admins || []).some(admin => admin.toString() === id) ||
+            (community.members || []).some(member => member.user && member.user.toString() === id &&
+                ['管理员', '创建者'].includes(member.role));
+    }
+
+    isCommunityMember(community, userId) {
+        return this.isCommunityManager(community, userId) ||
+            (community.members || []).some(member => member.user && member.user.toString() === userId.toString());
+    }
+
+    /**
+     * 查找术语表所属的聊天室或社区并检查权限
+     * 返回 { status: 'ok', owner } 或 { status: 'not_found' | 'forbidden' }
+     */
+    async checkAccess(user, { scope, chatRoom, community, owner }, manage = false) {
+        if (scope === 'personal') {
+            return owner && owner.toString() !== user._id.toString() ? { status: 'forbidden' } : { status: 'ok' };
+        }
+
+        if (scope === 'room') {
+            const room = mongoose.isValidObjectId(chatRoom) ? await ChatRoom.findById(chatRoom) : null;
+            if (!room) return { status: 'not_found' };
+
+            const allowed = manage
+                ? chatModerationService.canModerate(user, room, 'canManageUsers')
+                : chatModerationService.canModerate(user, room) ||
+                    room.participants.some(participant => participant.user.toString() === user._id.toString());
+            return allowed ? { status: 'ok', owner: room } : { status: 'forbidden' };
+        }
+
+        const found = mongoose.isValidObjectId(community) ? await Community.findById(community) : null;
+        if (!found) return { status: 'not_found' };
+
+        const allowed = manage
+            ? this.isCommunityManager(found, user._id)
+            : !found.isPrivate || this.isCommunityMember(found, user._id);
+        return allowed ? { status: 'ok', owner: found } : { status: 'forbidden' };
+    }
+
+    /**
+     * 校验并去重条目，同一原文只保留最后一条
+     * 返回 { entries, skipped }
+     */
+    normalizeEntries(entries) {
+        const normalized = new Map();
+        let skipped = 0;
+
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            const source = typeof entry?.source === 'string' ? entry.source.trim() : '';
+            const target = typeof entry?.target === 'string' ? entry.target.trim() : '';
+            if (!source || !target || source.length > 200 || target.length > 200) {
+                skipped++;
+                continue;
+            }
+
+            const item = { source, target, caseSensitive: entry.caseSensitive === true };
+            if (typeof entry.note === 'string' && entry.note.trim()) {
+                item.note = entry.note.trim().slice(0, 500);
+            }
+            normalized.set(termKey(item), item);
+        }
+
+        return { entries: [...normalized.values()], skipped };
+    }
+
+    /**
+     * 创建术语表
+     * 返回 { status: 'created', glossary }，或 { status: 'invalid_glossary' | 'invalid_language' |
+     * 'too_many_entries' | 'limit_reached' | 'not_found' | 'forbidden' }
+     */
+    async create(user, { name, description, scope = 'personal', chatRoom, community, sourceLanguage, targetLanguage, entries } = {}) {
+        if (typeof name !== 'string' || !name.trim() || !GLOSSARY_SCOPES.includes(scope)) {
+            return { status: 'invalid_glossary' };
+        }
+        if (!LANGUAGE_PATTERN.test(sourceLanguage || '') || !LANGUAGE_PATTERN.test(targetLanguage || '') ||
+            baseLanguage(sourceLanguage) === baseLanguage(targetLanguage)) {
+            return { status: 'invalid_language' };
+        }
+
+        const access = await this.checkAccess(user, { scope, chatRoom, community }, true);
+        if (access.status !== 'ok') return access;
+
+        const normalized = this.normalizeEntries(entries);
+        if (normalized.entries.length > this.maxEntries) {
+            return { status: 'too_many_entries' };
+        }
+
+        const filter = scope === 'personal'
+            ? { scope, owner: user._id }
+            : { scope, [scope === 'room' ? 'chatRoom' : 'community']: access.owner._id };
+        if (await Glossary.countDocuments(filter) >= this.maxGlossariesPerOwner) {
+            return { status: 'limit_reached' };
+        }
+
+        const glossary = await Glossary.create({
+            ...filter,
+            name: name.trim(),
+            description,
+            owner: user._id,
+            sourceLanguage,
+            targetLanguage,
+            entries: normalized.entries
+        });
+
+        return { status: 'created', glossary };
+    }
+
+    /**
+     * 按ID查找用户可以查看（manage 为 true 时为可以管理）的术语表
+     * 返回 { status: 'ok', glossary } 或 { status: 'not_found' | 'forbidden' }
+     */
+    async findForUser(user, glossaryId, manage = false) {
+        const glossary = mongoose.isValidObjectId(glossaryId) ? await Glossary.findById(glossaryId) : null;
+        if (!glossary) return { status: 'not_found' };
+
+        const access = await this.checkAccess(user, glossary, manage);
+        // 无权查看的个人术语表按不存在处理
+        if (access.status === 'forbidden' && glossary.scope === 'personal') {
+            return { status: 'not_found' };
+        }
+        return access.status === 'ok' ? { status: 'ok', glossary } : access;
+    }
+
+    /**
+     * 列出用户的个人术语表，指定 chatRoom 或 community 时列出该聊天室或社区的术语表
+     * 返回 { status: 'ok', glossaries } 或 { status: 'not_found' | 'forbidden' }
+     */
+    async list(user, { chatRoom, community } = {}) {
+        let filter = { scope: 'personal', owner: user._id };
+        if (chatRoom || community) {
+            const scope = chatRoom ? 'room' : 'community';
+            const access = await this.checkAccess(user, { scope, chatRoom, community });
+            if (access.status !== 'ok') return access;
+            filter = { scope, [chatRoom ? 'chatRoom' : 'community']: access.owner._id };
+        }
+
+        const glossaries = await Glossary.find(filter)
+            .select('-entries')
+            .sort({ updatedAt: -1 })
+            .lean();
+        const counts = await Glossary.aggregate([
+            { $match: { _id: { $in: glossaries.map(glossary => glossary._id) } } },
+            { $project: { entryCount: { $size: '$entries' } } }
+        ]);
+        const countById = new Map(counts.map(item => [item._id.toString(), item.entryCount]));
+
+        return {
+            status: 'ok',
+            glossaries: glossaries.map(glossary => ({ ...glossary, entryCount: countById.get(glossary._id.toString()) || 0 }))
+        };
+    }
+
+    /**
+     * 修改名称、说明、启用状态，entries 存在时整体替换条目
+     * 返回 { status: 'updated', glossary } 或 { status: 'invalid_glossary' | 'too_many_entries' }
+     */
+    async update(glossary, { name, description, enabled, entries } = {}) {
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) return { status: 'invalid_glossary' };
+            glossary.name = name.trim();
+        }
+        if (description !== undefined) glossary.description = description;
+        if (enabled !== undefined) glossary.enabled = Boolean(enabled);
+
+        if (entries !== undefined) {
+            const normalized = this.normalizeEntries(entries);
+            if (normalized.entries.length > this.maxEntries) {
+                return { status: 'too_many_entries' };
+            }
+            glossary.entries = normalized.entries;
+        }
+
+        await glossary.save();
+        return { status: 'updated', glossary };
+    }
+
+    /**
+     * 合并条目：原文已存在时更新译法，否则追加；replace 为 true 时先清空原有条目
+     * 返回 { status: 'merged', added, updated, skipped } 或 { status: 'too_many_entries' }
+     */
+    async mergeEntries(glossary, entries, { replace = false } = {}) {
+        const normalized = this.normalizeEntries(entries);
+        const existing = new Map((replace ? [] : glossary.entries).map(entry => [termKey(entry), entry]));
+        let added = 0;
+        let updated = 0;
+
+        for (const entry of normalized.entries) {
+            const current = existing.get(termKey(entry));
+            if (current) {
+                Object.assign(current, entry);
+                updated++;
+            } else {
+                existing.set(termKey(entry), entry);
+                added++;
+            }
+        }
+
+        if (existing.size > this.maxEntries) {
+            return { status: 'too_many_entries' };
+        }
+
+        glossary.entries = [...existing.values()];
+        await glossary.save();
+        return { status: 'merged', added, updated, skipped: normalized.skipped };
+    }
+
+    async removeEntry(glossary, entryId) {
+        const entry = glossary.entries.id(entryId);
+        if (!entry) return { status: 'not_found' };
+
+        entry.deleteOne();
+        await glossary.save();
+        return { status: 'removed' };
+    }
+
+    /**
+     * 从CSV或TBX文件导入条目
+     * 返回 mergeEntries 的结果，或 { status: 'invalid_format' | 'invalid_file' | 'too_large' }
+     */
+    async importEntries(glossary, content, format, options = {}) {
+        const handler = this.getFormat(format);
+        if (!handler) return { status: 'invalid_format' };
+        if (typeof content !== 'string' || !content.trim()) return { status: 'invalid_file' };
+        if (Buffer.byteLength(content) > this.maxImportSize) return { status: 'too_large' };
+
+        const entries = handler.parse(content, glossary);
+        if (!entries) return { status: 'invalid_file' };
+
+        return this.mergeEntries(glossary, entries, options);
+    }
+
+    /**
+     * 导出为CSV或TBX，返回 { contentType, fileName, content }，格式不支持时返回 null
+     */
+    exportGlossary(glossary, format) {
+        const handler = this.getFormat(format);
+        if (!handler) return null;
+
+        const baseName = glossary.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+        return {
+            contentType: handler.contentType,
+            fileName: `${baseName}.${handler.extension}`,
+            content: handler.render(glossary)
+        };
+    }
+
+    /**
+     * 翻译时适用的术语条目：发起用户的个人术语表、聊天室术语表和社区术语表（聊天室所属社区也会生效）
+     * 同一原文按 个人 > 聊天室 > 社区 取译法，返回按原文长度降序排列的条目（优先匹配较长的术语）
+     */
+    async resolveEntries({ userId, chatRoomId, communityId } = {}, sourceLanguage, targetLanguage) {
+        let community = communityId;
+        if (chatRoomId && !community && mongoose.isValidObjectId(chatRoomId)) {
+            const room = await ChatRoom.findById(chatRoomId).select('community').lean();
+            community = room && room.community;
+        }
+
+        const scopes = [];
+        if (userId && mongoose.isValidObjectId(userId)) scopes.push({ scope: 'personal', owner: userId });
+        if (chatRoomId && mongoose.isValidObjectId(chatRoomId)) scopes.push({ scope: 'room', chatRoom: chatRoomId });
+        if (community && mongoose.isValidObjectId(community)) scopes.push({ scope: 'community', community });
+        if (scopes.length === 0) return [];
+
+        const glossaries = await Glossary.find({ enabled: true, $or: scopes })
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        const entries = new Map();
+        glossaries
+            .filter(glossary => matchesLanguage(glossary.sourceLanguage, sourceLanguage) &&
+                matchesLanguage(glossary.targetLanguage, targetLanguage))
+            .sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope])
+            .forEach(glossary => {
+                for (const entry of glossary.entries) {
+                    const key = entry.source.toLowerCase();
+                    if (entries.has(key)) continue;
+                    entries.set(key, {
+                        glossary: glossary._id,
+                        scope: glossary.scope,
+                        source: entry.source,
+                        target: entry.target,
+                        caseSensitive: entry.caseSensitive
+                    });
+                }
+            });
+
+        return [...entries.values()].sort((a, b) => b.source.length - a.source.length);
+    }
+
+    /**
+     * 把原文中的术语替换为占位符，已替换的部分不会再被较短的术语匹配
+     * 返回 { text, placeholders: [{ token, entry, occurrences }] }
+     */
+    protectTerms(text, entries) {
+        let parts = [text];
+        const placeholders = [];
+
+        for (const entry of entries) {
+            const token = `⟦${placeholders.length}⟧`;
+            const pattern = buildTermPattern(entry);
+            let occurrences = 0;
+
+            parts = parts.flatMap(part => {
+                if (typeof part !== 'string') return [part];
+                const pieces = [];
+                let last = 0;
+                for (const match of part.matchAll(pattern)) {
+                    pieces.push(part.slice(last, match.index), { token });
+                    last = match.index + match[0].length;
+                    occurrences++;
+                }
+                pieces.push(part.slice(last));
+                return pieces;
+            });
+
+            if (occurrences > 0) {
+                placeholders.push({ token, entry, occurrences });
+            }
+        }
+
+        return {
+            text: parts.map(part => (typeof part === 'string' ? part : part.token)).join(''),
+            placeholders
+        };
+    }
+
+    /**
+     * 把译文中的占位符还原为术语译法
+     * 返回 { text, applied, missing }：missing 为翻译服务丢失了占位符的条目
+     */
+    restoreTerms(translatedText, placeholders) {
+        const restored = new Map();
+        const text = translatedText.replace(PLACEHOLDER_PATTERN, (match, index) => {
+            const placeholder = placeholders[Number(index)];
+            if (!placeholder) return match;
+            restored.set(placeholder, (restored.get(placeholder) || 0) + 1);
+            return placeholder.entry.target;
+        });
+
+        const report = (placeholder, occurrences) => ({
+            glossary: placeholder.entry.glossary,
+            scope: placeholder.entry.scope,
+            source: placeholder.entry.source,
+            target: placeholder.entry.target,
+            occurrences
+        });
+
+        return {
+            text,
+            applied: placeholders.filter(placeholder => restored.has(placeholder))
+                .map(placeholder => report(placeholder, restored.get(placeholder))),
+            missing: placeholders.filter(placeholder => !restored.has(placeholder))
+                .map(placeholder => report(placeholder, placeholder.occurrences))
+        };
+    }
+
+    /**
+     * 使用术语表翻译：translate(protectedText) 返回译文（字符串），
+     * 返回 { text, glossary: { applied, missing } }
+     */
+    async translateWithEntries(text, entries, translate) {
+        const { text: protectedText, placeholders } = this.protectTerms(text, entries);
+        const translated = await translate(protectedText);
+        const { text: restoredText, applied, missing } = this.restoreTerms(translated, placeholders);
+
+        return { text: restoredText, glossary: { applied, missing } };
+    }
+}
+
+module.exports = new GlossaryService();
+module.exports.GLOSSARY_FORMATS = GLOSSARY_FORMATS;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,544 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { DEFAULT_LOCALES } = require('../config/languageProviders');
+
+/**
+ * 语音识别、文本翻译、语音合成服务的适配器
+ * Language Provider Adapters
+ *
+ * 每个适配器实现 languageProviderRegistry 的统一接口（按支持的能力提供）：
+ *   recognize(audio, language, options)  -> { text, confidence, language, alternatives, wordTimestamps }
+ *   translate(text, sourceLanguage, targetLanguage, options) -> { text, sourceLanguage, confidence, alternatives }
+ *   synthesize(text, language, options)  -> { audio, format }
+ * 失败时直接抛出错误，由注册表负责熔断和切换到下一个提供方
+ */
+
+const baseLanguage = (language) => String(language).split('-')[0].toLowerCase();
+
+const toLocale = (language) => (String(language).includes('-') ? language : DEFAULT_LOCALES[language] || language);
+
+// 识别时 language 为 'auto' 的默认语言（各接口均不支持完全自动检测）
+const resolveRecognitionLanguage = (language) => (!language || language === 'auto' ? 'zh-CN' : toLocale(language));
+
+// 按文字系统粗略判断语言
+const detectScriptLanguage = (text) => {
+    if (/[\u3040-\u309f\u30a0-\u30ff]/.test(text)) return 'ja-JP';
+    if (/[\uac00-\ud7af]/.test(text)) return 'ko-KR';
+    if (/[\u4e00-\u9fa5]/.test(text)) return 'zh-CN';
+    if (/[\u0400-\u04ff]/.test(text)) return 'ru-RU';
+    if (/[\u0600-\u06ff]/.test(text)) return 'ar-XA';
+    if (/[\u0e00-\u0e7f]/.test(text)) return 'th-TH';
+    return 'en-US';
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// 输入音频格式（文件扩展名）对应的接口编码
+const GOOGLE_ENCODINGS = { wav: 'LINEAR16', pcm: 'LINEAR16', webm: 'WEBM_OPUS', ogg: 'OGG_OPUS', flac: 'FLAC', mp3: 'MP3' };
+const AZURE_CONTENT_TYPES = {
+    wav: 'audio/wav; codecs=audio/pcm',
+    pcm: 'audio/wav; codecs=audio/pcm',
+    webm: 'audio/webm; codecs=opus',
+    ogg: 'audio/ogg; codecs=opus'
+};
+
+// 合成音频格式对应的接口编码
+const GOOGLE_OUTPUT_ENCODINGS = { mp3: 'MP3', wav: 'LINEAR16', ogg: 'OGG_OPUS' };
+
+const AZURE_VOICES = {
+    'zh-CN': 'zh-CN-XiaoxiaoNeural',
+    'zh-TW': 'zh-TW-HsiaoyuNeural',
+    'en-US': 'en-US-JennyNeural',
+    'en-GB': 'en-GB-SoniaNeural',
+    'ja-JP': 'ja-JP-NanamiNeural',
+    'ko-KR': 'ko-KR-SunHiNeural',
+    'fr-FR': 'fr-FR-DeniseNeural',
+    'de-DE': 'de-DE-KatjaNeural',
+    'es-ES': 'es-ES-ElviraNeural',
+    'it-IT': 'it-IT-ElsaNeural',
+    'pt-BR': 'pt-BR-FranciscaNeural',
+    'ru-RU': 'ru-RU-SvetlanaNeural',
+    'ar-XA': 'ar-XA-ZariyahNeural',
+    'hi-IN': 'hi-IN-SwaraNeural',
+    'th-TH': 'th-TH-PremwadeeNeural',
+    'vi-VN': 'vi-VN-HoaiMyNeural'
+};
+
+const getAzureOutputFormat = (format, quality) => {
+    const formatMap = {
+        'mp3': quality === 'high' ? 'audio-24khz-48kbitrate-mono-mp3' : 'audio-16khz-32kbitrate-mono-mp3',
+        'wav': quality === 'high' ? 'riff-24khz-16bit-mono-pcm' : 'riff-16khz-16bit-mono-pcm',
+        'ogg': 'ogg-24khz-16bit-mono-opus'
+    };
+
+    return formatMap[format] || formatMap['mp3'];
+};
+
+// Azure Translator 的中文使用书写系统代码
+const toAzureTranslatorLanguage = (language) => {
+    if (language === 'zh-TW' || language === 'zh-Hant') return 'zh-Hant';
+    if (baseLanguage(language) === 'zh') return 'zh-Hans';
+    return baseLanguage(language);
+};
+
+// Google 翻译只区分简繁中文，其余使用基础语言代码
+const toGoogleTranslateLanguage = (language) => (baseLanguage(language) === 'zh'
+    ? (language === 'zh-TW' ? 'zh-TW' : 'zh-CN')
+    : baseLanguage(language));
+
+const BAIDU_LANGUAGES = {
+    zh: 'zh', en: 'en', ja: 'jp', ko: 'kor', fr: 'fra', de: 'de', es: 'spa',
+    it: 'it', pt: 'pt', ru: 'ru', ar: 'ara', hi: 'hi', th: 'th', vi: 'vie'
+};
+
+const toBaiduLanguage = (language) => {
+    if (language === 'auto') return 'auto';
+    if (language === 'zh-TW') return 'cht';
+    return BAIDU_LANGUAGES[baseLanguage(language)] || 'auto';
+};
+
+/**
+ * Azure Cognitive Services（REST接口）
+ */
+const createAzureProvider = () => ({
+    async recognize(audio, language, options = {}) {
+        const region = process.env.AZURE_SPEECH_REGION || 'eastus';
+        const locale = resolveRecognitionLanguage(language);
+        const params = new URLSearchParams({
+            language: locale,
+            format: 'detailed',
+            profanity: options.profanityFilter === false ? 'raw' : 'masked'
+        });
+        const format = options.format || 'webm';
+
+        const response = await axios.post(
+            `https://${region}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1?${params}`,
+            audio,
+            {
+                headers: {
+                    'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY,
+                    'Content-Type': `${AZURE_CONTENT_TYPES[format] || AZURE_CONTENT_TYPES.webm}; samplerate=${options.sampleRate || 16000}`,
+                    'Accept': 'application/json'
+                },
+                timeout: 30000
+            }
+        );
+
+        const result = response.data;
+        if (result.RecognitionStatus !== 'Success') {
+            throw new Error(`Azure语音识别失败: ${result.RecognitionStatus}`);
+        }
+
+        const [best] = result.NBest || [];
+        return {
+            text: result.DisplayText,
+            confidence: best?.Confidence || 0.9,
+            language: locale,
+            alternatives: (result.NBest || []).slice(1, 3).map(item => ({
+                text: item.Display,
+                confidence: item.Confidence
+            })),
+            wordTimestamps: best?.Words ? best.Words.map(word => ({
+                word: word.Word,
+                startTime: word.Offset / 10000000, // 100纳秒转换为秒
+                endTime: (word.Offset + word.Duration) / 10000000,
+                confidence: word.Confidence
+            })) : []
+        };
+    },
+
+    async translate(text, sourceLanguage, targetLanguage) {
+        const params = new URLSearchParams({
+            'api-version': '3.0',
+            to: toAzureTranslatorLanguage(targetLanguage)
+        });
+        if (sourceLanguage !== 'auto') {
+            params.append('from', toAzureTranslatorLanguage(sourceLanguage));
+        }
+
+        const response = await axios.post(`https://api.cognitive.microsofttranslator.com/translate?${params}`, [{ text }], {
+            headers: {
+                'Ocp-Apim-Subscription-Key': process.env.AZURE_TRANSLATOR_KEY,
+                'Ocp-Apim-Subscription-Region': process.env.AZURE_TRANSLATOR_REGION || 'global',
+                'Content-Type': 'application/json'
+            },
+            timeout: 15000
+        });
+
+        const [result] = response.data;
+        if (!result || !result.translations || result.translations.length === 0) {
+            throw new Error('Azure翻译未返回结果');
+        }
+
+        return {
+            text: result.translations[0].text,
+            sourceLanguage: result.detectedLanguage?.language || sourceLanguage,
+            confidence: result.detectedLanguage?.score || 0.9,
+            alternatives: result.translations.slice(1, 3).map(translation => translation.text)
+        };
+    },
+
+    async synthesize(text, language, options = {}) {
+        const region = process.env.AZURE_SPEECH_REGION || 'eastus';
+        const locale = toLocale(language);
+        const format = options.format || 'mp3';
+        const { speed = 1.0, pitch = 1.0, volume = 1.0 } = options;
+        const voice = options.voice || AZURE_VOICES[locale] || AZURE_VOICES['en-US'];
+
+        const ssml = `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${locale}">` +
+            `<voice name="${voice}">` +
+            `<prosody rate="${speed}" pitch="${pitch > 1 ? '+' : ''}${((pitch - 1) * 50).toFixed(0)}%" volume="${(volume * 100).toFixed(0)}%">` +
+            `${escapeXml(text)}</prosody></voice></speak>`;
+
+        const response = await axios.post(`https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`, ssml, {
+            headers: {
+                'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY,
+                'Content-Type': 'application/ssml+xml',
+                'X-Microsoft-OutputFormat': getAzureOutputFormat(format, options.quality || 'high'),
+                'User-Agent': 'CultureBridge'
+            },
+            responseType: 'arraybuffer',
+            timeout: 30000
+        });
+
+        return { audio: Buffer.from(response.data), format };
+    }
+});
+
+/**
+ * Google Cloud（API Key，REST接口）
+ */
+const createGoogleProvider = () => ({
+    async recognize(audio, language, options = {}) {
+        const locale = resolveRecognitionLanguage(language);
+        const response = await axios.post(
+            `https://speech.googleapis.com/v1/speech:recognize?key=${process.env.GOOGLE_SPEECH_API_KEY}`,
+            {
+                config: {
+                    encoding: GOOGLE_ENCODINGS[options.format] || 'WEBM_OPUS',
+                    sampleRateHertz: options.sampleRate || 16000,
+                    audioChannelCount: options.channels || 1,
+                    languageCode: locale,
+                    alternativeLanguageCodes: options.alternativeLanguages || [],
+                    enableAutomaticPunctuation: options.enablePunctuation !== false,
+                    enableWordTimeOffsets: Boolean(options.enableWordTimestamps),
+                    profanityFilter: options.profanityFilter !== false
+                },
+                audio: { content: audio.toString('base64') }
+            },
+            { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
+        );
+
+        const { results } = response.data;
+        if (!results || results.length === 0) {
+            throw new Error('Google语音识别未返回结果');
+        }
+
+        const [alternative] = results[0].alternatives;
+        return {
+            text: results.map(result => result.alternatives[0].transcript).join(' '),
+            confidence: alternative.confidence || 0.9,
+            language: results[0].languageCode || locale,
+            alternatives: results[0].alternatives.slice(1, 3).map(item => ({
+                text: item.transcript,
+                confidence: item.confidence
+            })),
+            wordTimestamps: (alternative.words || []).map(word => ({
+                word: word.word,
+                startTime: parseFloat(word.startTime?.replace('s', '') || '0'),
+                endTime: parseFloat(word.endTime?.replace('s', '') || '0')
+            }))
+        };
+    },
+
+    async translate(text, sourceLanguage, targetLanguage) {
+        const params = new URLSearchParams({
+            key: process.env.GOOGLE_TRANSLATE_API_KEY,
+            q: text,
+            target: toGoogleTranslateLanguage(targetLanguage),
+            format: 'text'
+        });
+        if (sourceLanguage !== 'auto') {
+            params.append('source', toGoogleTranslateLanguage(sourceLanguage));
+        }
+
+        const response = await axios.post('https://translation.googleapis.com/language/translate/v2', params, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 15000
+        });
+
+        const [result] = response.data.data.translations;
+        return {
+            text: result.translatedText,
+            sourceLanguage: result.detectedSourceLanguage || sourceLanguage,
+            confidence: 0.9,
+            alternatives: []
+        };
+    },
+
+    async synthesize(text, language, options = {}) {
+        const format = options.format || 'mp3';
+        const { speed = 1.0, pitch = 1.0, volume = 1.0 } = options;
+
+        const response = await axios.post(
+            `https://texttospeech.googleapis.com/v1/text:synthesize?key=${process.env.GOOGLE_SPEECH_API_KEY}`,
+            {
+                input: { text },
+                voice: {
+                    languageCode: toLocale(language),
+                    ssmlGender: (options.gender || 'neutral').toUpperCase()
+                },
+                audioConfig: {
+                    audioEncoding: GOOGLE_OUTPUT_ENCODINGS[format] || 'MP3',
+                    speakingRate: speed,
+                    pitch: (pitch - 1) * 20,
+                    volumeGainDb: (volume - 1) * 6
+                }
+            },
+            { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
+        );
+
+        return { audio: Buffer.from(response.data.audioContent, 'base64'), format };
+    }
+});
+
+/**
+ * Google Cloud（服务账号，官方SDK），客户端在首次调用时创建
+ */
+const createGoogleCloudProvider = () => {
+    const clients = {};
+    const credentials = () => ({
+        keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
+        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
+    });
+    const getClient = (name) => {
+        if (!clients[name]) {
+            if (name === 'speech') {
+                clients.speech = new (require('@google-cloud/speech').SpeechClient)(credentials());
+            } else if (name === 'tts') {
+                clients.tts = new (require('@google-cloud/text-to-speech').TextToSpeechClient)(credentials());
+            } else {
+                clients.translate = new (require('@google-cloud/translate').v2.Translate)(credentials());
+            }
+        }
+        return clients[name];
+    };
+
+    return {
+        async recognize(audio, language, options = {}) {
+            const locale = resolveRecognitionLanguage(language);
+            const [response] = await getClient('speech').recognize({
+                audio: { content: audio.toString('base64') },
+                config: {
+                    encoding: GOOGLE_ENCODINGS[options.format] || 'LINEAR16',
+                    sampleRateHertz: options.sampleRate || 16000,
+                    languageCode: locale,
+                    alternativeLanguageCodes: options.alternativeLanguages || [],
+                    enableAutomaticPunctuation: options.enablePunctuation !== false,
+                    enableWordTimeOffsets: Boolean(options.enableWordTimestamps),
+                    enableWordConfidence: Boolean(options.enableWordTimestamps),
+                    profanityFilter: options.profanityFilter !== false,
+                    speechContexts: options.speechContexts || [],
+                    model: 'latest_long'
+                }
+            });
+
+            if (!response.results || response.results.length === 0) {
+                throw new Error('语音识别未返回结果');
+            }
+
+            const [alternative] = response.results[0].alternatives;
+            const seconds = (time) => (time ? Number(time.seconds || 0) + (time.nanos || 0) / 1e9 : 0);
+            return {
+                text: response.results.map(result => result.alternatives[0].transcript).join(' '),
+                confidence: alternative.confidence || 0,
+                language: response.results[0].languageCode || locale,
+                alternatives: response.results[0].alternatives.slice(1, 3).map(item => ({
+                    text: item.transcript,
+                    confidence: item.confidence
+                })),
+                wordTimestamps: (alternative.words || []).map(word => ({
+                    word: word.word,
+                    startTime: seconds(word.startTime),
+                    endTime: seconds(word.endTime),
+                    confidence: word.confidence || 0
+                }))
+            };
+        },
+
+        async translate(text, sourceLanguage, targetLanguage) {
+            const [translation, metadata] = await getClient('translate').translate(text, {
+                from: sourceLanguage === 'auto' ? undefined : toGoogleTranslateLanguage(sourceLanguage),
+                to: toGoogleTranslateLanguage(targetLanguage),
+                format: 'text'
+            });
+
+            return {
+                text: Array.isArray(translation) ? translation[0] : translation,
+                sourceLanguage: metadata?.data?.translations?.[0]?.detectedSourceLanguage || sourceLanguage,
+                confidence: 0.9,
+                alternatives: []
+            };
+        },
+
+        async synthesize(text, language, options = {}) {
+            const format = options.format || 'mp3';
+            const [response] = await getClient('tts').synthesizeSpeech({
+                input: { text },
+                voice: {
+                    languageCode: toLocale(language),
+                    ssmlGender: (options.gender || 'neutral').toUpperCase()
+                },
+                audioConfig: {
+                    audioEncoding: GOOGLE_OUTPUT_ENCODINGS[format] || 'MP3',
+                    speakingRate: options.speed || 1.0,
+                    pitch: ((options.pitch || 1.0) - 1) * 20,
+                    volumeGainDb: ((options.volume || 1.0) - 1) * 6
+                }
+            });
+
+            if (!response.audioContent) {
+                throw new Error('语音合成未返回音频内容');
+            }
+
+            return { audio: Buffer.from(response.audioContent), format };
+        }
+    };
+};
+
+/**
+ * 百度翻译（仅文本翻译）
+ */
+const createBaiduProvider = () => ({
+    async translate(text, sourceLanguage, targetLanguage) {
+        const appId = process.env.BAIDU_TRANSLATE_APP_ID;
+        const salt = Date.now().toString();
+        const sign = crypto.createHash('md5')
+            .update(appId + text + salt + process.env.BAIDU_TRANSLATE_SECRET_KEY)
+            .digest('hex');
+
+        const params = new URLSearchParams({
+            q: text,
+            from: toBaiduLanguage(sourceLanguage),
+            to: toBaiduLanguage(targetLanguage),
+            appid: appId,
+            salt,
+            sign
+        });
+
+        const response = await axios.post('https://fanyi-api.baidu.com/api/trans/vip/translate', params, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 15000
+        });
+
+        const result = response.data;
+        if (!result.trans_result || result.trans_result.length === 0) {
+            throw new Error(`百度翻译错误: ${result.error_msg || '未知错误'}`);
+        }
+
+        return {
+            text: result.trans_result.map(item => item.dst).join('\n'),
+            sourceLanguage: sourceLanguage === 'auto' ? result.from : sourceLanguage,
+            confidence: 0.8,
+            alternatives: []
+        };
+    }
+});
+
+// 本地识别结果：按语言返回固定文本
+const LOCAL_TRANSCRIPTS = {
+    zh: '你好，这是一条语音消息，感谢使用CultureBridge平台进行跨文化交流。',
+    en: 'Hello, this is a voice message. Thank you for using CultureBridge platform for cross-cultural communication.',
+    ja: 'こんにちは、これは音声メッセージです。CultureBridgeプラットフォームをご利用いただき、ありがとうございます。',
+    ko: '안녕하세요, 이것은 음성 메시지입니다. CultureBridge 플랫폼을 이용해 주셔서 감사합니다.',
+    fr: 'Bonjour, ceci est un message vocal. Merci d\'utiliser la plateforme CultureBridge.',
+    de: 'Hallo, das ist eine Sprachnachricht. Vielen Dank für die Nutzung der CultureBridge-Plattform.',
+    es: 'Hola, este es un mensaje de voz. Gracias por usar la plataforma CultureBridge.',
+    ru: 'Привет, это голосовое сообщение. Спасибо за использование платформы CultureBridge.'
+};
+
+// 本地翻译的常用短语表，其余文本返回 "[目标语言] 原文"
+const LOCAL_PHRASES = {
+    'zh_en': {
+        '你好': 'Hello',
+        '谢谢': 'Thank you',
+        '再见': 'Goodbye',
+        '很高兴认识你': 'Nice to meet you',
+        '我来自中国': 'I am from China',
+        '你好吗？': 'How are you?',
+        '今天天气很好': 'The weather is nice today'
+    },
+    'en_zh': {
+        'Hello': '你好',
+        'Thank you': '谢谢',
+        'Goodbye': '再见',
+        'Nice to meet you': '很高兴认识你',
+        'I am from China': '我来自中国',
+        'How are you?': '你好吗？',
+        'The weather is nice today': '今天天气很好'
+    },
+    'zh_es': {
+        '你好': 'Hola',
+        '谢谢': 'Gracias',
+        '再见': 'Adiós'
+    },
+    'en_es': {
+        'Hello': 'Hola',
+        'Thank you': 'Gracias',
+        'Goodbye': 'Adiós'
+    }
+};
+
+/**
+ * 本地模拟（不调用外部接口，相同输入总是得到相同结果）
+ */
+const createLocalProvider = () => ({
+    async recognize(audio, language) {
+        const locale = resolveRecognitionLanguage(language);
+        return {
+            text: LOCAL_TRANSCRIPTS[baseLanguage(locale)] || LOCAL_TRANSCRIPTS.en,
+            confidence: 0.7,
+            language: locale,
+            alternatives: [],
+            wordTimestamps: []
+        };
+    },
+
+    async translate(text, sourceLanguage, targetLanguage) {
+        const detected = sourceLanguage === 'auto' ? detectScriptLanguage(text) : sourceLanguage;
+        const from = baseLanguage(detected);
+        const to = baseLanguage(targetLanguage);
+        let translated = LOCAL_PHRASES[`${from}_${to}`]?.[text.trim()];
+        if (!translated) {
+            translated = from === to && detected === targetLanguage ? text : `[${targetLanguage}] ${text}`;
+        }
+
+        return {
+            text: translated,
+            sourceLanguage: detected,
+            confidence: 0.7,
+            alternatives: []
+        };
+    },
+
+    async synthesize(text, language, options = {}) {
+        return {
+            audio: Buffer.from(`${toLocale(language)}:${text}`, 'utf8'),
+            format: options.format || 'mp3'
+        };
+    }
+});
+
+module.exports = {
+    createAzureProvider,
+    createGoogleProvider,
+    createGoogleCloudProvider,
+    createBaiduProvider,
+    createLocalProvider,
+    baseLanguage,
+    toLocale,
+    detectScriptLanguage
+};
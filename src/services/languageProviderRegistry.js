@@ -0,0 +1,313 @@
+const LANGUAGE_PROVIDERS = require('../config/languageProviders');
+const {
+    createAzureProvider,
+    createGoogleProvider,
+    createGoogleCloudProvider,
+    createBaiduProvider,
+    createLocalProvider,
+    baseLanguage
+} = require('./languageProviderAdapters');
+
+// 能力对应的适配器方法
+const CAPABILITY_METHODS = {
+    stt: 'recognize',
+    translate: 'translate',
+    tts: 'synthesize'
+};
+
+const CAPABILITY_LABELS = {
+    stt: '语音识别',
+    translate: '文本翻译',
+    tts: '语音合成'
+};
+
+const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+// 路由策略：返回负数表示 a 优先
+const STRATEGIES = {
+    cost: (a, b) => a.cost - b.cost || b.quality - a.quality,
+    latency: (a, b) => a.latency - b.latency || b.quality - a.quality,
+    quality: (a, b) => b.quality - a.quality || a.cost - b.cost
+};
+
+const BUILT_IN_ADAPTERS = {
+    azure: createAzureProvider,
+    google: createGoogleProvider,
+    googleCloud: createGoogleCloudProvider,
+    baidu: createBaiduProvider,
+    local: createLocalProvider
+};
+
+/**
+ * 语音识别、文本翻译、语音合成服务提供方注册表
+ * Language Provider Registry
+ *
+ * 按语言能力、启用状态和熔断状态筛选提供方，按成本、延迟或质量排序，
+ * 调用失败时依次切换到下一个提供方；每个提供方的每项能力单独熔断：
+ * 连续失败达到阈值后在 openDuration 内跳过，之后放行一次试探调用，成功则恢复
+ */
+class LanguageProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.failureThreshold = 5;
+        this.openDuration = 30 * 1000;
+        this.latencySmoothing = 0.2; // 延迟统计的指数平滑系数
+
+        for (const [name, createAdapter] of Object.entries(BUILT_IN_ADAPTERS)) {
+            this.registerProvider(name, createAdapter(), LANGUAGE_PROVIDERS[name]);
+        }
+    }
+
+    /**
+     * 注册提供方，adapter 需按 metadata.capabilities 提供 recognize / translate / synthesize 方法
+     */
+    registerProvider(name, adapter, metadata) {
+        const capabilities = Object.keys((metadata && metadata.capabilities) || {});
+        if (capabilities.length === 0) {
+            throw new Error(`语言服务 ${name} 未声明任何能力`);
+        }
+        for (const capability of capabilities) {
+            const method = CAPABILITY_METHODS[capability];
+            if (!method) {
+                throw new Error(`语言服务 ${name} 声明了未知能力: ${capability}`);
+            }
+            if (!adapter || typeof adapter[method] !== 'function') {
+                throw new Error(`语言服务 ${name} 必须提供 ${method} 方法`);
+            }
+        }
+
+        this.providers.set(name, {
+            name,
+            adapter,
+            metadata,
+            health: Object.fromEntries(capabilities.map(capability => [capability, {
+                state: BREAKER_STATES.CLOSED,
+                consecutiveFailures: 0,
+                openedAt: null,
+                trialInFlight: false,
+                calls: 0,
+                failures: 0,
+                latency: null,
+                lastError: null,
+                lastFailureAt: null
+            }]))
+        });
+    }
+
+    unregisterProvider(name) {
+        return this.providers.delete(name);
+    }
+
+    getStrategy(strategy) {
+        const name = strategy || process.env.LANGUAGE_PROVIDER_STRATEGY || 'quality';
+        return STRATEGIES[name] ? name : 'quality';
+    }
+
+    /**
+     * 提供方的该项能力是否已配置（所需环境变量均已设置且未被 LANGUAGE_PROVIDERS 排除）
+     */
+    isEnabled(name, capability) {
+        const provider = this.providers.get(name);
+        const spec = provider && provider.metadata.capabilities[capability];
+        if (!spec) return false;
+
+        const allowed = (process.env.LANGUAGE_PROVIDERS || '').split(',').map(item => item.trim()).filter(Boolean);
+        if (allowed.length > 0 && !allowed.includes(name)) return false;
+
+        return (spec.requires || []).every(variable => Boolean(process.env[variable]));
+    }
+
+    supportsLanguages(spec, languages) {
+        if (spec.languages === '*') return true;
+        return languages
+            .filter(language => language && language !== 'auto')
+            .every(language => spec.languages.includes(baseLanguage(language)));
+    }
+
+    /**
+     * 熔断器是否允许调用；打开状态超过 openDuration 后转为半开，只放行一次试探调用
+     */
+    canAttempt(health) {
+        if (health.state === BREAKER_STATES.OPEN) {
+            if (Date.now() - health.openedAt < this.openDuration) return false;
+            health.state = BREAKER_STATES.HALF_OPEN;
+        }
+        return !(health.state === BREAKER_STATES.HALF_OPEN && health.trialInFlight);
+    }
+
+    /**
+     * 候选提供方（按策略排序），options.providers 可限定候选范围
+     * 兜底提供方只在没有其他可用提供方时使用，避免真实服务故障时返回模拟结果
+     */
+    getCandidates(capability, languages, options = {}) {
+        const compare = STRATEGIES[this.getStrategy(options.strategy)];
+        const scoreLanguage = baseLanguage(languages[languages.length - 1] || '');
+
+        const candidates = [...this.providers.values()]
+            .filter(provider => !options.providers || options.providers.includes(provider.name))
+            .filter(provider => this.isEnabled(provider.name, capability))
+            .map(provider => {
+                const spec = provider.metadata.capabilities[capability];
+                return {
+                    provider,
+                    spec,
+                    fallback: Boolean(provider.metadata.fallback),
+                    cost: spec.cost || 0,
+                    latency: provider.health[capability].latency !== null
+                        ? provider.health[capability].latency
+                        : spec.latency || 0,
+                    quality: (spec.languageQuality && spec.languageQuality[scoreLanguage]) || spec.quality || 0
+                };
+            })
+            .filter(candidate => this.supportsLanguages(candidate.spec, languages))
+            .sort(compare);
+
+        const primary = candidates.filter(candidate => !candidate.fallback);
+        return (primary.length > 0 ? primary : candidates).map(candidate => candidate.provider);
+    }
+
+    recordSuccess(health, latency) {
+        health.calls += 1;
+        health.consecutiveFailures = 0;
+        health.state = BREAKER_STATES.CLOSED;
+        health.openedAt = null;
+        health.latency = health.latency === null
+            ? latency
+            : Math.round(health.latency * (1 - this.latencySmoothing) + latency * this.latencySmoothing);
+    }
+
+    recordFailure(health, error) {
+        health.calls += 1;
+        health.failures += 1;
+        health.consecutiveFailures += 1;
+        health.lastError = error.message;
+        health.lastFailureAt = new Date();
+        if (health.state === BREAKER_STATES.HALF_OPEN || health.consecutiveFailures >= this.failureThreshold) {
+            health.state = BREAKER_STATES.OPEN;
+            health.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * 依次调用候选提供方直到成功，返回 { provider, result }
+     * 全部失败时抛出错误，error.attempts 记录每个提供方的失败原因
+     */
+    async execute(capability, languages, call, options = {}) {
+        const candidates = this.getCandidates(capability, languages, options);
+        const attempts = [];
+
+        for (const provider of candidates) {
+            const health = provider.health[capability];
+            if (!this.canAttempt(health)) {
+                attempts.push({ provider: provider.name, error: '熔断中' });
+                continue;
+            }
+
+            const trial = health.state === BREAKER_STATES.HALF_OPEN;
+            health.trialInFlight = trial;
+            const startedAt = Date.now();
+            try {
+                const result = await call(provider.adapter);
+                this.recordSuccess(health, Date.now() - startedAt);
+                return { provider: provider.name, result };
+            } catch (error) {
+                this.recordFailure(health, error);
+                attempts.push({ provider: provider.name, error: error.message });
+                console.warn(`${CAPABILITY_LABELS[capability]}服务 ${provider.name} 调用失败:`, error.message);
+            } finally {
+                if (trial) health.trialInFlight = false;
+            }
+        }
+
+        const error = new Error(candidates.length === 0
+            ? `没有支持该语言的${CAPABILITY_LABELS[capability]}服务`
+            : `${CAPABILITY_LABELS[capability]}服务均不可用`);
+        error.attempts = attempts;
+        throw error;
+    }
+
+    /**
+     * 语音识别，language 为 'auto' 时由提供方使用默认语言
+     * 返回 { text, confidence, language, alternatives, wordTimestamps, provider }
+     */
+    async speechToText(audio, language = 'auto', options = {}) {
+        const { provider, result } = await this.execute('stt', [language],
+            adapter => adapter.recognize(audio, language, options), options);
+
+        return {
+            alternatives: [],
+            wordTimestamps: [],
+            ...result,
+            provider
+        };
+    }
+
+    /**
+     * 文本翻译，源语言与目标语言相同时直接返回原文
+     * 返回 { text, sourceLanguage, confidence, alternatives, provider }
+     */
+    async translate(text, sourceLanguage, targetLanguage, options = {}) {
+        if (sourceLanguage === targetLanguage) {
+            return { text, sourceLanguage, confidence: 1.0, alternatives: [], provider: null };
+        }
+
+        const { provider, result } = await this.execute('translate', [sourceLanguage, targetLanguage],
+            adapter => adapter.translate(text, sourceLanguage, targetLanguage, options), options);
+
+        return {
+            alternatives: [],
+            ...result,
+            provider
+        };
+    }
+
+    /**
+     * 语音合成，返回 { audio, format, provider }
+     */
+    async synthesize(text, language, options = {}) {
+        const { provider, result } = await this.execute('tts', [language],
+            adapter => adapter.synthesize(text, language, options), options);
+
+        return { ...result, provider };
+    }
+
+    /**
+     * 是否有可用的（已配置且未熔断的）非兜底提供方
+     */
+    isAvailable(capability) {
+        return [...this.providers.values()].some(provider => !provider.metadata.fallback &&
+            this.isEnabled(provider.name, capability) &&
+            provider.health[capability].state !== BREAKER_STATES.OPEN);
+    }
+
+    /**
+     * 各提供方的配置、熔断状态和调用统计
+     */
+    getStatus() {
+        return {
+            strategy: this.getStrategy(),
+            providers: [...this.providers.values()].map(provider => ({
+                name: provider.name,
+                displayName: provider.metadata.name,
+                fallback: Boolean(provider.metadata.fallback),
+                capabilities: Object.fromEntries(Object.entries(provider.health).map(([capability, health]) => [capability, {
+                    enabled: this.isEnabled(provider.name, capability),
+                    state: health.state,
+                    calls: health.calls,
+                    failures: health.failures,
+                    latency: health.latency,
+                    lastError: health.lastError,
+                    lastFailureAt: health.lastFailureAt
+                }]))
+            }))
+        };
+    }
+}
+
+module.exports = new LanguageProviderRegistry();
+module.exports.LanguageProviderRegistry = LanguageProviderRegistry;
+module.exports.BREAKER_STATES = BREAKER_STATES;
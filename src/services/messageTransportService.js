@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * 控制台传输：直接打印到日志，适用于本地开发
+ * 消息正文包含验证码和密码重置链接，生产环境不允许使用
+ */
+const consoleTransport = {
+    async send(message) {
+        console.log(`📨 [${message.channel}] -> ${message.to}: ${message.subject || ''}\n${message.text}`);
+        return { delivered: true };
+    }
+};
+
+/**
+ * 文件传输：按通道追加写入 JSON Lines 文件，便于测试读取
+ */
+const createFileTransport = (outboxDir) => ({
+    outboxDir,
+
+    async send(message) {
+        await fs.mkdir(this.outboxDir, { recursive: true });
+        const file = path.join(this.outboxDir, `${message.channel}.jsonl`);
+        await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+        return { delivered: true, file };
+    }
+});
+
+/**
+ * 消息传输服务（邮件 / 短信）
+ * Message Transport Service
+ *
+ * 传输实现只需提供 send({ channel, to, subject, text, metadata }) 方法，
+ * 可通过 registerTransport 接入真实的邮件或短信服务商
+ */
+class MessageTransportService {
+    constructor() {
+        this.transports = new Map();
+        this.registerTransport('console', consoleTransport);
+        this.registerTransport('file', createFileTransport(
+            process.env.MESSAGE_OUTBOX_DIR || path.join(__dirname, '../../temp/outbox')
+        ));
+    }
+
+    /**
+     * 注册传输实现
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error(`传输实现 ${name} 必须提供 send 方法`);
+        }
+        this.transports.set(name, transport);
+    }
+
+    /**
+     * 获取通道对应的传输实现
+     * 优先读取 EMAIL_TRANSPORT / SMS_TRANSPORT，其次 MESSAGE_TRANSPORT；
+     * 生产环境必须显式配置，且不能使用会把正文打印到日志的 console 传输
+     */
+    getTransport(channel) {
+        const configured = process.env[`${channel.toUpperCase()}_TRANSPORT`] || process.env.MESSAGE_TRANSPORT;
+
+        if (process.env.NODE_ENV === 'production') {
+            if (!configured) {
+                throw new Error(`生产环境必须配置 ${channel.toUpperCase()}_TRANSPORT 或 MESSAGE_TRANSPORT`);
+            }
+            if (configured === 'console') {
+                throw new Error(`生产环境不能使用 console 消息传输（${channel}），正文会写入日志`);
+            }
+        }
+
+        const name = configured || (process.env.NODE_ENV === 'test' ? 'file' : 'console');
+        const transport = this.transports.get(name);
+
+        if (!transport) {
+            throw new Error(`未注册的消息传输: ${name}`);
+        }
+        return transport;
+    }
+
+    /**
+     * 检查邮件和短信通道的传输配置，生产环境配置缺失时拒绝启动
+     */
+    assertConfigured() {
+        this.getTransport('email');
+        this.getTransport('sms');
+    }
+
+    /**
+     * 发送邮件
+     */
+    async sendEmail(to, subject, text, metadata = {}) {
+        return this.getTransport('email').send({ channel: 'email', to, subject, text, metadata });
+    }
+
+    /**
+     * 发送短信
+     */
+    async sendSms(to, text, metadata = {}) {
+        return this.getTransport('sms').send({ channel: 'sms', to, text, metadata });
+    }
+}
+
+module.exports = new MessageTransportService();
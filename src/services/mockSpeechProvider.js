@@ -0,0 +1,38 @@
+// 模拟识别结果按音频时长截取，便于测试中间结果逐步变长
+const DEFAULT_SCRIPT = 'hello everyone welcome to the culture bridge language exchange today we are talking about ' +
+    'traditional festivals and the food we share with our families';
+
+/**
+ * 本地模拟语音服务（不调用任何外部接口），用于测试和未配置语音服务的开发环境
+ * Mock Speech Provider
+ *
+ * 识别结果为脚本中与音频时长对应的前若干个词，翻译结果为 "[目标语言] 原文"，
+ * 合成音频为 "语言:文本" 的字节
+ */
+const createMockSpeechProvider = ({ script = DEFAULT_SCRIPT, wordsPerSecond = 3, sampleRate = 16000 } = {}) => {
+    const words = script.split(/\s+/);
+
+    return {
+        audioFormat: 'mock',
+
+        async recognize(audio, language) {
+            const seconds = audio.length / 2 / sampleRate;
+            const count = Math.min(words.length, Math.max(1, Math.round(seconds * wordsPerSecond)));
+            return {
+                text: words.slice(0, count).join(' '),
+                confidence: 0.9,
+                language
+            };
+        },
+
+        async translate(text, sourceLanguage, targetLanguage) {
+            return sourceLanguage === targetLanguage ? text : `[${targetLanguage}] ${text}`;
+        },
+
+        async synthesize(text, language) {
+            return Buffer.from(`${language}:${text}`, 'utf8');
+        }
+    };
+};
+
+module.exports = { createMockSpeechProvider };
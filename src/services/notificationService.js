@@ -0,0 +1,446 @@
+const webpush = require('web-push');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const messageTransportService = require('./messageTransportService');
+
+// 通知类型对应的用户偏好开关（User.settings.notifications），未列出的类型（如SECURITY）总是发送
+const TYPE_PREFERENCES = {
+    MENTION: 'mentions',
+    REPLY: 'replies',
+    DIRECT_MESSAGE: 'messages',
+    EXCHANGE_INVITE: 'exchanges',
+    REWARD: 'rewards',
+    MODERATION: 'moderation'
+};
+
+// 邮件汇总的最短间隔
+const DIGEST_INTERVALS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+const PREFERENCE_FIELDS = ['email', 'push', ...Object.values(TYPE_PREFERENCES), 'emailDigest'];
+
+// 允许的浏览器推送服务域名（含子域名）：FCM、Mozilla autopush、Apple、WNS
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'push.services.mozilla.com',
+    'push.apple.com',
+    'notify.windows.com'
+];
+
+/**
+ * 订阅地址必须是已知推送服务的https地址，避免服务器向任意地址发请求
+ */
+const isPushServiceEndpoint = (endpoint) => {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.port || url.username || url.password) {
+        return false;
+    }
+    const host = url.hostname.toLowerCase();
+    return PUSH_SERVICE_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+};
+
+/**
+ * Socket通道：推送到用户专属房间，没有在线连接时视为未投递
+ * 通过 attachSocket 接入各个Socket.IO服务
+ */
+const createSocketChannel = () => ({
+    mode: 'immediate',
+    servers: new Map(),
+
+    isEnabled() {
+        return this.servers.size > 0;
+    },
+
+    async deliver(user, [notification]) {
+        let delivered = false;
+        for (const [io, getUserRoom] of this.servers) {
+            const room = getUserRoom(user._id.toString());
+            const sockets = await io.in(room).fetchSockets();
+            if (sockets.length > 0) {
+                io.to(room).emit('notification', notification);
+                delivered = true;
+            }
+        }
+        return delivered;
+    }
+});
+
+/**
+ * Web Push通道（VAPID），订阅失效（404/410）时自动删除
+ */
+const webPushChannel = {
+    mode: 'immediate',
+
+    isEnabled(preferences) {
+        return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) &&
+            preferences.push !== false;
+    },
+
+    async deliver(user, [notification]) {
+        const subscriptions = await PushSubscription.find({ user: user._id });
+        const payload = JSON.stringify({
+            id: notification._id,
+            type: notification.type,
+            title: notification.title,
+            body: notification.body,
+            data: notification.data
+        });
+        const vapidDetails = {
+            subject: process.env.VAPID_SUBJECT || 'mailto:support@culturebridge.com',
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY
+        };
+
+        let delivered = false;
+        for (const subscription of subscriptions) {
+            // 清理限制推送服务域名之前保存的订阅
+            if (!isPushServiceEndpoint(subscription.endpoint)) {
+                await PushSubscription.deleteOne({ _id: subscription._id });
+                continue;
+            }
+            try {
+                await webpush.sendNotification({
+                    endpoint: subscription.endpoint,
+                    keys: subscription.keys
+                }, payload, { vapidDetails, TTL: 24 * 60 * 60 });
+                subscription.lastUsedAt = new Date();
+                await subscription.save();
+                delivered = true;
+            } catch (error) {
+                if ([404, 410].includes(error.statusCode)) {
+                    await PushSubscription.deleteOne({ _id: subscription._id });
+                } else {
+                    console.error('Web Push发送失败:', error.message);
+                }
+            }
+        }
+        return delivered;
+    }
+};
+
+/**
+ * 邮件汇总通道：定期把离线期间未读的通知合并成一封邮件
+ */
+const emailDigestChannel = {
+    mode: 'digest',
+
+    isEnabled(preferences) {
+        return preferences.email !== false && preferences.emailDigest !== 'off';
+    },
+
+    async deliver(user, notifications) {
+        if (!user.email) {
+            return false;
+        }
+
+        const lines = notifications.map(notification =>
+            `- ${notification.title}${notification.body ? `：${notification.body}` : ''}`
+        );
+        await messageTransportService.sendEmail(
+            user.email,
+            `CultureBridge：您有${notifications.length}条未读通知`,
+            `${user.username}，您好：\n\n${lines.join('\n')}\n\n登录 CultureBridge 查看详情。`,
+            { purpose: 'notification_digest', notifications: notifications.map(notification => notification._id) }
+        );
+        return true;
+    }
+};
+
+/**
+ * 通知服务（站内信箱、Socket / Web Push 实时投递与邮件汇总）
+ * Notification Service
+ *
+ * 通道实现需提供 mode（immediate | digest）、isEnabled(preferences) 和
+ * deliver(user, notifications) 方法，可通过 registerChannel 接入其他推送服务
+ */
+class NotificationService {
+    constructor() {
+        this.channels = new Map();
+        this.registerChannel('socket', createSocketChannel());
+        this.registerChannel('push', webPushChannel);
+        this.registerChannel('email', emailDigestChannel);
+        this.digestCheckInterval = 15 * 60 * 1000;
+        this.maxDigestItems = 50;
+        this.maxPageSize = 100;
+    }
+
+    /**
+     * 注册投递通道，已投递时间记录在 Notification.deliveries[name]
+     */
+    registerChannel(name, channel) {
+        if (!channel || typeof channel.deliver !== 'function') {
+            throw new Error(`通知通道 ${name} 必须提供 deliver 方法`);
+        }
+        this.channels.set(name, channel);
+    }
+
+    /**
+     * 接入Socket.IO服务，getUserRoom为该服务的用户专属房间命名
+     */
+    attachSocket(io, getUserRoom = userId => `user:${userId}`) {
+        this.channels.get('socket').servers.set(io, getUserRoom);
+    }
+
+    detachSocket(io) {
+        this.channels.get('socket').servers.delete(io);
+    }
+
+    /**
+     * 创建通知并立即投递：用户在线时通过Socket推送，否则尝试Web Push，
+     * 都未送达的通知留给邮件汇总
+     * 用户关闭了该类通知或通知自己时返回null；通知失败不影响业务操作本身
+     */
+    async notify({ user: userId, type, actor, title, body, data = {} }) {
+        try {
+            if (actor && actor.toString() === userId.toString()) {
+                return null;
+            }
+
+            const user = await User.findById(userId).select('username email settings.notifications');
+            if (!user) {
+                return null;
+            }
+
+            const preferences = this.getPreferencesOf(user);
+            if (preferences[TYPE_PREFERENCES[type]] === false) {
+                return null;
+            }
+
+            const notification = await Notification.create({ user: user._id, type, actor, title, body, data });
+
+            const deliveries = {};
+            for (const [name, channel] of this.channels) {
+                if (channel.mode !== 'immediate' || !channel.isEnabled(preferences)) {
+                    continue;
+                }
+                try {
+                    if (await channel.deliver(user, [notification])) {
+                        deliveries[`deliveries.${name}`] = new Date();
+                        break;
+                    }
+                } catch (error) {
+                    console.error(`通知通道 ${name} 投递失败:`, error.message);
+                }
+            }
+
+            if (Object.keys(deliveries).length > 0) {
+                await Notification.updateOne({ _id: notification._id }, { $set: deliveries });
+                notification.set(deliveries);
+            }
+
+            return notification;
+        } catch (error) {
+            console.error('创建通知失败:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 发送邮件汇总：只包含未读、且未通过任何通道送达的通知
+     * 用户最早一条待汇总通知超过其汇总间隔时才发送，返回发送的邮件数
+     */
+    async sendEmailDigests(now = new Date()) {
+        const channel = this.channels.get('email');
+        const pendingFilter = { read: false };
+        for (const name of this.channels.keys()) {
+            pendingFilter[`deliveries.${name}`] = null;
+        }
+
+        const pendingUsers = await Notification.aggregate([
+            { $match: pendingFilter },
+            { $group: { _id: '$user', oldest: { $min: '$createdAt' } } }
+        ]);
+
+        let sent = 0;
+        for (const { _id: userId, oldest } of pendingUsers) {
+            try {
+                const user = await User.findById(userId).select('username email settings.notifications');
+                if (!user) {
+                    continue;
+                }
+
+                const preferences = this.getPreferencesOf(user);
+                const interval = DIGEST_INTERVALS[preferences.emailDigest];
+                if (!channel.isEnabled(preferences) || !interval || now - oldest < interval) {
+                    continue;
+                }
+
+                const notifications = await Notification.find({ ...pendingFilter, user: userId })
+                    .sort({ createdAt: -1 })
+                    .limit(this.maxDigestItems);
+
+                if (await channel.deliver(user, notifications)) {
+                    // 超出条数上限的旧通知一并标记，避免下次汇总重复提醒
+                    await Notification.updateMany(
+                        { ...pendingFilter, user: userId, createdAt: { $lte: now } },
+                        { $set: { 'deliveries.email': now } }
+                    );
+                    sent++;
+                }
+            } catch (error) {
+                console.error('发送通知邮件汇总失败:', error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * 定期检查并发送邮件汇总
+     */
+    startDigestSchedule() {
+        if (this.digestTimer) {
+            return;
+        }
+        this.digestTimer = setInterval(() => {
+            this.sendEmailDigests().catch(error => {
+                console.error('发送通知邮件汇总失败:', error.message);
+            });
+        }, this.digestCheckInterval);
+        this.digestTimer.unref();
+    }
+
+    stopDigestSchedule() {
+        clearInterval(this.digestTimer);
+        this.digestTimer = null;
+    }
+
+    /**
+     * 信箱列表，unread为true时只返回未读通知
+     */
+    async list(userId, { unread, type, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, this.maxPageSize);
+        const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const filter = { user: userId };
+        if (unread) filter.read = false;
+        if (type) filter.type = type;
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .populate('actor', 'username avatar')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(pageSize),
+            Notification.countDocuments(filter),
+            this.getUnreadCount(userId)
+        ]);
+
+        return { notifications, total, unreadCount };
+    }
+
+    async getUnreadCount(userId) {
+        return Notification.countDocuments({ user: userId, read: false });
+    }
+
+    /**
+     * 标记指定通知为已读或未读，返回更新的数量
+     */
+    async markRead(userId, ids, read = true) {
+        const result = await Notification.updateMany(
+            { user: userId, _id: { $in: ids }, read: !read },
+            read ? { $set: { read: true, readAt: new Date() } } : { $set: { read: false }, $unset: { readAt: 1 } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * 全部标记为已读（可限定类型），返回更新的数量
+     */
+    async markAllRead(userId, { type } = {}) {
+        const filter = { user: userId, read: false };
+        if (type) filter.type = type;
+
+        const result = await Notification.updateMany(filter, { $set: { read: true, readAt: new Date() } });
+        return result.modifiedCount;
+    }
+
+    async remove(userId, id) {
+        const result = await Notification.deleteOne({ _id: id, user: userId });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * 用户的通知偏好（补全默认值）
+     */
+    getPreferencesOf(user) {
+        const stored = user.settings && user.settings.notifications;
+        const preferences = stored && typeof stored.toObject === 'function' ? stored.toObject() : { ...stored };
+        for (const field of PREFERENCE_FIELDS) {
+            if (preferences[field] === undefined) {
+                preferences[field] = field === 'emailDigest' ? 'daily' : true;
+            }
+        }
+        return preferences;
+    }
+
+    /**
+     * 更新通知偏好，只接受已知字段
+     * 返回 { status: 'updated', preferences } 或 { status: 'invalid_preference', field }
+     */
+    async updatePreferences(userId, changes) {
+        const update = {};
+        for (const [field, value] of Object.entries(changes || {})) {
+            if (!PREFERENCE_FIELDS.includes(field)) {
+                continue;
+            }
+            const valid = field === 'emailDigest'
+                ? Object.prototype.hasOwnProperty.call(DIGEST_INTERVALS, value) || value === 'off'
+                : typeof value === 'boolean';
+            if (!valid) {
+                return { status: 'invalid_preference', field };
+            }
+            update[`settings.notifications.${field}`] = value;
+        }
+
+        const user = await User.findByIdAndUpdate(userId, { $set: update }, {
+            new: true,
+            runValidators: true
+        }).select('settings.notifications');
+
+        return { status: 'updated', preferences: this.getPreferencesOf(user) };
+    }
+
+    getVapidPublicKey() {
+        return process.env.VAPID_PUBLIC_KEY || null;
+    }
+
+    /**
+     * 保存浏览器的Push订阅，同一endpoint重新订阅时转给当前用户
+     * 返回 { status: 'subscribed', subscription } 或 { status: 'push_disabled' | 'invalid_subscription' }
+     */
+    async subscribePush(userId, { endpoint, keys } = {}, userAgent) {
+        if (!this.getVapidPublicKey()) {
+            return { status: 'push_disabled' };
+        }
+        if (typeof endpoint !== 'string' || !isPushServiceEndpoint(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+            return { status: 'invalid_subscription' };
+        }
+
+        const subscription = await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            { user: userId, endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        return { status: 'subscribed', subscription };
+    }
+
+    async unsubscribePush(userId, endpoint) {
+        const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+        return result.deletedCount > 0;
+    }
+}
+
+module.exports = new NotificationService();
+module.exports.TYPE_PREFERENCES = TYPE_PREFERENCES;
+module.exports.PUSH_SERVICE_HOSTS = PUSH_SERVICE_HOSTS;
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const OAUTH_PROVIDERS = require('../config/oauthProviders');
+
+/**
+ * 第三方登录（OAuth2 / OIDC）服务
+ * OAuth2 / OpenID Connect Login Service
+ */
+class OAuthService {
+    constructor() {
+        this.stateTTL = 10 * 60 * 1000; // 10分钟
+        this.httpTimeout = 10000;
+        this.discoveryCache = new Map();
+    }
+
+    /**
+     * 获取提供方配置（合并环境变量覆盖），未启用时返回null
+     */
+    getProviderConfig(key) {
+        const base = OAUTH_PROVIDERS[key];
+        if (!base) return null;
+
+        const prefix = `OAUTH_${key.toUpperCase()}_`;
+        const env = (name) => process.env[prefix + name];
+        const config = {
+            ...base,
+            key,
+            name: env('NAME') || base.name,
+            clientId: env('CLIENT_ID'),
+            clientSecret: env('CLIENT_SECRET'),
+            issuer: env('ISSUER'),
+            authorizationUrl: env('AUTHORIZATION_URL') || base.authorizationUrl,
+            tokenUrl: env('TOKEN_URL') || base.tokenUrl,
+            userInfoUrl: env('USERINFO_URL') || base.userInfoUrl,
+            scope: env('SCOPE') || base.scope
+        };
+
+        if (!config.clientId || !config.clientSecret) return null;
+        if (!config.issuer && !(config.authorizationUrl && config.tokenUrl && config.userInfoUrl)) return null;
+
+        return config;
+    }
+
+    /**
+     * 获取已启用的提供方列表
+     */
+    getEnabledProviders() {
+        return Object.keys(OAUTH_PROVIDERS)
+            .map(key => this.getProviderConfig(key))
+            .filter(Boolean)
+            .map(({ key, name }) => ({ key, name }));
+    }
+
+    /**
+     * 解析OIDC端点（设置了issuer时通过discovery获取）
+     */
+    async resolveEndpoints(config) {
+        if (!config.issuer) return config;
+
+        let metadata = this.discoveryCache.get(config.issuer);
+        if (!metadata) {
+            const { data } = await axios.get(
+                `${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+                { timeout: this.httpTimeout }
+            );
+            metadata = data;
+            this.discoveryCache.set(config.issuer, metadata);
+        }
+
+        return {
+            ...config,
+            authorizationUrl: metadata.authorization_endpoint,
+            tokenUrl: metadata.token_endpoint,
+            userInfoUrl: metadata.userinfo_endpoint
+        };
+    }
+
+    /**
+     * 回调地址（前端页面，拿到code和state后提交给后端）
+     */
+    getRedirectUri(providerKey) {
+        const base = process.env.OAUTH_REDIRECT_URI ||
+            `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oauth/callback`;
+        return `${base.replace(/\/$/, '')}/${providerKey}`;
+    }
+
+    /**
+     * 授权绑定值的哈希（数据库中只保存哈希）
+     */
+    hashBinding(binding) {
+        return crypto.createHash('sha256').update(binding).digest('hex');
+    }
+
+    /**
+     * 生成授权链接并保存一次性state
+     * 返回的 binding 由调用方写入发起授权的浏览器的 httpOnly cookie，回调时凭它消耗state，
+     * 防止把授权链接发给他人完成授权（登录CSRF、把他人的第三方账号绑定到自己的账户）
+     */
+    async createAuthorization(providerKey, { mode = 'login', userId, rememberMe = false } = {}) {
+        const config = await this.resolveEndpoints(this.getProviderConfig(providerKey));
+
+        const state = crypto.randomBytes(24).toString('hex');
+        const binding = crypto.randomBytes(24).toString('hex');
+        const redirectUri = this.getRedirectUri(providerKey);
+        const codeVerifier = config.pkce ? crypto.randomBytes(32).toString('base64url') : undefined;
+
+        await OAuthState.create({
+            state,
+            provider: providerKey,
+            mode,
+            user: userId,
+            codeVerifier,
+            bindingHash: this.hashBinding(binding),
+            redirectUri,
+            rememberMe,
+            expiresAt: new Date(Date.now() + this.stateTTL)
+        });
+
+        const params = new URLSearchParams();
+        if (config.profileMapper === 'wechat') {
+            params.set('appid', config.clientId);
+        } else {
+            params.set('client_id', config.clientId);
+        }
+        params.set('redirect_uri', redirectUri);
+        params.set('response_type', 'code');
+        params.set('scope', config.scope);
+        params.set('state', state);
+        if (codeVerifier) {
+            params.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+            params.set('code_challenge_method', 'S256');
+        }
+
+        // 微信要求在授权链接末尾附加 #wechat_redirect
+        const suffix = config.profileMapper === 'wechat' ? '#wechat_redirect' : '';
+
+        return {
+            authorizationUrl: `${config.authorizationUrl}?${params.toString()}${suffix}`,
+            state,
+            binding,
+            expiresIn: this.stateTTL
+        };
+    }
+
+    /**
+     * 原子地消耗state，保证每次授权只能使用一次；state 必须由持有对应 binding 的浏览器提交
+     */
+    async consumeState(providerKey, state, binding) {
+        if (!state || typeof state !== 'string') return null;
+        if (!binding || typeof binding !== 'string') return null;
+
+        return OAuthState.findOneAndUpdate(
+            {
+                state,
+                provider: providerKey,
+                bindingHash: this.hashBinding(binding),
+                usedAt: { $exists: false },
+                expiresAt: { $gt: new Date() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        ).select('+codeVerifier');
+    }
+
+    /**
+     * 使用授权码换取访问令牌
+     */
+    async exchangeCode(config, code, stateRecord) {
+        if (config.profileMapper === 'wechat') {
+            const { data } = await axios.get(config.tokenUrl, {
+                params: {
+                    appid: config.clientId,
+                    secret: config.clientSecret,
+                    code,
+                    grant_type: 'authorization_code'
+                },
+                timeout: this.httpTimeout
+            });
+            if (data.errcode) {
+                throw new Error(`微信授权失败: ${data.errmsg}`);
+            }
+            return data;
+        }
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: stateRecord.redirectUri,
+            client_id: config.clientId,
+            client_secret: config.clientSecret
+        });
+        if (stateRecord.codeVerifier) {
+            body.set('code_verifier', stateRecord.codeVerifier);
+        }
+
+        const { data } = await axios.post(config.tokenUrl, body.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Accept: 'application/json'
+            },
+            timeout: this.httpTimeout
+        });
+
+        if (!data.access_token) {
+            throw new Error(data.error_description || data.error || '未获取到访问令牌');
+        }
+        return data;
+    }
+
+    /**
+     * 获取第三方用户资料并统一为 { subject, email, emailVerified, displayName, avatar }
+     */
+    async fetchProfile(config, tokens) {
+        const authHeaders = { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' };
+
+        if (config.profileMapper === 'wechat') {
+            const { data } = await axios.get(config.userInfoUrl, {
+                params: { access_token: tokens.access_token, openid: tokens.openid },
+                timeout: this.httpTimeout
+            });
+            if (data.errcode) {
+                throw new Error(`获取微信用户信息失败: ${data.errmsg}`);
+            }
+            return {
+                subject: data.unionid || data.openid,
+                email: undefined,
+                emailVerified: false,
+                displayName: data.nickname,
+                avatar: data.headimgurl
+            };
+        }
+
+        const { data } = await axios.get(config.userInfoUrl, { headers: authHeaders, timeout: this.httpTimeout });
+
+        if (config.profileMapper === 'github') {
+            let email = data.email;
+            let emailVerified = false;
+
+            // GitHub用户资料中的邮箱可能为空或未验证，以邮箱接口中已验证的主邮箱为准
+            if (config.emailsUrl) {
+                const { data: emails } = await axios.get(config.emailsUrl, { headers: authHeaders, timeout: this.httpTimeout });
+                const primary = (emails || []).find(e => e.primary && e.verified);
+                if (primary) {
+                    email = primary.email;
+                    emailVerified = true;
+                }
+            }
+
+            return {
+                subject: data.id !== undefined ? String(data.id) : undefined,
+                email,
+                emailVerified,
+                displayName: data.name || data.login,
+                avatar: data.avatar_url
+            };
+        }
+
+        // 标准OIDC userinfo
+        return {
+            subject: data.sub !== undefined ? String(data.sub) : undefined,
+            email: data.email,
+            emailVerified: data.email_verified === true || data.email_verified === 'true',
+            displayName: data.name || data.preferred_username,
+            avatar: data.picture
+        };
+    }
+
+    /**
+     * 处理授权回调：校验state、换取令牌并获取用户资料
+     * 返回 { status: 'ok' | 'invalid_state' | 'provider_error', profile, stateRecord, error }
+     */
+    async handleCallback(providerKey, { code, state, binding, userId }) {
+        const stateRecord = await this.consumeState(providerKey, state, binding);
+        if (!stateRecord) {
+            return { status: 'invalid_state' };
+        }
+
+        // 绑定流程只能由发起绑定的已登录用户完成
+        if (stateRecord.mode === 'link' && (!userId || String(userId) !== String(stateRecord.user))) {
+            return { status: 'invalid_state' };
+        }
+
+        try {
+            const config = await this.resolveEndpoints(this.getProviderConfig(providerKey));
+            const tokens = await this.exchangeCode(config, code, stateRecord);
+            const profile = await this.fetchProfile(config, tokens);
+
+            if (!profile.subject) {
+                throw new Error('第三方用户标识缺失');
+            }
+
+            return { status: 'ok', profile, stateRecord };
+        } catch (error) {
+            console.error(`第三方登录回调失败 [${providerKey}]:`, error.message);
+            return { status: 'provider_error', error: error.message };
+        }
+    }
+
+    /**
+     * 为第三方账号查找或创建用户
+     * 第三方已验证的邮箱与本地已验证邮箱的用户一致时自动绑定；
+     * 本地邮箱未验证时无法确认账户归属，需要用户登录后手动绑定
+     * 返回 { status: 'existing' | 'linked' | 'created' | 'email_conflict', user }
+     */
+    async resolveUser(providerKey, profile) {
+        const identity = { provider: providerKey, subject: profile.subject };
+
+        let user = await User.findOne({ oauthAccounts: { $elemMatch: identity } });
+        if (user) {
+            return { status: 'existing', user };
+        }
+
+        if (profile.email) {
+            user = await User.findOne({ email: profile.email });
+
+            const localVerified = !!(user && user.verification && user.verification.email &&
+                user.verification.email.verified);
+            if (user && (!profile.emailVerified || !localVerified)) {
+                return { status: 'email_conflict' };
+            }
+            if (user) {
+                const linkStatus = await this.linkIdentity(user, providerKey, profile);
+                // 该邮箱的用户已绑定同一提供方的其他账号
+                if (linkStatus !== 'linked') {
+                    return { status: 'email_conflict' };
+                }
+                return { status: 'linked', user };
+            }
+        }
+
+        const safeSubject = profile.subject.replace(/[^a-zA-Z0-9]/g, '').slice(-24) || crypto.randomBytes(8).toString('hex');
+        const email = profile.email && profile.emailVerified
+            ? profile.email
+            : `${providerKey}_${safeSubject}@oauth.culturebridgechain.com`;
+
+        user = await User.create({
+            username: await this.generateUsername(profile.displayName, providerKey),
+            email,
+            password: crypto.randomBytes(32).toString('hex'), // 随机密码
+            profile: { avatar: profile.avatar },
+            verification: {
+                email: {
+                    verified: !!(profile.email && profile.emailVerified),
+                    verifiedAt: profile.emailVerified ? new Date() : undefined
+                }
+            },
+            security: { passwordSet: false },
+            oauthAccounts: [{
+                ...identity,
+                email: profile.email,
+                displayName: profile.displayName
+            }]
+        });
+
+        return { status: 'created', user };
+    }
+
+    /**
+     * 生成不重复的用户名
+     */
+    async generateUsername(displayName, providerKey) {
+        const base = String(displayName || providerKey)
+            .replace(/[^\w一-龥]/g, '')
+            .slice(0, 40) || providerKey;
+
+        let username = base;
+        while (await User.exists({ username })) {
+            username = `${base}_${crypto.randomBytes(3).toString('hex')}`;
+        }
+        return username;
+    }
+
+    /**
+     * 为用户绑定第三方账号（每个提供方只能绑定一个账号）
+     * 返回 'linked' | 'already_linked' | 'linked_to_other' | 'provider_already_linked'
+     */
+    async linkIdentity(user, providerKey, profile) {
+        const owner = await User.findOne({
+            oauthAccounts: { $elemMatch: { provider: providerKey, subject: profile.subject } }
+        }).select('_id');
+
+        if (owner) {
+            return String(owner._id) === String(user._id) ? 'already_linked' : 'linked_to_other';
+        }
+
+        const result = await User.updateOne(
+            { _id: user._id, 'oauthAccounts.provider': { $ne: providerKey } },
+            {
+                $push: {
+                    oauthAccounts: {
+                        provider: providerKey,
+                        subject: profile.subject,
+                        email: profile.email,
+                        displayName: profile.displayName,
+                        linkedAt: new Date()
+                    }
+                }
+            }
+        );
+
+        return result.modifiedCount > 0 ? 'linked' : 'provider_already_linked';
+    }
+
+    /**
+     * 解除第三方账号绑定
+     * 返回 'unlinked' | 'not_linked' | 'last_login_method'
+     */
+    async unlinkIdentity(userId, providerKey) {
+        const user = await User.findById(userId);
+        const accounts = user.oauthAccounts || [];
+
+        if (!accounts.some(account => account.provider === providerKey)) {
+            return 'not_linked';
+        }
+
+        // 没有设置密码、未绑定钱包且这是唯一的第三方账号时，解绑后将无法登录
+        const hasOtherLoginMethod = user.security.passwordSet !== false ||
+            !!user.walletAddress ||
+            accounts.some(account => account.provider !== providerKey);
+        if (!hasOtherLoginMethod) {
+            return 'last_login_method';
+        }
+
+        await User.updateOne({ _id: userId }, { $pull: { oauthAccounts: { provider: providerKey } } });
+        return 'unlinked';
+    }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,169 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * 账户相关安全事件类型
+ * Account Security Event Types
+ */
+const SECURITY_EVENT_TYPES = {
+    LOGIN: 'LOGIN',
+    LOGIN_FAILED: 'LOGIN_FAILED',
+    LOGOUT: 'LOGOUT',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+    WALLET_CREATED: 'WALLET_CREATED',
+    WALLET_BOUND: 'WALLET_BOUND',
+    EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+    PHONE_VERIFIED: 'PHONE_VERIFIED',
+    TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+    TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+    TWO_FACTOR_RECOVERY_CODES_REGENERATED: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+    TOKEN_REFRESHED: 'TOKEN_REFRESHED',
+    REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+    SESSION_REVOKED: 'SESSION_REVOKED',
+    API_KEY_CREATED: 'API_KEY_CREATED',
+    API_KEY_REVOKED: 'API_KEY_REVOKED',
+    ROLE_GRANTED: 'ROLE_GRANTED',
+    ROLE_REVOKED: 'ROLE_REVOKED',
+    OAUTH_LINKED: 'OAUTH_LINKED',
+    OAUTH_UNLINKED: 'OAUTH_UNLINKED',
+    ACCOUNT_DELETION_SCHEDULED: 'ACCOUNT_DELETION_SCHEDULED',
+    ACCOUNT_DELETION_CANCELLED: 'ACCOUNT_DELETION_CANCELLED',
+    ACCOUNT_DELETED: 'ACCOUNT_DELETED',
+    DATA_EXPORTED: 'DATA_EXPORTED'
+};
+
+const ACCOUNT_EVENT_SEVERITY = {
+    LOGIN_FAILED: 'medium',
+    PASSWORD_CHANGED: 'medium',
+    PASSWORD_RESET: 'high',
+    WALLET_BOUND: 'medium',
+    TWO_FACTOR_DISABLED: 'high',
+    REFRESH_TOKEN_REUSED: 'high',
+    API_KEY_CREATED: 'medium',
+    ROLE_GRANTED: 'high',
+    ROLE_REVOKED: 'high',
+    OAUTH_LINKED: 'medium',
+    OAUTH_UNLINKED: 'medium',
+    ACCOUNT_DELETION_SCHEDULED: 'high',
+    ACCOUNT_DELETED: 'high',
+    DATA_EXPORTED: 'medium'
+};
+
+/**
+ * 安全日志服务
+ * Security Log Service
+ */
+class SecurityLogService {
+    /**
+     * 记录安全事件
+     * 记录失败不会影响调用方流程
+     */
+    async record(type, { user, req, success = true, severity, category, details = {} } = {}) {
+        const eventType = String(type).toUpperCase();
+        const isAccountEvent = Object.prototype.hasOwnProperty.call(SECURITY_EVENT_TYPES, eventType);
+
+        try {
+            return await SecurityEvent.create({
+                user: user ? (user._id || user.id || user) : undefined,
+                type: eventType,
+                category: category || (isAccountEvent ? 'account' : 'system'),
+                severity: severity || ACCOUNT_EVENT_SEVERITY[eventType] || 'low',
+                success,
+                ...this.getRequestContext(req, details),
+                details
+            });
+        } catch (error) {
+            console.error(`记录安全事件失败 [${eventType}]:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 从请求中提取IP和User-Agent
+     */
+    getRequestContext(req, details = {}) {
+        if (!req) {
+            return {
+                ip: details.ip,
+                userAgent: details.userAgent
+            };
+        }
+
+        return {
+            ip: req.ip,
+            userAgent: typeof req.get === 'function' ? req.get('User-Agent') : undefined
+        };
+    }
+
+    /**
+     * 根据查询参数构建过滤条件
+     * 支持 type（逗号分隔）、from、to、success、severity
+     */
+    buildFilter(query = {}) {
+        const filter = {};
+
+        if (query.type) {
+            const types = String(query.type).split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+            filter.type = types.length === 1 ? types[0] : { $in: types };
+        }
+
+        if (query.from || query.to) {
+            filter.createdAt = {};
+            if (query.from) {
+                const from = new Date(query.from);
+                if (!isNaN(from.getTime())) filter.createdAt.$gte = from;
+            }
+            if (query.to) {
+                const to = new Date(query.to);
+                if (!isNaN(to.getTime())) filter.createdAt.$lte = to;
+            }
+            if (Object.keys(filter.createdAt).length === 0) delete filter.createdAt;
+        }
+
+        if (query.success === 'true' || query.success === 'false') {
+            filter.success = query.success === 'true';
+        }
+
+        // 只接受字符串，忽略 severity[$ne]= 之类的查询对象
+        if (typeof query.severity === 'string' && query.severity) {
+            filter.severity = query.severity;
+        }
+
+        if (typeof query.category === 'string' && query.category) {
+            filter.category = query.category;
+        }
+
+        return filter;
+    }
+
+    /**
+     * 分页查询安全事件
+     */
+    async getEvents(filter, { page = 1, limit = 20 } = {}) {
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [events, total] = await Promise.all([
+            SecurityEvent.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((currentPage - 1) * pageSize)
+                .limit(pageSize)
+                .populate('user', 'username email'),
+            SecurityEvent.countDocuments(filter)
+        ]);
+
+        return {
+            events,
+            pagination: {
+                page: currentPage,
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+}
+
+module.exports = new SecurityLogService();
+module.exports.SECURITY_EVENT_TYPES = SECURITY_EVENT_TYPES;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const AuthSession = require('../models/AuthSession');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 会话服务：管理设备会话与刷新令牌轮换
+ * Session Service
+ */
+class SessionService {
+    constructor() {
+        this.lastSeenThrottleMs = 60 * 1000;
+    }
+
+    /**
+     * 哈希刷新令牌
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * 生成刷新令牌，格式：<sessionId>.<随机串>
+     */
+    generateRefreshToken(sessionId) {
+        return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+    }
+
+    /**
+     * 会话有效期（天）
+     */
+    getSessionLifetimeDays(rememberMe) {
+        return rememberMe ? 30 : 1;
+    }
+
+    /**
+     * 创建新会话
+     */
+    async createSession(user, req, { rememberMe = false } = {}) {
+        const session = new AuthSession({
+            user: user._id || user.id,
+            userAgent: req && typeof req.get === 'function' ? req.get('User-Agent') : undefined,
+            ip: req ? req.ip : undefined,
+            expiresAt: new Date(Date.now() + this.getSessionLifetimeDays(rememberMe) * DAY_MS),
+            refreshTokenHash: 'pending'
+        });
+
+        const refreshToken = this.generateRefreshToken(session._id);
+        session.refreshTokenHash = this.hashToken(refreshToken);
+        await session.save();
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * 轮换刷新令牌
+     * 返回 status: 'rotated' | 'reused' | 'invalid'
+     * 已轮换的旧令牌被再次使用时，整个会话（令牌家族）会被吊销
+     * 以当前令牌哈希为条件原子更新，并发使用同一令牌时只有一个请求轮换成功，其余按重用处理
+     */
+    async rotateRefreshToken(refreshToken, req) {
+        const [sessionId] = String(refreshToken || '').split('.');
+
+        if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+            return { status: 'invalid' };
+        }
+
+        const presentedHash = this.hashToken(refreshToken);
+        const nextToken = this.generateRefreshToken(sessionId);
+        const now = new Date();
+
+        const update = {
+            $set: {
+                refreshTokenHash: this.hashToken(nextToken),
+                lastRotatedAt: now,
+                lastSeenAt: now
+            },
+            $push: { rotatedTokenHashes: presentedHash }
+        };
+        if (req) {
+            update.$set.ip = req.ip;
+            if (typeof req.get === 'function') update.$set.userAgent = req.get('User-Agent');
+        }
+
+        const rotated = await AuthSession.findOneAndUpdate({
+            _id: sessionId,
+            refreshTokenHash: presentedHash,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: now }
+        }, update, { new: true });
+
+        if (rotated) {
+            return { status: 'rotated', session: rotated, refreshToken: nextToken };
+        }
+
+        const session = await AuthSession.findById(sessionId).select('+rotatedTokenHashes');
+
+        if (!session || !session.isActive) {
+            return { status: 'invalid', session };
+        }
+
+        if (session.rotatedTokenHashes.includes(presentedHash)) {
+            await this.revokeSession(session._id, 'TOKEN_REUSE');
+            return { status: 'reused', session };
+        }
+
+        return { status: 'invalid', session };
+    }
+
+    /**
+     * 校验访问令牌所属会话是否仍然有效，并节流更新最后活跃时间
+     */
+    async validateSession(sessionId, userId) {
+        if (!/^[a-f0-9]{24}$/.test(String(sessionId))) {
+            return null;
+        }
+
+        const session = await AuthSession.findById(sessionId);
+
+        if (!session || !session.isActive || String(session.user) !== String(userId)) {
+            return null;
+        }
+
+        if (Date.now() - session.lastSeenAt.getTime() > this.lastSeenThrottleMs) {
+            AuthSession.updateOne({ _id: session._id }, { lastSeenAt: new Date() })
+                .catch(error => console.error('更新会话活跃时间失败:', error));
+        }
+
+        return session;
+    }
+
+    /**
+     * 获取用户的有效会话列表
+     */
+    async listActiveSessions(userId) {
+        return AuthSession.find({
+            user: userId,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+    }
+
+    /**
+     * 吊销单个会话
+     */
+    async revokeSession(sessionId, reason = 'LOGOUT', userId = null) {
+        const query = { _id: sessionId, revokedAt: { $exists: false } };
+        if (userId) query.user = userId;
+
+        const result = await AuthSession.updateOne(query, {
+            revokedAt: new Date(),
+            revokedReason: reason
+        });
+
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * 吊销用户的所有会话（可保留当前会话）
+     */
+    async revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+        const query = { user: userId, revokedAt: { $exists: false } };
+        if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+        const result = await AuthSession.updateMany(query, {
+            revokedAt: new Date(),
+            revokedReason: reason
+        });
+
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new SessionService();
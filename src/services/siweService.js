@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const WalletNonce = require('../models/WalletNonce');
+
+const MESSAGE_HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+/**
+ * Sign-In with Ethereum (EIP-4361) 服务
+ * 签发一次性登录消息，并在签发JWT前逐项校验消息字段
+ */
+class SiweService {
+    constructor() {
+        this.nonceTTL = parseInt(process.env.SIWE_NONCE_TTL) || 5 * 60 * 1000; // 5分钟
+        this.clockSkew = 60 * 1000; // 允许1分钟时钟偏差
+        this.statement = process.env.SIWE_STATEMENT || '登录 CultureBridge / Sign in to CultureBridge';
+    }
+
+    /**
+     * 获取SIWE配置
+     * 域名必须由 SIWE_DOMAIN 配置：请求的 Host 头由客户端控制，不能用于域名绑定
+     */
+    getConfig() {
+        const domain = process.env.SIWE_DOMAIN;
+        if (!domain) {
+            throw new Error('未配置 SIWE_DOMAIN，钱包登录不可用');
+        }
+
+        return {
+            domain,
+            uri: process.env.SIWE_URI || `https://${domain}`,
+            chainId: parseInt(process.env.SIWE_CHAIN_ID || process.env.BSC_CHAIN_ID) ||
+                (process.env.NODE_ENV === 'production' ? 56 : 97)
+        };
+    }
+
+    /**
+     * 启动时检查配置，缺少 SIWE_DOMAIN 时抛出错误
+     */
+    assertConfigured() {
+        this.getConfig();
+    }
+
+    /**
+     * 生成随机数（EIP-4361 要求至少8位字母数字）
+     */
+    generateNonce() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * 按EIP-4361格式构建消息
+     */
+    buildMessage(fields) {
+        const lines = [
+            `${fields.domain}${MESSAGE_HEADER_SUFFIX}`,
+            fields.address,
+            ''
+        ];
+
+        if (fields.statement) {
+            lines.push(fields.statement);
+        }
+        lines.push('');
+
+        lines.push(`URI: ${fields.uri}`);
+        lines.push(`Version: ${fields.version || '1'}`);
+        lines.push(`Chain ID: ${fields.chainId}`);
+        lines.push(`Nonce: ${fields.nonce}`);
+        lines.push(`Issued At: ${fields.issuedAt}`);
+        if (fields.expirationTime) lines.push(`Expiration Time: ${fields.expirationTime}`);
+        if (fields.notBefore) lines.push(`Not Before: ${fields.notBefore}`);
+        if (fields.requestId) lines.push(`Request ID: ${fields.requestId}`);
+        if (fields.resources && fields.resources.length > 0) {
+            lines.push('Resources:');
+            fields.resources.forEach(resource => lines.push(`- ${resource}`));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 解析EIP-4361消息，格式错误时抛出异常
+     */
+    parseMessage(message) {
+        if (typeof message !== 'string' || message.length === 0) {
+            throw new Error('消息为空');
+        }
+
+        const lines = message.split('\n');
+        let index = 0;
+
+        const header = lines[index++];
+        if (!header || !header.endsWith(MESSAGE_HEADER_SUFFIX)) {
+            throw new Error('消息头格式错误');
+        }
+        const domain = header.slice(0, -MESSAGE_HEADER_SUFFIX.length);
+        if (!domain) {
+            throw new Error('缺少域名');
+        }
+
+        const address = lines[index++];
+        if (!/^0x[a-fA-F0-9]{40}$/.test(address || '')) {
+            throw new Error('地址格式错误');
+        }
+
+        if (lines[index++] !== '') {
+            throw new Error('消息格式错误');
+        }
+
+        let statement;
+        if (lines[index] !== '' && !String(lines[index]).startsWith('URI: ')) {
+            statement = lines[index++];
+        }
+        if (lines[index++] !== '') {
+            throw new Error('消息格式错误');
+        }
+
+        const fields = { domain, address, statement };
+        const requiredTags = [
+            ['URI', 'uri'],
+            ['Version', 'version'],
+            ['Chain ID', 'chainId'],
+            ['Nonce', 'nonce'],
+            ['Issued At', 'issuedAt']
+        ];
+        const optionalTags = [
+            ['Expiration Time', 'expirationTime'],
+            ['Not Before', 'notBefore'],
+            ['Request ID', 'requestId']
+        ];
+
+        for (const [tag, key] of requiredTags) {
+            const line = lines[index++];
+            if (!line || !line.startsWith(`${tag}: `)) {
+                throw new Error(`缺少字段: ${tag}`);
+            }
+            fields[key] = line.slice(tag.length + 2);
+        }
+
+        for (const [tag, key] of optionalTags) {
+            const line = lines[index];
+            if (line && line.startsWith(`${tag}: `)) {
+                fields[key] = line.slice(tag.length + 2);
+                index++;
+            }
+        }
+
+        if (lines[index] === 'Resources:') {
+            index++;
+            fields.resources = [];
+            while (index < lines.length && lines[index].startsWith('- ')) {
+                fields.resources.push(lines[index++].slice(2));
+            }
+        }
+
+        if (index !== lines.length) {
+            throw new Error('消息包含无法识别的内容');
+        }
+
+        if (fields.version !== '1') {
+            throw new Error('不支持的消息版本');
+        }
+        if (!/^\d+$/.test(fields.chainId)) {
+            throw new Error('链ID格式错误');
+        }
+        fields.chainId = parseInt(fields.chainId);
+        if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+            throw new Error('随机数格式错误');
+        }
+        for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+            if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) {
+                throw new Error(`时间格式错误: ${key}`);
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * 签发一次性登录消息
+     */
+    async issueNonce(address) {
+        const config = this.getConfig();
+        let checksumAddress;
+
+        try {
+            checksumAddress = ethers.getAddress(address);
+        } catch (error) {
+            throw new Error('无效的钱包地址');
+        }
+
+        const nonce = this.generateNonce();
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.nonceTTL);
+
+        const message = this.buildMessage({
+            domain: config.domain,
+            address: checksumAddress,
+            statement: this.statement,
+            uri: config.uri,
+            version: '1',
+            chainId: config.chainId,
+            nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        });
+
+        await WalletNonce.create({
+            nonce,
+            address: checksumAddress,
+            domain: config.domain,
+            uri: config.uri,
+            chainId: config.chainId,
+            message,
+            issuedAt,
+            expiresAt
+        });
+
+        return {
+            nonce,
+            message,
+            domain: config.domain,
+            uri: config.uri,
+            chainId: config.chainId,
+            issuedAt,
+            expiresAt
+        };
+    }
+
+    /**
+     * 校验已解析消息的各字段
+     * 返回错误信息，校验通过返回null
+     */
+    validateFields(fields, config, expectedAddress, now = Date.now()) {
+        if (fields.domain !== config.domain) {
+            return '域名不匹配';
+        }
+        if (fields.uri !== config.uri) {
+            return 'URI不匹配';
+        }
+        if (fields.chainId !== config.chainId) {
+            return '链ID不匹配';
+        }
+
+        let checksumAddress;
+        try {
+            checksumAddress = ethers.getAddress(fields.address);
+        } catch (error) {
+            return '地址格式错误';
+        }
+        if (checksumAddress !== fields.address) {
+            return '地址必须为EIP-55校验格式';
+        }
+        if (expectedAddress && expectedAddress.toLowerCase() !== fields.address.toLowerCase()) {
+            return '钱包地址与消息不一致';
+        }
+
+        if (Date.parse(fields.issuedAt) > now + this.clockSkew) {
+            return '签发时间无效';
+        }
+        if (!fields.expirationTime) {
+            return '缺少过期时间';
+        }
+        if (Date.parse(fields.expirationTime) <= now) {
+            return '消息已过期';
+        }
+        if (fields.notBefore && Date.parse(fields.notBefore) > now + this.clockSkew) {
+            return '消息尚未生效';
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验签名的SIWE消息并消耗随机数
+     * 返回 { valid, address, fields, error }
+     */
+    async verify({ message, signature, address }) {
+        let fields;
+        try {
+            fields = this.parseMessage(message);
+        } catch (error) {
+            return { valid: false, error: `消息格式无效: ${error.message}` };
+        }
+
+        const config = this.getConfig();
+        const fieldError = this.validateFields(fields, config, address);
+        if (fieldError) {
+            return { valid: false, error: fieldError };
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.verifyMessage(message, signature);
+        } catch (error) {
+            return { valid: false, error: '签名格式无效' };
+        }
+        if (recoveredAddress.toLowerCase() !== fields.address.toLowerCase()) {
+            return { valid: false, error: '签名与地址不匹配' };
+        }
+
+        // 原子地消耗随机数，保证消息只能使用一次
+        const record = await WalletNonce.findOneAndUpdate(
+            {
+                nonce: fields.nonce,
+                usedAt: { $exists: false },
+                expiresAt: { $gt: new Date() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        if (!record) {
+            return { valid: false, error: '随机数无效、已使用或已过期' };
+        }
+
+        if (record.message !== message ||
+            record.domain !== fields.domain ||
+            record.uri !== fields.uri ||
+            record.chainId !== fields.chainId ||
+            record.address !== fields.address.toLowerCase()) {
+            return { valid: false, error: '消息与签发内容不一致' };
+        }
+
+        return { valid: true, address: fields.address, fields };
+    }
+}
+
+module.exports = new SiweService();
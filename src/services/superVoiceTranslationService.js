@@ -1,6 +1,4 @@
-const speech = require('@google-cloud/speech');
-const textToSpeech = require('@google-cloud/text-to-speech');
-const translate = require('@google-cloud/translate').v2.Translate;
+const languageProviderRegistry = require('./languageProviderRegistry');
 const { databaseManager } = require('../utils/databaseManager');
 const fs = require('fs').promises;
 const path = require('path');
@@ -10,22 +8,6 @@ const EventEmitter = require('events');
 class SuperVoiceTranslationService extends EventEmitter {
   constructor() {
     super();
-    
-    // Google Cloud 客户端
-    this.speechClient = new speech.SpeechClient({
-      keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-    });
-    
-    this.ttsClient = new textToSpeech.TextToSpeechClient({
-      keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-    });
-    
-    this.translateClient = new translate.Translate({
-      keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-    });
 
     // 配置
     this.config = {
@@ -87,8 +69,8 @@ class SuperVoiceTranslationService extends EventEmitter {
       // 创建临时目录
       await this.ensureDirectories();
       
-      // 验证Google Cloud配置
-      await this.validateGoogleCloudConfig();
+      // 检查语音服务提供方配置
+      this.checkProviders();
       
       // 启动处理队列
       this.startProcessingQueue();
@@ -123,22 +105,11 @@ class SuperVoiceTranslationService extends EventEmitter {
     }
   }
 
-  // 验证Google Cloud配置
-  async validateGoogleCloudConfig() {
-    try {
-      // 测试语音识别
-      await this.speechClient.getClient();
-      
-      // 测试文本转语音
-      await this.ttsClient.getClient();
-      
-      // 测试翻译
-      const [languages] = await this.translateClient.getLanguages();
-      
-      console.log(`✅ Google Cloud配置验证成功，支持 ${languages.length} 种语言`);
-    } catch (error) {
-      console.error('❌ Google Cloud配置验证失败:', error);
-      throw new Error('Google Cloud服务配置无效');
+  // 检查语音服务提供方配置，未配置时使用本地模拟结果
+  checkProviders() {
+    const missing = ['stt', 'translate', 'tts'].filter(capability => !languageProviderRegistry.isAvailable(capability));
+    if (missing.length > 0) {
+      console.warn(`⚠️ 未配置语音服务提供方（${missing.join(', ')}），将使用本地模拟结果`);
     }
   }
 
@@ -357,35 +328,13 @@ class SuperVoiceTranslationService extends EventEmitter {
         }
       }
 
-      const request = {
-        audio: {
-          content: audioBuffer.toString('base64')
-        },
-        config: {
-          encoding: 'LINEAR16',
-          sampleRateHertz: 16000,
-          languageCode: language,
-          enableAutomaticPunctuation: true,
-          enableWordTimeOffsets: true,
-          enableWordConfidence: true,
-          maxAlternatives: 3,
-          profanityFilter: options.profanityFilter !== false,
-          speechContexts: options.speechContexts || [],
-          adaptation: {
-            phraseSets: options.phraseSets || []
-          }
-        }
-      };
-
-      const [response] = await this.speechClient.recognize(request);
-      
-      if (!response.results || response.results.length === 0) {
-        throw new Error('语音识别未返回结果');
-      }
-
-      const transcription = response.results
-        .map(result => result.alternatives[0].transcript)
-        .join(' ');
+      const { text: transcription } = await languageProviderRegistry.speechToText(audioBuffer, language, {
+        format: 'wav',
+        sampleRate: 16000,
+        profanityFilter: options.profanityFilter !== false,
+        speechContexts: options.speechContexts || [],
+        strategy: options.strategy
+      });
 
       // 缓存结果
       if (this.config.cacheEnabled) {
@@ -417,11 +366,7 @@ class SuperVoiceTranslationService extends EventEmitter {
         }
       }
 
-      const [translation] = await this.translateClient.translate(text, {
-        from: sourceLanguage,
-        to: targetLanguage,
-        format: 'text'
-      });
+      const { text: translation } = await languageProviderRegistry.translate(text, sourceLanguage, targetLanguage);
 
       // 缓存结果
       if (this.config.cacheEnabled) {
@@ -448,31 +393,12 @@ class SuperVoiceTranslationService extends EventEmitter {
         }
       }
 
-      const voiceName = this.supportedLanguages[language]?.voice || 'en-US-Wavenet-D';
-      
-      const request = {
-        input: { text },
-        voice: {
-          languageCode: language,
-          name: voiceName,
-          ssmlGender: options.gender || 'NEUTRAL'
-        },
-        audioConfig: {
-          audioEncoding: 'MP3',
-          speakingRate: options.speakingRate || 1.0,
-          pitch: options.pitch || 0.0,
-          volumeGainDb: options.volumeGain || 0.0,
-          effectsProfileId: options.effectsProfile || ['telephony-class-application']
-        }
-      };
-
-      const [response] = await this.ttsClient.synthesizeSpeech(request);
-      
-      if (!response.audioContent) {
-        throw new Error('语音合成未返回音频内容');
-      }
-
-      const audioBuffer = Buffer.from(response.audioContent);
+      const { audio: audioBuffer } = await languageProviderRegistry.synthesize(text, language, {
+        format: 'mp3',
+        gender: options.gender,
+        speed: options.speakingRate,
+        strategy: options.strategy
+      });
 
       // 缓存结果
       if (this.config.cacheEnabled) {
@@ -676,30 +602,17 @@ class SuperVoiceTranslationService extends EventEmitter {
         timestamp: new Date().toISOString()
       };
 
-      // 检查Google Cloud服务
-      try {
-        await this.speechClient.getClient();
-        health.services.speechToText = { status: 'healthy' };
-      } catch (error) {
-        health.services.speechToText = { status: 'unhealthy', error: error.message };
-        health.healthy = false;
-      }
-
-      try {
-        await this.ttsClient.getClient();
-        health.services.textToSpeech = { status: 'healthy' };
-      } catch (error) {
-        health.services.textToSpeech = { status: 'unhealthy', error: error.message };
-        health.healthy = false;
-      }
-
-      try {
-        await this.translateClient.getLanguages();
-        health.services.translation = { status: 'healthy' };
-      } catch (error) {
-        health.services.translation = { status: 'unhealthy', error: error.message };
-        health.healthy = false;
+      // 检查语音服务提供方
+      const capabilities = { speechToText: 'stt', textToSpeech: 'tts', translation: 'translate' };
+      for (const [service, capability] of Object.entries(capabilities)) {
+        if (languageProviderRegistry.isAvailable(capability)) {
+          health.services[service] = { status: 'healthy' };
+        } else {
+          health.services[service] = { status: 'unhealthy', error: '没有可用的服务提供方' };
+          health.healthy = false;
+        }
       }
+      health.providers = languageProviderRegistry.getStatus();
 
       return health;
     } catch (error) {
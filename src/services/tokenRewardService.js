@@ -2,6 +2,7 @@ const User = require('../models/User');
 const CulturalExchange = require('../models/CulturalExchange');
 const LanguageLearningSession = require('../models/LanguageLearningSession');
 const EnhancedBlockchainService = require('./enhancedBlockchainService');
+const notificationService = require('./notificationService');
 
 class TokenRewardService {
     constructor() {
@@ -35,7 +36,8 @@ class TokenRewardService {
                 commentCreation: 0.5,   // 评论奖励
                 helpfulContent: 2,      // 有用内容奖励
                 moderatorAction: 3,     // 管理员行为奖励
-                reportValidation: 1     // 有效举报奖励
+                reportValidation: 1,    // 有效举报奖励
+                translationCorrection: 2 // 翻译修改被社区采纳奖励
             },
             
             // 特殊成就奖励
@@ -95,6 +97,7 @@ class TokenRewardService {
                             timestamp: new Date()
                         });
                         await user.save();
+                        await this.notifyReward(user, amount, reason, result.transactionHash);
                         
                         return result;
                     } catch (blockchainError) {
@@ -111,6 +114,7 @@ class TokenRewardService {
                 timestamp: new Date()
             });
             await user.save();
+            await this.notifyReward(user, amount, reason);
             
             return {
                 success: true,
@@ -125,6 +129,19 @@ class TokenRewardService {
         }
     }
     
+    /**
+     * 通知用户奖励已到账
+     */
+    async notifyReward(user, amount, reason, transactionHash) {
+        await notificationService.notify({
+            user: user._id,
+            type: 'REWARD',
+            title: `获得 ${amount} CBT`,
+            body: reason,
+            data: { amount, transactionHash }
+        });
+    }
+    
     /**
      * 批量奖励代币
      */
@@ -280,6 +297,10 @@ class TokenRewardService {
                     amount = this.rewardConfig.community.reportValidation;
                     reason = `有效举报奖励`;
                     break;
+                case 'translation_correction':
+                    amount = this.rewardConfig.community.translationCorrection;
+                    reason = `翻译修改被采纳`;
+                    break;
                 default:
                     throw new Error('未知的奖励行为');
             }
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const TranslationMemory = require('../models/TranslationMemory');
+const { escapeXml, unescapeXml } = require('../utils/xml');
+
+const { TRANSLATION_MEMORY_ORIGINS } = TranslationMemory;
+
+// 同一原文有多条译文时的优先级：人工校对 > 导入 > 机器翻译
+const ORIGIN_PRIORITY = { human: 0, import: 1, machine: 2 };
+
+// 模糊匹配只使用人工校对和导入的译文，机器翻译片段来自其他用户的原文，只做完全匹配复用
+const CURATED_ORIGINS = ['human', 'import'];
+
+/**
+ * 归一化语言代码：中文区分简繁，其他语言只保留基础语言代码
+ */
+const normalizeLanguage = (language) => {
+    const [base, ...subtags] = String(language).split('-');
+    const code = base.toLowerCase();
+    if (code === 'zh') {
+        return subtags.some(tag => ['tw', 'hk', 'mo', 'hant'].includes(tag.toLowerCase())) ? 'zh-TW' : 'zh-CN';
+    }
+    return code;
+};
+
+const normalizeSegment = (text) => String(text).trim().replace(/\s+/g, ' ');
+
+const hashSegment = (text) => crypto.createHash('sha256').update(normalizeSegment(text)).digest('hex');
+
+/**
+ * 编辑距离（Levenshtein），按Unicode字符计算
+ */
+const editDistance = (a, b) => {
+    const source = [...a];
+    const target = [...b];
+    let previous = Array.from({ length: target.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[target.length];
+};
+
+/**
+ * 匹配度（0-99）：1 - 编辑距离 / 较长文本的长度，忽略大小写和空白差异；100 只用于完全匹配
+ */
+const matchScore = (a, b) => {
+    const source = normalizeSegment(a).toLowerCase();
+    const target = normalizeSegment(b).toLowerCase();
+    const length = Math.max([...source].length, [...target].length);
+    if (length === 0) return 0;
+    return Math.min(99, Math.floor((1 - editDistance(source, target) / length) * 100));
+};
+
+// TMX要求的时间格式：YYYYMMDDThhmmssZ
+const formatTmxDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TMX片段中的内联标记（bpt / ept / ph / it / ut）包含原文档的格式代码，导入时整体去掉
+const segmentText = (seg) => normalizeSegment(unescapeXml(seg.replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/g, '')));
+
+const toMatch = (segment, score) => ({
+    id: segment._id,
+    sourceText: segment.sourceText,
+    targetText: segment.targetText,
+    origin: segment.origin,
+    score
+});
+
+/**
+ * 翻译记忆服务
+ * Translation Memory Service
+ *
+ * 按语言方向保存翻译过的片段：完全匹配的片段直接复用，不再调用翻译服务；
+ * 编辑距离足够接近的人工译文作为参考（模糊匹配）返回，并统计命中情况
+ */
+class TranslationMemoryService {
+    constructor() {
+        this.fuzzyThreshold = parseInt(process.env.TRANSLATION_MEMORY_FUZZY_THRESHOLD, 10) || 75;
+        this.maxSuggestions = 3;
+        this.maxFuzzyLength = 500; // 更长的文本只做完全匹配
+        this.maxFuzzyCandidates = 500;
+        this.maxImportSize = 10 * 1024 * 1024;
+        this.maxExportSegments = 50000;
+        this.maxTrackedUsers = 10000;
+
+        // 命中统计（进程启动以来）
+        this.stats = this.createCounters();
+        this.userStats = new Map();
+    }
+
+    createCounters() {
+        return { lookups: 0, exactHits: 0, fuzzyHits: 0, misses: 0 };
+    }
+
+    /**
+     * 查找翻译记忆
+     * 返回 { exact, matches }：exact 为完全匹配的片段（优先人工译文），matches 为模糊匹配的人工译文（按匹配度降序）
+     */
+    async lookup(text, sourceLanguage, targetLanguage, { fuzzy = true, limit = this.maxSuggestions } = {}) {
+        if (!text || !sourceLanguage || sourceLanguage === 'auto') {
+            return { exact: null, matches: [] };
+        }
+
+        const source = normalizeLanguage(sourceLanguage);
+        const target = normalizeLanguage(targetLanguage);
+        const sourceHash = hashSegment(text);
+
+        try {
+            const exactSegments = await TranslationMemory.find({ sourceLanguage: source, targetLanguage: target, sourceHash }).lean();
+            const [best] = exactSegments.sort((a, b) =>
+                ORIGIN_PRIORITY[a.origin] - ORIGIN_PRIORITY[b.origin] || b.updatedAt - a.updatedAt);
+
+            const length = [...normalizeSegment(text)].length;
+            let matches = [];
+            if (fuzzy && length <= this.maxFuzzyLength) {
+                const ratio = this.fuzzyThreshold / 100;
+                const candidates = await TranslationMemory.find({
+                    sourceLanguage: source,
+                    targetLanguage: target,
+                    origin: { $in: CURATED_ORIGINS },
+                    sourceHash: { $ne: sourceHash },
+                    sourceLength: { $gte: Math.ceil(length * ratio), $lte: Math.floor(length / ratio) }
+                })
+                    .sort({ usageCount: -1, updatedAt: -1 })
+                    .limit(this.maxFuzzyCandidates)
+                    .select('sourceText targetText origin')
+                    .lean();
+
+                matches = candidates
+                    .map(segment => toMatch(segment, matchScore(text, segment.sourceText)))
+                    .filter(match => match.score >= this.fuzzyThreshold)
+                    .sort((a, b) => b.score - a.score || ORIGIN_PRIORITY[a.origin] - ORIGIN_PRIORITY[b.origin])
+                    .slice(0, limit);
+            }
+
+            return { exact: best ? toMatch(best, 100) : null, matches };
+        } catch (error) {
+            console.warn('查询翻译记忆失败:', error.message);
+            return { exact: null, matches: [] };
+        }
+    }
+
+    /**
+     * 保存片段，同一原文同一来源只保留最新的译文；失败时返回 null，不影响翻译
+     */
+    async store(sourceText, targetText, sourceLanguage, targetLanguage, { origin = 'machine', provider, userId } = {}) {
+        if (!sourceText || !targetText || !sourceLanguage || sourceLanguage === 'auto' ||
+            !TRANSLATION_MEMORY_ORIGINS.includes(origin)) {
+            return null;
+        }
+
+        const normalized = normalizeSegment(sourceText);
+        try {
+            return await TranslationMemory.findOneAndUpdate({
+                sourceLanguage: normalizeLanguage(sourceLanguage),
+                targetLanguage: normalizeLanguage(targetLanguage),
+                sourceHash: hashSegment(normalized),
+                origin
+            }, {
+                $set: {
+                    sourceText: normalized,
+                    targetText: normalizeSegment(targetText),
+                    sourceLength: [...normalized].length,
+                    provider,
+                    createdBy: userId
+                }
+            }, { upsert: true, new: true, setDefaultsOnInsert: true });
+        } catch (error) {
+            console.warn('保存翻译记忆失败:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 记录片段被复用
+     */
+    async markUsed(segmentId) {
+        try {
+            await TranslationMemory.updateOne({ _id: segmentId }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } });
+        } catch (error) {
+            console.warn('更新翻译记忆使用次数失败:', error.message);
+        }
+    }
+
+    /**
+     * 记录一次翻译的命中情况（match: exact | fuzzy | none）
+     */
+    recordResult(userId, match) {
+        const counters = [this.stats];
+        if (userId) {
+            const key = userId.toString();
+            if (!this.userStats.has(key)) {
+                // 超过上限时淘汰最早记录的用户
+                if (this.userStats.size >= this.maxTrackedUsers) {
+                    this.userStats.delete(this.userStats.keys().next().value);
+                }
+                this.userStats.set(key, this.createCounters());
+            }
+            counters.push(this.userStats.get(key));
+        }
+
+        for (const counter of counters) {
+            counter.lookups += 1;
+            if (match === 'exact') counter.exactHits += 1;
+            else if (match === 'fuzzy') counter.fuzzyHits += 1;
+            else counter.misses += 1;
+        }
+    }
+
+    formatCounters(counters) {
+        return {
+            ...counters,
+            hitRate: counters.lookups > 0
+                ? Math.round((counters.exactHits + counters.fuzzyHits) / counters.lookups * 100) / 100
+                : 0
+        };
+    }
+
+    /**
+     * 命中统计和各来源的片段数量，指定 userId 时同时返回该用户的命中统计
+     */
+    async getStats(userId) {
+        const segments = { total: 0 };
+        for (const origin of TRANSLATION_MEMORY_ORIGINS) segments[origin] = 0;
+
+        try {
+            const counts = await TranslationMemory.aggregate([{ $group: { _id: '$origin', count: { $sum: 1 } } }]);
+            for (const { _id, count } of counts) {
+                segments[_id] = count;
+                segments.total += count;
+            }
+        } catch (error) {
+            console.warn('统计翻译记忆失败:', error.message);
+        }
+
+        const userCounters = userId && this.userStats.get(userId.toString());
+        return {
+            segments,
+            overall: this.formatCounters(this.stats),
+            user: userId ? this.formatCounters(userCounters || this.createCounters()) : undefined
+        };
+    }
+
+    /**
+     * 导入TMX（1.1 - 1.4），每个翻译单元按源语言生成到其他各语言的片段，来源记为 import
+     * options.sourceLanguage 覆盖文件头的 srclang，options.targetLanguage 只导入该目标语言
+     * 返回 { status: 'imported', added, updated, skipped }，或 { status: 'invalid_file' | 'invalid_language' | 'too_large' }
+     */
+    async importTmx(content, { sourceLanguage, targetLanguage, userId } = {}) {
+        if (typeof content !== 'string' || !/<tmx\b/.test(content)) return { status: 'invalid_file' };
+        if (Buffer.byteLength(content) > this.maxImportSize) return { status: 'too_large' };
+
+        const header = content.match(/<header\b[^>]*\bsrclang="([^"]+)"/);
+        const srclang = sourceLanguage || (header && header[1]);
+        if (!srclang || srclang === '*all*') return { status: 'invalid_language' };
+
+        const source = normalizeLanguage(srclang);
+        const onlyTarget = targetLanguage && normalizeLanguage(targetLanguage);
+        const operations = new Map();
+        let skipped = 0;
+
+        for (const unit of content.matchAll(/<tu\b[^>]*>([\s\S]*?)<\/tu>/g)) {
+            const variants = [];
+            for (const variant of unit[1].matchAll(/<tuv\b[^>]*\b(?:xml:lang|lang)="([^"]+)"[^>]*>([\s\S]*?)<\/tuv>/g)) {
+                const seg = variant[2].match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/);
+                if (seg) variants.push({ language: normalizeLanguage(variant[1]), text: segmentText(seg[1]) });
+            }
+
+            const sourceVariant = variants.find(variant => variant.language === source);
+            const targets = variants.filter(variant => variant.language !== source &&
+                (!onlyTarget || variant.language === onlyTarget));
+            if (!sourceVariant || !sourceVariant.text || sourceVariant.text.length > 5000 || targets.length === 0) {
+                skipped++;
+                continue;
+            }
+
+            for (const target of targets) {
+                if (!target.text || target.text.length > 10000) {
+                    skipped++;
+                    continue;
+                }
+                const filter = {
+                    sourceLanguage: source,
+                    targetLanguage: target.language,
+                    sourceHash: hashSegment(sourceVariant.text),
+                    origin: 'import'
+                };
+                // 文件中重复的片段以最后一条为准
+                operations.set(JSON.stringify(filter), {
+                    updateOne: {
+                        filter,
+                        update: {
+                            $set: {
+                                sourceText: sourceVariant.text,
+                                targetText: target.text,
+                                sourceLength: [...sourceVariant.text].length,
+                                createdBy: userId
+                            }
+                        },
+                        upsert: true
+                    }
+                });
+            }
+        }
+
+        let added = 0;
+        let updated = 0;
+        const batch = [...operations.values()];
+        for (let offset = 0; offset < batch.length; offset += 500) {
+            const result = await TranslationMemory.bulkWrite(batch.slice(offset, offset + 500), { ordered: false });
+            added += result.upsertedCount;
+            updated += result.matchedCount;
+        }
+
+        return { status: 'imported', added, updated, skipped };
+    }
+
+    /**
+     * 导出为TMX 1.4，默认只导出人工校对和导入的片段
+     */
+    async exportTmx({ sourceLanguage, targetLanguage, origins = CURATED_ORIGINS } = {}) {
+        const source = normalizeLanguage(sourceLanguage);
+        const filter = { sourceLanguage: source, origin: { $in: origins } };
+        if (targetLanguage) filter.targetLanguage = normalizeLanguage(targetLanguage);
+
+        const segments = await TranslationMemory.find(filter)
+            .sort({ updatedAt: -1 })
+            .limit(this.maxExportSegments)
+            .lean();
+
+        const units = segments.map(segment => [
+            `    <tu tuid="${segment._id}" creationdate="${formatTmxDate(segment.createdAt)}" ` +
+                `changedate="${formatTmxDate(segment.updatedAt)}" usagecount="${segment.usageCount || 0}">`,
+            `      <prop type="x-origin">${segment.origin}</prop>`,
+            `      <tuv xml:lang="${escapeXml(segment.sourceLanguage)}"><seg>${escapeXml(segment.sourceText)}</seg></tuv>`,
+            `      <tuv xml:lang="${escapeXml(segment.targetLanguage)}"><seg>${escapeXml(segment.targetText)}</seg></tuv>`,
+            '    </tu>'
+        ].join('\n'));
+
+        return {
+            contentType: 'application/x-tmx+xml; charset=utf-8',
+            fileName: `translation-memory_${source}${filter.targetLanguage ? `_${filter.targetLanguage}` : ''}.tmx`,
+            count: segments.length,
+            content: [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<tmx version="1.4">',
+                `  <header creationtool="CultureBridge" creationtoolversion="1.0" datatype="plaintext" segtype="sentence" ` +
+                    `adminlang="en" srclang="${escapeXml(source)}" o-tmf="CultureBridge"/>`,
+                '  <body>',
+                ...units,
+                '  </body>',
+                '</tmx>',
+                ''
+            ].join('\n')
+        };
+    }
+}
+
+module.exports = new TranslationMemoryService();
+module.exports.normalizeLanguage = normalizeLanguage;
+module.exports.matchScore = matchScore;
+module.exports.normalizeSegment = normalizeSegment;
@@ -0,0 +1,617 @@
+const mongoose = require('mongoose');
+const TranslationReview = require('../models/TranslationReview');
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+const Post = require('../models/Post');
+const VoiceTranslation = require('../models/VoiceTranslation');
+const chatModerationService = require('./chatModerationService');
+const notificationService = require('./notificationService');
+const translationMemoryService = require('./translationMemoryService');
+const TokenRewardService = require('./tokenRewardService');
+const { baseLanguage } = require('./languageProviderAdapters');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+const { TRANSLATION_REVIEW_TARGETS, TRANSLATION_REVIEW_STATUSES } = TranslationReview;
+const { normalizeLanguage, normalizeSegment } = translationMemoryService;
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findTranslation = (document, targetLanguage) =>
+    document.translations.find(translation => normalizeLanguage(translation.language) === normalizeLanguage(targetLanguage));
+
+/**
+ * 各类内容的读取和回写
+ * load 检查用户能否查看内容，返回 { status: 'ok', document, chatRoom, public, sourceText, sourceLanguage, machineText }；
+ * 帖子的译文不保存在服务端，机器译文由提交者提供
+ * apply 在原文未改动时把采纳的修改写回内容的译文
+ */
+const TARGETS = {
+    chat_message: {
+        fields: ['text'],
+        async load(user, id, field, targetLanguage) {
+            const message = await ChatMessage.findById(id);
+            if (!message || message.status === 'DELETED' || message.moderation?.shadowHidden) {
+                return { status: 'not_found' };
+            }
+
+            const room = await ChatRoom.findById(message.chatRoom);
+            if (!room || !(room.isActiveParticipant(user._id) || chatModerationService.canModerate(user, room))) {
+                return { status: 'forbidden' };
+            }
+
+            const translation = findTranslation(message, targetLanguage);
+            return {
+                status: 'ok',
+                document: message,
+                chatRoom: room._id,
+                public: false,
+                sourceText: message.content.text,
+                sourceLanguage: message.content.detectedLanguage,
+                machineText: translation && translation.text
+            };
+        },
+        async apply(review, edit) {
+            const message = await ChatMessage.findById(review.target.id);
+            if (!message || normalizeSegment(message.content.text || '') !== normalizeSegment(review.sourceText)) return false;
+
+            const translation = findTranslation(message, review.targetLanguage);
+            if (!translation) return false;
+            translation.text = edit.text;
+            translation.confidence = 1;
+            translation.review = review._id;
+            await message.save();
+            return true;
+        }
+    },
+    voice_translation: {
+        fields: ['text'],
+        async load(user, id, field, targetLanguage) {
+            const voice = await VoiceTranslation.findById(id);
+            if (!voice) return { status: 'not_found' };
+
+            let allowed = voice.isPublic || voice.user.toString() === user._id.toString();
+            if (!allowed && voice.chatRoom) {
+                const room = await ChatRoom.findById(voice.chatRoom);
+                allowed = Boolean(room) && (room.isActiveParticipant(user._id) || chatModerationService.canModerate(user, room));
+            }
+            if (!allowed) return { status: 'forbidden' };
+
+            const translation = findTranslation(voice, targetLanguage);
+            return {
+                status: 'ok',
+                document: voice,
+                chatRoom: voice.chatRoom,
+                public: voice.isPublic,
+                sourceText: voice.originalText,
+                sourceLanguage: voice.originalLanguage,
+                machineText: translation && translation.text
+            };
+        },
+        async apply(review, edit) {
+            const voice = await VoiceTranslation.findById(review.target.id);
+            if (!voice || normalizeSegment(voice.originalText) !== normalizeSegment(review.sourceText)) return false;
+
+            const translation = findTranslation(voice, review.targetLanguage);
+            if (!translation) return false;
+            translation.text = edit.text;
+            translation.confidence = 1;
+            translation.review = review._id;
+            await voice.save();
+            return true;
+        }
+    },
+    post: {
+        fields: ['content', 'title'],
+        async load(user, id, field, targetLanguage, machineText) {
+            const post = await Post.findById(id);
+            if (!post) return { status: 'not_found' };
+
+            // 待审核隐藏的帖子只有作者可见
+            const hidden = post.moderation?.shadowHidden;
+            if (hidden && post.user.toString() !== user._id.toString()) return { status: 'not_found' };
+
+            return {
+                status: 'ok',
+                document: post,
+                chatRoom: undefined,
+                public: !hidden,
+                sourceText: post[field],
+                sourceLanguage: null,
+                machineText: typeof machineText === 'string' ? machineText.trim() : null
+            };
+        },
+        async apply() {
+            return false;
+        }
+    }
+};
+
+/**
+ * 翻译校对服务
+ * Translation Review Service
+ *
+ * 任何用户都可以把看到的机器译文提交校对；同时掌握原文和译文语言、且已验证或注册满一定天数的用户提出修改并投票。
+ * 净赞成票达到阈值的修改经社区通过，再由版主确认采纳：写回原内容的译文、作为人工译文进入翻译记忆，并给修改者发放CBT奖励
+ */
+class TranslationReviewService {
+    constructor() {
+        this.acceptVotes = parseInt(process.env.TRANSLATION_REVIEW_ACCEPT_VOTES, 10) || 3;
+        // 语言能力是用户自填的资料，未验证邮箱或手机的账户需注册满该天数才能参与校对
+        this.minAccountAgeDays = parseInt(process.env.TRANSLATION_REVIEW_MIN_ACCOUNT_DAYS, 10) || 30;
+        // 每个用户每天最多获得的校对奖励次数
+        this.maxDailyRewards = parseInt(process.env.TRANSLATION_REVIEW_DAILY_REWARDS, 10) || 5;
+        // 双方在时间窗口内互相为对方的修改投过至少这么多次赞成票时视为互相投票，不计入奖励
+        this.reciprocalVotes = 2;
+        this.reciprocalWindowDays = 30;
+        this.maxEdits = 20;
+        this.maxPageSize = 50;
+        // 母语或流利掌握的语言才能参与校对
+        this.reviewerProficiency = ['native', 'fluent'];
+
+        this.tokenRewardService = new TokenRewardService();
+    }
+
+    /**
+     * 用户能参与校对的基础语言代码
+     */
+    getReviewLanguages(user) {
+        const languages = user.languages || {};
+        return new Set([...(languages.native || []), ...(languages.learning || [])]
+            .filter(language => language.code && this.reviewerProficiency.includes(language.proficiency || 'native'))
+            .map(language => baseLanguage(language.code)));
+    }
+
+    isBilingual(user, sourceLanguage, targetLanguage) {
+        const languages = this.getReviewLanguages(user);
+        return languages.has(baseLanguage(sourceLanguage)) && languages.has(baseLanguage(targetLanguage));
+    }
+
+    /**
+     * 已验证邮箱或手机，或注册满 minAccountAgeDays 天的账户才能提出修改和投票
+     */
+    isTrusted(user) {
+        if (user.isContactVerified) return true;
+        const createdAt = user.createdAt ? new Date(user.createdAt).getTime() : NaN;
+        return Date.now() - createdAt >= this.minAccountAgeDays * DAY_MS;
+    }
+
+    /**
+     * 确认采纳社区通过的修改（写入翻译记忆）需要站点版主或翻译记忆管理权限
+     */
+    canConfirm(user) {
+        return hasPermission(user, PERMISSIONS.CHAT_MODERATE) || hasPermission(user, PERMISSIONS.TRANSLATION_MEMORY_MANAGE);
+    }
+
+    /**
+     * 提交机器译文校对，可同时给出修改建议（text）；语音翻译的所有者可附带评分（rating 1-5）
+     * 返回 { status: 'created' | 'exists', review } 或
+     * { status: 'invalid_target' | 'not_found' | 'forbidden' | 'untrusted' | 'no_translation' | 'invalid_language' | 'not_bilingual' | 'invalid_edit' | 'unchanged' }
+     */
+    async submit(user, { type, id, field, sourceLanguage, targetLanguage, machineText, reason, text, rating } = {}) {
+        const handler = TARGETS[type];
+        const targetField = field || handler?.fields[0];
+        if (!handler || !handler.fields.includes(targetField) || !mongoose.isValidObjectId(id)) {
+            return { status: 'invalid_target' };
+        }
+        // 帖子的机器译文由提交者提供，只接受可信账户提交
+        if (type === 'post' && !this.isTrusted(user)) return { status: 'untrusted' };
+        if (typeof targetLanguage !== 'string' || !LANGUAGE_PATTERN.test(targetLanguage)) {
+            return { status: 'invalid_language' };
+        }
+
+        const target = await handler.load(user, id, targetField, targetLanguage, machineText);
+        if (target.status !== 'ok') return target;
+        if (!target.sourceText || !target.machineText) return { status: 'no_translation' };
+
+        // 内容未记录源语言（自动检测）时由提交者指定
+        const source = target.sourceLanguage && target.sourceLanguage !== 'auto' ? target.sourceLanguage : sourceLanguage;
+        if (typeof source !== 'string' || !LANGUAGE_PATTERN.test(source) ||
+            normalizeLanguage(source) === normalizeLanguage(targetLanguage)) {
+            return { status: 'invalid_language' };
+        }
+
+        const filter = {
+            'target.kind': type,
+            'target.id': id,
+            'target.field': targetField,
+            targetLanguage: normalizeLanguage(targetLanguage),
+            status: { $in: ['open', 'approved'] }
+        };
+        const existing = await TranslationReview.findOne(filter);
+        if (existing) return { status: 'exists', review: existing };
+
+        const review = new TranslationReview({
+            target: { kind: type, id, field: targetField },
+            chatRoom: target.chatRoom,
+            public: target.public,
+            sourceLanguage: normalizeLanguage(source),
+            targetLanguage: normalizeLanguage(targetLanguage),
+            sourceText: normalizeSegment(target.sourceText),
+            machineText: target.machineText,
+            submittedBy: user._id,
+            reason
+        });
+
+        if (text !== undefined) {
+            const edit = this.addEdit(user, review, text);
+            if (edit.status !== 'ok') return edit;
+        }
+
+        try {
+            await review.save();
+        } catch (error) {
+            // 并发提交同一译文时唯一索引冲突
+            if (error.code === 11000) {
+                return { status: 'exists', review: await TranslationReview.findOne(filter) };
+            }
+            throw error;
+        }
+
+        // 语音翻译的用户评分此前没有被使用，现在随校对一起记录
+        if (type === 'voice_translation' && rating !== undefined &&
+            target.document.user.toString() === user._id.toString()) {
+            const score = Math.round(Number(rating));
+            if (score >= 1 && score <= 5) {
+                target.document.qualityScore.userRating = score;
+                if (reason) target.document.qualityScore.userFeedback = String(reason).slice(0, 500);
+                await target.document.save();
+            }
+        }
+
+        return { status: 'created', review };
+    }
+
+    /**
+     * 查找校对并检查查看权限（公开内容、提交者、所在聊天室成员）
+     * 返回 { status: 'ok', review } 或 { status: 'not_found' }
+     */
+    async findForUser(user, reviewId) {
+        const review = mongoose.isValidObjectId(reviewId) ? await TranslationReview.findById(reviewId) : null;
+        if (!review) return { status: 'not_found' };
+
+        if (review.public || review.submittedBy.toString() === user._id.toString()) {
+            return { status: 'ok', review };
+        }
+        if (review.status === 'approved' && this.canConfirm(user)) {
+            return { status: 'ok', review };
+        }
+        if (review.chatRoom) {
+            const room = await ChatRoom.findById(review.chatRoom);
+            if (room && (room.isActiveParticipant(user._id) || chatModerationService.canModerate(user, room))) {
+                return { status: 'ok', review };
+            }
+        }
+        // 无权查看的校对按不存在处理，避免泄露聊天内容
+        return { status: 'not_found' };
+    }
+
+    /**
+     * 列出校对；默认为待校对队列：用户掌握的语言之间、进行中的校对
+     * mine 为 true 时列出用户提交或参与修改的校对；有确认权限的用户以 status=approved 列出等待确认的校对
+     */
+    async list(user, { status, sourceLanguage, targetLanguage, mine, page = 1, limit = 20 } = {}) {
+        if (status && !TRANSLATION_REVIEW_STATUSES.includes(status)) {
+            return { status: 'invalid_status' };
+        }
+
+        const pageSize = Math.min(parseInt(limit, 10) || 20, this.maxPageSize);
+        const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const confirming = !mine && status === 'approved' && this.canConfirm(user);
+        const conditions = [];
+        if (!confirming) {
+            // 被封禁（且未到期）的聊天室中的校对不再列出
+            const rooms = await ChatRoom.find({
+                participants: {
+                    $elemMatch: {
+                        user: user._id,
+                        $or: [{ status: { $ne: 'BANNED' } }, { banUntil: { $lte: new Date() } }]
+                    }
+                }
+            }).distinct('_id');
+            conditions.push({ $or: [{ public: true }, { submittedBy: user._id }, { chatRoom: { $in: rooms } }] });
+        }
+
+        if (confirming) {
+            conditions.push({ status });
+        } else if (mine) {
+            conditions.push({ $or: [{ submittedBy: user._id }, { 'edits.author': user._id }] });
+            if (status) conditions.push({ status });
+        } else {
+            conditions.push({ status: status || 'open' });
+            // 中文区分简繁，其他语言按基础语言代码保存
+            const codes = [...this.getReviewLanguages(user)].flatMap(code => (code === 'zh' ? ['zh-CN', 'zh-TW'] : [code]));
+            conditions.push({ sourceLanguage: { $in: codes }, targetLanguage: { $in: codes } });
+        }
+        if (sourceLanguage) conditions.push({ sourceLanguage: normalizeLanguage(sourceLanguage) });
+        if (targetLanguage) conditions.push({ targetLanguage: normalizeLanguage(targetLanguage) });
+
+        const filter = { $and: conditions };
+        const [reviews, total] = await Promise.all([
+            TranslationReview.find(filter)
+                .populate('submittedBy', 'username avatar')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(pageSize),
+            TranslationReview.countDocuments(filter)
+        ]);
+
+        return { status: 'ok', reviews: reviews.map(review => this.formatReview(review, user._id)), total };
+    }
+
+    /**
+     * 返回给客户端的校对：不公开投票人，只标出当前用户的投票
+     */
+    formatReview(review, userId) {
+        const data = typeof review.toObject === 'function' ? review.toObject() : { ...review };
+        data.edits = (data.edits || []).map(({ votes = [], ...edit }) => {
+            const vote = votes.find(item => item.user && item.user.toString() === userId.toString());
+            return { ...edit, myVote: vote ? vote.value : 0 };
+        });
+        return data;
+    }
+
+    /**
+     * 添加或替换用户的修改建议（每人一条待投票的修改，重新提交时清空已有投票）
+     * 返回 { status: 'ok', edit } 或 { status: 'not_bilingual' | 'untrusted' | 'invalid_edit' | 'unchanged' | 'duplicate' | 'limit_reached' }
+     */
+    addEdit(user, review, text) {
+        if (!this.isBilingual(user, review.sourceLanguage, review.targetLanguage)) {
+            return { status: 'not_bilingual' };
+        }
+        if (!this.isTrusted(user)) return { status: 'untrusted' };
+
+        const normalized = typeof text === 'string' ? normalizeSegment(text) : '';
+        if (!normalized || normalized.length > 10000) return { status: 'invalid_edit' };
+        if (normalized === normalizeSegment(review.machineText)) return { status: 'unchanged' };
+
+        const userId = user._id.toString();
+        const pending = review.edits.filter(edit => edit.status === 'pending');
+        if (pending.some(edit => edit.author.toString() !== userId && normalizeSegment(edit.text) === normalized)) {
+            return { status: 'duplicate' };
+        }
+
+        const own = pending.find(edit => edit.author.toString() === userId);
+        if (own) {
+            own.text = normalized;
+            own.votes = [];
+            own.score = 0;
+            return { status: 'ok', edit: own };
+        }
+
+        if (review.edits.length >= this.maxEdits) return { status: 'limit_reached' };
+        review.edits.push({ text: normalized, author: user._id });
+        return { status: 'ok', edit: review.edits[review.edits.length - 1] };
+    }
+
+    /**
+     * 对进行中的校对提出修改
+     * 返回 { status: 'proposed', review } 或 { status: 'closed' | 'conflict' } 及 addEdit 的失败状态
+     */
+    async proposeEdit(user, review, text) {
+        if (review.status !== 'open') return { status: 'closed' };
+
+        const result = this.addEdit(user, review, text);
+        if (result.status !== 'ok') return result;
+
+        return this.saveReview(review, 'proposed');
+    }
+
+    /**
+     * 对修改投票（value: 1 赞成，-1 反对），再次投票覆盖之前的投票
+     * 净赞成票达到 acceptVotes 时该修改经社区通过、等待版主确认，净反对票达到 acceptVotes 时否决该修改
+     * 返回 { status: 'voted' | 'approved', review } 或
+     * { status: 'invalid_vote' | 'closed' | 'not_found' | 'own_edit' | 'not_bilingual' | 'untrusted' | 'conflict' }
+     */
+    async vote(user, review, editId, value) {
+        const vote = Number(value);
+        if (vote !== 1 && vote !== -1) return { status: 'invalid_vote' };
+        if (review.status !== 'open') return { status: 'closed' };
+
+        const edit = mongoose.isValidObjectId(editId) ? review.edits.id(editId) : null;
+        if (!edit || edit.status !== 'pending') return { status: 'not_found' };
+        if (edit.author.toString() === user._id.toString()) return { status: 'own_edit' };
+        if (!this.isBilingual(user, review.sourceLanguage, review.targetLanguage)) {
+            return { status: 'not_bilingual' };
+        }
+        if (!this.isTrusted(user)) return { status: 'untrusted' };
+
+        const existing = edit.votes.find(item => item.user.toString() === user._id.toString());
+        if (existing) {
+            existing.value = vote;
+        } else {
+            edit.votes.push({ user: user._id, value: vote });
+        }
+        edit.score = edit.votes.reduce((sum, item) => sum + item.value, 0);
+
+        let approved = false;
+        if (edit.score >= this.acceptVotes) {
+            approved = true;
+            edit.status = 'approved';
+            review.edits.forEach(other => {
+                if (other.status === 'pending') other.status = 'rejected';
+            });
+            review.status = 'approved';
+            review.acceptedEdit = edit._id;
+        } else if (edit.score <= -this.acceptVotes) {
+            edit.status = 'rejected';
+        }
+
+        return this.saveReview(review, approved ? 'approved' : 'voted');
+    }
+
+    /**
+     * 版主确认采纳社区通过的修改，随后写回译文、写入翻译记忆并发放奖励
+     * 返回 { status: 'accepted', review } 或 { status: 'forbidden' | 'not_approved' | 'conflict' }
+     */
+    async confirm(user, review) {
+        if (!this.canConfirm(user)) return { status: 'forbidden' };
+        if (review.status !== 'approved') return { status: 'not_approved' };
+
+        const edit = review.edits.id(review.acceptedEdit);
+        edit.status = 'accepted';
+        review.status = 'accepted';
+        review.confirmedBy = user._id;
+        review.resolvedAt = new Date();
+
+        const result = await this.saveReview(review, 'accepted');
+        if (result.status === 'accepted') {
+            await this.applyCorrection(review, edit);
+        }
+        return result;
+    }
+
+    /**
+     * 关闭校对：进行中的校对由提交者或聊天室版主关闭，等待确认的校对由有确认权限的用户否决
+     * 返回 { status: 'closed', review } 或 { status: 'not_open' | 'forbidden' | 'conflict' }
+     */
+    async close(user, review) {
+        if (review.status !== 'open' && review.status !== 'approved') return { status: 'not_open' };
+
+        let allowed = this.canConfirm(user) ||
+            (review.status === 'open' && review.submittedBy.toString() === user._id.toString());
+        if (!allowed && review.status === 'open' && review.chatRoom) {
+            const room = await ChatRoom.findById(review.chatRoom);
+            allowed = Boolean(room) && chatModerationService.canModerate(user, room);
+        }
+        if (!allowed) return { status: 'forbidden' };
+
+        review.edits.forEach(edit => {
+            if (edit.status === 'approved') edit.status = 'rejected';
+        });
+        review.status = 'closed';
+        review.resolvedAt = new Date();
+        return this.saveReview(review, 'closed');
+    }
+
+    /**
+     * 保存校对；并发修改时返回 conflict，由客户端重试
+     */
+    async saveReview(review, status) {
+        try {
+            await review.save();
+            return { status, review };
+        } catch (error) {
+            if (error instanceof mongoose.Error.VersionError) {
+                return { status: 'conflict' };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 版主确认采纳后：写回原内容的译文，保存为人工翻译记忆，奖励并通知修改者
+     * 每一步失败都只记录日志，采纳结果以校对记录为准
+     */
+    async applyCorrection(review, edit) {
+        try {
+            await TARGETS[review.target.kind].apply(review, edit);
+        } catch (error) {
+            console.warn('写回校对译文失败:', error.message);
+        }
+
+        await translationMemoryService.store(review.sourceText, edit.text, review.sourceLanguage, review.targetLanguage, {
+            origin: 'human',
+            userId: edit.author
+        });
+
+        await this.grantReward(review, edit);
+
+        await notificationService.notify({
+            user: edit.author,
+            type: 'REWARD',
+            title: '您的翻译修改已被采纳',
+            body: edit.text.length > 100 ? `${edit.text.slice(0, 100)}…` : edit.text,
+            data: { translationReview: review._id }
+        });
+    }
+
+    /**
+     * 给修改者发放奖励并把结果记录在校对上：同一原文和目标语言每天只奖励一次，每天最多 maxDailyRewards 次，
+     * 去掉与修改者互相投票的赞成票后净赞成票不足 acceptVotes 时不发放
+     */
+    async grantReward(review, edit) {
+        const reward = { user: edit.author, status: 'granted', at: new Date() };
+
+        try {
+            reward.reason = await this.checkReward(review, edit);
+            if (reward.reason) {
+                reward.status = 'withheld';
+            } else {
+                await this.tokenRewardService.rewardCommunityContribution('translation_correction', edit.author, {
+                    review: review._id
+                });
+            }
+        } catch (error) {
+            console.warn('翻译校对奖励发放失败:', error.message);
+            reward.status = 'failed';
+        }
+
+        review.reward = reward;
+        await TranslationReview.updateOne({ _id: review._id }, { $set: { reward } })
+            .catch(error => console.warn('记录翻译校对奖励失败:', error.message));
+    }
+
+    /**
+     * 不应发放奖励时返回原因（'duplicate' | 'daily_limit' | 'reciprocal_votes'），否则返回 null
+     */
+    async checkReward(review, edit) {
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+
+        const granted = await TranslationReview.find({
+            _id: { $ne: review._id },
+            'reward.user': edit.author,
+            'reward.status': 'granted',
+            'reward.at': { $gte: since }
+        }).select('sourceText targetLanguage');
+
+        if (granted.some(item => item.sourceText === review.sourceText && item.targetLanguage === review.targetLanguage)) {
+            return 'duplicate';
+        }
+        if (granted.length >= this.maxDailyRewards) return 'daily_limit';
+
+        const supporters = (edit.votes || []).filter(vote => vote.value === 1).map(vote => vote.user);
+        const reciprocal = await this.findReciprocalVoters(edit.author, supporters);
+        const score = (edit.votes || [])
+            .filter(vote => !reciprocal.has(vote.user.toString()))
+            .reduce((sum, vote) => sum + vote.value, 0);
+
+        return score < this.acceptVotes ? 'reciprocal_votes' : null;
+    }
+
+    /**
+     * 在 voterIds 中找出与 authorId 互相投票的用户：时间窗口内双方都为对方的修改投过至少 reciprocalVotes 次赞成票
+     */
+    async findReciprocalVoters(authorId, voterIds) {
+        if (voterIds.length === 0) return new Set();
+
+        const since = new Date(Date.now() - this.reciprocalWindowDays * DAY_MS);
+        // 统计 voters 为 authors 的修改投出的赞成票
+        const countVotes = (authors, voters) => TranslationReview.aggregate([
+            { $match: { updatedAt: { $gte: since }, 'edits.author': { $in: authors } } },
+            { $unwind: '$edits' },
+            { $match: { 'edits.author': { $in: authors } } },
+            { $unwind: '$edits.votes' },
+            { $match: { 'edits.votes.user': { $in: voters }, 'edits.votes.value': 1 } },
+            { $group: { _id: { author: '$edits.author', voter: '$edits.votes.user' }, count: { $sum: 1 } } }
+        ]);
+
+        const [received, given] = await Promise.all([
+            countVotes([authorId], voterIds),
+            countVotes(voterIds, [authorId])
+        ]);
+
+        const supportedByAuthor = new Set(given
+            .filter(item => item.count >= this.reciprocalVotes)
+            .map(item => item._id.author.toString()));
+
+        return new Set(received
+            .filter(item => item.count >= this.reciprocalVotes && supportedByAuthor.has(item._id.voter.toString()))
+            .map(item => item._id.voter.toString()));
+    }
+}
+
+module.exports = new TranslationReviewService();
+module.exports.TRANSLATION_REVIEW_TARGETS = TRANSLATION_REVIEW_TARGETS;
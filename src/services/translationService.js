@@ -1,3 +1,5 @@
+const languageProviderRegistry = require('./languageProviderRegistry');
+
 class TranslationService {
     constructor() {
         this.supportedLanguages = [
@@ -13,7 +15,7 @@ class TranslationService {
             { code: 'ar', name: 'العربية', flag: '🇸🇦' }
         ];
         
-        // 模拟翻译缓存
+        // 翻译缓存
         this.translationCache = new Map();
     }
     
@@ -28,12 +30,11 @@ class TranslationService {
                 return this.translationCache.get(cacheKey);
             }
             
-            // 模拟翻译API调用
-            const translatedText = await this.mockTranslateAPI(text, fromLang, toLang);
+            const translation = await languageProviderRegistry.translate(text, fromLang, toLang);
             
             const result = {
-                text: translatedText,
-                confidence: 0.95,
+                text: translation.text,
+                confidence: translation.confidence,
                 fromLanguage: fromLang,
                 toLanguage: toLang,
                 originalText: text
@@ -80,21 +81,8 @@ class TranslationService {
      */
     async speechToText(audioData, language) {
         try {
-            // 模拟语音识别
-            const mockTexts = {
-                'zh': '你好，很高兴认识你！',
-                'en': 'Hello, nice to meet you!',
-                'es': '¡Hola, mucho gusto en conocerte!',
-                'fr': 'Bonjour, ravi de vous rencontrer!',
-                'de': 'Hallo, freut mich, Sie kennenzulernen!',
-                'ja': 'こんにちは、お会いできて嬉しいです！',
-                'ko': '안녕하세요, 만나서 반갑습니다!',
-                'pt': 'Olá, prazer em conhecê-lo!',
-                'ru': 'Привет, приятно познакомиться!',
-                'ar': 'مرحبا، سعيد بلقائك!'
-            };
-            
-            return mockTexts[language] || mockTexts['en'];
+            const result = await languageProviderRegistry.speechToText(audioData, language);
+            return result.text;
         } catch (error) {
             console.error('语音识别失败:', error);
             throw new Error('语音识别服务暂时不可用');
@@ -106,9 +94,9 @@ class TranslationService {
      */
     async textToSpeech(text, language) {
         try {
-            // 模拟TTS服务，返回音频数据的base64编码
-            const mockAudioData = `data:audio/mp3;base64,${Buffer.from(`TTS_${text}_${language}`).toString('base64')}`;
-            return mockAudioData;
+            // 返回音频数据的 data URL
+            const { audio, format } = await languageProviderRegistry.synthesize(text, language, { format: 'mp3' });
+            return `data:audio/${format};base64,${audio.toString('base64')}`;
         } catch (error) {
             console.error('文字转语音失败:', error);
             throw new Error('语音合成服务暂时不可用');
@@ -187,56 +175,6 @@ class TranslationService {
         return mockHistory;
     }
     
-    /**
-     * 模拟翻译API
-     */
-    async mockTranslateAPI(text, fromLang, toLang) {
-        // 模拟API延迟
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        // 简单的翻译映射
-        const translations = {
-            'zh_en': {
-                '你好': 'Hello',
-                '谢谢': 'Thank you',
-                '再见': 'Goodbye',
-                '很高兴认识你': 'Nice to meet you',
-                '我来自中国': 'I am from China',
-                '你好吗？': 'How are you?',
-                '今天天气很好': 'The weather is nice today'
-            },
-            'en_zh': {
-                'Hello': '你好',
-                'Thank you': '谢谢',
-                'Goodbye': '再见',
-                'Nice to meet you': '很高兴认识你',
-                'I am from China': '我来自中国',
-                'How are you?': '你好吗？',
-                'The weather is nice today': '今天天气很好'
-            },
-            'zh_es': {
-                '你好': 'Hola',
-                '谢谢': 'Gracias',
-                '再见': 'Adiós'
-            },
-            'en_es': {
-                'Hello': 'Hola',
-                'Thank you': 'Gracias',
-                'Goodbye': 'Adiós'
-            }
-        };
-        
-        const translationKey = `${fromLang}_${toLang}`;
-        const translationMap = translations[translationKey];
-        
-        if (translationMap && translationMap[text]) {
-            return translationMap[text];
-        }
-        
-        // 如果没有预设翻译，返回带前缀的原文
-        return `[${toLang.toUpperCase()}] ${text}`;
-    }
-    
     /**
      * 获取翻译质量评分
      */
@@ -1,5 +1,5 @@
-const { Web3 } = require('web3');
 const jwt = require('jsonwebtoken');
+const siweService = require('./siweService');
 
 class UserService {
     constructor() {
@@ -8,13 +8,18 @@ class UserService {
     }
     
     /**
-     * 验证钱包签名
+     * 验证钱包签名（EIP-4361 Sign-In with Ethereum）
+     * 消息必须由 siweService.issueNonce 签发，且只能使用一次
      */
     async verifyWalletSignature(walletAddress, signature, message) {
         try {
-            const web3 = new Web3();
-            const recoveredAddress = web3.eth.accounts.recover(message, signature);
-            return recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
+            const result = await siweService.verify({ message, signature, address: walletAddress });
+            
+            if (!result.valid) {
+                console.warn('钱包签名验证失败:', result.error);
+            }
+            
+            return result.valid;
         } catch (error) {
             console.error('签名验证失败:', error);
             return false;
@@ -48,7 +53,7 @@ class UserService {
         const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const user = {
             ...userData,
-            isAdmin: false,
+            role: 'user',
             createdAt: new Date(),
             lastLoginAt: new Date()
         };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const EncryptionService = require('./encryptionService');
+const messageTransportService = require('./messageTransportService');
+
+/**
+ * 邮箱与手机号验证服务
+ * Email & Phone Verification Service
+ */
+class VerificationService {
+    constructor() {
+        this.encryptionService = new EncryptionService();
+        this.resendCooldown = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN) || 60 * 1000; // 1分钟
+        this.otpTTL = 10 * 60 * 1000; // 10分钟
+        this.maxOtpAttempts = 5;
+    }
+
+    /**
+     * 距离允许重新发送还需等待的秒数
+     */
+    getRetryAfter(sentAt, now = Date.now()) {
+        if (!sentAt) return 0;
+        const remaining = new Date(sentAt).getTime() + this.resendCooldown - now;
+        return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+    }
+
+    /**
+     * 构建邮箱验证链接
+     */
+    buildEmailVerificationUrl(token) {
+        const baseUrl = process.env.EMAIL_VERIFICATION_URL ||
+            `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email`;
+        return `${baseUrl}?token=${token}`;
+    }
+
+    /**
+     * 发送邮箱验证链接
+     * 返回 { status: 'sent' | 'cooldown' | 'already_verified', retryAfter, expires }
+     */
+    async sendEmailVerification(user) {
+        if (user.verification.email.verified) {
+            return { status: 'already_verified' };
+        }
+
+        const retryAfter = this.getRetryAfter(user.verification.email.sentAt);
+        if (retryAfter > 0) {
+            return { status: 'cooldown', retryAfter };
+        }
+
+        const token = user.getEmailVerificationToken();
+        await user.save({ validateBeforeSave: false });
+
+        const url = this.buildEmailVerificationUrl(token);
+        await messageTransportService.sendEmail(
+            user.email,
+            'CultureBridge 邮箱验证 / Verify your email',
+            `您好 ${user.username}，请在24小时内点击以下链接完成邮箱验证：\n${url}`,
+            { type: 'email_verification', userId: String(user._id) }
+        );
+
+        return { status: 'sent', expires: user.verification.email.expires };
+    }
+
+    /**
+     * 使用链接中的Token验证邮箱
+     * 成功返回用户，Token无效或过期返回null
+     */
+    async verifyEmail(token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const user = await User.findOne({
+            'verification.email.token': this.encryptionService.hashToken(token),
+            'verification.email.expires': { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return null;
+        }
+
+        user.verification.email.verified = true;
+        user.verification.email.verifiedAt = new Date();
+        user.verification.email.token = undefined;
+        user.verification.email.expires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return user;
+    }
+
+    /**
+     * 校验并规范化手机号（E.164格式）
+     */
+    normalizePhoneNumber(phoneNumber) {
+        const normalized = String(phoneNumber || '').replace(/[\s\-()]/g, '');
+        return /^\+[1-9]\d{6,14}$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * 发送手机验证码
+     * 返回 { status: 'sent' | 'cooldown' | 'already_verified', retryAfter, expires }
+     */
+    async sendPhoneVerification(user, phoneNumber) {
+        const phone = user.verification.phone;
+
+        if (phone.verified && phone.number === phoneNumber) {
+            return { status: 'already_verified' };
+        }
+
+        const retryAfter = this.getRetryAfter(phone.sentAt);
+        if (retryAfter > 0) {
+            return { status: 'cooldown', retryAfter };
+        }
+
+        const otp = this.encryptionService.generateOTP(6);
+        const expires = new Date(Date.now() + this.otpTTL);
+
+        phone.pendingNumber = phoneNumber;
+        phone.token = this.encryptionService.hashToken(otp);
+        phone.expires = expires;
+        phone.attempts = 0;
+        phone.sentAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        await messageTransportService.sendSms(
+            phoneNumber,
+            `【CultureBridge】您的验证码是 ${otp}，10分钟内有效。`,
+            { type: 'phone_verification', userId: String(user._id) }
+        );
+
+        return { status: 'sent', expires };
+    }
+
+    /**
+     * 校验手机验证码
+     * 返回 'verified' | 'invalid' | 'expired' | 'too_many_attempts' | 'not_requested'
+     * 调用方需查询 +verification.phone.token
+     */
+    async verifyPhone(user, code) {
+        const phone = user.verification.phone;
+
+        if (!phone.token || !phone.pendingNumber) {
+            return 'not_requested';
+        }
+        if (!phone.expires || phone.expires.getTime() <= Date.now()) {
+            return 'expired';
+        }
+        if (phone.attempts >= this.maxOtpAttempts) {
+            return 'too_many_attempts';
+        }
+
+        const expected = Buffer.from(phone.token, 'hex');
+        const actual = Buffer.from(this.encryptionService.hashToken(String(code || '').trim()), 'hex');
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            phone.attempts += 1;
+            await user.save({ validateBeforeSave: false });
+            return phone.attempts >= this.maxOtpAttempts ? 'too_many_attempts' : 'invalid';
+        }
+
+        phone.number = phone.pendingNumber;
+        phone.verified = true;
+        phone.verifiedAt = new Date();
+        phone.pendingNumber = undefined;
+        phone.token = undefined;
+        phone.expires = undefined;
+        phone.attempts = 0;
+        await user.save({ validateBeforeSave: false });
+
+        return 'verified';
+    }
+}
+
+module.exports = new VerificationService();
@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const voiceStreamingService = require('./voiceStreamingService');
+const languageProviderRegistry = require('./languageProviderRegistry');
 
 class VoiceService {
     constructor() {
@@ -71,18 +73,16 @@ class VoiceService {
      */
     async speechToText(audioFilePath, language = 'zh') {
         try {
-            // 这里使用简化的实现，实际项目中应该集成真实的语音识别服务
-            // 如Google Cloud Speech-to-Text, Azure Speech Service等
-            
             const languageCode = this.supportedLanguages[language] || 'zh-CN';
-            
-            // 模拟语音识别结果
-            const mockTranscription = this.generateMockTranscription(language);
+            const audio = await fs.readFile(audioFilePath);
+            const result = await languageProviderRegistry.speechToText(audio, languageCode, {
+                format: path.extname(audioFilePath).slice(1).toLowerCase()
+            });
             
             return {
-                transcription: mockTranscription,
+                transcription: result.text,
                 language: language,
-                confidence: 0.85,
+                confidence: result.confidence,
                 duration: await this.getAudioDuration(audioFilePath),
                 audioUrl: audioFilePath
             };
@@ -101,15 +101,17 @@ class VoiceService {
      */
     async textToSpeech(text, language = 'zh', voice = 'female') {
         try {
-            // 这里使用简化的实现，实际项目中应该集成真实的TTS服务
             const languageCode = this.supportedLanguages[language] || 'zh-CN';
+            const { audio, format } = await languageProviderRegistry.synthesize(text, languageCode, {
+                format: 'mp3',
+                gender: voice
+            });
             
-            // 生成音频文件路径
-            const audioFileName = `tts-${Date.now()}-${Math.round(Math.random() * 1E9)}.mp3`;
-            const audioFilePath = path.join(__dirname, '../../uploads/voice', audioFileName);
-            
-            // 模拟生成音频文件
-            await this.generateMockAudio(audioFilePath, text, language);
+            // 保存合成的音频文件
+            const audioFileName = `tts-${Date.now()}-${Math.round(Math.random() * 1E9)}.${format}`;
+            const audioDir = path.join(__dirname, '../../uploads/voice');
+            await fs.mkdir(audioDir, { recursive: true });
+            await fs.writeFile(path.join(audioDir, audioFileName), audio);
             
             return {
                 audioUrl: `/uploads/voice/${audioFileName}`,
@@ -147,7 +149,7 @@ class VoiceService {
             
             // 3. 文字转语音
             const ttsResult = await this.textToSpeech(
-                translationResult.translatedText,
+                translationResult.text,
                 toLanguage
             );
             
@@ -159,7 +161,7 @@ class VoiceService {
                     confidence: sttResult.confidence
                 },
                 translated: {
-                    text: translationResult.translatedText,
+                    text: translationResult.text,
                     language: toLanguage,
                     audioUrl: ttsResult.audioUrl,
                     confidence: translationResult.confidence
@@ -177,27 +179,34 @@ class VoiceService {
 
     /**
      * 实时语音翻译流处理
-     * @param {ReadableStream} audioStream 音频流
+     * @param {AsyncIterable<Buffer>} audioStream 音频流（16kHz 单声道 16位PCM）
      * @param {string} fromLanguage 源语言
      * @param {string} toLanguage 目标语言
-     * @param {Function} callback 回调函数
+     * @param {Function} callback 回调函数，参数为 { type, ... }，type 见 VoiceStreamSession 的事件
+     * @returns {Promise<Object>} 会话统计（音频时长、句数）
      */
     async streamVoiceTranslation(audioStream, fromLanguage, toLanguage, callback) {
+        const session = voiceStreamingService.createSession({
+            sourceLanguage: this.supportedLanguages[fromLanguage] || fromLanguage,
+            targetLanguages: [this.supportedLanguages[toLanguage] || toLanguage],
+            emit: (type, payload) => callback({ type, ...payload })
+        });
+
         try {
-            // 这里应该实现实时流处理
-            // 暂时作为占位符
-            callback({
-                type: 'interim',
-                text: '实时翻译功能开发中...',
-                language: toLanguage
-            });
+            for await (const chunk of audioStream) {
+                session.pushAudio(Buffer.from(chunk));
+            }
+            await session.close();
         } catch (error) {
             console.error('实时语音翻译失败:', error);
+            await session.close({ abort: true });
             callback({
                 type: 'error',
                 message: '实时翻译失败'
             });
         }
+
+        return session.stats;
     }
 
     /**
@@ -216,44 +225,6 @@ class VoiceService {
         }
     }
 
-    /**
-     * 生成模拟转录文本
-     * @param {string} language 语言代码
-     * @returns {string} 模拟转录文本
-     */
-    generateMockTranscription(language) {
-        const mockTexts = {
-            'zh': '你好，这是一条语音消息，感谢使用CultureBridge平台进行跨文化交流。',
-            'en': 'Hello, this is a voice message. Thank you for using CultureBridge platform for cross-cultural communication.',
-            'ja': 'こんにちは、これは音声メッセージです。CultureBridgeプラットフォームをご利用いただき、ありがとうございます。',
-            'ko': '안녕하세요, 이것은 음성 메시지입니다. CultureBridge 플랫폼을 이용해 주셔서 감사합니다.',
-            'fr': 'Bonjour, ceci est un message vocal. Merci d\'utiliser la plateforme CultureBridge.',
-            'de': 'Hallo, das ist eine Sprachnachricht. Vielen Dank für die Nutzung der CultureBridge-Plattform.',
-            'es': 'Hola, este es un mensaje de voz. Gracias por usar la plataforma CultureBridge.',
-            'ru': 'Привет, это голосовое сообщение. Спасибо за использование платформы CultureBridge.'
-        };
-        
-        return mockTexts[language] || mockTexts['en'];
-    }
-
-    /**
-     * 生成模拟音频文件
-     * @param {string} filePath 文件路径
-     * @param {string} text 文本内容
-     * @param {string} language 语言
-     */
-    async generateMockAudio(filePath, text, language) {
-        try {
-            // 创建一个空的音频文件作为占位符
-            // 实际项目中应该调用TTS服务生成真实音频
-            const mockAudioData = Buffer.from('mock audio data for: ' + text);
-            await fs.writeFile(filePath, mockAudioData);
-        } catch (error) {
-            console.error('生成模拟音频失败:', error);
-            throw error;
-        }
-    }
-
     /**
      * 删除音频文件
      * @param {string} filePath 文件路径
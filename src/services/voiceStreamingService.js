@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const VoiceSessionToken = require('../models/VoiceSessionToken');
+const ChatPresenceService = require('./chatPresenceService');
+const { createMockSpeechProvider } = require('./mockSpeechProvider');
+
+// 流式音频格式：16kHz 单声道 16位小端PCM（LINEAR16，与语音识别管线一致）
+const SAMPLE_RATE = 16000;
+const BYTES_PER_MS = SAMPLE_RATE * 2 / 1000;
+
+const DEFAULT_OPTIONS = {
+    frameMs: 100, // 语音活动检测的帧长
+    vadThreshold: parseFloat(process.env.VOICE_VAD_THRESHOLD) || 0.02, // 归一化RMS能量阈值
+    endOfUtteranceMs: parseInt(process.env.VOICE_END_OF_UTTERANCE_MS, 10) || 700, // 静音多久视为一句话结束
+    interimIntervalMs: 1000, // 说话期间每隔多久输出一次中间结果
+    maxUtteranceMs: 15 * 1000 // 单句最长时长，超过后强制断句
+};
+
+/**
+ * 计算PCM音频帧的归一化RMS能量（0~1）
+ */
+const computeLevel = (frame) => {
+    const samples = frame.length >> 1;
+    if (samples === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const sample = frame.readInt16LE(i * 2) / 32768;
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+};
+
+/**
+ * 基于 superVoiceTranslationService 管线的语音服务（由 languageProviderRegistry 选择提供方），首次使用时加载
+ */
+const createPipelineProvider = () => {
+    let pipeline = null;
+    const getPipeline = () => {
+        if (!pipeline) {
+            pipeline = require('./superVoiceTranslationService').superVoiceTranslationService;
+        }
+        return pipeline;
+    };
+
+    return {
+        audioFormat: 'mp3',
+
+        async recognize(audio, language) {
+            return { text: await getPipeline().speechToText(audio, language), language };
+        },
+
+        translate: (text, sourceLanguage, targetLanguage) =>
+            getPipeline().translateText(text, sourceLanguage, targetLanguage),
+
+        synthesize: (text, language) => getPipeline().textToSpeech(text, language)
+    };
+};
+
+/**
+ * 单个实时语音翻译会话
+ * Voice Stream Session
+ *
+ * 按帧做语音活动检测：检测到说话开始一句话，静音超过 endOfUtteranceMs 或时长超过上限时断句。
+ * 说话期间定期输出中间识别结果和译文，断句后输出最终识别结果、译文和合成语音。
+ * 所有识别任务串行执行，保证同一会话的事件按顺序发出。
+ *
+ * 事件: speech_start, interim, speech_end, final, translation, audio, error, session_ended
+ */
+class VoiceStreamSession {
+    constructor({ id, userId, sourceLanguage, targetLanguages, synthesize = true, provider, emit, options = {} }) {
+        this.id = id;
+        this.userId = userId;
+        this.sourceLanguage = sourceLanguage;
+        this.targetLanguages = targetLanguages;
+        this.synthesize = synthesize;
+        this.provider = provider;
+        this.emitEvent = emit;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.frameBytes = this.options.frameMs * BYTES_PER_MS;
+
+        this.pending = Buffer.alloc(0); // 不足一帧的音频
+        this.preRoll = null; // 说话开始前的一帧，避免截掉开头
+        this.utterance = null;
+        this.utteranceCount = 0;
+        this.interimPending = false;
+        this.queue = Promise.resolve();
+        this.closed = false;
+        this.aborted = false;
+        this.startedAt = new Date();
+        this.stats = { audioMs: 0, utterances: 0 };
+    }
+
+    emit(event, payload) {
+        if (!this.aborted) {
+            this.emitEvent(event, { sessionId: this.id, ...payload });
+        }
+    }
+
+    /**
+     * 追加音频数据（任意长度），按帧做语音活动检测
+     */
+    pushAudio(chunk) {
+        if (this.closed) {
+            return false;
+        }
+
+        this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+        while (this.pending.length >= this.frameBytes) {
+            this.processFrame(this.pending.subarray(0, this.frameBytes));
+            this.pending = this.pending.subarray(this.frameBytes);
+        }
+        return true;
+    }
+
+    processFrame(frame) {
+        const speech = computeLevel(frame) >= this.options.vadThreshold;
+        this.stats.audioMs += this.options.frameMs;
+
+        if (!this.utterance) {
+            if (!speech) {
+                this.preRoll = frame;
+                return;
+            }
+            this.startUtterance();
+        }
+
+        const utterance = this.utterance;
+        utterance.frames.push(frame);
+        utterance.durationMs += this.options.frameMs;
+        utterance.silenceMs = speech ? 0 : utterance.silenceMs + this.options.frameMs;
+
+        if (utterance.silenceMs >= this.options.endOfUtteranceMs || utterance.durationMs >= this.options.maxUtteranceMs) {
+            this.finishUtterance();
+        } else if (speech && utterance.durationMs - utterance.lastInterimMs >= this.options.interimIntervalMs) {
+            utterance.lastInterimMs = utterance.durationMs;
+            this.requestInterim(utterance);
+        }
+    }
+
+    startUtterance() {
+        this.utteranceCount += 1;
+        this.utterance = {
+            id: this.utteranceCount,
+            frames: this.preRoll ? [this.preRoll] : [],
+            durationMs: 0,
+            silenceMs: 0,
+            lastInterimMs: 0,
+            lastInterimText: null,
+            finished: false,
+            startedAt: new Date()
+        };
+        this.preRoll = null;
+        this.emit('speech_start', { utteranceId: this.utteranceCount });
+    }
+
+    /**
+     * 中间结果：上一次尚未返回时跳过，已断句的不再输出
+     */
+    requestInterim(utterance) {
+        if (this.interimPending) {
+            return;
+        }
+        this.interimPending = true;
+        const audio = Buffer.concat(utterance.frames);
+
+        this.enqueue(async () => {
+            try {
+                if (utterance.finished) return;
+
+                const { text } = await this.provider.recognize(audio, this.sourceLanguage, { interim: true });
+                if (!text || utterance.finished || text === utterance.lastInterimText) return;
+                utterance.lastInterimText = text;
+                this.emit('interim', { utteranceId: utterance.id, text });
+
+                for (const language of this.targetLanguages) {
+                    const translation = await this.provider.translate(text, this.sourceLanguage, language);
+                    if (utterance.finished) return;
+                    this.emit('translation', { utteranceId: utterance.id, language, text: translation, isFinal: false });
+                }
+            } catch (error) {
+                // 中间结果失败不影响最终结果
+            } finally {
+                this.interimPending = false;
+            }
+        });
+    }
+
+    /**
+     * 断句：输出最终识别结果，再逐个目标语言翻译并合成语音
+     */
+    finishUtterance() {
+        const utterance = this.utterance;
+        if (!utterance) {
+            return this.queue;
+        }
+
+        this.utterance = null;
+        utterance.finished = true;
+        this.stats.utterances += 1;
+        const audio = Buffer.concat(utterance.frames);
+        const endedAt = new Date();
+        this.emit('speech_end', { utteranceId: utterance.id, durationMs: utterance.durationMs });
+
+        return this.enqueue(async () => {
+            try {
+                const { text, confidence } = await this.provider.recognize(audio, this.sourceLanguage, { interim: false });
+                if (!text) return;
+
+                this.emit('final', {
+                    utteranceId: utterance.id,
+                    text,
+                    confidence,
+                    startedAt: utterance.startedAt,
+                    endedAt
+                });
+
+                await Promise.all(this.targetLanguages.map(async (language) => {
+                    const translation = await this.provider.translate(text, this.sourceLanguage, language);
+                    this.emit('translation', { utteranceId: utterance.id, language, text: translation, isFinal: true });
+
+                    if (this.synthesize) {
+                        const segment = await this.provider.synthesize(translation, language);
+                        this.emit('audio', {
+                            utteranceId: utterance.id,
+                            language,
+                            format: this.provider.audioFormat,
+                            audio: segment
+                        });
+                    }
+                }));
+            } catch (error) {
+                this.emit('error', { utteranceId: utterance.id, message: `语音翻译失败: ${error.message}` });
+            }
+        });
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task);
+        return this.queue;
+    }
+
+    /**
+     * 客户端主动断句（例如松开按住说话按钮）
+     */
+    flush() {
+        if (this.utterance && this.pending.length > 0) {
+            this.utterance.frames.push(this.pending);
+        }
+        this.pending = Buffer.alloc(0);
+        return this.finishUtterance();
+    }
+
+    /**
+     * 结束会话：默认先处理完最后一句，abort时丢弃未完成的结果
+     */
+    async close({ abort = false, reason = 'stopped' } = {}) {
+        if (this.closed) {
+            return;
+        }
+
+        if (abort) {
+            this.closed = true;
+            this.aborted = true;
+            return;
+        }
+
+        await this.flush();
+        this.closed = true;
+        await this.queue;
+        this.emit('session_ended', { reason, stats: this.stats });
+    }
+}
+
+/**
+ * 实时语音翻译服务
+ * Voice Streaming Service
+ *
+ * 客户端先通过 POST /api/v1/voice/realtime 创建会话并获得令牌，再连接 Socket.IO 的 /voice 命名空间
+ * 推送音频。令牌中包含会话配置，任一实例都能接受连接；令牌记录在数据库中，只能使用一次。
+ * 语音服务可通过 registerProvider 接入，VOICE_STREAM_PROVIDER 选择默认服务（pipeline 或 mock）
+ */
+class VoiceStreamingService {
+    constructor() {
+        this.providers = new Map();
+        this.sessions = new Map();
+        this.sessionTokenTTL = 5 * 60; // 创建会话后5分钟内连接（秒）
+        this.maxSessionDuration = 30 * 60 * 1000;
+        this.maxSessionsPerUser = 3;
+        this.maxChunkBytes = 64 * 1024;
+        this.maxAudioLeadMs = 5000; // 已接收音频最多领先实际经过时间多久，超过视为快于实时发送
+        // 每个用户的会话数在所有实例间共享（启用 CHAT_REDIS_ADAPTER 时写入Redis）
+        this.presence = new ChatPresenceService({ namespace: 'voice' });
+        this.presenceReady = Promise.resolve(false);
+        this.maxTargetLanguages = 5;
+
+        this.registerProvider('pipeline', createPipelineProvider());
+        this.registerProvider('mock', createMockSpeechProvider({ sampleRate: SAMPLE_RATE }));
+    }
+
+    /**
+     * 注册语音服务，需提供 recognize(audio, language)、translate(text, from, to) 和 synthesize(text, language)
+     */
+    registerProvider(name, provider) {
+        for (const method of ['recognize', 'translate', 'synthesize']) {
+            if (!provider || typeof provider[method] !== 'function') {
+                throw new Error(`语音服务 ${name} 必须提供 ${method} 方法`);
+            }
+        }
+        this.providers.set(name, provider);
+    }
+
+    getProvider(name = process.env.VOICE_STREAM_PROVIDER || 'pipeline') {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new Error(`未配置的语音服务: ${name}`);
+        }
+        return provider;
+    }
+
+    /**
+     * 创建会话令牌
+     * 返回 { status: 'created', session }，或 { status: 'invalid_language' | 'too_many_sessions' }
+     */
+    async createSessionToken(userId, { sourceLanguage, targetLanguages, synthesize = true } = {}) {
+        const targets = [...new Set(Array.isArray(targetLanguages) ? targetLanguages : [targetLanguages])];
+        const isLanguage = language => typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language);
+        if (!isLanguage(sourceLanguage) || targets.length === 0 || targets.length > this.maxTargetLanguages ||
+            !targets.every(isLanguage)) {
+            return { status: 'invalid_language' };
+        }
+
+        if (await this.countUserSessions(userId) >= this.maxSessionsPerUser) {
+            return { status: 'too_many_sessions' };
+        }
+
+        const sessionId = crypto.randomUUID();
+        const jti = crypto.randomUUID();
+        await VoiceSessionToken.create({
+            jti,
+            user: userId,
+            session: sessionId,
+            expiresAt: new Date(Date.now() + this.sessionTokenTTL * 1000)
+        });
+
+        const token = jwt.sign(
+            {
+                purpose: 'voice_stream',
+                sid: sessionId,
+                user: String(userId),
+                src: sourceLanguage,
+                targets,
+                tts: Boolean(synthesize)
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.sessionTokenTTL, jwtid: jti }
+        );
+
+        return {
+            status: 'created',
+            session: {
+                sessionId,
+                token,
+                expiresIn: this.sessionTokenTTL,
+                namespace: '/voice',
+                audioFormat: { encoding: 'LINEAR16', sampleRate: SAMPLE_RATE, channels: 1 },
+                sourceLanguage,
+                targetLanguages: targets,
+                synthesize: Boolean(synthesize)
+            }
+        };
+    }
+
+    /**
+     * 校验会话令牌的签名和用途，无效或过期时返回null（不检查是否已使用）
+     */
+    verifySessionToken(token) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET);
+            return payload.purpose === 'voice_stream' ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 原子地消耗令牌，已使用、已过期或未登记时返回false
+     */
+    async consumeSessionToken(claims) {
+        const now = new Date();
+        const record = await VoiceSessionToken.findOneAndUpdate(
+            {
+                jti: claims.jti,
+                user: claims.user,
+                usedAt: { $exists: false },
+                expiresAt: { $gt: now }
+            },
+            { usedAt: now },
+            { new: true }
+        );
+        return Boolean(record);
+    }
+
+    countUserSessions(userId) {
+        return this.presence.countSessions(userId);
+    }
+
+    releaseSession(session) {
+        this.presence.removeSession(session.userId, session.id)
+            .catch(error => console.error('释放语音会话名额失败:', error.message));
+    }
+
+    /**
+     * 创建会话（Socket连接和 voiceService.streamVoiceTranslation 共用）
+     */
+    createSession({ id = crypto.randomUUID(), userId, sourceLanguage, targetLanguages, synthesize, provider, emit, options }) {
+        return new VoiceStreamSession({
+            id,
+            userId: userId && String(userId),
+            sourceLanguage,
+            targetLanguages,
+            synthesize,
+            provider: provider || this.getProvider(),
+            emit,
+            options
+        });
+    }
+
+    /**
+     * 在 Socket.IO 服务器上注册 /voice 命名空间
+     */
+    attach(io) {
+        const namespace = io.of('/voice');
+        this.presenceReady = this.presence.useRedisStore();
+
+        namespace.use(async (socket, next) => {
+            try {
+                await this.presenceReady;
+                const claims = this.verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+                if (!claims || !claims.jti) {
+                    return next(new Error('语音会话无效或已过期'));
+                }
+                if (this.sessions.has(claims.sid)) {
+                    return next(new Error('语音会话已在使用中'));
+                }
+                if (!await this.consumeSessionToken(claims)) {
+                    return next(new Error('语音会话令牌已使用或已过期'));
+                }
+                // 先登记再计数，避免同一用户在不同实例上并发连接时越过上限
+                await this.presence.addSession(claims.user, claims.sid, this.maxSessionDuration + 60 * 1000);
+                if (await this.countUserSessions(claims.user) > this.maxSessionsPerUser) {
+                    await this.presence.removeSession(claims.user, claims.sid);
+                    return next(new Error('同时进行的实时翻译会话过多'));
+                }
+                socket.voiceClaims = claims;
+                next();
+            } catch (error) {
+                console.error('语音会话认证失败:', error.message);
+                next(new Error('语音会话认证失败'));
+            }
+        });
+
+        namespace.on('connection', socket => this.handleConnection(socket));
+        this.namespace = namespace;
+        return namespace;
+    }
+
+    handleConnection(socket) {
+        const claims = socket.voiceClaims;
+        const session = this.createSession({
+            id: claims.sid,
+            userId: claims.user,
+            sourceLanguage: claims.src,
+            targetLanguages: claims.targets,
+            synthesize: claims.tts,
+            emit: (event, payload) => socket.emit(event, payload)
+        });
+        this.sessions.set(session.id, session);
+
+        const end = async (reason) => {
+            if (!this.sessions.has(session.id)) return;
+            this.sessions.delete(session.id);
+            this.releaseSession(session);
+            clearTimeout(timer);
+            await session.close({ reason });
+            socket.disconnect(true);
+        };
+        const timer = setTimeout(() => end('timeout'), this.maxSessionDuration);
+        timer.unref();
+
+        socket.on('audio_chunk', (chunk) => {
+            if (!Buffer.isBuffer(chunk) || chunk.length === 0 || chunk.length > this.maxChunkBytes) {
+                socket.emit('error', { sessionId: session.id, message: '音频数据格式无效' });
+                return;
+            }
+            // 音频按实时速度发送，快于实时的数据会堆积识别任务
+            const elapsedMs = Date.now() - session.startedAt.getTime();
+            if (session.stats.audioMs + chunk.length / BYTES_PER_MS > elapsedMs + this.maxAudioLeadMs) {
+                socket.emit('error', { sessionId: session.id, message: '音频发送速度超过实时' });
+                end('rate_exceeded').catch(error => console.error('结束语音会话失败:', error.message));
+                return;
+            }
+            session.pushAudio(chunk);
+        });
+
+        socket.on('end_utterance', () => {
+            session.flush();
+        });
+
+        socket.on('stop', () => {
+            end('stopped').catch(error => console.error('结束语音会话失败:', error.message));
+        });
+
+        socket.on('disconnect', () => {
+            if (!this.sessions.has(session.id)) return;
+            this.sessions.delete(session.id);
+            this.releaseSession(session);
+            clearTimeout(timer);
+            session.close({ abort: true });
+        });
+
+        socket.emit('session_started', {
+            sessionId: session.id,
+            sourceLanguage: session.sourceLanguage,
+            targetLanguages: session.targetLanguages,
+            audioFormat: { encoding: 'LINEAR16', sampleRate: SAMPLE_RATE, channels: 1 }
+        });
+    }
+}
+
+module.exports = new VoiceStreamingService();
+module.exports.VoiceStreamSession = VoiceStreamSession;
+module.exports.computeLevel = computeLevel;
+module.exports.SAMPLE_RATE = SAMPLE_RATE;
@@ -4,30 +4,10 @@ const ErrorResponse = require('../utils/errorResponse');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-
-// Google Cloud APIs
-const speech = require('@google-cloud/speech');
-const { Translate } = require('@google-cloud/translate').v2;
-const textToSpeech = require('@google-cloud/text-to-speech');
+const languageProviderRegistry = require('./languageProviderRegistry');
 
 class VoiceTranslationService {
     constructor() {
-        // 初始化Google Cloud客户端
-        this.speechClient = new speech.SpeechClient({
-            keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-        });
-        
-        this.translateClient = new Translate({
-            keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-        });
-        
-        this.ttsClient = new textToSpeech.TextToSpeechClient({
-            keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-        });
-        
         // 支持的语言配置
         this.supportedLanguages = {
             'zh': { name: '中文', voice: 'zh-CN-Wavenet-A' },
@@ -51,39 +31,22 @@ class VoiceTranslationService {
      */
     async transcribeAudio(audioBuffer, language = 'auto') {
         try {
-            const request = {
-                audio: {
-                    content: audioBuffer.toString('base64')
-                },
-                config: {
-                    encoding: 'WEBM_OPUS',
-                    sampleRateHertz: 48000,
-                    languageCode: language === 'auto' ? 'zh-CN' : this.getLanguageCode(language),
-                    alternativeLanguageCodes: language === 'auto' ? ['en-US', 'es-ES', 'fr-FR', 'de-DE'] : [],
-                    enableAutomaticPunctuation: true,
-                    enableWordTimeOffsets: true,
-                    model: 'latest_long'
+            const result = await languageProviderRegistry.speechToText(
+                audioBuffer,
+                language === 'auto' ? 'auto' : this.getLanguageCode(language),
+                {
+                    format: 'webm',
+                    sampleRate: 48000,
+                    enableWordTimestamps: true,
+                    alternativeLanguages: language === 'auto' ? ['en-US', 'es-ES', 'fr-FR', 'de-DE'] : []
                 }
-            };
-            
-            const [response] = await this.speechClient.recognize(request);
-            
-            if (!response.results || response.results.length === 0) {
-                throw new Error('无法识别语音内容');
-            }
-            
-            const transcription = response.results
-                .map(result => result.alternatives[0].transcript)
-                .join(' ');
-                
-            const confidence = response.results[0].alternatives[0].confidence || 0;
-            const detectedLanguage = response.results[0].languageCode || language;
+            );
             
             return {
-                text: transcription,
-                confidence,
-                detectedLanguage: this.normalizeLanguageCode(detectedLanguage),
-                wordTimings: response.results[0].alternatives[0].words || []
+                text: result.text,
+                confidence: result.confidence,
+                detectedLanguage: this.normalizeLanguageCode(result.language),
+                wordTimings: result.wordTimestamps
             };
         } catch (error) {
             console.error('语音转文字失败:', error);
@@ -100,23 +63,12 @@ class VoiceTranslationService {
      */
     async translateText(text, sourceLanguage, targetLanguage) {
         try {
-            if (sourceLanguage === targetLanguage) {
-                return {
-                    text: text,
-                    confidence: 1.0,
-                    detectedLanguage: sourceLanguage
-                };
-            }
-            
-            const [translation, metadata] = await this.translateClient.translate(text, {
-                from: sourceLanguage,
-                to: targetLanguage
-            });
+            const result = await languageProviderRegistry.translate(text, sourceLanguage, targetLanguage);
             
             return {
-                text: Array.isArray(translation) ? translation[0] : translation,
-                confidence: 0.95, // Google Translate通常有很高的准确度
-                detectedLanguage: metadata.data.translations[0].detectedSourceLanguage || sourceLanguage
+                text: result.text,
+                confidence: result.confidence,
+                detectedLanguage: result.sourceLanguage
             };
         } catch (error) {
             console.error('文本翻译失败:', error);
@@ -133,25 +85,11 @@ class VoiceTranslationService {
      */
     async synthesizeSpeech(text, language, voiceType = 'neutral') {
         try {
-            const voiceName = this.supportedLanguages[language]?.voice || 'en-US-Wavenet-D';
-            
-            const request = {
-                input: { text: text },
-                voice: {
-                    languageCode: this.getLanguageCode(language),
-                    name: voiceName,
-                    ssmlGender: 'NEUTRAL'
-                },
-                audioConfig: {
-                    audioEncoding: 'MP3',
-                    speakingRate: 1.0,
-                    pitch: 0.0,
-                    volumeGainDb: 0.0
-                }
-            };
-            
-            const [response] = await this.ttsClient.synthesizeSpeech(request);
-            return response.audioContent;
+            const result = await languageProviderRegistry.synthesize(text, this.getLanguageCode(language), {
+                format: 'mp3',
+                gender: voiceType
+            });
+            return result.audio;
         } catch (error) {
             console.error('语音合成失败:', error);
             throw new Error('语音合成服务暂时不可用');
@@ -0,0 +1,254 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+// 只测试路由行为，身份验证由模拟的中间件提供
+jest.mock('../src/middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { id: req.headers['x-user-id'] };
+        next();
+    },
+    optionalAuth: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const ChatMessage = require('../src/models/ChatMessage');
+const ArchivedChatMessage = require('../src/models/ArchivedChatMessage');
+const DeviceKey = require('../src/models/DeviceKey');
+const ChatAttachment = require('../src/models/ChatAttachment');
+const Notification = require('../src/models/Notification');
+const PushSubscription = require('../src/models/PushSubscription');
+const accountDataService = require('../src/services/accountDataService');
+const securityLogService = require('../src/services/securityLogService');
+const sessionService = require('../src/services/sessionService');
+const apiKeyService = require('../src/services/apiKeyService');
+const chatAttachmentService = require('../src/services/chatAttachmentService');
+const errorHandler = require('../src/middleware/error');
+const authRoutes = require('../src/routes/enhancedAuth');
+
+describe('Account Data Export & Deletion Tests', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v2/auth', authRoutes);
+    app.use(errorHandler);
+
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(securityLogService, 'record').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('导出个人数据为可下载的附件，支持gzip压缩', async () => {
+        const data = { format: 'culturebridge-personal-data-v1', user: { _id: userId }, chatMessages: [{ text: '你好' }] };
+        const collect = jest.spyOn(accountDataService, 'collectUserData').mockResolvedValue(data);
+
+        const res = await request(app).get('/api/v2/auth/export').set('x-user-id', userId).expect(200);
+
+        expect(collect).toHaveBeenCalledWith(userId);
+        expect(res.headers['content-disposition']).toMatch(new RegExp(`attachment; filename="culturebridge-export-${userId}-\\d+\\.json"`));
+        expect(JSON.parse(res.text)).toEqual(data);
+        expect(securityLogService.record).toHaveBeenCalledWith('DATA_EXPORTED', expect.objectContaining({ user: userId }));
+
+        const gzipped = await request(app)
+            .get('/api/v2/auth/export?gzip=true')
+            .set('x-user-id', userId)
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        expect(gzipped.headers['content-type']).toBe('application/gzip');
+        expect(JSON.parse(zlib.gunzipSync(gzipped.body).toString())).toEqual(data);
+    });
+
+    test('用户不存在时导出返回404', async () => {
+        jest.spyOn(accountDataService, 'collectUserData').mockResolvedValue(null);
+
+        const res = await request(app).get('/api/v2/auth/export').set('x-user-id', userId).expect(404);
+
+        expect(res.body.error).toBe('用户不存在');
+        expect(securityLogService.record).not.toHaveBeenCalled();
+    });
+
+    test('删除账户进入宽限期并吊销会话和API密钥，宽限期内可以取消', async () => {
+        const user = new User({ username: 'leaving', email: 'leaving@test.com', password: 'password123' });
+        user.matchPassword = jest.fn().mockResolvedValue(true);
+        user.save = jest.fn().mockResolvedValue(user);
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user, then: (resolve) => resolve(user) });
+        const revokeSessions = jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1);
+        const revokeKeys = jest.spyOn(apiKeyService, 'revokeAllKeys').mockResolvedValue(1);
+
+        const res = await request(app)
+            .delete('/api/v2/auth/delete-account')
+            .set('x-user-id', user.id)
+            .send({ password: 'password123', confirmation: 'DELETE_MY_ACCOUNT' })
+            .expect(200);
+
+        const expected = Date.now() + accountDataService.gracePeriodDays * 24 * 60 * 60 * 1000;
+        expect(Math.abs(Date.parse(res.body.data.scheduledFor) - expected)).toBeLessThan(5000);
+        expect(user.deletion.status).toBe('scheduled');
+        expect(revokeSessions).toHaveBeenCalledWith(user._id, 'ACCOUNT_DELETED');
+        expect(revokeKeys).toHaveBeenCalledWith(user._id);
+
+        await request(app)
+            .delete('/api/v2/auth/delete-account')
+            .set('x-user-id', user.id)
+            .send({ password: 'password123', confirmation: 'DELETE_MY_ACCOUNT' })
+            .expect(400);
+
+        await request(app).post('/api/v2/auth/delete-account/cancel').set('x-user-id', user.id).expect(200);
+        expect(user.deletion.status).toBe('none');
+    });
+
+    test('密码错误或缺少确认文本时不删除账户', async () => {
+        const user = new User({ username: 'staying', email: 'staying@test.com', password: 'password123' });
+        user.matchPassword = jest.fn().mockResolvedValue(false);
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        const schedule = jest.spyOn(accountDataService, 'scheduleDeletion');
+
+        await request(app)
+            .delete('/api/v2/auth/delete-account')
+            .set('x-user-id', user.id)
+            .send({ password: 'password123' })
+            .expect(400);
+
+        const res = await request(app)
+            .delete('/api/v2/auth/delete-account')
+            .set('x-user-id', user.id)
+            .send({ password: 'wrong', confirmation: 'DELETE_MY_ACCOUNT' })
+            .expect(401);
+
+        expect(res.body.error).toBe('密码不正确');
+        expect(schedule).not.toHaveBeenCalled();
+        expect(securityLogService.record).toHaveBeenCalledWith('ACCOUNT_DELETED', expect.objectContaining({
+            success: false,
+            details: { reason: 'INVALID_PASSWORD' }
+        }));
+    });
+
+    // 模拟 find(...).select(...).sort(...).lean() 查询链
+    const query = (value) => {
+        const chain = {
+            select: () => chain,
+            sort: () => chain,
+            lean: async () => value,
+            distinct: async () => value,
+            then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+        };
+        return chain;
+    };
+
+    // 模拟最终删除和导出涉及的全部模型，records 按模型提供查询结果
+    const stubModels = (records = new Map()) => {
+        const models = Object.values(mongoose.models);
+        models.forEach(Model => {
+            jest.spyOn(Model, 'find').mockImplementation(() => query(records.get(Model) || []));
+            jest.spyOn(Model, 'findOne').mockImplementation(() => query(null));
+            jest.spyOn(Model, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+            jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+        });
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(0);
+        jest.spyOn(apiKeyService, 'revokeAllKeys').mockResolvedValue(0);
+        jest.spyOn(chatAttachmentService, 'removeUserAttachments').mockResolvedValue(0);
+    };
+
+    const scheduledUser = () => ({ _id: userId, deletion: { status: 'scheduled' } });
+
+    test('导出包含端到端加密设备公钥，最终删除时删除设备公钥', async () => {
+        const device = { deviceId: 'phone', identityKey: 'identity' };
+        stubModels(new Map([[DeviceKey, [device]]]));
+        jest.spyOn(User, 'findById')
+            .mockReturnValueOnce(query({ _id: userId }))
+            .mockResolvedValueOnce(scheduledUser());
+
+        const data = await accountDataService.collectUserData(userId);
+        expect(data.e2eDevices).toEqual([device]);
+
+        await accountDataService.finalizeDeletion(userId);
+        expect(DeviceKey.deleteMany).toHaveBeenCalledWith({ user: userId });
+        expect(ChatMessage.updateMany).toHaveBeenCalledWith({ sender: userId }, expect.anything());
+    });
+
+    test('已归档的聊天消息同样导出和匿名化，其中的语音文件一并清理', async () => {
+        const archived = { _id: 'archived-1', sender: userId, content: { text: '旧消息', voiceUrl: '/uploads/voice/old.webm' } };
+        stubModels(new Map([[ArchivedChatMessage, [archived]]]));
+        const purge = jest.spyOn(accountDataService, 'purgeFiles').mockResolvedValue(1);
+        jest.spyOn(User, 'findById')
+            .mockReturnValueOnce(query({ _id: userId }))
+            .mockResolvedValueOnce(scheduledUser());
+
+        expect((await accountDataService.collectUserData(userId)).archivedChatMessages).toEqual([archived]);
+
+        await accountDataService.finalizeDeletion(userId);
+        expect(purge).toHaveBeenCalledWith(expect.arrayContaining(['/uploads/voice/old.webm']));
+        const [filter, update] = ArchivedChatMessage.updateMany.mock.calls[0];
+        expect(filter).toEqual({ sender: userId });
+        expect(update).toEqual(ChatMessage.updateMany.mock.calls[0][1]);
+        expect(update.$set['content.text']).toBe('[已删除]');
+    });
+
+    test('导出用户上传的聊天附件，最终删除时删除附件文件', async () => {
+        const attachment = { _id: 'attachment-1', uploader: userId, originalName: 'photo.png' };
+        stubModels(new Map([[ChatAttachment, [attachment]]]));
+        jest.spyOn(User, 'findById')
+            .mockReturnValueOnce(query({ _id: userId }))
+            .mockResolvedValueOnce(scheduledUser());
+        chatAttachmentService.removeUserAttachments.mockResolvedValue(1);
+
+        expect((await accountDataService.collectUserData(userId)).chatAttachments).toEqual([attachment]);
+
+        const summary = await accountDataService.finalizeDeletion(userId);
+        expect(chatAttachmentService.removeUserAttachments).toHaveBeenCalledWith(userId);
+        expect(summary.removedAttachments).toBe(1);
+        expect(ChatMessage.updateMany.mock.calls[0][1].$unset).toEqual(expect.objectContaining({ 'content.attachment': 1 }));
+    });
+
+    test('导出通知和推送订阅，最终删除时删除通知并注销推送地址', async () => {
+        const notification = { _id: 'n1', user: userId, type: 'DIRECT_MESSAGE', body: '明天见' };
+        const subscription = { _id: 's1', user: userId, endpoint: 'https://fcm.googleapis.com/fcm/send/abc' };
+        stubModels(new Map([[Notification, [notification]], [PushSubscription, [subscription]]]));
+        jest.spyOn(User, 'findById')
+            .mockReturnValueOnce(query({ _id: userId }))
+            .mockResolvedValueOnce(scheduledUser());
+
+        const data = await accountDataService.collectUserData(userId);
+        expect(data.notifications).toEqual([notification]);
+        expect(data.pushSubscriptions).toEqual([subscription]);
+
+        await accountDataService.finalizeDeletion(userId);
+        expect(Notification.deleteMany).toHaveBeenCalledWith({ user: userId });
+        expect(PushSubscription.deleteMany).toHaveBeenCalledWith({ user: userId });
+        expect(Notification.updateMany).toHaveBeenCalledWith({ actor: userId }, expect.objectContaining({
+            $set: { body: '[已删除]' }
+        }));
+    });
+
+    test('清理文件时只删除上传目录和临时目录中的文件', async () => {
+        const unlink = jest.spyOn(require('fs').promises, 'unlink').mockResolvedValue();
+
+        const purged = await accountDataService.purgeFiles([
+            '/uploads/voice/a.webm',
+            '/temp/b.wav',
+            '/uploads/voice/a.webm',
+            '/uploads/../package.json',
+            'https://cdn.example.com/c.mp3',
+            null
+        ]);
+
+        expect(purged).toBe(2);
+        expect(unlink).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,133 @@
+jest.mock('../src/models/ApiKey', () => ({
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../src/models/ApiKey');
+const apiKeyService = require('../src/services/apiKeyService');
+const translationRoutes = require('../src/routes/translation');
+
+const mockFindOne = (doc) => {
+    ApiKey.findOne.mockReturnValue({
+        select: () => ({ populate: jest.fn().mockResolvedValue(doc) })
+    });
+};
+
+describe('API Key Service Tests', () => {
+    let issued;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        ApiKey.countDocuments.mockResolvedValue(0);
+        ApiKey.create.mockImplementation(async (doc) => ({ _id: 'key-1', ...doc }));
+        issued = await apiKeyService.createKey('user-1', { name: 'school', scopes: ['translation', 'translation'] });
+    });
+
+    test('创建的密钥应该只保存哈希并去重权限范围', () => {
+        const record = ApiKey.create.mock.calls[0][0];
+
+        expect(issued.status).toBe('created');
+        expect(issued.key).toMatch(/^cbk_[a-f0-9]{12}_/);
+        expect(apiKeyService.parsePrefix(issued.key)).toBe(record.prefix);
+        expect(record.keyHash).toBe(apiKeyService.hashKey(issued.key));
+        expect(record).not.toHaveProperty('key');
+        expect(record.scopes).toEqual(['translation']);
+    });
+
+    test('超过数量上限时应该拒绝创建', async () => {
+        ApiKey.countDocuments.mockResolvedValue(apiKeyService.maxKeysPerUser);
+
+        expect((await apiKeyService.createKey('user-1', { name: 'x', scopes: ['translation'] })).status).toBe('limit_reached');
+    });
+
+    test('有效密钥应该通过验证并记录使用情况', async () => {
+        const record = ApiKey.create.mock.calls[0][0];
+        mockFindOne({ ...record, _id: 'key-1', isActive: true, owner: { _id: 'user-1' } });
+
+        const apiKey = await apiKeyService.authenticate(issued.key, { ip: '127.0.0.1' });
+
+        expect(apiKey).not.toBeNull();
+        expect(ApiKey.findOne).toHaveBeenCalledWith({ prefix: record.prefix });
+        expect(ApiKey.updateOne).toHaveBeenCalledWith(
+            { _id: 'key-1' },
+            expect.objectContaining({ $inc: { usageCount: 1 }, $set: expect.objectContaining({ lastUsedIp: '127.0.0.1' }) })
+        );
+    });
+
+    test('已吊销、被篡改或格式错误的密钥应该被拒绝', async () => {
+        const record = ApiKey.create.mock.calls[0][0];
+
+        mockFindOne({ ...record, isActive: false, owner: { _id: 'user-1' } });
+        expect(await apiKeyService.authenticate(issued.key)).toBeNull();
+
+        mockFindOne({ ...record, isActive: true, owner: { _id: 'user-1' } });
+        const tampered = issued.key.slice(0, -1) + (issued.key.endsWith('A') ? 'B' : 'A');
+        expect(await apiKeyService.authenticate(tampered)).toBeNull();
+
+        expect(await apiKeyService.authenticate('not-a-key')).toBeNull();
+        expect(ApiKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('应该识别无效的权限范围', () => {
+        expect(apiKeyService.getInvalidScopes(['translation', 'admin'])).toEqual(['admin']);
+    });
+
+    test('密钥所有者不能设置限流配置，只能由管理员在范围内设置', async () => {
+        await apiKeyService.createKey('user-1', {
+            name: 'bulk',
+            scopes: ['translation'],
+            rateLimit: { windowMs: 1000, max: 10000 }
+        });
+        expect(ApiKey.create.mock.calls[1][0].rateLimit).toBeUndefined();
+
+        const existing = { name: 'school', rateLimit: { windowMs: 60000, max: 60 }, save: jest.fn() };
+        ApiKey.findOne.mockResolvedValue(existing);
+        await apiKeyService.updateKey('key-1', 'user-1', { name: 'renamed', rateLimit: { windowMs: 1000, max: 10000 } });
+        expect(existing).toEqual(expect.objectContaining({ name: 'renamed', rateLimit: { windowMs: 60000, max: 60 } }));
+
+        expect((await apiKeyService.setRateLimit('key-1', { windowMs: 500, max: 10 })).status).toBe('invalid_rate_limit');
+        expect((await apiKeyService.setRateLimit('key-1', { windowMs: 60000, max: 20000 })).status).toBe('invalid_rate_limit');
+        expect(ApiKey.findOneAndUpdate).not.toHaveBeenCalled();
+
+        ApiKey.findOneAndUpdate.mockResolvedValue({ _id: 'key-1', rateLimit: { windowMs: 60000, max: 600 } });
+        expect((await apiKeyService.setRateLimit('key-1', { windowMs: 60000, max: 600 })).status).toBe('updated');
+        expect(ApiKey.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: 'key-1', revokedAt: { $exists: false } },
+            { rateLimit: { windowMs: 60000, max: 600 } },
+            expect.objectContaining({ runValidators: true })
+        );
+    });
+
+    test('翻译接口保持公开，携带的API密钥按密钥配额限流', async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/translation', translationRoutes);
+        const body = { text: '你好', fromLang: 'zh-CN', toLang: 'en' };
+
+        const anonymous = await request(app).post('/api/translation/translate').send(body).expect(200);
+        expect(anonymous.body.data.translatedText).toBe('Hello');
+        await request(app).post('/api/translation/voice').send({ audioData: 'x', fromLang: 'zh-CN', toLang: 'en' }).expect(200);
+
+        ApiKey.findOne.mockReturnValue({ select: () => ({ populate: jest.fn().mockResolvedValue(null) }) });
+        await request(app).post('/api/translation/translate').set('X-API-Key', issued.key).send(body).expect(401);
+
+        const record = ApiKey.create.mock.calls[0][0];
+        mockFindOne({
+            ...record,
+            _id: 'key-1',
+            isActive: true,
+            owner: { _id: 'user-1', status: 'active' },
+            rateLimit: { windowMs: 60000, max: 1 }
+        });
+        await request(app).post('/api/translation/translate').set('X-API-Key', issued.key).send(body).expect(200);
+        await request(app).post('/api/translation/translate').set('X-API-Key', issued.key).send(body).expect(429);
+
+        // 历史记录仍需要身份验证
+        await request(app).get('/api/translation/history').expect(401);
+    });
+});
@@ -0,0 +1,188 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+jest.mock('../src/models/ChatAttachment', () => ({
+    create: jest.fn(),
+    findById: jest.fn(),
+    find: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    deleteMany: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-attachments-'));
+process.env.FILE_STORAGE_DIR = storageDir;
+
+const ChatAttachment = require('../src/models/ChatAttachment');
+const chatAttachmentService = require('../src/services/chatAttachmentService');
+const fileStorageService = require('../src/services/fileStorageService');
+const ChatRoom = require('../src/models/ChatRoom');
+const chatRoutes = require('../src/routes/enhancedChat');
+
+describe('Chat Attachment Service Tests', () => {
+    const room = { _id: 'room-1', settings: { allowFileSharing: true } };
+    let png;
+
+    beforeAll(async () => {
+        png = await sharp({
+            create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 50, b: 50 } }
+        }).png().toBuffer();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ChatAttachment.create.mockImplementation(async (doc) => ({ _id: 'attachment-1', ...doc }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    test('图片上传应该生成缩略图并记录哈希', async () => {
+        const { status, attachment } = await chatAttachmentService.upload(room, 'user-1', {
+            buffer: png,
+            originalname: 'photo.png',
+            mimetype: 'image/png'
+        });
+
+        expect(status).toBe('uploaded');
+        expect(attachment).toMatchObject({
+            chatRoom: 'room-1',
+            uploader: 'user-1',
+            storage: 'local',
+            mimeType: 'image/png',
+            size: png.length,
+            width: 800,
+            height: 600
+        });
+        expect(attachment.hash).toMatch(/^[a-f0-9]{64}$/);
+        expect(attachment.key).toMatch(/^chat\/room-1\/\d{4}\/\d{2}\/[a-f0-9]{32}\.png$/);
+
+        const thumbnail = fs.readFileSync(path.join(storageDir, attachment.thumbnailKey));
+        const metadata = await sharp(thumbnail).metadata();
+        expect(metadata.format).toBe('webp');
+        expect(metadata.width).toBe(320);
+    });
+
+    test('应该根据文件内容识别类型而不是客户端声明', async () => {
+        const result = await chatAttachmentService.upload(room, 'user-1', {
+            buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'),
+            originalname: 'photo.png',
+            mimetype: 'image/png'
+        });
+
+        expect(result.status).toBe('unsupported_type');
+        expect(ChatAttachment.create).not.toHaveBeenCalled();
+    });
+
+    test('声明为纯文本的二进制内容应该被拒绝', async () => {
+        const text = await chatAttachmentService.sniffMimeType(Buffer.from('hello 世界'), 'text/plain');
+        const binary = await chatAttachmentService.sniffMimeType(Buffer.from([0x68, 0x00, 0x69]), 'text/plain');
+
+        expect(text).toBe('text/plain');
+        expect(binary).toBeNull();
+    });
+
+    test('损坏的图片应该被拒绝', async () => {
+        const result = await chatAttachmentService.upload(room, 'user-1', {
+            buffer: png.subarray(0, 64),
+            originalname: 'broken.png',
+            mimetype: 'image/png'
+        });
+
+        expect(result.status).toBe('invalid_image');
+    });
+
+    test('应该检查文件分享设置和大小限制', async () => {
+        const disabled = await chatAttachmentService.upload(
+            { _id: 'room-2', settings: { allowFileSharing: false } },
+            'user-1',
+            { buffer: png, originalname: 'photo.png' }
+        );
+        const tooLarge = await chatAttachmentService.upload(room, 'user-1', {
+            buffer: Buffer.alloc(chatAttachmentService.maxFileSize + 1),
+            originalname: 'large.bin'
+        });
+
+        expect(disabled.status).toBe('file_sharing_disabled');
+        expect(tooLarge.status).toBe('too_large');
+    });
+
+    test('签名下载链接只对对应附件有效', () => {
+        const url = chatAttachmentService.createDownloadUrl({ _id: 'attachment-1' }, 'user-1', 'thumbnail');
+        const token = new URL(url, 'http://localhost').searchParams.get('token');
+
+        expect(chatAttachmentService.verifyDownloadToken('attachment-1', token)).toMatchObject({
+            user: 'user-1',
+            variant: 'thumbnail'
+        });
+        expect(chatAttachmentService.verifyDownloadToken('attachment-2', token)).toBeNull();
+    });
+
+    test('过期或用途不符的令牌应该被拒绝', () => {
+        const expired = jwt.sign(
+            { purpose: 'chat_attachment', attachment: 'attachment-1', user: 'user-1', exp: Math.floor(Date.now() / 1000) - 10 },
+            process.env.JWT_SECRET
+        );
+        const loginToken = jwt.sign({ id: 'user-1', attachment: 'attachment-1' }, process.env.JWT_SECRET);
+
+        expect(chatAttachmentService.verifyDownloadToken('attachment-1', expired)).toBeNull();
+        expect(chatAttachmentService.verifyDownloadToken('attachment-1', loginToken)).toBeNull();
+    });
+
+    test('被封禁的成员不能获取或下载聊天室附件', async () => {
+        const memberId = new mongoose.Types.ObjectId().toString();
+        const chatRoom = new ChatRoom({ name: '附件', creator: memberId, participants: [{ user: memberId }] });
+        jest.spyOn(ChatRoom, 'findById').mockReturnValue({ select: async () => chatRoom });
+        ChatAttachment.findById.mockResolvedValue({ _id: 'attachment-1', chatRoom: chatRoom._id, status: 'READY' });
+
+        const app = express();
+        app.use('/api/v1/chat', chatRoutes);
+        const token = `Bearer ${generateAuthToken(memberId)}`;
+
+        try {
+            const res = await request(app).get('/api/v1/chat/attachments/attachment-1').set('Authorization', token).expect(200);
+
+            // 封禁前签发的下载链接也随之失效
+            chatRoom.banParticipant(memberId);
+            await request(app).get('/api/v1/chat/attachments/attachment-1').set('Authorization', token).expect(404);
+            await request(app).get(res.body.data.url).expect(404);
+        } finally {
+            ChatRoom.findById.mockRestore();
+        }
+    });
+
+    test('删除用户的附件时删除存储中的文件和缩略图', async () => {
+        const { attachment } = await chatAttachmentService.upload(room, 'user-1', {
+            buffer: png,
+            originalname: 'leaving.png',
+            mimetype: 'image/png'
+        });
+        const storage = fileStorageService.getBackend(attachment.storage);
+        await expect(storage.get(attachment.thumbnailKey)).resolves.toBeDefined();
+
+        ChatAttachment.find.mockReturnValue({ select: async () => [attachment] });
+        ChatAttachment.deleteMany.mockResolvedValue({ deletedCount: 1 });
+
+        expect(await chatAttachmentService.removeUserAttachments('user-1')).toBe(1);
+
+        expect(ChatAttachment.find).toHaveBeenCalledWith({ uploader: 'user-1' });
+        expect(ChatAttachment.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['attachment-1'] } });
+        await expect(storage.get(attachment.key)).rejects.toThrow();
+        await expect(storage.get(attachment.thumbnailKey)).rejects.toThrow();
+    });
+
+    test('本地存储应该拒绝越界路径', async () => {
+        await expect(fileStorageService.getBackend('local').put('../escape.txt', Buffer.from('x')))
+            .rejects.toThrow('非法的存储路径');
+    });
+});
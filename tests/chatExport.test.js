@@ -0,0 +1,284 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const ChatRoom = require('../src/models/ChatRoom');
+const ChatMessage = require('../src/models/ChatMessage');
+const ArchivedChatMessage = require('../src/models/ArchivedChatMessage');
+const ChatExportJob = require('../src/models/ChatExportJob');
+const ChatArchiveJob = require('../src/models/ChatArchiveJob');
+const ScheduledChatMessage = require('../src/models/ScheduledChatMessage');
+const VoiceTranslation = require('../src/models/VoiceTranslation');
+const chatExportService = require('../src/services/chatExportService');
+const chatArchiveService = require('../src/services/chatArchiveService');
+const fileStorageService = require('../src/services/fileStorageService');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+
+describe('Chat Export and Archive Tests', () => {
+    const creatorId = new mongoose.Types.ObjectId();
+
+    const createRoom = () => {
+        const room = new ChatRoom({
+            name: 'Language Exchange',
+            creator: creatorId,
+            participants: [{ user: creatorId, role: 'ADMIN' }]
+        });
+        room.save = jest.fn().mockResolvedValue(room);
+        return room;
+    };
+
+    const createMessage = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        sender: { username: 'mei' },
+        type: 'TEXT',
+        content: { text: '你好' },
+        translations: [],
+        createdAt: new Date('2026-03-02T09:00:00Z'),
+        ...fields
+    });
+
+    // 模拟 find().populate().sort().cursor() 的查询链
+    const mockCursor = (Model, messages) => jest.spyOn(Model, 'find').mockReturnValue({
+        populate: () => ({
+            sort: () => ({
+                cursor: async function* () {
+                    yield* messages;
+                }
+            })
+        })
+    });
+
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('CSV导出包含BOM和译文列，并防止公式注入', () => {
+        const csv = chatExportService.getFormat('csv').render({
+            options: { includeTranslations: true },
+            messages: [{
+                sentAt: new Date('2026-03-02T09:00:00Z'),
+                sender: 'mei',
+                type: 'TEXT',
+                text: '=HYPERLINK("http://evil")',
+                translations: [{ language: 'en', text: 'Hello, "friend"' }]
+            }]
+        });
+
+        expect(csv.startsWith('﻿time,sender,type,text,translation:en\r\n')).toBe(true);
+        expect(csv).toContain(`"'=HYPERLINK(""http://evil"")"`);
+        expect(csv).toContain('"Hello, ""friend"""');
+    });
+
+    test('HTML导出转义消息内容', () => {
+        const html = chatExportService.getFormat('html').render({
+            room: { name: '<b>room</b>' },
+            exportedAt: new Date(),
+            options: {},
+            messages: [{ sentAt: new Date(), sender: 'mei', type: 'TEXT', text: '<script>alert(1)</script>' }]
+        });
+
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).toContain('<title>&lt;b&gt;room&lt;/b&gt;</title>');
+        expect(html).not.toContain('<script>');
+    });
+
+    test('聊天记录先读取归档消息，并按语音URL附带转写', async () => {
+        const room = createRoom();
+        const archived = createMessage({ content: { text: 'old' } });
+        const voice = createMessage({ type: 'VOICE', content: { voiceUrl: '/voice/1.webm' } });
+        mockCursor(ArchivedChatMessage, [archived]);
+        mockCursor(ChatMessage, [voice]);
+        const findVoice = jest.spyOn(VoiceTranslation, 'find').mockReturnValue({
+            select: jest.fn().mockResolvedValue([{
+                originalAudioUrl: '/voice/1.webm',
+                originalLanguage: 'zh-CN',
+                originalText: '你好',
+                translations: [{ language: 'en-US', text: 'Hello' }]
+            }])
+        });
+
+        const transcript = await chatExportService.buildTranscript(room, { includeVoiceTranscripts: true });
+
+        expect(transcript.messages.map(message => message.text)).toEqual(['old', '']);
+        expect(findVoice).toHaveBeenCalledWith({ chatRoom: room._id, originalAudioUrl: { $in: ['/voice/1.webm'] } });
+        expect(transcript.messages[1].voiceTranscript).toEqual({
+            language: 'zh-CN',
+            text: '你好',
+            translations: [{ language: 'en-US', text: 'Hello' }]
+        });
+        expect(transcript.messages[0].translations).toBeUndefined();
+    });
+
+    test('消息较多时创建后台导出任务', async () => {
+        const room = createRoom();
+        jest.spyOn(ChatMessage, 'countDocuments').mockResolvedValue(chatExportService.syncLimit);
+        jest.spyOn(ArchivedChatMessage, 'countDocuments').mockResolvedValue(1);
+        jest.spyOn(chatExportService, 'processQueue').mockResolvedValue(0);
+        jest.spyOn(ChatExportJob, 'create').mockImplementation(async (doc) => doc);
+
+        const result = await chatExportService.exportRoom(room, creatorId, 'csv', { includeTranslations: true });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(result.status).toBe('queued');
+        expect(chatExportService.processQueue).toHaveBeenCalled();
+        expect(result.job).toEqual(expect.objectContaining({
+            chatRoom: room._id,
+            requestedBy: creatorId,
+            format: 'csv',
+            options: expect.objectContaining({ includeTranslations: true, includeVoiceTranscripts: false })
+        }));
+    });
+
+    test('后台任务边读取消息边写入文件，签名链接绑定任务', async () => {
+        const room = createRoom();
+        const job = new ChatExportJob({
+            chatRoom: room._id,
+            requestedBy: creatorId,
+            format: 'csv',
+            options: { includeTranslations: true },
+            status: 'RUNNING'
+        });
+        job.chatRoom = room;
+        job.save = jest.fn().mockResolvedValue(job);
+        mockCursor(ArchivedChatMessage, [createMessage({ translations: [{ language: 'en', text: 'Hello' }] })]);
+        mockCursor(ChatMessage, [createMessage({ content: { text: '再见' }, translations: [{ language: 'ja', text: 'さようなら' }] })]);
+        jest.spyOn(ArchivedChatMessage, 'distinct').mockResolvedValue(['en']);
+        jest.spyOn(ChatMessage, 'distinct').mockResolvedValue(['ja', 'en']);
+
+        let stored;
+        const backend = {
+            put: jest.fn(async (key, body) => {
+                const chunks = [];
+                for await (const chunk of body) chunks.push(chunk);
+                stored = Buffer.concat(chunks);
+            })
+        };
+        jest.spyOn(fileStorageService, 'getBackend').mockReturnValue(backend);
+
+        await chatExportService.runJob(job);
+
+        expect(job.status).toBe('COMPLETED');
+        expect(backend.put).toHaveBeenCalledWith(job.key, expect.anything(), {
+            contentType: 'text/csv; charset=utf-8',
+            contentLength: stored.length
+        });
+        expect(stored.toString('utf8').split('\r\n')).toEqual([
+            '﻿time,sender,type,text,translation:en,translation:ja',
+            '2026-03-02 09:00:00,mei,TEXT,你好,Hello,',
+            '2026-03-02 09:00:00,mei,TEXT,再见,,さようなら',
+            ''
+        ]);
+        expect(job.size).toBe(stored.length);
+        expect(job.messageCount).toBe(2);
+        expect(job.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+        const token = new URL(chatExportService.createDownloadUrl(job, creatorId), 'http://localhost').searchParams.get('token');
+        expect(chatExportService.verifyDownloadToken(job._id, token).user).toBe(creatorId.toString());
+        expect(chatExportService.verifyDownloadToken(new mongoose.Types.ObjectId(), token)).toBeNull();
+    });
+
+    test('分段生成的JSON和HTML与一次性渲染的内容一致', async () => {
+        const room = createRoom();
+        const messages = Array.from({ length: 3 }, (value, index) => createMessage({ content: { text: `第${index + 1}条` } }));
+        chatExportService.batchSize = 2;
+
+        try {
+            for (const format of ['json', 'html']) {
+                mockCursor(ArchivedChatMessage, messages.slice(0, 1));
+                mockCursor(ChatMessage, messages.slice(1));
+
+                const stats = {};
+                let content = '';
+                for await (const chunk of chatExportService.generate(room, format, {}, stats)) {
+                    content += chunk;
+                }
+                expect(stats.messageCount).toBe(3);
+
+                if (format === 'json') {
+                    const parsed = JSON.parse(content);
+                    expect(parsed.room.name).toBe('Language Exchange');
+                    expect(parsed.messages.map(message => message.text)).toEqual(['第1条', '第2条', '第3条']);
+                } else {
+                    expect(content.match(/<tr><td>/g)).toHaveLength(3);
+                    expect(content).toContain('<p>消息数: 3</p>');
+                    expect(content.trim().endsWith('</html>')).toBe(true);
+                }
+                jest.restoreAllMocks();
+            }
+        } finally {
+            chatExportService.batchSize = 500;
+        }
+    });
+
+    test('归档聊天室后立即只读，取消定时消息并在后台移动历史消息', async () => {
+        const room = createRoom();
+        const cancel = jest.spyOn(ScheduledChatMessage, 'updateMany').mockResolvedValue({});
+        jest.spyOn(ChatArchiveJob, 'create').mockImplementation(async doc => new ChatArchiveJob(doc));
+        const processQueue = jest.spyOn(chatArchiveService, 'processQueue').mockResolvedValue(0);
+
+        const result = await chatArchiveService.archiveRoom(room, creatorId, { olderThanDays: 7 });
+
+        expect(result.status).toBe('queued');
+        expect(result.job.chatRoom).toEqual(room._id);
+        expect(Date.now() - 7 * 24 * 60 * 60 * 1000 - result.job.cutoff.getTime()).toBeLessThan(1000);
+        expect(room.status).toBe('ARCHIVED');
+        expect(room.canUserPost(creatorId)).toBe(false);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(processQueue).toHaveBeenCalled();
+        expect(cancel).toHaveBeenCalledWith(
+            { chatRoom: room._id, status: 'SCHEDULED' },
+            expect.objectContaining({ $set: { status: 'CANCELLED' } })
+        );
+        expect((await chatArchiveService.archiveRoom(room, creatorId)).status).toBe('already_archived');
+
+        const service = Object.create(EnhancedChatService.prototype);
+        const socket = { userId: creatorId.toString(), emit: jest.fn() };
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        await service.handleSendMessage(socket, { roomId: room._id.toString(), content: { text: 'hi' } });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: '聊天室已归档，只能查看' });
+
+        expect(await chatArchiveService.unarchiveRoom(room)).toBe('unarchived');
+        expect(room.canUserPost(creatorId)).toBe(true);
+    });
+
+    test('归档任务移动消息后累计聊天室的归档消息数，失败时记录错误', async () => {
+        const job = new ChatArchiveJob({ chatRoom: new mongoose.Types.ObjectId(), requestedBy: creatorId, cutoff: new Date() });
+        job.save = jest.fn().mockResolvedValue(job);
+        const move = jest.spyOn(chatArchiveService, 'moveMessages').mockResolvedValue(120);
+        const update = jest.spyOn(ChatRoom, 'updateOne').mockResolvedValue({});
+
+        await chatArchiveService.runJob(job);
+
+        expect(move).toHaveBeenCalledWith(job.chatRoom, job.cutoff);
+        expect(update).toHaveBeenCalledWith({ _id: job.chatRoom }, { $inc: { 'archive.archivedMessages': 120 } });
+        expect(job.status).toBe('COMPLETED');
+        expect(job.movedCount).toBe(120);
+
+        move.mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await chatArchiveService.runJob(job);
+        expect(job.status).toBe('FAILED');
+        expect(job.error).toBe('connection lost');
+        expect(job.lockedUntil).toBeUndefined();
+    });
+
+    test('移动消息时忽略上次中断已写入的重复消息', async () => {
+        const batch = [createMessage(), createMessage()];
+        jest.spyOn(ChatMessage, 'find')
+            .mockReturnValueOnce({ sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue(batch) }) }) })
+            .mockReturnValueOnce({ sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue([]) }) }) });
+        const duplicate = Object.assign(new Error('E11000 duplicate key'), { writeErrors: [{ code: 11000 }] });
+        jest.spyOn(ArchivedChatMessage, 'insertMany').mockRejectedValue(duplicate);
+        const remove = jest.spyOn(ChatMessage, 'deleteMany').mockResolvedValue({});
+
+        expect(await chatArchiveService.moveMessages(new mongoose.Types.ObjectId(), new Date())).toBe(2);
+        expect(remove).toHaveBeenCalledWith({ _id: { $in: batch.map(message => message._id) } });
+
+        jest.spyOn(ChatMessage, 'find')
+            .mockReturnValueOnce({ sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue(batch) }) }) });
+        jest.spyOn(ArchivedChatMessage, 'insertMany').mockRejectedValue(new Error('connection lost'));
+        await expect(chatArchiveService.moveMessages(new mongoose.Types.ObjectId(), new Date())).rejects.toThrow('connection lost');
+    });
+});
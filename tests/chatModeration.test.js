@@ -0,0 +1,301 @@
+jest.mock('../src/models/ModerationLog', () => ({
+    create: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn()
+}));
+
+jest.mock('../src/models/ModerationAppeal', () => ({
+    create: jest.fn(),
+    findOne: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn()
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+    notify: jest.fn()
+}));
+
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const ChatMessage = require('../src/models/ChatMessage');
+const ChatRoom = require('../src/models/ChatRoom');
+const User = require('../src/models/User');
+const ModerationLog = require('../src/models/ModerationLog');
+const ModerationAppeal = require('../src/models/ModerationAppeal');
+const chatModerationService = require('../src/services/chatModerationService');
+const notificationService = require('../src/services/notificationService');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+
+describe('Chat Moderation Service Tests', () => {
+    const creatorId = new mongoose.Types.ObjectId();
+    const senderId = new mongoose.Types.ObjectId();
+    const moderatorId = new mongoose.Types.ObjectId();
+
+    const createRoom = () => {
+        const room = new ChatRoom({
+            name: 'Tea Culture',
+            creator: creatorId,
+            participants: [{ user: creatorId, role: 'ADMIN' }, { user: senderId }]
+        });
+        room.save = jest.fn().mockResolvedValue(room);
+        return room;
+    };
+
+    const createMessage = () => {
+        const message = new ChatMessage({
+            chatRoom: new mongoose.Types.ObjectId(),
+            sender: senderId,
+            content: { text: 'hello' }
+        });
+        message.save = jest.fn().mockResolvedValue(message);
+        return message;
+    };
+
+    const reportTimes = async (message, times) => {
+        let status;
+        for (let i = 0; i < times; i++) {
+            status = await chatModerationService.reportMessage(message, new mongoose.Types.ObjectId(), { reason: 'spam' });
+        }
+        return status;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('举报数达到阈值时应该自动隐藏并记录', async () => {
+        const message = createMessage();
+
+        expect(await reportTimes(message, chatModerationService.autoHideThreshold - 1)).toBe('reported');
+        expect(message.status).toBe('SENT');
+
+        expect(await reportTimes(message, 1)).toBe('auto_hidden');
+        expect(message.status).toBe('DELETED');
+        expect(message.moderation.moderationAction).toBe('HIDDEN');
+        expect(ModerationLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'MESSAGE_AUTO_HIDDEN',
+            targetMessage: message._id,
+            targetUser: senderId
+        }));
+    });
+
+    test('不能重复举报或举报自己的消息', async () => {
+        const message = createMessage();
+        const reporter = new mongoose.Types.ObjectId();
+
+        await chatModerationService.reportMessage(message, reporter, { reason: 'spam' });
+
+        expect(await chatModerationService.reportMessage(message, reporter, {})).toBe('already_reported');
+        expect(await chatModerationService.reportMessage(message, senderId, {})).toBe('own_message');
+        expect(message.moderation.reportCount).toBe(1);
+    });
+
+    test('版主通过被隐藏的消息应该恢复显示', async () => {
+        const message = createMessage();
+        await reportTimes(message, chatModerationService.autoHideThreshold);
+
+        await chatModerationService.moderateMessage(message, moderatorId, 'APPROVED', '内容正常');
+
+        expect(message.status).toBe('SENT');
+        expect(message.moderation.moderatedBy).toEqual(moderatorId);
+        expect(ModerationLog.create).toHaveBeenLastCalledWith(expect.objectContaining({
+            action: 'MESSAGE_APPROVED',
+            moderator: moderatorId,
+            reason: '内容正常'
+        }));
+
+        // 版主处理后不再自动隐藏
+        expect(await reportTimes(message, chatModerationService.autoHideThreshold)).toBe('reported');
+    });
+
+    test('禁言到期前不能发言，到期后自动解除', async () => {
+        const room = createRoom();
+
+        expect(await chatModerationService.muteUser(room, senderId, moderatorId, { duration: 60000 })).toBe('muted');
+        expect(room.canUserPost(senderId)).toBe(false);
+
+        room.participants[1].muteUntil = new Date(Date.now() - 1000);
+        expect(room.canUserPost(senderId)).toBe(true);
+        expect(room.participants[1].status).toBe('ACTIVE');
+    });
+
+    test('限时封禁到期后自动解除，永久封禁一直有效', async () => {
+        const room = createRoom();
+
+        await chatModerationService.banUser(room, senderId, moderatorId, { duration: 60000, reason: 'spam' });
+        expect(room.isUserBanned(senderId)).toBe(true);
+        expect(ModerationLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'USER_BANNED',
+            expiresAt: room.participants[1].banUntil
+        }));
+
+        room.participants[1].banUntil = new Date(Date.now() - 1000);
+        expect(room.canUserPost(senderId)).toBe(true);
+
+        await chatModerationService.banUser(room, senderId, moderatorId);
+        expect(room.participants[1].banUntil).toBeUndefined();
+        expect(room.canUserPost(senderId)).toBe(false);
+    });
+
+    test('封禁时把用户的实时连接移出聊天室', async () => {
+        const room = createRoom();
+        const socketsLeave = jest.fn();
+        const io = { in: jest.fn().mockReturnValue({ socketsLeave }) };
+        chatModerationService.attachSocket(io, userId => `user_${userId}`);
+
+        try {
+            await chatModerationService.banUser(room, senderId, moderatorId);
+
+            expect(io.in).toHaveBeenCalledWith(`user_${senderId}`);
+            expect(socketsLeave).toHaveBeenCalledWith(room._id.toString());
+            expect(room.isActiveParticipant(senderId)).toBe(false);
+        } finally {
+            chatModerationService.detachSocket(io);
+        }
+    });
+
+    test('聊天室版主不能处理聊天室管理员或全站版主', async () => {
+        const room = createRoom();
+        const siteModeratorId = new mongoose.Types.ObjectId();
+        room.addModerator(moderatorId);
+        const roles = { [siteModeratorId]: 'moderator' };
+        jest.spyOn(User, 'findById').mockImplementation(id => ({
+            select: async () => ({ _id: id, role: roles[id] || 'user' })
+        }));
+
+        try {
+            const roomModerator = { _id: moderatorId, role: 'user' };
+            expect(await chatModerationService.outranks(roomModerator, room, senderId)).toBe(true);
+            expect(await chatModerationService.outranks(roomModerator, room, creatorId)).toBe(false);
+            expect(await chatModerationService.outranks(roomModerator, room, siteModeratorId)).toBe(false);
+
+            // 版主之间不能互相处理
+            const otherModeratorId = new mongoose.Types.ObjectId();
+            room.addModerator(otherModeratorId);
+            expect(await chatModerationService.outranks(roomModerator, room, otherModeratorId)).toBe(false);
+
+            const siteModerator = { _id: siteModeratorId, role: 'moderator' };
+            expect(await chatModerationService.outranks(siteModerator, room, moderatorId)).toBe(true);
+        } finally {
+            User.findById.mockRestore();
+        }
+    });
+
+    test('实时删除他人消息需要删除权限和更高等级，并记录审核日志', async () => {
+        const room = createRoom();
+        room.addModerator(moderatorId);
+        room.addModerator(senderId, { canDeleteMessages: false });
+        const message = createMessage();
+        const emit = jest.fn();
+        const service = Object.create(EnhancedChatService.prototype);
+        service.io = { to: jest.fn().mockReturnValue({ emit }) };
+        const socketFor = userId => ({ userId: userId.toString(), emit: jest.fn() });
+
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+        const findRoom = jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        jest.spyOn(User, 'findById').mockImplementation(id => ({
+            select: async () => ({ _id: id, role: 'user' })
+        }));
+
+        try {
+            // 没有删除权限的版主不能删除创建者的消息
+            message.sender = creatorId;
+            const noPermission = socketFor(senderId);
+            await service.handleDeleteMessage(noPermission, { messageId: message._id });
+            expect(noPermission.emit).toHaveBeenCalledWith('error', { message: '无权限删除此消息' });
+
+            // 版主不能删除聊天室管理员的消息
+            const outranked = socketFor(moderatorId);
+            await service.handleDeleteMessage(outranked, { messageId: message._id });
+            expect(outranked.emit).toHaveBeenCalledWith('error', { message: '无权限删除此消息' });
+            expect(message.status).toBe('SENT');
+            expect(ModerationLog.create).not.toHaveBeenCalled();
+
+            message.sender = senderId;
+            room.removeModerator(senderId);
+            await service.handleDeleteMessage(socketFor(moderatorId), { messageId: message._id });
+            expect(message.status).toBe('DELETED');
+            expect(ModerationLog.create).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'MESSAGE_DELETED',
+                moderator: moderatorId.toString(),
+                targetUser: senderId,
+                targetMessage: message._id
+            }));
+            expect(emit).toHaveBeenCalledWith('message_deleted', expect.objectContaining({ messageId: message._id }));
+
+            // 聊天室已不存在时不处理
+            findRoom.mockResolvedValue(null);
+            const missingRoom = socketFor(senderId);
+            await service.handleDeleteMessage(missingRoom, { messageId: message._id });
+            expect(missingRoom.emit).toHaveBeenCalledWith('error', { message: '聊天室不存在' });
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('聊天室创建者和版主可以管理聊天室', () => {
+        const room = createRoom();
+        room.addModerator(moderatorId, { canMute: false });
+
+        expect(chatModerationService.canModerate({ _id: creatorId }, room)).toBe(true);
+        expect(chatModerationService.canModerate({ _id: moderatorId }, room, 'canDeleteMessages')).toBe(true);
+        expect(chatModerationService.canModerate({ _id: moderatorId }, room, 'canMute')).toBe(false);
+        expect(chatModerationService.canModerate({ _id: senderId }, room)).toBe(false);
+        expect(chatModerationService.canModerate({ _id: senderId, role: 'moderator' }, room)).toBe(true);
+    });
+
+    test('只能对实际受到的处理提出申诉', async () => {
+        const room = createRoom();
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+
+        const notMuted = await chatModerationService.submitAppeal(senderId, {
+            type: 'MUTE',
+            chatRoom: room._id,
+            reason: '误判'
+        });
+        expect(notMuted.status).toBe('not_moderated');
+
+        room.muteParticipant(senderId, 60000);
+        ModerationAppeal.findOne.mockResolvedValue(null);
+        ModerationAppeal.create.mockImplementation(async (doc) => doc);
+
+        const result = await chatModerationService.submitAppeal(senderId, {
+            type: 'MUTE',
+            chatRoom: room._id,
+            reason: '误判'
+        });
+        expect(result.status).toBe('submitted');
+        expect(ModerationAppeal.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'MUTE', user: senderId }));
+    });
+
+    test('接受申诉应该撤销原处理并记录', async () => {
+        const room = createRoom();
+        room.banParticipant(senderId);
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+
+        const appeal = {
+            _id: new mongoose.Types.ObjectId(),
+            user: senderId,
+            chatRoom: room._id,
+            type: 'BAN',
+            status: 'PENDING',
+            save: jest.fn()
+        };
+
+        expect(await chatModerationService.reviewAppeal(appeal, moderatorId, { accept: true, note: '已核实' })).toBe('accepted');
+        expect(room.isUserBanned(senderId)).toBe(false);
+        expect(appeal.status).toBe('ACCEPTED');
+        expect(ModerationLog.create.mock.calls.map(([entry]) => entry.action)).toEqual(['USER_UNBANNED', 'APPEAL_ACCEPTED']);
+        // 撤销封禁只通知申诉结果
+        expect(notificationService.notify).toHaveBeenCalledTimes(1);
+        expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+            user: senderId,
+            type: 'MODERATION',
+            title: '您的申诉已通过'
+        }));
+
+        expect(await chatModerationService.reviewAppeal(appeal, moderatorId, { accept: false })).toBe('already_reviewed');
+    });
+});
@@ -0,0 +1,123 @@
+const ChatPresenceService = require('../src/services/chatPresenceService');
+const { createMemoryStore } = ChatPresenceService;
+const request = require('supertest');
+const ChatServer = require('../src/services/chatServer');
+
+describe('Chat Presence Service Tests', () => {
+    let nodeA;
+    let nodeB;
+
+    beforeEach(() => {
+        // 两个实例共享同一存储，模拟通过Redis组成的集群
+        const store = createMemoryStore();
+        nodeA = new ChatPresenceService({ namespace: 'test', store });
+        nodeB = new ChatPresenceService({ namespace: 'test', store });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('不同实例上的用户应该互相可见', async () => {
+        expect(await nodeA.connect('u1', 's1', { username: 'alice' })).toBe(true);
+        expect(await nodeB.connect('u2', 's2', { username: 'bob' })).toBe(true);
+
+        expect(await nodeA.getOnlineUserCount()).toBe(2);
+        expect((await nodeA.getUser('u2')).username).toBe('bob');
+        expect((await nodeB.getOnlineUsers()).map(user => user.username).sort()).toEqual(['alice', 'bob']);
+    });
+
+    test('多设备连接时只有最后一个连接断开才算下线', async () => {
+        await nodeA.connect('u1', 's1', { username: 'alice' });
+        expect(await nodeB.connect('u1', 's2', { username: 'alice' })).toBe(false);
+
+        expect(await nodeA.disconnect('u1', 's1')).toBe(false);
+        expect(await nodeB.getUser('u1')).not.toBeNull();
+
+        expect(await nodeB.disconnect('u1', 's2')).toBe(true);
+        expect(await nodeA.getUser('u1')).toBeNull();
+        expect(await nodeA.getOnlineUserCount()).toBe(0);
+    });
+
+    test('状态更新应该在集群内共享', async () => {
+        await nodeA.connect('u1', 's1', { username: 'alice' });
+        await nodeB.updateUser('u1', { status: 'busy' });
+
+        expect((await nodeA.getUser('u1')).status).toBe('busy');
+    });
+
+    test('未续期的在线状态、房间成员和输入状态应该过期', async () => {
+        jest.useFakeTimers({ now: Date.now() });
+
+        await nodeA.connect('u1', 's1', { username: 'alice' });
+        await nodeA.connect('u2', 's2', { username: 'bob' });
+        await nodeA.joinRoom('room-1', 'u1');
+        await nodeB.joinRoom('room-1', 'u2');
+        await nodeA.setTyping('room-1', 'u1');
+
+        expect(await nodeB.getRoomMembers('room-1')).toEqual(expect.arrayContaining(['u1', 'u2']));
+        expect(await nodeB.getTypingUsers('room-1')).toEqual(['u1']);
+
+        jest.advanceTimersByTime(nodeA.typingTTL + 1);
+        expect(await nodeB.getTypingUsers('room-1')).toEqual([]);
+
+        // 只有u2持续发送心跳
+        jest.advanceTimersByTime(nodeA.presenceTTL - nodeA.typingTTL - 1000);
+        await nodeB.heartbeat('u2', ['room-1']);
+        jest.advanceTimersByTime(2000);
+
+        expect(await nodeA.getOnlineUserCount()).toBe(1);
+        expect(await nodeA.getUser('u1')).toBeNull();
+        expect(await nodeA.getRoomMembers('room-1')).toEqual(['u2']);
+        expect(await nodeA.heartbeat('u1')).toBe(false);
+    });
+
+    test('最后一个成员离开后房间应该从列表中移除', async () => {
+        await nodeA.joinRoom('room-1', 'u1');
+        await nodeB.joinRoom('room-2', 'u2');
+        expect(await nodeA.getRooms()).toEqual(expect.arrayContaining([
+            { roomId: 'room-1', userCount: 1 },
+            { roomId: 'room-2', userCount: 1 }
+        ]));
+
+        await nodeB.leaveRoom('room-1', 'u1');
+        expect(await nodeA.getRooms()).toEqual([{ roomId: 'room-2', userCount: 1 }]);
+    });
+
+    test('发言频率计数应该跨实例累计', async () => {
+        const limit = { windowMs: 60 * 1000, max: 3 };
+
+        expect(await nodeA.consumeRateLimit('u1', limit)).toBe(true);
+        expect(await nodeB.consumeRateLimit('u1', limit)).toBe(true);
+        expect(await nodeA.consumeRateLimit('u1', limit)).toBe(true);
+        expect(await nodeB.consumeRateLimit('u1', limit)).toBe(false);
+        expect(await nodeB.consumeRateLimit('u2', limit)).toBe(true);
+    });
+
+    test('存储不可用时聊天服务器的处理器返回错误而不是抛出', async () => {
+        const server = new ChatServer();
+        const unavailable = () => Promise.reject(new Error('Redis unavailable'));
+        server.presence.store = new Proxy({}, { get: () => unavailable });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const { body } = await request(server.app).post('/api/rooms').send({ name: 'Tea', language: 'zh' }).expect(200);
+            await request(server.app).get('/api/rooms').expect(500);
+
+            const socket = { id: 's1', emit: jest.fn(), join: jest.fn(), leave: jest.fn(), to: () => ({ emit: jest.fn() }) };
+            await server.handleJoinRoom(socket, { roomId: body.roomId, userInfo: { id: 'u1', username: 'alice' } });
+            expect(socket.emit).toHaveBeenCalledWith('error', { message: '加入房间失败' });
+
+            await server.handleHeartbeat(socket);
+            await server.handlePrivateMessage(socket, { targetUserId: 'u2', message: 'hi' });
+            expect(socket.emit).toHaveBeenCalledWith('error', { message: '发送私聊消息失败' });
+
+            await server.handleDisconnect(socket);
+            expect(server.userSessions.has('s1')).toBe(false);
+        } finally {
+            clearInterval(server.heartbeatTimer);
+            server.io.close();
+            console.error.mockRestore();
+        }
+    });
+});
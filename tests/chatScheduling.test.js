@@ -0,0 +1,226 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const ChatRoom = require('../src/models/ChatRoom');
+const User = require('../src/models/User');
+const ScheduledChatMessage = require('../src/models/ScheduledChatMessage');
+const ChatMessage = require('../src/models/ChatMessage');
+const chatSchedulerService = require('../src/services/chatSchedulerService');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+
+describe('Chat Pinning and Scheduling Tests', () => {
+    const creatorId = new mongoose.Types.ObjectId();
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const createRoom = () => new ChatRoom({
+        name: 'Language Exchange',
+        creator: creatorId,
+        participants: [{ user: creatorId, role: 'ADMIN' }]
+    });
+
+    const createJob = (fields = {}) => {
+        const runAt = new Date('2026-03-02T09:00:00Z');
+        const job = new ScheduledChatMessage({
+            chatRoom: new mongoose.Types.ObjectId(),
+            sender: creatorId,
+            content: { text: 'Weekly prompt: describe your favourite festival' },
+            scheduledAt: runAt,
+            nextRunAt: runAt,
+            ...fields
+        });
+        job.save = jest.fn().mockResolvedValue(job);
+        return job;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('置顶消息按最新置顶排序并限制数量', () => {
+        const room = createRoom();
+        const first = new mongoose.Types.ObjectId();
+        const second = new mongoose.Types.ObjectId();
+
+        expect(room.pinMessage(first, creatorId)).toBe('pinned');
+        expect(room.pinMessage(second, creatorId)).toBe('pinned');
+        expect(room.pinMessage(first, creatorId)).toBe('already_pinned');
+        expect(room.pinnedMessages.map(pin => pin.message)).toEqual([second, first]);
+
+        expect(room.unpinMessage(first)).toBe(true);
+        expect(room.unpinMessage(first)).toBe(false);
+
+        while (room.pinnedMessages.length < ChatRoom.MAX_PINNED_MESSAGES) {
+            room.pinMessage(new mongoose.Types.ObjectId(), creatorId);
+        }
+        expect(room.pinMessage(new mongoose.Types.ObjectId(), creatorId)).toBe('limit_reached');
+    });
+
+    test('过期的公告不再展示', () => {
+        const room = createRoom();
+        expect(room.getActiveAnnouncement()).toBeNull();
+
+        room.setAnnouncement('本周主题：春节习俗', creatorId, new Date(Date.now() + DAY));
+        expect(room.getActiveAnnouncement().text).toBe('本周主题：春节习俗');
+
+        room.announcement.expiresAt = new Date(Date.now() - 1000);
+        expect(room.getActiveAnnouncement()).toBeNull();
+
+        expect(room.clearAnnouncement()).toBe(true);
+        expect(room.clearAnnouncement()).toBe(false);
+    });
+
+    test('创建定时消息时校验内容、时间和重复周期', async () => {
+        const room = createRoom();
+        const runAt = new Date(Date.now() + DAY);
+        jest.spyOn(ScheduledChatMessage, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(ScheduledChatMessage, 'create').mockImplementation(async (doc) => doc);
+
+        expect((await chatSchedulerService.schedule(room, creatorId, { text: ' ', runAt })).status).toBe('text_required');
+        expect((await chatSchedulerService.schedule(room, creatorId, { text: 'hi', runAt: new Date(Date.now() - 1000) })).status)
+            .toBe('invalid_time');
+        expect((await chatSchedulerService.schedule(room, creatorId, { text: 'hi', runAt, endsAt: new Date() })).status)
+            .toBe('invalid_time');
+        expect((await chatSchedulerService.schedule(room, creatorId, { text: 'hi', runAt, recurrence: 'HOURLY' })).status)
+            .toBe('invalid_recurrence');
+
+        const result = await chatSchedulerService.schedule(room, creatorId, { text: ' hi ', runAt, recurrence: 'WEEKLY' });
+        expect(result.status).toBe('scheduled');
+        expect(result.job).toEqual(expect.objectContaining({
+            content: { text: 'hi' },
+            recurrence: 'WEEKLY',
+            scheduledAt: runAt,
+            nextRunAt: runAt
+        }));
+    });
+
+    test('重复任务跳过停机期间错过的时间点并遵守截止时间', () => {
+        const job = createJob({ recurrence: 'WEEKLY' });
+
+        // 停机两周半后恢复，只补发一次并排到下一个周期
+        const now = new Date(job.scheduledAt.getTime() + 17 * DAY);
+        expect(chatSchedulerService.getNextRunAt(job, now)).toEqual(new Date(job.scheduledAt.getTime() + 21 * DAY));
+
+        job.endsAt = new Date(job.scheduledAt.getTime() + 20 * DAY);
+        expect(chatSchedulerService.getNextRunAt(job, now)).toBeNull();
+        expect(chatSchedulerService.getNextRunAt(createJob(), now)).toBeNull();
+    });
+
+    test('发送成功后重复任务排到下一周期', async () => {
+        const job = createJob({ recurrence: 'DAILY' });
+        const now = new Date(job.nextRunAt.getTime() + 1000);
+        const messageId = new mongoose.Types.ObjectId();
+        jest.spyOn(ScheduledChatMessage, 'findOneAndUpdate')
+            .mockResolvedValueOnce(job)
+            .mockResolvedValueOnce(null);
+        chatSchedulerService.send = jest.fn().mockResolvedValue({ _id: messageId });
+
+        expect(await chatSchedulerService.runDue(now)).toBe(1);
+        expect(chatSchedulerService.send).toHaveBeenCalledWith(job);
+        expect(job.status).toBe('SCHEDULED');
+        expect(job.runCount).toBe(1);
+        expect(job.lastMessage).toEqual(messageId);
+        expect(job.nextRunAt).toEqual(new Date('2026-03-03T09:00:00Z'));
+        expect(job.lockedUntil).toBeUndefined();
+    });
+
+    test('发送失败时退避重试，多次失败后一次性任务标记失败', async () => {
+        const job = createJob();
+        const now = new Date('2026-03-02T09:00:00Z');
+        const error = new Error('您已被禁言或封禁');
+
+        await chatSchedulerService.fail(job, error, now);
+        expect(job.status).toBe('SCHEDULED');
+        expect(job.nextRunAt).toEqual(new Date(now.getTime() + chatSchedulerService.retryDelay));
+
+        await chatSchedulerService.fail(job, error, now);
+        expect(job.nextRunAt).toEqual(new Date(now.getTime() + 2 * chatSchedulerService.retryDelay));
+        // 重试不改变重复周期的基准时间
+        expect(job.scheduledAt).toEqual(now);
+
+        await chatSchedulerService.fail(job, error, now);
+        expect(job.status).toBe('FAILED');
+        expect(job.lastError).toBe('您已被禁言或封禁');
+    });
+
+    test('定时消息通过普通发送流程发送，失败原因写入任务', async () => {
+        const service = Object.create(EnhancedChatService.prototype);
+        const sender = new User({ _id: creatorId, username: 'mei' });
+        jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(sender) });
+        service.handleSendMessage = jest.fn(async (socket) => {
+            socket.emit('error', { message: '您已被禁言或封禁' });
+        });
+
+        const job = createJob();
+        await expect(service.sendScheduledMessage(job)).rejects.toThrow('您已被禁言或封禁');
+
+        const [socket, data] = service.handleSendMessage.mock.calls[0];
+        expect(socket.userId).toBe(creatorId.toString());
+        expect(socket.userInfo.username).toBe('mei');
+        expect(data).toEqual(expect.objectContaining({
+            roomId: job.chatRoom.toString(),
+            type: 'TEXT',
+            content: { text: job.content.text },
+            clientId: `scheduled:${job._id}`
+        }));
+    });
+
+    test('被内容过滤拦截的定时消息删除已保存的消息，不再重试', async () => {
+        const service = Object.create(EnhancedChatService.prototype);
+        const sender = new User({ _id: creatorId, username: 'mei' });
+        jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(sender) });
+        const deleteOne = jest.spyOn(ChatMessage, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+        service.handleSendMessage = jest.fn(async (socket) => {
+            socket.emit('error', { message: '消息包含不允许发布的内容' });
+        });
+
+        const job = createJob({ recurrence: 'WEEKLY' });
+        const error = await service.sendScheduledMessage(job).catch(error => error);
+
+        expect(error.permanent).toBe(true);
+        const { messageId } = service.handleSendMessage.mock.calls[0][2];
+        expect(deleteOne).toHaveBeenCalledWith({ _id: messageId });
+
+        await chatSchedulerService.fail(job, error, new Date('2026-03-02T09:00:00Z'));
+        expect(job.status).toBe('FAILED');
+        expect(job.lastError).toBe('消息包含不允许发布的内容');
+    });
+
+    test('置顶权限按完整的用户角色判断', async () => {
+        const room = createRoom();
+        room.save = jest.fn().mockResolvedValue(room);
+        const message = new ChatMessage({ chatRoom: room._id, sender: creatorId, content: { text: 'hi' } });
+        const moderatorId = new mongoose.Types.ObjectId();
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        const findUser = jest.spyOn(User, 'findById').mockReturnValue({
+            select: jest.fn().mockResolvedValue({ _id: moderatorId, role: 'user', roles: ['moderator'] })
+        });
+
+        const service = Object.create(EnhancedChatService.prototype);
+        const emit = jest.fn();
+        service.io = { to: jest.fn().mockReturnValue({ emit }) };
+        const socket = { userId: moderatorId.toString(), userRole: 'user', userInfo: { username: 'mod' }, emit: jest.fn() };
+
+        await service.handlePinMessage(socket, { messageId: message._id, pinned: true });
+
+        expect(findUser).toHaveBeenCalledWith(moderatorId.toString());
+        expect(socket.emit).not.toHaveBeenCalled();
+        expect(room.pinnedMessages).toHaveLength(1);
+        expect(emit).toHaveBeenCalledWith('message_pinned', expect.objectContaining({ messageId: message._id }));
+    });
+
+    test('应用启动时通过消息发送流程运行定时消息', () => {
+        const start = jest.spyOn(chatSchedulerService, 'start').mockImplementation(() => {});
+        const io = { to: jest.fn() };
+
+        const pipeline = EnhancedChatService.createMessagePipeline(io);
+        pipeline.startScheduledMessages();
+
+        expect(pipeline.io).toBe(io);
+        const job = createJob();
+        pipeline.sendScheduledMessage = jest.fn();
+        start.mock.calls[0][0](job);
+        expect(pipeline.sendScheduledMessage).toHaveBeenCalledWith(job);
+    });
+});
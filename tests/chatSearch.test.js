@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../src/models/ChatMessage');
+const ChatRoom = require('../src/models/ChatRoom');
+const chatSearchService = require('../src/services/chatSearchService');
+
+describe('Chat Search Service Tests', () => {
+    const roomA = new mongoose.Types.ObjectId();
+    const roomB = new mongoose.Types.ObjectId();
+    let query;
+
+    const createMessage = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date('2026-03-01T10:00:00Z'),
+        content: { text: '今天的茶道课非常有意思' },
+        translations: [{ language: 'en-US', text: 'The tea ceremony class today was very interesting' }],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        query = {
+            populate: jest.fn().mockReturnThis(),
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockResolvedValue([])
+        };
+        jest.spyOn(ChatMessage, 'find').mockReturnValue(query);
+        jest.spyOn(ChatRoom, 'find').mockReturnValue({
+            distinct: jest.fn().mockResolvedValue([roomA, roomB])
+        });
+    });
+
+    test('英文搜索应该使用包含译文的文本索引', async () => {
+        await chatSearchService.searchForUser('user-1', { q: 'tea ceremony' });
+
+        const filter = ChatMessage.find.mock.calls[0][0];
+        expect(filter.$text).toEqual({ $search: 'tea ceremony' });
+        expect(filter.chatRoom).toEqual({ $in: [roomA, roomB] });
+        expect(filter.status).toEqual({ $ne: 'DELETED' });
+        expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    });
+
+    test('中文搜索应该逐词匹配原文和译文', async () => {
+        await chatSearchService.searchForUser('user-1', { q: '茶道' });
+
+        const filter = ChatMessage.find.mock.calls[0][0];
+        expect(filter.$text).toBeUndefined();
+        expect(filter.$and[0].$or.map(condition => Object.keys(condition)[0])).toEqual([
+            'content.text',
+            'content.originalText',
+            'translations.text'
+        ]);
+    });
+
+    test('只能搜索自己参与的聊天室', async () => {
+        const otherRoom = new mongoose.Types.ObjectId();
+
+        await chatSearchService.searchForUser('user-1', { q: 'tea', room: otherRoom.toString() });
+
+        expect(ChatMessage.find.mock.calls[0][0].chatRoom).toEqual({ $in: [] });
+    });
+
+    test('被封禁的聊天室不在搜索范围内', async () => {
+        await chatSearchService.searchForUser('user-1', { q: 'tea' });
+
+        const { participants } = ChatRoom.find.mock.calls[0][0];
+        expect(participants.$elemMatch.user).toBe('user-1');
+        expect(participants.$elemMatch.$or).toEqual([
+            { status: { $ne: 'BANNED' } },
+            { banUntil: { $lte: expect.any(Date) } }
+        ]);
+    });
+
+    test('应该支持发送者、类型、日期和附件筛选', async () => {
+        const sender = new mongoose.Types.ObjectId().toString();
+
+        await chatSearchService.searchAll({
+            q: 'tea',
+            sender,
+            type: 'file,image',
+            from: '2026-01-01',
+            to: '2026-02-01',
+            hasAttachment: 'true',
+            includeDeleted: 'true'
+        });
+
+        const filter = ChatMessage.find.mock.calls[0][0];
+        expect(filter.sender).toBe(sender);
+        expect(filter.type).toEqual({ $in: ['FILE', 'IMAGE'] });
+        expect(filter.createdAt.$gte).toEqual(new Date('2026-01-01'));
+        expect(filter.$and[0].$or).toHaveLength(3);
+        expect(filter.status).toBeUndefined();
+        expect(filter.chatRoom).toBeUndefined();
+    });
+
+    test('无效的筛选条件和游标应该被拒绝', async () => {
+        expect((await chatSearchService.searchAll({ q: '' })).status).toBe('query_required');
+        expect((await chatSearchService.searchAll({ q: 'tea', type: 'VIDEO' })).status).toBe('invalid_filter');
+        expect((await chatSearchService.searchAll({ q: 'tea', from: 'yesterday' })).status).toBe('invalid_filter');
+        expect((await chatSearchService.searchAll({ q: 'tea', cursor: 'abc' })).status).toBe('invalid_cursor');
+        expect(ChatMessage.find).not.toHaveBeenCalled();
+    });
+
+    test('应该返回下一页游标并按游标继续查询', async () => {
+        const messages = [createMessage(), createMessage(), createMessage()];
+        query.limit.mockResolvedValue(messages);
+
+        const first = await chatSearchService.searchAll({ q: 'tea', limit: 2 });
+
+        expect(first.results).toHaveLength(2);
+        expect(first.hasMore).toBe(true);
+
+        await chatSearchService.searchAll({ q: 'tea', limit: 2, cursor: first.nextCursor });
+
+        const cursorCondition = ChatMessage.find.mock.calls[1][0].$and[0].$or;
+        expect(cursorCondition[0].createdAt.$lt).toEqual(messages[1].createdAt);
+        expect(cursorCondition[1]._id.$lt.toString()).toBe(messages[1]._id.toString());
+    });
+
+    test('原文不匹配时应该高亮匹配的译文', () => {
+        const match = chatSearchService.createSnippet(createMessage(), ['Tea', 'class']);
+
+        expect(match.field).toBe('translation');
+        expect(match.language).toBe('en-US');
+        expect(match.highlights.map(([start, end]) => match.snippet.slice(start, end))).toEqual(['tea', 'class']);
+    });
+
+    test('长文本应该截取匹配位置附近的摘要', () => {
+        const text = `${'a'.repeat(100)} keyword ${'b'.repeat(200)}`;
+        const match = chatSearchService.createSnippet(createMessage({ content: { text }, translations: [] }), ['keyword']);
+
+        expect(match.field).toBe('text');
+        expect(match.snippet.startsWith('…')).toBe(true);
+        expect(match.snippet.endsWith('…')).toBe(true);
+        const [[start, end]] = match.highlights;
+        expect(match.snippet.slice(start, end)).toBe('keyword');
+    });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/models/ChatMessage', () => ({
+    findById: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn()
+}));
+
+jest.mock('../src/models/ThreadSubscription', () => ({
+    updateOne: jest.fn(),
+    updateMany: jest.fn(),
+    find: jest.fn()
+}));
+
+const ChatMessage = require('../src/models/ChatMessage');
+const ThreadSubscription = require('../src/models/ThreadSubscription');
+const chatThreadService = require('../src/services/chatThreadService');
+
+describe('Chat Thread Service Tests', () => {
+    const root = {
+        _id: 'root-1',
+        chatRoom: 'room-1',
+        sender: 'author',
+        status: 'SENT',
+        createdAt: new Date('2026-01-01')
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ChatMessage.create.mockImplementation(async (doc) => ({ _id: 'reply-1', ...doc }));
+        ChatMessage.findByIdAndUpdate.mockResolvedValue({ ...root, threadStats: { replyCount: 1 } });
+        ThreadSubscription.find.mockReturnValue({
+            distinct: jest.fn().mockResolvedValue(['author', 'follower'])
+        });
+    });
+
+    test('回复话题中的回复应该归入根消息', async () => {
+        ChatMessage.findById.mockImplementation(async (id) => (
+            id === 'reply-0' ? { _id: 'reply-0', threadRoot: 'root-1', status: 'SENT' } : root
+        ));
+
+        expect(await chatThreadService.resolveRoot('reply-0')).toBe(root);
+    });
+
+    test('已删除的消息不能作为话题', async () => {
+        ChatMessage.findById.mockResolvedValue({ ...root, status: 'DELETED' });
+
+        expect(await chatThreadService.resolveRoot('root-1')).toBeNull();
+    });
+
+    test('发表回复应该更新根消息统计并通知其他关注者', async () => {
+        const result = await chatThreadService.createReply(root, {
+            sender: 'replier',
+            content: { text: 'hello' }
+        });
+
+        expect(ChatMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+            chatRoom: 'room-1',
+            threadRoot: 'root-1',
+            sender: 'replier'
+        }));
+        expect(ChatMessage.findByIdAndUpdate).toHaveBeenCalledWith(
+            'root-1',
+            expect.objectContaining({
+                $inc: { 'threadStats.replyCount': 1 },
+                $addToSet: { 'threadStats.participants': 'replier' }
+            }),
+            { new: true }
+        );
+        expect(result.followers).toEqual(['author', 'follower']);
+    });
+
+    test('回复者自动关注且只给其他订阅者增加未读数', async () => {
+        await chatThreadService.createReply(root, { sender: 'replier', content: { text: 'hi' } });
+
+        // 根消息作者自动订阅
+        expect(ThreadSubscription.updateOne).toHaveBeenCalledWith(
+            { thread: 'root-1', user: 'author' },
+            expect.objectContaining({ $setOnInsert: expect.objectContaining({ following: true }) }),
+            { upsert: true }
+        );
+        // 回复者未读清零
+        expect(ThreadSubscription.updateOne).toHaveBeenCalledWith(
+            { thread: 'root-1', user: 'replier' },
+            expect.objectContaining({ $set: expect.objectContaining({ unreadCount: 0 }) }),
+            { upsert: true }
+        );
+        expect(ThreadSubscription.updateMany).toHaveBeenCalledWith(
+            { thread: 'root-1', user: { $ne: 'replier' } },
+            { $inc: { unreadCount: 1 } }
+        );
+        expect(ThreadSubscription.find).toHaveBeenCalledWith(expect.objectContaining({ following: true }));
+    });
+
+    test('作者回复自己的话题时不重复订阅', async () => {
+        await chatThreadService.createReply(root, { sender: 'author', content: { text: 'thanks' } });
+
+        expect(ThreadSubscription.updateOne).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,147 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ChatRoom = require('../src/models/ChatRoom');
+const chatThreadService = require('../src/services/chatThreadService');
+const notificationService = require('../src/services/notificationService');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+const chatRoutes = require('../src/routes/enhancedChat');
+
+describe('Chat Thread Access Tests', () => {
+    const memberId = new mongoose.Types.ObjectId().toString();
+    const leftId = new mongoose.Types.ObjectId().toString();
+    const bannedId = new mongoose.Types.ObjectId().toString();
+    const outsiderId = new mongoose.Types.ObjectId().toString();
+    const writerId = new mongoose.Types.ObjectId().toString();
+    let room;
+    let root;
+    let service;
+
+    const createSocket = (userId) => ({
+        userId,
+        userInfo: { id: userId, username: 'tester' },
+        handshake: { headers: {}, address: '127.0.0.1' },
+        emit: jest.fn()
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        room = new ChatRoom({
+            name: '话题测试',
+            creator: memberId,
+            participants: [{ user: memberId }, { user: bannedId }, { user: writerId }]
+        });
+        room.banParticipant(bannedId);
+        room.save = jest.fn().mockResolvedValue(room);
+        root = { _id: 'root-1', chatRoom: room._id, sender: leftId, status: 'SENT' };
+
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        jest.spyOn(chatThreadService, 'resolveRoot').mockResolvedValue(root);
+        jest.spyOn(chatThreadService, 'setFollowing').mockResolvedValue({ following: true });
+        jest.spyOn(chatThreadService, 'markRead').mockResolvedValue();
+
+        service = Object.create(EnhancedChatService.prototype);
+        service.io = { to: jest.fn().mockReturnValue({ emit: jest.fn() }) };
+        service.getUserRoom = userId => `user_${userId}`;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('只有当前参与者可以关注话题，取消关注不受限制', async () => {
+        expect(room.isActiveParticipant(memberId)).toBe(true);
+        expect(room.isActiveParticipant(bannedId)).toBe(false);
+        expect(room.isActiveParticipant(outsiderId)).toBe(false);
+
+        const outsider = createSocket(outsiderId);
+        await service.handleFollowThread(outsider, { messageId: 'root-1' });
+        expect(outsider.emit).toHaveBeenCalledWith('error', { message: '您不是该聊天室的成员' });
+        expect(chatThreadService.setFollowing).not.toHaveBeenCalled();
+
+        const banned = createSocket(bannedId);
+        await service.handleFollowThread(banned, { messageId: 'root-1', follow: false });
+        expect(chatThreadService.setFollowing).toHaveBeenCalledWith(root, bannedId, false);
+
+        const member = createSocket(memberId);
+        await service.handleFollowThread(member, { messageId: 'root-1' });
+        expect(chatThreadService.setFollowing).toHaveBeenLastCalledWith(root, memberId, true);
+        expect(member.emit).toHaveBeenCalledWith('thread_follow_updated', expect.objectContaining({ following: true }));
+    });
+
+    test('标记已读时把话题中的回复解析为根消息', async () => {
+        await service.handleMarkThreadRead(createSocket(memberId), { messageId: 'reply-7' });
+
+        expect(chatThreadService.resolveRoot).toHaveBeenCalledWith('reply-7');
+        expect(chatThreadService.markRead).toHaveBeenCalledWith('root-1', memberId);
+    });
+
+    test('话题回复只推送给仍在聊天室中的关注者', async () => {
+        const reply = {
+            _id: 'reply-1',
+            content: { text: '明天见' },
+            moderation: {},
+            applyContentFilter: () => false,
+            populate: jest.fn(),
+            calculateReward: () => 0
+        };
+        jest.spyOn(chatThreadService, 'createReply').mockResolvedValue({
+            reply,
+            root: { ...root, threadStats: { replyCount: 1 } },
+            followers: [leftId, bannedId, memberId]
+        });
+        const notify = jest.spyOn(notificationService, 'notify').mockResolvedValue(null);
+
+        await service.handleThreadReply(createSocket(writerId), { messageId: 'root-1', content: '明天见' });
+
+        const notified = notify.mock.calls.map(([payload]) => payload.user);
+        expect(notified).toEqual([memberId]);
+        const rooms = service.io.to.mock.calls.map(([name]) => name);
+        expect(rooms).not.toContain(`user_${leftId}`);
+        expect(rooms).not.toContain(`user_${bannedId}`);
+        expect(rooms).toContain(`user_${memberId}`);
+    });
+
+    test('话题列表不展示已离开或被封禁的聊天室中的话题', async () => {
+        const otherRoom = new ChatRoom({ name: '已离开', creator: outsiderId, participants: [{ user: outsiderId }] });
+        jest.spyOn(chatThreadService, 'listSubscriptions').mockResolvedValue([
+            { thread: { _id: 'root-1', content: { text: '可见' } }, chatRoom: room, following: true, unreadCount: 2 },
+            { thread: { _id: 'root-2', content: { text: '不可见' } }, chatRoom: otherRoom, following: true, unreadCount: 5 }
+        ]);
+
+        const app = express();
+        app.use('/api/v1/chat', chatRoutes);
+
+        const res = await request(app)
+            .get('/api/v1/chat/threads')
+            .set('Authorization', `Bearer ${generateAuthToken(memberId)}`)
+            .expect(200);
+
+        expect(res.body.count).toBe(1);
+        expect(res.body.totalUnread).toBe(2);
+        expect(res.body.data[0].chatRoom).toEqual({ _id: room._id.toString(), name: '话题测试' });
+    });
+
+    test('提及通知只发给当前参与者', async () => {
+        const notify = jest.spyOn(notificationService, 'notify').mockResolvedValue(null);
+        service.presence = { getUser: jest.fn().mockResolvedValue(null) };
+        const message = {
+            _id: 'message-1',
+            chatRoom: room._id,
+            sender: { _id: writerId, username: 'writer' },
+            content: { text: '@all 看这里' }
+        };
+
+        await service.handleMentionNotifications(message, [
+            { user: memberId },
+            { user: bannedId },
+            { user: outsiderId }
+        ], room);
+
+        expect(notify).toHaveBeenCalledTimes(1);
+        expect(notify).toHaveBeenCalledWith(expect.objectContaining({ user: memberId, type: 'MENTION' }));
+    });
+});
@@ -0,0 +1,275 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const ChatRoom = require('../src/models/ChatRoom');
+const ChatMessage = require('../src/models/ChatMessage');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const contentFilterService = require('../src/services/contentFilterService');
+const postsController = require('../src/controllers/posts');
+const commentsController = require('../src/controllers/comments');
+const glossaryService = require('../src/services/glossaryService');
+const languageProviderRegistry = require('../src/services/languageProviderRegistry');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+
+describe('Content Filter Service Tests', () => {
+    test('应该打码多语言敏感词并允许夹杂分隔符', () => {
+        const result = contentFilterService.evaluate({ text: 'what the f.u.c.k, 你这个傻 逼' });
+
+        expect(result.action).toBe('mask');
+        expect(result.text).toBe('what the *******, 你这个* *');
+    });
+
+    test('拉丁字母敏感词只按整词匹配', () => {
+        const result = contentFilterService.evaluate({ text: 'Shitake mushrooms are delicious' });
+
+        expect(result.action).toBe('allow');
+        expect(result.text).toBe('Shitake mushrooms are delicious');
+    });
+
+    test('应该检查译文中隐藏的违规内容', () => {
+        const result = contentFilterService.evaluate({
+            text: 'كلام عادي',
+            translations: [{ language: 'en-US', text: 'send 1 BNB to me and get double back' }]
+        });
+
+        expect(result.action).toBe('shadow_hide');
+        expect(result.matches).toEqual([expect.objectContaining({
+            rule: 'scam.giveaway',
+            source: 'translation:en-US'
+        })]);
+    });
+
+    test('聊天室策略可以覆盖规则的处理方式和启用的规则集', () => {
+        const text = 'see https://bit.ly/abc';
+
+        expect(contentFilterService.evaluate({ text }).action).toBe('flag');
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { actions: new Map([['spam.links', 'block']]) }
+        }).action).toBe('block');
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { ruleSets: ['profanity'] }
+        }).action).toBe('allow');
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { enabled: false }
+        }).action).toBe('allow');
+    });
+
+    test('聊天室不能关闭或降低必选规则集的处理方式', () => {
+        const text = 'send 1 BNB to me and get double back';
+
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { enabled: false }
+        }).action).toBe('shadow_hide');
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { ruleSets: ['profanity'], actions: { 'scam.giveaway': 'mask' } }
+        }).action).toBe('shadow_hide');
+        expect(contentFilterService.evaluate({ text }, {
+            policy: { actions: new Map([['scam.giveaway', 'block']]) }
+        }).action).toBe('block');
+    });
+
+    test('短时间内重复发送相同消息应该被拦截', () => {
+        const context = { userId: new mongoose.Types.ObjectId().toString(), scope: 'room-1' };
+
+        expect(contentFilterService.evaluate({ text: 'Buy now' }, context).action).toBe('allow');
+        expect(contentFilterService.evaluate({ text: 'buy  now' }, context).action).toBe('allow');
+        expect(contentFilterService.evaluate({ text: 'BUY NOW ' }, context).action).toBe('block');
+        // 其他聊天室不受影响
+        expect(contentFilterService.evaluate({ text: 'buy now' }, { ...context, scope: 'room-2' }).action).toBe('allow');
+    });
+
+    test('应该识别刷屏特征', () => {
+        expect(contentFilterService.evaluate({ text: 'hahahaha!!!!!!!!!!!!!!' }).action).toBe('flag');
+        expect(contentFilterService.evaluate({ text: 'THIS IS A VERY LOUD ANNOUNCEMENT' }).action).toBe('flag');
+        expect(contentFilterService.evaluate({ text: 'OK' }).action).toBe('allow');
+    });
+
+    test('应该分别检查多个字段并生成审核字段', () => {
+        const result = contentFilterService.evaluateFields({
+            title: 'Never share your seed phrase',
+            content: 'this is shit advice'
+        });
+
+        expect(result.action).toBe('flag');
+        expect(result.values.content).toBe('this is **** advice');
+        expect(contentFilterService.toModeration(result)).toEqual({
+            flagged: true,
+            shadowHidden: false,
+            flags: [{ rule: 'scam.credentials', action: 'flag', source: 'title' }]
+        });
+    });
+
+    test('注册的检测器必须提供match方法', () => {
+        expect(() => contentFilterService.registerDetector('broken', {})).toThrow('必须提供 match 方法');
+        expect(() => contentFilterService.registerRuleSet('broken', [{ id: 'x', type: 'unknown', action: 'block' }]))
+            .toThrow('未知的内容检测器类型');
+    });
+
+    test('聊天消息应该记录过滤结果', () => {
+        const message = new ChatMessage({
+            chatRoom: new mongoose.Types.ObjectId(),
+            sender: new mongoose.Types.ObjectId(),
+            content: { text: 'hi' }
+        });
+
+        message.applyContentFilter({
+            matches: [
+                { rule: 'profanity.words', action: 'mask', source: 'text' },
+                { rule: 'scam.giveaway', action: 'shadow_hide', source: 'translation:en-US' }
+            ]
+        });
+
+        expect(message.moderation.shadowHidden).toBe(true);
+        expect(message.moderation.isReported).toBe(false);
+        expect(message.moderation.autoFlags).toHaveLength(1);
+        expect(ChatMessage.visibleTo('user-1').$or).toHaveLength(2);
+    });
+
+    describe('编辑聊天消息', () => {
+        const senderId = new mongoose.Types.ObjectId().toString();
+        let room;
+        let message;
+        let service;
+        let roomEmit;
+
+        const createSocket = () => {
+            const others = { emit: jest.fn() };
+            return {
+                userId: senderId,
+                userInfo: { id: senderId, username: 'editor' },
+                emit: jest.fn(),
+                to: jest.fn().mockReturnValue(others),
+                others
+            };
+        };
+
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            room = new ChatRoom({ name: '编辑测试', creator: senderId, participants: [{ user: senderId }] });
+            room.settings.autoTranslation.targetLanguages = ['en'];
+            message = new ChatMessage({
+                chatRoom: room._id,
+                sender: senderId,
+                content: { text: '你好', detectedLanguage: 'zh-CN' },
+                translations: [{ language: 'en', text: 'Hello' }]
+            });
+            message.createdAt = new Date();
+            message.save = jest.fn().mockResolvedValue(message);
+
+            jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+            jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+            jest.spyOn(glossaryService, 'resolveEntries').mockResolvedValue([]);
+            jest.spyOn(languageProviderRegistry, 'translate').mockImplementation(async text => ({ text: `[en] ${text}` }));
+
+            roomEmit = jest.fn();
+            service = Object.create(EnhancedChatService.prototype);
+            service.io = { to: jest.fn().mockReturnValue({ emit: roomEmit }) };
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('编辑成会被拦截的内容时拒绝编辑', async () => {
+            const socket = createSocket();
+            const evaluate = jest.spyOn(contentFilterService, 'evaluate')
+                .mockReturnValue({ action: 'block', text: 'see https://bit.ly/abc', matches: [{ rule: 'spam.links', action: 'block' }] });
+
+            await service.handleEditMessage(socket, { messageId: message._id, newContent: 'see https://bit.ly/abc' });
+
+            expect(evaluate).toHaveBeenCalledWith({ text: 'see https://bit.ly/abc' }, expect.objectContaining({ userId: senderId }));
+            expect(socket.emit).toHaveBeenCalledWith('error', { message: '消息包含不允许发布的内容' });
+            expect(message.content.text).toBe('你好');
+            expect(message.save).not.toHaveBeenCalled();
+            expect(roomEmit).not.toHaveBeenCalled();
+        });
+
+        test('广播打码后的内容，并按编辑后的原文重新翻译', async () => {
+            await service.handleEditMessage(createSocket(), { messageId: message._id, newContent: '你这个傻逼' });
+
+            expect(message.content.text).toBe('你这个**');
+            expect(message.translations.map(({ language, text }) => ({ language, text })))
+                .toEqual([{ language: 'en', text: '[en] 你这个**' }]);
+            expect(roomEmit).toHaveBeenCalledWith('message_edited', expect.objectContaining({
+                newContent: '你这个**',
+                translations: message.translations
+            }));
+        });
+
+        test('编辑后被隐藏的消息只发回给发送者，其他成员移除该消息', async () => {
+            room.settings.autoTranslation.enabled = false;
+            const socket = createSocket();
+
+            await service.handleEditMessage(socket, { messageId: message._id, newContent: 'send 1 BNB to me and get double back' });
+
+            expect(message.moderation.shadowHidden).toBe(true);
+            expect(message.translations).toHaveLength(0);
+            expect(roomEmit).not.toHaveBeenCalled();
+            expect(socket.others.emit).toHaveBeenCalledWith('message_deleted', expect.objectContaining({ messageId: message._id }));
+            expect(socket.emit).toHaveBeenCalledWith('message_edited', expect.objectContaining({
+                newContent: 'send 1 BNB to me and get double back'
+            }));
+        });
+    });
+
+    describe('被隐藏的帖子和评论', () => {
+        const authorId = new mongoose.Types.ObjectId();
+
+        const createResponse = () => {
+            const res = {};
+            res.status = jest.fn().mockReturnValue(res);
+            res.json = jest.fn().mockReturnValue(res);
+            return res;
+        };
+
+        const call = async (handler, req) => {
+            const res = createResponse();
+            const next = jest.fn();
+            await handler(req, res, next);
+            return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+        };
+
+        // 模拟链式populate
+        const mockFindById = (Model, doc) => {
+            const query = { populate: () => query, then: (resolve) => resolve(doc) };
+            jest.spyOn(Model, 'findById').mockReturnValue(query);
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('发布者本人可以查看，其他用户返回404', async () => {
+            const moderation = { shadowHidden: true };
+            mockFindById(Post, { _id: 'post-1', user: { _id: authorId, username: 'author' }, moderation });
+
+            const own = await call(postsController.getPost, { params: { id: 'post-1' }, user: { id: authorId.toString() } });
+            expect(own.error).toBeUndefined();
+            expect(own.res.status).toHaveBeenCalledWith(200);
+
+            const other = await call(postsController.getPost, { params: { id: 'post-1' }, user: { id: 'someone-else' } });
+            expect(other.error.statusCode).toBe(404);
+            const anonymous = await call(postsController.getPost, { params: { id: 'post-1' } });
+            expect(anonymous.error.statusCode).toBe(404);
+
+            mockFindById(Comment, { _id: 'comment-1', user: { _id: authorId }, moderation });
+            const comment = await call(commentsController.getComment, { params: { id: 'comment-1' }, user: { id: authorId.toString() } });
+            expect(comment.error).toBeUndefined();
+        });
+
+        test('列表中只有发布者本人能看到自己被隐藏的内容', async () => {
+            const find = jest.spyOn(Comment, 'find').mockReturnValue({ populate: async () => [] });
+
+            await call(commentsController.getComments, { params: { postId: 'post-1' }, user: { id: authorId.toString() } });
+            await call(commentsController.getComments, { params: { postId: 'post-1' } });
+
+            expect(find.mock.calls[0][0]).toEqual({
+                post: 'post-1',
+                $or: [{ 'moderation.shadowHidden': { $ne: true } }, { user: authorId.toString() }]
+            });
+            expect(find.mock.calls[1][0]).toEqual({ post: 'post-1', 'moderation.shadowHidden': { $ne: true } });
+        });
+    });
+});
@@ -0,0 +1,269 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+jest.mock('../src/services/notificationService', () => ({
+    notify: jest.fn().mockResolvedValue({ _id: 'notification' })
+}));
+// 路由只测试限流，身份验证由模拟的中间件提供
+jest.mock('../src/middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { id: req.headers['x-user-id'] };
+        next();
+    }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const DeviceKey = require('../src/models/DeviceKey');
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const e2eKeyService = require('../src/services/e2eKeyService');
+const notificationService = require('../src/services/notificationService');
+const EnhancedSocketService = require('../src/services/enhancedSocketService');
+const messagesController = require('../src/controllers/messages');
+const messageRoutes = require('../src/routes/messages');
+
+describe('E2E Encrypted Direct Message Tests', () => {
+    const senderId = new mongoose.Types.ObjectId();
+    const receiverId = new mongoose.Types.ObjectId();
+    const key = (seed) => Buffer.alloc(32, seed).toString('base64');
+
+    const bundle = (fields = {}) => ({
+        identityKey: key(1),
+        registrationId: 42,
+        signedPreKey: { keyId: 1, publicKey: key(2), signature: Buffer.alloc(64, 3).toString('base64') },
+        oneTimePreKeys: [{ keyId: 1, publicKey: key(4) }, { keyId: 2, publicKey: key(5) }],
+        ...fields
+    });
+
+    const encryption = (envelopes) => ({
+        protocol: e2eKeyService.E2E_PROTOCOL,
+        senderDevice: 'laptop',
+        envelopes
+    });
+
+    // 模拟 find().select() 返回的设备列表
+    const mockDevices = (devicesByUser) => jest.spyOn(DeviceKey, 'find').mockImplementation(({ user }) => ({
+        select: jest.fn().mockResolvedValue((devicesByUser[String(user)] || []).map(deviceId => ({ deviceId })))
+    }));
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('登记设备时校验公钥包，身份密钥变化时清空旧的一次性公钥', async () => {
+        const existing = new DeviceKey({ user: senderId, deviceId: 'laptop', ...bundle() });
+        existing.save = jest.fn().mockResolvedValue(existing);
+        jest.spyOn(DeviceKey, 'findOne').mockResolvedValue(existing);
+
+        expect((await e2eKeyService.registerDevice(senderId, 'laptop', bundle({ identityKey: 'not base64!' }))).status)
+            .toBe('invalid_bundle');
+        expect((await e2eKeyService.registerDevice(senderId, '../etc', bundle())).status).toBe('invalid_bundle');
+
+        const result = await e2eKeyService.registerDevice(senderId, 'laptop', bundle({
+            identityKey: key(9),
+            oneTimePreKeys: [{ keyId: 7, publicKey: key(7) }]
+        }));
+
+        expect(result.status).toBe('registered');
+        expect(existing.identityKey).toBe(key(9));
+        expect(existing.oneTimePreKeys.map(preKey => preKey.keyId)).toEqual([7]);
+    });
+
+    test('新设备超过数量上限时拒绝登记', async () => {
+        jest.spyOn(DeviceKey, 'findOne').mockResolvedValue(null);
+        jest.spyOn(DeviceKey, 'countDocuments').mockResolvedValue(e2eKeyService.maxDevicesPerUser);
+
+        expect((await e2eKeyService.registerDevice(senderId, 'phone', bundle())).status).toBe('device_limit');
+    });
+
+    test('补充一次性公钥时跳过重复keyId并限制总数', () => {
+        const device = new DeviceKey({ user: senderId, deviceId: 'laptop', ...bundle() });
+        // keyId 1、2 已存在
+        const preKeys = Array.from({ length: e2eKeyService.maxPreKeysPerDevice }, (_, index) => ({
+            keyId: index + 1,
+            publicKey: key(index % 200)
+        }));
+
+        e2eKeyService.appendPreKeys(device, preKeys);
+
+        expect(device.oneTimePreKeys).toHaveLength(e2eKeyService.maxPreKeysPerDevice);
+        expect(device.oneTimePreKeys.map(preKey => preKey.keyId)).toEqual(preKeys.map(preKey => preKey.keyId));
+
+        e2eKeyService.appendPreKeys(device, [{ keyId: 500, publicKey: key(6) }]);
+        // 最早上传的被丢弃
+        expect(device.oneTimePreKeys[0].keyId).toBe(2);
+        expect(device.oneTimePreKeys[device.oneTimePreKeys.length - 1].keyId).toBe(500);
+        expect(new Set(device.oneTimePreKeys.map(preKey => preKey.keyId)).size).toBe(device.oneTimePreKeys.length);
+    });
+
+    test('获取公钥包时每台设备取出一个一次性公钥，用完后只返回签名公钥', async () => {
+        const withPreKey = new DeviceKey({ user: receiverId, deviceId: 'phone', ...bundle() });
+        const exhausted = new DeviceKey({ user: receiverId, deviceId: 'tablet', ...bundle({ oneTimePreKeys: [] }) });
+        jest.spyOn(DeviceKey, 'find').mockReturnValue({
+            select: jest.fn().mockResolvedValue([{ _id: withPreKey._id }, { _id: exhausted._id }])
+        });
+        const pop = jest.spyOn(DeviceKey, 'findOneAndUpdate')
+            .mockResolvedValueOnce(withPreKey)
+            .mockResolvedValueOnce(exhausted);
+
+        const bundles = await e2eKeyService.getPreKeyBundles(receiverId);
+
+        expect(pop).toHaveBeenCalledWith({ _id: withPreKey._id }, { $pop: { oneTimePreKeys: -1 } }, { new: false });
+        expect(bundles[0]).toEqual(expect.objectContaining({
+            deviceId: 'phone',
+            identityKey: key(1),
+            fingerprint: e2eKeyService.getFingerprint(key(1)),
+            oneTimePreKey: { keyId: 1, publicKey: key(4) }
+        }));
+        expect(bundles[1].oneTimePreKey).toBeUndefined();
+        expect(bundles[1].signedPreKey.keyId).toBe(1);
+    });
+
+    test('加密私信必须覆盖对方的所有设备', async () => {
+        mockDevices({ [senderId]: ['laptop', 'phone'], [receiverId]: ['phone', 'tablet'] });
+        const envelope = (deviceId, user) => ({ user, deviceId, type: 'message', ciphertext: key(8) });
+
+        const stale = await e2eKeyService.validateEncryption(senderId, receiverId, encryption([envelope('phone')]));
+        expect(stale).toEqual({ status: 'stale_devices', missingDevices: ['tablet'] });
+
+        expect((await e2eKeyService.validateEncryption(senderId, receiverId,
+            encryption([envelope('phone'), envelope('tablet'), envelope('watch')]))).status).toBe('stale_devices');
+        expect((await e2eKeyService.validateEncryption(senderId, receiverId,
+            { ...encryption([envelope('phone')]), senderDevice: 'unknown' })).status).toBe('invalid_payload');
+        expect((await e2eKeyService.validateEncryption(senderId, receiverId,
+            encryption([{ deviceId: 'phone', type: 'message', ciphertext: '<plaintext>' }]))).status).toBe('invalid_payload');
+
+        const result = await e2eKeyService.validateEncryption(senderId, receiverId,
+            encryption([envelope('phone'), envelope('tablet'), envelope('phone', senderId)]));
+        expect(result.status).toBe('ok');
+        expect(result.encryption.envelopes.map(({ user, deviceId }) => [String(user), deviceId])).toEqual([
+            [String(receiverId), 'phone'],
+            [String(receiverId), 'tablet'],
+            [String(senderId), 'phone']
+        ]);
+    });
+
+    test('加密私信不保存明文，未加密的私信仍需要内容', () => {
+        const encrypted = new Message({
+            sender: senderId,
+            receiver: receiverId,
+            encrypted: true,
+            encryption: encryption([{ user: receiverId, deviceId: 'phone', type: 'prekey', ciphertext: key(8) }])
+        });
+        expect(encrypted.validateSync()).toBeUndefined();
+        expect(encrypted.content).toBeUndefined();
+
+        const plaintext = new Message({ sender: senderId, receiver: receiverId });
+        expect(plaintext.validateSync().errors.content).toBeDefined();
+    });
+
+    test('通过Socket发送的加密私信只转发密文，通知不含预览', async () => {
+        const service = Object.create(EnhancedSocketService.prototype);
+        const emit = jest.fn();
+        service.io = { to: jest.fn().mockReturnValue({ emit }) };
+        service.presence = { getUser: jest.fn().mockResolvedValue(null) };
+        const socket = {
+            user: { _id: senderId, username: 'mei' },
+            emit: jest.fn(),
+            to: jest.fn().mockReturnValue({ emit: jest.fn() })
+        };
+        const validated = encryption([{ user: receiverId, deviceId: 'phone', type: 'prekey', ciphertext: key(8) }]);
+        jest.spyOn(e2eKeyService, 'validateEncryption').mockResolvedValue({ status: 'ok', encryption: validated });
+        const create = jest.spyOn(Message, 'create').mockImplementation(async (doc) => ({
+            _id: new mongoose.Types.ObjectId(),
+            createdAt: new Date(),
+            ...doc
+        }));
+
+        await service.handlePrivateMessage(socket, { targetUserId: receiverId.toString(), encryption: validated });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ encrypted: true, encryption: validated }));
+        expect(create.mock.calls[0][0].content).toBeUndefined();
+        expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({ body: '[加密消息]' }));
+        expect(socket.emit).toHaveBeenCalledWith('private_message_sent', expect.objectContaining({
+            encrypted: true,
+            content: undefined,
+            delivered: false
+        }));
+    });
+
+    test('通过REST发送的私信也会通知收件人', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: receiverId });
+        jest.spyOn(Message, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+        notificationService.notify.mockClear();
+
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const req = {
+            user: { id: senderId.toString(), username: 'mei' },
+            body: { receiver: receiverId.toString(), content: '周末一起练口语吗？' }
+        };
+        await messagesController.sendMessage(req, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+            user: receiverId.toString(),
+            type: 'DIRECT_MESSAGE',
+            actor: senderId.toString(),
+            title: 'mei 给您发来私信',
+            body: '周末一起练口语吗？'
+        }));
+    });
+
+    test('一次性公钥降到阈值以下和用完时提醒设备所有者', async () => {
+        const preKeys = (count) => Array.from({ length: count }, (_, index) => ({ keyId: index + 1, publicKey: key(index + 1) }));
+        const crossing = new DeviceKey({ user: receiverId, deviceId: 'phone', ...bundle({ oneTimePreKeys: preKeys(e2eKeyService.lowPreKeyThreshold) }) });
+        const last = new DeviceKey({ user: receiverId, deviceId: 'tablet', ...bundle({ oneTimePreKeys: preKeys(1) }) });
+        const plenty = new DeviceKey({ user: receiverId, deviceId: 'laptop', ...bundle({ oneTimePreKeys: preKeys(50) }) });
+        jest.spyOn(DeviceKey, 'find').mockReturnValue({
+            select: jest.fn().mockResolvedValue([crossing, last, plenty].map(({ _id }) => ({ _id })))
+        });
+        jest.spyOn(DeviceKey, 'findOneAndUpdate')
+            .mockResolvedValueOnce(crossing)
+            .mockResolvedValueOnce(last)
+            .mockResolvedValueOnce(plenty);
+        notificationService.notify.mockClear();
+
+        await e2eKeyService.getPreKeyBundles(receiverId);
+
+        expect(notificationService.notify).toHaveBeenCalledTimes(1);
+        expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+            user: receiverId,
+            type: 'SECURITY',
+            data: {
+                event: 'e2e_prekeys_low',
+                devices: [
+                    { deviceId: 'phone', remaining: e2eKeyService.lowPreKeyThreshold - 1 },
+                    { deviceId: 'tablet', remaining: 0 }
+                ]
+            }
+        }));
+    });
+
+    test('获取公钥包按请求者以及请求者和目标用户的组合限流', async () => {
+        const app = express();
+        app.use('/api/v1/messages', messageRoutes);
+        jest.spyOn(e2eKeyService, 'getPreKeyBundles').mockResolvedValue([{ deviceId: 'phone' }]);
+
+        const requester = new mongoose.Types.ObjectId().toString();
+        const targets = Array.from({ length: 61 }, () => new mongoose.Types.ObjectId().toString());
+        for (const target of targets.slice(0, 60)) {
+            await request(app).get(`/api/v1/messages/keys/${target}`).set('x-user-id', requester).expect(200);
+        }
+        const limited = await request(app).get(`/api/v1/messages/keys/${targets[60]}`).set('x-user-id', requester).expect(429);
+        expect(limited.body.error).toBe('获取公钥包过于频繁，请稍后再试');
+
+        // 同一请求者反复获取同一用户的公钥包
+        const target = new mongoose.Types.ObjectId().toString();
+        const other = new mongoose.Types.ObjectId().toString();
+        for (let i = 0; i < 10; i++) {
+            await request(app).get(`/api/v1/messages/keys/${target}`).set('x-user-id', other).expect(200);
+        }
+        const drained = await request(app).get(`/api/v1/messages/keys/${target}`).set('x-user-id', other).expect(429);
+        expect(drained.body.error).toBe('该用户的公钥包请求过于频繁，请稍后再试');
+
+        // 其他请求者不受影响，仍然可以与该用户建立会话
+        await request(app).get(`/api/v1/messages/keys/${target}`).set('x-user-id', 'requester-2').expect(200);
+        expect(e2eKeyService.getPreKeyBundles).toHaveBeenCalledTimes(71);
+    });
+});
@@ -0,0 +1,82 @@
+const EncryptionService = require('../src/services/encryptionService');
+
+describe('Encryption Service TOTP Tests', () => {
+    let encryptionService;
+    const realNow = Date.now;
+
+    beforeEach(() => {
+        encryptionService = new EncryptionService();
+    });
+
+    afterEach(() => {
+        Date.now = realNow;
+    });
+
+    describe('Base32', () => {
+        test('应该能够编码和解码Base32', () => {
+            const encoded = encryptionService.base32Encode(Buffer.from('12345678901234567890'));
+
+            expect(encoded).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+            expect(encryptionService.base32Decode(encoded).toString()).toBe('12345678901234567890');
+        });
+
+        test('应该拒绝无效的Base32字符', () => {
+            expect(() => encryptionService.base32Decode('ABC1')).toThrow('Invalid base32 character');
+        });
+    });
+
+    describe('TOTP', () => {
+        // RFC 6238 附录B测试向量（SHA1）
+        const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+        test('应该符合RFC 6238测试向量', () => {
+            Date.now = () => 59 * 1000;
+            expect(encryptionService.generateTOTP(rfcSecret, 30, 8)).toBe('94287082');
+
+            Date.now = () => 1111111109 * 1000;
+            expect(encryptionService.generateTOTP(rfcSecret, 30, 8)).toBe('07081804');
+        });
+
+        test('应该接受时间窗口内的验证码', () => {
+            const secret = encryptionService.generateTOTPSecret();
+            Date.now = () => 1700000000 * 1000;
+            const code = encryptionService.generateTOTP(secret);
+
+            Date.now = () => (1700000000 + 30) * 1000;
+            expect(encryptionService.verifyTOTP(code, secret)).toBe(true);
+
+            Date.now = () => (1700000000 + 120) * 1000;
+            expect(encryptionService.verifyTOTP(code, secret)).toBe(false);
+        });
+
+        test('应该拒绝格式错误的验证码', () => {
+            const secret = encryptionService.generateTOTPSecret();
+
+            expect(encryptionService.verifyTOTP('12345', secret)).toBe(false);
+            expect(encryptionService.verifyTOTP('abcdef', secret)).toBe(false);
+            expect(encryptionService.verifyTOTP(null, secret)).toBe(false);
+        });
+
+        test('应该生成otpauth链接', () => {
+            const uri = encryptionService.generateTOTPUri('JBSWY3DPEHPK3PXP', 'user@test.com');
+
+            expect(uri).toMatch(/^otpauth:\/\/totp\/CultureBridge%3Auser%40test\.com\?/);
+            expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+            expect(uri).toContain('issuer=CultureBridge');
+        });
+    });
+
+    describe('Recovery Codes', () => {
+        test('应该生成唯一的恢复码', () => {
+            const codes = encryptionService.generateRecoveryCodes(10);
+
+            expect(codes).toHaveLength(10);
+            expect(new Set(codes).size).toBe(10);
+            codes.forEach(code => expect(code).toMatch(/^[a-z0-9]{5}-[a-z0-9]{5}$/));
+        });
+
+        test('哈希后的恢复码应该稳定', () => {
+            expect(encryptionService.hashToken('abcde-fghjk')).toBe(encryptionService.hashToken('abcde-fghjk'));
+        });
+    });
+});
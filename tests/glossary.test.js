@@ -0,0 +1,286 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/cbtTokenService', () => jest.fn());
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const Glossary = require('../src/models/Glossary');
+const ChatRoom = require('../src/models/ChatRoom');
+const ChatMessage = require('../src/models/ChatMessage');
+const Community = require('../src/models/Community');
+const glossaryService = require('../src/services/glossaryService');
+const languageProviderRegistry = require('../src/services/languageProviderRegistry');
+const translationMemoryService = require('../src/services/translationMemoryService');
+const EnhancedTranslationService = require('../src/services/enhancedTranslationService');
+const EnhancedChatService = require('../src/services/enhancedChatService');
+
+describe('Translation Glossary Tests', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const roomId = new mongoose.Types.ObjectId();
+    const communityId = new mongoose.Types.ObjectId();
+    const user = { _id: userId, id: userId.toString(), role: 'user' };
+
+    const entry = (source, target, fields = {}) => ({
+        glossary: 'g1',
+        scope: 'personal',
+        source,
+        target,
+        caseSensitive: false,
+        ...fields
+    });
+
+    const createGlossary = (fields = {}) => {
+        const glossary = new Glossary({
+            name: '节日',
+            scope: 'personal',
+            owner: userId,
+            sourceLanguage: 'zh',
+            targetLanguage: 'en',
+            ...fields
+        });
+        glossary.save = jest.fn().mockResolvedValue(glossary);
+        return glossary;
+    };
+
+    // 模拟 find().sort().lean() 的查询链
+    const mockGlossaries = (glossaries) => jest.spyOn(Glossary, 'find').mockReturnValue({
+        sort: () => ({ lean: async () => glossaries })
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('术语替换为占位符，优先匹配较长的术语，拉丁文字要求完整单词', () => {
+        const entries = [
+            entry('Mid-Autumn Festival', '中秋节'),
+            entry('Festival', '节日'),
+            entry('Tet', '越南新年'),
+            entry('饺子', 'jiaozi')
+        ];
+
+        const { text, placeholders } = glossaryService.protectTerms(
+            'The mid-autumn  festival and the Festival of Tet; Tetris has 饺子饺子', entries);
+
+        expect(text).toBe('The ⟦0⟧ and the ⟦1⟧ of ⟦2⟧; Tetris has ⟦3⟧⟦3⟧');
+        expect(placeholders.map(placeholder => placeholder.occurrences)).toEqual([1, 1, 1, 2]);
+
+        // 翻译服务可能在占位符内加空格或丢失占位符
+        const restored = glossaryService.restoreTerms('⟦ 0 ⟧ 和 ⟦1⟧：⟦3⟧⟦3⟧', placeholders);
+        expect(restored.text).toBe('中秋节 和 节日：jiaozijiaozi');
+        expect(restored.applied.map(item => [item.source, item.occurrences])).toEqual([
+            ['Mid-Autumn Festival', 1], ['Festival', 1], ['饺子', 2]
+        ]);
+        expect(restored.missing).toEqual([expect.objectContaining({ source: 'Tet', target: '越南新年' })]);
+
+        const caseSensitive = glossaryService.protectTerms('us and US', [entry('US', 'United States', { caseSensitive: true })]);
+        expect(caseSensitive.text).toBe('us and ⟦0⟧');
+    });
+
+    test('按 个人 > 聊天室 > 社区 合并术语，并按语言方向筛选', async () => {
+        const find = mockGlossaries([
+            { _id: 'community', scope: 'community', sourceLanguage: 'zh', targetLanguage: 'en', entries: [
+                { source: '春节', target: 'Chinese New Year' },
+                { source: '红包', target: 'red envelope' }
+            ] },
+            { _id: 'personal', scope: 'personal', sourceLanguage: 'zh-CN', targetLanguage: 'en', entries: [
+                { source: '春节', target: 'Spring Festival' }
+            ] },
+            { _id: 'room', scope: 'room', sourceLanguage: 'zh', targetLanguage: 'en-GB', entries: [
+                { source: '红包', target: 'hongbao' }
+            ] },
+            { _id: 'japanese', scope: 'room', sourceLanguage: 'zh', targetLanguage: 'ja', entries: [
+                { source: '春节', target: '春節' }
+            ] }
+        ]);
+        jest.spyOn(ChatRoom, 'findById').mockReturnValue({
+            select: () => ({ lean: async () => ({ community: communityId }) })
+        });
+
+        const entries = await glossaryService.resolveEntries({ userId, chatRoomId: roomId }, 'zh-CN', 'en-US');
+
+        expect(find.mock.calls[0][0].$or).toEqual([
+            { scope: 'personal', owner: userId },
+            { scope: 'room', chatRoom: roomId },
+            { scope: 'community', community: communityId }
+        ]);
+        // en-GB 术语表不适用于 en-US
+        expect(entries.map(item => [item.source, item.target, item.scope])).toEqual([
+            ['春节', 'Spring Festival', 'personal'],
+            ['红包', 'red envelope', 'community']
+        ]);
+
+        // 钱包地址等非用户ID不查询个人术语表
+        find.mockClear();
+        expect(await glossaryService.resolveEntries({ userId: '0xabc' }, 'zh', 'en')).toEqual([]);
+        expect(find).not.toHaveBeenCalled();
+    });
+
+    test('导入CSV时识别表头、引号和BOM，导出后可以重新导入', async () => {
+        const glossary = createGlossary({ entries: [{ source: '春节', target: 'Spring Festival' }] });
+        const csv = '﻿zh-CN,en,note\r\n' +
+            '"春节","Lunar New Year","农历新年, 不译作 Chinese New Year"\r\n' +
+            '粽子,zongzi\r\n' +
+            ',missing source\r\n';
+
+        const result = await glossaryService.importEntries(glossary, csv, 'csv');
+
+        expect(result).toEqual({ status: 'merged', added: 1, updated: 1, skipped: 1 });
+        expect(glossary.entries.map(item => [item.source, item.target])).toEqual([
+            ['春节', 'Lunar New Year'],
+            ['粽子', 'zongzi']
+        ]);
+        expect(glossary.entries[0].note).toBe('农历新年, 不译作 Chinese New Year');
+
+        const exported = glossaryService.exportGlossary(glossary, 'csv');
+        expect(exported.fileName).toBe('节日.csv');
+        expect(exported.content).toContain('"农历新年, 不译作 Chinese New Year"');
+
+        const copy = createGlossary();
+        expect(await glossaryService.importEntries(copy, exported.content, 'csv')).toEqual(expect.objectContaining({ added: 2 }));
+        expect(copy.entries.map(item => item.target)).toEqual(['Lunar New Year', 'zongzi']);
+
+        // 没有表头时按前两列导入，replace 清空原有条目
+        await glossaryService.importEntries(copy, '元宵,Lantern Festival', 'csv', { replace: true });
+        expect(copy.entries.map(item => item.source)).toEqual(['元宵']);
+    });
+
+    test('导入TBX-Basic和TBX 2008，导出为TBX-Basic', async () => {
+        const glossary = createGlossary();
+        const tbx = `<?xml version="1.0"?>
+<tbx type="TBX-Basic" xmlns="urn:iso:std:iso:30042:ed-2">
+  <text><body>
+    <conceptEntry id="c1">
+      <note>端午节食品</note>
+      <langSec xml:lang="en"><termSec><term>zongzi</term></termSec></langSec>
+      <langSec xml:lang="zh-CN"><termSec><term>粽子</term></termSec></langSec>
+    </conceptEntry>
+    <conceptEntry id="c2">
+      <langSec xml:lang="ja"><termSec><term>お盆</term></termSec></langSec>
+    </conceptEntry>
+  </body></text>
+</tbx>`;
+        const martif = `<martif type="TBX"><text><body>
+  <termEntry><langSet xml:lang="zh"><tig><term>龙舟 &amp; 锣鼓</term></tig></langSet>
+  <langSet xml:lang="en-US"><tig><term>dragon boat &amp; drums</term></tig></langSet></termEntry>
+</body></text></martif>`;
+
+        expect(await glossaryService.importEntries(glossary, tbx, 'tbx')).toEqual({ status: 'merged', added: 1, updated: 0, skipped: 1 });
+        expect(await glossaryService.importEntries(glossary, martif, 'tbx')).toEqual(expect.objectContaining({ added: 1 }));
+        expect(glossary.entries.map(item => [item.source, item.target, item.note])).toEqual([
+            ['粽子', 'zongzi', '端午节食品'],
+            ['龙舟 & 锣鼓', 'dragon boat & drums', undefined]
+        ]);
+        expect(await glossaryService.importEntries(glossary, 'source,target', 'tbx')).toEqual({ status: 'invalid_file' });
+        expect(await glossaryService.importEntries(glossary, tbx, 'xlsx')).toEqual({ status: 'invalid_format' });
+
+        const exported = glossaryService.exportGlossary(glossary, 'tbx');
+        expect(exported.contentType).toContain('tbx');
+        expect(exported.content).toContain('<langSec xml:lang="en"><termSec><term>dragon boat &amp; drums</term></termSec></langSec>');
+
+        const copy = createGlossary();
+        await glossaryService.importEntries(copy, exported.content, 'tbx');
+        expect(copy.entries.map(item => item.source)).toEqual(['粽子', '龙舟 & 锣鼓']);
+    });
+
+    test('聊天室术语表需要管理权限，社区术语表需要社区管理员', async () => {
+        const memberId = new mongoose.Types.ObjectId();
+        const member = { _id: memberId, id: memberId.toString(), role: 'user' };
+        const room = new ChatRoom({ name: 'Lunar', creator: userId, participants: [{ user: userId }, { user: memberId }] });
+        const community = new Community({ name: '节日', creator: userId, members: [{ user: memberId }] });
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        jest.spyOn(Community, 'findById').mockResolvedValue(community);
+        jest.spyOn(Glossary, 'countDocuments').mockResolvedValue(0);
+        const create = jest.spyOn(Glossary, 'create').mockImplementation(async (data) => data);
+        const fields = { name: '节日', sourceLanguage: 'zh', targetLanguage: 'en' };
+
+        expect((await glossaryService.create(member, { ...fields, scope: 'room', chatRoom: roomId })).status).toBe('forbidden');
+        expect((await glossaryService.create(member, { ...fields, scope: 'community', community: communityId })).status).toBe('forbidden');
+        expect((await glossaryService.create(user, { ...fields, targetLanguage: 'zh-TW' })).status).toBe('invalid_language');
+
+        const created = await glossaryService.create(user, {
+            ...fields,
+            scope: 'room',
+            chatRoom: roomId,
+            entries: [{ source: '春节', target: 'Lunar New Year' }, { source: '春节', target: 'Spring Festival' }]
+        });
+        expect(created.status).toBe('created');
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            scope: 'room',
+            chatRoom: room._id,
+            owner: userId,
+            entries: [{ source: '春节', target: 'Spring Festival', caseSensitive: false }]
+        }));
+
+        // 聊天室成员可以查看但不能修改
+        jest.spyOn(Glossary, 'findById').mockResolvedValue(createGlossary({ scope: 'room', chatRoom: roomId }));
+        expect((await glossaryService.findForUser(member, new mongoose.Types.ObjectId())).status).toBe('ok');
+        expect((await glossaryService.findForUser(member, new mongoose.Types.ObjectId(), true)).status).toBe('forbidden');
+
+        // 他人的个人术语表按不存在处理
+        Glossary.findById.mockResolvedValue(createGlossary());
+        expect((await glossaryService.findForUser(member, new mongoose.Types.ObjectId())).status).toBe('not_found');
+    });
+
+    test('translateText 和 batchTranslate 应用术语表并报告应用的条目', async () => {
+        const resolve = jest.spyOn(glossaryService, 'resolveEntries').mockResolvedValue([
+            entry('春节', 'Spring Festival', { scope: 'community' })
+        ]);
+        const translate = jest.spyOn(languageProviderRegistry, 'translate')
+            .mockImplementation(async (text) => ({ text: text.replace('快乐', 'Happy ').replace('我们一起过', 'We celebrate '), provider: 'azure' }));
+        jest.spyOn(translationMemoryService, 'lookup').mockResolvedValue({ exact: null, matches: [] });
+        const store = jest.spyOn(translationMemoryService, 'store').mockResolvedValue(null);
+        const service = new EnhancedTranslationService();
+
+        const result = await service.translateText('春节快乐', 'zh-CN', 'en', null, { communityId });
+
+        expect(translate).toHaveBeenCalledWith('⟦0⟧快乐', 'zh-CN', 'en');
+        expect(resolve).toHaveBeenCalledWith({ userId: null, chatRoomId: undefined, communityId }, 'zh-CN', 'en');
+        expect(result.data.translatedText).toBe('Spring FestivalHappy ');
+        expect(result.data.glossary).toEqual({
+            applied: [{ glossary: 'g1', scope: 'community', source: '春节', target: 'Spring Festival', occurrences: 1 }],
+            missing: []
+        });
+
+        // 应用了术语表的机器译文不写入共享的翻译记忆
+        expect(store).not.toHaveBeenCalled();
+
+        resolve.mockClear();
+        const batch = await service.batchTranslate(['我们一起过春节', '你好'], 'zh-CN', 'en', null, { chatRoomId: roomId });
+        expect(resolve).toHaveBeenCalledTimes(1);
+        expect(batch.data.results[0].data.translatedText).toBe('We celebrate Spring Festival');
+        expect(batch.data.results[1].data.glossary.applied).toEqual([]);
+    });
+
+    test('聊天自动翻译使用发送者、聊天室和所属社区的术语表并记录应用的条目', async () => {
+        const resolve = jest.spyOn(glossaryService, 'resolveEntries').mockImplementation(async (context, from, to) =>
+            (to === 'en-US' ? [entry('月饼', 'mooncake', { glossary: communityId })] : []));
+        jest.spyOn(languageProviderRegistry, 'translate').mockImplementation(async (text, from, to) => ({
+            text: `[${to}] ${text}`,
+            confidence: 0.8
+        }));
+        const service = Object.create(EnhancedChatService.prototype);
+        const room = new ChatRoom({ name: 'Mid-Autumn', creator: userId, community: communityId });
+        const message = new ChatMessage({
+            chatRoom: room._id,
+            sender: userId,
+            content: { text: '一起吃月饼', detectedLanguage: 'zh-CN' }
+        });
+        message.save = jest.fn().mockResolvedValue(message);
+
+        await service.autoTranslateMessage(message, ['zh-CN', 'en-US', 'ja-JP'], room);
+
+        expect(resolve).toHaveBeenCalledWith({ userId, chatRoomId: room._id, communityId }, 'zh-CN', 'en-US');
+        const english = message.getTranslation('en-US');
+        expect(english.text).toBe('[en-US] 一起吃mooncake');
+        expect(english.confidence).toBe(0.8);
+        expect(english.glossary.map(item => [item.source, item.target, item.glossary.toString()]))
+            .toEqual([['月饼', 'mooncake', communityId.toString()]]);
+        expect(message.getTranslation('ja-JP').glossary).toHaveLength(0);
+        expect(message.getTranslation('zh-CN')).toBeUndefined();
+        expect(message.save).toHaveBeenCalled();
+    });
+});
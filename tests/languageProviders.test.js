@@ -0,0 +1,232 @@
+const axios = require('axios');
+const languageProviderRegistry = require('../src/services/languageProviderRegistry');
+const { LanguageProviderRegistry, BREAKER_STATES } = languageProviderRegistry;
+const { createBaiduProvider } = require('../src/services/languageProviderAdapters');
+const TranslationService = require('../src/services/translationService');
+
+// tests/setup.js 中模拟了该服务，这里需要真实实现
+const AdvancedVoiceTranslationService = jest.requireActual('../src/services/advancedVoiceTranslationService');
+
+describe('Language Provider Registry Tests', () => {
+    const PROVIDER_ENV = [
+        'AZURE_SPEECH_KEY', 'AZURE_TRANSLATOR_KEY', 'GOOGLE_SPEECH_API_KEY', 'GOOGLE_TRANSLATE_API_KEY',
+        'GOOGLE_CLOUD_KEY_FILE', 'GOOGLE_CLOUD_PROJECT_ID', 'BAIDU_TRANSLATE_APP_ID', 'BAIDU_TRANSLATE_SECRET_KEY',
+        'LANGUAGE_PROVIDERS', 'LANGUAGE_PROVIDER_STRATEGY'
+    ];
+    const savedEnv = {};
+
+    // 只声明翻译能力的测试提供方
+    const translator = (name, spec, translate = jest.fn(async (text) => ({ text: `${name}:${text}` }))) => ({
+        adapter: { translate },
+        metadata: { name, capabilities: { translate: { languages: '*', cost: 1, latency: 100, quality: 0.5, ...spec } } }
+    });
+
+    const createRegistry = (providers) => {
+        const registry = new LanguageProviderRegistry();
+        for (const [name, { adapter, metadata }] of Object.entries(providers)) {
+            registry.registerProvider(name, adapter, metadata);
+        }
+        return registry;
+    };
+
+    beforeEach(() => {
+        for (const variable of PROVIDER_ENV) {
+            savedEnv[variable] = process.env[variable];
+            delete process.env[variable];
+        }
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        for (const variable of PROVIDER_ENV) {
+            if (savedEnv[variable] === undefined) {
+                delete process.env[variable];
+            } else {
+                process.env[variable] = savedEnv[variable];
+            }
+        }
+        jest.restoreAllMocks();
+    });
+
+    test('未配置任何提供方时使用本地提供方，相同输入得到相同结果', async () => {
+        const registry = new LanguageProviderRegistry();
+
+        const translation = await registry.translate('Hello', 'en-US', 'zh-CN');
+        expect(translation).toEqual(expect.objectContaining({ text: '你好', provider: 'local' }));
+        expect((await registry.translate('今天我们聊聊春节', 'auto', 'en'))).toEqual(expect.objectContaining({
+            text: '[en] 今天我们聊聊春节',
+            sourceLanguage: 'zh-CN'
+        }));
+        expect((await registry.translate('Hello', 'en', 'en')).provider).toBeNull();
+
+        const audio = Buffer.from('audio');
+        const first = await registry.speechToText(audio, 'ja');
+        expect(first).toEqual(expect.objectContaining({ language: 'ja-JP', provider: 'local', wordTimestamps: [] }));
+        expect(await registry.speechToText(audio, 'ja')).toEqual(first);
+
+        const speech = await registry.synthesize('你好', 'zh', { format: 'ogg' });
+        expect(speech.audio.toString()).toBe('zh-CN:你好');
+        expect(speech.format).toBe('ogg');
+
+        expect(registry.isAvailable('translate')).toBe(false);
+    });
+
+    test('按成本、延迟或质量选择提供方，延迟按实际调用统计修正', async () => {
+        const registry = createRegistry({
+            budget: translator('budget', { cost: 5, latency: 800, quality: 0.7 }),
+            premium: translator('premium', { cost: 20, latency: 200, quality: 0.95 })
+        });
+
+        expect((await registry.translate('hi', 'en', 'fr', { strategy: 'cost' })).provider).toBe('budget');
+        expect((await registry.translate('hi', 'en', 'fr', { strategy: 'quality' })).provider).toBe('premium');
+
+        process.env.LANGUAGE_PROVIDER_STRATEGY = 'latency';
+        // budget 实测延迟远低于 premium 的预期延迟
+        registry.providers.get('budget').health.translate.latency = 50;
+        registry.providers.get('premium').health.translate.latency = 400;
+        expect((await registry.translate('hi', 'en', 'fr')).provider).toBe('budget');
+        expect(registry.getStatus().strategy).toBe('latency');
+
+        // 本地兜底提供方在有其他可用提供方时不参与路由
+        expect(registry.getCandidates('translate', ['en', 'fr']).map(provider => provider.name))
+            .toEqual(['budget', 'premium']);
+    });
+
+    test('按语言能力筛选提供方，并可按语言覆盖质量评分', async () => {
+        const registry = createRegistry({
+            general: translator('general', { quality: 0.85 }),
+            chinese: translator('chinese', { languages: ['zh', 'en'], quality: 0.8, languageQuality: { zh: 0.95 } })
+        });
+
+        expect((await registry.translate('hi', 'en', 'zh-CN')).provider).toBe('chinese');
+        expect((await registry.translate('你好', 'zh-CN', 'en')).provider).toBe('general');
+        expect(registry.getCandidates('translate', ['ja', 'zh']).map(provider => provider.name)).toEqual(['general']);
+        // 自动检测源语言时只按目标语言筛选
+        expect(registry.getCandidates('translate', ['auto', 'zh-TW']).map(provider => provider.name))
+            .toEqual(['chinese', 'general']);
+    });
+
+    test('调用失败时切换到下一个提供方，全部失败时返回每个提供方的错误', async () => {
+        const failing = jest.fn().mockRejectedValue(new Error('timeout of 15000ms exceeded'));
+        const registry = createRegistry({
+            primary: translator('primary', { quality: 0.9 }, failing),
+            secondary: translator('secondary', { quality: 0.8 })
+        });
+
+        const result = await registry.translate('hi', 'en', 'de');
+        expect(result).toEqual(expect.objectContaining({ text: 'secondary:hi', provider: 'secondary' }));
+        expect(failing).toHaveBeenCalledWith('hi', 'en', 'de', {});
+
+        const status = registry.getStatus().providers.find(provider => provider.name === 'primary');
+        expect(status.capabilities.translate).toEqual(expect.objectContaining({
+            state: BREAKER_STATES.CLOSED,
+            calls: 1,
+            failures: 1,
+            lastError: 'timeout of 15000ms exceeded'
+        }));
+
+        registry.providers.get('secondary').adapter.translate = jest.fn().mockRejectedValue(new Error('quota exceeded'));
+        await expect(registry.translate('hi', 'en', 'de')).rejects.toMatchObject({
+            message: '文本翻译服务均不可用',
+            attempts: [
+                { provider: 'primary', error: 'timeout of 15000ms exceeded' },
+                { provider: 'secondary', error: 'quota exceeded' }
+            ]
+        });
+    });
+
+    test('连续失败后熔断，冷却时间过后放行一次试探调用，成功则恢复', async () => {
+        const flaky = jest.fn().mockRejectedValue(new Error('503'));
+        const registry = createRegistry({
+            flaky: translator('flaky', { quality: 0.9 }, flaky),
+            stable: translator('stable', { quality: 0.8 })
+        });
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        for (let i = 0; i < registry.failureThreshold; i++) {
+            expect((await registry.translate('hi', 'en', 'de')).provider).toBe('stable');
+        }
+        const health = registry.providers.get('flaky').health.translate;
+        expect(health.state).toBe(BREAKER_STATES.OPEN);
+
+        // 熔断期间不再调用
+        await registry.translate('hi', 'en', 'de');
+        expect(flaky).toHaveBeenCalledTimes(registry.failureThreshold);
+
+        // 试探失败后重新熔断
+        now += registry.openDuration;
+        await registry.translate('hi', 'en', 'de');
+        expect(flaky).toHaveBeenCalledTimes(registry.failureThreshold + 1);
+        expect(health.state).toBe(BREAKER_STATES.OPEN);
+
+        now += registry.openDuration;
+        flaky.mockResolvedValue({ text: 'Hallo' });
+        expect((await registry.translate('hi', 'en', 'de')).provider).toBe('flaky');
+        expect(health.state).toBe(BREAKER_STATES.CLOSED);
+        expect(health.consecutiveFailures).toBe(0);
+    });
+
+    test('内置提供方按环境变量启用，LANGUAGE_PROVIDERS 可限制范围', async () => {
+        const registry = new LanguageProviderRegistry();
+        process.env.BAIDU_TRANSLATE_APP_ID = 'app';
+
+        expect(registry.isEnabled('baidu', 'translate')).toBe(false);
+        process.env.BAIDU_TRANSLATE_SECRET_KEY = 'secret';
+        expect(registry.isEnabled('baidu', 'translate')).toBe(true);
+        expect(registry.isEnabled('baidu', 'stt')).toBe(false);
+        expect(registry.getCandidates('translate', ['en', 'zh']).map(provider => provider.name)).toEqual(['baidu']);
+        // 百度不支持的语言仍使用本地提供方
+        expect(registry.getCandidates('translate', ['en', 'sw']).map(provider => provider.name)).toEqual(['local']);
+
+        process.env.AZURE_TRANSLATOR_KEY = 'azure';
+        process.env.LANGUAGE_PROVIDERS = 'azure, local';
+        expect(registry.getCandidates('translate', ['en', 'zh']).map(provider => provider.name)).toEqual(['azure']);
+
+        expect(() => registry.registerProvider('broken', {}, { capabilities: { tts: { languages: '*' } } }))
+            .toThrow('语言服务 broken 必须提供 synthesize 方法');
+    });
+
+    test('百度适配器转换语言代码并签名请求', async () => {
+        process.env.BAIDU_TRANSLATE_APP_ID = 'app';
+        process.env.BAIDU_TRANSLATE_SECRET_KEY = 'secret';
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({
+            data: { from: 'zh', to: 'jp', trans_result: [{ src: '你好', dst: 'こんにちは' }] }
+        });
+
+        const result = await createBaiduProvider().translate('你好', 'auto', 'ja-JP');
+
+        const params = post.mock.calls[0][1];
+        expect(params.get('from')).toBe('auto');
+        expect(params.get('to')).toBe('jp');
+        expect(params.get('sign')).toMatch(/^[0-9a-f]{32}$/);
+        expect(result).toEqual({ text: 'こんにちは', sourceLanguage: 'zh', confidence: 0.8, alternatives: [] });
+    });
+
+    test('各翻译服务通过注册表调用并保持原有的返回格式', async () => {
+        const translate = jest.spyOn(languageProviderRegistry, 'translate').mockResolvedValue({
+            text: 'Bonjour',
+            sourceLanguage: 'en',
+            confidence: 0.92,
+            alternatives: [],
+            provider: 'azure'
+        });
+
+        const advanced = await new AdvancedVoiceTranslationService().translateText('Hello', 'fr-FR', 'en-US');
+        expect(advanced).toEqual(expect.objectContaining({
+            success: true,
+            originalText: 'Hello',
+            translatedText: 'Bonjour',
+            targetLanguage: 'fr-FR',
+            provider: 'azure'
+        }));
+        expect(translate).toHaveBeenCalledWith('Hello', 'en-US', 'fr-FR', { strategy: undefined });
+
+        const basic = await new TranslationService().translateText('Hello', 'en', 'fr');
+        expect(basic).toEqual(expect.objectContaining({ text: 'Bonjour', confidence: 0.92, toLanguage: 'fr' }));
+
+        translate.mockRejectedValue(new Error('文本翻译服务均不可用'));
+        const failed = await new AdvancedVoiceTranslationService().translateText('Hi', 'fr-FR', 'en-US');
+        expect(failed).toEqual(expect.objectContaining({ success: false, error: '文本翻译服务均不可用' }));
+    });
+});
@@ -0,0 +1,225 @@
+jest.mock('web-push', () => ({
+    sendNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const webpush = require('web-push');
+const Notification = require('../src/models/Notification');
+const PushSubscription = require('../src/models/PushSubscription');
+const User = require('../src/models/User');
+const messageTransportService = require('../src/services/messageTransportService');
+const notificationService = require('../src/services/notificationService');
+
+describe('Notification Service Tests', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const actorId = new mongoose.Types.ObjectId();
+
+    const mockUser = (notifications = {}) => {
+        const user = new User({
+            _id: userId,
+            username: 'mei',
+            email: 'mei@example.com',
+            settings: { notifications }
+        });
+        jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+        return user;
+    };
+
+    const mockIo = (connected) => {
+        const emit = jest.fn();
+        return {
+            emit,
+            in: jest.fn(() => ({ fetchSockets: jest.fn().mockResolvedValue(connected ? [{ id: 's1' }] : []) })),
+            to: jest.fn(() => ({ emit }))
+        };
+    };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        webpush.sendNotification.mockReset();
+        process.env.VAPID_PUBLIC_KEY = 'public-key';
+        process.env.VAPID_PRIVATE_KEY = 'private-key';
+        jest.spyOn(Notification, 'create').mockImplementation(async (doc) => new Notification(doc));
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        delete process.env.VAPID_PUBLIC_KEY;
+        delete process.env.VAPID_PRIVATE_KEY;
+    });
+
+    test('用户关闭该类通知或通知自己时不创建通知', async () => {
+        mockUser({ mentions: false });
+
+        expect(await notificationService.notify({ user: userId, type: 'MENTION', actor: actorId, title: 'hi' })).toBeNull();
+        expect(await notificationService.notify({ user: userId, type: 'REPLY', actor: userId, title: 'hi' })).toBeNull();
+        expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('用户在线时通过Socket推送，不再发送Web Push', async () => {
+        mockUser();
+        const io = mockIo(true);
+        notificationService.attachSocket(io);
+        jest.spyOn(PushSubscription, 'find');
+
+        try {
+            const notification = await notificationService.notify({
+                user: userId,
+                type: 'DIRECT_MESSAGE',
+                actor: actorId,
+                title: 'Li 给您发来私信'
+            });
+
+            expect(io.to).toHaveBeenCalledWith(`user:${userId}`);
+            expect(io.emit).toHaveBeenCalledWith('notification', notification);
+            expect(notification.deliveries.socket).toBeInstanceOf(Date);
+            expect(PushSubscription.find).not.toHaveBeenCalled();
+        } finally {
+            notificationService.detachSocket(io);
+        }
+    });
+
+    test('用户离线时发送Web Push并删除失效的订阅', async () => {
+        mockUser();
+        const io = mockIo(false);
+        notificationService.attachSocket(io);
+
+        const valid = new PushSubscription({ user: userId, endpoint: 'https://fcm.googleapis.com/fcm/send/a', keys: { p256dh: 'p', auth: 'a' } });
+        valid.save = jest.fn();
+        const expired = new PushSubscription({ user: userId, endpoint: 'https://updates.push.services.mozilla.com/wpush/v2/b', keys: { p256dh: 'p', auth: 'a' } });
+        jest.spyOn(PushSubscription, 'find').mockResolvedValue([valid, expired]);
+        jest.spyOn(PushSubscription, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+        webpush.sendNotification
+            .mockResolvedValueOnce({ statusCode: 201 })
+            .mockRejectedValueOnce(Object.assign(new Error('Gone'), { statusCode: 410 }));
+
+        try {
+            const notification = await notificationService.notify({
+                user: userId,
+                type: 'MENTION',
+                actor: actorId,
+                title: 'Li 在聊天中提到了您'
+            });
+
+            expect(io.emit).not.toHaveBeenCalled();
+            expect(webpush.sendNotification).toHaveBeenCalledTimes(2);
+            expect(JSON.parse(webpush.sendNotification.mock.calls[0][1])).toEqual(expect.objectContaining({
+                type: 'MENTION',
+                title: 'Li 在聊天中提到了您'
+            }));
+            expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: expired._id });
+            expect(notification.deliveries.push).toBeInstanceOf(Date);
+            expect(notification.deliveries.socket).toBeUndefined();
+        } finally {
+            notificationService.detachSocket(io);
+        }
+    });
+
+    test('关闭推送时通知只留在信箱等待邮件汇总', async () => {
+        mockUser({ push: false });
+        jest.spyOn(PushSubscription, 'find');
+
+        const notification = await notificationService.notify({
+            user: userId,
+            type: 'MODERATION',
+            title: '您已在聊天室中被禁言'
+        });
+
+        expect(notification.read).toBe(false);
+        expect(PushSubscription.find).not.toHaveBeenCalled();
+        expect(Notification.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('邮件汇总按用户设置的频率发送并标记已投递', async () => {
+        const now = new Date('2026-03-01T12:00:00Z');
+        mockUser({ emailDigest: 'hourly' });
+        jest.spyOn(Notification, 'aggregate')
+            .mockResolvedValueOnce([{ _id: userId, oldest: new Date(now - 30 * 60 * 1000) }])
+            .mockResolvedValueOnce([{ _id: userId, oldest: new Date(now - 2 * 60 * 60 * 1000) }]);
+        jest.spyOn(Notification, 'find').mockReturnValue({
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockResolvedValue([
+                new Notification({ user: userId, type: 'REWARD', title: '获得 10 CBT', body: '文化交流奖励' }),
+                new Notification({ user: userId, type: 'REPLY', title: 'Li 回复了您关注的话题' })
+            ])
+        });
+        jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        jest.spyOn(messageTransportService, 'sendEmail').mockResolvedValue({ delivered: true });
+
+        // 最早的通知未满一小时
+        expect(await notificationService.sendEmailDigests(now)).toBe(0);
+        expect(messageTransportService.sendEmail).not.toHaveBeenCalled();
+
+        expect(await notificationService.sendEmailDigests(now)).toBe(1);
+        expect(messageTransportService.sendEmail).toHaveBeenCalledWith(
+            'mei@example.com',
+            'CultureBridge：您有2条未读通知',
+            expect.stringContaining('- 获得 10 CBT：文化交流奖励'),
+            expect.objectContaining({ purpose: 'notification_digest' })
+        );
+        expect(Notification.updateMany).toHaveBeenCalledWith(
+            expect.objectContaining({ user: userId, read: false, 'deliveries.socket': null, 'deliveries.email': null }),
+            { $set: { 'deliveries.email': now } }
+        );
+    });
+
+    test('批量标记未读时清除已读时间', async () => {
+        jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+        expect(await notificationService.markRead(userId, ids, false)).toBe(2);
+        expect(Notification.updateMany).toHaveBeenCalledWith(
+            { user: userId, _id: { $in: ids }, read: true },
+            { $set: { read: false }, $unset: { readAt: 1 } }
+        );
+    });
+
+    test('通知偏好只接受已知字段和有效值', async () => {
+        const user = mockUser();
+        jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+        expect(await notificationService.updatePreferences(userId, { emailDigest: 'weekly' }))
+            .toEqual({ status: 'invalid_preference', field: 'emailDigest' });
+        expect(await notificationService.updatePreferences(userId, { push: 'yes' }))
+            .toEqual({ status: 'invalid_preference', field: 'push' });
+
+        const result = await notificationService.updatePreferences(userId, { replies: false, emailDigest: 'off', theme: 'dark' });
+        expect(result.status).toBe('updated');
+        expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, {
+            $set: { 'settings.notifications.replies': false, 'settings.notifications.emailDigest': 'off' }
+        }, expect.any(Object));
+    });
+
+    test('Push订阅必须是已知推送服务的HTTPS地址并包含密钥', async () => {
+        const keys = { p256dh: 'p', auth: 'a' };
+        const rejected = [
+            'http://fcm.googleapis.com/fcm/send/a',
+            'https://push.example/a',
+            'https://169.254.169.254/latest/meta-data',
+            'https://fcm.googleapis.com.evil.example/a',
+            'https://evil-fcm.googleapis.com.example/a',
+            'https://fcm.googleapis.com:8443/a',
+            'https://user@fcm.googleapis.com/a'
+        ];
+        for (const endpoint of rejected) {
+            expect((await notificationService.subscribePush(userId, { endpoint, keys })).status).toBe('invalid_subscription');
+        }
+        expect((await notificationService.subscribePush(userId, { endpoint: 'https://fcm.googleapis.com/fcm/send/a' })).status)
+            .toBe('invalid_subscription');
+
+        const upsert = jest.spyOn(PushSubscription, 'findOneAndUpdate').mockImplementation(async (filter, update) => update);
+        for (const endpoint of [
+            'https://fcm.googleapis.com/fcm/send/a',
+            'https://updates.push.services.mozilla.com/wpush/v2/b',
+            'https://web.push.apple.com/c',
+            'https://wns2-by3p.notify.windows.com/w/?token=d'
+        ]) {
+            expect((await notificationService.subscribePush(userId, { endpoint, keys })).status).toBe('subscribed');
+        }
+        expect(upsert).toHaveBeenCalledTimes(4);
+
+        delete process.env.VAPID_PUBLIC_KEY;
+        expect((await notificationService.subscribePush(userId, { endpoint: 'https://fcm.googleapis.com/fcm/send/a', keys })).status)
+            .toBe('push_disabled');
+    });
+});
@@ -0,0 +1,182 @@
+jest.mock('../src/models/OAuthState', () => ({
+    create: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const OAuthState = require('../src/models/OAuthState');
+const User = require('../src/models/User');
+const oauthService = require('../src/services/oauthService');
+
+describe('OAuth Service Tests', () => {
+    let server;
+    let issuer;
+    const tokenRequests = [];
+
+    beforeAll(async () => {
+        // 本地模拟OIDC提供方
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+
+        app.get('/.well-known/openid-configuration', (req, res) => {
+            res.json({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`
+            });
+        });
+        app.post('/token', (req, res) => {
+            tokenRequests.push(req.body);
+            if (req.body.code !== 'valid-code') {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+            res.json({ access_token: 'mock-access-token', token_type: 'Bearer' });
+        });
+        app.get('/userinfo', (req, res) => {
+            if (req.headers.authorization !== 'Bearer mock-access-token') {
+                return res.status(401).end();
+            }
+            res.json({ sub: 'oidc-user-1', email: 'alice@example.com', email_verified: true, name: 'Alice' });
+        });
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        issuer = `http://127.0.0.1:${server.address().port}`;
+
+        process.env.OAUTH_OIDC_ISSUER = issuer;
+        process.env.OAUTH_OIDC_CLIENT_ID = 'client-1';
+        process.env.OAUTH_OIDC_CLIENT_SECRET = 'secret-1';
+    });
+
+    afterAll(async () => {
+        delete process.env.OAUTH_OIDC_ISSUER;
+        delete process.env.OAUTH_OIDC_CLIENT_ID;
+        delete process.env.OAUTH_OIDC_CLIENT_SECRET;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        tokenRequests.length = 0;
+    });
+
+    const mockStateLookup = (record) => {
+        OAuthState.findOneAndUpdate.mockReturnValue({
+            select: jest.fn().mockResolvedValue(record)
+        });
+    };
+
+    test('只有配置了客户端凭据的提供方才会启用', () => {
+        const keys = oauthService.getEnabledProviders().map(provider => provider.key);
+
+        expect(keys).toContain('oidc');
+        expect(keys).not.toContain('google');
+        expect(oauthService.getProviderConfig('unknown')).toBeNull();
+    });
+
+    test('授权链接应该通过discovery获取端点并包含state和PKCE挑战', async () => {
+        const { authorizationUrl, state, binding } = await oauthService.createAuthorization('oidc', { rememberMe: true });
+        const url = new URL(authorizationUrl);
+        const record = OAuthState.create.mock.calls[0][0];
+
+        expect(`${url.origin}${url.pathname}`).toBe(`${issuer}/authorize`);
+        expect(url.searchParams.get('client_id')).toBe('client-1');
+        expect(url.searchParams.get('state')).toBe(state);
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge'))
+            .toBe(crypto.createHash('sha256').update(record.codeVerifier).digest('base64url'));
+        expect(record).toEqual(expect.objectContaining({ state, provider: 'oidc', mode: 'login', rememberMe: true }));
+        // 绑定值只保存哈希，且不出现在授权链接中
+        expect(record.bindingHash).toBe(oauthService.hashBinding(binding));
+        expect(authorizationUrl).not.toContain(binding);
+    });
+
+    test('回调应该使用授权码和校验码换取用户资料', async () => {
+        mockStateLookup({ state: 's1', mode: 'login', redirectUri: 'http://localhost:3000/oauth/callback/oidc', codeVerifier: 'verifier-1' });
+
+        const result = await oauthService.handleCallback('oidc', { code: 'valid-code', state: 's1', binding: 'b1' });
+
+        expect(result.status).toBe('ok');
+        expect(OAuthState.findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+            state: 's1',
+            bindingHash: oauthService.hashBinding('b1')
+        }));
+        expect(result.profile).toEqual(expect.objectContaining({
+            subject: 'oidc-user-1',
+            email: 'alice@example.com',
+            emailVerified: true,
+            displayName: 'Alice'
+        }));
+        expect(tokenRequests[0]).toEqual(expect.objectContaining({ code: 'valid-code', code_verifier: 'verifier-1' }));
+    });
+
+    test('无效或已使用的state应该被拒绝且不请求提供方', async () => {
+        mockStateLookup(null);
+
+        expect((await oauthService.handleCallback('oidc', { code: 'valid-code', state: 'used', binding: 'b1' })).status).toBe('invalid_state');
+        expect((await oauthService.handleCallback('oidc', { code: 'valid-code', binding: 'b1' })).status).toBe('invalid_state');
+        expect(tokenRequests).toHaveLength(0);
+    });
+
+    test('没有发起授权时的绑定cookie，或绑定流程不是由发起绑定的用户完成时拒绝回调', async () => {
+        const owner = '507f1f77bcf86cd799439011';
+        mockStateLookup({ state: 's3', mode: 'link', user: owner, redirectUri: 'http://localhost:3000/oauth/callback/oidc' });
+
+        // 把授权链接发给他人：对方浏览器没有绑定cookie
+        expect((await oauthService.handleCallback('oidc', { code: 'valid-code', state: 's3' })).status).toBe('invalid_state');
+        expect(OAuthState.findOneAndUpdate).not.toHaveBeenCalled();
+
+        expect((await oauthService.handleCallback('oidc', { code: 'valid-code', state: 's3', binding: 'b3' })).status)
+            .toBe('invalid_state');
+        expect((await oauthService.handleCallback('oidc', {
+            code: 'valid-code',
+            state: 's3',
+            binding: 'b3',
+            userId: '507f1f77bcf86cd799439012'
+        })).status).toBe('invalid_state');
+        expect(tokenRequests).toHaveLength(0);
+
+        const result = await oauthService.handleCallback('oidc', { code: 'valid-code', state: 's3', binding: 'b3', userId: owner });
+        expect(result.status).toBe('ok');
+    });
+
+    test('提供方拒绝授权码时应该返回provider_error', async () => {
+        mockStateLookup({ state: 's2', mode: 'login', redirectUri: 'http://localhost:3000/oauth/callback/oidc' });
+
+        const result = await oauthService.handleCallback('oidc', { code: 'bad-code', state: 's2', binding: 'b2' });
+
+        expect(result.status).toBe('provider_error');
+    });
+
+    test('只有本地邮箱也已验证时才按邮箱自动绑定第三方账号', async () => {
+        const profile = { subject: 'oidc-user-1', email: 'alice@example.com', emailVerified: true, displayName: 'Alice' };
+        const existing = new User({ username: 'alice', email: 'alice@example.com', password: 'password123' });
+        // 身份查询和邮箱查询直接 await，绑定前的归属查询调用 select
+        const query = value => Object.assign(Promise.resolve(value), { select: async () => value });
+        const findOne = jest.spyOn(User, 'findOne').mockImplementation(filter => query(filter.email ? existing : null));
+        const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        try {
+            // 本地邮箱未验证：可能是他人抢注的邮箱，不能据此接管账户
+            expect((await oauthService.resolveUser('oidc', profile)).status).toBe('email_conflict');
+            expect(updateOne).not.toHaveBeenCalled();
+
+            existing.verification.email.verified = true;
+            expect((await oauthService.resolveUser('oidc', { ...profile, emailVerified: false })).status).toBe('email_conflict');
+
+            const result = await oauthService.resolveUser('oidc', profile);
+            expect(result).toEqual({ status: 'linked', user: existing });
+            expect(updateOne).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: existing._id }),
+                expect.objectContaining({ $push: { oauthAccounts: expect.objectContaining({ subject: 'oidc-user-1' }) } })
+            );
+            expect(findOne).toHaveBeenCalledWith({ email: 'alice@example.com' });
+        } finally {
+            findOne.mockRestore();
+            updateOne.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,170 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const securityLogService = require('../src/services/securityLogService');
+const sessionService = require('../src/services/sessionService');
+const messageTransportService = require('../src/services/messageTransportService');
+const enhancedAuthController = require('../src/controllers/enhancedAuth');
+const { protect } = require('../src/middleware/auth');
+
+describe('Password Reset Tests', () => {
+    const createResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    // 调用 asyncHandler 包装的控制器方法，返回 next 收到的错误
+    const call = async (handler, req) => {
+        const res = createResponse();
+        const next = jest.fn();
+        await handler(req, res, next);
+        return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+    };
+
+    const hydrateUser = () => User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        username: 'forgetful',
+        email: 'forgetful@test.com',
+        password: 'hashed',
+        status: 'active',
+        security: {}
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(securityLogService, 'record').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('忘记密码：账户存在与否返回相同响应，且不等待签发令牌和发送邮件', async () => {
+        const user = hydrateUser();
+        let finishSave;
+        user.save = jest.fn(() => new Promise(resolve => { finishSave = resolve; }));
+        const sendEmail = jest.spyOn(messageTransportService, 'sendEmail').mockResolvedValue({});
+        const findOne = jest.spyOn(User, 'findOne')
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce(user);
+
+        const unknown = await call(enhancedAuthController.forgotPassword, { body: { email: 'nobody@test.com' } });
+        const known = await call(enhancedAuthController.forgotPassword, { body: { email: ' forgetful@test.com ' } });
+
+        expect(findOne).toHaveBeenLastCalledWith({ email: 'forgetful@test.com' });
+        expect(known.res.json.mock.calls[0][0]).toEqual(unknown.res.json.mock.calls[0][0]);
+        expect(known.res.status).toHaveBeenCalledWith(200);
+
+        // 响应返回时重置令牌仍在保存中
+        expect(user.save).toHaveBeenCalled();
+        expect(sendEmail).not.toHaveBeenCalled();
+
+        finishSave(user);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(sendEmail).toHaveBeenCalledWith('forgetful@test.com', expect.any(String), expect.any(String),
+            expect.objectContaining({ type: 'password_reset' }));
+        expect(user.security.passwordResetToken).toBeDefined();
+    });
+
+    test('重置密码：消耗令牌、记录密码修改时间并注销所有会话', async () => {
+        const user = hydrateUser();
+        const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ _id: user._id });
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        const revoke = jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(2);
+
+        const { res, error } = await call(enhancedAuthController.resetPassword, {
+            params: { token: 'reset-token' },
+            body: { password: 'new-password-123' }
+        });
+
+        expect(error).toBeUndefined();
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+            'security.passwordResetToken': enhancedAuthController.encryptionService.hashToken('reset-token')
+        }));
+        expect(user.security.passwordChangedAt).toBeInstanceOf(Date);
+        expect(await user.matchPassword('new-password-123')).toBe(true);
+        expect(revoke).toHaveBeenCalledWith(user._id, 'PASSWORD_RESET');
+
+        findOneAndUpdate.mockResolvedValue(null);
+        const invalid = await call(enhancedAuthController.resetPassword, {
+            params: { token: 'reset-token' },
+            body: { password: 'new-password-123' }
+        });
+        expect(invalid.error.statusCode).toBe(400);
+    });
+
+    test('生产环境未显式配置消息传输或使用 console 传输时拒绝发送，避免重置链接写入日志', async () => {
+        const log = jest.spyOn(console, 'log');
+        const saved = {
+            NODE_ENV: process.env.NODE_ENV,
+            MESSAGE_TRANSPORT: process.env.MESSAGE_TRANSPORT,
+            EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT,
+            SMS_TRANSPORT: process.env.SMS_TRANSPORT
+        };
+        process.env.NODE_ENV = 'production';
+        delete process.env.MESSAGE_TRANSPORT;
+        delete process.env.EMAIL_TRANSPORT;
+        delete process.env.SMS_TRANSPORT;
+        try {
+            expect(() => messageTransportService.assertConfigured()).toThrow('MESSAGE_TRANSPORT');
+            await expect(messageTransportService.sendEmail('a@test.com', '重置密码', 'https://app/reset/secret-token'))
+                .rejects.toThrow('EMAIL_TRANSPORT');
+
+            process.env.MESSAGE_TRANSPORT = 'console';
+            expect(() => messageTransportService.assertConfigured()).toThrow('console');
+            expect(log).not.toHaveBeenCalledWith(expect.stringContaining('secret-token'));
+
+            process.env.MESSAGE_TRANSPORT = 'file';
+            expect(() => messageTransportService.assertConfigured()).not.toThrow();
+        } finally {
+            Object.entries(saved).forEach(([key, value]) => {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            });
+        }
+    });
+
+    test('protect 拒绝修改密码前签发的令牌', async () => {
+        const user = hydrateUser();
+        const sessionId = new mongoose.Types.ObjectId().toString();
+        const issuedAt = Math.floor(Date.now() / 1000) - 60;
+        user.security.passwordChangedAt = new Date((issuedAt + 30) * 1000);
+
+        const authorize = (token) => ({
+            header: name => (name === 'Authorization' ? `Bearer ${token}` : undefined)
+        });
+        const oldToken = jwt.sign({ id: user._id, sid: sessionId, iat: issuedAt }, process.env.JWT_SECRET);
+        const newToken = jwt.sign({ id: user._id, sid: sessionId }, process.env.JWT_SECRET);
+
+        // 测试环境跳过数据库查询，这里按正常环境校验
+        const environment = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'development';
+        try {
+            jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+            jest.spyOn(sessionService, 'validateSession').mockResolvedValue({ _id: sessionId });
+
+            let res = createResponse();
+            let next = jest.fn();
+            await protect(authorize(oldToken), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: '密码已修改，请重新登录' }));
+            expect(next).not.toHaveBeenCalled();
+
+            res = createResponse();
+            next = jest.fn();
+            await protect(authorize(newToken), res, next);
+            expect(next).toHaveBeenCalled();
+        } finally {
+            process.env.NODE_ENV = environment;
+        }
+    });
+});
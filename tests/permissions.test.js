@@ -0,0 +1,61 @@
+const { PERMISSIONS, getUserRoles, getUserPermissions, hasPermission } = require('../src/config/permissions');
+const { requirePermission } = require('../src/middleware/auth');
+
+const createRes = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('RBAC Permission Tests', () => {
+    describe('角色与权限', () => {
+        test('管理员应该拥有全部权限', () => {
+            const admin = { role: 'admin' };
+
+            Object.values(PERMISSIONS).forEach(permission => {
+                expect(hasPermission(admin, permission)).toBe(true);
+            });
+        });
+
+        test('普通用户不应该拥有管理权限', () => {
+            expect(getUserPermissions({ role: 'user' })).toEqual([]);
+            expect(hasPermission({}, PERMISSIONS.CHAT_MODERATE)).toBe(false);
+        });
+
+        test('附加角色的权限应该与主角色合并', () => {
+            const user = { role: 'moderator', roles: ['rewards_manager', 'unknown_role'] };
+
+            expect(getUserRoles(user).sort()).toEqual(['moderator', 'rewards_manager']);
+            expect(hasPermission(user, PERMISSIONS.CHAT_MODERATE)).toBe(true);
+            expect(hasPermission(user, PERMISSIONS.REWARDS_DISTRIBUTE)).toBe(true);
+            expect(hasPermission(user, PERMISSIONS.CONTRACTS_DEPLOY)).toBe(false);
+        });
+    });
+
+    describe('requirePermission 中间件', () => {
+        test('拥有权限时应该放行', () => {
+            const next = jest.fn();
+            requirePermission(PERMISSIONS.CONTRACTS_DEPLOY)({ user: { roles: ['contract_operator'] } }, createRes(), next);
+
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('缺少权限时应该返回403', () => {
+            const next = jest.fn();
+            const res = createRes();
+            requirePermission(PERMISSIONS.CONTRACTS_DEPLOY)({ user: { role: 'moderator' } }, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].error).toContain('contracts.deploy');
+        });
+
+        test('未登录时应该返回401', () => {
+            const res = createRes();
+            requirePermission(PERMISSIONS.ADMIN_ACCESS)({}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+});
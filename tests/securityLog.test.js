@@ -0,0 +1,94 @@
+// 管理员路由只测试查询参数校验，身份验证由模拟的中间件提供
+jest.mock('../src/middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { id: 'admin', role: 'admin' };
+        next();
+    },
+    requirePermission: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const SecurityEvent = require('../src/models/SecurityEvent');
+const securityLogService = require('../src/services/securityLogService');
+const adminRoutes = require('../src/routes/admin');
+
+const { SECURITY_EVENT_TYPES } = securityLogService;
+
+describe('Security Event Logging Tests', () => {
+    const app = express();
+    app.use('/api/admin', adminRoutes);
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('记录账户事件时补充分类、严重程度和请求上下文', async () => {
+        const create = jest.spyOn(SecurityEvent, 'create').mockImplementation(async event => event);
+        const userId = new mongoose.Types.ObjectId();
+        const req = { ip: '203.0.113.7', get: name => (name === 'User-Agent' ? 'jest' : undefined) };
+
+        await securityLogService.record(SECURITY_EVENT_TYPES.PASSWORD_RESET, { user: { _id: userId }, req });
+        await securityLogService.record('custom_alert', { details: { ip: '198.51.100.1' } });
+
+        expect(create.mock.calls[0][0]).toEqual(expect.objectContaining({
+            user: userId,
+            type: 'PASSWORD_RESET',
+            category: 'account',
+            severity: 'high',
+            success: true,
+            ip: '203.0.113.7',
+            userAgent: 'jest'
+        }));
+        expect(create.mock.calls[1][0]).toEqual(expect.objectContaining({
+            type: 'CUSTOM_ALERT',
+            category: 'system',
+            severity: 'low',
+            ip: '198.51.100.1'
+        }));
+    });
+
+    test('记录失败时返回null，不影响调用方', async () => {
+        jest.spyOn(SecurityEvent, 'create').mockRejectedValue(new Error('connection refused'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(securityLogService.record(SECURITY_EVENT_TYPES.LOGIN)).resolves.toBeNull();
+    });
+
+    test('查询条件只接受字符串参数', () => {
+        const filter = securityLogService.buildFilter({
+            type: 'login,login_failed',
+            from: '2026-01-01',
+            to: 'not-a-date',
+            success: 'false',
+            severity: { $ne: 'low' },
+            category: 'account'
+        });
+
+        expect(filter).toEqual({
+            type: { $in: ['LOGIN', 'LOGIN_FAILED'] },
+            createdAt: { $gte: new Date('2026-01-01') },
+            success: false,
+            category: 'account'
+        });
+    });
+
+    test('管理员查询安全事件时校验用户ID', async () => {
+        const getEvents = jest.spyOn(securityLogService, 'getEvents').mockResolvedValue({ events: [], pagination: {} });
+        const userId = new mongoose.Types.ObjectId().toString();
+
+        await request(app).get('/api/admin/security-events').query({ user: userId }).expect(200);
+        expect(getEvents.mock.calls[0][0]).toEqual({ user: userId });
+
+        const invalid = await request(app).get('/api/admin/security-events?user=not-an-id').expect(400);
+        expect(invalid.body.error).toBe('无效的用户ID');
+
+        await request(app).get('/api/admin/security-events?user[$ne]=x').expect(400);
+        expect(getEvents).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../src/models/AuthSession');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/sessionService');
+const authController = require('../src/controllers/auth');
+const { protect } = require('../src/middleware/auth');
+
+describe('Device Session Tests', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const sessionId = new mongoose.Types.ObjectId();
+
+    const createResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        res.cookie = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const authorize = (token) => ({
+        header: name => (name === 'Authorization' ? `Bearer ${token}` : undefined)
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('访问令牌必须绑定会话', () => {
+        const user = new User({ username: 'session', email: 'session@test.com', password: 'password123' });
+
+        expect(() => user.getSignedJwtToken()).toThrow('访问令牌必须绑定会话');
+
+        const decoded = jwt.verify(user.getSignedJwtToken(sessionId), process.env.JWT_SECRET);
+        expect(decoded.sid).toBe(sessionId.toString());
+        expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    test('刷新令牌按当前哈希原子轮换，并发重复使用同一令牌时吊销整个会话', async () => {
+        const refreshToken = sessionService.generateRefreshToken(sessionId);
+        const presentedHash = sessionService.hashToken(refreshToken);
+        const rotatedSession = { _id: sessionId, user: userId };
+
+        const findOneAndUpdate = jest.spyOn(AuthSession, 'findOneAndUpdate')
+            .mockResolvedValueOnce(rotatedSession)
+            .mockResolvedValueOnce(null);
+        jest.spyOn(AuthSession, 'findById').mockReturnValue({
+            select: async () => ({
+                _id: sessionId,
+                isActive: true,
+                rotatedTokenHashes: [presentedHash]
+            })
+        });
+        const updateOne = jest.spyOn(AuthSession, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const [first, second] = await Promise.all([
+            sessionService.rotateRefreshToken(refreshToken),
+            sessionService.rotateRefreshToken(refreshToken)
+        ]);
+
+        expect(first.status).toBe('rotated');
+        expect(first.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+        expect(findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+            _id: sessionId.toString(),
+            refreshTokenHash: presentedHash,
+            revokedAt: { $exists: false }
+        }));
+        expect(findOneAndUpdate.mock.calls[0][1].$push).toEqual({ rotatedTokenHashes: presentedHash });
+
+        expect(second.status).toBe('reused');
+        expect(updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: sessionId }),
+            expect.objectContaining({ revokedReason: 'TOKEN_REUSE' })
+        );
+
+        expect((await sessionService.rotateRefreshToken('not-a-token')).status).toBe('invalid');
+    });
+
+    test('protect 拒绝未绑定会话的令牌和已吊销会话的令牌', async () => {
+        const legacyToken = jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+        let res = createResponse();
+        const next = jest.fn();
+
+        await protect(authorize(legacyToken), res, next);
+        expect(res.status).toHaveBeenCalledWith(401);
+
+        // 测试环境跳过数据库查询，这里按正常环境校验会话
+        const environment = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'development';
+        try {
+            jest.spyOn(User, 'findById').mockReturnValue({ select: async () => User.hydrate({ _id: userId, status: 'active' }) });
+            jest.spyOn(AuthSession, 'findById').mockResolvedValue({
+                _id: sessionId,
+                user: userId,
+                isActive: false,
+                lastSeenAt: new Date()
+            });
+
+            const token = jwt.sign({ id: userId, sid: sessionId.toString() }, process.env.JWT_SECRET);
+            res = createResponse();
+            await protect(authorize(token), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: '会话已失效，请重新登录' }));
+            expect(next).not.toHaveBeenCalled();
+        } finally {
+            process.env.NODE_ENV = environment;
+        }
+    });
+
+    test('v1 登录通过会话服务签发令牌', async () => {
+        const user = new User({ username: 'legacy', email: 'legacy@test.com', password: 'password123' });
+        user.matchPassword = jest.fn().mockResolvedValue(true);
+        jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+        const createSession = jest.spyOn(sessionService, 'createSession').mockResolvedValue({
+            session: { _id: sessionId, expiresAt: new Date(Date.now() + 60000) },
+            refreshToken: 'refresh'
+        });
+
+        const res = createResponse();
+        const req = { body: { email: 'legacy@test.com', password: 'password123' } };
+        await authController.login(req, res, jest.fn());
+
+        expect(createSession).toHaveBeenCalledWith(user, req);
+        const { token, refreshToken } = res.json.mock.calls[0][0];
+        expect(jwt.decode(token).sid).toBe(sessionId.toString());
+        expect(refreshToken).toBe('refresh');
+    });
+});
@@ -58,9 +58,9 @@ jest.mock('../src/services/advancedVoiceTranslationService', () => {
             confidence: 0.9
         }),
         getServiceStatus: jest.fn().mockReturnValue({
-            azureConfigured: false,
-            googleConfigured: false,
-            baiduConfigured: false,
+            speechRecognitionAvailable: false,
+            translationAvailable: false,
+            textToSpeechAvailable: false,
             cacheSize: { translation: 0, speech: 0 },
             supportedLanguages: 2
         }),
@@ -123,9 +123,9 @@ global.createTestUser = async (userData = {}) => {
     return user;
 };
 
-// 生成JWT token辅助函数
-global.generateAuthToken = (userId) => {
+// 生成JWT token辅助函数（访问令牌必须绑定会话）
+global.generateAuthToken = (userId, sessionId = new mongoose.Types.ObjectId()) => {
     const jwt = require('jsonwebtoken');
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    return jwt.sign({ id: userId, sid: String(sessionId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
 };
 
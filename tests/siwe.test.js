@@ -0,0 +1,160 @@
+const { ethers } = require('ethers');
+
+jest.mock('../src/models/WalletNonce', () => ({
+    create: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+// 避免加载时连接区块链节点，只保留地址校验
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn().mockImplementation(() => ({
+    isValidAddress: address => require('ethers').ethers.isAddress(address)
+})));
+
+const express = require('express');
+const request = require('supertest');
+const WalletNonce = require('../src/models/WalletNonce');
+const siweService = require('../src/services/siweService');
+const errorHandler = require('../src/middleware/error');
+const authRoutes = require('../src/routes/enhancedAuth');
+
+describe('Sign-In with Ethereum Tests', () => {
+    const wallet = ethers.Wallet.createRandom();
+    let issued;
+
+    beforeEach(async () => {
+        process.env.SIWE_DOMAIN = 'app.culturebridge.test';
+        delete process.env.SIWE_URI;
+        process.env.SIWE_CHAIN_ID = '97';
+
+        WalletNonce.create.mockImplementation(async (doc) => doc);
+        issued = await siweService.issueNonce(wallet.address.toLowerCase());
+
+        const record = WalletNonce.create.mock.calls[0][0];
+        WalletNonce.findOneAndUpdate.mockResolvedValue({ ...record, address: record.address.toLowerCase() });
+    });
+
+    describe('消息格式', () => {
+        test('签发的消息应该可以被解析', () => {
+            const fields = siweService.parseMessage(issued.message);
+
+            expect(fields.domain).toBe('app.culturebridge.test');
+            expect(fields.address).toBe(wallet.address);
+            expect(fields.uri).toBe('https://app.culturebridge.test');
+            expect(fields.version).toBe('1');
+            expect(fields.chainId).toBe(97);
+            expect(fields.nonce).toBe(issued.nonce);
+            expect(fields.expirationTime).toBeDefined();
+        });
+
+        test('应该能够解析不带声明的消息', () => {
+            const message = siweService.buildMessage({
+                domain: 'example.com',
+                address: wallet.address,
+                uri: 'https://example.com',
+                chainId: 1,
+                nonce: 'abcdef1234',
+                issuedAt: new Date().toISOString(),
+                resources: ['https://example.com/terms']
+            });
+            const fields = siweService.parseMessage(message);
+
+            expect(fields.statement).toBeUndefined();
+            expect(fields.resources).toEqual(['https://example.com/terms']);
+        });
+
+        test('应该拒绝格式错误的消息', () => {
+            expect(() => siweService.parseMessage('hello')).toThrow();
+            expect(() => siweService.parseMessage(issued.message.replace('Version: 1', 'Version: 2'))).toThrow();
+            expect(() => siweService.parseMessage(`${issued.message}\nExtra: value`)).toThrow();
+        });
+    });
+
+    describe('签名校验', () => {
+        test('应该接受有效签名并消耗随机数', async () => {
+            const signature = await wallet.signMessage(issued.message);
+            const result = await siweService.verify({ message: issued.message, signature });
+
+            expect(result.valid).toBe(true);
+            expect(result.address).toBe(wallet.address);
+            expect(WalletNonce.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ nonce: issued.nonce, usedAt: { $exists: false } }),
+                expect.any(Object),
+                expect.any(Object)
+            );
+        });
+
+        test('应该拒绝已使用的随机数', async () => {
+            WalletNonce.findOneAndUpdate.mockResolvedValue(null);
+            const signature = await wallet.signMessage(issued.message);
+            const result = await siweService.verify({ message: issued.message, signature });
+
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain('随机数');
+        });
+
+        test('应该拒绝其他钱包的签名', async () => {
+            const other = ethers.Wallet.createRandom();
+            const signature = await other.signMessage(issued.message);
+            const result = await siweService.verify({ message: issued.message, signature });
+
+            expect(result.valid).toBe(false);
+            expect(WalletNonce.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        test('应该拒绝域名或链ID不匹配的消息', async () => {
+            const signature = await wallet.signMessage(issued.message);
+
+            process.env.SIWE_DOMAIN = 'evil.example';
+            expect((await siweService.verify({ message: issued.message, signature })).error).toBe('域名不匹配');
+
+            process.env.SIWE_DOMAIN = 'app.culturebridge.test';
+
+            process.env.SIWE_CHAIN_ID = '56';
+            expect((await siweService.verify({ message: issued.message, signature })).error).toBe('链ID不匹配');
+        });
+
+        test('应该拒绝过期的消息', () => {
+            const fields = siweService.parseMessage(issued.message);
+            const config = siweService.getConfig();
+            const later = Date.parse(fields.expirationTime) + 1000;
+
+            expect(siweService.validateFields(fields, config, undefined, later)).toBe('消息已过期');
+        });
+    });
+
+    describe('域名配置', () => {
+        test('未配置 SIWE_DOMAIN 时拒绝签发和校验消息', async () => {
+            const signature = await wallet.signMessage(issued.message);
+            delete process.env.SIWE_DOMAIN;
+
+            expect(() => siweService.assertConfigured()).toThrow('SIWE_DOMAIN');
+            await expect(siweService.issueNonce(wallet.address)).rejects.toThrow('SIWE_DOMAIN');
+            await expect(siweService.verify({ message: issued.message, signature })).rejects.toThrow('SIWE_DOMAIN');
+            expect(WalletNonce.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('钱包登录限流', () => {
+        test('同一IP按钱包地址限制获取随机数和提交签名的次数', async () => {
+            const app = express();
+            app.use(express.json());
+            app.use('/api/v2/auth', authRoutes);
+            app.use(errorHandler);
+
+            const address = ethers.Wallet.createRandom().address;
+            for (let i = 0; i < 10; i++) {
+                await request(app).get('/api/v2/auth/wallet-nonce').query({ address }).expect(200);
+            }
+            const limited = await request(app).get('/api/v2/auth/wallet-nonce').query({ address }).expect(429);
+            expect(limited.body.error).toBe('钱包登录尝试次数过多，请15分钟后再试');
+
+            // 签名消息中的地址与获取随机数的地址共用计数
+            const message = issued.message.replace(wallet.address, address);
+            await request(app).post('/api/v2/auth/wallet-login').send({ message, signature: '0x00' }).expect(429);
+
+            // 其他地址不受影响
+            const other = ethers.Wallet.createRandom().address;
+            await request(app).get('/api/v2/auth/wallet-nonce').query({ address: other }).expect(200);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const TranslationMemory = require('../src/models/TranslationMemory');
+const translationMemoryService = require('../src/services/translationMemoryService');
+const glossaryService = require('../src/services/glossaryService');
+const languageProviderRegistry = require('../src/services/languageProviderRegistry');
+const EnhancedTranslationService = require('../src/services/enhancedTranslationService');
+
+const { normalizeLanguage, matchScore } = translationMemoryService;
+
+describe('Translation Memory Tests', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    const segment = (sourceText, targetText, origin, fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        sourceLanguage: 'zh-CN',
+        targetLanguage: 'en',
+        sourceText,
+        targetText,
+        origin,
+        usageCount: 0,
+        createdAt: new Date('2026-01-02T03:04:05Z'),
+        updatedAt: new Date('2026-01-02T03:04:05Z'),
+        ...fields
+    });
+
+    // 第一次 find 为完全匹配（find().lean()），第二次为模糊匹配候选（find().sort().limit().select().lean()）
+    const mockSegments = (exact, candidates = []) => jest.spyOn(TranslationMemory, 'find')
+        .mockReturnValueOnce({ lean: async () => exact })
+        .mockReturnValueOnce({
+            sort: () => ({ limit: () => ({ select: () => ({ lean: async () => candidates }) }) })
+        });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(glossaryService, 'resolveEntries').mockResolvedValue([]);
+        translationMemoryService.stats = translationMemoryService.createCounters();
+        translationMemoryService.userStats.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('语言代码归一化，匹配度按编辑距离计算且只有完全匹配为100', () => {
+        expect(normalizeLanguage('en-US')).toBe('en');
+        expect(normalizeLanguage('zh')).toBe('zh-CN');
+        expect(normalizeLanguage('zh-Hant-HK')).toBe('zh-TW');
+
+        expect(matchScore('我们明天去看龙舟比赛', '我们后天去看龙舟比赛')).toBe(90);
+        expect(matchScore('Hello  World', 'hello world')).toBe(99);
+        expect(matchScore('春节', 'Christmas')).toBe(0);
+    });
+
+    test('完全匹配优先人工译文，模糊匹配只返回达到阈值的人工译文', async () => {
+        const find = mockSegments(
+            [segment('我们明天去看龙舟比赛', 'machine', 'machine'), segment('我们明天去看龙舟比赛', 'human', 'human')],
+            [
+                segment('我们后天去看龙舟比赛', 'We will watch the dragon boat race the day after tomorrow', 'import'),
+                segment('我们明天去看龙舟', 'We will see the dragon boats tomorrow', 'human'),
+                segment('今天下雨', 'It rains today', 'human')
+            ]
+        );
+
+        const result = await translationMemoryService.lookup(' 我们明天去看龙舟比赛 ', 'zh', 'en-US');
+
+        expect(result.exact).toEqual(expect.objectContaining({ targetText: 'human', origin: 'human', score: 100 }));
+        expect(result.matches.map(match => [match.origin, match.score])).toEqual([['import', 90], ['human', 80]]);
+        expect(find.mock.calls[0][0]).toEqual(expect.objectContaining({ sourceLanguage: 'zh-CN', targetLanguage: 'en' }));
+        expect(find.mock.calls[1][0]).toEqual(expect.objectContaining({
+            origin: { $in: ['human', 'import'] },
+            sourceLength: { $gte: 8, $lte: 13 }
+        }));
+
+        // 数据库不可用时按未命中处理
+        find.mockImplementationOnce(() => {
+            throw new Error('connection refused');
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(await translationMemoryService.lookup('你好', 'zh', 'en')).toEqual({ exact: null, matches: [] });
+        expect(await translationMemoryService.lookup('你好', 'auto', 'en')).toEqual({ exact: null, matches: [] });
+    });
+
+    test('translateText 完全匹配时不调用翻译服务，未命中时翻译并写入翻译记忆', async () => {
+        const service = new EnhancedTranslationService();
+        const translate = jest.spyOn(languageProviderRegistry, 'translate').mockResolvedValue({ text: 'Happy New Year', provider: 'azure' });
+        const markUsed = jest.spyOn(translationMemoryService, 'markUsed').mockResolvedValue();
+        const store = jest.spyOn(translationMemoryService, 'store').mockResolvedValue(null);
+        const human = segment('新年快乐', 'Happy Spring Festival', 'human');
+        const lookup = jest.spyOn(translationMemoryService, 'lookup').mockResolvedValueOnce({
+            exact: { id: human._id, sourceText: human.sourceText, targetText: human.targetText, origin: 'human', score: 100 },
+            matches: []
+        });
+
+        const hit = await service.translateText('新年快乐', 'zh-CN', 'en', userId);
+
+        expect(translate).not.toHaveBeenCalled();
+        expect(markUsed).toHaveBeenCalledWith(human._id);
+        expect(hit.data.translatedText).toBe('Happy Spring Festival');
+        expect(hit.data.translationMemory).toEqual(expect.objectContaining({
+            match: 'exact',
+            segment: expect.objectContaining({ origin: 'human', score: 100 }),
+            suggestions: []
+        }));
+
+        const suggestion = { id: 'tm1', sourceText: '新年快乐呀', targetText: 'Happy new year!', origin: 'human', score: 80 };
+        lookup.mockResolvedValueOnce({ exact: null, matches: [suggestion] });
+        const miss = await service.translateText('新年快乐', 'zh-CN', 'en', userId);
+
+        expect(translate).toHaveBeenCalledWith('新年快乐', 'zh-CN', 'en');
+        expect(store).toHaveBeenCalledWith('新年快乐', 'Happy New Year', 'zh-CN', 'en', { userId });
+        expect(miss.data.translationMemory).toEqual({ match: 'fuzzy', segment: null, suggestions: [suggestion] });
+
+        // 关闭翻译记忆时不查询也不计数
+        lookup.mockClear();
+        await service.translateText('新年快乐', 'zh-CN', 'en', userId, { translationMemory: false });
+        expect(lookup).not.toHaveBeenCalled();
+
+        jest.spyOn(TranslationMemory, 'aggregate').mockResolvedValue([{ _id: 'machine', count: 5 }, { _id: 'human', count: 2 }]);
+        const stats = await service.getTranslationStats(userId);
+        expect(stats.data.translationMemory.segments).toEqual({ total: 7, machine: 5, human: 2, import: 0 });
+        expect(stats.data.translationMemory.user).toEqual({ lookups: 2, exactHits: 1, fuzzyHits: 1, misses: 0, hitRate: 1 });
+    });
+
+    test('含术语表术语的文本不复用机器译文', async () => {
+        const service = new EnhancedTranslationService();
+        glossaryService.resolveEntries.mockResolvedValue([
+            { glossary: 'g1', scope: 'personal', source: '春节', target: 'Spring Festival', caseSensitive: false }
+        ]);
+        jest.spyOn(translationMemoryService, 'lookup').mockResolvedValue({
+            exact: { id: 'tm1', sourceText: '春节', targetText: 'Chinese New Year', origin: 'machine', score: 100 },
+            matches: []
+        });
+        const store = jest.spyOn(translationMemoryService, 'store').mockResolvedValue(null);
+        jest.spyOn(languageProviderRegistry, 'translate').mockImplementation(async (text) => ({ text }));
+
+        const result = await service.translateText('春节', 'zh-CN', 'en', userId);
+
+        expect(result.data.translatedText).toBe('Spring Festival');
+        expect(result.data.translationMemory.match).toBe('none');
+        expect(store).not.toHaveBeenCalled();
+    });
+
+    test('导入TMX时按源语言生成到各目标语言的片段，忽略缺少译文的翻译单元', async () => {
+        const bulkWrite = jest.spyOn(TranslationMemory, 'bulkWrite').mockResolvedValue({ upsertedCount: 3, matchedCount: 1 });
+        const tmx = `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header srclang="zh-CN" datatype="plaintext" segtype="sentence" adminlang="en" o-tmf="test" creationtool="test" creationtoolversion="1"/>
+  <body>
+    <tu><tuv xml:lang="zh-CN"><seg>吃<bpt i="1">&lt;b&gt;</bpt>饺子<ept i="1">&lt;/b&gt;</ept></seg></tuv>
+      <tuv xml:lang="en-US"><seg>Eat dumplings</seg></tuv>
+      <tuv xml:lang="ja-JP"><seg>餃子を食べる</seg></tuv></tu>
+    <tu><tuv lang="ZH-CN"><seg>舞龙 &amp; 舞狮</seg></tuv><tuv lang="EN"><seg>Dragon &amp; lion dance</seg></tuv></tu>
+    <tu><tuv xml:lang="zh-CN"><seg>没有译文</seg></tuv></tu>
+  </body>
+</tmx>`;
+
+        const result = await translationMemoryService.importTmx(tmx, { userId });
+
+        expect(result).toEqual({ status: 'imported', added: 3, updated: 1, skipped: 1 });
+        const operations = bulkWrite.mock.calls[0][0].map(operation => operation.updateOne);
+        expect(operations.map(operation => [operation.filter.targetLanguage, operation.update.$set.sourceText, operation.update.$set.targetText]))
+            .toEqual([
+                ['en', '吃饺子', 'Eat dumplings'],
+                ['ja', '吃饺子', '餃子を食べる'],
+                ['en', '舞龙 & 舞狮', 'Dragon & lion dance']
+            ]);
+        expect(operations[0].filter.origin).toBe('import');
+        expect(operations[0].upsert).toBe(true);
+
+        expect((await translationMemoryService.importTmx(tmx.replace('srclang="zh-CN"', 'srclang="*all*"'))).status).toBe('invalid_language');
+        expect((await translationMemoryService.importTmx('source,target')).status).toBe('invalid_file');
+    });
+
+    test('导出TMX 1.4，默认只导出人工校对和导入的片段，导出文件可以重新导入', async () => {
+        const find = jest.spyOn(TranslationMemory, 'find').mockReturnValue({
+            sort: () => ({ limit: () => ({ lean: async () => [segment('月饼 <甜>', 'Mooncake <sweet>', 'human', { usageCount: 4 })] }) })
+        });
+
+        const file = await translationMemoryService.exportTmx({ sourceLanguage: 'zh', targetLanguage: 'en-GB' });
+
+        expect(find).toHaveBeenCalledWith({ sourceLanguage: 'zh-CN', targetLanguage: 'en', origin: { $in: ['human', 'import'] } });
+        expect(file.fileName).toBe('translation-memory_zh-CN_en.tmx');
+        expect(file.content).toContain('srclang="zh-CN"');
+        expect(file.content).toContain('creationdate="20260102T030405Z"');
+        expect(file.content).toContain('<tuv xml:lang="en"><seg>Mooncake &lt;sweet&gt;</seg></tuv>');
+
+        const bulkWrite = jest.spyOn(TranslationMemory, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, matchedCount: 0 });
+        await translationMemoryService.importTmx(file.content);
+        expect(bulkWrite.mock.calls[0][0][0].updateOne.update.$set).toEqual(expect.objectContaining({
+            sourceText: '月饼 <甜>',
+            targetText: 'Mooncake <sweet>'
+        }));
+    });
+});
@@ -0,0 +1,403 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const TranslationReview = require('../src/models/TranslationReview');
+const ChatMessage = require('../src/models/ChatMessage');
+const ChatRoom = require('../src/models/ChatRoom');
+const VoiceTranslation = require('../src/models/VoiceTranslation');
+const translationReviewService = require('../src/services/translationReviewService');
+const translationMemoryService = require('../src/services/translationMemoryService');
+const notificationService = require('../src/services/notificationService');
+const glossaryService = require('../src/services/glossaryService');
+const languageProviderRegistry = require('../src/services/languageProviderRegistry');
+const EnhancedTranslationService = require('../src/services/enhancedTranslationService');
+
+describe('Translation Review Tests', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // 默认为注册满60天的账户
+    const reviewer = (code = 'en', proficiency = 'fluent', createdAt = new Date(Date.now() - 60 * DAY_MS)) => {
+        const id = new mongoose.Types.ObjectId();
+        return {
+            _id: id,
+            id: id.toString(),
+            role: 'user',
+            createdAt,
+            languages: { native: [{ code: 'zh-CN', name: '中文' }], learning: [{ code, name: code, proficiency }] }
+        };
+    };
+    const moderator = () => ({ ...reviewer(), role: 'moderator' });
+
+    const submitter = reviewer();
+    const room = new ChatRoom({ name: '春节交流', creator: submitter._id, participants: [{ user: submitter._id }] });
+
+    const createMessage = () => {
+        const message = new ChatMessage({
+            chatRoom: room._id,
+            sender: submitter._id,
+            content: { text: '我们明天去看  龙舟比赛', detectedLanguage: 'zh-CN' },
+            translations: [{ language: 'en-US', text: 'We go see dragon boat game tomorrow', confidence: 0.7 }]
+        });
+        message.save = jest.fn().mockResolvedValue(message);
+        return message;
+    };
+
+    const createReview = (fields = {}) => new TranslationReview({
+        target: { kind: 'chat_message', id: new mongoose.Types.ObjectId(), field: 'text' },
+        chatRoom: room._id,
+        sourceLanguage: 'zh-CN',
+        targetLanguage: 'en',
+        sourceText: '我们明天去看 龙舟比赛',
+        machineText: 'We go see dragon boat game tomorrow',
+        submittedBy: submitter._id,
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(TranslationReview.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(TranslationReview, 'findOne').mockResolvedValue(null);
+        jest.spyOn(ChatRoom, 'findById').mockResolvedValue(room);
+        // 奖励检查：当天没有已发放的奖励，没有互相投票
+        jest.spyOn(TranslationReview, 'find').mockReturnValue({ select: async () => [] });
+        jest.spyOn(TranslationReview, 'aggregate').mockResolvedValue([]);
+        jest.spyOn(TranslationReview, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('只掌握一种语言或学习程度不足时不能参与校对', () => {
+        expect(translationReviewService.isBilingual(reviewer('en-GB'), 'zh-CN', 'en')).toBe(true);
+        expect(translationReviewService.isBilingual(reviewer('en', 'intermediate'), 'zh-CN', 'en')).toBe(false);
+        expect(translationReviewService.isBilingual(reviewer('ja'), 'zh-TW', 'en')).toBe(false);
+    });
+
+    test('聊天室成员提交聊天消息译文校对，非成员无权提交', async () => {
+        const message = createMessage();
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+
+        const result = await translationReviewService.submit(submitter, {
+            type: 'chat_message',
+            id: message._id.toString(),
+            targetLanguage: 'en-US',
+            reason: '语法不通顺',
+            text: 'We will watch the dragon boat race tomorrow'
+        });
+
+        expect(result.status).toBe('created');
+        expect(result.review).toEqual(expect.objectContaining({
+            chatRoom: room._id,
+            public: false,
+            sourceLanguage: 'zh-CN',
+            targetLanguage: 'en',
+            sourceText: '我们明天去看 龙舟比赛',
+            machineText: 'We go see dragon boat game tomorrow'
+        }));
+        expect(result.review.edits).toHaveLength(1);
+        expect(TranslationReview.findOne).toHaveBeenCalledWith(expect.objectContaining({
+            'target.kind': 'chat_message',
+            status: { $in: ['open', 'approved'] }
+        }));
+
+        const outsider = reviewer();
+        expect((await translationReviewService.submit(outsider, {
+            type: 'chat_message',
+            id: message._id.toString(),
+            targetLanguage: 'en'
+        })).status).toBe('forbidden');
+
+        expect((await translationReviewService.submit(submitter, {
+            type: 'chat_message',
+            id: message._id.toString(),
+            targetLanguage: 'ja'
+        })).status).toBe('no_translation');
+
+        // 已有进行中的校对时返回该校对
+        TranslationReview.findOne.mockResolvedValue(result.review);
+        expect((await translationReviewService.submit(submitter, {
+            type: 'chat_message',
+            id: message._id.toString(),
+            targetLanguage: 'en'
+        })).status).toBe('exists');
+    });
+
+    test('被封禁的成员不能提交或查看聊天室中的校对', async () => {
+        const banned = reviewer();
+        const bannedRoom = new ChatRoom({
+            name: '春节交流',
+            creator: submitter._id,
+            participants: [{ user: submitter._id }, { user: banned._id, status: 'BANNED' }]
+        });
+        ChatRoom.findById.mockResolvedValue(bannedRoom);
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(createMessage());
+
+        expect((await translationReviewService.submit(banned, {
+            type: 'chat_message',
+            id: new mongoose.Types.ObjectId().toString(),
+            targetLanguage: 'en'
+        })).status).toBe('forbidden');
+
+        const distinct = jest.fn().mockResolvedValue([]);
+        const findRooms = jest.spyOn(ChatRoom, 'find').mockReturnValue({ distinct });
+        TranslationReview.find.mockReturnValue({ populate: () => ({ sort: () => ({ skip: () => ({ limit: async () => [] }) }) }) });
+        jest.spyOn(TranslationReview, 'countDocuments').mockResolvedValue(0);
+
+        expect((await translationReviewService.list(banned)).status).toBe('ok');
+        expect(findRooms).toHaveBeenCalledWith({
+            participants: {
+                $elemMatch: {
+                    user: banned._id,
+                    $or: [{ status: { $ne: 'BANNED' } }, { banUntil: { $lte: expect.any(Date) } }]
+                }
+            }
+        });
+    });
+
+    test('语音翻译所有者提交校对时记录评分，源语言为自动检测时需要指定', async () => {
+        const voice = new VoiceTranslation({
+            user: submitter._id,
+            originalText: '新年快乐',
+            originalLanguage: 'auto',
+            translations: [{ language: 'en', text: 'New year fast happy' }]
+        });
+        voice.save = jest.fn().mockResolvedValue(voice);
+        jest.spyOn(VoiceTranslation, 'findById').mockResolvedValue(voice);
+
+        const request = { type: 'voice_translation', id: voice._id.toString(), targetLanguage: 'en', rating: 2, reason: '直译' };
+        expect((await translationReviewService.submit(submitter, request)).status).toBe('invalid_language');
+
+        const result = await translationReviewService.submit(submitter, { ...request, sourceLanguage: 'zh' });
+
+        expect(result.status).toBe('created');
+        expect(result.review.public).toBe(false);
+        expect(voice.qualityScore.userRating).toBe(2);
+        expect(voice.qualityScore.userFeedback).toBe('直译');
+
+        // 他人的私有语音翻译不可见
+        expect((await translationReviewService.submit(reviewer(), { ...request, sourceLanguage: 'zh' })).status).toBe('forbidden');
+    });
+
+    test('修改建议去重，作者不能给自己投票，投票结果不公开投票人', async () => {
+        const review = createReview();
+        const author = reviewer();
+        const voter = reviewer();
+
+        expect((await translationReviewService.proposeEdit(reviewer('fr'), review, 'We will watch')).status).toBe('not_bilingual');
+        expect((await translationReviewService.proposeEdit(author, review, ' We go see dragon boat  game tomorrow ')).status).toBe('unchanged');
+
+        await translationReviewService.proposeEdit(author, review, 'We will watch the race');
+        expect((await translationReviewService.proposeEdit(voter, review, 'We will watch the race')).status).toBe('duplicate');
+
+        // 重新提交替换自己的修改
+        await translationReviewService.proposeEdit(author, review, 'We will watch the dragon boat race tomorrow');
+        expect(review.edits).toHaveLength(1);
+
+        const editId = review.edits[0]._id.toString();
+        expect((await translationReviewService.vote(author, review, editId, 1)).status).toBe('own_edit');
+        expect((await translationReviewService.vote(voter, review, editId, 2)).status).toBe('invalid_vote');
+
+        await translationReviewService.vote(voter, review, editId, -1);
+        const result = await translationReviewService.vote(voter, review, editId, 1);
+
+        expect(result.status).toBe('voted');
+        expect(review.edits[0].score).toBe(1);
+        const data = translationReviewService.formatReview(review, voter._id);
+        expect(data.edits[0]).toEqual(expect.objectContaining({ score: 1, myVote: 1 }));
+        expect(data.edits[0].votes).toBeUndefined();
+    });
+
+    test('注册不满期限且未验证的账户不能提出修改、投票或提交帖子校对', async () => {
+        const review = createReview();
+        const author = reviewer();
+        await translationReviewService.proposeEdit(author, review, 'We will watch the race');
+        const editId = review.edits[0]._id.toString();
+
+        const newcomer = reviewer('en', 'native', new Date());
+        expect((await translationReviewService.proposeEdit(newcomer, review, 'We watch the race')).status).toBe('untrusted');
+        expect((await translationReviewService.vote(newcomer, review, editId, 1)).status).toBe('untrusted');
+        expect((await translationReviewService.submit(newcomer, {
+            type: 'post',
+            id: new mongoose.Types.ObjectId().toString(),
+            targetLanguage: 'en',
+            machineText: 'anything'
+        })).status).toBe('untrusted');
+
+        // 已验证邮箱或手机的新账户可以参与
+        const verified = { ...newcomer, isContactVerified: true };
+        expect((await translationReviewService.vote(verified, review, editId, 1)).status).toBe('voted');
+        expect(review.edits[0].score).toBe(1);
+    });
+
+    test('净赞成票达到阈值时经社区通过，版主确认后写回译文、保存人工翻译记忆并发放奖励', async () => {
+        const message = createMessage();
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+        const store = jest.spyOn(translationMemoryService, 'store').mockResolvedValue(null);
+        const reward = jest.spyOn(translationReviewService.tokenRewardService, 'rewardCommunityContribution').mockResolvedValue({});
+        const notify = jest.spyOn(notificationService, 'notify').mockResolvedValue(null);
+
+        const review = createReview({ target: { kind: 'chat_message', id: message._id, field: 'text' } });
+        const author = reviewer();
+        const other = reviewer();
+        await translationReviewService.proposeEdit(author, review, 'We will watch the dragon boat race tomorrow');
+        await translationReviewService.proposeEdit(other, review, 'Tomorrow we watch the dragon boat race');
+        const [edit, otherEdit] = review.edits;
+
+        let result;
+        for (let i = 0; i < translationReviewService.acceptVotes; i++) {
+            result = await translationReviewService.vote(reviewer(), review, edit._id.toString(), 1);
+        }
+
+        expect(result.status).toBe('approved');
+        expect(review.status).toBe('approved');
+        expect(review.acceptedEdit).toEqual(edit._id);
+        expect(otherEdit.status).toBe('rejected');
+        expect((await translationReviewService.vote(reviewer(), review, otherEdit._id.toString(), 1)).status).toBe('closed');
+
+        // 社区通过时还没有写回译文和翻译记忆
+        expect(store).not.toHaveBeenCalled();
+        expect(message.save).not.toHaveBeenCalled();
+
+        // 提交者不能确认，也不能关闭等待确认的校对
+        expect((await translationReviewService.confirm(submitter, review)).status).toBe('forbidden');
+        expect((await translationReviewService.close(submitter, review)).status).toBe('forbidden');
+
+        const confirmer = moderator();
+        // 版主不在聊天室中也能查看等待确认的校对
+        jest.spyOn(TranslationReview, 'findById').mockResolvedValue(review);
+        expect((await translationReviewService.findForUser(confirmer, review._id.toString())).status).toBe('ok');
+
+        result = await translationReviewService.confirm(confirmer, review);
+
+        expect(result.status).toBe('accepted');
+        expect(review.status).toBe('accepted');
+        expect(review.confirmedBy).toEqual(confirmer._id);
+        expect(edit.status).toBe('accepted');
+
+        const translation = message.getTranslation('en-US');
+        expect(translation.text).toBe('We will watch the dragon boat race tomorrow');
+        expect(translation.confidence).toBe(1);
+        expect(translation.review).toEqual(review._id);
+
+        expect(store).toHaveBeenCalledWith('我们明天去看 龙舟比赛', 'We will watch the dragon boat race tomorrow', 'zh-CN', 'en', {
+            origin: 'human',
+            userId: author._id
+        });
+        expect(reward).toHaveBeenCalledWith('translation_correction', author._id, { review: review._id });
+        expect(review.reward).toEqual(expect.objectContaining({ user: author._id, status: 'granted' }));
+        expect(TranslationReview.updateOne).toHaveBeenCalledWith({ _id: review._id }, { $set: { reward: review.reward } });
+        expect(notify).toHaveBeenCalledWith(expect.objectContaining({ user: author._id, type: 'REWARD' }));
+
+        expect((await translationReviewService.confirm(confirmer, review)).status).toBe('not_approved');
+    });
+
+    test('版主关闭等待确认的校对时否决社区通过的修改', async () => {
+        const review = createReview();
+        await translationReviewService.proposeEdit(reviewer(), review, 'We will watch the race');
+        const [edit] = review.edits;
+        for (let i = 0; i < translationReviewService.acceptVotes; i++) {
+            await translationReviewService.vote(reviewer(), review, edit._id.toString(), 1);
+        }
+
+        const result = await translationReviewService.close(moderator(), review);
+
+        expect(result.status).toBe('closed');
+        expect(edit.status).toBe('rejected');
+        expect((await translationReviewService.confirm(moderator(), review)).status).toBe('not_approved');
+    });
+
+    test('同一原文当天重复修改或超出每日次数时不发放奖励', async () => {
+        const reward = jest.spyOn(translationReviewService.tokenRewardService, 'rewardCommunityContribution').mockResolvedValue({});
+        const author = reviewer();
+        const review = createReview();
+        const edit = {
+            author: author._id,
+            votes: [reviewer(), reviewer(), reviewer()].map(voter => ({ user: voter._id, value: 1 }))
+        };
+
+        TranslationReview.find.mockReturnValue({
+            select: async () => [{ sourceText: review.sourceText, targetLanguage: review.targetLanguage }]
+        });
+        await translationReviewService.grantReward(review, edit);
+        expect(review.reward).toEqual(expect.objectContaining({ status: 'withheld', reason: 'duplicate' }));
+
+        const others = Array.from({ length: translationReviewService.maxDailyRewards }, (_, index) => ({
+            sourceText: `原文${index}`,
+            targetLanguage: 'en'
+        }));
+        TranslationReview.find.mockReturnValue({ select: async () => others });
+        await translationReviewService.grantReward(review, edit);
+        expect(review.reward).toEqual(expect.objectContaining({ status: 'withheld', reason: 'daily_limit' }));
+        expect(TranslationReview.find).toHaveBeenCalledWith(expect.objectContaining({
+            'reward.user': author._id,
+            'reward.status': 'granted'
+        }));
+
+        expect(reward).not.toHaveBeenCalled();
+    });
+
+    test('去掉互相投票的赞成票后净赞成票不足时不发放奖励', async () => {
+        const reward = jest.spyOn(translationReviewService.tokenRewardService, 'rewardCommunityContribution').mockResolvedValue({});
+        const author = reviewer();
+        const [friend, partner, stranger] = [reviewer(), reviewer(), reviewer()];
+        const review = createReview();
+        const edit = {
+            author: author._id,
+            votes: [friend, partner, stranger].map(voter => ({ user: voter._id, value: 1 }))
+        };
+
+        // friend 与修改者互相投过多次赞成票；partner 只单方面支持修改者
+        TranslationReview.aggregate.mockImplementation(async ([match]) => {
+            const [authorId] = match.$match['edits.author'].$in;
+            if (authorId.equals(author._id)) {
+                return [friend, partner].map(voter => ({ _id: { author: author._id, voter: voter._id }, count: 3 }));
+            }
+            return [{ _id: { author: friend._id, voter: author._id }, count: 2 }];
+        });
+
+        await translationReviewService.grantReward(review, edit);
+
+        expect(review.reward).toEqual(expect.objectContaining({ status: 'withheld', reason: 'reciprocal_votes' }));
+        expect(reward).not.toHaveBeenCalled();
+        expect([...await translationReviewService.findReciprocalVoters(author._id, [friend._id, partner._id, stranger._id])])
+            .toEqual([friend.id]);
+    });
+
+    test('原文已修改时不写回译文，但仍保存翻译记忆', async () => {
+        const message = createMessage();
+        message.content.text = '我们后天去看龙舟比赛';
+        jest.spyOn(ChatMessage, 'findById').mockResolvedValue(message);
+        const store = jest.spyOn(translationMemoryService, 'store').mockResolvedValue(null);
+        jest.spyOn(translationReviewService.tokenRewardService, 'rewardCommunityContribution').mockRejectedValue(new Error('超出每日奖励限制'));
+        jest.spyOn(notificationService, 'notify').mockResolvedValue(null);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const review = createReview({ target: { kind: 'chat_message', id: message._id, field: 'text' } });
+        const edit = { _id: new mongoose.Types.ObjectId(), text: 'We will watch the dragon boat race tomorrow', author: submitter._id };
+
+        await translationReviewService.applyCorrection(review, edit);
+
+        expect(message.save).not.toHaveBeenCalled();
+        expect(message.getTranslation('en-US').text).toBe('We go see dragon boat game tomorrow');
+        expect(store).toHaveBeenCalled();
+    });
+
+    test('复用人工校对的翻译记忆时质量分数为1', async () => {
+        const service = new EnhancedTranslationService();
+        jest.spyOn(glossaryService, 'resolveEntries').mockResolvedValue([]);
+        jest.spyOn(translationMemoryService, 'markUsed').mockResolvedValue();
+        jest.spyOn(languageProviderRegistry, 'translate').mockResolvedValue({ text: 'Happy new year' });
+        jest.spyOn(translationMemoryService, 'lookup').mockResolvedValue({
+            exact: { id: 'tm1', sourceText: '新年快乐', targetText: 'Happy Chinese New Year', origin: 'human', score: 100 },
+            matches: []
+        });
+
+        const result = await service.translateText('新年快乐', 'zh-CN', 'en');
+
+        expect(result.data.qualityScore).toBe(1);
+    });
+});
@@ -0,0 +1,162 @@
+// 避免加载时连接区块链节点
+jest.mock('../src/services/enhancedBlockchainService', () => jest.fn());
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const securityLogService = require('../src/services/securityLogService');
+const enhancedAuthController = require('../src/controllers/enhancedAuth');
+const { protect } = require('../src/middleware/auth');
+
+describe('Two-Factor Authentication Controller Tests', () => {
+    const { encryptionService } = enhancedAuthController;
+    let user;
+    let lastStep;
+    let storedRecoveryCodes;
+
+    const createResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    // 调用 asyncHandler 包装的控制器方法，返回 next 收到的错误
+    const call = async (handler, req) => {
+        const res = createResponse();
+        const next = jest.fn();
+        await handler(req, res, next);
+        return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        user = new User({ username: 'twofactor', email: 'twofactor@test.com', password: 'password123' });
+        user.save = jest.fn().mockResolvedValue(user);
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        jest.spyOn(securityLogService, 'record').mockResolvedValue(null);
+
+        // 模拟按时间步的条件更新和恢复码的条件移除
+        lastStep = null;
+        storedRecoveryCodes = [];
+        jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+            if (update.$pull) {
+                const hashed = update.$pull['security.twoFactorRecoveryCodes'];
+                if (!storedRecoveryCodes.includes(hashed)) return { modifiedCount: 0 };
+                storedRecoveryCodes = storedRecoveryCodes.filter(item => item !== hashed);
+                return { modifiedCount: 1 };
+            }
+            const step = update.$set['security.twoFactorLastStep'];
+            if (lastStep !== null && lastStep >= step) return { modifiedCount: 0 };
+            lastStep = step;
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const enable = async () => {
+        const { res } = await call(enhancedAuthController.enableTwoFactor, { user: { id: user.id } });
+        const { secret } = res.json.mock.calls[0][0].data;
+        await call(enhancedAuthController.confirmTwoFactor, {
+            user: { id: user.id },
+            body: { code: encryptionService.generateTOTP(secret) }
+        });
+        return secret;
+    };
+
+    test('启用两步验证：生成待确认密钥，提交正确验证码后启用并返回恢复码', async () => {
+        const { res } = await call(enhancedAuthController.enableTwoFactor, { user: { id: user.id } });
+
+        const { secret, otpauthUrl } = res.json.mock.calls[0][0].data;
+        expect(user.security.twoFactorPendingSecret).toBe(secret);
+        expect(otpauthUrl).toContain('otpauth://totp/');
+
+        const wrong = await call(enhancedAuthController.confirmTwoFactor, { user: { id: user.id }, body: { code: '000000' } });
+        expect(wrong.error.statusCode).toBe(401);
+        expect(user.security.twoFactorEnabled).toBe(false);
+
+        const confirmed = await call(enhancedAuthController.confirmTwoFactor, {
+            user: { id: user.id },
+            body: { code: encryptionService.generateTOTP(secret) }
+        });
+
+        expect(confirmed.error).toBeUndefined();
+        expect(user.security.twoFactorEnabled).toBe(true);
+        expect(user.security.twoFactorSecret).toBe(secret);
+        expect(user.security.twoFactorPendingSecret).toBeUndefined();
+        expect(confirmed.res.json.mock.calls[0][0].data.recoveryCodes).toHaveLength(10);
+        expect(user.security.twoFactorRecoveryCodes).toHaveLength(10);
+    });
+
+    test('登录挑战：正确验证码签发令牌，同一验证码不能重放', async () => {
+        const secret = await enable();
+        lastStep = null;
+
+        const challengeRes = createResponse();
+        enhancedAuthController.sendTwoFactorChallenge(user, challengeRes, 'password');
+        const { twoFactorToken, requiresTwoFactor } = challengeRes.json.mock.calls[0][0];
+        expect(requiresTwoFactor).toBe(true);
+
+        const sendTokenResponse = jest.spyOn(enhancedAuthController, 'sendTokenResponse').mockResolvedValue();
+        const code = encryptionService.generateTOTP(secret);
+
+        const login = await call(enhancedAuthController.verifyTwoFactorLogin, { body: { twoFactorToken, code } });
+        expect(login.error).toBeUndefined();
+        expect(sendTokenResponse).toHaveBeenCalledWith(user, 200, expect.anything(), expect.anything(),
+            expect.objectContaining({ twoFactorMethod: 'totp' }), false);
+
+        const replay = await call(enhancedAuthController.verifyTwoFactorLogin, { body: { twoFactorToken, code } });
+        expect(replay.error.statusCode).toBe(401);
+        expect(sendTokenResponse).toHaveBeenCalledTimes(1);
+        expect(User.updateOne).toHaveBeenLastCalledWith(
+            expect.objectContaining({ $or: expect.arrayContaining([{ 'security.twoFactorLastStep': { $lt: lastStep } }]) }),
+            expect.anything()
+        );
+
+        // 普通登录令牌不能代替挑战令牌
+        const sessionToken = jwt.sign({ id: user._id, sid: 'session' }, process.env.JWT_SECRET);
+        const wrongPurpose = await call(enhancedAuthController.verifyTwoFactorLogin, { body: { twoFactorToken: sessionToken, code } });
+        expect(wrongPurpose.error.statusCode).toBe(401);
+    });
+
+    test('恢复码只能使用一次，并发提交同一恢复码时只有一个请求成功', async () => {
+        await enable();
+        const [recoveryCode, otherCode] = encryptionService.generateRecoveryCodes(2);
+        const hashed = encryptionService.hashToken(recoveryCode);
+        storedRecoveryCodes = [hashed, encryptionService.hashToken(otherCode)];
+        user.security.twoFactorRecoveryCodes = [...storedRecoveryCodes];
+
+        const results = await Promise.all([
+            enhancedAuthController.verifyTwoFactorCode(user, recoveryCode.toUpperCase()),
+            enhancedAuthController.verifyTwoFactorCode(user, recoveryCode)
+        ]);
+
+        expect(results.sort()).toEqual(['recovery', null].sort());
+        expect(User.updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: user._id, 'security.twoFactorRecoveryCodes': hashed }),
+            { $pull: { 'security.twoFactorRecoveryCodes': hashed } }
+        );
+        expect(user.security.twoFactorRecoveryCodes).toEqual([encryptionService.hashToken(otherCode)]);
+        expect(user.isModified('security.twoFactorRecoveryCodes')).toBe(false);
+        expect(await enhancedAuthController.verifyTwoFactorCode(user, recoveryCode)).toBeNull();
+    });
+
+    test('两步验证挑战令牌不能作为登录凭证通过 protect', async () => {
+        const challengeRes = createResponse();
+        enhancedAuthController.sendTwoFactorChallenge({ _id: new mongoose.Types.ObjectId() }, challengeRes, 'password');
+        const { twoFactorToken } = challengeRes.json.mock.calls[0][0];
+
+        const req = { header: name => (name === 'Authorization' ? `Bearer ${twoFactorToken}` : undefined) };
+        const res = createResponse();
+        const next = jest.fn();
+
+        await protect(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(req.user).toBeUndefined();
+    });
+});
@@ -0,0 +1,129 @@
+jest.mock('../src/models/User', () => ({
+    findOne: jest.fn()
+}));
+
+jest.mock('../src/services/messageTransportService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ delivered: true }),
+    sendSms: jest.fn().mockResolvedValue({ delivered: true })
+}));
+
+const crypto = require('crypto');
+const User = require('../src/models/User');
+const messageTransportService = require('../src/services/messageTransportService');
+const verificationService = require('../src/services/verificationService');
+
+const createUser = () => ({
+    _id: 'user-1',
+    username: 'tester',
+    email: 'tester@example.com',
+    verification: {
+        email: { verified: false },
+        phone: { verified: false, attempts: 0 }
+    },
+    getEmailVerificationToken() {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.verification.email.token = crypto.createHash('sha256').update(token).digest('hex');
+        this.verification.email.expires = new Date(Date.now() + 60 * 60 * 1000);
+        this.verification.email.sentAt = new Date();
+        return token;
+    },
+    save: jest.fn().mockResolvedValue(true)
+});
+
+const lastSmsCode = () => {
+    const [, text] = messageTransportService.sendSms.mock.calls.slice(-1)[0];
+    return text.match(/\d{6}/)[0];
+};
+
+describe('Contact Verification Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('邮箱验证', () => {
+        test('应该发送包含验证链接的邮件，且只保存Token哈希', async () => {
+            const user = createUser();
+            const result = await verificationService.sendEmailVerification(user);
+
+            expect(result.status).toBe('sent');
+            const [to, , text] = messageTransportService.sendEmail.mock.calls[0];
+            const token = text.match(/token=([a-f0-9]+)/)[1];
+
+            expect(to).toBe('tester@example.com');
+            expect(user.verification.email.token).not.toBe(token);
+            expect(user.verification.email.token).toBe(verificationService.encryptionService.hashToken(token));
+        });
+
+        test('冷却时间内应该拒绝重新发送', async () => {
+            const user = createUser();
+            await verificationService.sendEmailVerification(user);
+            const result = await verificationService.sendEmailVerification(user);
+
+            expect(result.status).toBe('cooldown');
+            expect(result.retryAfter).toBeGreaterThan(0);
+            expect(messageTransportService.sendEmail).toHaveBeenCalledTimes(1);
+        });
+
+        test('应该使用哈希后的Token查找用户并标记为已验证', async () => {
+            const user = createUser();
+            user.verification.email.token = 'hashed';
+            User.findOne.mockResolvedValue(user);
+
+            const verified = await verificationService.verifyEmail('plain-token');
+
+            expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({
+                'verification.email.token': verificationService.encryptionService.hashToken('plain-token')
+            }));
+            expect(verified.verification.email.verified).toBe(true);
+            expect(verified.verification.email.token).toBeUndefined();
+        });
+
+        test('无效Token应该返回null', async () => {
+            User.findOne.mockResolvedValue(null);
+
+            expect(await verificationService.verifyEmail('unknown')).toBeNull();
+            expect(await verificationService.verifyEmail(undefined)).toBeNull();
+        });
+    });
+
+    describe('手机验证', () => {
+        test('应该规范化E.164手机号', () => {
+            expect(verificationService.normalizePhoneNumber('+86 138-0000-0000')).toBe('+8613800000000');
+            expect(verificationService.normalizePhoneNumber('13800000000')).toBeNull();
+        });
+
+        test('正确的验证码应该完成验证', async () => {
+            const user = createUser();
+            await verificationService.sendPhoneVerification(user, '+8613800000000');
+
+            const result = await verificationService.verifyPhone(user, lastSmsCode());
+
+            expect(result).toBe('verified');
+            expect(user.verification.phone.verified).toBe(true);
+            expect(user.verification.phone.number).toBe('+8613800000000');
+            expect(user.verification.phone.token).toBeUndefined();
+        });
+
+        test('错误次数过多后应该拒绝验证', async () => {
+            const user = createUser();
+            await verificationService.sendPhoneVerification(user, '+8613800000000');
+            const code = lastSmsCode();
+            const wrongCode = code === '000000' ? '111111' : '000000';
+
+            for (let i = 0; i < verificationService.maxOtpAttempts - 1; i++) {
+                expect(await verificationService.verifyPhone(user, wrongCode)).toBe('invalid');
+            }
+            expect(await verificationService.verifyPhone(user, wrongCode)).toBe('too_many_attempts');
+            expect(await verificationService.verifyPhone(user, code)).toBe('too_many_attempts');
+            expect(user.verification.phone.verified).toBe(false);
+        });
+
+        test('过期的验证码应该被拒绝', async () => {
+            const user = createUser();
+            await verificationService.sendPhoneVerification(user, '+8613800000000');
+            user.verification.phone.expires = new Date(Date.now() - 1000);
+
+            expect(await verificationService.verifyPhone(user, lastSmsCode())).toBe('expired');
+        });
+    });
+});
@@ -0,0 +1,293 @@
+// 路由只测试会话创建，身份验证由模拟的中间件提供
+jest.mock('../src/middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { id: 'user-1' };
+        next();
+    }
+}));
+
+const EventEmitter = require('events');
+const express = require('express');
+const request = require('supertest');
+const VoiceSessionToken = require('../src/models/VoiceSessionToken');
+const voiceRoutes = require('../src/routes/voice');
+const voiceStreamingService = require('../src/services/voiceStreamingService');
+const { createMockSpeechProvider } = require('../src/services/mockSpeechProvider');
+const VoiceService = require('../src/services/voiceService');
+
+const { computeLevel, SAMPLE_RATE } = voiceStreamingService;
+
+describe('Realtime Voice Streaming Tests', () => {
+    // 16位PCM：正弦波模拟说话，全零模拟静音
+    const tone = (ms, amplitude = 0.3) => {
+        const samples = SAMPLE_RATE * ms / 1000;
+        const buffer = Buffer.alloc(samples * 2);
+        for (let i = 0; i < samples; i++) {
+            buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * amplitude * 32767), i * 2);
+        }
+        return buffer;
+    };
+    const silence = (ms) => Buffer.alloc(SAMPLE_RATE * ms / 1000 * 2);
+
+    const createSession = (fields = {}) => {
+        const events = [];
+        const session = voiceStreamingService.createSession({
+            userId: 'user-1',
+            sourceLanguage: 'en-US',
+            targetLanguages: ['zh-CN', 'ja-JP'],
+            provider: createMockSpeechProvider(),
+            emit: (event, payload) => events.push({ event, ...payload }),
+            ...fields
+        });
+        return { session, events };
+    };
+
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('按RMS能量区分说话和静音', () => {
+        expect(computeLevel(silence(100))).toBe(0);
+        expect(computeLevel(tone(100, 0.3))).toBeCloseTo(0.3 / Math.SQRT2, 2);
+        expect(computeLevel(tone(100, 0.005))).toBeLessThan(0.02);
+    });
+
+    test('静音达到断句时长后输出最终结果、译文和合成语音', async () => {
+        const { session, events } = createSession();
+
+        session.pushAudio(silence(300));
+        session.pushAudio(tone(1200));
+        await session.queue;
+        session.pushAudio(tone(300));
+        session.pushAudio(silence(800));
+        await session.queue;
+
+        const names = events.map(item => item.event);
+        expect(names.slice(0, 2)).toEqual(['speech_start', 'interim']);
+        expect(events.filter(item => item.event === 'translation' && !item.isFinal)).toHaveLength(2);
+        expect(names.filter(name => name === 'speech_end')).toHaveLength(1);
+
+        const final = events.find(item => item.event === 'final');
+        expect(final).toEqual(expect.objectContaining({ sessionId: session.id, utteranceId: 1 }));
+        expect(names.indexOf('final')).toBeGreaterThan(names.indexOf('speech_end'));
+
+        const finalTranslations = events.filter(item => item.event === 'translation' && item.isFinal);
+        expect(finalTranslations.map(item => item.language).sort()).toEqual(['ja-JP', 'zh-CN']);
+        expect(finalTranslations.find(item => item.language === 'zh-CN').text).toBe(`[zh-CN] ${final.text}`);
+
+        const audio = events.filter(item => item.event === 'audio');
+        expect(audio).toHaveLength(2);
+        expect(Buffer.isBuffer(audio[0].audio)).toBe(true);
+
+        // 中间结果是最终结果的前缀
+        const interim = events.find(item => item.event === 'interim');
+        expect(final.text.startsWith(interim.text)).toBe(true);
+        expect(final.text.length).toBeGreaterThan(interim.text.length);
+    });
+
+    test('单句超过最长时长时强制断句', async () => {
+        const { session, events } = createSession({ targetLanguages: ['zh-CN'], synthesize: false });
+
+        session.pushAudio(tone(3500));
+        session.options.maxUtteranceMs = 1000;
+        session.pushAudio(tone(100));
+        await session.queue;
+
+        expect(events.filter(item => item.event === 'speech_end')).toHaveLength(1);
+        expect(events.filter(item => item.event === 'audio')).toHaveLength(0);
+
+        session.pushAudio(tone(1000));
+        await session.queue;
+        expect(events.filter(item => item.event === 'final').map(item => item.utteranceId)).toEqual([1, 2]);
+    });
+
+    test('客户端主动断句和结束会话时处理剩余音频', async () => {
+        const { session, events } = createSession({ targetLanguages: ['zh-CN'] });
+
+        session.pushAudio(tone(650));
+        await session.flush();
+        expect(events.filter(item => item.event === 'final')).toHaveLength(1);
+
+        session.pushAudio(tone(400));
+        await session.close();
+        expect(events.filter(item => item.event === 'final')).toHaveLength(2);
+        expect(events[events.length - 1]).toEqual(expect.objectContaining({
+            event: 'session_ended',
+            reason: 'stopped',
+            stats: { audioMs: 1000, utterances: 2 }
+        }));
+        expect(session.pushAudio(tone(100))).toBe(false);
+    });
+
+    test('最终识别失败时发出错误，中间结果失败时忽略', async () => {
+        const provider = createMockSpeechProvider();
+        provider.recognize = jest.fn()
+            .mockRejectedValueOnce(new Error('timeout'))
+            .mockRejectedValueOnce(new Error('语音识别未返回结果'));
+        const { session, events } = createSession({ provider });
+
+        session.pushAudio(tone(1200));
+        await session.queue;
+        session.pushAudio(silence(700));
+        await session.queue;
+
+        expect(provider.recognize).toHaveBeenCalledTimes(2);
+        expect(events.filter(item => item.event === 'interim')).toHaveLength(0);
+        expect(events.find(item => item.event === 'error')).toEqual(expect.objectContaining({
+            utteranceId: 1,
+            message: '语音翻译失败: 语音识别未返回结果'
+        }));
+    });
+
+    test('会话令牌包含会话配置，Socket连接后按令牌创建会话', async () => {
+        const create = jest.spyOn(VoiceSessionToken, 'create').mockImplementation(async doc => doc);
+        expect((await voiceStreamingService.createSessionToken('user-1', { sourceLanguage: 'en-US' })).status)
+            .toBe('invalid_language');
+
+        const { status, session: info } = await voiceStreamingService.createSessionToken('user-1', {
+            sourceLanguage: 'en-US',
+            targetLanguages: ['zh-CN', 'zh-CN']
+        });
+        expect(status).toBe('created');
+        expect(info.targetLanguages).toEqual(['zh-CN']);
+
+        const claims = voiceStreamingService.verifySessionToken(info.token);
+        expect(claims).toEqual(expect.objectContaining({ sid: info.sessionId, user: 'user-1', src: 'en-US' }));
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ jti: claims.jti, user: 'user-1', session: info.sessionId }));
+        expect(voiceStreamingService.verifySessionToken('invalid')).toBeNull();
+
+        jest.spyOn(voiceStreamingService, 'getProvider').mockReturnValue(createMockSpeechProvider());
+        // 模拟Socket：on 注册客户端事件，emit 记录发给客户端的事件
+        const socket = new EventEmitter();
+        const receive = (event, payload) => EventEmitter.prototype.emit.call(socket, event, payload);
+        const emitted = [];
+        socket.voiceClaims = claims;
+        socket.emit = (event) => emitted.push(event);
+        socket.disconnect = jest.fn();
+
+        const release = jest.spyOn(voiceStreamingService.presence, 'removeSession');
+        voiceStreamingService.handleConnection(socket);
+        expect(voiceStreamingService.sessions.has(claims.sid)).toBe(true);
+
+        receive('audio_chunk', 'not audio');
+        receive('audio_chunk', tone(800));
+        receive('stop');
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(emitted).toEqual(expect.arrayContaining(['session_started', 'error', 'final', 'session_ended']));
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+        expect(voiceStreamingService.sessions.has(claims.sid)).toBe(false);
+        expect(release).toHaveBeenCalledWith('user-1', claims.sid);
+    });
+
+    test('音频发送速度快于实时时结束会话', async () => {
+        jest.spyOn(voiceStreamingService, 'getProvider').mockReturnValue(createMockSpeechProvider());
+        const socket = new EventEmitter();
+        const receive = (event, payload) => EventEmitter.prototype.emit.call(socket, event, payload);
+        const emitted = [];
+        socket.voiceClaims = { sid: 'fast-session', user: 'user-3', src: 'en-US', targets: ['zh-CN'], tts: false };
+        socket.emit = (event, payload) => emitted.push({ event, ...payload });
+        socket.disconnect = jest.fn();
+
+        voiceStreamingService.handleConnection(socket);
+        const session = voiceStreamingService.sessions.get('fast-session');
+        const push = jest.spyOn(session, 'pushAudio');
+
+        // 允许领先 maxAudioLeadMs 的缓冲，之后的数据视为快于实时
+        const chunks = voiceStreamingService.maxAudioLeadMs / 1000;
+        for (let i = 0; i <= chunks; i++) {
+            receive('audio_chunk', silence(1000));
+        }
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(push).toHaveBeenCalledTimes(chunks);
+        expect(emitted).toEqual(expect.arrayContaining([
+            expect.objectContaining({ event: 'error', message: '音频发送速度超过实时' }),
+            expect.objectContaining({ event: 'session_ended' })
+        ]));
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+        expect(voiceStreamingService.sessions.has('fast-session')).toBe(false);
+    });
+
+    test('/voice 命名空间只接受未使用的令牌，并限制每个用户同时进行的会话数', async () => {
+        jest.spyOn(VoiceSessionToken, 'create').mockImplementation(async doc => doc);
+        const used = new Set();
+        const consume = jest.spyOn(VoiceSessionToken, 'findOneAndUpdate').mockImplementation(async (filter) => {
+            if (used.has(filter.jti)) return null;
+            used.add(filter.jti);
+            return { jti: filter.jti };
+        });
+
+        let middleware;
+        const namespace = { use: fn => { middleware = fn; }, on: jest.fn() };
+        voiceStreamingService.attach({ of: () => namespace });
+
+        const connect = async (token) => {
+            const socket = { handshake: { auth: { token } } };
+            const next = jest.fn();
+            await middleware(socket, next);
+            return next.mock.calls[0][0];
+        };
+        const issue = async () => (await voiceStreamingService.createSessionToken('user-2', {
+            sourceLanguage: 'en-US',
+            targetLanguages: ['zh-CN']
+        })).session.token;
+
+        const token = await issue();
+        expect(await connect(token)).toBeUndefined();
+        expect(consume.mock.calls[0][0]).toEqual(expect.objectContaining({ user: 'user-2', usedAt: { $exists: false } }));
+        expect((await connect(token)).message).toBe('语音会话令牌已使用或已过期');
+
+        expect(await voiceStreamingService.countUserSessions('user-2')).toBe(1);
+
+        // 其他实例上的会话也计入上限，达到上限后新的令牌不能建立连接
+        const extra = await issue();
+        const others = Array.from({ length: voiceStreamingService.maxSessionsPerUser - 1 }, (_, index) => `active-${index}`);
+        for (const id of others) {
+            await voiceStreamingService.presence.addSession('user-2', id, 60 * 1000);
+        }
+        expect((await connect(extra)).message).toBe('同时进行的实时翻译会话过多');
+        expect(await voiceStreamingService.countUserSessions('user-2')).toBe(voiceStreamingService.maxSessionsPerUser);
+        expect((await voiceStreamingService.createSessionToken('user-2', {
+            sourceLanguage: 'en-US',
+            targetLanguages: ['zh-CN']
+        })).status).toBe('too_many_sessions');
+    });
+
+    test('实时会话接口挂载在与 /voice 命名空间相同的应用中', async () => {
+        jest.spyOn(VoiceSessionToken, 'create').mockImplementation(async doc => doc);
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/voice', voiceRoutes);
+
+        const res = await request(app)
+            .post('/api/v1/voice/realtime')
+            .send({ sourceLanguage: 'en-US', targetLanguage: 'ja-JP' })
+            .expect(201);
+
+        expect(res.body.data).toEqual(expect.objectContaining({ namespace: '/voice', targetLanguages: ['ja-JP'] }));
+        await request(app).post('/api/v1/voice/realtime').send({ sourceLanguage: 'en-US' }).expect(400);
+    });
+
+    test('voiceService.streamVoiceTranslation 基于流式会话处理任意长度的音频块', async () => {
+        jest.spyOn(voiceStreamingService, 'getProvider').mockReturnValue(createMockSpeechProvider());
+        const voiceService = new VoiceService();
+        const audio = Buffer.concat([tone(1000), silence(800)]);
+        async function* chunks() {
+            for (let offset = 0; offset < audio.length; offset += 777) {
+                yield audio.subarray(offset, offset + 777);
+            }
+        }
+        const callback = jest.fn();
+
+        const stats = await voiceService.streamVoiceTranslation(chunks(), 'en', 'zh', callback);
+
+        const types = callback.mock.calls.map(([event]) => event.type);
+        expect(types).toEqual(expect.arrayContaining(['speech_start', 'final', 'translation', 'audio', 'session_ended']));
+        expect(callback).toHaveBeenCalledWith(expect.objectContaining({ type: 'translation', language: 'zh-CN', isFinal: true }));
+        expect(stats.utterances).toBe(1);
+    });
+});